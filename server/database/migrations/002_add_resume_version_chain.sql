@@ -0,0 +1,20 @@
+-- Migration 002: Resume Version Chain
+-- Purpose: Link each uploaded resume revision to the version it replaces
+-- Date: 2024-12-15
+
+-- ============================================
+-- PART 1: Version Chain Column
+-- ============================================
+
+ALTER TABLE resumes ADD COLUMN IF NOT EXISTS previous_version_id UUID REFERENCES resumes(id) ON DELETE SET NULL;
+-- Points at the prior revision of the same title (NULL for version 1)
+
+CREATE INDEX IF NOT EXISTS idx_resumes_user_title ON resumes(user_id, LOWER(title));
+CREATE INDEX IF NOT EXISTS idx_resumes_previous_version_id ON resumes(previous_version_id);
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN resumes.previous_version_id IS 'Prior revision of the same resume title';
+COMMENT ON COLUMN resumes.content_summary IS 'Plain text extracted from the uploaded file';
@@ -0,0 +1,20 @@
+-- Migration 003: Duplicate Job Description Dismissals
+-- Purpose: Remember postings the user said are not duplicates so they are not flagged again
+-- Date: 2024-12-20
+
+-- ============================================
+-- PART 1: Dismissed Duplicates Column
+-- ============================================
+
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS dismissed_duplicate_ids UUID[] NOT NULL DEFAULT '{}';
+-- Job descriptions this posting was flagged against and the user dismissed
+
+CREATE INDEX IF NOT EXISTS idx_job_descriptions_duplicate_of_id ON job_descriptions(duplicate_of_id);
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN job_descriptions.is_duplicate IS 'Flagged as a likely duplicate of duplicate_of_id';
+COMMENT ON COLUMN job_descriptions.similarity_score IS 'Similarity (0-1) to duplicate_of_id when flagged';
+COMMENT ON COLUMN job_descriptions.dismissed_duplicate_ids IS 'Job descriptions the user said this is not a duplicate of';
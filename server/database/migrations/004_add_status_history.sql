@@ -0,0 +1,30 @@
+-- Migration 004: Job Description Status History
+-- Purpose: Record every pipeline status change made on a job description
+-- Date: 2024-12-27
+
+-- ============================================
+-- PART 1: Status History Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS job_description_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_description_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    note TEXT,
+
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jd_status_history_jd_id
+    ON job_description_status_history(job_description_id, changed_at);
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE job_description_status_history IS 'Pipeline status changes for job descriptions';
+COMMENT ON COLUMN job_description_status_history.from_status IS 'Status before the change';
+COMMENT ON COLUMN job_description_status_history.to_status IS 'Status after the change';
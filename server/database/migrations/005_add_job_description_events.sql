@@ -0,0 +1,58 @@
+-- Migration 005: Job Description Events
+-- Purpose: One timeline per job description - status changes, notes, contacts and documents sent
+-- Date: 2025-01-03
+
+-- ============================================
+-- PART 1: Events Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS job_description_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_description_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Owner of the job description
+
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Who recorded the event; NULL for events created by the system
+
+    event_type VARCHAR(50) NOT NULL,
+    -- 'status_change', 'note', 'contact', 'document_sent'
+
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    -- Only set for status_change events
+
+    description TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    -- e.g. { "contactMethod": "email" } or { "document": "resume" }
+
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- When it happened; can be backdated for contacts logged later
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_jd_event_type CHECK (
+        event_type IN ('status_change', 'note', 'contact', 'document_sent')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_jd_events_jd_id
+    ON job_description_events(job_description_id, occurred_at);
+
+-- ============================================
+-- PART 2: Carry Over Status History (migration 004)
+-- ============================================
+
+INSERT INTO job_description_events
+    (job_description_id, user_id, actor_id, event_type, from_status, to_status, description, occurred_at)
+SELECT job_description_id, user_id, user_id, 'status_change', from_status, to_status, note, changed_at
+FROM job_description_status_history;
+
+DROP TABLE IF EXISTS job_description_status_history;
+
+-- ============================================
+-- PART 3: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE job_description_events IS 'Timeline of everything that happened on a job description';
+COMMENT ON COLUMN job_description_events.actor_id IS 'User who recorded the event (NULL for system events)';
+COMMENT ON COLUMN job_description_events.occurred_at IS 'When the event happened, as opposed to when it was recorded';
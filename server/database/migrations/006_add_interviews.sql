@@ -0,0 +1,74 @@
+-- Migration 006: Interview Tracking
+-- Purpose: Interview rounds per job description with interviewers, outcomes and follow-ups
+-- Date: 2025-01-10
+
+-- ============================================
+-- PART 1: Interviews Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS interviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    job_description_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+
+    round INTEGER NOT NULL DEFAULT 1,
+    interview_type VARCHAR(50),
+    -- 'phone_screen', 'technical', 'behavioral', 'system_design', 'take_home',
+    -- 'onsite', 'panel', 'hiring_manager', 'final', 'other'
+
+    scheduled_at TIMESTAMP WITH TIME ZONE,
+    -- Stored with its time zone so calendar feeds show the right local time
+    duration_minutes INTEGER,
+    location VARCHAR(500),
+    -- Address, phone number or video link
+
+    outcome VARCHAR(50) NOT NULL DEFAULT 'pending',
+    -- 'pending', 'passed', 'failed', 'cancelled', 'rescheduled'
+
+    prep_notes TEXT,
+    feedback TEXT,
+    follow_up_due DATE,
+    -- When to send a thank-you or chase for feedback
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_interview_round CHECK (round >= 1),
+    CONSTRAINT check_interview_duration CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+    CONSTRAINT check_interview_type CHECK (
+        interview_type IS NULL OR interview_type IN (
+            'phone_screen', 'technical', 'behavioral', 'system_design', 'take_home',
+            'onsite', 'panel', 'hiring_manager', 'final', 'other'
+        )
+    ),
+    CONSTRAINT check_interview_outcome CHECK (
+        outcome IN ('pending', 'passed', 'failed', 'cancelled', 'rescheduled')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_user_scheduled ON interviews(user_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_interviews_job_description_id ON interviews(job_description_id);
+
+CREATE TRIGGER update_interviews_updated_at BEFORE UPDATE ON interviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PART 2: Interviewers (links to recruiters)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS interview_interviewers (
+    interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    recruiter_id UUID NOT NULL REFERENCES recruiters(id) ON DELETE CASCADE,
+    PRIMARY KEY (interview_id, recruiter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_interviewers_recruiter_id ON interview_interviewers(recruiter_id);
+
+-- ============================================
+-- PART 3: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE interviews IS 'Interview rounds for a job description';
+COMMENT ON TABLE interview_interviewers IS 'Recruiters and hiring contacts who ran each interview';
+COMMENT ON COLUMN interviews.round IS 'Interview round number, starting at 1';
+COMMENT ON COLUMN interviews.follow_up_due IS 'Date to send a thank-you or chase for feedback';
@@ -0,0 +1,22 @@
+-- Migration 007: Calendar Feed Tokens
+-- Purpose: Per-user secret link for subscribing to deadlines and interviews as an .ics feed
+-- Date: 2025-01-12
+
+-- ============================================
+-- PART 1: Feed Token on Users
+-- ============================================
+
+-- Only a SHA-256 hash of the token is stored; the link is shown once when created
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_token_hash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_feed_token_hash
+    ON users(calendar_feed_token_hash)
+    WHERE calendar_feed_token_hash IS NOT NULL;
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN users.calendar_feed_token_hash IS 'SHA-256 hash of the secret calendar feed token (NULL when the feed is off)';
+COMMENT ON COLUMN users.calendar_feed_created_at IS 'When the current calendar feed link was created';
@@ -0,0 +1,58 @@
+-- Migration 008: Offers
+-- Purpose: Job offers (base, bonus, equity, benefits, start date, expiry) for side-by-side comparison
+-- Date: 2025-01-14
+
+-- ============================================
+-- PART 1: Offers Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    job_description_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+
+    base_salary DECIMAL(12,2),
+    pay_period VARCHAR(20) NOT NULL DEFAULT 'year',
+    -- 'hour', 'day', 'week', 'month', 'year'; base_salary is paid per pay_period
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+
+    -- The remaining amounts are per year, except the one-off signing bonus
+    bonus DECIMAL(12,2),
+    signing_bonus DECIMAL(12,2),
+    equity_value DECIMAL(12,2),
+    equity_details VARCHAR(500),
+    -- e.g. '40,000 RSUs vesting over 4 years, 1 year cliff'
+    benefits TEXT,
+    benefits_value DECIMAL(12,2),
+
+    start_date DATE,
+    expiry_date DATE,
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_offer_pay_period CHECK (pay_period IN ('hour', 'day', 'week', 'month', 'year')),
+    CONSTRAINT check_offer_amounts CHECK (
+        (base_salary IS NULL OR base_salary >= 0) AND
+        (bonus IS NULL OR bonus >= 0) AND
+        (signing_bonus IS NULL OR signing_bonus >= 0) AND
+        (equity_value IS NULL OR equity_value >= 0) AND
+        (benefits_value IS NULL OR benefits_value >= 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_offers_user_id ON offers(user_id);
+CREATE INDEX IF NOT EXISTS idx_offers_job_description_id ON offers(job_description_id, created_at DESC);
+
+CREATE TRIGGER update_offers_updated_at BEFORE UPDATE ON offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE offers IS 'Job offers; a job description can have several (e.g. initial and revised)';
+COMMENT ON COLUMN offers.pay_period IS 'Period base_salary is paid per; annualized for comparison';
+COMMENT ON COLUMN offers.equity_value IS 'Estimated equity value per year';
+COMMENT ON COLUMN offers.benefits_value IS 'Estimated value of benefits per year';
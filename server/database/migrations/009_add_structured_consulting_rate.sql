@@ -0,0 +1,52 @@
+-- Migration 009: Structured Consulting Rates
+-- Purpose: Parsed amount, unit, currency, contract length and engagement type next to the free-text
+--          consulting_rate/consulting_period, plus an effective annual rate for sorting and filtering
+-- Date: 2025-01-15
+
+-- ============================================
+-- PART 1: Structured Columns on Job Descriptions
+-- ============================================
+
+-- Filled by the server (utils/compensation.js) whenever the raw text or salary range is saved
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS rate_amount DECIMAL(12,2);
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS rate_amount_max DECIMAL(12,2);
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS rate_unit VARCHAR(10);
+-- 'hour', 'day', 'week', 'month', 'year'
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS rate_currency VARCHAR(10);
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS contract_length_months DECIMAL(5,1);
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS engagement_type VARCHAR(20);
+-- 'w2', '1099', 'c2c', 'contract_to_hire'
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS effective_annual_rate DECIMAL(12,2);
+
+ALTER TABLE job_descriptions ADD CONSTRAINT check_jd_rate_unit
+    CHECK (rate_unit IS NULL OR rate_unit IN ('hour', 'day', 'week', 'month', 'year'));
+ALTER TABLE job_descriptions ADD CONSTRAINT check_jd_engagement_type
+    CHECK (engagement_type IS NULL OR engagement_type IN ('w2', '1099', 'c2c', 'contract_to_hire'));
+
+CREATE INDEX IF NOT EXISTS idx_job_descriptions_effective_annual_rate
+    ON job_descriptions(user_id, effective_annual_rate);
+
+-- ============================================
+-- PART 2: Backfill
+-- ============================================
+
+-- Salary ranges can be annualized here; free-text rates are parsed the next
+-- time each job description is saved
+UPDATE job_descriptions
+SET effective_annual_rate = ROUND(
+    (COALESCE(salary_range_min, salary_range_max) + COALESCE(salary_range_max, salary_range_min)) / 2
+)
+WHERE effective_annual_rate IS NULL
+  AND (salary_range_min IS NOT NULL OR salary_range_max IS NOT NULL);
+
+-- ============================================
+-- PART 3: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN job_descriptions.rate_amount IS 'Consulting rate parsed from consulting_rate (low end of a range)';
+COMMENT ON COLUMN job_descriptions.rate_amount_max IS 'High end of a consulting rate range, NULL for a single amount';
+COMMENT ON COLUMN job_descriptions.rate_unit IS 'Period the consulting rate is paid per';
+COMMENT ON COLUMN job_descriptions.rate_currency IS 'Currency written in consulting_rate ($, £, EUR, ...)';
+COMMENT ON COLUMN job_descriptions.contract_length_months IS 'Contract length parsed from consulting_rate/consulting_period';
+COMMENT ON COLUMN job_descriptions.engagement_type IS 'W2, 1099, corp-to-corp or contract-to-hire, parsed from the raw text';
+COMMENT ON COLUMN job_descriptions.effective_annual_rate IS 'Annual pay: salary range midpoint, otherwise the annualized consulting rate';
@@ -0,0 +1,55 @@
+-- Migration 010: Full-Text Search
+-- Purpose: Weighted tsvector columns with GIN indexes on job descriptions, companies and recruiters
+--          for the global search (GET /api/search)
+-- Date: 2025-01-22
+
+-- ============================================
+-- PART 1: Search Vectors
+-- ============================================
+
+-- Generated columns stay in sync on every INSERT/UPDATE without triggers.
+-- Weights: A = names/titles, B = short fields and the user's notes, C = long descriptions
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(company, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(location, '')), 'C') ||
+        setweight(to_tsvector('english', coalesce(notes, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED;
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(industry, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(headquarters_location, '')), 'C') ||
+        setweight(to_tsvector('english', coalesce(notes, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED;
+
+ALTER TABLE recruiters ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(title, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(email, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(notes, '')), 'B')
+    ) STORED;
+
+-- ============================================
+-- PART 2: Indexes
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_job_descriptions_search_vector
+    ON job_descriptions USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_companies_search_vector
+    ON companies USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_recruiters_search_vector
+    ON recruiters USING GIN (search_vector);
+
+-- ============================================
+-- PART 3: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN job_descriptions.search_vector IS 'Weighted full-text vector: title (A), company and notes (B), location and description (C)';
+COMMENT ON COLUMN companies.search_vector IS 'Weighted full-text vector: name (A), industry and notes (B), location and description (C)';
+COMMENT ON COLUMN recruiters.search_vector IS 'Weighted full-text vector: name (A), title, email and notes (B)';
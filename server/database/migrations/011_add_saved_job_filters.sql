@@ -0,0 +1,34 @@
+-- Migration 011: Saved Job Filters
+-- Purpose: Named filter and sort combinations for the job list, shown as smart views in the sidebar
+-- Date: 2025-01-23
+
+-- ============================================
+-- PART 1: Saved Job Filters Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS saved_job_filters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    name VARCHAR(100) NOT NULL,
+    -- e.g. 'Remote contracts > $100/hr'
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- GET /api/job-descriptions query parameters, e.g. {"remote_policy": "remote", "rate_unit": "hour", "min_rate": "100"}
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_saved_job_filter_name UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_job_filters_user_id ON saved_job_filters(user_id);
+
+CREATE TRIGGER update_saved_job_filters_updated_at BEFORE UPDATE ON saved_job_filters
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE saved_job_filters IS 'Named job list filters (smart views), one set per user';
+COMMENT ON COLUMN saved_job_filters.filters IS 'Job list query parameters; only keys accepted by GET /api/job-descriptions are stored';
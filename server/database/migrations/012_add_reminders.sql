@@ -0,0 +1,48 @@
+-- Migration 012: Follow-up Reminders
+-- Purpose: Reminders tied to job descriptions, interviews and recruiters, shown as in-app notifications when due
+-- Date: 2025-01-24
+
+-- ============================================
+-- PART 1: Reminders Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    job_description_id UUID REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    interview_id UUID REFERENCES interviews(id) ON DELETE CASCADE,
+    recruiter_id UUID REFERENCES recruiters(id) ON DELETE CASCADE,
+
+    title VARCHAR(255) NOT NULL,
+    notes TEXT,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    -- 'scheduled' (not due yet), 'due' (marked by the scheduler), 'completed'
+    notified_at TIMESTAMP WITH TIME ZONE,
+    -- When the scheduler marked the reminder due
+    read_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_reminder_status CHECK (status IN ('scheduled', 'due', 'completed'))
+);
+
+-- The scheduler only looks at reminders that are not due yet
+CREATE INDEX IF NOT EXISTS idx_reminders_scheduled_due_at ON reminders(due_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_reminders_user_status ON reminders(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_reminders_job_description_id ON reminders(job_description_id);
+
+CREATE TRIGGER update_reminders_updated_at BEFORE UPDATE ON reminders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE reminders IS 'Follow-up reminders; due reminders are the user''s notifications';
+COMMENT ON COLUMN reminders.status IS 'scheduled until due_at passes, then due until completed';
+COMMENT ON COLUMN reminders.notified_at IS 'When the reminder scheduler marked the reminder due';
+COMMENT ON COLUMN reminders.read_at IS 'When the user read the notification; NULL means unread';
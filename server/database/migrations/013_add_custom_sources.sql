@@ -0,0 +1,27 @@
+-- Migration 013: Custom Job Description Sources
+-- Purpose: Let users add their own sources (a recruiting agency, a newsletter) next to the seeded ones
+-- Date: 2025-01-25
+
+-- ============================================
+-- PART 1: Source Ownership
+-- ============================================
+
+-- NULL user_id marks the shared sources seeded by migration 001
+ALTER TABLE job_description_sources ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE job_description_sources ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_sources_user_id ON job_description_sources(user_id);
+
+-- A user's source names are unique, ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sources_user_name
+    ON job_description_sources(user_id, LOWER(source_name))
+    WHERE user_id IS NOT NULL;
+
+CREATE TRIGGER update_job_description_sources_updated_at BEFORE UPDATE ON job_description_sources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN job_description_sources.user_id IS 'Owner of a custom source; NULL for the shared built-in sources';
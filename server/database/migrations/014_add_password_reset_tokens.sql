@@ -0,0 +1,30 @@
+-- Migration 014: Password Reset Tokens
+-- Purpose: Self-service password reset through emailed, expiring, single-use links
+-- Date: 2025-01-26
+
+-- ============================================
+-- PART 1: Password Reset Tokens Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    -- SHA-256 (hex) of the token sent in the email; the token itself is never stored
+
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    -- Set when the token resets the password; a used token cannot be used again
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id, created_at DESC);
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON TABLE password_reset_tokens IS 'Emailed password reset links; only the newest unused, unexpired token for a user works';
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 hex digest of the emailed token';
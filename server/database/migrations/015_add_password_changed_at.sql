@@ -0,0 +1,17 @@
+-- Migration 015: Password Change Timestamp
+-- Purpose: Sign out other sessions when a password changes
+-- Date: 2025-01-27
+
+-- ============================================
+-- PART 1: Password Change Timestamp on Users
+-- ============================================
+
+-- Set whenever the password is changed, reset or set by an admin; login
+-- tokens issued before it are rejected by the authenticate middleware
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- ============================================
+-- PART 2: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN users.password_changed_at IS 'Last password change; JWTs issued earlier are no longer accepted (NULL: never changed)';
@@ -0,0 +1,44 @@
+-- Migration 016: Email Verification
+-- Purpose: Confirm that new accounts own their email address through emailed single-use links
+-- Date: 2025-01-28
+
+-- ============================================
+-- PART 1: Verification Timestamp on Users
+-- ============================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Accounts created before verification existed (including the seeded admin)
+-- are treated as verified
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+-- ============================================
+-- PART 2: Email Verification Tokens Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    -- SHA-256 (hex) of the token sent in the email; the token itself is never stored
+
+    email VARCHAR(255) NOT NULL,
+    -- Address the link was sent to; the link stops working once the user's email changes
+
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id, created_at DESC);
+
+-- ============================================
+-- PART 3: Comments for Documentation
+-- ============================================
+
+COMMENT ON COLUMN users.email_verified_at IS 'When the user confirmed their email address (NULL: not verified)';
+COMMENT ON TABLE email_verification_tokens IS 'Emailed verification links; only the newest unused, unexpired token for a user works';
+COMMENT ON COLUMN email_verification_tokens.token_hash IS 'SHA-256 hex digest of the emailed token';
+COMMENT ON COLUMN email_verification_tokens.email IS 'Address the link was sent to';
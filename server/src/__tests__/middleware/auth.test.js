@@ -106,15 +106,45 @@ describe('Authentication Middleware', () => {
       await authenticate(req, res, next);
 
       expect(query).toHaveBeenCalledWith(
-        'SELECT id, name, email, role, is_active, created_at, updated_at FROM users WHERE id = $1',
-        [userId]
+        expect.stringContaining('FROM users WHERE id = $1'),
+        [userId, jwt.decode(token).iat]
       );
       expect(req.user).toHaveProperty('id', userId);
       expect(req.user).toHaveProperty('email', email);
+      expect(req.user).not.toHaveProperty('token_revoked');
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
 
+    it('should return 401 if the token was issued before a password change', async () => {
+      const userId = '123e4567-e89b-12d3-a456-426614174000';
+      const token = jwt.sign(
+        { userId, email: 'test@example.com' },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      req.headers.authorization = `Bearer ${token}`;
+
+      // The query flags tokens issued before users.password_changed_at
+      query.mockResolvedValueOnce({
+        rows: [{
+          id: userId,
+          email: 'test@example.com',
+          role: 'user',
+          is_active: true,
+          token_revoked: true,
+        }],
+      });
+
+      await authenticate(req, res, next);
+
+      expect(query.mock.calls[0][0]).toContain('password_changed_at >= to_timestamp($2::bigint + 1)');
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Session expired after a password change. Please log in again.' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should return 401 if user not found in database', async () => {
       const userId = '123e4567-e89b-12d3-a456-426614174000';
       const token = jwt.sign(
@@ -136,6 +166,81 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('Email verification', () => {
+    const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+    const authenticateUnverified = async (method, originalUrl) => {
+      const token = jwt.sign({ userId, email: 'test@example.com' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      req.headers.authorization = `Bearer ${token}`;
+      req.method = method;
+      req.originalUrl = originalUrl;
+      query.mockResolvedValueOnce({
+        rows: [{ id: userId, email: 'test@example.com', role: 'user', is_active: true, email_verified_at: null }],
+      });
+      await authenticate(req, res, next);
+    };
+
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should let unverified users through when verification is not required', async () => {
+      await authenticateUnverified('GET', '/api/job-descriptions');
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for unverified users when verification is required', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await authenticateUnverified('GET', '/api/job-descriptions');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow unverified users the routes needed to finish verifying', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await authenticateUnverified('GET', '/api/users/me?fresh=1');
+      await authenticateUnverified('POST', '/api/auth/resend-verification');
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should let unverified users correct their own email address', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await authenticateUnverified('PUT', `/api/users/${userId}`);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should not let unverified users update another account', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await authenticateUnverified('PUT', '/api/users/223e4567-e89b-12d3-a456-426614174000');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should not treat another method on an allowed path as allowed', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      await authenticateUnverified('DELETE', '/api/users/me');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
   describe('Error handling', () => {
     it('should return 500 if database query fails', async () => {
       const userId = '123e4567-e89b-12d3-a456-426614174000';
@@ -0,0 +1,201 @@
+/**
+ * Analytics Routes Unit Tests
+ * Tests the job search analytics aggregates with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const analyticsRoutes = require('../../routes/analytics');
+
+const mockAnalyticsQueries = ({
+  funnel = [],
+  sources = [],
+  timeInStage = [],
+  weeks = [],
+  buckets = [],
+  quartiles = [],
+} = {}) => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: funnel })
+    .mockResolvedValueOnce({ rows: sources })
+    .mockResolvedValueOnce({ rows: timeInStage })
+    .mockResolvedValueOnce({ rows: weeks })
+    .mockResolvedValueOnce({ rows: buckets })
+    .mockResolvedValueOnce({ rows: quartiles });
+};
+
+describe('Analytics Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/analytics', analyticsRoutes);
+  });
+
+  describe('GET /api/analytics', () => {
+    it('should return the funnel, source response rates, stage times, weekly applications and rates', async () => {
+      mockAnalyticsQueries({
+        funnel: [
+          { furthest: 1, count: 4 },
+          { furthest: 2, count: 3 },
+          { furthest: 3, count: 2 },
+          { furthest: 4, count: 1 },
+        ],
+        sources: [
+          { source_id: 'src-1', source_name: 'LinkedIn', jobs: 6, applied: 4, responded: 3 },
+          { source_id: null, source_name: null, jobs: 4, applied: 2, responded: 0 },
+        ],
+        timeInStage: [
+          { status: 'interviewing', median_days: '12.345', transitions: 3 },
+          { status: 'saved', median_days: '2.04', transitions: 6 },
+        ],
+        weeks: [
+          { week_start: '2025-01-06', applications: 2 },
+          { week_start: '2025-01-13', applications: 0 },
+        ],
+        buckets: [
+          { bucket: 4, count: 2 },
+          { bucket: 6, count: 1 },
+        ],
+        quartiles: [
+          { job_type: 'contract', is_total: false, count: 1, p25: '156000', median: '156000', p75: '156000' },
+          { job_type: 'full_time', is_total: false, count: 2, p25: '112500', median: '115000', p75: '117500' },
+          { job_type: null, is_total: true, count: 3, p25: '112500.5', median: '120000', p75: '138000' },
+        ],
+      });
+
+      const response = await request(app)
+        .get('/api/analytics')
+        .expect(200);
+
+      expect(response.body.totals).toEqual({ jobDescriptions: 10, applied: 6, responded: 3, responseRate: 0.5 });
+      expect(response.body.funnel).toEqual([
+        { status: 'saved', count: 10, conversion: null },
+        { status: 'applied', count: 6, conversion: 0.6 },
+        { status: 'interviewing', count: 3, conversion: 0.5 },
+        { status: 'offered', count: 1, conversion: 0.333 },
+        { status: 'accepted', count: 0, conversion: 0 },
+      ]);
+      expect(response.body.sources).toEqual([
+        { sourceId: 'src-1', sourceName: 'LinkedIn', jobs: 6, applied: 4, responded: 3, responseRate: 0.75 },
+        { sourceId: null, sourceName: null, jobs: 4, applied: 2, responded: 0, responseRate: 0 },
+      ]);
+      expect(response.body.timeInStage).toEqual([
+        { status: 'saved', medianDays: 2, transitions: 6 },
+        { status: 'interviewing', medianDays: 12.3, transitions: 3 },
+      ]);
+      expect(response.body.applicationsPerWeek).toEqual([
+        { weekStart: '2025-01-06', applications: 2 },
+        { weekStart: '2025-01-13', applications: 0 },
+      ]);
+      expect(response.body.rates).toMatchObject({ count: 3, p25: 112501, median: 120000, p75: 138000 });
+      expect(response.body.rates.buckets).toHaveLength(12);
+      expect(response.body.rates.buckets[4]).toEqual({ min: 100000, max: 125000, count: 2 });
+      expect(response.body.rates.buckets[11]).toEqual({ min: 275000, max: null, count: 0 });
+      expect(response.body.rates.byJobType).toEqual([
+        { jobType: 'contract', count: 1, p25: 156000, median: 156000, p75: 156000 },
+        { jobType: 'full_time', count: 2, p25: 112500, median: 115000, p75: 117500 },
+      ]);
+    });
+
+    it('should scope every query to the current user and pass the configured statuses', async () => {
+      mockAnalyticsQueries();
+
+      await request(app)
+        .get('/api/analytics')
+        .expect(200);
+
+      expect(mockQuery).toHaveBeenCalledTimes(6);
+      mockQuery.mock.calls.forEach(([, params]) => expect(params[0]).toBe('user-1'));
+
+      const [funnelSql, funnelParams] = mockQuery.mock.calls[0];
+      expect(funnelSql).toContain('LEFT JOIN job_description_events h');
+      expect(funnelParams).toEqual(['user-1', ['saved', 'applied', 'interviewing', 'offered', 'accepted']]);
+
+      const [sourcesSql, sourcesParams] = mockQuery.mock.calls[1];
+      expect(sourcesSql).toContain('LEFT JOIN job_description_sources s');
+      expect(sourcesParams[2]).toEqual(['interviewing', 'offered', 'accepted', 'rejected']);
+
+      expect(mockQuery.mock.calls[2][0]).toContain('percentile_cont(0.5)');
+      expect(mockQuery.mock.calls[3][0]).toContain('generate_series');
+      expect(mockQuery.mock.calls[3][1]).toEqual(['user-1', ['applied', 'interviewing', 'offered', 'accepted'], 12]);
+      expect(mockQuery.mock.calls[4][1]).toEqual(['user-1', 25000, 12]);
+      expect(mockQuery.mock.calls[5][0]).toContain('GROUP BY ROLLUP(job_type)');
+    });
+
+    it('should read pipeline history from the status_change events', async () => {
+      mockAnalyticsQueries();
+
+      await request(app)
+        .get('/api/analytics')
+        .expect(200);
+
+      // Funnel, sources, time in stage and applications per week use the history
+      mockQuery.mock.calls.slice(0, 4).forEach(([sql]) => {
+        expect(sql).toContain('job_description_events h');
+        expect(sql).toContain("h.event_type = 'status_change'");
+        expect(sql).not.toContain('job_description_status_history');
+      });
+      expect(mockQuery.mock.calls[2][0]).toContain('h.occurred_at');
+    });
+
+    it('should return empty aggregates when there is no data', async () => {
+      mockAnalyticsQueries();
+
+      const response = await request(app)
+        .get('/api/analytics')
+        .expect(200);
+
+      expect(response.body.totals).toEqual({ jobDescriptions: 0, applied: 0, responded: 0, responseRate: null });
+      expect(response.body.funnel.map(stage => stage.count)).toEqual([0, 0, 0, 0, 0]);
+      expect(response.body.rates).toMatchObject({ count: 0, p25: null, median: null, p75: null, byJobType: [] });
+    });
+
+    it('should use the requested number of weeks', async () => {
+      mockAnalyticsQueries();
+
+      await request(app)
+        .get('/api/analytics?weeks=26')
+        .expect(200);
+
+      expect(mockQuery.mock.calls[3][1][2]).toBe(26);
+    });
+
+    it('should reject an invalid number of weeks', async () => {
+      const response = await request(app)
+        .get('/api/analytics?weeks=60')
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Weeks must be between 1 and 52');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockQuery.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/analytics')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to compute analytics');
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Auth Routes Unit Tests
+ * Tests password reset and email verification with mocked dependencies
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockLogAuthEvent = jest.fn();
+const mockSendMail = jest.fn();
+let mockCurrentUser;
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/rbac', () => ({
+  logAuthEvent: (...args) => mockLogAuthEvent(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    req.user = mockCurrentUser;
+    next();
+  },
+}));
+
+jest.mock('../../utils/mailer', () => ({
+  sendMail: (...args) => mockSendMail(...args),
+}));
+
+const authRoutes = require('../../routes/auth');
+
+const TOKEN = 'b'.repeat(64);
+const TOKEN_HASH = crypto.createHash('sha256').update(TOKEN).digest('hex');
+
+const userRow = { id: 'user-1', name: 'Alex', email: 'alex@example.com', is_active: true };
+
+describe('Auth Routes Unit Tests', () => {
+  let app;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockLogAuthEvent.mockReset();
+    mockSendMail.mockReset().mockResolvedValue({});
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.CLIENT_URL = 'http://localhost:3010';
+    delete process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES;
+    delete process.env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES;
+    mockCurrentUser = { ...userRow, role: 'user', email_verified_at: null };
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    delete process.env.CLIENT_URL;
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should store a hashed token and email a reset link', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [userRow] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'token-1' }] });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'Alex@Example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/If an account exists/);
+      expect(mockQuery.mock.calls[0][0]).toContain('LOWER(email) = LOWER($1)');
+      expect(mockQuery.mock.calls[2][0]).toContain('DELETE FROM password_reset_tokens');
+      expect(mockQuery.mock.calls[3][0]).toContain('INSERT INTO password_reset_tokens');
+      expect(mockQuery.mock.calls[3][1][2]).toBe(60);
+
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+      const mail = mockSendMail.mock.calls[0][0];
+      expect(mail.to).toBe('alex@example.com');
+      const token = /reset-password\?token=([0-9a-f]{64})/.exec(mail.text)[1];
+      expect(mail.text).toContain(`http://localhost:3010/reset-password?token=${token}`);
+
+      // Only the hash is stored
+      const storedHash = mockQuery.mock.calls[3][1][1];
+      expect(storedHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+      expect(storedHash).not.toBe(token);
+    });
+
+    it('should use PASSWORD_RESET_TOKEN_TTL_MINUTES for the expiry', async () => {
+      process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES = '15';
+      mockQuery
+        .mockResolvedValueOnce({ rows: [userRow] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'token-1' }] });
+
+      await request(app).post('/api/auth/forgot-password').send({ email: 'alex@example.com' });
+
+      expect(mockQuery.mock.calls[3][1][2]).toBe(15);
+      expect(mockSendMail.mock.calls[0][0].text).toContain('expires in 15 minutes');
+    });
+
+    it('should answer the same way for unknown and deactivated accounts', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...userRow, is_active: false }] });
+      const inactive = await request(app).post('/api/auth/forgot-password').send({ email: 'alex@example.com' });
+
+      expect(unknown.status).toBe(200);
+      expect(inactive.status).toBe(200);
+      expect(unknown.body).toEqual(inactive.body);
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not send another link while the last one is recent', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [userRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 'token-1' }] });
+
+      const response = await request(app).post('/api/auth/forgot-password').send({ email: 'alex@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1', 60]);
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not reveal mail delivery failures', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [userRow] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'token-1' }] });
+      mockSendMail.mockRejectedValueOnce(new Error('SMTP greeting failed'));
+
+      const response = await request(app).post('/api/auth/forgot-password').send({ email: 'alex@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/If an account exists/);
+    });
+
+    it('should reject an invalid email', async () => {
+      const response = await request(app).post('/api/auth/forgot-password').send({ email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toBeDefined();
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should claim the token and set the new password', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ user_id: 'user-1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: TOKEN, password: 'NewPassw0rd!' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Password reset successfully');
+
+      const [claimSql, claimParams] = mockQuery.mock.calls[0];
+      expect(claimSql).toContain('t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP');
+      expect(claimParams).toEqual([TOKEN_HASH]);
+
+      const [updateSql, updateParams] = mockQuery.mock.calls[1];
+      expect(updateSql).toContain('UPDATE users SET password_hash');
+      expect(updateParams[0]).toBe('user-1');
+      expect(updateParams[1]).toMatch(/^\$2[aby]\$10\$/);
+
+      expect(mockQuery.mock.calls[2][0]).toContain('DELETE FROM password_reset_tokens');
+      expect(mockLogAuthEvent).toHaveBeenCalledWith('user-1', 'password_reset', true, null, expect.anything());
+    });
+
+    it('should reject used, expired or unknown tokens', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: TOKEN, password: 'NewPassw0rd!' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('This password reset link is invalid or has expired');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(mockLogAuthEvent).toHaveBeenCalledWith(null, 'password_reset', false, 'Invalid or expired token', expect.anything());
+    });
+
+    it('should apply the password rules', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: TOKEN, password: 'weak' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('password');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ password: 'NewPassw0rd!' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('Reset token is required');
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create an unverified account and email a verification link', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...userRow, role: 'user', email_verified_at: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Alex', email: 'alex@example.com', password: 'Passw0rd!' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user.emailVerified).toBe(false);
+
+      expect(mockQuery.mock.calls[2][0]).toContain('DELETE FROM email_verification_tokens');
+      const [insertSql, insertParams] = mockQuery.mock.calls[3];
+      expect(insertSql).toContain('INSERT INTO email_verification_tokens');
+      expect(insertParams.slice(2)).toEqual(['alex@example.com', 2880]);
+
+      const mail = mockSendMail.mock.calls[0][0];
+      expect(mail.to).toBe('alex@example.com');
+      expect(mail.text).toContain('expires in 48 hours');
+      const token = /verify-email\?token=([0-9a-f]{64})/.exec(mail.text)[1];
+      expect(insertParams[1]).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    });
+
+    it('should still register when the verification email fails', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...userRow, role: 'user', email_verified_at: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockSendMail.mockRejectedValueOnce(new Error('SMTP greeting failed'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Alex', email: 'alex@example.com', password: 'Passw0rd!' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.token).toBeDefined();
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('should claim the token and mark the email verified', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ user_id: 'user-1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).post('/api/auth/verify-email').send({ token: TOKEN });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Email verified successfully');
+
+      const [claimSql, claimParams] = mockQuery.mock.calls[0];
+      expect(claimSql).toContain('LOWER(t.email) = LOWER(u.email)');
+      expect(claimSql).toContain('t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP');
+      expect(claimParams).toEqual([TOKEN_HASH]);
+
+      expect(mockQuery.mock.calls[1][0]).toContain('email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)');
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1']);
+      expect(mockQuery.mock.calls[2][0]).toContain('DELETE FROM email_verification_tokens');
+      expect(mockLogAuthEvent).toHaveBeenCalledWith('user-1', 'email_verification', true, null, expect.anything());
+    });
+
+    it('should reject used, expired or unknown tokens', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).post('/api/auth/verify-email').send({ token: TOKEN });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('This verification link is invalid or has expired');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app).post('/api/auth/verify-email').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('Verification token is required');
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    const resend = () => request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', 'Bearer token');
+
+    it('should email a new link', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await resend();
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Verification email sent');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1', 60]);
+      expect(mockQuery.mock.calls[2][0]).toContain('INSERT INTO email_verification_tokens');
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throttle requests while the last link is recent', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ retry_after: 42 }] });
+
+      const response = await resend();
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('42');
+      expect(response.body.error).toMatch(/sent recently/);
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('should reject already verified accounts', async () => {
+      mockCurrentUser.email_verified_at = new Date();
+
+      const response = await resend();
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Email address is already verified');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/auth/resend-verification');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
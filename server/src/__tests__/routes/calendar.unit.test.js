@@ -0,0 +1,191 @@
+/**
+ * Calendar Routes Unit Tests
+ * Tests the .ics feed, feed link management and single-event downloads with mocked dependencies
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const calendarRoutes = require('../../routes/calendar');
+
+const TOKEN = 'a'.repeat(64);
+const INTERVIEW_ID = '88888888-8888-4888-8888-888888888888';
+const JD_ID = '11111111-1111-4111-8111-111111111111';
+
+const interviewRow = {
+  id: INTERVIEW_ID,
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  round: 2,
+  scheduled_at: '2024-06-10T15:00:00.000Z',
+  duration_minutes: 45,
+  location: 'Zoom',
+  outcome: 'pending',
+  follow_up_due: '2024-06-12',
+  interviewers: [],
+};
+
+describe('Calendar Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/calendar', calendarRoutes);
+  });
+
+  describe('GET /api/calendar/feed/:token.ics', () => {
+    it('should serve deadlines, interviews and follow-ups without logging in', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1', name: 'Alex' }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: JD_ID, job_title: 'SRE', company_name: 'Globex', application_deadline: '2024-06-20' }],
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            interviewRow,
+            { ...interviewRow, id: 'i-2', scheduled_at: null, outcome: 'cancelled' },
+          ],
+        });
+
+      const response = await request(app).get(`/api/calendar/feed/${TOKEN}.ics`).expect(200);
+
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toContain('X-WR-CALNAME:Job search - Alex');
+      expect(response.text).toContain(`UID:deadline-${JD_ID}@spexture.com`);
+      expect(response.text).toContain(`UID:interview-${INTERVIEW_ID}@spexture.com`);
+      expect(response.text).toContain(`UID:follow-up-${INTERVIEW_ID}@spexture.com`);
+      expect(response.text).not.toContain('follow-up-i-2');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+
+      const hash = crypto.createHash('sha256').update(TOKEN).digest('hex');
+      expect(mockQuery.mock.calls[0][1]).toEqual([hash]);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1', ['rejected', 'withdrawn', 'accepted']]);
+    });
+
+    it('should return 404 for unknown or malformed tokens', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/calendar/feed/${TOKEN}.ics`).expect(404);
+      await request(app).get('/api/calendar/feed/not-a-token.ics').expect(404);
+
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('feed link management', () => {
+    it('should require authentication', async () => {
+      await request(app).get('/api/calendar/feed').expect(401);
+    });
+
+    it('should report whether the feed is on', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ enabled: true, calendar_feed_created_at: '2024-06-01T00:00:00.000Z' }] });
+
+      const response = await request(app).get('/api/calendar/feed').set('Authorization', 'Bearer t').expect(200);
+
+      expect(response.body.feed).toEqual({ enabled: true, createdAt: '2024-06-01T00:00:00.000Z' });
+    });
+
+    it('should create a new link and store only its hash', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ calendar_feed_created_at: '2024-06-01T00:00:00.000Z' }] });
+
+      const response = await request(app).post('/api/calendar/feed').set('Authorization', 'Bearer t').expect(201);
+
+      const match = response.body.feedUrl.match(/\/api\/calendar\/feed\/([a-f0-9]{64})\.ics$/);
+      expect(match).not.toBeNull();
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('SET calendar_feed_token_hash = $1');
+      expect(params).toEqual([crypto.createHash('sha256').update(match[1]).digest('hex'), 'user-1']);
+    });
+
+    it('should turn the feed off', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).delete('/api/calendar/feed').set('Authorization', 'Bearer t').expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Calendar feed turned off');
+      expect(mockQuery.mock.calls[0][0]).toContain('calendar_feed_token_hash = NULL');
+    });
+  });
+
+  describe('GET /api/calendar/interviews/:id.ics', () => {
+    it('should download one interview', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [interviewRow] });
+
+      const response = await request(app)
+        .get(`/api/calendar/interviews/${INTERVIEW_ID}.ics`)
+        .set('Authorization', 'Bearer t')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="interview-round-2.ics"');
+      expect(response.text).toContain('DTSTART:20240610T150000Z');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+      expect(mockQuery.mock.calls[0][1]).toEqual([INTERVIEW_ID, 'user-1']);
+    });
+
+    it('should reject interviews without a date', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...interviewRow, scheduled_at: null }] });
+
+      const response = await request(app)
+        .get(`/api/calendar/interviews/${INTERVIEW_ID}.ics`)
+        .set('Authorization', 'Bearer t')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Interview has no date and time yet');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get(`/api/calendar/interviews/${INTERVIEW_ID}.ics`)
+        .set('Authorization', 'Bearer t')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/calendar/job-descriptions/:id/deadline.ics', () => {
+    it('should download the application deadline', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ id: JD_ID, job_title: 'SRE', company_name: 'Globex', application_deadline: '2024-06-20' }],
+      });
+
+      const response = await request(app)
+        .get(`/api/calendar/job-descriptions/${JD_ID}/deadline.ics`)
+        .set('Authorization', 'Bearer t')
+        .expect(200);
+
+      expect(response.text).toContain('SUMMARY:Application deadline: SRE at Globex');
+      expect(response.text).toContain('DTSTART;VALUE=DATE:20240620');
+    });
+
+    it('should reject job descriptions without a deadline', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: JD_ID, job_title: 'SRE', application_deadline: null }] });
+
+      const response = await request(app)
+        .get(`/api/calendar/job-descriptions/${JD_ID}/deadline.ics`)
+        .set('Authorization', 'Bearer t')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Job description has no application deadline');
+    });
+  });
+});
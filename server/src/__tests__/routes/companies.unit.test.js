@@ -0,0 +1,270 @@
+/**
+ * Company Routes Unit Tests
+ * Tests company route handlers with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockClientQuery = jest.fn();
+const mockRelease = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+  getClient: jest.fn(async () => ({
+    query: (...args) => mockClientQuery(...args),
+    release: () => mockRelease(),
+  })),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const companyRoutes = require('../../routes/companies');
+
+const TARGET_ID = '11111111-1111-4111-8111-111111111111';
+const DUPLICATE_ID = '22222222-2222-4222-8222-222222222222';
+
+const acme = {
+  id: TARGET_ID,
+  user_id: 'user-1',
+  name: 'Acme',
+  industry: null,
+  user_rating: 4,
+  notes: 'Great team',
+  job_descriptions_count: 2,
+};
+
+describe('Company Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockClientQuery.mockReset();
+    mockRelease.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/companies', companyRoutes);
+  });
+
+  describe('GET /api/companies', () => {
+    it('should list companies with pagination', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+        .mockResolvedValueOnce({ rows: [acme] });
+
+      const response = await request(app).get('/api/companies').expect(200);
+
+      expect(response.body.companies).toEqual([acme]);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 50, totalCount: 1, totalPages: 1 });
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1']);
+    });
+
+    it('should apply search, filters, and a whitelisted sort', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/companies?search=ac&company_size=startup&sort_by=user_rating&sort_order=asc&page=2&limit=10')
+        .expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('c.name ILIKE $2');
+      expect(sql).toContain('c.company_size = $3');
+      expect(sql).toContain('ORDER BY user_rating ASC');
+      expect(params).toEqual(['user-1', '%ac%', 'startup', 10, 10]);
+    });
+
+    it('should ignore unknown sort columns', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/companies?sort_by=password_hash').expect(200);
+
+      expect(mockQuery.mock.calls[1][0]).toContain('ORDER BY name DESC');
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/api/companies').expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to fetch companies');
+    });
+  });
+
+  describe('GET /api/companies/:id', () => {
+    it('should return the company and its linked job descriptions', async () => {
+      const jd = { id: 'jd-1', job_title: 'Engineer' };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [acme] })
+        .mockResolvedValueOnce({ rows: [jd] });
+
+      const response = await request(app).get(`/api/companies/${TARGET_ID}`).expect(200);
+
+      expect(response.body.company).toEqual(acme);
+      expect(response.body.jobDescriptions).toEqual([jd]);
+      expect(mockQuery.mock.calls[1][0]).toContain('jd.company_id = $1 AND jd.user_id = $2');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get(`/api/companies/${TARGET_ID}`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Company not found');
+    });
+  });
+
+  describe('POST /api/companies', () => {
+    it('should create a company', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: TARGET_ID }] })
+        .mockResolvedValueOnce({ rows: [acme] });
+
+      const response = await request(app)
+        .post('/api/companies')
+        .send({ name: 'Acme', userRating: 4, companySize: '', website: 'https://acme.example.com' })
+        .expect(201);
+
+      expect(response.body.company).toEqual(acme);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('INSERT INTO companies (user_id, name, website, user_rating)');
+      expect(params).toEqual(['user-1', 'Acme', 'https://acme.example.com', 4]);
+    });
+
+    it('should require a name and validate rating bounds', async () => {
+      const response = await request(app)
+        .post('/api/companies')
+        .send({ userRating: 9 })
+        .expect(400);
+
+      const messages = response.body.errors.map((e) => e.msg);
+      expect(messages).toContain('Company name is required');
+      expect(messages).toContain('Rating must be between 1 and 5');
+    });
+  });
+
+  describe('PUT /api/companies/:id', () => {
+    it('should update the rating', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: TARGET_ID }] })
+        .mockResolvedValueOnce({ rows: [{ ...acme, user_rating: 5 }] });
+
+      const response = await request(app)
+        .put(`/api/companies/${TARGET_ID}`)
+        .send({ userRating: 5 })
+        .expect(200);
+
+      expect(response.body.company.user_rating).toBe(5);
+      expect(mockQuery.mock.calls[0][1]).toEqual([5, TARGET_ID, 'user-1']);
+    });
+
+    it('should clear a rating when null is sent', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: TARGET_ID }] })
+        .mockResolvedValueOnce({ rows: [{ ...acme, user_rating: null }] });
+
+      await request(app)
+        .put(`/api/companies/${TARGET_ID}`)
+        .send({ userRating: null })
+        .expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([null, TARGET_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put(`/api/companies/${TARGET_ID}`).send({ name: 'New' }).expect(404);
+    });
+  });
+
+  describe('POST /api/companies/:id/merge', () => {
+    it('should move links, fill empty fields, and delete duplicates in one transaction', async () => {
+      const duplicate = { id: DUPLICATE_ID, name: 'ACME Inc', industry: 'Software', notes: 'Recruiter: Sam' };
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...acme }, duplicate] }) // SELECT FOR UPDATE
+        .mockResolvedValueOnce({}) // UPDATE companies (fill)
+        .mockResolvedValueOnce({ rowCount: 3 }) // UPDATE job_descriptions
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE recruiters
+        .mockResolvedValueOnce({}) // DELETE
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...acme, industry: 'Software' }] });
+
+      const response = await request(app)
+        .post(`/api/companies/${TARGET_ID}/merge`)
+        .send({ mergeIds: [DUPLICATE_ID] })
+        .expect(200);
+
+      expect(response.body.moved).toEqual({ jobDescriptions: 3, recruiters: 1 });
+      expect(response.body.company.industry).toBe('Software');
+
+      const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[2]).toContain('industry = $1');
+      expect(mockClientQuery.mock.calls[2][1]).toEqual(['Software', 'Great team\n\nRecruiter: Sam', TARGET_ID]);
+      expect(statements[5]).toContain('DELETE FROM companies');
+      expect(statements[6]).toBe('COMMIT');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should return 404 and roll back when a company is not owned', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...acme }] })
+        .mockResolvedValueOnce({});
+
+      await request(app)
+        .post(`/api/companies/${TARGET_ID}/merge`)
+        .send({ mergeIds: [DUPLICATE_ID] })
+        .expect(404);
+
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should reject merging a company into itself', async () => {
+      const response = await request(app)
+        .post(`/api/companies/${TARGET_ID}/merge`)
+        .send({ mergeIds: [TARGET_ID] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Cannot merge a company into itself');
+    });
+
+    it('should roll back on database error', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post(`/api/companies/${TARGET_ID}/merge`)
+        .send({ mergeIds: [DUPLICATE_ID] })
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to merge companies');
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/companies/:id', () => {
+    it('should delete the company', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: TARGET_ID }] });
+
+      await request(app).delete(`/api/companies/${TARGET_ID}`).expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([TARGET_ID, 'user-1']);
+    });
+  });
+});
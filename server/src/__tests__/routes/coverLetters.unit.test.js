@@ -0,0 +1,221 @@
+/**
+ * Cover Letter Routes Unit Tests
+ * Tests cover letter CRUD and template generation with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const coverLetterRoutes = require('../../routes/coverLetters');
+
+const TEMPLATE_ID = '66666666-6666-4666-8666-666666666666';
+const JD_ID = '77777777-7777-4777-8777-777777777777';
+
+const template = {
+  id: TEMPLATE_ID,
+  user_id: 'user-1',
+  title: 'Standard',
+  content: 'Dear {{recruiter.name}},\n\nI am applying for {{job.title}} at {{company.name}}.\n\n{{user.name}}',
+  is_template: true,
+};
+
+const jdRow = {
+  title: 'Platform Engineer',
+  company: 'Acme (from posting)',
+  location: 'Remote',
+  company_name: 'Acme',
+  company_industry: 'Software',
+  company_location: null,
+  company_website: null,
+  recruiter_name: 'Sam Lee',
+  recruiter_title: null,
+  recruiter_email: null,
+  user_name: 'Jane Doe',
+  user_email: 'jane@example.com',
+};
+
+describe('Cover Letter Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/cover-letters', coverLetterRoutes);
+  });
+
+  describe('GET /api/cover-letters', () => {
+    it('should list templates only when requested', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [template] });
+
+      const response = await request(app).get('/api/cover-letters?is_template=true').expect(200);
+
+      expect(response.body.coverLetters).toEqual([template]);
+      expect(mockQuery.mock.calls[0][0]).toContain('is_template = $2');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1', true]);
+    });
+
+    it('should list everything without a filter', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/cover-letters').expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1']);
+    });
+  });
+
+  describe('GET /api/cover-letters/placeholders', () => {
+    it('should list supported placeholders', async () => {
+      const response = await request(app).get('/api/cover-letters/placeholders').expect(200);
+
+      const names = response.body.placeholders.map((p) => p.placeholder);
+      expect(names).toEqual(expect.arrayContaining(['{{company.name}}', '{{job.title}}', '{{recruiter.name}}']));
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/cover-letters', () => {
+    it('should create a template', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [template] });
+
+      const response = await request(app)
+        .post('/api/cover-letters')
+        .send({ title: 'Standard', content: template.content, isTemplate: true })
+        .expect(201);
+
+      expect(response.body.message).toBe('Template created successfully');
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('INSERT INTO cover_letters (user_id, title, content, is_template)');
+      expect(params).toEqual(['user-1', 'Standard', template.content, true]);
+    });
+
+    it('should require a title', async () => {
+      const response = await request(app)
+        .post('/api/cover-letters')
+        .send({ content: 'Hello', isTemplate: 'yes' })
+        .expect(400);
+
+      const messages = response.body.errors.map((e) => e.msg);
+      expect(messages).toContain('Cover letter title is required');
+      expect(messages).toContain('Template must be true or false');
+    });
+  });
+
+  describe('POST /api/cover-letters/:id/generate', () => {
+    it('should merge the job description into a new non-template letter', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [template] })
+        .mockResolvedValueOnce({ rows: [jdRow] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ id: 'letter-1', title: params[1], content: params[2], is_template: false }],
+        }));
+
+      const response = await request(app)
+        .post(`/api/cover-letters/${TEMPLATE_ID}/generate`)
+        .send({ jobDescriptionId: JD_ID })
+        .expect(201);
+
+      expect(response.body.coverLetter.content).toBe(
+        'Dear Sam Lee,\n\nI am applying for Platform Engineer at Acme.\n\nJane Doe'
+      );
+      expect(response.body.coverLetter.title).toBe('Platform Engineer at Acme - Standard');
+      expect(response.body.unresolved).toEqual([]);
+      expect(mockQuery.mock.calls[1][1]).toEqual([JD_ID, 'user-1']);
+      expect(mockQuery.mock.calls[2][0]).toContain('VALUES ($1, $2, $3, false, true)');
+    });
+
+    it('should leave placeholders without data in place and report them', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [template] })
+        .mockResolvedValueOnce({ rows: [{ ...jdRow, company_name: null, recruiter_name: null }] })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: 'letter-1', content: params[2] }] }));
+
+      const response = await request(app)
+        .post(`/api/cover-letters/${TEMPLATE_ID}/generate`)
+        .send({ jobDescriptionId: JD_ID, title: 'Acme letter' })
+        .expect(201);
+
+      expect(response.body.coverLetter.content).toContain('Dear {{recruiter.name}},');
+      expect(response.body.coverLetter.content).toContain('at Acme (from posting).');
+      expect(response.body.unresolved).toEqual(['recruiter.name']);
+      expect(mockQuery.mock.calls[2][1][1]).toBe('Acme letter');
+    });
+
+    it('should only generate from templates', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...template, is_template: false }] });
+
+      const response = await request(app)
+        .post(`/api/cover-letters/${TEMPLATE_ID}/generate`)
+        .send({ jobDescriptionId: JD_ID })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Cover letter is not a template');
+    });
+
+    it('should return 404 for a job description owned by someone else', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [template] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/cover-letters/${TEMPLATE_ID}/generate`)
+        .send({ jobDescriptionId: JD_ID })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Job description not found');
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require a job description ID', async () => {
+      const response = await request(app)
+        .post(`/api/cover-letters/${TEMPLATE_ID}/generate`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('A valid job description ID is required');
+    });
+  });
+
+  describe('PUT /api/cover-letters/:id', () => {
+    it('should update letter content', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID, content: 'Edited' }] });
+
+      const response = await request(app)
+        .put(`/api/cover-letters/${TEMPLATE_ID}`)
+        .send({ content: 'Edited' })
+        .expect(200);
+
+      expect(response.body.coverLetter.content).toBe('Edited');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['Edited', TEMPLATE_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put(`/api/cover-letters/${TEMPLATE_ID}`).send({ content: 'x' }).expect(404);
+    });
+  });
+
+  describe('DELETE /api/cover-letters/:id', () => {
+    it('should delete the cover letter', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: TEMPLATE_ID }] });
+
+      await request(app).delete(`/api/cover-letters/${TEMPLATE_ID}`).expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([TEMPLATE_ID, 'user-1']);
+    });
+  });
+});
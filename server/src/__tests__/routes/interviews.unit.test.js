@@ -0,0 +1,263 @@
+/**
+ * Interview Routes Unit Tests
+ * Tests interview scheduling and interviewer links with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockClientQuery = jest.fn();
+const mockRelease = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+  getClient: jest.fn(async () => ({ query: mockClientQuery, release: mockRelease })),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const interviewRoutes = require('../../routes/interviews');
+
+const INTERVIEW_ID = '88888888-8888-4888-8888-888888888888';
+const JD_ID = '11111111-1111-4111-8111-111111111111';
+const RECRUITER_ID = '33333333-3333-4333-8333-333333333333';
+const OTHER_RECRUITER_ID = '99999999-9999-4999-8999-999999999999';
+
+const interviewRow = {
+  id: INTERVIEW_ID,
+  job_description_id: JD_ID,
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  round: 2,
+  interview_type: 'technical',
+  scheduled_at: '2024-06-10T15:00:00.000Z',
+  outcome: 'pending',
+  interviewers: [{ id: RECRUITER_ID, name: 'Sam Lee', title: 'Engineering Manager' }],
+};
+
+describe('Interview Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockClientQuery.mockReset();
+    mockRelease.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/interviews', interviewRoutes);
+  });
+
+  describe('GET /api/interviews', () => {
+    it('should list the user\'s interviews in a date range for one job', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [interviewRow] });
+
+      const response = await request(app)
+        .get(`/api/interviews?job_description_id=${JD_ID}&from=2024-06-01&to=2024-07-01`)
+        .expect(200);
+
+      expect(response.body.interviews).toEqual([interviewRow]);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('i.user_id = $1');
+      expect(sql).toContain('i.job_description_id = $2');
+      expect(sql).toContain('i.scheduled_at >= $3');
+      expect(sql).toContain('i.scheduled_at < $4');
+      expect(sql).toContain('ORDER BY i.scheduled_at ASC NULLS LAST');
+      expect(params).toEqual(['user-1', JD_ID, '2024-06-01', '2024-07-01']);
+    });
+
+    it('should only show upcoming interviews when asked', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/interviews?upcoming=true').expect(200);
+
+      expect(mockQuery.mock.calls[0][0]).toContain('i.scheduled_at >= CURRENT_TIMESTAMP');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1']);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app).get('/api/interviews?job_description_id=abc&from=soon').expect(400);
+
+      expect(response.body.errors.map((e) => e.msg)).toEqual(['Invalid job description ID', 'From must be a valid date']);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/interviews/:id', () => {
+    it('should return the interview', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [interviewRow] });
+
+      const response = await request(app).get(`/api/interviews/${INTERVIEW_ID}`).expect(200);
+
+      expect(response.body.interview).toEqual(interviewRow);
+      expect(mockQuery.mock.calls[0][1]).toEqual([INTERVIEW_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/interviews/${INTERVIEW_ID}`).expect(404);
+    });
+  });
+
+  describe('POST /api/interviews', () => {
+    it('should schedule the next round with its interviewers', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // job description owned
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] }) // recruiters owned
+        .mockResolvedValueOnce({ rows: [{ next_round: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: INTERVIEW_ID }] }) // INSERT
+        .mockResolvedValueOnce({}) // DELETE interviewers
+        .mockResolvedValueOnce({}) // INSERT interviewers
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [interviewRow] });
+
+      const response = await request(app)
+        .post('/api/interviews')
+        .send({
+          jobDescriptionId: JD_ID,
+          interviewType: 'technical',
+          scheduledAt: '2024-06-10T15:00:00Z',
+          location: '',
+          interviewerIds: [RECRUITER_ID, RECRUITER_ID],
+        })
+        .expect(201);
+
+      expect(response.body.message).toBe('Interview scheduled successfully');
+      expect(response.body.interview).toEqual(interviewRow);
+
+      const [insertSql, insertParams] = mockClientQuery.mock.calls[4];
+      expect(insertSql).toContain('INSERT INTO interviews (user_id, job_description_id, interview_type, scheduled_at, round)');
+      expect(insertParams).toEqual(['user-1', JD_ID, 'technical', '2024-06-10T15:00:00Z', 2]);
+      expect(mockClientQuery.mock.calls[6][1]).toEqual([INTERVIEW_ID, [RECRUITER_ID]]);
+      expect(mockClientQuery.mock.calls[7][0]).toBe('COMMIT');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should reject interviewers that are not the user\'s recruiters', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .post('/api/interviews')
+        .send({ jobDescriptionId: JD_ID, interviewerIds: [RECRUITER_ID, OTHER_RECRUITER_ID] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Recruiter not found');
+      expect(mockClientQuery.mock.calls[2][1]).toEqual([[RECRUITER_ID, OTHER_RECRUITER_ID], 'user-1']);
+      expect(mockClientQuery).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should reject another user\'s job description', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/interviews')
+        .send({ jobDescriptionId: JD_ID })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Job description not found');
+    });
+
+    it('should validate the request', async () => {
+      const response = await request(app)
+        .post('/api/interviews')
+        .send({ interviewType: 'coffee', outcome: 'great', round: 25, interviewerIds: 'sam' })
+        .expect(400);
+
+      const messages = response.body.errors.map((e) => e.msg);
+      expect(messages).toContain('A valid job description ID is required');
+      expect(messages).toContain('Round must be between 1 and 20');
+      expect(messages).toEqual(expect.arrayContaining([expect.stringContaining('Interview type must be one of')]));
+      expect(messages).toEqual(expect.arrayContaining([expect.stringContaining('Outcome must be one of')]));
+      expect(messages).toContain('Interviewers must be a list of recruiter IDs');
+      expect(mockClientQuery).not.toHaveBeenCalled();
+    });
+
+    it('should roll back on database error', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/interviews')
+        .send({ jobDescriptionId: JD_ID })
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to create interview');
+      expect(mockClientQuery).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/interviews/:id', () => {
+    it('should record the outcome and replace the interviewers', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: INTERVIEW_ID }] }) // owned
+        .mockResolvedValueOnce({ rows: [] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE interviewers
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...interviewRow, outcome: 'passed', interviewers: [] }] });
+
+      const response = await request(app)
+        .put(`/api/interviews/${INTERVIEW_ID}`)
+        .send({ outcome: 'passed', feedback: 'Went well', interviewerIds: [] })
+        .expect(200);
+
+      expect(response.body.interview.outcome).toBe('passed');
+      const [sql, params] = mockClientQuery.mock.calls[2];
+      expect(sql).toBe('UPDATE interviews SET outcome = $1, feedback = $2 WHERE id = $3');
+      expect(params).toEqual(['passed', 'Went well', INTERVIEW_ID]);
+      expect(mockClientQuery.mock.calls[3][0]).toContain('DELETE FROM interview_interviewers');
+      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+    });
+
+    it('should return 400 when there is nothing to update', async () => {
+      const response = await request(app).put(`/api/interviews/${INTERVIEW_ID}`).send({}).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No fields to update');
+      expect(mockClientQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      await request(app).put(`/api/interviews/${INTERVIEW_ID}`).send({ outcome: 'failed' }).expect(404);
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/interviews/:id', () => {
+    it('should delete the interview', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: INTERVIEW_ID }] });
+
+      const response = await request(app).delete(`/api/interviews/${INTERVIEW_ID}`).expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Interview deleted successfully');
+      expect(mockQuery.mock.calls[0][1]).toEqual([INTERVIEW_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete(`/api/interviews/${INTERVIEW_ID}`).expect(404);
+    });
+  });
+});
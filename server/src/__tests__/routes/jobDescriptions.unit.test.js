@@ -0,0 +1,1498 @@
+/**
+ * Job Description Routes Unit Tests
+ * Tests job description route handlers with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockClientQuery = jest.fn();
+const mockRelease = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+  getClient: jest.fn(async () => ({ query: mockClientQuery, release: mockRelease })),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const jobDescriptionRoutes = require('../../routes/jobDescriptions');
+
+const JD_ID = '11111111-1111-4111-8111-111111111111';
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_JD_ID = '44444444-4444-4444-8444-444444444444';
+const SOURCE_ID = '13131313-1313-4131-8131-131313131313';
+
+const savedRow = {
+  id: JD_ID,
+  user_id: 'user-1',
+  title: 'Senior Engineer',
+  job_title: 'Senior Engineer',
+  date: '2024-06-01',
+  contact_info: 'jane@example.com',
+  job_info: 'Remote',
+  consulting_rate: '$95/hr',
+  consulting_period: '6 months',
+  description: 'Build things',
+  status: 'saved',
+};
+
+describe('Job Description Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockClientQuery.mockReset();
+    mockRelease.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/job-descriptions', jobDescriptionRoutes);
+  });
+
+  describe('GET /api/job-descriptions', () => {
+    it('should list only the current user\'s job descriptions', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [savedRow] });
+
+      const response = await request(app).get('/api/job-descriptions').expect(200);
+
+      expect(response.body.jobDescriptions).toEqual([savedRow]);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('WHERE jd.user_id = $1');
+      expect(params).toEqual(['user-1']);
+    });
+
+    it('should filter and sort by effective annual rate', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/job-descriptions?min_annual_rate=150000&max_annual_rate=250000&engagement_type=w2&rate_unit=hour&sort_by=effective_annual_rate&sort_order=desc')
+        .expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('jd.effective_annual_rate >= $2');
+      expect(sql).toContain('jd.effective_annual_rate <= $3');
+      expect(sql).toContain('jd.engagement_type = $4');
+      expect(sql).toContain('jd.rate_unit = $5');
+      expect(sql).toContain('ORDER BY jd.effective_annual_rate DESC NULLS LAST');
+      expect(params).toEqual(['user-1', 150000, 250000, 'w2', 'hour']);
+    });
+
+    it('should filter by status, work setup, source, company, pay and date found', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      const SOURCE_ID = '33333333-3333-4333-8333-333333333333';
+      const COMPANY_ID = '44444444-4444-4444-8444-444444444444';
+
+      await request(app)
+        .get(`/api/job-descriptions?status=applied&remote_policy=remote&job_type=contract&source_id=${SOURCE_ID}`
+          + `&company_id=${COMPANY_ID}&min_salary=120000&min_rate=100&rate_unit=hour&found_within_days=30`
+          + '&max_salary=&sort_by=company&sort_order=asc')
+        .expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('COALESCE(jd.salary_range_max, jd.salary_range_min) >= $2');
+      expect(sql).toContain('COALESCE(jd.rate_amount_max, jd.rate_amount) >= $3');
+      expect(sql).toContain('jd.rate_unit = $4');
+      expect(sql).toContain('jd.status = $5');
+      expect(sql).toContain('jd.remote_policy = $6');
+      expect(sql).toContain('jd.job_type = $7');
+      expect(sql).toContain('jd.source_id = $8');
+      expect(sql).toContain('jd.company_id = $9');
+      expect(sql).toContain('jd.date_found >= CURRENT_DATE - $10::int');
+      expect(sql).toContain('ORDER BY jd.company ASC NULLS LAST');
+      expect(params).toEqual([
+        'user-1', 120000, 100, 'hour', 'applied', 'remote', 'contract', SOURCE_ID, COMPANY_ID, 30,
+      ]);
+    });
+
+    it('should reject invalid list filters', async () => {
+      const response = await request(app)
+        .get('/api/job-descriptions?status=ghosted&remote_policy=moon&source_id=linkedin&found_within_days=0')
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.path)).toEqual([
+        'status', 'remote_policy', 'source_id', 'found_within_days',
+      ]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to date order for unknown sort columns', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/job-descriptions?sort_by=description;DROP').expect(200);
+
+      expect(mockQuery.mock.calls[0][0]).toContain('ORDER BY jd.date_found DESC NULLS LAST');
+    });
+
+    it('should reject invalid rate filters', async () => {
+      const response = await request(app)
+        .get('/api/job-descriptions?min_annual_rate=lots&engagement_type=salaried')
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.msg)).toEqual([
+        'Minimum annual rate must be a non-negative number',
+        'Engagement type must be one of: w2, 1099, c2c, contract_to_hire',
+      ]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/api/job-descriptions').expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to fetch job descriptions');
+    });
+  });
+
+  describe('GET /api/job-descriptions/export', () => {
+    const exportRow = {
+      ...savedRow,
+      company: 'Acme',
+      description: '=HYPERLINK("http://evil")',
+      keywords: ['go', 'postgresql'],
+      created_at: new Date('2024-06-01T12:00:00Z'),
+    };
+
+    it('should download the filtered list as CSV', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [exportRow] });
+
+      const response = await request(app)
+        .get('/api/job-descriptions/export?engagement_type=w2&sort_by=effective_annual_rate&sort_order=desc')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="job-descriptions-\d{4}-\d{2}-\d{2}\.csv"$/);
+      const [header, row] = response.text.replace(/^\uFEFF/, '').split('\r\n');
+      expect(header).toMatch(/^id,job_title,company,location,/);
+      expect(row).toContain(`${JD_ID},Senior Engineer,Acme,`);
+      expect(row).toContain('"\'=HYPERLINK(""http://evil"")"');
+      expect(row).toContain('go; postgresql');
+      expect(row).toContain('2024-06-01T12:00:00.000Z');
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('jd.engagement_type = $2');
+      expect(sql).toContain('ORDER BY jd.effective_annual_rate DESC NULLS LAST');
+      expect(params).toEqual(['user-1', 'w2']);
+    });
+
+    it('should download JSON', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [exportRow] });
+
+      const response = await request(app).get('/api/job-descriptions/export?format=json').expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/\.json"$/);
+      const records = JSON.parse(response.text);
+      expect(records[0]).toMatchObject({ id: JD_ID, job_title: 'Senior Engineer', keywords: ['go', 'postgresql'] });
+      // Internal columns are not exported
+      expect(records[0]).not.toHaveProperty('user_id');
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app).get('/api/job-descriptions/export?format=xlsx').expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Format must be one of: csv, json');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/job-descriptions/:id', () => {
+    it('should return the job description', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [savedRow] });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}`).expect(200);
+
+      expect(response.body.jobDescription).toEqual(savedRow);
+      expect(mockQuery.mock.calls[0][1]).toEqual([JD_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Job description not found');
+    });
+
+    it('should return 400 for a malformed ID', async () => {
+      const response = await request(app).get('/api/job-descriptions/not-a-uuid').expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid job description ID');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/job-descriptions', () => {
+    it('should map camelCase form fields to columns and return the saved row', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // INSERT
+        .mockResolvedValueOnce({ rows: [] }) // duplicate check
+        .mockResolvedValueOnce({ rows: [savedRow] }); // re-fetch
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({
+          date: '2024-06-01',
+          jobTitle: 'Senior Engineer',
+          contactInfo: 'jane@example.com',
+          jobInfo: 'Remote',
+          consultingRate: '$95/hr',
+          consultingPeriod: '6 months',
+          description: 'Build things',
+        })
+        .expect(201);
+
+      expect(response.body.jobDescription).toEqual(savedRow);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('INSERT INTO job_descriptions');
+      expect(sql).toContain('title');
+      expect(sql).toContain('date_found');
+      expect(sql).toContain('contact_info');
+      expect(params[0]).toBe('user-1');
+      expect(params).toContain('Senior Engineer');
+      expect(params).toContain('$95/hr');
+    });
+
+    it('should store the parsed consulting terms next to the raw text', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // INSERT
+        .mockResolvedValueOnce({ rows: [] }) // duplicate check
+        .mockResolvedValueOnce({ rows: [savedRow] }); // re-fetch
+
+      await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Senior Engineer', consultingRate: '$95/hr', consultingPeriod: '6 months W2' })
+        .expect(201);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      const columns = sql.match(/\(user_id, ([^)]+)\)/)[1].split(', ');
+      const stored = Object.fromEntries(columns.map((column, index) => [column, params[index + 1]]));
+      expect(stored).toMatchObject({
+        consulting_rate: '$95/hr',
+        consulting_period: '6 months W2',
+        rate_amount: 95,
+        rate_unit: 'hour',
+        rate_currency: 'USD',
+        contract_length_months: 6,
+        engagement_type: 'w2',
+        effective_annual_rate: 197600,
+      });
+      expect(columns).not.toContain('rate_amount_max');
+    });
+
+    it('should fill keywords from the description and return the analysis', async () => {
+      const description = 'Requirements:\n- 5+ years of React\n\nNice to have\n- GraphQL';
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...savedRow, description }] });
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Senior Engineer', description })
+        .expect(201);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('keywords');
+      expect(params).toContainEqual(['GraphQL', 'React']);
+      expect(response.body.analysis.required).toEqual(['React']);
+      expect(response.body.analysis.niceToHave).toEqual(['GraphQL']);
+      expect(response.body.analysis.yearsOfExperience).toEqual({ min: 5, max: null });
+      expect(response.body.analysis.seniority.level).toBe('senior');
+    });
+
+    it('should flag a likely duplicate of an existing posting', async () => {
+      const description = 'Build and operate our payments platform on Kubernetes with a small friendly team';
+      const existing = {
+        id: OTHER_JD_ID, title: 'Senior Engineer', company: 'Acme', company_id: null,
+        description, is_duplicate: false, dismissed_duplicate_ids: [],
+      };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({
+          rows: [existing, { ...existing, id: JD_ID, title: 'Senior Engineer (Remote)' }],
+        })
+        .mockResolvedValueOnce({ rows: [] }) // flag update
+        .mockResolvedValueOnce({ rows: [{ ...savedRow, is_duplicate: true, duplicate_of_id: OTHER_JD_ID }] });
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Senior Engineer (Remote)', company: 'Acme', description })
+        .expect(201);
+
+      expect(response.body.jobDescription.is_duplicate).toBe(true);
+      const [sql, params] = mockQuery.mock.calls[2];
+      expect(sql).toContain('SET is_duplicate = $1, duplicate_of_id = $2, similarity_score = $3');
+      expect(params).toEqual([true, OTHER_JD_ID, 0.92, JD_ID]);
+    });
+
+    it('should not flag against dismissed or already-duplicate postings', async () => {
+      const base = { title: 'Engineer', company: 'Acme', company_id: null, description: null };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { ...base, id: JD_ID, is_duplicate: false, dismissed_duplicate_ids: [OTHER_JD_ID] },
+            { ...base, id: OTHER_JD_ID, is_duplicate: false, dismissed_duplicate_ids: [] },
+            { ...base, id: COMPANY_ID, is_duplicate: true, dismissed_duplicate_ids: [] },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', company: 'Acme' })
+        .expect(201);
+
+      expect(mockQuery.mock.calls[2][1]).toEqual([false, null, null, JD_ID]);
+    });
+
+    it('should keep keywords sent by the client', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', description: 'React', keywords: ['Custom'] })
+        .expect(201);
+
+      expect(mockQuery.mock.calls[0][1]).toContainEqual(['Custom']);
+    });
+
+    it('should leave empty optional fields to database defaults', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', date: '', status: '', companyId: '' })
+        .expect(201);
+
+      const [sql] = mockQuery.mock.calls[0];
+      expect(sql).not.toContain('date_found');
+      expect(sql).not.toContain('status');
+      expect(sql).not.toContain('company_id');
+    });
+
+    it('should require a job title', async () => {
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ description: 'No title' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Job title is required');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid enum and date values', async () => {
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', status: 'ghosted', date: '06/01/2024' })
+        .expect(400);
+
+      const fields = response.body.errors.map((e) => e.path);
+      expect(fields).toEqual(expect.arrayContaining(['status', 'date']));
+    });
+
+    it('should reject a company the user does not own', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // company ownership check
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', companyId: COMPANY_ID })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Company not found');
+      expect(mockQuery.mock.calls[0][1]).toEqual([COMPANY_ID, 'user-1']);
+    });
+
+    it('should reject another user\'s custom source', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // source visibility check
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer', sourceId: SOURCE_ID })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Source not found');
+      expect(mockQuery.mock.calls[0][0]).toContain('user_id IS NULL OR user_id = $2');
+      expect(mockQuery.mock.calls[0][1]).toEqual([SOURCE_ID, 'user-1']);
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/job-descriptions')
+        .send({ jobTitle: 'Engineer' })
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to create job description');
+    });
+  });
+
+  describe('POST /api/job-descriptions/extract', () => {
+    it('should extract form fields without saving anything', async () => {
+      const content = [
+        'Platform Engineer at Acme',
+        'Location: Denver, CO (Hybrid)',
+        'Salary: $150,000 - $180,000 per year',
+        '',
+        'About the role',
+        'You will run the build and deploy tooling that every engineering team at Acme relies on.',
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/job-descriptions/extract')
+        .send({ content })
+        .expect(200);
+
+      expect(response.body.extracted).toMatchObject({
+        jobTitle: 'Platform Engineer',
+        company: 'Acme',
+        location: 'Denver, CO',
+        remotePolicy: 'hybrid',
+        salaryRangeMin: 150000,
+        salaryRangeMax: 180000,
+        salaryCurrency: 'USD',
+      });
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty posting', async () => {
+      const response = await request(app)
+        .post('/api/job-descriptions/extract')
+        .send({ content: '   ' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Paste a job posting to extract');
+    });
+  });
+
+  describe('POST /api/job-descriptions/import', () => {
+    const jsonLdPage = `<html><head>
+<link rel="canonical" href="https://www.linkedin.com/jobs/view/123">
+<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: 'Staff Engineer',
+    hiringOrganization: { '@type': 'Organization', name: 'Acme', sameAs: 'https://acme.com' },
+    employmentType: 'FULL_TIME',
+    baseSalary: { currency: 'USD', value: { minValue: 180000, maxValue: 210000, unitText: 'YEAR' } },
+    description: '<p>Build our Go services.</p>',
+  })}</script></head><body></body></html>`;
+
+    const mockImport = ({ companyExists = false } = {}) => {
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.includes('FROM job_description_sources')) {
+          return { rows: [{ id: 'source-linkedin', source_type: 'linkedin', source_name: 'LinkedIn' }] };
+        }
+        if (sql.includes('SELECT id, title, company')) return { rows: [] };
+        if (sql.includes('UPDATE job_descriptions')) return { rows: [] };
+        return { rows: [{ ...savedRow, title: 'Staff Engineer' }] };
+      });
+      mockClientQuery.mockImplementation(async (sql) => {
+        if (sql.includes('FROM companies')) {
+          return { rows: companyExists ? [{ id: COMPANY_ID, name: 'ACME' }] : [] };
+        }
+        if (sql.includes('INSERT INTO companies')) return { rows: [{ id: COMPANY_ID, name: 'Acme' }] };
+        if (sql.includes('INSERT INTO job_descriptions')) return { rows: [{ id: JD_ID }] };
+        return { rows: [] };
+      });
+    };
+
+    it('should import a JobPosting, creating the company and picking the source', async () => {
+      mockImport();
+
+      const response = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from(jsonLdPage), 'staff-engineer.html')
+        .expect(201);
+
+      expect(response.body.message).toBe('Imported 1 of 1 job postings');
+      expect(response.body.imported[0]).toMatchObject({
+        fileName: 'staff-engineer.html',
+        method: 'json_ld',
+        url: 'https://www.linkedin.com/jobs/view/123',
+        company: { id: COMPANY_ID, name: 'Acme', created: true },
+        source: { id: 'source-linkedin', source_name: 'LinkedIn' },
+      });
+
+      const companyInsert = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO companies'));
+      expect(companyInsert[1]).toEqual(['user-1', 'Acme', 'https://acme.com']);
+
+      const [sql, params] = mockClientQuery.mock.calls.find(([query]) => query.includes('INSERT INTO job_descriptions'));
+      const columns = sql.match(/\(user_id, ([^)]*)\)/)[1].split(', ');
+      const valueOf = (column) => params[columns.indexOf(column) + 1];
+      expect(valueOf('title')).toBe('Staff Engineer');
+      expect(valueOf('company_id')).toBe(COMPANY_ID);
+      expect(valueOf('source_id')).toBe('source-linkedin');
+      expect(valueOf('job_type')).toBe('full_time');
+      expect(valueOf('salary_range_min')).toBe(180000);
+      expect(valueOf('effective_annual_rate')).toBe(195000);
+      expect(valueOf('keywords')).toContain('Go');
+      expect(mockClientQuery).toHaveBeenCalledWith('COMMIT');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should reuse a company with the same name', async () => {
+      mockImport({ companyExists: true });
+
+      const response = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from(jsonLdPage), 'staff-engineer.html')
+        .expect(201);
+
+      expect(response.body.imported[0].company).toEqual({ id: COMPANY_ID, name: 'ACME', created: false });
+      expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO companies'))).toBe(false);
+    });
+
+    it('should report pages that cannot be imported alongside the ones that can', async () => {
+      mockImport();
+
+      const response = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from(jsonLdPage), 'good.html')
+        .attach('files', Buffer.from('<html><body></body></html>'), 'empty.html')
+        .expect(201);
+
+      expect(response.body.imported).toHaveLength(1);
+      expect(response.body.failed).toEqual([{ fileName: 'empty.html', error: 'No job title found in the page' }]);
+    });
+
+    it('should roll back a page whose insert fails', async () => {
+      mockImport();
+      mockClientQuery.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO job_descriptions')) throw new Error('boom');
+        return { rows: [{ id: COMPANY_ID, name: 'Acme' }] };
+      });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from(jsonLdPage), 'staff-engineer.html')
+        .expect(400);
+
+      expect(response.body.error).toBe('No job postings could be imported');
+      expect(response.body.failed).toEqual([{ fileName: 'staff-engineer.html', error: 'Failed to import job posting' }]);
+      expect(mockClientQuery).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    it('should report a committed page as imported when duplicate flagging fails', async () => {
+      mockImport();
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.includes('FROM job_description_sources')) return { rows: [] };
+        if (sql.includes('SELECT id, title, company')) throw new Error('flagging failed');
+        return { rows: [{ ...savedRow, title: 'Staff Engineer' }] };
+      });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from(jsonLdPage), 'staff-engineer.html')
+        .expect(201);
+
+      expect(response.body.imported).toHaveLength(1);
+      expect(response.body.failed).toEqual([]);
+      expect(mockClientQuery).toHaveBeenCalledWith('COMMIT');
+      expect(mockClientQuery).not.toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+      consoleSpy.mockRestore();
+    });
+
+    it('should require at least one HTML file', async () => {
+      const response = await request(app).post('/api/job-descriptions/import').expect(400);
+      expect(response.body.error).toBe('Choose at least one saved HTML page');
+
+      const wrongType = await request(app)
+        .post('/api/job-descriptions/import')
+        .attach('files', Buffer.from('%PDF'), 'posting.pdf')
+        .expect(400);
+      expect(wrongType.body.error).toBe('File must be one of: html, htm');
+    });
+
+    it('should limit how many pages are imported at once', async () => {
+      let upload = request(app).post('/api/job-descriptions/import');
+      for (let i = 0; i <= 20; i += 1) {
+        upload = upload.attach('files', Buffer.from(jsonLdPage), `page-${i}.html`);
+      }
+
+      const response = await upload.expect(400);
+      expect(response.body.error).toBe('Import at most 20 pages at a time');
+    });
+  });
+
+  describe('POST /api/job-descriptions/bulk-import', () => {
+    const csv = [
+      'Job Title,Company,Type,Salary Min,Date Found,Spreadsheet Notes',
+      'Data Engineer,Initech,Full-time,"$120,000",2024-05-01,Referred by Sam',
+      'Platform Engineer,Hooli,Contract,,05/02/2024,',
+      ',Globex,Remote,,,',
+    ].join('\r\n');
+    const validCsv = csv.split('\r\n').slice(0, 2).join('\r\n');
+
+    const mockBulkInsert = () => {
+      let nextId = 0;
+      mockClientQuery.mockImplementation(async (sql) => (
+        sql.includes('INSERT INTO job_descriptions') ? { rows: [{ id: `jd-${++nextId}` }] } : { rows: [] }
+      ));
+      mockQuery.mockResolvedValue({ rows: [] });
+    };
+
+    describe('preview', () => {
+      it('should suggest a mapping and report every row\'s errors without saving', async () => {
+        const response = await request(app)
+          .post('/api/job-descriptions/bulk-import/preview')
+          .attach('file', Buffer.from(csv), 'search-2023.csv')
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          format: 'csv',
+          columns: ['Job Title', 'Company', 'Type', 'Salary Min', 'Date Found', 'Spreadsheet Notes'],
+          mapping: {
+            'Job Title': 'jobTitle',
+            Company: 'company',
+            Type: 'jobType',
+            'Salary Min': 'salaryRangeMin',
+            'Date Found': 'date',
+            'Spreadsheet Notes': null,
+          },
+          rowCount: 3,
+        });
+        expect(response.body.fields).toContainEqual({ field: 'notes', label: 'Notes' });
+        expect(response.body.rows[0]).toEqual({
+          jobTitle: 'Data Engineer',
+          company: 'Initech',
+          jobType: 'full_time',
+          salaryRangeMin: '120000',
+          date: '2024-05-01',
+        });
+        expect(response.body.errors.map(({ row }) => row)).toEqual([2, 3]);
+        expect(response.body.errors[0].errors[0]).toMatchObject({ path: 'date', msg: 'Date must be a valid date (YYYY-MM-DD)' });
+        expect(response.body.errors[1].errors.map(({ path }) => path)).toEqual(['jobTitle', 'jobType']);
+        expect(mockQuery).not.toHaveBeenCalled();
+        expect(mockClientQuery).not.toHaveBeenCalled();
+      });
+
+      it('should use the mapping sent by the client', async () => {
+        const response = await request(app)
+          .post('/api/job-descriptions/bulk-import/preview')
+          .field('mapping', JSON.stringify({ 'Job Title': 'jobTitle', 'Spreadsheet Notes': 'notes' }))
+          .attach('file', Buffer.from(validCsv), 'search-2023.csv')
+          .expect(200);
+
+        expect(response.body.rows).toEqual([{ jobTitle: 'Data Engineer', notes: 'Referred by Sam' }]);
+        expect(response.body.errors).toEqual([]);
+      });
+
+      it('should require a column mapped to the job title', async () => {
+        const response = await request(app)
+          .post('/api/job-descriptions/bulk-import/preview')
+          .field('mapping', JSON.stringify({ Company: 'company' }))
+          .attach('file', Buffer.from(csv), 'search-2023.csv')
+          .expect(400);
+
+        expect(response.body.error).toBe('Map a column to the job title');
+      });
+
+      it('should reject files it cannot read', async () => {
+        const unreadable = await request(app)
+          .post('/api/job-descriptions/bulk-import/preview')
+          .attach('file', Buffer.from('{"title": '), 'export.json')
+          .expect(400);
+        expect(unreadable.body.error).toBe('The file is not valid JSON');
+
+        const wrongType = await request(app)
+          .post('/api/job-descriptions/bulk-import/preview')
+          .attach('file', Buffer.from('a'), 'search.xlsx')
+          .expect(400);
+        expect(wrongType.body.error).toBe('File must be one of: csv, json');
+
+        const missing = await request(app).post('/api/job-descriptions/bulk-import/preview').expect(400);
+        expect(missing.body.error).toBe('Choose a CSV or JSON file to import');
+      });
+    });
+
+    it('should insert every row in one transaction', async () => {
+      mockBulkInsert();
+      const exported = [
+        { id: OTHER_JD_ID, job_title: 'Staff Engineer', company: 'Acme', consulting_rate: '$95/hr', keywords: ['go'] },
+        { id: JD_ID, job_title: 'SRE', status: 'Applied', description: 'Run Kubernetes and Go services' },
+      ];
+
+      const response = await request(app)
+        .post('/api/job-descriptions/bulk-import')
+        .attach('file', Buffer.from(JSON.stringify(exported)), 'job-descriptions.json')
+        .expect(201);
+
+      expect(response.body).toEqual({ message: 'Imported 2 job descriptions', count: 2, ids: ['jd-1', 'jd-2'] });
+      const statements = mockClientQuery.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      expect(statements).toEqual([
+        'BEGIN',
+        'INSERT INTO job_descriptions',
+        'INSERT INTO job_descriptions',
+        'COMMIT',
+      ]);
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+
+      const [, firstParams] = mockClientQuery.mock.calls[1];
+      expect(firstParams).toEqual(expect.arrayContaining(['user-1', 'Staff Engineer', 'Acme', '$95/hr', 'hour']));
+      const [secondSql, secondParams] = mockClientQuery.mock.calls[2];
+      const columns = secondSql.match(/\(user_id, ([^)]*)\)/)[1].split(', ');
+      expect(secondParams[columns.indexOf('status') + 1]).toBe('applied');
+      expect(secondParams[columns.indexOf('keywords') + 1]).toEqual(['Go', 'Kubernetes']);
+      // The new rows are checked for duplicates after the commit, loading the postings once
+      expect(mockQuery.mock.calls.filter(([sql]) => sql.includes('FROM job_descriptions'))).toHaveLength(1);
+    });
+
+    it('should check new rows against each other without reloading the postings', async () => {
+      mockBulkInsert();
+      const description = 'Build and operate our payments platform on Kubernetes with a small friendly team';
+      mockQuery.mockImplementation(async (sql) => (
+        sql.includes('FROM job_descriptions')
+          ? {
+            rows: ['jd-1', 'jd-2', 'jd-3'].map((id) => ({
+              id, title: 'Platform Engineer', company: 'Hooli', company_id: null,
+              description, is_duplicate: false, dismissed_duplicate_ids: [],
+            })),
+          }
+          : { rows: [] }
+      ));
+      const rows = [1, 2, 3].map(() => ({ job_title: 'Platform Engineer', company: 'Hooli', description }));
+
+      await request(app)
+        .post('/api/job-descriptions/bulk-import')
+        .attach('file', Buffer.from(JSON.stringify(rows)), 'job-descriptions.json')
+        .expect(201);
+
+      const flags = mockQuery.mock.calls
+        .filter(([sql]) => sql.includes('SET is_duplicate'))
+        .map(([, params]) => params);
+      // Rows are checked in order; a row flagged earlier is not an original for later rows
+      expect(flags).toEqual([
+        [true, 'jd-2', 1, 'jd-1'],
+        [true, 'jd-3', 1, 'jd-2'],
+        [false, null, null, 'jd-3'],
+      ]);
+      expect(mockQuery.mock.calls.filter(([sql]) => sql.includes('FROM job_descriptions'))).toHaveLength(1);
+    });
+
+    it('should still return the imported ids when duplicate flagging fails', async () => {
+      mockBulkInsert();
+      mockQuery.mockRejectedValue(new Error('flagging failed'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/job-descriptions/bulk-import')
+        .attach('file', Buffer.from(validCsv), 'search-2023.csv')
+        .expect(201);
+
+      expect(response.body).toEqual({ message: 'Imported 1 job descriptions', count: 1, ids: ['jd-1'] });
+      expect(mockClientQuery).toHaveBeenCalledWith('COMMIT');
+      expect(mockClientQuery).not.toHaveBeenCalledWith('ROLLBACK');
+      expect(consoleSpy).toHaveBeenCalledWith('Flag duplicates error:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+
+    it('should save nothing when any row is invalid', async () => {
+      const response = await request(app)
+        .post('/api/job-descriptions/bulk-import')
+        .attach('file', Buffer.from(csv), 'search-2023.csv')
+        .expect(400);
+
+      expect(response.body.error).toBe('2 rows have errors; nothing was imported');
+      expect(response.body.errors).toHaveLength(2);
+      expect(mockClientQuery).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when an insert fails', async () => {
+      mockClientQuery.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO job_descriptions')) throw new Error('db down');
+        return { rows: [] };
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/job-descriptions/bulk-import')
+        .attach('file', Buffer.from(validCsv), 'search-2023.csv')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to import job descriptions');
+      expect(mockClientQuery).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('PUT /api/job-descriptions/:id', () => {
+    it('should update only provided fields scoped to the owner', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ status: 'saved' }] }) // current status
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockResolvedValueOnce({ rows: [] }) // status history
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...savedRow, status: 'applied' }] });
+
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ status: 'applied', notes: 'Sent resume' })
+        .expect(200);
+
+      expect(response.body.jobDescription.status).toBe('applied');
+      expect(mockClientQuery.mock.calls[0][0]).toBe('BEGIN');
+      expect(mockClientQuery.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(mockClientQuery.mock.calls[1][1]).toEqual([JD_ID, 'user-1']);
+      const [sql, params] = mockClientQuery.mock.calls[2];
+      expect(sql).toContain('status = $1');
+      expect(sql).toContain('notes = $2');
+      expect(sql).toContain('WHERE id = $3 AND user_id = $4');
+      expect(params).toEqual(['applied', 'Sent resume', JD_ID, 'user-1']);
+      expect(mockClientQuery.mock.calls[3][0]).toContain('INSERT INTO job_description_events');
+      expect(mockClientQuery.mock.calls[3][1]).toEqual([JD_ID, 'user-1', 'saved', 'applied', null]);
+      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an illegal status change', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ status: 'rejected' }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ status: 'interviewing' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Cannot move from rejected to interviewing', allowed: [] });
+      expect(mockClientQuery).toHaveBeenCalledTimes(3);
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockQuery).not.toHaveBeenCalled();
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back the status change when recording it fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ status: 'saved' }] })
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockRejectedValueOnce(new Error('insert failed'))
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ status: 'applied' })
+        .expect(500);
+
+      expect(mockClientQuery.mock.calls[4][0]).toBe('ROLLBACK');
+      expect(mockClientQuery).not.toHaveBeenCalledWith('COMMIT');
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+      console.error.mockRestore();
+    });
+
+    it('should keep a saved update when duplicate flagging fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT id, title, company')) throw new Error('flagging failed');
+        if (sql.includes('UPDATE job_descriptions')) return { rows: [{ id: JD_ID }] };
+        return { rows: [{ ...savedRow, title: 'Staff Engineer' }] };
+      });
+
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ jobTitle: 'Staff Engineer' })
+        .expect(200);
+
+      expect(response.body.jobDescription.title).toBe('Staff Engineer');
+      expect(consoleSpy).toHaveBeenCalledWith('Flag duplicates error:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+
+    it('should not roll back a committed status change when reloading fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ status: 'saved' }] })
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockResolvedValueOnce({ rows: [] }) // status history
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockRejectedValueOnce(new Error('reload failed'));
+
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ status: 'applied' })
+        .expect(500);
+
+      expect(response.body.error).toBe('Job description was updated but could not be reloaded');
+      expect(mockClientQuery).toHaveBeenCalledWith('COMMIT');
+      expect(mockClientQuery).not.toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalledTimes(1);
+      consoleSpy.mockRestore();
+    });
+
+    it('should not record history when the status is unchanged', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ status: 'saved' }] })
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ status: 'saved' })
+        .expect(200);
+
+      expect(mockClientQuery).toHaveBeenCalledTimes(4);
+      expect(mockClientQuery.mock.calls[3][0]).toBe('COMMIT');
+      expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('job_description_events'))).toBe(false);
+    });
+
+    it('should re-parse the consulting terms against the saved rate', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ consulting_rate: '$95/hr', consulting_period: '6 months', salary_range_min: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ consultingPeriod: '12 months C2C' })
+        .expect(200);
+
+      expect(mockQuery.mock.calls[0][0]).toContain('SELECT consulting_rate, consulting_period');
+      expect(mockQuery.mock.calls[0][1]).toEqual([JD_ID, 'user-1']);
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('consulting_period = $1');
+      expect(sql).toContain('rate_amount = $2');
+      expect(params).toEqual(expect.arrayContaining(['12 months C2C', 95, 'hour', 12, 'c2c', 197600]));
+    });
+
+    it('should not re-parse when no rate or salary field changes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] }) // UPDATE
+        .mockResolvedValueOnce({ rows: [savedRow] });
+
+      await request(app).put(`/api/job-descriptions/${JD_ID}`).send({ notes: 'Call back Monday' }).expect(200);
+
+      expect(mockQuery.mock.calls[0][0]).not.toContain('rate_amount');
+    });
+
+    it('should re-extract keywords when the description changes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...savedRow, description: 'Python and Django' }] });
+
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ description: 'Python and Django' })
+        .expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('keywords = $2');
+      expect(params[1]).toEqual(['Django', 'Python']);
+      expect(response.body.analysis.keywords).toEqual(['Django', 'Python']);
+    });
+
+    it('should return 400 when there is nothing to update', async () => {
+      const response = await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No fields to update');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put(`/api/job-descriptions/${JD_ID}`)
+        .send({ jobTitle: 'Updated' })
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/job-descriptions/:id/status', () => {
+    it('should move the job description and record the change', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID, status: 'applied' }] })
+        .mockResolvedValueOnce({ rows: [] }) // UPDATE
+        .mockResolvedValueOnce({ rows: [] }) // INSERT history
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...savedRow, status: 'interviewing' }] });
+
+      const response = await request(app)
+        .patch(`/api/job-descriptions/${JD_ID}/status`)
+        .send({ status: 'interviewing', note: 'Phone screen booked' })
+        .expect(200);
+
+      expect(response.body.jobDescription.status).toBe('interviewing');
+      expect(mockClientQuery.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(mockClientQuery.mock.calls[1][1]).toEqual([JD_ID, 'user-1']);
+      expect(mockClientQuery.mock.calls[2][1]).toEqual(['interviewing', JD_ID]);
+      expect(mockClientQuery.mock.calls[3][1]).toEqual([JD_ID, 'user-1', 'applied', 'interviewing', 'Phone screen booked']);
+      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should reject an illegal transition with the allowed moves', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID, status: 'saved' }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .patch(`/api/job-descriptions/${JD_ID}/status`)
+        .send({ status: 'accepted' })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Cannot move from saved to accepted',
+        allowed: ['interested', 'applied', 'rejected', 'withdrawn'],
+      });
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should validate the status', async () => {
+      const response = await request(app)
+        .patch(`/api/job-descriptions/${JD_ID}/status`)
+        .send({ status: 'ghosted' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toContain('Status must be one of');
+      expect(mockClientQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      await request(app)
+        .patch(`/api/job-descriptions/${JD_ID}/status`)
+        .send({ status: 'applied' })
+        .expect(404);
+    });
+
+    it('should roll back on database error', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .patch(`/api/job-descriptions/${JD_ID}/status`)
+        .send({ status: 'applied' })
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to update status');
+      expect(mockClientQuery).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/job-descriptions/:id/status-history', () => {
+    it('should list the status changes oldest first', async () => {
+      const history = [
+        { id: 'h1', from_status: 'saved', to_status: 'applied', note: null, changed_at: '2024-06-02T10:00:00.000Z' },
+      ];
+      mockQuery
+        .mockResolvedValueOnce({ rows: [savedRow] })
+        .mockResolvedValueOnce({ rows: history });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/status-history`).expect(200);
+
+      expect(response.body.history).toEqual(history);
+      expect(mockQuery.mock.calls[1][0]).toContain("event_type = 'status_change'");
+      expect(mockQuery.mock.calls[1][0]).toContain('ORDER BY occurred_at ASC');
+      expect(mockQuery.mock.calls[1][1]).toEqual([JD_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/job-descriptions/${JD_ID}/status-history`).expect(404);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /api/job-descriptions/:id/timeline', () => {
+    it('should list events newest first with the actor', async () => {
+      const events = [
+        { id: 'e2', event_type: 'note', description: 'Follow up Friday', actor_name: 'Jane Doe' },
+        { id: 'e1', event_type: 'status_change', from_status: 'saved', to_status: 'applied', actor_name: 'Jane Doe' },
+      ];
+      mockQuery
+        .mockResolvedValueOnce({ rows: [savedRow] })
+        .mockResolvedValueOnce({ rows: events });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/timeline`).expect(200);
+
+      expect(response.body).toEqual({ jobDescriptionId: JD_ID, events });
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('LEFT JOIN users a ON e.actor_id = a.id');
+      expect(sql).toContain('ORDER BY e.occurred_at DESC');
+      expect(params).toEqual([JD_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/job-descriptions/${JD_ID}/timeline`).expect(404);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/job-descriptions/:id/events', () => {
+    it('should add a contact with its details in metadata', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [savedRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 'e1', event_type: 'contact' }] });
+
+      const response = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/events`)
+        .send({
+          eventType: 'contact',
+          description: 'Intro call',
+          contactMethod: 'phone',
+          contactName: 'Sam Lee',
+          occurredAt: '2024-06-03T15:00:00Z',
+          document: 'resume',
+        })
+        .expect(201);
+
+      expect(response.body.event.id).toBe('e1');
+      expect(mockQuery.mock.calls[1][1]).toEqual([
+        JD_ID, 'user-1', 'contact', 'Intro call',
+        { contactMethod: 'phone', contactName: 'Sam Lee' },
+        '2024-06-03T15:00:00Z',
+      ]);
+    });
+
+    it('should record a document sent now when no time is given', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [savedRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 'e1' }] });
+
+      await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/events`)
+        .send({ eventType: 'document_sent', document: 'cover_letter' })
+        .expect(201);
+
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('COALESCE($6, CURRENT_TIMESTAMP)');
+      expect(params).toEqual([JD_ID, 'user-1', 'document_sent', null, { document: 'cover_letter' }, null]);
+    });
+
+    it('should not allow status changes or empty notes', async () => {
+      const statusChange = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/events`)
+        .send({ eventType: 'status_change' })
+        .expect(400);
+      expect(statusChange.body.errors[0].msg).toBe('Event type must be one of: note, contact, document_sent');
+
+      const emptyNote = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/events`)
+        .send({ eventType: 'note', description: '  ' })
+        .expect(400);
+      expect(emptyNote.body.errors[0].msg).toBe('Note text is required');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/events`)
+        .send({ eventType: 'note', description: 'Hi' })
+        .expect(404);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('DELETE /api/job-descriptions/:id/events/:eventId', () => {
+    const EVENT_ID = '55555555-5555-4555-8555-555555555555';
+
+    it('should delete a note', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: EVENT_ID, event_type: 'note' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete(`/api/job-descriptions/${JD_ID}/events/${EVENT_ID}`).expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([EVENT_ID, JD_ID, 'user-1']);
+      expect(mockQuery.mock.calls[1][1]).toEqual([EVENT_ID]);
+    });
+
+    it('should keep status changes', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: EVENT_ID, event_type: 'status_change' }] });
+
+      const response = await request(app)
+        .delete(`/api/job-descriptions/${JD_ID}/events/${EVENT_ID}`)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Status changes cannot be deleted');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for another user\'s event', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete(`/api/job-descriptions/${JD_ID}/events/${EVENT_ID}`).expect(404);
+    });
+  });
+
+  describe('GET /api/job-descriptions/:id/analysis', () => {
+    it('should analyze the saved description', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ ...savedRow, description: 'We use Kubernetes. Terraform is a plus.' }],
+      });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/analysis`).expect(200);
+
+      expect(response.body.analysis.required).toEqual(['Kubernetes']);
+      expect(response.body.analysis.niceToHave).toEqual(['Terraform']);
+      expect(response.body.analysis.seniority).toEqual({ level: 'senior', signals: ['Title mentions "Senior"'] });
+      expect(mockQuery.mock.calls[0][1]).toEqual([JD_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/analysis`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Job description not found');
+    });
+  });
+
+  describe('GET /api/job-descriptions/:id/resume-matches', () => {
+    const jdWithKeywords = {
+      ...savedRow,
+      keywords: ['React', 'Node.js', 'GraphQL'],
+      description: 'React and Node.js.\nGraphQL is a plus.',
+    };
+
+    it('should rank resumes and recommend the best match', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [jdWithKeywords] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'r1', title: 'Backend', version_number: 1, is_active: true, skills_highlighted: ['Node.js'], content_summary: '' },
+            { id: 'r2', title: 'Full Stack', version_number: 2, is_active: true, skills_highlighted: null, content_summary: 'Built React apps with NodeJS' },
+          ],
+        });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/resume-matches`).expect(200);
+
+      expect(response.body.keywords).toEqual(['React', 'Node.js', 'GraphQL']);
+      expect(response.body.recommendedResumeId).toBe('r2');
+      expect(response.body.matches[0]).toEqual({
+        resume: { id: 'r2', title: 'Full Stack', version_number: 2, is_active: true },
+        score: 80,
+        matchedKeywords: ['React', 'Node.js'],
+        missingKeywords: ['GraphQL'],
+      });
+      expect(response.body.matches[1].score).toBe(40);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1']);
+    });
+
+    it('should not recommend anything when nothing matches', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [jdWithKeywords] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 'r1', title: 'Chef', version_number: 1, is_active: true, content_summary: 'Cooking' }],
+        });
+
+      const response = await request(app).get(`/api/job-descriptions/${JD_ID}/resume-matches`).expect(200);
+
+      expect(response.body.matches[0].score).toBe(0);
+      expect(response.body.recommendedResumeId).toBeNull();
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/job-descriptions/${JD_ID}/resume-matches`).expect(404);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/job-descriptions/:id/dismiss-duplicate', () => {
+    it('should clear the flag and remember the dismissal', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...savedRow, is_duplicate: true, duplicate_of_id: OTHER_JD_ID }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...savedRow, is_duplicate: false }] });
+
+      const response = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/dismiss-duplicate`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Duplicate dismissed');
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('array_append(dismissed_duplicate_ids, $1)');
+      expect(params).toEqual([OTHER_JD_ID, JD_ID, 'user-1']);
+    });
+
+    it('should reject postings that are not flagged', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...savedRow, is_duplicate: false }] });
+
+      const response = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/dismiss-duplicate`)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Job description is not flagged as a duplicate');
+    });
+  });
+
+  describe('POST /api/job-descriptions/:id/merge-duplicate', () => {
+    const duplicate = {
+      id: JD_ID,
+      title: 'Senior Engineer (Remote)',
+      is_duplicate: true,
+      duplicate_of_id: OTHER_JD_ID,
+      location: 'Remote',
+      consulting_rate: null,
+      keywords: ['React', 'Go'],
+      notes: 'Recruiter called',
+    };
+    const original = {
+      id: OTHER_JD_ID,
+      title: 'Senior Engineer',
+      location: null,
+      consulting_rate: '$95/hr',
+      keywords: ['React'],
+      notes: null,
+    };
+
+    it('should fill the original from the duplicate and delete the duplicate', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [duplicate] })
+        .mockResolvedValueOnce({ rows: [original] })
+        .mockResolvedValueOnce({}) // UPDATE original
+        .mockResolvedValueOnce({}) // UPDATE interviews
+        .mockResolvedValueOnce({}) // UPDATE offers
+        .mockResolvedValueOnce({}) // UPDATE job_description_events
+        .mockResolvedValueOnce({}) // UPDATE reminders
+        .mockResolvedValueOnce({ rows: [] }) // unflag duplicates of the duplicate
+        .mockResolvedValueOnce({}) // DELETE duplicate
+        .mockResolvedValueOnce({}); // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...savedRow, id: OTHER_JD_ID }] });
+
+      const response = await request(app)
+        .post(`/api/job-descriptions/${JD_ID}/merge-duplicate`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Merged into Senior Engineer');
+      const [updateSql, updateParams] = mockClientQuery.mock.calls[3];
+      expect(updateSql).toContain('location = $1');
+      expect(updateSql).toContain('keywords = $2');
+      expect(updateSql).toContain('notes = $3');
+      expect(updateSql).not.toContain('consulting_rate');
+      expect(updateSql).not.toContain('rate_amount');
+      expect(updateParams).toEqual(['Remote', ['React', 'Go'], 'Recruiter called', OTHER_JD_ID]);
+      expect(mockClientQuery.mock.calls[9][0]).toContain('DELETE FROM job_descriptions');
+      expect(mockClientQuery.mock.calls[9][1]).toEqual([JD_ID, 'user-1']);
+      expect(mockClientQuery.mock.calls[10][0]).toBe('COMMIT');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should move interviews, offers, timeline and reminders to the original before deleting', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...duplicate, keywords: ['React'], notes: null, location: null }] })
+        .mockResolvedValueOnce({ rows: [original] })
+        .mockResolvedValue({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...savedRow, id: OTHER_JD_ID }] });
+
+      await request(app).post(`/api/job-descriptions/${JD_ID}/merge-duplicate`).expect(200);
+
+      const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+      const deleteIndex = statements.findIndex(sql => sql.includes('DELETE FROM job_descriptions'));
+      ['interviews', 'offers', 'job_description_events', 'reminders'].forEach((table) => {
+        const index = statements.indexOf(`UPDATE ${table} SET job_description_id = $1 WHERE job_description_id = $2`);
+        expect(index).toBeGreaterThan(0);
+        expect(index).toBeLessThan(deleteIndex);
+        expect(mockClientQuery.mock.calls[index][1]).toEqual([OTHER_JD_ID, JD_ID]);
+      });
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+    });
+
+    it('should unflag postings marked as duplicates of the deleted one and check them again', async () => {
+      const REPOST_ID = '55555555-5555-4555-8555-555555555555';
+      const mergedAway = { ...duplicate, keywords: ['React'], notes: null, location: null };
+      mockClientQuery.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM job_descriptions')) {
+          return { rows: [mockClientQuery.mock.calls.length === 2 ? mergedAway : original] };
+        }
+        if (sql.includes('WHERE duplicate_of_id = $1')) return { rows: [{ id: REPOST_ID }] };
+        return { rows: [] };
+      });
+      mockQuery.mockImplementation(async (sql) => (
+        sql.includes('SELECT id, title, company')
+          ? { rows: [{ id: REPOST_ID, title: 'Repost', company: null, description: null, is_duplicate: false }] }
+          : { rows: [{ ...savedRow, id: OTHER_JD_ID }] }
+      ));
+
+      await request(app).post(`/api/job-descriptions/${JD_ID}/merge-duplicate`).expect(200);
+
+      const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+      const unflagIndex = statements.findIndex(sql => sql.includes('WHERE duplicate_of_id = $1'));
+      expect(statements[unflagIndex]).toContain('SET is_duplicate = false, duplicate_of_id = NULL, similarity_score = NULL');
+      expect(mockClientQuery.mock.calls[unflagIndex][1]).toEqual([JD_ID, 'user-1']);
+      expect(unflagIndex).toBeLessThan(statements.findIndex(sql => sql.includes('DELETE FROM job_descriptions')));
+      // Checked again after the commit, outside the transaction
+      const reflag = mockQuery.mock.calls.find(([sql]) => sql.includes('SET is_duplicate = $1'));
+      expect(reflag[1]).toEqual([false, null, null, REPOST_ID]);
+    });
+
+    it('should roll back when the posting is not flagged', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...duplicate, is_duplicate: false }] })
+        .mockResolvedValueOnce({});
+
+      await request(app).post(`/api/job-descriptions/${JD_ID}/merge-duplicate`).expect(400);
+
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/job-descriptions/:id', () => {
+    it('should delete the job description', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: JD_ID }] });
+
+      const response = await request(app).delete(`/api/job-descriptions/${JD_ID}`).expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Job description deleted successfully');
+      expect(mockQuery.mock.calls[0][1]).toEqual([JD_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete(`/api/job-descriptions/${JD_ID}`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Notification Routes Unit Tests
+ * Tests the notification center (due reminders) with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const notificationRoutes = require('../../routes/notifications');
+
+const REMINDER_ID = '12121212-1212-4121-8121-121212121212';
+
+const notificationRow = {
+  id: REMINDER_ID,
+  title: 'Follow up with Acme',
+  due_at: '2025-02-01T09:00:00.000Z',
+  status: 'due',
+  read_at: null,
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+};
+
+describe('Notification Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/notifications', notificationRoutes);
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should list due reminders with the unread count', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [notificationRow] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .expect(200);
+
+      expect(response.body).toEqual({ notifications: [notificationRow], unreadCount: 1 });
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain("rm.user_id = $1 AND rm.status = 'due'");
+      expect(sql).toContain('ORDER BY rm.due_at DESC');
+      expect(params).toEqual(['user-1', 50]);
+      expect(mockQuery.mock.calls[1][0]).toContain('read_at IS NULL');
+    });
+  });
+
+  describe('POST /api/notifications/read-all', () => {
+    it('should mark every unread notification as read', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }, { id: 'other' }] });
+
+      const response = await request(app)
+        .post('/api/notifications/read-all')
+        .expect(200);
+
+      expect(response.body.updated).toBe(2);
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1']);
+    });
+  });
+
+  describe('POST /api/notifications/:id/read', () => {
+    it('should return 404 when the reminder is not a notification', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/notifications/${REMINDER_ID}/read`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Notification not found');
+    });
+  });
+
+  describe('POST /api/notifications/:id/snooze', () => {
+    it('should reschedule the reminder', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] });
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post(`/api/notifications/${REMINDER_ID}/snooze`)
+        .send({ until })
+        .expect(200);
+
+      expect(response.body.message).toBe('Reminder snoozed successfully');
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain("due_at = $3, status = 'scheduled', notified_at = NULL, read_at = NULL");
+      expect(params).toEqual([REMINDER_ID, 'user-1', until]);
+    });
+
+    it('should reject a time in the past', async () => {
+      const response = await request(app)
+        .post(`/api/notifications/${REMINDER_ID}/snooze`)
+        .send({ until: '2020-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Snooze until must be in the future');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/notifications/:id/complete', () => {
+    it('should complete the reminder', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] });
+
+      const response = await request(app)
+        .post(`/api/notifications/${REMINDER_ID}/complete`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Reminder completed successfully');
+      expect(mockQuery.mock.calls[0][0]).toContain("status = 'completed'");
+    });
+
+    it('should reject an invalid ID', async () => {
+      const response = await request(app)
+        .post('/api/notifications/not-a-uuid/complete')
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid notification ID');
+    });
+  });
+});
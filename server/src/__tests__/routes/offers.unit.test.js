@@ -0,0 +1,219 @@
+/**
+ * Offer Routes Unit Tests
+ * Tests offer CRUD and the annualized comparison with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const offerRoutes = require('../../routes/offers');
+
+const OFFER_ID = '77777777-7777-4777-8777-777777777777';
+const JD_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_JD_ID = '22222222-2222-4222-8222-222222222222';
+
+const offerRow = {
+  id: OFFER_ID,
+  job_description_id: JD_ID,
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  base_salary: '150000.00',
+  pay_period: 'year',
+  currency: 'USD',
+  bonus: '15000.00',
+  signing_bonus: '10000.00',
+  equity_value: null,
+  benefits_value: null,
+  start_date: '2024-08-01',
+  expiry_date: '2024-07-01',
+};
+
+describe('Offer Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/offers', offerRoutes);
+  });
+
+  describe('GET /api/offers', () => {
+    it('should list offers for one job with annualized compensation', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [offerRow] });
+
+      const response = await request(app).get(`/api/offers?job_description_id=${JD_ID}`).expect(200);
+
+      expect(response.body.offers[0].compensation).toMatchObject({ total: 165000, firstYear: 175000 });
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('o.job_description_id = $2');
+      expect(params).toEqual(['user-1', JD_ID]);
+    });
+
+    it('should reject an invalid job description filter', async () => {
+      await request(app).get('/api/offers?job_description_id=nope').expect(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/offers/comparison', () => {
+    it('should compare latest offers and estimate jobs without one', async () => {
+      mockQuery
+        .mockResolvedValueOnce({
+          rows: [
+            { id: JD_ID, job_title: 'Platform Engineer', status: 'offered', remote_policy: 'remote', company_rating: 4 },
+            {
+              id: OTHER_JD_ID,
+              job_title: 'Contract SRE',
+              status: 'offered',
+              remote_policy: 'hybrid',
+              consulting_rate: '$100',
+              consulting_period: 'hourly',
+            },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [offerRow] });
+
+      const response = await request(app).get('/api/offers/comparison').expect(200);
+
+      const [first, second] = response.body.comparison;
+      expect(first.offer.id).toBe(OFFER_ID);
+      expect(first.compensation).toMatchObject({ total: 165000, source: 'offer', estimated: false });
+      expect(second.offer).toBeNull();
+      expect(second.compensation).toMatchObject({
+        total: 208000,
+        currency: 'USD',
+        source: 'consulting_rate',
+        estimated: true,
+      });
+
+      const [jobsSql, jobsParams] = mockQuery.mock.calls[0];
+      expect(jobsSql).toContain('c.user_rating AS company_rating');
+      expect(jobsParams).toEqual(['user-1', ['rejected', 'withdrawn'], ['offered', 'accepted']]);
+      expect(mockQuery.mock.calls[1][0]).toContain('DISTINCT ON (o.job_description_id)');
+    });
+  });
+
+  describe('GET /api/offers/:id', () => {
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/offers/${OFFER_ID}`).expect(404);
+      expect(mockQuery.mock.calls[0][1]).toEqual([OFFER_ID, 'user-1']);
+    });
+  });
+
+  describe('POST /api/offers', () => {
+    it('should create an offer for an owned job description', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: OFFER_ID }] })
+        .mockResolvedValueOnce({ rows: [offerRow] });
+
+      const response = await request(app)
+        .post('/api/offers')
+        .send({
+          jobDescriptionId: JD_ID,
+          baseSalary: 150000,
+          payPeriod: '',
+          bonus: 15000,
+          signingBonus: 10000,
+          equityValue: '',
+          expiryDate: '2024-07-01',
+        })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('message', 'Offer created successfully');
+      expect(response.body.offer.compensation.total).toBe(165000);
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('INSERT INTO offers (user_id, job_description_id, base_salary, bonus, signing_bonus, expiry_date)');
+      expect(params).toEqual(['user-1', JD_ID, 150000, 15000, 10000, '2024-07-01']);
+    });
+
+    it('should reject job descriptions the user does not own', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/offers')
+        .send({ jobDescriptionId: JD_ID, baseSalary: 100000 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Job description not found');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate amounts, pay period and dates', async () => {
+      const response = await request(app)
+        .post('/api/offers')
+        .send({ jobDescriptionId: JD_ID, baseSalary: -1, payPeriod: 'fortnight', startDate: '08/01/2024' })
+        .expect(400);
+
+      const messages = response.body.errors.map((error) => error.msg);
+      expect(messages).toEqual(expect.arrayContaining([
+        'Base salary must be a non-negative number',
+        'Pay period must be one of: hour, day, week, month, year',
+        'Start date must be a valid date (YYYY-MM-DD)',
+      ]));
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require a job description', async () => {
+      await request(app).post('/api/offers').send({ baseSalary: 100000 }).expect(400);
+    });
+  });
+
+  describe('PUT /api/offers/:id', () => {
+    it('should update only the fields sent', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: OFFER_ID }] })
+        .mockResolvedValueOnce({ rows: [{ ...offerRow, bonus: '20000.00' }] });
+
+      const response = await request(app)
+        .put(`/api/offers/${OFFER_ID}`)
+        .send({ bonus: 20000, notes: '' })
+        .expect(200);
+
+      expect(response.body.offer.compensation.bonus).toBe(20000);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('SET bonus = $1, notes = $2');
+      expect(params).toEqual([20000, null, OFFER_ID, 'user-1']);
+    });
+
+    it('should reject an empty update', async () => {
+      const response = await request(app).put(`/api/offers/${OFFER_ID}`).send({}).expect(400);
+      expect(response.body).toHaveProperty('error', 'No fields to update');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      await request(app).put(`/api/offers/${OFFER_ID}`).send({ bonus: 1 }).expect(404);
+    });
+  });
+
+  describe('DELETE /api/offers/:id', () => {
+    it('should delete an owned offer', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: OFFER_ID }] });
+
+      const response = await request(app).delete(`/api/offers/${OFFER_ID}`).expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Offer deleted successfully');
+    });
+
+    it('should reject invalid IDs', async () => {
+      await request(app).delete('/api/offers/nope').expect(400);
+    });
+  });
+});
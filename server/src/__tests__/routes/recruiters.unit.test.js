@@ -0,0 +1,239 @@
+/**
+ * Recruiter Routes Unit Tests
+ * Tests recruiter route handlers with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const recruiterRoutes = require('../../routes/recruiters');
+
+const RECRUITER_ID = '33333333-3333-4333-8333-333333333333';
+const COMPANY_ID = '11111111-1111-4111-8111-111111111111';
+
+const sam = {
+  id: RECRUITER_ID,
+  user_id: 'user-1',
+  name: 'Sam Lee',
+  company_id: COMPANY_ID,
+  company_name: 'Acme',
+  recruiter_type: 'external_agency',
+  is_active: true,
+  job_descriptions_count: 2,
+};
+
+describe('Recruiter Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/recruiters', recruiterRoutes);
+  });
+
+  describe('GET /api/recruiters', () => {
+    it('should list recruiters with pagination', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+        .mockResolvedValueOnce({ rows: [sam] });
+
+      const response = await request(app).get('/api/recruiters').expect(200);
+
+      expect(response.body.recruiters).toEqual([sam]);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 50, totalCount: 1, totalPages: 1 });
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1']);
+    });
+
+    it('should filter by type, company, and active state', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get(`/api/recruiters?recruiter_type=headhunter&company_id=${COMPANY_ID}&is_active=false&sort_by=company_name&sort_order=asc`)
+        .expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('r.recruiter_type = $2');
+      expect(sql).toContain('r.company_id = $3');
+      expect(sql).toContain('r.is_active = $4');
+      expect(sql).toContain('ORDER BY company_name ASC');
+      expect(params).toEqual(['user-1', 'headhunter', COMPANY_ID, false, 50, 0]);
+    });
+
+    it('should filter recruiters without a company', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/recruiters?company_id=none').expect(200);
+
+      expect(mockQuery.mock.calls[1][0]).toContain('r.company_id IS NULL');
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1', 50, 0]);
+    });
+
+    it('should reject a malformed company filter', async () => {
+      const response = await request(app).get('/api/recruiters?company_id=abc').expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ path: 'company_id', msg: 'Company must be a valid ID' });
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/api/recruiters').expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to fetch recruiters');
+    });
+  });
+
+  describe('GET /api/recruiters/:id', () => {
+    it('should return the recruiter and the job descriptions that came through them', async () => {
+      const jd = { id: 'jd-1', job_title: 'Engineer' };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [sam] })
+        .mockResolvedValueOnce({ rows: [jd] });
+
+      const response = await request(app).get(`/api/recruiters/${RECRUITER_ID}`).expect(200);
+
+      expect(response.body.recruiter).toEqual(sam);
+      expect(response.body.jobDescriptions).toEqual([jd]);
+      expect(mockQuery.mock.calls[1][0]).toContain('jd.recruiter_id = $1 AND jd.user_id = $2');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get(`/api/recruiters/${RECRUITER_ID}`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Recruiter not found');
+    });
+
+    it('should reject an invalid ID', async () => {
+      await request(app).get('/api/recruiters/not-a-uuid').expect(400);
+
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/recruiters', () => {
+    it('should create a recruiter linked to an owned company', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: COMPANY_ID }] }) // company ownership
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] })
+        .mockResolvedValueOnce({ rows: [sam] });
+
+      const response = await request(app)
+        .post('/api/recruiters')
+        .send({ name: 'Sam Lee', companyId: COMPANY_ID, recruiterType: 'external_agency', userRating: '' })
+        .expect(201);
+
+      expect(response.body.recruiter).toEqual(sam);
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('INSERT INTO recruiters (user_id, name, company_id, recruiter_type)');
+      expect(params).toEqual(['user-1', 'Sam Lee', COMPANY_ID, 'external_agency']);
+    });
+
+    it('should reject a company owned by another user', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/recruiters')
+        .send({ name: 'Sam Lee', companyId: COMPANY_ID })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Company not found');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate name, type, and LinkedIn URL', async () => {
+      const response = await request(app)
+        .post('/api/recruiters')
+        .send({ recruiterType: 'friend', linkedinUrl: 'not a url' })
+        .expect(400);
+
+      const messages = response.body.errors.map((e) => e.msg);
+      expect(messages).toContain('Recruiter name is required');
+      expect(messages).toContain('LinkedIn URL must be a valid URL');
+      expect(messages.some((m) => m.startsWith('Recruiter type must be one of'))).toBe(true);
+    });
+  });
+
+  describe('PUT /api/recruiters/:id', () => {
+    it('should deactivate a recruiter', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] })
+        .mockResolvedValueOnce({ rows: [{ ...sam, is_active: false }] });
+
+      const response = await request(app)
+        .put(`/api/recruiters/${RECRUITER_ID}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      expect(response.body.recruiter.is_active).toBe(false);
+      expect(mockQuery.mock.calls[0][0]).toContain('SET is_active = $1');
+      expect(mockQuery.mock.calls[0][1]).toEqual([false, RECRUITER_ID, 'user-1']);
+    });
+
+    it('should unlink the company when an empty value is sent', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] })
+        .mockResolvedValueOnce({ rows: [{ ...sam, company_id: null }] });
+
+      await request(app)
+        .put(`/api/recruiters/${RECRUITER_ID}`)
+        .send({ companyId: '' })
+        .expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([null, RECRUITER_ID, 'user-1']);
+    });
+
+    it('should reject non-boolean active values', async () => {
+      const response = await request(app)
+        .put(`/api/recruiters/${RECRUITER_ID}`)
+        .send({ isActive: 'maybe' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Active must be true or false');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put(`/api/recruiters/${RECRUITER_ID}`).send({ name: 'New' }).expect(404);
+    });
+  });
+
+  describe('DELETE /api/recruiters/:id', () => {
+    it('should delete the recruiter', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] });
+
+      await request(app).delete(`/api/recruiters/${RECRUITER_ID}`).expect(200);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([RECRUITER_ID, 'user-1']);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).delete(`/api/recruiters/${RECRUITER_ID}`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Recruiter not found');
+    });
+  });
+});
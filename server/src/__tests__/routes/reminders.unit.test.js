@@ -0,0 +1,221 @@
+/**
+ * Reminder Routes Unit Tests
+ * Tests reminder CRUD and linked-record checks with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const reminderRoutes = require('../../routes/reminders');
+
+const REMINDER_ID = '12121212-1212-4121-8121-121212121212';
+const JD_ID = '11111111-1111-4111-8111-111111111111';
+const INTERVIEW_ID = '88888888-8888-4888-8888-888888888888';
+const RECRUITER_ID = '33333333-3333-4333-8333-333333333333';
+
+const reminderRow = {
+  id: REMINDER_ID,
+  title: 'Follow up with Acme',
+  notes: null,
+  due_at: '2025-02-01T09:00:00.000Z',
+  status: 'scheduled',
+  job_description_id: JD_ID,
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  interview_id: null,
+  recruiter_id: RECRUITER_ID,
+  recruiter_name: 'Sam Lee',
+};
+
+describe('Reminder Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/reminders', reminderRoutes);
+  });
+
+  describe('GET /api/reminders', () => {
+    it('should list the user\'s reminders for a job, soonest first', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [reminderRow] });
+
+      const response = await request(app)
+        .get(`/api/reminders?status=scheduled&job_description_id=${JD_ID}`)
+        .expect(200);
+
+      expect(response.body.reminders).toEqual([reminderRow]);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('rm.user_id = $1');
+      expect(sql).toContain('rm.status = $2');
+      expect(sql).toContain('rm.job_description_id = $3');
+      expect(sql).toContain('ORDER BY rm.due_at ASC');
+      expect(params).toEqual(['user-1', 'scheduled', JD_ID]);
+    });
+
+    it('should reject an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/reminders?status=snoozed')
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('status');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/reminders', () => {
+    it('should create a reminder tied to a job and recruiter', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: RECRUITER_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] })
+        .mockResolvedValueOnce({ rows: [reminderRow] });
+
+      const response = await request(app)
+        .post('/api/reminders')
+        .send({
+          title: '  Follow up with Acme ',
+          dueAt: '2025-02-01T09:00:00.000Z',
+          jobDescriptionId: JD_ID,
+          recruiterId: RECRUITER_ID,
+          notes: '',
+        })
+        .expect(201);
+
+      expect(response.body.message).toBe('Reminder created successfully');
+      expect(response.body.reminder).toEqual(reminderRow);
+      const [sql, params] = mockQuery.mock.calls[2];
+      expect(sql).toContain('INSERT INTO reminders (user_id, title, due_at, job_description_id, recruiter_id)');
+      expect(params).toEqual(['user-1', 'Follow up with Acme', '2025-02-01T09:00:00.000Z', JD_ID, RECRUITER_ID]);
+    });
+
+    it('should tie an interview reminder to the interview\'s job', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ job_description_id: JD_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] })
+        .mockResolvedValueOnce({ rows: [reminderRow] });
+
+      await request(app)
+        .post('/api/reminders')
+        .send({ title: 'Send thank-you note', dueAt: '2025-02-01T09:00:00Z', interviewId: INTERVIEW_ID })
+        .expect(201);
+
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('(user_id, title, due_at, interview_id, job_description_id)');
+      expect(params).toEqual(['user-1', 'Send thank-you note', '2025-02-01T09:00:00Z', INTERVIEW_ID, JD_ID]);
+    });
+
+    it('should require a title and a due date', async () => {
+      const response = await request(app)
+        .post('/api/reminders')
+        .send({ title: ' ', dueAt: 'next week' })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['title', 'dueAt']);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject a recruiter the user does not own', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/reminders')
+        .send({ title: 'Call Sam', dueAt: '2025-02-01T09:00:00Z', recruiterId: RECRUITER_ID })
+        .expect(400);
+
+      expect(response.body.error).toBe('Recruiter not found');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('PUT /api/reminders/:id', () => {
+    it('should reschedule a reminder when its due time changes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] })
+        .mockResolvedValueOnce({ rows: [reminderRow] });
+
+      const response = await request(app)
+        .put(`/api/reminders/${REMINDER_ID}`)
+        .send({ dueAt: '2025-02-03T09:00:00Z' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Reminder updated successfully');
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain("due_at = $3, status = 'scheduled', notified_at = NULL, read_at = NULL, completed_at = NULL");
+      expect(sql).toContain('WHERE id = $1 AND user_id = $2');
+      expect(params).toEqual([REMINDER_ID, 'user-1', '2025-02-03T09:00:00Z']);
+    });
+
+    it('should keep the status when only the title changes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] })
+        .mockResolvedValueOnce({ rows: [reminderRow] });
+
+      await request(app)
+        .put(`/api/reminders/${REMINDER_ID}`)
+        .send({ title: 'Email Sam' })
+        .expect(200);
+
+      expect(mockQuery.mock.calls[0][0]).not.toContain('status');
+    });
+
+    it('should return 404 for another user\'s reminder', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put(`/api/reminders/${REMINDER_ID}`)
+        .send({ title: 'Email Sam' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Reminder not found');
+    });
+
+    it('should reject an empty update', async () => {
+      const response = await request(app)
+        .put(`/api/reminders/${REMINDER_ID}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('No fields to update');
+    });
+  });
+
+  describe('DELETE /api/reminders/:id', () => {
+    it('should delete the user\'s reminder', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: REMINDER_ID }] });
+
+      const response = await request(app)
+        .delete(`/api/reminders/${REMINDER_ID}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Reminder deleted successfully');
+      expect(mockQuery.mock.calls[0][1]).toEqual([REMINDER_ID, 'user-1']);
+    });
+
+    it('should return 500 when the database fails', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .delete(`/api/reminders/${REMINDER_ID}`)
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to delete reminder');
+      console.error.mockRestore();
+    });
+  });
+});
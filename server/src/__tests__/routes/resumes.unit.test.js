@@ -0,0 +1,292 @@
+/**
+ * Resume Routes Unit Tests
+ * Tests resume upload, versioning, and download with mocked database
+ * and a temporary upload directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockClientQuery = jest.fn();
+const mockRelease = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+  getClient: jest.fn(async () => ({
+    query: (...args) => mockClientQuery(...args),
+    release: () => mockRelease(),
+  })),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const resumeRoutes = require('../../routes/resumes');
+
+const RESUME_ID = '44444444-4444-4444-8444-444444444444';
+const PREVIOUS_ID = '55555555-5555-4555-8555-555555555555';
+
+describe('Resume Routes Unit Tests', () => {
+  let app;
+  let uploadDir;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockClientQuery.mockReset();
+    mockRelease.mockReset();
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumes-test-'));
+    process.env.UPLOAD_DIR = uploadDir;
+    app = express();
+    app.use(express.json());
+    app.use('/api/resumes', resumeRoutes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    delete process.env.UPLOAD_DIR;
+  });
+
+  const storedFiles = () => {
+    const dir = path.join(uploadDir, 'resumes', 'user-1');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  };
+
+  describe('GET /api/resumes', () => {
+    it('should list versions grouped by title without extracted text', async () => {
+      const rows = [{ id: RESUME_ID, title: 'Engineer', version_number: 2 }];
+      mockQuery.mockResolvedValueOnce({ rows });
+
+      const response = await request(app).get('/api/resumes').expect(200);
+
+      expect(response.body.resumes).toEqual(rows);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).not.toContain('content_summary');
+      expect(sql).toContain('ORDER BY LOWER(title) ASC, version_number DESC');
+      expect(params).toEqual(['user-1']);
+    });
+  });
+
+  describe('POST /api/resumes', () => {
+    it('should store a text resume as version 1 with extracted text', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({}) // title lock
+        .mockResolvedValueOnce({ rows: [] }) // previous versions
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: RESUME_ID, version_number: params[6] }] }))
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .post('/api/resumes')
+        .field('skillsHighlighted', 'React, Node.js, ')
+        .attach('file', Buffer.from('Jane Doe\r\n\r\n\r\n\r\nSenior Engineer   \n'), 'Jane Doe Resume.txt')
+        .expect(201);
+
+      expect(response.body.message).toBe('Resume uploaded successfully');
+      expect(response.body.resume.version_number).toBe(1);
+
+      expect(mockClientQuery.mock.calls[1][0]).toContain('pg_advisory_xact_lock');
+      expect(mockClientQuery.mock.calls[1][1]).toEqual(['user-1', 'Jane Doe Resume']);
+      const params = mockClientQuery.mock.calls[3][1];
+      expect(params[1]).toBe('Jane Doe Resume');
+      expect(params[2]).toBe('Jane Doe Resume.txt');
+      expect(params[4]).toBe('txt');
+      expect(params[7]).toBeNull();
+      expect(params[8]).toBe('Jane Doe\n\nSenior Engineer');
+      expect(params[9]).toEqual(['React', 'Node.js']);
+      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+
+      const files = storedFiles();
+      expect(files).toHaveLength(1);
+      expect(params[3]).toBe(path.join('resumes', 'user-1', files[0]));
+      expect(mockRelease).toHaveBeenCalled();
+    });
+
+    it('should chain a new version onto an existing title', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({}) // title lock
+        .mockResolvedValueOnce({ rows: [{ id: PREVIOUS_ID, version_number: 2 }] })
+        .mockResolvedValueOnce({}) // deactivate previous versions
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: RESUME_ID, version_number: params[6] }] }))
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .post('/api/resumes')
+        .field('title', 'Engineer')
+        .attach('file', Buffer.from('Updated resume'), 'engineer-v3.txt')
+        .expect(201);
+
+      expect(response.body.message).toBe('Uploaded version 3 of Engineer');
+      expect(mockClientQuery.mock.calls[3][0]).toContain('SET is_active = false');
+      const params = mockClientQuery.mock.calls[4][1];
+      expect(params[6]).toBe(3);
+      expect(params[7]).toBe(PREVIOUS_ID);
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post('/api/resumes')
+        .attach('file', Buffer.from('binary'), 'resume.exe')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'File must be one of: pdf, docx, txt');
+      expect(storedFiles()).toHaveLength(0);
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/resumes')
+        .field('title', 'Engineer')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'A resume file is required');
+    });
+
+    it('should keep the upload without text when extraction fails', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: RESUME_ID }] })
+        .mockResolvedValueOnce({});
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await request(app)
+        .post('/api/resumes')
+        .attach('file', Buffer.from('not really a pdf'), 'broken.pdf')
+        .expect(201);
+
+      expect(mockClientQuery.mock.calls[3][1][8]).toBeNull();
+      warn.mockRestore();
+    });
+
+    it('should roll back and remove the stored file on database error', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/resumes')
+        .attach('file', Buffer.from('Resume'), 'resume.txt')
+        .expect(500);
+
+      expect(response.body).toHaveProperty('error', 'Failed to upload resume');
+      expect(mockClientQuery.mock.calls[3][0]).toBe('ROLLBACK');
+      expect(storedFiles()).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/resumes/:id/download', () => {
+    it('should send the original file with its name', async () => {
+      const relativePath = path.join('resumes', 'user-1', 'stored.txt');
+      fs.mkdirSync(path.join(uploadDir, 'resumes', 'user-1'), { recursive: true });
+      fs.writeFileSync(path.join(uploadDir, relativePath), 'Resume body');
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ id: RESUME_ID, file_name: 'My Resume.txt', file_path: relativePath }],
+      });
+
+      const response = await request(app).get(`/api/resumes/${RESUME_ID}/download`).expect(200);
+
+      expect(response.headers['content-disposition']).toContain('My Resume.txt');
+      expect(response.text).toBe('Resume body');
+    });
+
+    it('should refuse paths outside the upload directory', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ id: RESUME_ID, file_name: 'passwd', file_path: '../../etc/passwd' }],
+      });
+
+      const response = await request(app).get(`/api/resumes/${RESUME_ID}/download`).expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Resume file not found');
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get(`/api/resumes/${RESUME_ID}/download`).expect(404);
+    });
+  });
+
+  describe('GET /api/resumes/:id', () => {
+    it('should return extracted text but not the storage path', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ id: RESUME_ID, content_summary: 'Resume text', file_path: 'resumes/user-1/x.txt' }],
+      });
+
+      const response = await request(app).get(`/api/resumes/${RESUME_ID}`).expect(200);
+
+      expect(response.body.resume).toEqual({ id: RESUME_ID, content_summary: 'Resume text' });
+    });
+  });
+
+  describe('PUT /api/resumes/:id', () => {
+    it('should activate a version and deactivate the rest of its chain', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: RESUME_ID, title: 'Engineer' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: RESUME_ID, is_active: true, file_path: 'x' }] });
+
+      const response = await request(app)
+        .put(`/api/resumes/${RESUME_ID}`)
+        .send({ isActive: true, skillsHighlighted: ['SQL'] })
+        .expect(200);
+
+      expect(response.body.resume).toEqual({ id: RESUME_ID, is_active: true });
+      expect(mockQuery.mock.calls[0][1]).toEqual([['SQL'], true, RESUME_ID, 'user-1']);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1', RESUME_ID, 'Engineer']);
+    });
+
+    it('should reject an update with no fields', async () => {
+      const response = await request(app).put(`/api/resumes/${RESUME_ID}`).send({}).expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No fields to update');
+    });
+  });
+
+  describe('DELETE /api/resumes/:id', () => {
+    it('should re-link the chain, promote the newest version, and remove the file', async () => {
+      const relativePath = path.join('resumes', 'user-1', 'old.txt');
+      fs.mkdirSync(path.join(uploadDir, 'resumes', 'user-1'), { recursive: true });
+      fs.writeFileSync(path.join(uploadDir, relativePath), 'Old');
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({
+          rows: [{ id: RESUME_ID, title: 'Engineer', file_path: relativePath, is_active: true, previous_version_id: PREVIOUS_ID }],
+        })
+        .mockResolvedValueOnce({}) // re-link
+        .mockResolvedValueOnce({}) // DELETE
+        .mockResolvedValueOnce({}) // promote
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app).delete(`/api/resumes/${RESUME_ID}`).expect(200);
+
+      expect(mockClientQuery.mock.calls[2][1]).toEqual([PREVIOUS_ID, RESUME_ID, 'user-1']);
+      expect(mockClientQuery.mock.calls[4][0]).toContain('SET is_active = true');
+      expect(mockClientQuery.mock.calls[5][0]).toBe('COMMIT');
+      expect(storedFiles()).toHaveLength(0);
+    });
+
+    it('should return 404 when not owned or missing', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      await request(app).delete(`/api/resumes/${RESUME_ID}`).expect(404);
+
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockRelease).toHaveBeenCalled();
+    });
+  });
+});
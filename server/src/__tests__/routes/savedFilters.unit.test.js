@@ -0,0 +1,180 @@
+/**
+ * Saved Filter Routes Unit Tests
+ * Tests saved job list filters (smart views) with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const savedFilterRoutes = require('../../routes/savedFilters');
+
+const FILTER_ID = '55555555-5555-4555-8555-555555555555';
+
+const savedFilterRow = {
+  id: FILTER_ID,
+  name: 'Remote contracts > $100/hr',
+  filters: { remote_policy: 'remote', job_type: 'contract', rate_unit: 'hour', min_rate: '100' },
+};
+
+describe('Saved Filter Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/saved-filters', savedFilterRoutes);
+  });
+
+  describe('GET /api/saved-filters', () => {
+    it('should list the user\'s saved filters by name', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [savedFilterRow] });
+
+      const response = await request(app).get('/api/saved-filters').expect(200);
+
+      expect(response.body.savedFilters).toEqual([savedFilterRow]);
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('WHERE user_id = $1 ORDER BY name');
+      expect(params).toEqual(['user-1']);
+    });
+  });
+
+  describe('POST /api/saved-filters', () => {
+    it('should save only filters with a value, as strings', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [savedFilterRow] });
+
+      const response = await request(app)
+        .post('/api/saved-filters')
+        .send({
+          name: '  Remote contracts > $100/hr ',
+          filters: {
+            remote_policy: 'remote',
+            job_type: 'contract',
+            rate_unit: 'hour',
+            min_rate: 100,
+            status: '',
+            sort_by: 'rate_amount',
+            sort_order: 'desc',
+          },
+        })
+        .expect(201);
+
+      expect(response.body.savedFilter).toEqual(savedFilterRow);
+      const [, params] = mockQuery.mock.calls[1];
+      expect(params[1]).toBe('Remote contracts > $100/hr');
+      expect(JSON.parse(params[2])).toEqual({
+        remote_policy: 'remote',
+        job_type: 'contract',
+        rate_unit: 'hour',
+        min_rate: '100',
+        sort_by: 'rate_amount',
+        sort_order: 'DESC',
+      });
+    });
+
+    it('should reject unknown filters', async () => {
+      const response = await request(app)
+        .post('/api/saved-filters')
+        .send({ name: 'Everything', filters: { description: 'DROP TABLE' } })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Unknown filter: description');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should check filter values with the job list rules', async () => {
+      const response = await request(app)
+        .post('/api/saved-filters')
+        .send({ name: 'Bad', filters: { status: 'ghosted', min_salary: '-5', sort_by: 'description' } })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.path)).toEqual([
+        'filters.min_salary', 'filters.status', 'filters.sort_by',
+      ]);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require a name', async () => {
+      const response = await request(app)
+        .post('/api/saved-filters')
+        .send({ name: '   ', filters: {} })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Name the saved filter');
+    });
+
+    it('should reject a name the user already uses', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 'other' }] });
+
+      const response = await request(app)
+        .post('/api/saved-filters')
+        .send({ name: 'Remote', filters: { remote_policy: 'remote' } })
+        .expect(400);
+
+      expect(response.body.error).toBe('You already have a saved filter named "Remote"');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('PUT /api/saved-filters/:id', () => {
+    it('should rename without changing the filters', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...savedFilterRow, name: 'Hourly remote' }] });
+
+      const response = await request(app)
+        .put(`/api/saved-filters/${FILTER_ID}`)
+        .send({ name: 'Hourly remote' })
+        .expect(200);
+
+      expect(response.body.savedFilter.name).toBe('Hourly remote');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['user-1', 'Hourly remote', FILTER_ID]);
+      expect(mockQuery.mock.calls[1][1]).toEqual([FILTER_ID, 'user-1', 'Hourly remote', null]);
+    });
+
+    it('should return 404 for another user\'s saved filter', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put(`/api/saved-filters/${FILTER_ID}`)
+        .send({ filters: { status: 'applied' } })
+        .expect(404);
+
+      expect(mockQuery.mock.calls[0][1]).toEqual([FILTER_ID, 'user-1', null, '{"status":"applied"}']);
+    });
+  });
+
+  describe('DELETE /api/saved-filters/:id', () => {
+    it('should delete a saved filter', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: FILTER_ID }] });
+
+      const response = await request(app).delete(`/api/saved-filters/${FILTER_ID}`).expect(200);
+
+      expect(response.body.message).toBe('Saved filter deleted successfully');
+      expect(mockQuery.mock.calls[0][1]).toEqual([FILTER_ID, 'user-1']);
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).delete(`/api/saved-filters/${FILTER_ID}`).expect(500);
+
+      expect(response.body.error).toBe('Failed to delete saved filter');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Search Routes Unit Tests
+ * Tests the global full-text search with mocked dependencies
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const searchRoutes = require('../../routes/search');
+
+const START = '\u0001';
+const STOP = '\u0002';
+
+describe('Search Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/search', searchRoutes);
+  });
+
+  describe('GET /api/search', () => {
+    it('should return ranked results grouped by type with highlighted snippets', async () => {
+      mockQuery
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 'jd-1',
+            title: 'Platform Engineer',
+            company: 'Acme',
+            status: 'applied',
+            rank: 0.6,
+            headline: `Run ${START}Kubernetes${STOP} clusters`,
+            total: 3,
+          }],
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 'rec-1',
+            name: 'Jane Doe',
+            title: 'Technical Recruiter',
+            company_name: 'Acme',
+            rank: 0.1,
+            headline: `Hiring for ${START}Kubernetes${STOP} roles`,
+            total: 1,
+          }],
+        });
+
+      const response = await request(app).get('/api/search?q=kubernetes').expect(200);
+
+      expect(response.body.query).toBe('kubernetes');
+      expect(response.body.results.job_descriptions).toEqual({
+        total: 3,
+        items: [{
+          id: 'jd-1',
+          title: 'Platform Engineer',
+          subtitle: 'Acme',
+          status: 'applied',
+          rank: 0.6,
+          snippet: [
+            { text: 'Run ', match: false },
+            { text: 'Kubernetes', match: true },
+            { text: ' clusters', match: false },
+          ],
+        }],
+      });
+      expect(response.body.results.companies).toEqual({ total: 0, items: [] });
+      expect(response.body.results.recruiters.items[0]).toMatchObject({
+        title: 'Jane Doe',
+        subtitle: 'Technical Recruiter at Acme',
+      });
+    });
+
+    it('should scope every query to the user and use web-search syntax', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/search?q=%22site%20reliability%22%20-manager').expect(200);
+
+      expect(mockQuery).toHaveBeenCalledTimes(3);
+      mockQuery.mock.calls.forEach(([sql, params]) => {
+        expect(sql).toContain("websearch_to_tsquery('english', $2)");
+        expect(sql).toContain('ORDER BY rank DESC');
+        expect(params).toEqual(['user-1', '"site reliability" -manager', expect.any(String), 5]);
+      });
+    });
+
+    it('should search only the requested types with the given limit', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      const response = await request(app).get('/api/search?q=acme&types=companies&limit=20').expect(200);
+
+      expect(Object.keys(response.body.results)).toEqual(['companies']);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(mockQuery.mock.calls[0][0]).toContain('FROM companies c');
+      expect(mockQuery.mock.calls[0][1][3]).toBe(20);
+    });
+
+    it('should reject an empty query', async () => {
+      const response = await request(app).get('/api/search?q=%20%20').expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Enter something to search for');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown types and out-of-range limits', async () => {
+      const response = await request(app).get('/api/search?q=acme&types=offers&limit=500').expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['types', 'limit']);
+    });
+
+    it('should return 500 when the search fails', async () => {
+      mockQuery.mockRejectedValue(new Error('boom'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).get('/api/search?q=acme').expect(500);
+
+      expect(response.body.error).toBe('Failed to search');
+      console.error.mockRestore();
+    });
+  });
+});
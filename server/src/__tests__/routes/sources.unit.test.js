@@ -0,0 +1,227 @@
+/**
+ * Source Routes Unit Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+const sourceRoutes = require('../../routes/sources');
+
+const SOURCE_ID = '13131313-1313-4131-8131-131313131313';
+
+const customSource = {
+  id: SOURCE_ID,
+  source_type: 'recruiter',
+  source_name: 'Hays Recruitment',
+  source_url: 'https://www.hays.com',
+  is_custom: true,
+};
+
+describe('Source Routes Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    app = express();
+    app.use(express.json());
+    app.use('/api/sources', sourceRoutes);
+  });
+
+  describe('GET /api/sources', () => {
+    it('should list sources by name', async () => {
+      const sources = [{ id: 's-1', source_type: 'linkedin', source_name: 'LinkedIn', source_url: null }];
+      mockQuery.mockResolvedValueOnce({ rows: sources });
+
+      const response = await request(app).get('/api/sources').expect(200);
+
+      expect(response.body.sources).toEqual(sources);
+      expect(mockQuery.mock.calls[0][0]).toContain('ORDER BY source_name');
+    });
+
+    it('should include the user\'s own sources with the shared ones', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [customSource] });
+
+      await request(app).get('/api/sources').expect(200);
+
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('WHERE user_id IS NULL OR user_id = $1');
+      expect(params).toEqual(['user-1']);
+    });
+
+    it('should return 500 on database error', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/api/sources').expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch sources');
+    });
+  });
+
+  describe('GET /api/sources/effectiveness', () => {
+    it('should count postings, applications, interviews and offers per source', async () => {
+      const linkedIn = { id: 's-1', source_type: 'linkedin', source_name: 'LinkedIn', source_url: null, is_custom: false };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [customSource, linkedIn] })
+        .mockResolvedValueOnce({
+          rows: [
+            { source_id: 's-1', postings: 8, applications: 4, interviews: 1, offers: 0 },
+            { source_id: SOURCE_ID, postings: 3, applications: 3, interviews: 2, offers: 1 },
+            { source_id: null, postings: 2, applications: 0, interviews: 0, offers: 0 },
+          ],
+        });
+
+      const response = await request(app).get('/api/sources/effectiveness').expect(200);
+
+      expect(response.body.sources).toEqual([
+        { ...linkedIn, postings: 8, applications: 4, interviews: 1, offers: 0, interview_rate: 0.25, offer_rate: 0 },
+        { ...customSource, postings: 3, applications: 3, interviews: 2, offers: 1, interview_rate: 0.667, offer_rate: 0.333 },
+      ]);
+      expect(response.body.unattributed).toEqual({
+        postings: 2, applications: 0, interviews: 0, offers: 0, interview_rate: null, offer_rate: null,
+      });
+
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('EXISTS (SELECT 1 FROM interviews i WHERE i.job_description_id = jd.id)');
+      expect(sql).toContain('EXISTS (SELECT 1 FROM offers o WHERE o.job_description_id = jd.id)');
+      expect(sql).toContain('LEFT JOIN job_description_events h');
+      expect(sql).toContain("h.event_type = 'status_change'");
+      expect(sql).not.toContain('job_description_status_history');
+      expect(params).toEqual([
+        'user-1',
+        ['applied', 'interviewing', 'offered', 'accepted'],
+        ['interviewing', 'offered', 'accepted'],
+        ['offered', 'accepted'],
+      ]);
+    });
+
+    it('should report sources without postings as zero', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [customSource] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/sources/effectiveness').expect(200);
+
+      expect(response.body.sources[0]).toMatchObject({ postings: 0, applications: 0, interview_rate: null });
+      expect(response.body.unattributed.postings).toBe(0);
+    });
+  });
+
+  describe('POST /api/sources', () => {
+    it('should create a custom source', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [customSource] });
+
+      const response = await request(app)
+        .post('/api/sources')
+        .send({ name: 'Hays Recruitment', sourceType: 'recruiter', url: 'https://www.hays.com' })
+        .expect(201);
+
+      expect(response.body).toEqual({ message: 'Source created successfully', source: customSource });
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('INSERT INTO job_description_sources (user_id, source_type, source_name, source_url)');
+      expect(params).toEqual(['user-1', 'recruiter', 'Hays Recruitment', 'https://www.hays.com']);
+    });
+
+    it('should default the type to other', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...customSource, source_type: 'other' }] });
+
+      await request(app)
+        .post('/api/sources')
+        .send({ name: 'Frontend Weekly' })
+        .expect(201);
+
+      expect(mockQuery.mock.calls[1][1]).toEqual(['user-1', 'other', 'Frontend Weekly', null]);
+    });
+
+    it('should reject a name the user can already see', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 's-1' }] });
+
+      const response = await request(app)
+        .post('/api/sources')
+        .send({ name: 'linkedin' })
+        .expect(400);
+
+      expect(response.body.error).toBe('You already have a source named "linkedin"');
+      expect(mockQuery.mock.calls[0][0]).toContain('LOWER(source_name) = LOWER($2)');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate the name, type and URL', async () => {
+      const response = await request(app)
+        .post('/api/sources')
+        .send({ name: ' ', sourceType: 'carrier_pigeon', url: 'not a url' })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['name', 'sourceType', 'url']);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/sources/:id', () => {
+    it('should update the user\'s own source', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...customSource, source_name: 'Hays' }] });
+
+      const response = await request(app)
+        .put(`/api/sources/${SOURCE_ID}`)
+        .send({ name: 'Hays', url: '' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Source updated successfully');
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('WHERE id = $1 AND user_id = $2');
+      expect(params).toEqual([SOURCE_ID, 'user-1', 'Hays', null, true, null]);
+    });
+
+    it('should return 404 for shared or other users\' sources', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put(`/api/sources/${SOURCE_ID}`)
+        .send({ sourceType: 'email' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Source not found');
+    });
+  });
+
+  describe('DELETE /api/sources/:id', () => {
+    it('should delete the user\'s own source', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: SOURCE_ID }] });
+
+      const response = await request(app).delete(`/api/sources/${SOURCE_ID}`).expect(200);
+
+      expect(response.body.message).toBe('Source deleted successfully');
+      expect(mockQuery.mock.calls[0][1]).toEqual([SOURCE_ID, 'user-1']);
+    });
+
+    it('should return 404 when the source is not the user\'s', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete(`/api/sources/${SOURCE_ID}`).expect(404);
+    });
+
+    it('should reject an invalid ID', async () => {
+      const response = await request(app).delete('/api/sources/not-a-uuid').expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid source ID');
+    });
+  });
+});
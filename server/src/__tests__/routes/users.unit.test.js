@@ -0,0 +1,179 @@
+/**
+ * Users Routes Unit Tests
+ * Tests password and email changes with mocked dependencies
+ */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const request = require('supertest');
+
+const mockQuery = jest.fn();
+const mockLogAuthEvent = jest.fn();
+const mockSendVerificationEmail = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    req.user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+    next();
+  },
+}));
+
+jest.mock('../../middleware/rbac', () => ({
+  requireOwnershipOrAdmin: (req, res, next) => next(),
+  logAuthEvent: (...args) => mockLogAuthEvent(...args),
+}));
+
+jest.mock('../../utils/emailVerification', () => ({
+  sendVerificationEmail: (...args) => mockSendVerificationEmail(...args),
+}));
+
+const usersRoutes = require('../../routes/users');
+
+const CURRENT_PASSWORD = 'OldPassw0rd!';
+const NEW_PASSWORD = 'NewPassw0rd!';
+
+describe('Users Routes Unit Tests', () => {
+  let app;
+  let currentHash;
+
+  beforeAll(async () => {
+    currentHash = await bcrypt.hash(CURRENT_PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockLogAuthEvent.mockReset();
+    mockSendVerificationEmail.mockReset().mockResolvedValue();
+    process.env.JWT_SECRET = 'test-secret-key';
+    app = express();
+    app.use(express.json());
+    app.use('/api/users', usersRoutes);
+  });
+
+  describe('PUT /api/users/me/password', () => {
+    const changePassword = (body) => request(app)
+      .put('/api/users/me/password')
+      .set('Authorization', 'Bearer token')
+      .send(body);
+
+    it('should change the password, log it and return a fresh token', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await changePassword({ currentPassword: CURRENT_PASSWORD, newPassword: NEW_PASSWORD });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Password changed successfully');
+
+      const [updateSql, updateParams] = mockQuery.mock.calls[1];
+      expect(updateSql).toContain('password_changed_at = CURRENT_TIMESTAMP');
+      expect(updateParams[0]).toBe('user-1');
+      expect(await bcrypt.compare(NEW_PASSWORD, updateParams[1])).toBe(true);
+
+      expect(mockLogAuthEvent).toHaveBeenCalledWith('user-1', 'password_change', true, null, expect.anything());
+
+      const decoded = jwt.verify(response.body.token, 'test-secret-key');
+      expect(decoded).toMatchObject({ userId: 'user-1', email: 'user@example.com', role: 'user' });
+    });
+
+    it('should reject a wrong current password', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] });
+
+      const response = await changePassword({ currentPassword: 'Wrong-passw0rd', newPassword: NEW_PASSWORD });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Current password is incorrect');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(mockLogAuthEvent).toHaveBeenCalledWith(
+        'user-1', 'password_change', false, 'Invalid current password', expect.anything()
+      );
+    });
+
+    it('should reject reusing the current password', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] });
+
+      const response = await changePassword({ currentPassword: CURRENT_PASSWORD, newPassword: CURRENT_PASSWORD });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('New password must be different from the current password');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply the shared password rules to the new password', async () => {
+      const response = await changePassword({ currentPassword: CURRENT_PASSWORD, newPassword: 'alllowercase1!' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('newPassword');
+      expect(response.body.errors[0].msg).toBe('Password must contain 1 uppercase letter');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require the current password', async () => {
+      const response = await changePassword({ newPassword: NEW_PASSWORD });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('Current password is required');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .put('/api/users/me/password')
+        .send({ currentPassword: CURRENT_PASSWORD, newPassword: NEW_PASSWORD });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/users/me', () => {
+    it('should report whether the email is verified', async () => {
+      const response = await request(app).get('/api/users/me').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.emailVerified).toBe(false);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    const updateUser = (body) => request(app)
+      .put('/api/users/user-1')
+      .set('Authorization', 'Bearer token')
+      .send(body);
+
+    const updatedRow = { id: 'user-1', name: 'User', email: 'new@example.com', email_verified_at: null };
+
+    it('should mark a changed email unverified and send a verification link', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ email: 'user@example.com' }] })
+        .mockResolvedValueOnce({ rows: [updatedRow] });
+
+      const response = await updateUser({ email: 'new@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[2][0]).toContain('email_verified_at = NULL');
+      expect(mockSendVerificationEmail).toHaveBeenCalledWith(updatedRow);
+    });
+
+    it('should keep verification when the email is unchanged', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ email: 'User@Example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ ...updatedRow, email: 'user@example.com' }] });
+
+      const response = await updateUser({ name: 'User', email: 'user@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[2][0]).not.toContain('email_verified_at = NULL');
+      expect(mockSendVerificationEmail).not.toHaveBeenCalled();
+    });
+  });
+});
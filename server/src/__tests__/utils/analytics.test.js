@@ -0,0 +1,76 @@
+/**
+ * Application Analytics Tests
+ */
+
+const {
+  toRatio,
+  buildFunnel,
+  orderByStatus,
+  buildRateBuckets,
+  roundOrNull,
+} = require('../../utils/analytics');
+
+describe('analytics', () => {
+  describe('toRatio', () => {
+    it('should round to three decimals', () => {
+      expect(toRatio(1, 3)).toBe(0.333);
+      expect(toRatio(2, 2)).toBe(1);
+    });
+
+    it('should return null for a zero denominator', () => {
+      expect(toRatio(0, 0)).toBeNull();
+    });
+  });
+
+  describe('buildFunnel', () => {
+    const stages = ['saved', 'applied', 'interviewing'];
+
+    it('should count each job for every stage up to the furthest it reached', () => {
+      expect(buildFunnel([
+        { furthest: 3, count: 1 },
+        { furthest: 1, count: 2 },
+        { furthest: 2, count: '1' },
+      ], stages)).toEqual([
+        { status: 'saved', count: 4, conversion: null },
+        { status: 'applied', count: 2, conversion: 0.5 },
+        { status: 'interviewing', count: 1, conversion: 0.5 },
+      ]);
+    });
+
+    it('should count jobs that never reached a funnel stage as saved', () => {
+      expect(buildFunnel([{ furthest: null, count: 2 }], stages).map(stage => stage.count)).toEqual([2, 0, 0]);
+    });
+
+    it('should leave conversion empty after a stage nobody reached', () => {
+      expect(buildFunnel([], stages).map(stage => stage.conversion)).toEqual([null, null, null]);
+    });
+  });
+
+  describe('orderByStatus', () => {
+    it('should sort rows into status order with unknown statuses last', () => {
+      const rows = [{ status: 'other' }, { status: 'offered' }, { status: 'saved' }];
+
+      expect(orderByStatus(rows, ['saved', 'applied', 'offered']).map(row => row.status))
+        .toEqual(['saved', 'offered', 'other']);
+      expect(rows[0].status).toBe('other');
+    });
+  });
+
+  describe('buildRateBuckets', () => {
+    it('should fill every bucket with an open-ended last bucket', () => {
+      expect(buildRateBuckets([{ bucket: 1, count: 3 }, { bucket: 9, count: 1 }], 50000, 3)).toEqual([
+        { min: 0, max: 50000, count: 0 },
+        { min: 50000, max: 100000, count: 3 },
+        { min: 100000, max: null, count: 1 },
+      ]);
+    });
+  });
+
+  describe('roundOrNull', () => {
+    it('should round numeric strings and keep null', () => {
+      expect(roundOrNull('12.345', 1)).toBe(12.3);
+      expect(roundOrNull('99999.5')).toBe(100000);
+      expect(roundOrNull(null)).toBeNull();
+    });
+  });
+});
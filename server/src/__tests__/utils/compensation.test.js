@@ -0,0 +1,262 @@
+/**
+ * Compensation Normalization Unit Tests
+ */
+
+const {
+  normalizePeriod,
+  detectCurrency,
+  parseAmounts,
+  parseContractLength,
+  detectEngagementType,
+  findContractTerms,
+  parseRate,
+  annualize,
+  jobCompensation,
+  consultingTermsColumns,
+  offerCompensation,
+  compareCompensation,
+} = require('../../utils/compensation');
+
+describe('Compensation Normalization', () => {
+  describe('normalizePeriod', () => {
+    it('should recognize common ways of writing a period', () => {
+      expect(normalizePeriod('per hour')).toBe('hour');
+      expect(normalizePeriod('Hourly')).toBe('hour');
+      expect(normalizePeriod('$120/hr')).toBe('hour');
+      expect(normalizePeriod('daily')).toBe('day');
+      expect(normalizePeriod('per diem')).toBe('day');
+      expect(normalizePeriod('weekly')).toBe('week');
+      expect(normalizePeriod('pcm')).toBe('month');
+      expect(normalizePeriod('per annum')).toBe('year');
+    });
+
+    it('should return null when there is no period', () => {
+      expect(normalizePeriod('')).toBeNull();
+      expect(normalizePeriod('negotiable')).toBeNull();
+      expect(normalizePeriod(null)).toBeNull();
+    });
+  });
+
+  describe('detectCurrency', () => {
+    it('should prefer ISO codes and fall back to symbols', () => {
+      expect(detectCurrency('120 eur per hour')).toBe('EUR');
+      expect(detectCurrency('CAD $95/hr')).toBe('CAD');
+      expect(detectCurrency('£500/day')).toBe('GBP');
+      expect(detectCurrency('$120')).toBe('USD');
+      expect(detectCurrency('120')).toBeNull();
+    });
+  });
+
+  describe('parseAmounts', () => {
+    it('should parse single amounts, separators and suffixes', () => {
+      expect(parseAmounts('$120/hr')).toEqual({ min: 120, max: 120 });
+      expect(parseAmounts('150,000')).toEqual({ min: 150000, max: 150000 });
+      expect(parseAmounts('£95k')).toEqual({ min: 95000, max: 95000 });
+      expect(parseAmounts('1.2m')).toEqual({ min: 1200000, max: 1200000 });
+    });
+
+    it('should parse ranges and share a trailing suffix', () => {
+      expect(parseAmounts('800 - 900')).toEqual({ min: 800, max: 900 });
+      expect(parseAmounts('120-150k')).toEqual({ min: 120000, max: 150000 });
+    });
+
+    it('should return null without numbers', () => {
+      expect(parseAmounts('DOE')).toBeNull();
+    });
+  });
+
+  describe('parseContractLength', () => {
+    it('should convert contract lengths to months', () => {
+      expect(parseContractLength('6 months W2')).toBe(6);
+      expect(parseContractLength('12-18 mos')).toBe(12);
+      expect(parseContractLength('1 year contract')).toBe(12);
+      expect(parseContractLength('13 weeks')).toBe(3);
+      expect(parseContractLength('6+ months')).toBe(6);
+    });
+
+    it('should return null without a length', () => {
+      expect(parseContractLength('per hour')).toBeNull();
+      expect(parseContractLength('monthly')).toBeNull();
+    });
+  });
+
+  describe('detectEngagementType', () => {
+    it('should recognize engagement types', () => {
+      expect(detectEngagementType('6 months W2')).toBe('w2');
+      expect(detectEngagementType('W-2 only')).toBe('w2');
+      expect(detectEngagementType('1099')).toBe('1099');
+      expect(detectEngagementType('Corp to Corp ok')).toBe('c2c');
+      expect(detectEngagementType('C2C')).toBe('c2c');
+      expect(detectEngagementType('contract-to-hire, W2')).toBe('contract_to_hire');
+      expect(detectEngagementType('full time')).toBeNull();
+    });
+  });
+
+  describe('findContractTerms', () => {
+    it('should return the terms as written', () => {
+      expect(findContractTerms('This is a 6 month W2 contract')).toBe('6 month, W2');
+      expect(findContractTerms('Corp to corp only')).toBe('Corp to corp');
+      expect(findContractTerms('Great benefits')).toBeNull();
+    });
+  });
+
+  describe('parseRate', () => {
+    it('should take the period from the period field or the rate text', () => {
+      expect(parseRate('$120', 'per hour')).toEqual({ min: 120, max: 120, period: 'hour', currency: 'USD' });
+      expect(parseRate('£500-550/day', null)).toEqual({ min: 500, max: 550, period: 'day', currency: 'GBP' });
+    });
+
+    it('should not read contract lengths or engagement types as pay', () => {
+      expect(parseRate('$95/hr', '6 months W2')).toEqual({ min: 95, max: 95, period: 'hour', currency: 'USD' });
+      expect(parseRate('$60 1099 for 6 months', 'hourly')).toMatchObject({ min: 60, max: 60, period: 'hour' });
+      expect(parseRate('95', '6 months')).toBeNull();
+    });
+
+    it('should treat large amounts without a period as annual', () => {
+      expect(parseRate('140k', '')).toMatchObject({ min: 140000, period: 'year' });
+    });
+
+    it('should give up on small amounts without a period', () => {
+      expect(parseRate('120', '')).toBeNull();
+      expect(parseRate('', 'hourly')).toBeNull();
+    });
+  });
+
+  describe('annualize', () => {
+    it('should scale by working periods per year', () => {
+      expect(annualize(100, 'hour')).toBe(208000);
+      expect(annualize('500', 'day')).toBe(130000);
+      expect(annualize(10000, 'month')).toBe(120000);
+      expect(annualize(90000, 'year')).toBe(90000);
+    });
+
+    it('should return null for unknown periods or missing amounts', () => {
+      expect(annualize(100, 'fortnight')).toBeNull();
+      expect(annualize(null, 'year')).toBeNull();
+    });
+  });
+
+  describe('jobCompensation', () => {
+    it('should use the salary range midpoint', () => {
+      expect(jobCompensation({
+        salary_range_min: '120000.00',
+        salary_range_max: '140000.00',
+        salary_currency: 'USD',
+        consulting_rate: '$200/hr',
+      })).toEqual({
+        annual: 130000,
+        annualMin: 120000,
+        annualMax: 140000,
+        currency: 'USD',
+        source: 'salary_range',
+      });
+    });
+
+    it('should use one end of the range when the other is missing', () => {
+      expect(jobCompensation({ salary_range_min: null, salary_range_max: 90000 })).toMatchObject({ annual: 90000 });
+    });
+
+    it('should fall back to the consulting rate', () => {
+      expect(jobCompensation({
+        consulting_rate: '€600-700',
+        consulting_period: 'per day',
+        salary_currency: 'USD',
+      })).toEqual({
+        annual: 169000,
+        annualMin: 156000,
+        annualMax: 182000,
+        currency: 'EUR',
+        source: 'consulting_rate',
+      });
+    });
+
+    it('should return null when pay is unknown', () => {
+      expect(jobCompensation({ consulting_rate: 'competitive' })).toBeNull();
+    });
+  });
+
+  describe('consultingTermsColumns', () => {
+    it('should derive the structured columns from the raw text', () => {
+      expect(consultingTermsColumns({
+        consulting_rate: '£500-550',
+        consulting_period: 'per day, 12 week C2C',
+      })).toEqual({
+        rate_amount: 500,
+        rate_amount_max: 550,
+        rate_unit: 'day',
+        rate_currency: 'GBP',
+        contract_length_months: 2.8,
+        engagement_type: 'c2c',
+        effective_annual_rate: 136500,
+      });
+    });
+
+    it('should keep the contract terms when the rate cannot be parsed', () => {
+      expect(consultingTermsColumns({ consulting_rate: 'DOE', consulting_period: '6 months W2' })).toEqual({
+        rate_amount: null,
+        rate_amount_max: null,
+        rate_unit: null,
+        rate_currency: null,
+        contract_length_months: 6,
+        engagement_type: 'w2',
+        effective_annual_rate: null,
+      });
+    });
+
+    it('should use the salary range for the effective annual rate', () => {
+      expect(consultingTermsColumns({ salary_range_min: 120000, salary_range_max: 140000 }))
+        .toMatchObject({ rate_amount: null, effective_annual_rate: 130000 });
+    });
+  });
+
+  describe('offerCompensation', () => {
+    it('should total annual pay and add the signing bonus to the first year', () => {
+      expect(offerCompensation({
+        base_salary: '150000.00',
+        pay_period: 'year',
+        currency: 'USD',
+        bonus: '15000.00',
+        signing_bonus: '10000.00',
+        equity_value: '20000.00',
+        benefits_value: null,
+      })).toEqual({
+        currency: 'USD',
+        base: 150000,
+        bonus: 15000,
+        equity: 20000,
+        benefits: 0,
+        signingBonus: 10000,
+        total: 185000,
+        firstYear: 195000,
+      });
+    });
+
+    it('should annualize hourly offers', () => {
+      expect(offerCompensation({ base_salary: 90, pay_period: 'hour', currency: 'USD' }).total).toBe(187200);
+    });
+  });
+
+  describe('compareCompensation', () => {
+    it('should prefer the offer over the posting', () => {
+      expect(compareCompensation(
+        { salary_range_min: 100000 },
+        { base_salary: 120000, pay_period: 'year', currency: 'USD' },
+      )).toMatchObject({ total: 120000, source: 'offer', estimated: false });
+    });
+
+    it('should estimate from the posting without an offer', () => {
+      expect(compareCompensation({ salary_range_min: 100000, salary_currency: 'GBP' }, null)).toMatchObject({
+        currency: 'GBP',
+        base: 100000,
+        total: 100000,
+        bonus: null,
+        source: 'salary_range',
+        estimated: true,
+      });
+    });
+
+    it('should report unknown pay', () => {
+      expect(compareCompensation({}, null)).toMatchObject({ total: null, source: null, estimated: true });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * CSV Reading and Writing Unit Tests
+ */
+
+const { parseCsv, toCsv, unguardCell } = require('../../utils/csv');
+
+describe('CSV', () => {
+  describe('parseCsv', () => {
+    it('should read quoted fields with separators, quotes and line breaks', () => {
+      expect(parseCsv('\uFEFFTitle,Notes\r\n"Engineer, Senior","Said ""maybe""\nfollow up"\r\n')).toEqual([
+        ['Title', 'Notes'],
+        ['Engineer, Senior', 'Said "maybe"\nfollow up'],
+      ]);
+    });
+
+    it('should detect semicolon and tab separators', () => {
+      expect(parseCsv('Title;Salary\nEngineer;120000,50')).toEqual([['Title', 'Salary'], ['Engineer', '120000,50']]);
+      expect(parseCsv('Title\tCompany\nEngineer\tAcme')).toEqual([['Title', 'Company'], ['Engineer', 'Acme']]);
+    });
+
+    it('should skip blank lines and keep empty cells', () => {
+      expect(parseCsv('a,b\n\n1,\n')).toEqual([['a', 'b'], ['1', '']]);
+      expect(parseCsv('')).toEqual([]);
+    });
+
+    it('should return null for an unclosed quote', () => {
+      expect(parseCsv('a,b\n"1,2')).toBeNull();
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote where needed and guard formulas', () => {
+      expect(toCsv([['title', 'notes', 'min'], ['Engineer, Senior', '=1+1', 120000], ['SRE', null, -5]]))
+        .toBe('\uFEFFtitle,notes,min\r\n"Engineer, Senior",\'=1+1,120000\r\nSRE,,-5\r\n');
+    });
+
+    it('should read back what it writes', () => {
+      const rows = [['title', 'notes'], ['Engineer', 'Line one\nLine "two"'], ['SRE', '@mention']];
+      expect(parseCsv(toCsv(rows)).map((row) => row.map(unguardCell))).toEqual(rows);
+    });
+  });
+});
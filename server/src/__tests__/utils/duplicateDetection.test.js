@@ -0,0 +1,127 @@
+/**
+ * Duplicate Detection Unit Tests
+ */
+
+const {
+  shingles,
+  similarity,
+  findDuplicate,
+  createDuplicateIndex,
+  getDuplicateThreshold,
+} = require('../../utils/duplicateDetection');
+
+const DESCRIPTION = 'We are hiring a backend engineer to build payment APIs in Go and run them on Kubernetes.';
+
+describe('Duplicate Detection', () => {
+  afterEach(() => {
+    delete process.env.DUPLICATE_SIMILARITY_THRESHOLD;
+  });
+
+  describe('shingles', () => {
+    it('should build normalized five-word shingles', () => {
+      const result = shingles('One, two THREE four five six!');
+
+      expect([...result]).toEqual(['one two three four five', 'two three four five six']);
+    });
+
+    it('should return nothing for short text', () => {
+      expect(shingles('Too short').size).toBe(0);
+    });
+  });
+
+  describe('similarity', () => {
+    it('should score identical postings as 1', () => {
+      const posting = { title: 'Backend Engineer', company: 'Acme', description: DESCRIPTION };
+
+      expect(similarity(posting, { ...posting })).toBe(1);
+    });
+
+    it('should compare linked companies by ID', () => {
+      const a = { title: 'Backend Engineer', company_id: 'c1', company: 'Acme Inc' };
+
+      expect(similarity(a, { ...a, company: 'ACME' })).toBe(1);
+      expect(similarity(a, { ...a, company_id: 'c2' })).toBeLessThan(1);
+    });
+
+    it('should ignore signals missing from either posting', () => {
+      const a = { title: 'Data Engineer', company: 'Acme' };
+
+      expect(similarity(a, { ...a, description: DESCRIPTION })).toBe(1);
+    });
+
+    it('should not score a title-only match', () => {
+      expect(similarity({ title: 'Data Engineer' }, { title: 'Data Engineer', description: DESCRIPTION })).toBe(0);
+      expect(similarity({ title: 'Data Engineer', company: 'Acme' }, { title: 'Data Engineer' })).toBe(0);
+      expect(findDuplicate({ title: 'Data Engineer' }, [{ id: 'same-title', title: 'Data Engineer' }], 0.1)).toBeNull();
+    });
+
+    it('should score unrelated postings low', () => {
+      const score = similarity(
+        { title: 'Backend Engineer', company: 'Acme', description: DESCRIPTION },
+        { title: 'Marketing Manager', company: 'Globex', description: 'Own our brand campaigns across social media and events this year.' }
+      );
+
+      expect(score).toBe(0);
+    });
+  });
+
+  describe('findDuplicate', () => {
+    const posting = { title: 'Backend Engineer', company: 'Acme', description: DESCRIPTION };
+
+    it('should return the most similar posting above the threshold', () => {
+      const candidates = [
+        { id: 'other', title: 'Frontend Engineer', company: 'Acme', description: DESCRIPTION },
+        { id: 'same', ...posting },
+      ];
+
+      expect(findDuplicate(posting, candidates, 0.8)).toEqual({ id: 'same', score: 1 });
+    });
+
+    it('should return null below the threshold', () => {
+      const candidates = [{ id: 'other', title: 'Frontend Engineer', company: 'Acme', description: DESCRIPTION }];
+
+      expect(findDuplicate(posting, candidates, 0.95)).toBeNull();
+    });
+  });
+
+  describe('createDuplicateIndex', () => {
+    const candidates = [
+      { id: 'same', title: 'Backend Engineer', company: 'Acme', description: DESCRIPTION },
+      { id: 'reworded', title: 'Backend Engineer', company: 'Acme', description: `${DESCRIPTION} Remote friendly.` },
+      { id: 'other', title: 'Marketing Manager', company: 'Globex', description: 'Own our brand campaigns across social media.' },
+    ];
+    const posting = { id: 'new', title: 'Backend Engineer', company: 'Acme', description: DESCRIPTION };
+
+    it('should score like similarity() for every candidate', () => {
+      const index = createDuplicateIndex(candidates);
+
+      candidates.forEach((candidate) => {
+        expect(index.find(posting, { threshold: 0, isCandidate: (row) => row.id === candidate.id }))
+          .toEqual({ id: candidate.id, score: similarity(posting, candidate) });
+      });
+    });
+
+    it('should skip candidates rejected for a check', () => {
+      const index = createDuplicateIndex(candidates);
+
+      expect(index.find(posting, { threshold: 0.8 })).toEqual({ id: 'same', score: 1 });
+      expect(index.find(posting, { threshold: 0.8, isCandidate: (row) => row.id !== 'same' }).id).toBe('reworded');
+    });
+  });
+
+  describe('getDuplicateThreshold', () => {
+    it('should default to 0.8', () => {
+      expect(getDuplicateThreshold()).toBe(0.8);
+    });
+
+    it('should read DUPLICATE_SIMILARITY_THRESHOLD', () => {
+      process.env.DUPLICATE_SIMILARITY_THRESHOLD = '0.65';
+      expect(getDuplicateThreshold()).toBe(0.65);
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.DUPLICATE_SIMILARITY_THRESHOLD = '2';
+      expect(getDuplicateThreshold()).toBe(0.8);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * iCalendar Export Unit Tests
+ */
+
+const {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  buildCalendar,
+  deadlineEvent,
+  interviewEvent,
+  followUpEvent,
+} = require('../../utils/icalendar');
+
+const interview = {
+  id: 'i-1',
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  round: 2,
+  scheduled_at: '2024-06-10T15:00:00.000Z',
+  duration_minutes: 45,
+  location: 'Zoom',
+  outcome: 'pending',
+  prep_notes: 'Review the design doc',
+  follow_up_due: '2024-06-12',
+  interviewers: [{ id: 'r-1', name: 'Sam Lee' }, { id: 'r-2', name: 'Pat Kim' }],
+};
+
+describe('iCalendar Export', () => {
+  describe('escapeText', () => {
+    it('should escape backslashes, separators and newlines', () => {
+      expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+      expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('date formatting', () => {
+    it('should format moments in UTC', () => {
+      expect(formatDateTime('2024-06-10T15:04:05.000Z')).toBe('20240610T150405Z');
+    });
+
+    it('should format dates and roll over month ends', () => {
+      expect(formatDate('2024-06-10')).toBe('20240610');
+      expect(formatDate('2024-06-30', 1)).toBe('20240701');
+    });
+  });
+
+  describe('event builders', () => {
+    it('should build an all-day deadline event', () => {
+      expect(deadlineEvent({
+        id: 'jd-1',
+        job_title: 'Platform Engineer',
+        company_name: null,
+        application_deadline: '2024-06-15',
+      })).toEqual({
+        uid: 'deadline-jd-1@spexture.com',
+        summary: 'Application deadline: Platform Engineer',
+        date: '2024-06-15',
+      });
+    });
+
+    it('should build a timed interview event with its interviewers and prep notes', () => {
+      const event = interviewEvent(interview);
+
+      expect(event.uid).toBe('interview-i-1@spexture.com');
+      expect(event.summary).toBe('Interview (round 2): Platform Engineer at Acme');
+      expect(event.end.toISOString()).toBe('2024-06-10T15:45:00.000Z');
+      expect(event.description).toBe('Interviewers: Sam Lee, Pat Kim\n\nPrep notes:\nReview the design doc');
+      expect(event.status).toBe('CONFIRMED');
+    });
+
+    it('should default interviews to one hour and mark cancelled ones', () => {
+      const event = interviewEvent({ ...interview, duration_minutes: null, outcome: 'cancelled' });
+
+      expect(event.end.toISOString()).toBe('2024-06-10T16:00:00.000Z');
+      expect(event.status).toBe('CANCELLED');
+    });
+
+    it('should build an all-day follow-up event', () => {
+      expect(followUpEvent(interview)).toMatchObject({
+        uid: 'follow-up-i-1@spexture.com',
+        summary: 'Follow up: Platform Engineer at Acme (round 2)',
+        date: '2024-06-12',
+      });
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should serialize events with CRLF line endings', () => {
+      const calendar = buildCalendar({
+        name: 'Job search',
+        events: [deadlineEvent({ id: 'jd-1', job_title: 'SRE', application_deadline: '2024-06-15' }), interviewEvent(interview)],
+        stamp: new Date('2024-06-01T00:00:00Z'),
+      });
+
+      expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(calendar).toContain('X-WR-CALNAME:Job search\r\n');
+      expect(calendar).toContain('DTSTAMP:20240601T000000Z\r\n');
+      expect(calendar).toContain('DTSTART;VALUE=DATE:20240615\r\nDTEND;VALUE=DATE:20240616\r\n');
+      expect(calendar).toContain('DTSTART:20240610T150000Z\r\nDTEND:20240610T154500Z\r\n');
+      expect(calendar).toContain('LOCATION:Zoom\r\n');
+      expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+  });
+});
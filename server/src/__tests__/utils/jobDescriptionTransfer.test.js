@@ -0,0 +1,102 @@
+/**
+ * Job Description Bulk Import and Export Unit Tests
+ */
+
+const {
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  mapRow,
+  toExportRecords,
+  toExportCsv,
+} = require('../../utils/jobDescriptionTransfer');
+
+describe('Job Description Bulk Import and Export', () => {
+  describe('parseImportFile', () => {
+    it('should key CSV rows by the header', () => {
+      expect(parseImportFile('Title,Company\nEngineer,Acme\nSRE', 'csv')).toEqual({
+        columns: ['Title', 'Company'],
+        rows: [{ Title: 'Engineer', Company: 'Acme' }, { Title: 'SRE', Company: '' }],
+      });
+    });
+
+    it('should read JSON arrays and { jobDescriptions } objects', () => {
+      const records = [{ job_title: 'Engineer' }, { job_title: 'SRE', notes: null }];
+      expect(parseImportFile(JSON.stringify(records), 'json')).toEqual({ columns: ['job_title', 'notes'], rows: records });
+      expect(parseImportFile(JSON.stringify({ jobDescriptions: records }), 'json').rows).toEqual(records);
+    });
+
+    it('should return null for files it cannot read', () => {
+      expect(parseImportFile('{"a":', 'json')).toBeNull();
+      expect(parseImportFile('{"a": 1}', 'json')).toBeNull();
+      expect(parseImportFile('[1, 2]', 'json')).toBeNull();
+      expect(parseImportFile('a\n"b', 'csv')).toBeNull();
+    });
+  });
+
+  describe('suggestMapping', () => {
+    it('should match spreadsheet and export column names', () => {
+      expect(suggestMapping(['Job Title', 'Employer', 'Salary Min', 'job_title', 'date_found', 'id', 'Misc'])).toEqual({
+        'Job Title': 'jobTitle',
+        Employer: 'company',
+        'Salary Min': 'salaryRangeMin',
+        job_title: null,
+        date_found: 'date',
+        id: null,
+        Misc: null,
+      });
+    });
+  });
+
+  describe('validateMapping', () => {
+    const columns = ['Title', 'Company'];
+
+    it('should accept a mapping with a job title', () => {
+      expect(validateMapping({ Title: 'jobTitle', Company: '' }, columns)).toBeNull();
+    });
+
+    it('should explain what is wrong', () => {
+      expect(validateMapping([], columns)).toBe('Column mapping must map file columns to job description fields');
+      expect(validateMapping({ Salary: 'jobTitle' }, columns)).toBe('The file has no column named Salary');
+      expect(validateMapping({ Title: 'userId' }, columns)).toBe('Unknown job description field: userId');
+      expect(validateMapping({ Title: 'jobTitle', Company: 'jobTitle' }, columns)).toBe('More than one column is mapped to jobTitle');
+      expect(validateMapping({ Company: 'company' }, columns)).toBe('Map a column to the job title');
+    });
+  });
+
+  describe('mapRow', () => {
+    it('should normalize choices and amounts and skip unmapped columns', () => {
+      const mapping = { Title: 'jobTitle', Type: 'jobType', Where: 'remotePolicy', Min: 'salaryRangeMin', Max: 'salaryRangeMax', Misc: null };
+
+      expect(mapRow({ Title: ' Engineer ', Type: 'Full-time', Where: 'On-site', Min: '$120,000', Max: 'DOE', Misc: 'x' }, mapping))
+        .toEqual({ jobTitle: 'Engineer', jobType: 'full_time', remotePolicy: 'onsite', salaryRangeMin: '120000', salaryRangeMax: 'DOE' });
+    });
+
+    it('should leave JSON values for the validators and drop nulls', () => {
+      expect(mapRow({ title: 'SRE', min: 90000, notes: null, description: ['a'] }, {
+        title: 'jobTitle', min: 'salaryRangeMin', notes: 'notes', description: 'description',
+      })).toEqual({ jobTitle: 'SRE', salaryRangeMin: 90000, description: ['a'] });
+    });
+  });
+
+  describe('export', () => {
+    it('should round-trip through import', () => {
+      const records = toExportRecords([{
+        id: 'jd-1', user_id: 'user-1', title: 'Engineer', job_title: 'Engineer', company: 'Acme',
+        salary_range_min: '120000.00', date_found: '2024-06-01', keywords: ['Go', 'SQL'], notes: '-remote first',
+      }]);
+      expect(records[0]).not.toHaveProperty('user_id');
+      expect(records[0]).toMatchObject({ location: null, keywords: ['Go', 'SQL'] });
+
+      const { columns, rows } = parseImportFile(toExportCsv(records), 'csv');
+      expect(rows[0].keywords).toBe('Go; SQL');
+      expect(mapRow(rows[0], suggestMapping(columns))).toMatchObject({
+        jobTitle: 'Engineer',
+        company: 'Acme',
+        salaryRangeMin: '120000.00',
+        date: '2024-06-01',
+        notes: '-remote first',
+      });
+    });
+  });
+});
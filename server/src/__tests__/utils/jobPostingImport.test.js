@@ -0,0 +1,162 @@
+/**
+ * Saved Job Posting Import Unit Tests
+ */
+
+const {
+  findJobPostings,
+  mapJobPosting,
+  findPageUrl,
+  detectSourceType,
+  parseSavedPosting,
+} = require('../../utils/jobPostingImport');
+
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+const POSTING = {
+  '@context': 'https://schema.org',
+  '@type': 'JobPosting',
+  title: 'Staff Engineer',
+  datePosted: '2024-06-01T10:00:00Z',
+  validThrough: '2024-07-01',
+  employmentType: ['FULL_TIME'],
+  jobLocationType: 'TELECOMMUTE',
+  hiringOrganization: { '@type': 'Organization', name: 'Acme', sameAs: 'https://www.acme.com' },
+  jobLocation: {
+    '@type': 'Place',
+    address: { '@type': 'PostalAddress', addressLocality: 'Austin', addressRegion: 'TX', addressCountry: 'US' },
+  },
+  baseSalary: {
+    '@type': 'MonetaryAmount',
+    currency: 'usd',
+    value: { '@type': 'QuantitativeValue', minValue: 180000, maxValue: 210000, unitText: 'YEAR' },
+  },
+  description: '&lt;p&gt;Lead our platform team. Questions: jobs@acme.com&lt;/p&gt;&lt;ul&gt;&lt;li&gt;Go&lt;/li&gt;&lt;/ul&gt;',
+};
+
+describe('Saved Job Posting Import', () => {
+  describe('findJobPostings', () => {
+    it('should find postings in @graph and skip invalid JSON', () => {
+      const html = [
+        '<script type="application/ld+json">{ not json</script>',
+        jsonLd({ '@graph': [{ '@type': 'Organization', name: 'Acme' }, POSTING] }),
+      ].join('\n');
+
+      expect(findJobPostings(html)).toEqual([POSTING]);
+      expect(findJobPostings('<p>No markup</p>')).toEqual([]);
+    });
+  });
+
+  describe('mapJobPosting', () => {
+    it('should map a JobPosting to form fields', () => {
+      expect(mapJobPosting(POSTING)).toEqual({
+        fields: {
+          jobTitle: 'Staff Engineer',
+          company: 'Acme',
+          location: 'Austin, TX',
+          remotePolicy: 'remote',
+          jobType: 'full_time',
+          salaryRangeMin: 180000,
+          salaryRangeMax: 210000,
+          salaryCurrency: 'USD',
+          datePosted: '2024-06-01',
+          applicationDeadline: '2024-07-01',
+          description: 'Lead our platform team. Questions: jobs@acme.com\n\n- Go',
+        },
+        companyWebsite: 'https://www.acme.com',
+        url: null,
+      });
+    });
+
+    it('should turn hourly pay into a consulting rate', () => {
+      const { fields } = mapJobPosting({
+        title: 'Contract SRE',
+        employmentType: 'CONTRACTOR',
+        baseSalary: { currency: 'USD', value: { minValue: 90, maxValue: 110, unitText: 'HOUR' } },
+      });
+
+      expect(fields).toEqual({ jobTitle: 'Contract SRE', jobType: 'contract', consultingRate: '90-110 USD per hour' });
+    });
+
+    it('should ignore values it cannot map', () => {
+      const { fields } = mapJobPosting({
+        title: 'Intern',
+        employmentType: 'INTERN',
+        datePosted: 'yesterday',
+        baseSalary: { value: 25 },
+      });
+
+      expect(fields).toEqual({ jobTitle: 'Intern' });
+    });
+  });
+
+  describe('findPageUrl', () => {
+    it('should read the canonical link, og:url or the saved-from comment', () => {
+      expect(findPageUrl('<link href="https://a.example/jobs/1" rel="canonical">')).toBe('https://a.example/jobs/1');
+      expect(findPageUrl('<meta property="og:url" content="https://b.example/jobs/2">')).toBe('https://b.example/jobs/2');
+      expect(findPageUrl('<!-- saved from url=(0026)https://c.example/jobs/3 -->')).toBe('https://c.example/jobs/3');
+      expect(findPageUrl('<link rel="canonical" href="/jobs/4">')).toBeNull();
+    });
+  });
+
+  describe('detectSourceType', () => {
+    it('should recognize boards by host', () => {
+      expect(detectSourceType({ url: 'https://www.linkedin.com/jobs/view/1' })).toBe('linkedin');
+      expect(detectSourceType({ url: 'https://uk.indeed.com/viewjob?jk=1' })).toBe('indeed');
+      expect(detectSourceType({ url: 'https://www.glassdoor.co.uk/job-listing/1' })).toBe('glassdoor');
+    });
+
+    it('should treat careers sites and ATS pages as the company website', () => {
+      expect(detectSourceType({ url: 'https://boards.greenhouse.io/acme/jobs/1' })).toBe('company_website');
+      expect(detectSourceType({ url: 'https://careers.acme.com/jobs/1', companyWebsite: 'https://www.acme.com' }))
+        .toBe('company_website');
+    });
+
+    it('should fall back to the site name, then any job board', () => {
+      expect(detectSourceType({ url: null, siteName: 'Indeed' })).toBe('indeed');
+      expect(detectSourceType({ url: 'https://jobs.example.org/1' })).toBe('job_board');
+      expect(detectSourceType({ url: null })).toBeNull();
+    });
+  });
+
+  describe('parseSavedPosting', () => {
+    it('should prefer JSON-LD and fill gaps from its description', () => {
+      const result = parseSavedPosting(`<html><head>
+        <!-- saved from url=(0045)https://boards.greenhouse.io/acme/jobs/4012345 -->
+        ${jsonLd({ ...POSTING, jobLocationType: undefined, employmentType: undefined })}
+      </head><body><h1>Ignored heading</h1><p>Hybrid, full-time</p></body></html>`);
+
+      expect(result).toMatchObject({
+        method: 'json_ld',
+        url: 'https://boards.greenhouse.io/acme/jobs/4012345',
+        companyWebsite: 'https://www.acme.com',
+        sourceType: 'company_website',
+      });
+      expect(result.fields).toMatchObject({
+        jobTitle: 'Staff Engineer',
+        contactInfo: 'jobs@acme.com',
+        jobInfo: 'Posting URL: https://boards.greenhouse.io/acme/jobs/4012345',
+      });
+      // Only the JSON-LD description is used for the gaps, not the rest of the page
+      expect(result.fields).not.toHaveProperty('remotePolicy');
+      expect(result.fields).not.toHaveProperty('jobType');
+    });
+
+    it('should fall back to the heuristics without JSON-LD', () => {
+      const result = parseSavedPosting(`<html><head>
+        <link rel="canonical" href="https://www.linkedin.com/jobs/view/123">
+      </head><body>
+        <h1>Contract SRE</h1><p>Globex · Denver, CO</p><p>Rate: $95/hr</p>
+        <h2>About the role</h2><p>Run Kubernetes clusters for the platform teams across three regions with on-call.</p>
+      </body></html>`);
+
+      expect(result).toMatchObject({ method: 'heuristic', sourceType: 'linkedin' });
+      expect(result.fields).toMatchObject({
+        jobTitle: 'Contract SRE',
+        company: 'Globex',
+        location: 'Denver, CO',
+        consultingRate: '$95/hr',
+        jobInfo: 'Globex · Denver, CO\nPosting URL: https://www.linkedin.com/jobs/view/123',
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Keyword Analysis Unit Tests
+ */
+
+const { analyzeJobDescription, extractKeywords } = require('../../utils/keywordAnalysis');
+
+const DESCRIPTION = `About us
+We build developer tools with Go and React.
+
+Requirements:
+- 5+ years of experience with Node.js and PostgreSQL
+- Experience with AWS, Docker and Kubernetes (k8s)
+- Strong communication skills
+
+Nice to have
+- Terraform
+- C++ or C#
+
+Experience with Kafka is a plus.`;
+
+describe('Keyword Analysis', () => {
+  describe('analyzeJobDescription', () => {
+    it('should extract canonical skill names from aliases', () => {
+      const { keywords } = analyzeJobDescription({ description: DESCRIPTION });
+
+      expect(keywords).toEqual(expect.arrayContaining([
+        'Go', 'React', 'Node.js', 'PostgreSQL', 'AWS', 'Docker', 'Kubernetes',
+        'Communication', 'Terraform', 'C++', 'C#', 'Kafka',
+      ]));
+      // "js" inside "node.js" is not JavaScript
+      expect(keywords).not.toContain('JavaScript');
+    });
+
+    it('should rank skills by number of mentions', () => {
+      const { topSkills } = analyzeJobDescription({ description: DESCRIPTION });
+
+      expect(topSkills[0]).toEqual({
+        name: 'Kubernetes',
+        category: 'cloud',
+        count: 2,
+        requirement: 'required',
+      });
+    });
+
+    it('should separate required from nice-to-have skills', () => {
+      const { required, niceToHave } = analyzeJobDescription({ description: DESCRIPTION });
+
+      expect(required).toEqual(expect.arrayContaining(['Node.js', 'PostgreSQL', 'Go', 'React']));
+      expect(niceToHave).toEqual(expect.arrayContaining(['Terraform', 'C++', 'C#', 'Kafka']));
+      expect(required).not.toContain('Kafka');
+    });
+
+    it('should treat a skill as required when any mention requires it', () => {
+      const { required, niceToHave } = analyzeJobDescription({
+        description: 'Python preferred.\nYou will write Python every day.',
+      });
+
+      expect(required).toEqual(['Python']);
+      expect(niceToHave).toEqual([]);
+    });
+
+    it('should only match "Go" when capitalized', () => {
+      const { keywords } = analyzeJobDescription({ description: 'Ready to go? We use Golang.' });
+
+      expect(keywords).toEqual(['Go']);
+    });
+
+    it('should extract years of experience', () => {
+      expect(analyzeJobDescription({ description: '3-5 years of backend work' }).yearsOfExperience)
+        .toEqual({ min: 3, max: 5 });
+      expect(analyzeJobDescription({ description: '2+ yrs React, 7+ years overall' }).yearsOfExperience)
+        .toEqual({ min: 7, max: null });
+      expect(analyzeJobDescription({ description: 'No experience needed' }).yearsOfExperience).toBeNull();
+    });
+
+    it('should take seniority from the title first', () => {
+      const { seniority } = analyzeJobDescription({ title: 'Staff Engineer', description: '2 years of Java' });
+
+      expect(seniority).toEqual({ level: 'staff', signals: ['Title mentions "Staff"'] });
+    });
+
+    it('should infer seniority from years of experience', () => {
+      const { seniority } = analyzeJobDescription({ title: 'Backend Engineer', description: DESCRIPTION });
+
+      expect(seniority).toEqual({ level: 'senior', signals: ['Asks for 5+ years of experience'] });
+    });
+
+    it('should handle a missing description', () => {
+      expect(analyzeJobDescription({ title: 'Engineer' })).toEqual({
+        keywords: [],
+        topSkills: [],
+        required: [],
+        niceToHave: [],
+        yearsOfExperience: null,
+        seniority: { level: null, signals: [] },
+      });
+    });
+  });
+
+  describe('extractKeywords', () => {
+    it('should return only the skill names', () => {
+      expect(extractKeywords('TypeScript and React')).toEqual(['React', 'TypeScript']);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Mailer Tests
+ * Message building, the file transport and SMTP delivery against a local fake server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { buildMessage, createTransport } = require('../../utils/mailer');
+
+/**
+ * Start a fake SMTP server that records the conversation
+ * @returns {Promise<{port: number, commands: Array<string>, data: Array<string>, close: Function}>}
+ */
+const startFakeSmtpServer = ({ authRequired = false, advertiseAuth = authRequired } = {}) => new Promise((resolve) => {
+  const commands = [];
+  const data = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 fake.smtp ESMTP ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 Ok: queued as ABC123\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write(`250-fake.smtp\r\n250-SIZE 10240000\r\n250${advertiseAuth ? '-AUTH PLAIN\r\n250' : ''} 8BITMIME\r\n`);
+        } else if (verb === 'STARTTLS') {
+          socket.write('502 5.5.1 Command not implemented\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 2.7.0 Authentication successful\r\n');
+        } else if (verb === 'MAIL' && authRequired && !commands.some(c => c.startsWith('AUTH'))) {
+          socket.write('530 5.7.0 Authentication required\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 2.0.0 Bye\r\n');
+        } else {
+          socket.write('250 2.1.0 Ok\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      commands,
+      data,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
+
+const message = {
+  from: 'Spexture <no-reply@spexture-com.local>',
+  to: 'alex@example.com',
+  subject: 'Reset your Spexture password',
+  text: 'Hi Alex,\n\n.hidden line\nhttp://localhost:3010/reset-password?token=abc',
+};
+
+describe('Mailer', () => {
+  describe('buildMessage', () => {
+    it('should build headers and a CRLF body', () => {
+      const raw = buildMessage({ ...message, date: new Date('2024-06-10T15:00:00Z') });
+      const separator = raw.indexOf('\r\n\r\n');
+      const head = raw.slice(0, separator);
+      const body = raw.slice(separator + 4);
+
+      expect(head).toContain('From: Spexture <no-reply@spexture-com.local>');
+      expect(head).toContain('To: alex@example.com');
+      expect(head).toContain('Subject: Reset your Spexture password');
+      expect(head).toContain('Date: Mon, 10 Jun 2024 15:00:00 +0000');
+      expect(head).toMatch(/Message-ID: <[0-9a-f-]+@spexture-com\.local>/);
+      expect(head).toContain('Content-Type: text/plain; charset=utf-8');
+      expect(body).toBe('Hi Alex,\r\n\r\n.hidden line\r\nhttp://localhost:3010/reset-password?token=abc\r\n');
+    });
+
+    it('should encode non-ASCII subjects', () => {
+      const raw = buildMessage({ ...message, subject: 'Réinitialiser' });
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Réinitialiser').toString('base64')}?=`);
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should default to the console transport', () => {
+      expect(createTransport({}).name).toBe('console');
+    });
+
+    it('should reject unknown transports and smtp without a host', () => {
+      expect(() => createTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow(/Unknown MAIL_TRANSPORT/);
+      expect(() => createTransport({ MAIL_TRANSPORT: 'smtp' })).toThrow(/SMTP_HOST is required/);
+    });
+
+    it('should refuse the console transport in production', () => {
+      expect(() => createTransport({ NODE_ENV: 'production' })).toThrow(/MAIL_TRANSPORT must be smtp or file in production/);
+      expect(() => createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' })).toThrow(/in production/);
+      expect(createTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'mail.example.com' }).name).toBe('smtp');
+    });
+
+    it('should write messages to MAIL_DIR with the file transport', async () => {
+      const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spexture-mail-'));
+      try {
+        const transport = createTransport({ MAIL_TRANSPORT: 'file', MAIL_DIR: mailDir });
+        const raw = buildMessage(message);
+        const { file } = await transport.send(raw, { from: 'no-reply@spexture-com.local', to: ['alex@example.com'] });
+
+        expect(path.dirname(file)).toBe(mailDir);
+        expect(file.endsWith('.eml')).toBe(true);
+        expect(fs.readFileSync(file, 'utf8')).toBe(raw);
+      } finally {
+        fs.rmSync(mailDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should deliver through SMTP', async () => {
+      const server = await startFakeSmtpServer();
+      try {
+        const transport = createTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(server.port) });
+        const result = await transport.send(buildMessage(message), {
+          from: 'no-reply@spexture-com.local',
+          to: ['alex@example.com'],
+        });
+
+        expect(result.response).toBe('250 2.0.0 Ok: queued as ABC123');
+        expect(server.commands[0]).toMatch(/^EHLO /);
+        expect(server.commands).toEqual(expect.arrayContaining([
+          'MAIL FROM:<no-reply@spexture-com.local>',
+          'RCPT TO:<alex@example.com>',
+          'DATA',
+        ]));
+        expect(server.commands.some(c => c.startsWith('AUTH'))).toBe(false);
+        // Dot-stuffed on the wire
+        expect(server.data).toContain('..hidden line');
+        expect(server.data).toContain('Subject: Reset your Spexture password');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('should not send credentials when the relay does not offer STARTTLS', async () => {
+      const server = await startFakeSmtpServer({ advertiseAuth: true });
+      try {
+        const transport = createTransport({
+          MAIL_TRANSPORT: 'smtp',
+          SMTP_HOST: '127.0.0.1',
+          SMTP_PORT: String(server.port),
+          SMTP_USER: 'mailer',
+          SMTP_PASSWORD: 'secret',
+        });
+        await expect(transport.send(buildMessage(message), {
+          from: 'no-reply@spexture-com.local',
+          to: ['alex@example.com'],
+        })).rejects.toThrow(/STARTTLS/);
+
+        expect(server.commands.some(c => c.startsWith('AUTH'))).toBe(false);
+        expect(server.commands.join('\n')).not.toContain(Buffer.from('\0mailer\0secret').toString('base64'));
+        expect(server.commands).not.toContain('DATA');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('should fail with the server reply when a command is refused', async () => {
+      const server = await startFakeSmtpServer({ authRequired: true });
+      try {
+        const transport = createTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(server.port) });
+        await expect(transport.send(buildMessage(message), {
+          from: 'no-reply@spexture-com.local',
+          to: ['alex@example.com'],
+        })).rejects.toThrow(/530 5\.7\.0 Authentication required/);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
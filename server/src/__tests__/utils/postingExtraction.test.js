@@ -0,0 +1,123 @@
+/**
+ * Job Posting Extraction Unit Tests
+ */
+
+const { htmlToText, extractPosting } = require('../../utils/postingExtraction');
+
+const BOARD_POSTING = `Senior Backend Engineer
+Acme Corp · Austin, TX (Hybrid) · Full-time
+$140,000 - $170,000 a year
+
+About the role
+We are looking for a senior backend engineer to build and scale the payment systems behind our marketplace.
+
+- 5+ years of experience with Go or Java
+- Experience with PostgreSQL
+
+Questions? Email jane.doe@acme.com or call (512) 555-0142.`;
+
+const HTML_POSTING = `<html><head><title>Contract SRE | Jobs</title><script>var x = "<p>";</script></head><body>
+<h1>Contract SRE</h1>
+<div class="meta"><span>Globex</span></div>
+<ul>
+  <li>Location: Remote (US)</li>
+  <li>Rate: $95/hr W2</li>
+  <li>Duration: 6 months, likely extension</li>
+</ul>
+<h2>Job Description</h2>
+<p>Globex is looking for an SRE &amp; platform engineer to run Kubernetes clusters across three regions.</p>
+<p>Contact: Bob Smith, bob@recruit.io</p>
+</body></html>`;
+
+describe('Job Posting Extraction', () => {
+  describe('htmlToText', () => {
+    it('should put block elements on their own lines and drop scripts', () => {
+      expect(htmlToText('<head><title>x</title></head><p>One &amp; two</p><ul><li>Go</li><li>Rust</li></ul><script>alert(1)</script>'))
+        .toBe('One & two\n\n- Go\n\n- Rust');
+    });
+
+    it('should decode numeric entities', () => {
+      expect(htmlToText('<p>&#163;500&#x2F;day</p>')).toBe('£500/day');
+    });
+  });
+
+  describe('extractPosting', () => {
+    it('should read a job board header block', () => {
+      expect(extractPosting(BOARD_POSTING)).toEqual({
+        jobTitle: 'Senior Backend Engineer',
+        company: 'Acme Corp',
+        location: 'Austin, TX',
+        remotePolicy: 'hybrid',
+        jobType: 'full_time',
+        salaryRangeMin: 140000,
+        salaryRangeMax: 170000,
+        salaryCurrency: 'USD',
+        contactInfo: 'jane.doe@acme.com, (512) 555-0142',
+        jobInfo: 'Acme Corp · Austin, TX (Hybrid) · Full-time\n$140,000 - $170,000 a year',
+        description: expect.stringMatching(/^About the role\nWe are looking[\s\S]*\n\n- 5\+ years/),
+      });
+    });
+
+    it('should read labelled lines from HTML', () => {
+      const extracted = extractPosting(HTML_POSTING);
+
+      expect(extracted).toMatchObject({
+        jobTitle: 'Contract SRE',
+        company: 'Globex',
+        location: 'Remote (US)',
+        remotePolicy: 'remote',
+        jobType: 'contract',
+        consultingRate: '$95/hr W2',
+        consultingPeriod: '6 months, likely extension',
+        contactInfo: 'Bob Smith, bob@recruit.io',
+      });
+      expect(extracted.description).toMatch(/^Job Description\n\nGlobex is looking for an SRE & platform engineer/);
+      // Labelled lines are moved into their fields, not left in the description
+      expect(extracted.description).not.toContain('bob@recruit.io');
+      expect(extracted.jobTitle).not.toContain('Jobs');
+    });
+
+    it('should split "Title at Company" and read rates paid per day', () => {
+      expect(extractPosting([
+        'Data Engineer at Initech',
+        'Location: London, UK',
+        'Day rate: £550 per day',
+        'This is a 12 month contract, outside IR35. Onsite three days a week in our office near the station.',
+      ].join('\n'))).toEqual({
+        jobTitle: 'Data Engineer',
+        company: 'Initech',
+        location: 'London, UK',
+        remotePolicy: 'onsite',
+        jobType: 'contract',
+        consultingRate: '£550 per day',
+        consultingPeriod: '12 month',
+        description: 'This is a 12 month contract, outside IR35. Onsite three days a week in our office near the station.',
+      });
+    });
+
+    it('should find the company in "About" and "is hiring" lines', () => {
+      expect(extractPosting('Staff Engineer\n\nAbout Hooli\nHooli builds search products used by millions of people every single day.').company)
+        .toBe('Hooli');
+      expect(extractPosting('Pied Piper is hiring a Staff Engineer to lead the compression team and mentor engineers.').company)
+        .toBe('Pied Piper');
+    });
+
+    it('should not read experience or funding as pay or contract length', () => {
+      const extracted = extractPosting([
+        'Backend Engineer',
+        '',
+        'We raised $40 million last year and are growing the platform team across two offices.',
+        '- 5+ years of experience with Python',
+      ].join('\n'));
+
+      expect(extracted).not.toHaveProperty('salaryRangeMin');
+      expect(extracted).not.toHaveProperty('consultingRate');
+      expect(extracted).not.toHaveProperty('consultingPeriod');
+    });
+
+    it('should return nothing for an empty posting', () => {
+      expect(extractPosting('   ')).toEqual({});
+      expect(extractPosting(null)).toEqual({});
+    });
+  });
+});
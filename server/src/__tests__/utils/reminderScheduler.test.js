@@ -0,0 +1,94 @@
+/**
+ * Reminder Scheduler Tests
+ */
+
+const mockQuery = jest.fn();
+
+jest.mock('../../database/connection', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+const {
+  getCheckInterval,
+  markDueReminders,
+  startReminderScheduler,
+} = require('../../utils/reminderScheduler');
+
+describe('reminderScheduler', () => {
+  const originalInterval = process.env.REMINDER_CHECK_INTERVAL_SECONDS;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    if (originalInterval === undefined) {
+      delete process.env.REMINDER_CHECK_INTERVAL_SECONDS;
+    } else {
+      process.env.REMINDER_CHECK_INTERVAL_SECONDS = originalInterval;
+    }
+  });
+
+  describe('getCheckInterval', () => {
+    it('should default to one minute', () => {
+      delete process.env.REMINDER_CHECK_INTERVAL_SECONDS;
+      expect(getCheckInterval()).toBe(60000);
+    });
+
+    it('should use REMINDER_CHECK_INTERVAL_SECONDS', () => {
+      process.env.REMINDER_CHECK_INTERVAL_SECONDS = '15';
+      expect(getCheckInterval()).toBe(15000);
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.REMINDER_CHECK_INTERVAL_SECONDS = '-5';
+      expect(getCheckInterval()).toBe(60000);
+    });
+  });
+
+  describe('markDueReminders', () => {
+    it('should mark scheduled reminders past their due time as due', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 'r1' }, { id: 'r2' }] });
+
+      await expect(markDueReminders()).resolves.toBe(2);
+      const [sql] = mockQuery.mock.calls[0];
+      expect(sql).toContain("SET status = 'due', notified_at = CURRENT_TIMESTAMP");
+      expect(sql).toContain("WHERE status = 'scheduled' AND due_at <= CURRENT_TIMESTAMP");
+    });
+  });
+
+  describe('startReminderScheduler', () => {
+    it('should check now and then on every interval until stopped', async () => {
+      jest.useFakeTimers();
+      mockQuery.mockResolvedValue({ rows: [] });
+
+      const stop = startReminderScheduler(1000);
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(mockQuery).toHaveBeenCalledTimes(3);
+
+      stop();
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(mockQuery).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep running after a failed check', async () => {
+      jest.useFakeTimers();
+      mockQuery
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValue({ rows: [{ id: 'r1' }] });
+
+      const stop = startReminderScheduler(1000);
+      await jest.advanceTimersByTimeAsync(1000);
+      stop();
+
+      expect(console.error).toHaveBeenCalledWith('Reminder scheduler error:', expect.any(Error));
+      expect(console.log).toHaveBeenCalledWith('⏰ 1 reminder(s) due');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Resume Matching Unit Tests
+ */
+
+const { rankResumes, scoreResume } = require('../../utils/resumeMatching');
+
+const keywords = [
+  { keyword: 'React', weight: 2 },
+  { keyword: 'Kubernetes', weight: 2 },
+  { keyword: 'Terraform', weight: 1 },
+];
+
+describe('Resume Matching', () => {
+  describe('scoreResume', () => {
+    it('should weight required keywords double', () => {
+      const result = scoreResume({ skills_highlighted: ['React', 'Terraform'] }, keywords);
+
+      expect(result).toEqual({
+        score: 60,
+        matchedKeywords: ['React', 'Terraform'],
+        missingKeywords: ['Kubernetes'],
+      });
+    });
+
+    it('should match dictionary aliases in the extracted text', () => {
+      const result = scoreResume({ content_summary: 'Ran k8s clusters and ReactJS frontends' }, keywords);
+
+      expect(result.matchedKeywords).toEqual(['React', 'Kubernetes']);
+    });
+
+    it('should match custom keywords that are not in the dictionary', () => {
+      const result = scoreResume(
+        { content_summary: 'Certified Salesforce admin' },
+        [{ keyword: 'Salesforce', weight: 2 }]
+      );
+
+      expect(result.score).toBe(100);
+    });
+
+    it('should score 0 when there are no keywords', () => {
+      expect(scoreResume({ content_summary: 'React' }, []).score).toBe(0);
+    });
+  });
+
+  describe('rankResumes', () => {
+    it('should extract keywords when none are stored and prefer the active version on ties', () => {
+      const jobDescription = { description: 'We use Python.', keywords: null };
+      const resumes = [
+        { id: 'old', title: 'Data', version_number: 1, is_active: false, content_summary: 'Python' },
+        { id: 'new', title: 'Data', version_number: 2, is_active: true, content_summary: 'Python' },
+      ];
+
+      const result = rankResumes(jobDescription, resumes);
+
+      expect(result.keywords).toEqual(['Python']);
+      expect(result.matches.map((match) => match.resume.id)).toEqual(['new', 'old']);
+      expect(result.recommendedResumeId).toBe('new');
+    });
+
+    it('should handle a user with no resumes', () => {
+      expect(rankResumes({ description: 'React' }, [])).toEqual({
+        keywords: ['React'],
+        matches: [],
+        recommendedResumeId: null,
+      });
+    });
+  });
+});
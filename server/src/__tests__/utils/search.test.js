@@ -0,0 +1,66 @@
+/**
+ * Full-Text Search Helpers Unit Tests
+ */
+
+const { HEADLINE_OPTIONS, parseHeadline, parseTypes } = require('../../utils/search');
+
+const START = '\u0001';
+const STOP = '\u0002';
+
+describe('search utils', () => {
+  describe('HEADLINE_OPTIONS', () => {
+    it('should mark matches with control characters instead of HTML', () => {
+      expect(HEADLINE_OPTIONS).toContain(`StartSel=${START}`);
+      expect(HEADLINE_OPTIONS).toContain(`StopSel=${STOP}`);
+      expect(HEADLINE_OPTIONS).not.toContain('<b>');
+    });
+  });
+
+  describe('parseHeadline', () => {
+    it('should split a headline into plain and matched segments', () => {
+      expect(parseHeadline(`Build ${START}Kubernetes${STOP} operators in ${START}Go${STOP}`)).toEqual([
+        { text: 'Build ', match: false },
+        { text: 'Kubernetes', match: true },
+        { text: ' operators in ', match: false },
+        { text: 'Go', match: true },
+      ]);
+    });
+
+    it('should keep markup in the text as plain text', () => {
+      expect(parseHeadline(`<script>${START}alert${STOP}</script>`)).toEqual([
+        { text: '<script>', match: false },
+        { text: 'alert', match: true },
+        { text: '</script>', match: false },
+      ]);
+    });
+
+    it('should merge adjacent matches and skip empty segments', () => {
+      expect(parseHeadline(`${START}data${STOP}${START}engineer${STOP}`)).toEqual([
+        { text: 'dataengineer', match: true },
+      ]);
+    });
+
+    it('should ignore a stray stop marker', () => {
+      expect(parseHeadline(`remote${STOP} first`)).toEqual([{ text: 'remote first', match: false }]);
+    });
+
+    it('should return no segments for an empty headline', () => {
+      expect(parseHeadline(null)).toEqual([]);
+      expect(parseHeadline('')).toEqual([]);
+    });
+  });
+
+  describe('parseTypes', () => {
+    it('should default to every type in display order', () => {
+      expect(parseTypes()).toEqual(['job_descriptions', 'companies', 'recruiters']);
+    });
+
+    it('should keep only known types in display order', () => {
+      expect(parseTypes('recruiters, companies,offers')).toEqual(['companies', 'recruiters']);
+    });
+
+    it('should return an empty list when no type is known', () => {
+      expect(parseTypes('offers')).toEqual([]);
+    });
+  });
+});
@@ -19,7 +19,23 @@ const PORT = process.env.PORT || process.env.SPEXTURE_SERVER_PORT || 3011;
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const jobDescriptionRoutes = require('./routes/jobDescriptions');
+const companyRoutes = require('./routes/companies');
+const recruiterRoutes = require('./routes/recruiters');
+const resumeRoutes = require('./routes/resumes');
+const coverLetterRoutes = require('./routes/coverLetters');
+const interviewRoutes = require('./routes/interviews');
+const calendarRoutes = require('./routes/calendar');
+const offerRoutes = require('./routes/offers');
+const searchRoutes = require('./routes/search');
+const savedFilterRoutes = require('./routes/savedFilters');
+const sourceRoutes = require('./routes/sources');
+const reminderRoutes = require('./routes/reminders');
+const notificationRoutes = require('./routes/notifications');
+const analyticsRoutes = require('./routes/analytics');
 const coverageRoutes = require('./routes/coverage');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
+const { getTransport } = require('./utils/mailer');
 
 // Middleware
 app.use(helmet()); // Security headers
@@ -28,7 +44,7 @@ app.use(cors({
   credentials: true
 }));
 app.use(morgan('combined')); // Logging
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: '1mb' })); // Parse JSON bodies (pasted postings can be whole HTML pages)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Health check endpoint
@@ -40,6 +56,20 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/job-descriptions', jobDescriptionRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/recruiters', recruiterRoutes);
+app.use('/api/resumes', resumeRoutes);
+app.use('/api/cover-letters', coverLetterRoutes);
+app.use('/api/interviews', interviewRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/saved-filters', savedFilterRoutes);
+app.use('/api/sources', sourceRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/analytics', analyticsRoutes);
 app.use('/api/coverage', coverageRoutes);
 
 // 404 handler
@@ -58,10 +88,16 @@ app.use((err, req, res, next) => {
 
 // Start server only if not in test environment
 if ((process.env.NODE_ENV || process.env.SPEXTURE_NODE_ENV) !== 'test') {
+  // Fail fast on a mail configuration that cannot be used (e.g. console in production)
+  getTransport();
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📡 Environment: ${process.env.NODE_ENV || process.env.SPEXTURE_NODE_ENV || 'development'}`);
   });
+
+  // Turn reminders into notifications as they come due
+  startReminderScheduler();
 }
 
 module.exports = app;
@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../database/connection');
+const { isVerificationRequired, isAllowedWhileUnverified } = require('../utils/emailVerification');
+const validationConfig = require('../../../shared/validationConfig.js');
 
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request object
+ * With REQUIRE_EMAIL_VERIFICATION=true, accounts that have not verified their
+ * email can only use the routes allowed by utils/emailVerification.
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -20,22 +24,40 @@ const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || process.env.SPEXTURE_JWT_SECRET);
     
     // Get user from database
+    // token_revoked: the token was issued before the last password change.
+    // JWT iat has whole seconds, so tokens from the second of the change
+    // itself (such as the one the change-password endpoint returns) still work.
     const result = await query(
-      'SELECT id, name, email, role, is_active, created_at, updated_at FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT id, name, email, role, is_active, email_verified_at, created_at, updated_at,
+              COALESCE(password_changed_at >= to_timestamp($2::bigint + 1)::timestamp, false) AS token_revoked
+       FROM users WHERE id = $1`,
+      [decoded.userId, decoded.iat || 0]
     );
     
     if (result.rows.length === 0) {
       return res.status(401).json({ error: 'User not found' });
     }
     
-    const user = result.rows[0];
+    const { token_revoked: tokenRevoked, ...user } = result.rows[0];
     
     // Check if account is active
     if (!user.is_active) {
       return res.status(401).json({ error: 'Account has been deactivated' });
     }
     
+    // Sessions started before a password change are signed out
+    if (tokenRevoked) {
+      return res.status(401).json({ error: 'Session expired after a password change. Please log in again.' });
+    }
+    
+    if (!user.email_verified_at && isVerificationRequired()
+        && !isAllowedWhileUnverified(req.method, req.originalUrl, user.id)) {
+      return res.status(403).json({
+        error: validationConfig.emailVerification.messages.notVerified,
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+    
     // Attach user to request object
     req.user = user;
     next();
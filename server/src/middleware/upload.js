@@ -0,0 +1,93 @@
+/**
+ * File Upload Middleware
+ *
+ * Wraps multer for multipart uploads. Files are kept in memory so the route
+ * can extract text before writing them to storage.
+ */
+
+const path = require('path');
+const multer = require('multer');
+
+/**
+ * Get a file's extension (lowercase, without the dot)
+ * @param {string} fileName - Original file name
+ * @returns {string} Extension
+ */
+const getFileExtension = (fileName) => path.extname(fileName || '').slice(1).toLowerCase();
+
+/**
+ * Build multer for the given rules
+ * @param {Object} config - Upload rules ({ fileTypes, maxFileSizeBytes, messages })
+ * @param {number} maxFiles - Most files accepted in one request
+ */
+const createMulter = (config, maxFiles) => {
+  const { fileTypes, maxFileSizeBytes, messages } = config;
+
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSizeBytes, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!fileTypes.includes(getFileExtension(file.originalname))) {
+        const error = new Error(messages.fileType(fileTypes));
+        error.code = 'INVALID_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  });
+};
+
+/**
+ * Wrap a multer handler so rejected files and multer errors are returned as 400 { error }
+ * @param {Function} upload - multer middleware
+ * @param {Object} config - Upload rules ({ maxFileSizeBytes, maxFiles, messages })
+ * @returns {Function} Express middleware
+ */
+const handleUploadErrors = (upload, config) => {
+  const { maxFileSizeBytes, messages } = config;
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: messages.fileSize(maxFileSizeBytes) });
+      }
+      if (error.code === 'LIMIT_FILE_COUNT' && messages.tooManyFiles) {
+        return res.status(400).json({ error: messages.tooManyFiles(config.maxFiles) });
+      }
+      if (error.code === 'INVALID_FILE_TYPE' || error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    });
+  };
+};
+
+/**
+ * Create middleware that accepts one file in the given form field
+ * Rejected files and multer errors are returned as 400 { error }.
+ * @param {string} fieldName - Multipart field holding the file
+ * @param {Object} config - Upload rules ({ fileTypes, maxFileSizeBytes, messages })
+ * @returns {Function} Express middleware
+ */
+function singleFileUpload(fieldName, config) {
+  return handleUploadErrors(createMulter(config, 1).single(fieldName), config);
+}
+
+/**
+ * Create middleware that accepts up to config.maxFiles files in the given form field
+ * Files end up in req.files. Rejected files and multer errors are returned as 400 { error }.
+ * @param {string} fieldName - Multipart field holding the files
+ * @param {Object} config - Upload rules ({ fileTypes, maxFileSizeBytes, maxFiles, messages })
+ * @returns {Function} Express middleware
+ */
+function multipleFileUpload(fieldName, config) {
+  return handleUploadErrors(createMulter(config, config.maxFiles).array(fieldName, config.maxFiles), config);
+}
+
+module.exports = {
+  singleFileUpload,
+  multipleFileUpload,
+  getFileExtension,
+};
@@ -502,10 +502,10 @@ router.put('/users/:id/password', authenticateToken, requireAdmin, requireElevat
     // Hash new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update password
+    // Update password (signs the user out of existing sessions)
     await pool.query(
       `UPDATE users 
-       SET password_hash = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+       SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP, updated_by = $2, updated_at = CURRENT_TIMESTAMP
        WHERE id = $3`,
       [passwordHash, req.user.id, id]
     );
@@ -0,0 +1,211 @@
+/**
+ * Analytics Routes
+ *
+ * Aggregates over the current user's job search for the Analytics page:
+ * the pipeline funnel with conversion between stages, response rate by
+ * source, median time spent in each status, applications per week and the
+ * distribution of annual rates. Pipeline history comes from the
+ * status_change rows of job_description_events (migration 005).
+ */
+
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { validationConfig } = require('../validation/validationHelpers');
+const {
+  toRatio,
+  buildFunnel,
+  orderByStatus,
+  buildRateBuckets,
+  roundOrNull,
+} = require('../utils/analytics');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const analyticsConfig = validationConfig.analytics;
+const { statuses } = validationConfig.jobDescription;
+
+/**
+ * Every status each of the user's jobs has had: its current status plus
+ * both sides of each recorded status change. $1 = user ID.
+ */
+const JOURNEYS = `
+  WITH journeys AS (
+    SELECT jd.id, jd.source_id,
+           ARRAY[jd.status::text]
+             || COALESCE(array_agg(h.from_status::text) FILTER (WHERE h.id IS NOT NULL), '{}')
+             || COALESCE(array_agg(h.to_status::text) FILTER (WHERE h.id IS NOT NULL), '{}') AS statuses
+    FROM job_descriptions jd
+    LEFT JOIN job_description_events h
+      ON h.job_description_id = jd.id AND h.event_type = 'status_change'
+    WHERE jd.user_id = $1
+    GROUP BY jd.id
+  )`;
+
+// $2 = funnel stages; furthest is the 1-based index of the furthest stage reached
+const FUNNEL_SQL = `${JOURNEYS}
+  SELECT (SELECT MAX(array_position($2::text[], status)) FROM unnest(j.statuses) AS status) AS furthest,
+         COUNT(*)::int AS count
+  FROM journeys j
+  GROUP BY furthest`;
+
+// $2 = applied statuses, $3 = response statuses
+const SOURCES_SQL = `${JOURNEYS}
+  SELECT s.id AS source_id, s.source_name,
+         COUNT(*)::int AS jobs,
+         COUNT(*) FILTER (WHERE j.statuses && $2::text[])::int AS applied,
+         COUNT(*) FILTER (WHERE j.statuses && $2::text[] AND j.statuses && $3::text[])::int AS responded
+  FROM journeys j
+  LEFT JOIN job_description_sources s ON j.source_id = s.id
+  GROUP BY s.id, s.source_name
+  ORDER BY applied DESC, s.source_name NULLS LAST`;
+
+// Time from entering a status (the previous change, or creation) until leaving it
+const TIME_IN_STAGE_SQL = `
+  WITH stays AS (
+    SELECT h.from_status AS status,
+           h.occurred_at - COALESCE(
+             LAG(h.occurred_at) OVER (PARTITION BY h.job_description_id ORDER BY h.occurred_at),
+             jd.created_at
+           ) AS duration
+    FROM job_description_events h
+    JOIN job_descriptions jd ON h.job_description_id = jd.id
+    WHERE jd.user_id = $1 AND h.event_type = 'status_change'
+  )
+  SELECT status,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM duration) / 86400) AS median_days,
+         COUNT(*)::int AS transitions
+  FROM stays
+  GROUP BY status`;
+
+// $2 = applied statuses, $3 = number of weeks ending with the current week
+// A job was applied to when it first moved into an applied status (or was created in one).
+const APPLICATIONS_PER_WEEK_SQL = `
+  WITH applications AS (
+    SELECT COALESCE(MIN(h.occurred_at) FILTER (WHERE h.to_status = ANY($2::text[])), jd.created_at) AS applied_at
+    FROM job_descriptions jd
+    LEFT JOIN job_description_events h
+      ON h.job_description_id = jd.id AND h.event_type = 'status_change'
+    WHERE jd.user_id = $1
+    GROUP BY jd.id
+    HAVING jd.status = ANY($2::text[])
+        OR COALESCE(bool_or(h.from_status = ANY($2::text[]) OR h.to_status = ANY($2::text[])), false)
+  )
+  SELECT to_char(week, 'YYYY-MM-DD') AS week_start, COUNT(a.applied_at)::int AS applications
+  FROM generate_series(
+    date_trunc('week', CURRENT_DATE) - ($3::int - 1) * INTERVAL '1 week',
+    date_trunc('week', CURRENT_DATE),
+    INTERVAL '1 week'
+  ) AS week
+  LEFT JOIN applications a ON date_trunc('week', a.applied_at) = week
+  GROUP BY week
+  ORDER BY week`;
+
+// $2 = bucket width, $3 = bucket count (the last bucket takes everything above)
+const RATE_BUCKETS_SQL = `
+  SELECT LEAST(FLOOR(effective_annual_rate / $2), $3 - 1)::int AS bucket, COUNT(*)::int AS count
+  FROM job_descriptions
+  WHERE user_id = $1 AND effective_annual_rate IS NOT NULL
+  GROUP BY bucket`;
+
+// Quartiles overall (is_total) and per job type
+const RATE_QUARTILES_SQL = `
+  SELECT job_type, GROUPING(job_type) = 1 AS is_total,
+         COUNT(*)::int AS count,
+         percentile_cont(0.25) WITHIN GROUP (ORDER BY effective_annual_rate) AS p25,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY effective_annual_rate) AS median,
+         percentile_cont(0.75) WITHIN GROUP (ORDER BY effective_annual_rate) AS p75
+  FROM job_descriptions
+  WHERE user_id = $1 AND effective_annual_rate IS NOT NULL
+  GROUP BY ROLLUP(job_type)
+  ORDER BY job_type`;
+
+const toQuartiles = (row) => ({
+  count: row ? row.count : 0,
+  p25: row ? roundOrNull(row.p25) : null,
+  median: row ? roundOrNull(row.median) : null,
+  p75: row ? roundOrNull(row.p75) : null,
+});
+
+const analyticsValidators = [
+  queryParam('weeks')
+    .optional()
+    .isInt({ min: 1, max: analyticsConfig.maxWeeks })
+    .withMessage(analyticsConfig.messages.invalidWeeks(analyticsConfig.maxWeeks)),
+];
+
+/**
+ * GET /api/analytics
+ * Job search analytics for the current user
+ * Query: weeks (applications-per-week window ending this week, default 12).
+ * Returns { totals, funnel, sources, timeInStage, applicationsPerWeek, rates }.
+ * Ratios are 0-1 (null when there is nothing to divide by); rates are annual.
+ */
+router.get('/', analyticsValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const weeks = req.query.weeks ? parseInt(req.query.weeks) : analyticsConfig.defaultWeeks;
+    const { funnelStages, appliedStatuses, responseStatuses, rateBucketSize, rateBucketCount } = analyticsConfig;
+
+    const [funnel, sources, timeInStage, applicationsPerWeek, rateBuckets, rateQuartiles] = await Promise.all([
+      query(FUNNEL_SQL, [userId, funnelStages]),
+      query(SOURCES_SQL, [userId, appliedStatuses, responseStatuses]),
+      query(TIME_IN_STAGE_SQL, [userId]),
+      query(APPLICATIONS_PER_WEEK_SQL, [userId, appliedStatuses, weeks]),
+      query(RATE_BUCKETS_SQL, [userId, rateBucketSize, rateBucketCount]),
+      query(RATE_QUARTILES_SQL, [userId]),
+    ]);
+
+    const sourceStats = sources.rows.map(row => ({
+      sourceId: row.source_id,
+      sourceName: row.source_name,
+      jobs: row.jobs,
+      applied: row.applied,
+      responded: row.responded,
+      responseRate: toRatio(row.responded, row.applied),
+    }));
+    const applied = sourceStats.reduce((sum, source) => sum + source.applied, 0);
+    const responded = sourceStats.reduce((sum, source) => sum + source.responded, 0);
+
+    res.json({
+      totals: {
+        jobDescriptions: sourceStats.reduce((sum, source) => sum + source.jobs, 0),
+        applied,
+        responded,
+        responseRate: toRatio(responded, applied),
+      },
+      funnel: buildFunnel(funnel.rows, funnelStages),
+      sources: sourceStats,
+      timeInStage: orderByStatus(timeInStage.rows, statuses).map(row => ({
+        status: row.status,
+        medianDays: roundOrNull(row.median_days, 1),
+        transitions: row.transitions,
+      })),
+      applicationsPerWeek: applicationsPerWeek.rows.map(row => ({
+        weekStart: row.week_start,
+        applications: row.applications,
+      })),
+      rates: {
+        ...toQuartiles(rateQuartiles.rows.find(row => row.is_total)),
+        buckets: buildRateBuckets(rateBuckets.rows, rateBucketSize, rateBucketCount),
+        byJobType: rateQuartiles.rows
+          .filter(row => !row.is_total)
+          .map(row => ({ jobType: row.job_type, ...toQuartiles(row) })),
+      },
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,30 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
 const { logAuthEvent } = require('../middleware/rbac');
-const { getRegisterValidators } = require('../validation/validationHelpers');
+const {
+  getRegisterValidators,
+  getForgotPasswordValidators,
+  getResetPasswordValidators,
+  getVerifyEmailValidators,
+  validationConfig,
+} = require('../validation/validationHelpers');
+const { sendMail } = require('../utils/mailer');
+const { createToken, hashToken, getTokenTtlMinutes, buildClientLink } = require('../utils/authTokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 
 const router = express.Router();
 
+const resetConfig = validationConfig.passwordReset;
+const verificationConfig = validationConfig.emailVerification;
+
 /**
  * POST /api/auth/register
  * Register a new user
  * Uses shared validation config via validationHelpers
+ * The account starts unverified and a verification link is emailed; a failed
+ * email does not fail registration (the user can ask for a new link).
  */
 router.post('/register', getRegisterValidators(), async (req, res) => {
   try {
@@ -41,7 +56,7 @@ router.post('/register', getRegisterValidators(), async (req, res) => {
     const result = await query(
       `INSERT INTO users (name, email, password_hash)
        VALUES ($1, $2, $3)
-       RETURNING id, name, email, role, created_at, updated_at`,
+       RETURNING id, name, email, role, email_verified_at, created_at, updated_at`,
       [name, email, passwordHash]
     );
     
@@ -50,6 +65,12 @@ router.post('/register', getRegisterValidators(), async (req, res) => {
     // Log registration event
     await logAuthEvent(user.id, 'register', true, null, req);
     
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
     // Generate JWT token
     const token = jwt.sign(
       { userId: user.id, email: user.email, role: user.role },
@@ -65,6 +86,7 @@ router.post('/register', getRegisterValidators(), async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: Boolean(user.email_verified_at),
       },
     });
   } catch (error) {
@@ -98,7 +120,7 @@ router.post('/login', [
     
     // Get user from database
     const result = await query(
-      'SELECT id, name, email, password_hash, role, is_active FROM users WHERE email = $1',
+      'SELECT id, name, email, password_hash, role, is_active, email_verified_at FROM users WHERE email = $1',
       [email]
     );
     
@@ -148,6 +170,7 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: Boolean(user.email_verified_at),
       },
     });
   } catch (error) {
@@ -156,5 +179,220 @@ router.post('/login', [
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * Always answers with the same message, so the endpoint does not reveal
+ * which emails have accounts. A new link is not sent while the previous one
+ * is younger than passwordReset.resendIntervalSeconds; requesting a new
+ * link invalidates older unused ones.
+ * Body: { email }
+ */
+router.post('/forgot-password', getForgotPasswordValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accepted = { message: resetConfig.messages.requestAccepted };
+
+    const result = await query(
+      'SELECT id, name, email, is_active FROM users WHERE LOWER(email) = LOWER($1)',
+      [req.body.email]
+    );
+    const user = result.rows[0];
+    if (!user || !user.is_active) {
+      return res.json(accepted);
+    }
+
+    const recent = await query(
+      `SELECT id FROM password_reset_tokens
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+      [user.id, resetConfig.resendIntervalSeconds]
+    );
+    if (recent.rows.length > 0) {
+      return res.json(accepted);
+    }
+
+    const ttlMinutes = getTokenTtlMinutes('PASSWORD_RESET_TOKEN_TTL_MINUTES', resetConfig.tokenTtlMinutes);
+    const { token, tokenHash } = createToken();
+
+    await query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+      [user.id, tokenHash, ttlMinutes]
+    );
+
+    const link = buildClientLink('/reset-password', { token });
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Spexture password',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'Someone asked to reset the password for your Spexture account.',
+          `Open this link to choose a new password (it expires in ${ttlMinutes} minutes):`,
+          '',
+          link,
+          '',
+          'If you did not ask for this, you can ignore this email; your password will not change.',
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      // Not reported to the caller, which would reveal that the account exists
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(accepted);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with an emailed reset token
+ * The token is claimed atomically, so it works once; the user's other
+ * outstanding reset tokens are discarded and existing sessions are signed out.
+ * Body: { token, password }
+ */
+router.post('/reset-password', getResetPasswordValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const claimed = await query(
+      `UPDATE password_reset_tokens t
+       SET used_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE t.user_id = u.id AND u.is_active = true
+         AND t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+       RETURNING t.user_id`,
+      [hashToken(token)]
+    );
+
+    if (claimed.rows.length === 0) {
+      await logAuthEvent(null, 'password_reset', false, 'Invalid or expired token', req);
+      return res.status(400).json({ error: resetConfig.messages.invalidToken });
+    }
+
+    const userId = claimed.rows[0].user_id;
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await query(
+      'UPDATE users SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId, passwordHash]
+    );
+    await query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    await logAuthEvent(userId, 'password_reset', true, null, req);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with an emailed verification token
+ * Does not need a login, so the link works in any browser. The token is
+ * claimed atomically and only while the account still has the address it
+ * was sent to.
+ * Body: { token }
+ */
+router.post('/verify-email', getVerifyEmailValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const claimed = await query(
+      `UPDATE email_verification_tokens t
+       SET used_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE t.user_id = u.id AND u.is_active = true AND LOWER(t.email) = LOWER(u.email)
+         AND t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+       RETURNING t.user_id`,
+      [hashToken(req.body.token)]
+    );
+
+    if (claimed.rows.length === 0) {
+      await logAuthEvent(null, 'email_verification', false, 'Invalid or expired token', req);
+      return res.status(400).json({ error: verificationConfig.messages.invalidToken });
+    }
+
+    const userId = claimed.rows[0].user_id;
+
+    await query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+      [userId]
+    );
+    await query(
+      'DELETE FROM email_verification_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    await logAuthEvent(userId, 'email_verification', true, null, req);
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email the current user a new verification link
+ * Answers 429 (with Retry-After) while the previous link is younger than
+ * emailVerification.resendIntervalSeconds; older unused links stop working.
+ */
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: verificationConfig.messages.alreadyVerified });
+    }
+
+    const recent = await query(
+      `SELECT CEIL(EXTRACT(EPOCH FROM created_at + make_interval(secs => $2) - CURRENT_TIMESTAMP))::int AS retry_after
+       FROM email_verification_tokens
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [user.id, verificationConfig.resendIntervalSeconds]
+    );
+    if (recent.rows.length > 0) {
+      res.set('Retry-After', String(Math.max(recent.rows[0].retry_after, 1)));
+      return res.status(429).json({ error: verificationConfig.messages.resendTooSoon });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,262 @@
+/**
+ * Calendar Routes
+ *
+ * iCalendar (.ics) export of application deadlines, interviews and
+ * interview follow-ups. Each user can turn on a secret feed link that
+ * calendar apps subscribe to without logging in; single events can also be
+ * downloaded from the job description page.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { validationConfig } = require('../validation/validationHelpers');
+const { INTERVIEW_COLUMNS, INTERVIEW_FROM } = require('../utils/interviewFields');
+const { createToken, hashToken } = require('../utils/authTokens');
+const {
+  buildCalendar,
+  deadlineEvent,
+  interviewEvent,
+  followUpEvent,
+} = require('../utils/icalendar');
+
+const router = express.Router();
+
+const { statuses, statusTransitions } = validationConfig.jobDescription;
+
+// Deadlines stop mattering once a job reaches a final status
+const FINAL_STATUSES = statuses.filter((status) => statusTransitions[status].length === 0);
+
+/**
+ * Send an .ics response
+ * @param {string} disposition - 'inline' for the feed, 'attachment' for downloads
+ */
+const sendCalendar = (res, fileName, calendar, disposition = 'attachment') => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${disposition}; filename="${fileName}"`);
+  res.send(calendar);
+};
+
+/**
+ * Build every calendar event for a user: open deadlines, scheduled
+ * interviews and follow-ups of interviews that were not cancelled
+ * @returns {Promise<Array<Object>>} Events for buildCalendar
+ */
+const getUserEvents = async (userId) => {
+  const deadlines = await query(
+    `SELECT jd.id, jd.title AS job_title, COALESCE(c.name, jd.company) AS company_name,
+       to_char(jd.application_deadline, 'YYYY-MM-DD') AS application_deadline
+     FROM job_descriptions jd
+     LEFT JOIN companies c ON jd.company_id = c.id
+     WHERE jd.user_id = $1 AND jd.application_deadline IS NOT NULL AND jd.status <> ALL($2)
+     ORDER BY jd.application_deadline ASC`,
+    [userId, FINAL_STATUSES]
+  );
+
+  const interviews = await query(
+    `SELECT ${INTERVIEW_COLUMNS}
+     ${INTERVIEW_FROM}
+     WHERE i.user_id = $1 AND (i.scheduled_at IS NOT NULL OR i.follow_up_due IS NOT NULL)
+     ORDER BY i.scheduled_at ASC NULLS LAST`,
+    [userId]
+  );
+
+  const events = deadlines.rows.map(deadlineEvent);
+  interviews.rows.forEach((interview) => {
+    if (interview.scheduled_at) events.push(interviewEvent(interview));
+    if (interview.follow_up_due && interview.outcome !== 'cancelled') events.push(followUpEvent(interview));
+  });
+
+  return events;
+};
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * Subscription feed for calendar apps (no login; the token is the secret)
+ */
+router.get(
+  '/feed/:token.ics',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+  async (req, res) => {
+    try {
+      // Malformed tokens look the same as unknown ones
+      if (!validationResult(req).isEmpty()) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const users = await query(
+        'SELECT id, name FROM users WHERE calendar_feed_token_hash = $1 AND is_active = true',
+        [hashToken(req.params.token)]
+      );
+
+      if (users.rows.length === 0) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const user = users.rows[0];
+      const events = await getUserEvents(user.id);
+
+      sendCalendar(res, 'job-search.ics', buildCalendar({ name: `Job search - ${user.name}`, events }), 'inline');
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+  }
+);
+
+// Everything below requires authentication
+router.use(authenticate);
+
+/**
+ * GET /api/calendar/feed
+ * Whether the current user's feed link is turned on
+ * The link itself is only shown when it is created.
+ */
+router.get('/feed', async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT calendar_feed_token_hash IS NOT NULL AS enabled, calendar_feed_created_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const row = result.rows[0] || {};
+    res.json({
+      feed: {
+        enabled: Boolean(row.enabled),
+        createdAt: row.calendar_feed_created_at || null,
+      },
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * POST /api/calendar/feed
+ * Create a new feed link, replacing (and breaking) any previous one
+ */
+router.post('/feed', async (req, res) => {
+  try {
+    const { token, tokenHash } = createToken();
+
+    const result = await query(
+      `UPDATE users
+       SET calendar_feed_token_hash = $1, calendar_feed_created_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING calendar_feed_created_at`,
+      [tokenHash, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(201).json({
+      message: 'Calendar feed link created',
+      feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`,
+      feed: {
+        enabled: true,
+        createdAt: result.rows[0].calendar_feed_created_at,
+      },
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+/**
+ * DELETE /api/calendar/feed
+ * Turn the feed off; subscribed calendars stop updating
+ */
+router.delete('/feed', async (req, res) => {
+  try {
+    await query(
+      'UPDATE users SET calendar_feed_token_hash = NULL, calendar_feed_created_at = NULL WHERE id = $1',
+      [req.user.id]
+    );
+
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to turn off calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar/interviews/:id.ics
+ * Download one interview as an .ics file
+ */
+router.get('/interviews/:id.ics', param('id').isUUID().withMessage('Invalid interview ID'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `SELECT ${INTERVIEW_COLUMNS} ${INTERVIEW_FROM} WHERE i.id = $1 AND i.user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    const interview = result.rows[0];
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    if (!interview.scheduled_at) {
+      return res.status(400).json({ error: 'Interview has no date and time yet' });
+    }
+
+    const calendar = buildCalendar({ name: 'Interview', events: [interviewEvent(interview)] });
+    sendCalendar(res, `interview-round-${interview.round}.ics`, calendar);
+  } catch (error) {
+    console.error('Interview calendar error:', error);
+    res.status(500).json({ error: 'Failed to export interview' });
+  }
+});
+
+/**
+ * GET /api/calendar/job-descriptions/:id/deadline.ics
+ * Download a job description's application deadline as an .ics file
+ */
+router.get(
+  '/job-descriptions/:id/deadline.ics',
+  param('id').isUUID().withMessage('Invalid job description ID'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await query(
+        `SELECT jd.id, jd.title AS job_title, COALESCE(c.name, jd.company) AS company_name,
+           to_char(jd.application_deadline, 'YYYY-MM-DD') AS application_deadline
+         FROM job_descriptions jd
+         LEFT JOIN companies c ON jd.company_id = c.id
+         WHERE jd.id = $1 AND jd.user_id = $2`,
+        [req.params.id, req.user.id]
+      );
+      const jobDescription = result.rows[0];
+
+      if (!jobDescription) {
+        return res.status(404).json({ error: 'Job description not found' });
+      }
+
+      if (!jobDescription.application_deadline) {
+        return res.status(400).json({ error: 'Job description has no application deadline' });
+      }
+
+      const calendar = buildCalendar({ name: 'Application deadline', events: [deadlineEvent(jobDescription)] });
+      sendCalendar(res, 'application-deadline.ics', calendar);
+    } catch (error) {
+      console.error('Deadline calendar error:', error);
+      res.status(500).json({ error: 'Failed to export deadline' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,377 @@
+/**
+ * Company Routes
+ *
+ * Owner-scoped management of the companies a user is tracking, including
+ * merging duplicate company records and listing linked job descriptions.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query, getClient } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getCompanyValidators } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { parsePagination, parseSort, buildPagination } = require('../utils/pagination');
+const { JD_COLUMNS, JD_FROM } = require('../utils/jobDescriptionFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Request body field -> companies column
+ */
+const FIELD_MAP = {
+  name: 'name',
+  industry: 'industry',
+  companySize: 'company_size',
+  website: 'website',
+  headquartersLocation: 'headquarters_location',
+  description: 'description',
+  phone: 'phone',
+  email: 'email',
+  notes: 'notes',
+  userRating: 'user_rating',
+  glassdoorRating: 'glassdoor_rating',
+};
+
+const EMPTY_AS_NULL = new Set(['company_size', 'user_rating', 'glassdoor_rating']);
+
+// Columns copied from merged companies when the surviving company has no value
+const MERGE_FILL_COLUMNS = [
+  'industry', 'company_size', 'website', 'headquarters_location',
+  'description', 'phone', 'email', 'user_rating', 'glassdoor_rating',
+];
+
+const COMPANY_COLUMNS = `
+  c.id, c.user_id, c.name, c.industry, c.company_size, c.website,
+  c.headquarters_location, c.description, c.phone, c.email, c.notes,
+  c.user_rating, c.glassdoor_rating, c.created_at, c.updated_at,
+  (SELECT COUNT(*) FROM job_descriptions jd WHERE jd.company_id = c.id)::int AS job_descriptions_count`;
+
+const idValidator = param('id').isUUID().withMessage('Invalid company ID');
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP, { emptyAsNull: EMPTY_AS_NULL });
+
+/**
+ * Fetch a single company owned by the given user
+ * @returns {Promise<Object|null>} Company row or null
+ */
+const findCompany = async (id, userId) => {
+  const result = await query(
+    `SELECT ${COMPANY_COLUMNS} FROM companies c WHERE c.id = $1 AND c.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * GET /api/companies
+ * List the current user's companies with filtering, sorting, and pagination
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, industry, company_size, min_rating } = req.query;
+
+    const conditions = ['c.user_id = $1'];
+    const params = [req.user.id];
+    let paramIndex = 2;
+
+    if (search) {
+      conditions.push(`(c.name ILIKE $${paramIndex} OR c.industry ILIKE $${paramIndex} OR c.headquarters_location ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (industry) {
+      conditions.push(`c.industry ILIKE $${paramIndex++}`);
+      params.push(industry);
+    }
+
+    if (company_size) {
+      conditions.push(`c.company_size = $${paramIndex++}`);
+      params.push(company_size);
+    }
+
+    if (min_rating && !isNaN(parseInt(min_rating))) {
+      conditions.push(`c.user_rating >= $${paramIndex++}`);
+      params.push(parseInt(min_rating));
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const validSortColumns = [
+      'name', 'industry', 'company_size', 'user_rating', 'glassdoor_rating',
+      'job_descriptions_count', 'created_at', 'updated_at',
+    ];
+    const { sortColumn, sortDirection } = parseSort(req.query, validSortColumns, 'name');
+    const pagination = parsePagination(req.query);
+
+    const countResult = await query(`SELECT COUNT(*) FROM companies c ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    const result = await query(
+      `SELECT ${COMPANY_COLUMNS}
+       FROM companies c
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortDirection} NULLS LAST, c.name ASC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, pagination.limit, pagination.offset]
+    );
+
+    res.json({
+      companies: result.rows,
+      pagination: buildPagination(pagination, totalCount),
+    });
+  } catch (error) {
+    console.error('List companies error:', error);
+    res.status(500).json({ error: 'Failed to fetch companies' });
+  }
+});
+
+/**
+ * GET /api/companies/:id
+ * Get a company with every job description linked to it
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await findCompany(req.params.id, req.user.id);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const jobDescriptions = await query(
+      `SELECT ${JD_COLUMNS} ${JD_FROM}
+       WHERE jd.company_id = $1 AND jd.user_id = $2
+       ORDER BY jd.date_found DESC NULLS LAST, jd.created_at DESC`,
+      [company.id, req.user.id]
+    );
+
+    res.json({ company, jobDescriptions: jobDescriptions.rows });
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({ error: 'Failed to fetch company' });
+  }
+});
+
+/**
+ * POST /api/companies
+ * Create a company
+ */
+router.post('/', getCompanyValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await query(
+      `INSERT INTO companies (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING id`,
+      [req.user.id, ...params]
+    );
+
+    const company = await findCompany(result.rows[0].id, req.user.id);
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company,
+    });
+  } catch (error) {
+    console.error('Create company error:', error);
+    res.status(500).json({ error: 'Failed to create company' });
+  }
+});
+
+/**
+ * PUT /api/companies/:id
+ * Update a company (only fields present in the body are changed)
+ */
+router.put('/:id', idValidator, getCompanyValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const params = columns.map((column) => values[column]);
+    params.push(id, req.user.id);
+
+    const result = await query(
+      `UPDATE companies
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const company = await findCompany(id, req.user.id);
+
+    res.json({
+      message: 'Company updated successfully',
+      company,
+    });
+  } catch (error) {
+    console.error('Update company error:', error);
+    res.status(500).json({ error: 'Failed to update company' });
+  }
+});
+
+/**
+ * POST /api/companies/:id/merge
+ * Merge duplicate companies into this one
+ * Linked job descriptions and recruiters are moved to the surviving company,
+ * empty fields are filled from the merged records, and the duplicates are deleted.
+ */
+router.post('/:id/merge', [
+  idValidator,
+  body('mergeIds')
+    .isArray({ min: 1 })
+    .withMessage('mergeIds must be a non-empty array of company IDs'),
+  body('mergeIds.*').isUUID().withMessage('Invalid company ID'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const mergeIds = [...new Set(req.body.mergeIds)].filter((mergeId) => mergeId !== id);
+
+  if (mergeIds.length === 0) {
+    return res.status(400).json({ error: 'Cannot merge a company into itself' });
+  }
+
+  let client;
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const companiesResult = await client.query(
+      'SELECT * FROM companies WHERE id = ANY($1) AND user_id = $2 FOR UPDATE',
+      [[id, ...mergeIds], req.user.id]
+    );
+
+    const target = companiesResult.rows.find((company) => company.id === id);
+    const sources = mergeIds.map((mergeId) => companiesResult.rows.find((company) => company.id === mergeId));
+
+    if (!target || sources.some((source) => !source)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Fill empty fields on the surviving company from the merged ones
+    const fills = {};
+    MERGE_FILL_COLUMNS.forEach((column) => {
+      if (target[column] === null || target[column] === '') {
+        const source = sources.find((s) => s[column] !== null && s[column] !== '');
+        if (source) fills[column] = source[column];
+      }
+    });
+
+    const notes = [target.notes, ...sources.map((s) => s.notes)].filter(Boolean);
+    if (notes.length > 1) {
+      fills.notes = notes.join('\n\n');
+    }
+
+    const fillColumns = Object.keys(fills);
+    if (fillColumns.length > 0) {
+      const assignments = fillColumns.map((column, index) => `${column} = $${index + 1}`);
+      await client.query(
+        `UPDATE companies SET ${assignments.join(', ')} WHERE id = $${fillColumns.length + 1}`,
+        [...fillColumns.map((column) => fills[column]), id]
+      );
+    }
+
+    const jobDescriptionsResult = await client.query(
+      'UPDATE job_descriptions SET company_id = $1 WHERE company_id = ANY($2) AND user_id = $3',
+      [id, mergeIds, req.user.id]
+    );
+
+    const recruitersResult = await client.query(
+      'UPDATE recruiters SET company_id = $1 WHERE company_id = ANY($2) AND user_id = $3',
+      [id, mergeIds, req.user.id]
+    );
+
+    await client.query(
+      'DELETE FROM companies WHERE id = ANY($1) AND user_id = $2',
+      [mergeIds, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    const company = await findCompany(id, req.user.id);
+
+    res.json({
+      message: `Merged ${mergeIds.length} ${mergeIds.length === 1 ? 'company' : 'companies'} into ${target.name}`,
+      company,
+      moved: {
+        jobDescriptions: jobDescriptionsResult.rowCount,
+        recruiters: recruitersResult.rowCount,
+      },
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Merge companies error:', error);
+    res.status(500).json({ error: 'Failed to merge companies' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * DELETE /api/companies/:id
+ * Delete a company (linked job descriptions and recruiters are kept, unlinked)
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM companies WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ message: 'Company deleted successfully' });
+  } catch (error) {
+    console.error('Delete company error:', error);
+    res.status(500).json({ error: 'Failed to delete company' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,326 @@
+/**
+ * Cover Letter Routes
+ *
+ * Owner-scoped cover letters and reusable templates. Templates contain
+ * {{placeholders}} that are merged with a saved job description (and its
+ * linked company and recruiter) to generate a new, editable cover letter.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getCoverLetterValidators, validationConfig } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { mergeTemplate, listPlaceholders } = require('../utils/templateMerge');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const coverLetterConfig = validationConfig.coverLetter;
+
+/**
+ * Request body field -> cover_letters column
+ */
+const FIELD_MAP = {
+  title: 'title',
+  content: 'content',
+  notes: 'notes',
+  isTemplate: 'is_template',
+  isActive: 'is_active',
+};
+
+const COVER_LETTER_COLUMNS = `
+  id, user_id, title, content, file_name, file_type, is_template, is_active,
+  notes, created_at, updated_at`;
+
+const idValidator = param('id').isUUID().withMessage('Invalid cover letter ID');
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP);
+
+/**
+ * Fetch a single cover letter owned by the given user
+ * @returns {Promise<Object|null>} Cover letter row or null
+ */
+const findCoverLetter = async (id, userId) => {
+  const result = await query(
+    `SELECT ${COVER_LETTER_COLUMNS} FROM cover_letters WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Load the merge context for a job description owned by the user
+ * @returns {Promise<Object|null>} { job, company, recruiter, user } or null if not found
+ */
+const loadMergeContext = async (jobDescriptionId, userId) => {
+  const result = await query(
+    `SELECT jd.title, jd.company, jd.location,
+            c.name AS company_name, c.industry AS company_industry,
+            c.headquarters_location AS company_location, c.website AS company_website,
+            r.name AS recruiter_name, r.title AS recruiter_title, r.email AS recruiter_email,
+            u.name AS user_name, u.email AS user_email
+     FROM job_descriptions jd
+     JOIN users u ON jd.user_id = u.id
+     LEFT JOIN companies c ON jd.company_id = c.id
+     LEFT JOIN recruiters r ON jd.recruiter_id = r.id
+     WHERE jd.id = $1 AND jd.user_id = $2`,
+    [jobDescriptionId, userId]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    job: { title: row.title, company: row.company, location: row.location },
+    company: row.company_name ? {
+      name: row.company_name,
+      industry: row.company_industry,
+      headquarters_location: row.company_location,
+      website: row.company_website,
+    } : null,
+    recruiter: row.recruiter_name ? {
+      name: row.recruiter_name,
+      title: row.recruiter_title,
+      email: row.recruiter_email,
+    } : null,
+    user: { name: row.user_name, email: row.user_email },
+  };
+};
+
+/**
+ * GET /api/cover-letters
+ * List the current user's cover letters, most recently edited first
+ * Use ?is_template=true for templates or ?is_template=false for letters.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conditions = ['user_id = $1'];
+    const params = [req.user.id];
+
+    if (req.query.is_template === 'true' || req.query.is_template === 'false') {
+      conditions.push('is_template = $2');
+      params.push(req.query.is_template === 'true');
+    }
+
+    const result = await query(
+      `SELECT ${COVER_LETTER_COLUMNS}
+       FROM cover_letters
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY updated_at DESC`,
+      params
+    );
+
+    res.json({ coverLetters: result.rows });
+  } catch (error) {
+    console.error('List cover letters error:', error);
+    res.status(500).json({ error: 'Failed to fetch cover letters' });
+  }
+});
+
+/**
+ * GET /api/cover-letters/placeholders
+ * List the placeholders templates can use
+ */
+router.get('/placeholders', (req, res) => {
+  res.json({ placeholders: listPlaceholders() });
+});
+
+/**
+ * GET /api/cover-letters/:id
+ * Get a cover letter or template
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coverLetter = await findCoverLetter(req.params.id, req.user.id);
+
+    if (!coverLetter) {
+      return res.status(404).json({ error: 'Cover letter not found' });
+    }
+
+    res.json({ coverLetter });
+  } catch (error) {
+    console.error('Get cover letter error:', error);
+    res.status(500).json({ error: 'Failed to fetch cover letter' });
+  }
+});
+
+/**
+ * POST /api/cover-letters
+ * Create a cover letter or template
+ */
+router.post('/', getCoverLetterValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await query(
+      `INSERT INTO cover_letters (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING ${COVER_LETTER_COLUMNS}`,
+      [req.user.id, ...params]
+    );
+
+    const coverLetter = result.rows[0];
+
+    res.status(201).json({
+      message: coverLetter.is_template ? 'Template created successfully' : 'Cover letter created successfully',
+      coverLetter,
+    });
+  } catch (error) {
+    console.error('Create cover letter error:', error);
+    res.status(500).json({ error: 'Failed to create cover letter' });
+  }
+});
+
+/**
+ * POST /api/cover-letters/:id/generate
+ * Merge a template with a saved job description into a new cover letter
+ * The new letter is not a template and can be edited like any other letter.
+ * Placeholders that could not be filled are returned in `unresolved`.
+ */
+router.post('/:id/generate', [
+  idValidator,
+  body('jobDescriptionId')
+    .isUUID()
+    .withMessage(coverLetterConfig.messages.jobDescriptionRequired),
+  body('title')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: coverLetterConfig.titleMaxLength })
+    .withMessage(coverLetterConfig.messages.maxLength('Title', coverLetterConfig.titleMaxLength)),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await findCoverLetter(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!template.is_template) {
+      return res.status(400).json({ error: 'Cover letter is not a template' });
+    }
+
+    const context = await loadMergeContext(req.body.jobDescriptionId, req.user.id);
+
+    if (!context) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const { content, unresolved } = mergeTemplate(template.content, context);
+
+    const companyName = (context.company && context.company.name) || context.job.company;
+    const defaultTitle = `${context.job.title}${companyName ? ` at ${companyName}` : ''} - ${template.title}`;
+    const title = (req.body.title || defaultTitle).slice(0, coverLetterConfig.titleMaxLength);
+
+    const result = await query(
+      `INSERT INTO cover_letters (user_id, title, content, is_template, is_active)
+       VALUES ($1, $2, $3, false, true)
+       RETURNING ${COVER_LETTER_COLUMNS}`,
+      [req.user.id, title, content]
+    );
+
+    res.status(201).json({
+      message: 'Cover letter generated successfully',
+      coverLetter: result.rows[0],
+      unresolved,
+    });
+  } catch (error) {
+    console.error('Generate cover letter error:', error);
+    res.status(500).json({ error: 'Failed to generate cover letter' });
+  }
+});
+
+/**
+ * PUT /api/cover-letters/:id
+ * Update a cover letter or template (only fields present in the body are changed)
+ */
+router.put('/:id', idValidator, getCoverLetterValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const params = columns.map((column) => values[column]);
+    params.push(req.params.id, req.user.id);
+
+    const result = await query(
+      `UPDATE cover_letters
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING ${COVER_LETTER_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cover letter not found' });
+    }
+
+    res.json({
+      message: 'Cover letter updated successfully',
+      coverLetter: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Update cover letter error:', error);
+    res.status(500).json({ error: 'Failed to update cover letter' });
+  }
+});
+
+/**
+ * DELETE /api/cover-letters/:id
+ * Delete a cover letter or template
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM cover_letters WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cover letter not found' });
+    }
+
+    res.json({ message: 'Cover letter deleted successfully' });
+  } catch (error) {
+    console.error('Delete cover letter error:', error);
+    res.status(500).json({ error: 'Failed to delete cover letter' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+/**
+ * Interview Routes
+ *
+ * Owner-scoped interview rounds for job descriptions: type, date/time,
+ * interviewers (linked recruiters), outcome, prep notes and follow-up date.
+ */
+
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { query, getClient } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getInterviewValidators, validationConfig } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { INTERVIEW_COLUMNS, INTERVIEW_FROM } = require('../utils/interviewFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Request body field -> interviews column
+ */
+const FIELD_MAP = {
+  jobDescriptionId: 'job_description_id',
+  round: 'round',
+  interviewType: 'interview_type',
+  scheduledAt: 'scheduled_at',
+  durationMinutes: 'duration_minutes',
+  location: 'location',
+  outcome: 'outcome',
+  prepNotes: 'prep_notes',
+  feedback: 'feedback',
+  followUpDue: 'follow_up_due',
+};
+
+const EMPTY_AS_NULL = new Set([
+  'interview_type', 'scheduled_at', 'duration_minutes', 'location',
+  'prep_notes', 'feedback', 'follow_up_due',
+]);
+const EMPTY_AS_UNSET = new Set(['round', 'outcome']);
+
+const idValidator = param('id').isUUID().withMessage('Invalid interview ID');
+
+const listValidators = [
+  queryParam('job_description_id').optional().isUUID().withMessage('Invalid job description ID'),
+  queryParam('from').optional().isISO8601().withMessage(validationConfig.interview.messages.invalidDate('From')),
+  queryParam('to').optional().isISO8601().withMessage(validationConfig.interview.messages.invalidDate('To')),
+];
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP, {
+  emptyAsNull: EMPTY_AS_NULL,
+  emptyAsUnset: EMPTY_AS_UNSET,
+});
+
+/**
+ * Fetch a single interview owned by the given user
+ * @returns {Promise<Object|null>} Interview row (with interviewers) or null
+ */
+const findInterview = async (id, userId) => {
+  const result = await query(
+    `SELECT ${INTERVIEW_COLUMNS} ${INTERVIEW_FROM} WHERE i.id = $1 AND i.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Verify that the job description and interviewers belong to the user
+ * @returns {Promise<string|null>} Error message, or null if all references are valid
+ */
+const findInvalidReference = async (db, jobDescriptionId, interviewerIds, userId) => {
+  if (jobDescriptionId) {
+    const result = await db.query(
+      'SELECT id FROM job_descriptions WHERE id = $1 AND user_id = $2',
+      [jobDescriptionId, userId]
+    );
+    if (result.rows.length === 0) return 'Job description not found';
+  }
+
+  const uniqueIds = [...new Set(interviewerIds || [])];
+  if (uniqueIds.length > 0) {
+    const result = await db.query(
+      'SELECT id FROM recruiters WHERE id = ANY($1) AND user_id = $2',
+      [uniqueIds, userId]
+    );
+    if (result.rows.length !== uniqueIds.length) return 'Recruiter not found';
+  }
+
+  return null;
+};
+
+/**
+ * Replace an interview's interviewers with the given recruiters
+ */
+const setInterviewers = async (client, interviewId, interviewerIds) => {
+  await client.query('DELETE FROM interview_interviewers WHERE interview_id = $1', [interviewId]);
+
+  const uniqueIds = [...new Set(interviewerIds)];
+  if (uniqueIds.length > 0) {
+    await client.query(
+      `INSERT INTO interview_interviewers (interview_id, recruiter_id)
+       SELECT $1, unnest($2::uuid[])`,
+      [interviewId, uniqueIds]
+    );
+  }
+};
+
+/**
+ * GET /api/interviews
+ * List the current user's interviews, soonest first
+ * Filter with job_description_id, a from/to date range (for the calendar),
+ * outcome, or upcoming=true for interviews that have not happened yet.
+ */
+router.get('/', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { job_description_id, from, to, outcome, upcoming } = req.query;
+
+    const conditions = ['i.user_id = $1'];
+    const params = [req.user.id];
+    let paramIndex = 2;
+
+    if (job_description_id) {
+      conditions.push(`i.job_description_id = $${paramIndex++}`);
+      params.push(job_description_id);
+    }
+
+    if (from) {
+      conditions.push(`i.scheduled_at >= $${paramIndex++}`);
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push(`i.scheduled_at < $${paramIndex++}`);
+      params.push(to);
+    }
+
+    if (outcome) {
+      conditions.push(`i.outcome = $${paramIndex++}`);
+      params.push(outcome);
+    }
+
+    if (upcoming === 'true') {
+      conditions.push('i.scheduled_at >= CURRENT_TIMESTAMP');
+    }
+
+    const result = await query(
+      `SELECT ${INTERVIEW_COLUMNS}
+       ${INTERVIEW_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY i.scheduled_at ASC NULLS LAST, i.round ASC`,
+      params
+    );
+
+    res.json({ interviews: result.rows });
+  } catch (error) {
+    console.error('List interviews error:', error);
+    res.status(500).json({ error: 'Failed to fetch interviews' });
+  }
+});
+
+/**
+ * GET /api/interviews/:id
+ * Get a single interview with its interviewers
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const interview = await findInterview(req.params.id, req.user.id);
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.json({ interview });
+  } catch (error) {
+    console.error('Get interview error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview' });
+  }
+});
+
+/**
+ * POST /api/interviews
+ * Schedule an interview for a job description
+ * Without a round, the interview becomes the job's next round.
+ */
+router.post('/', getInterviewValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let client;
+  try {
+    const values = toColumnValues(req.body);
+    const interviewerIds = req.body.interviewerIds || [];
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const referenceError = await findInvalidReference(client, values.job_description_id, interviewerIds, req.user.id);
+    if (referenceError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: referenceError });
+    }
+
+    if (!values.round) {
+      const rounds = await client.query(
+        'SELECT COALESCE(MAX(round), 0) + 1 AS next_round FROM interviews WHERE job_description_id = $1',
+        [values.job_description_id]
+      );
+      values.round = rounds.rows[0].next_round;
+    }
+
+    // Let the database apply its defaults (e.g. outcome) for missing values
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await client.query(
+      `INSERT INTO interviews (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING id`,
+      [req.user.id, ...params]
+    );
+    const interviewId = result.rows[0].id;
+
+    await setInterviewers(client, interviewId, interviewerIds);
+
+    await client.query('COMMIT');
+
+    const interview = await findInterview(interviewId, req.user.id);
+
+    res.status(201).json({
+      message: 'Interview scheduled successfully',
+      interview,
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Create interview error:', error);
+    res.status(500).json({ error: 'Failed to create interview' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * PUT /api/interviews/:id
+ * Update an interview (only fields present in the body are changed)
+ * Sending interviewerIds replaces the interviewers.
+ */
+router.put('/:id', idValidator, getInterviewValidators({ partial: true }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const values = toColumnValues(req.body);
+  const columns = Object.keys(values);
+  const { interviewerIds } = req.body;
+
+  if (columns.length === 0 && !Array.isArray(interviewerIds)) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  let client;
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id FROM interviews WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    const referenceError = await findInvalidReference(client, values.job_description_id, interviewerIds, req.user.id);
+    if (referenceError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: referenceError });
+    }
+
+    if (columns.length > 0) {
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+      await client.query(
+        `UPDATE interviews SET ${assignments.join(', ')} WHERE id = $${columns.length + 1}`,
+        [...columns.map((column) => values[column]), id]
+      );
+    }
+
+    if (Array.isArray(interviewerIds)) {
+      await setInterviewers(client, id, interviewerIds);
+    }
+
+    await client.query('COMMIT');
+
+    const interview = await findInterview(id, req.user.id);
+
+    res.json({
+      message: 'Interview updated successfully',
+      interview,
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Update interview error:', error);
+    res.status(500).json({ error: 'Failed to update interview' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * DELETE /api/interviews/:id
+ * Delete an interview and its interviewer links
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM interviews WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.json({ message: 'Interview deleted successfully' });
+  } catch (error) {
+    console.error('Delete interview error:', error);
+    res.status(500).json({ error: 'Failed to delete interview' });
+  }
+});
+
+module.exports = router;
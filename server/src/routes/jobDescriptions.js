@@ -0,0 +1,1289 @@
+/**
+ * Job Description Routes
+ *
+ * Owner-scoped CRUD for job descriptions saved from the JDAnalyzer.
+ * Every query is filtered by req.user.id - users never see each other's postings.
+ */
+
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { query, getClient } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { singleFileUpload, multipleFileUpload, getFileExtension } = require('../middleware/upload');
+const {
+  getJobDescriptionValidators,
+  getStatusChangeValidators,
+  getPostingExtractionValidators,
+  getJobDescriptionEventValidators,
+  getJobListFilterValidators,
+  validationConfig,
+} = require('../validation/validationHelpers');
+const {
+  COMPENSATION_SOURCE_COLUMNS,
+  JD_COLUMNS,
+  JD_FROM,
+  toColumnValues,
+  applyConsultingTerms,
+} = require('../utils/jobDescriptionFields');
+const { parseSort } = require('../utils/pagination');
+const { analyzeJobDescription, extractKeywords } = require('../utils/keywordAnalysis');
+const { rankResumes } = require('../utils/resumeMatching');
+const { createDuplicateIndex } = require('../utils/duplicateDetection');
+const { extractPosting } = require('../utils/postingExtraction');
+const { parseSavedPosting } = require('../utils/jobPostingImport');
+const {
+  IMPORT_FIELDS,
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  mapRow,
+  toExportRecords,
+  toExportCsv,
+} = require('../utils/jobDescriptionTransfer');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const idValidator = param('id').isUUID().withMessage('Invalid job description ID');
+
+// Columns that decide whether two postings are duplicates
+const DUPLICATE_SIGNAL_COLUMNS = ['title', 'company', 'company_id', 'description'];
+
+// Columns copied from a merged duplicate when the original has no value
+const MERGE_FILL_COLUMNS = [
+  'company', 'company_id', 'source_id', 'recruiter_id', 'location',
+  'salary_range_min', 'salary_range_max', 'consulting_rate', 'consulting_period',
+  'date_posted', 'application_deadline', 'contact_info', 'job_info', 'description',
+];
+
+// Tables whose rows belong to a job description (ON DELETE CASCADE); a merge
+// moves them to the original before the duplicate is deleted
+const MERGE_CHILD_TABLES = ['interviews', 'offers', 'job_description_events', 'reminders'];
+
+const {
+  statusTransitions,
+  sortColumns,
+  messages: jdMessages,
+} = validationConfig.jobDescription;
+
+const importConfig = validationConfig.jobPostingImport;
+const bulkImportConfig = validationConfig.jobDescriptionBulkImport;
+
+// Each bulk import row is checked with the same rules as POST /
+const rowValidators = getJobDescriptionValidators();
+
+const listValidators = getJobListFilterValidators();
+
+/**
+ * Job list pay filters: query parameter -> [SQL expression, operator]
+ * A salary or rate range matches when any part of it is within the bound.
+ */
+const RANGE_FILTERS = {
+  min_annual_rate: ['jd.effective_annual_rate', '>='],
+  max_annual_rate: ['jd.effective_annual_rate', '<='],
+  min_salary: ['COALESCE(jd.salary_range_max, jd.salary_range_min)', '>='],
+  max_salary: ['COALESCE(jd.salary_range_min, jd.salary_range_max)', '<='],
+  min_rate: ['COALESCE(jd.rate_amount_max, jd.rate_amount)', '>='],
+  max_rate: ['jd.rate_amount', '<='],
+};
+
+// Job list exact-match filters: query parameter -> column
+const MATCH_FILTERS = {
+  engagement_type: 'jd.engagement_type',
+  rate_unit: 'jd.rate_unit',
+  status: 'jd.status',
+  remote_policy: 'jd.remote_policy',
+  job_type: 'jd.job_type',
+  source_id: 'jd.source_id',
+  company_id: 'jd.company_id',
+};
+
+const exportValidators = [
+  ...listValidators,
+  queryParam('format')
+    .optional()
+    .isIn(bulkImportConfig.exportFormats)
+    .withMessage(bulkImportConfig.messages.exportFormat(bulkImportConfig.exportFormats)),
+];
+
+// Status changes are timeline events recorded by the owner themselves
+const INSERT_STATUS_EVENT = `INSERT INTO job_description_events
+  (job_description_id, user_id, actor_id, event_type, from_status, to_status, description)
+  VALUES ($1, $2, $2, 'status_change', $3, $4, $5)`;
+
+const EVENT_COLUMNS = `e.id, e.event_type, e.from_status, e.to_status, e.description, e.metadata,
+  e.occurred_at, e.created_at, e.actor_id, a.name AS actor_name`;
+
+/**
+ * Check a pipeline status change against the allowed transitions
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} { error, allowed } response body, or null if the move is legal
+ */
+const checkTransition = (from, to) => {
+  const allowed = statusTransitions[from] || [];
+  if (allowed.includes(to)) return null;
+  return { error: jdMessages.illegalTransition(from, to), allowed };
+};
+
+/**
+ * Fetch a single job description owned by the given user
+ * @param {string} id - Job description ID
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object|null>} Job description row or null
+ */
+const findJobDescription = async (id, userId) => {
+  const result = await query(
+    `SELECT ${JD_COLUMNS} ${JD_FROM} WHERE jd.id = $1 AND jd.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * List a user's job descriptions with the list filters and sort
+ * Pay filters leave out job descriptions without that pay; missing values sort last.
+ * @param {string} userId - Owner ID
+ * @param {Object} filters - Validated query (see getJobListFilterValidators; sort_by, sort_order)
+ * @returns {Promise<Array<Object>>} Job description rows
+ */
+const findJobDescriptions = async (userId, filters) => {
+  const conditions = ['jd.user_id = $1'];
+  const params = [userId];
+  let paramIndex = 2;
+
+  Object.entries(RANGE_FILTERS).forEach(([key, [expression, operator]]) => {
+    if (filters[key] !== undefined && filters[key] !== '') {
+      conditions.push(`${expression} ${operator} $${paramIndex++}`);
+      params.push(Number(filters[key]));
+    }
+  });
+
+  Object.entries(MATCH_FILTERS).forEach(([key, column]) => {
+    if (filters[key]) {
+      conditions.push(`${column} = $${paramIndex++}`);
+      params.push(filters[key]);
+    }
+  });
+
+  if (filters.found_within_days) {
+    conditions.push(`jd.date_found >= CURRENT_DATE - $${paramIndex++}::int`);
+    params.push(parseInt(filters.found_within_days));
+  }
+
+  const { sortColumn, sortDirection } = parseSort(filters, sortColumns, 'date_found');
+
+  const result = await query(
+    `SELECT ${JD_COLUMNS} ${JD_FROM}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY jd.${sortColumn} ${sortDirection} NULLS LAST, jd.created_at DESC`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * Verify that referenced companies/recruiters belong to the user
+ * and that the referenced source is built-in or the user's own
+ * @returns {Promise<string|null>} Error message, or null if all references are valid
+ */
+const findInvalidReference = async (values, userId) => {
+  const ownedReferences = [
+    ['company_id', 'companies', 'Company not found'],
+    ['recruiter_id', 'recruiters', 'Recruiter not found'],
+  ];
+
+  for (const [column, table, message] of ownedReferences) {
+    if (values[column]) {
+      const result = await query(
+        `SELECT id FROM ${table} WHERE id = $1 AND user_id = $2`,
+        [values[column], userId]
+      );
+      if (result.rows.length === 0) return message;
+    }
+  }
+
+  if (values.source_id) {
+    const result = await query(
+      'SELECT id FROM job_description_sources WHERE id = $1 AND (user_id IS NULL OR user_id = $2)',
+      [values.source_id, userId]
+    );
+    if (result.rows.length === 0) return 'Source not found';
+  }
+
+  return null;
+};
+
+/**
+ * Fill the keywords column from the description being saved
+ * Keywords sent explicitly by the client are kept as-is.
+ */
+const applyKeywords = (values, reqBody) => {
+  if ('description' in values && reqBody.keywords === undefined) {
+    values.keywords = extractKeywords(values.description);
+  }
+};
+
+/**
+ * Compare job descriptions with the user's other postings and flag them
+ * (or clear the flag) in is_duplicate / duplicate_of_id / similarity_score.
+ * Postings already flagged as duplicates and dismissed matches are skipped,
+ * so a new posting is always matched against an original. The user's
+ * postings are loaded and indexed once however many IDs are checked; IDs
+ * are checked in order, so one flagged earlier is not an original for later ones.
+ * @param {Array<string>} ids - Job description IDs to check
+ * @param {string} userId - Owner ID
+ */
+const flagDuplicates = async (ids, userId) => {
+  const result = await query(
+    `SELECT id, title, company, company_id, description, is_duplicate, dismissed_duplicate_ids
+     FROM job_descriptions
+     WHERE user_id = $1`,
+    [userId]
+  );
+
+  const rowsById = new Map(result.rows.map((row) => [row.id, row]));
+  const flagged = new Set(result.rows.filter((row) => row.is_duplicate).map((row) => row.id));
+  const index = createDuplicateIndex(result.rows);
+
+  for (const id of ids) {
+    const current = rowsById.get(id);
+    if (!current) continue;
+
+    const dismissed = new Set(current.dismissed_duplicate_ids || []);
+    const match = index.find(current, {
+      isCandidate: (row) => row.id !== id && !flagged.has(row.id) && !dismissed.has(row.id),
+    });
+    if (match) {
+      flagged.add(id);
+    } else {
+      flagged.delete(id);
+    }
+
+    await query(
+      `UPDATE job_descriptions
+       SET is_duplicate = $1, duplicate_of_id = $2, similarity_score = $3
+       WHERE id = $4`,
+      [Boolean(match), match ? match.id : null, match ? match.score : null, id]
+    );
+  }
+};
+
+/**
+ * Flag (or clear) a single job description as a likely duplicate
+ * @param {string} id - Job description ID
+ * @param {string} userId - Owner ID
+ */
+const flagDuplicate = (id, userId) => flagDuplicates([id], userId);
+
+/**
+ * Flag duplicates for postings that are already committed
+ * Best-effort: the postings are saved either way, so a failure is logged
+ * rather than failing the request.
+ * @param {Array<string>} ids - Job description IDs to check
+ * @param {string} userId - Owner ID
+ */
+const flagSavedDuplicates = async (ids, userId) => {
+  try {
+    await flagDuplicates(ids, userId);
+  } catch (error) {
+    console.error('Flag duplicates error:', error);
+  }
+};
+
+/**
+ * Insert a job description
+ * Columns left null are skipped so the database applies its defaults (e.g. date_found).
+ * @param {Function} run - query(), or a transaction client's query
+ * @param {string} userId - Owner ID
+ * @param {Object} values - Column/value pairs
+ * @returns {Promise<string>} New job description ID
+ */
+const insertJobDescription = async (run, userId, values) => {
+  const columns = Object.keys(values).filter((column) => values[column] !== null);
+  const params = columns.map((column) => values[column]);
+  const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+  const result = await run(
+    `INSERT INTO job_descriptions (user_id, ${columns.join(', ')})
+     VALUES ($1, ${placeholders.join(', ')})
+     RETURNING id`,
+    [userId, ...params]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Find the user's company with this name (ignoring case), or create it
+ * @param {Object} client - Transaction client
+ * @param {string} userId - Owner ID
+ * @param {string} name - Company name
+ * @param {string|null} website - Used only when the company is created
+ * @returns {Promise<{id: string, name: string, created: boolean}>}
+ */
+const resolveCompany = async (client, userId, name, website) => {
+  const existing = await client.query(
+    `SELECT id, name FROM companies
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+     ORDER BY created_at
+     LIMIT 1`,
+    [userId, name]
+  );
+  if (existing.rows.length > 0) {
+    return { ...existing.rows[0], created: false };
+  }
+
+  const created = await client.query(
+    'INSERT INTO companies (user_id, name, website) VALUES ($1, $2, $3) RETURNING id, name',
+    [userId, name, website ? website.slice(0, validationConfig.company.websiteMaxLength) : null]
+  );
+  return { ...created.rows[0], created: true };
+};
+
+/**
+ * Read the uploaded bulk import file and the column mapping
+ * The mapping comes from the multipart field `mapping` (JSON); without one
+ * the columns are mapped by name.
+ * @returns {{error: string}|{format: string, columns: Array<string>, rows: Array<Object>, mapping: Object}}
+ */
+const readBulkImport = (req) => {
+  const { messages, maxRows } = bulkImportConfig;
+  if (!req.file) return { error: messages.fileRequired };
+
+  const format = getFileExtension(req.file.originalname);
+  const parsed = parseImportFile(req.file.buffer.toString('utf8'), format);
+  if (!parsed) return { error: messages.unreadable(format) };
+  if (parsed.rows.length === 0) return { error: messages.noRows };
+  if (parsed.rows.length > maxRows) return { error: messages.tooManyRows(maxRows) };
+
+  let mapping;
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : suggestMapping(parsed.columns);
+  } catch (error) {
+    return { error: messages.invalidMapping };
+  }
+
+  const mappingError = validateMapping(mapping, parsed.columns);
+  if (mappingError) return { error: mappingError };
+
+  return { format, ...parsed, mapping };
+};
+
+/**
+ * Map every file row to a create request body and validate it
+ * @returns {Promise<{bodies: Array<Object>, errors: Array<{row: number, errors: Array}>}>}
+ *   bodies are sanitized by the validators; row numbers count data rows from 1
+ */
+const validateRows = async (rows, mapping) => {
+  const bodies = [];
+  const errors = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowReq = { body: mapRow(row, mapping) };
+    for (const validator of rowValidators) {
+      await validator.run(rowReq);
+    }
+
+    const rowErrors = validationResult(rowReq);
+    if (!rowErrors.isEmpty()) {
+      errors.push({ row: index + 1, errors: rowErrors.array() });
+    }
+    bodies.push(rowReq.body);
+  }
+
+  return { bodies, errors };
+};
+
+/**
+ * GET /api/job-descriptions
+ * List the current user's job descriptions, newest first
+ * Filter by status, remote_policy, job_type, engagement_type, rate_unit, source_id,
+ * company_id, found_within_days, min_salary/max_salary, min_rate/max_rate (quoted rate)
+ * and min_annual_rate/max_annual_rate (effective annual rate); sort with sort_by/sort_order.
+ * Job descriptions without the filtered pay are left out and sorted last.
+ */
+router.get('/', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescriptions = await findJobDescriptions(req.user.id, req.query);
+
+    res.json({ jobDescriptions });
+  } catch (error) {
+    console.error('Get job descriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch job descriptions' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/export
+ * Download the current user's job descriptions as CSV (default) or JSON
+ * Takes the same filters and sort as the list; the file imports back
+ * through /bulk-import unchanged.
+ */
+router.get('/export', exportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = req.query.format || 'csv';
+    const records = toExportRecords(await findJobDescriptions(req.user.id, req.query));
+    const fileName = `job-descriptions-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'json') {
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      return res.send(JSON.stringify(records, null, 2));
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toExportCsv(records));
+  } catch (error) {
+    console.error('Export job descriptions error:', error);
+    res.status(500).json({ error: 'Failed to export job descriptions' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/:id
+ * Get a single job description
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    res.json({ jobDescription });
+  } catch (error) {
+    console.error('Get job description error:', error);
+    res.status(500).json({ error: 'Failed to fetch job description' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/:id/analysis
+ * Analyze a saved job description: top skills, required vs nice-to-have,
+ * years of experience and seniority
+ */
+router.get('/:id/analysis', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    res.json({ analysis: analyzeJobDescription(jobDescription) });
+  } catch (error) {
+    console.error('Analyze job description error:', error);
+    res.status(500).json({ error: 'Failed to analyze job description' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/:id/resume-matches
+ * Score every resume version against the job description's keywords,
+ * best match first, and recommend which version to send
+ */
+router.get('/:id/resume-matches', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const resumes = await query(
+      `SELECT id, title, version_number, is_active, skills_highlighted, content_summary
+       FROM resumes
+       WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    res.json({
+      jobDescriptionId: jobDescription.id,
+      ...rankResumes(jobDescription, resumes.rows),
+    });
+  } catch (error) {
+    console.error('Match resumes error:', error);
+    res.status(500).json({ error: 'Failed to match resumes' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/:id/status-history
+ * List the job description's pipeline status changes, oldest first
+ */
+router.get('/:id/status-history', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const result = await query(
+      `SELECT id, from_status, to_status, description AS note, occurred_at AS changed_at
+       FROM job_description_events
+       WHERE job_description_id = $1 AND user_id = $2 AND event_type = 'status_change'
+       ORDER BY occurred_at ASC`,
+      [req.params.id, req.user.id]
+    );
+
+    res.json({ history: result.rows });
+  } catch (error) {
+    console.error('Get status history error:', error);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+/**
+ * GET /api/job-descriptions/:id/timeline
+ * Everything that happened on a job description - status changes, notes,
+ * contacts and documents sent - newest first
+ */
+router.get('/:id/timeline', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const result = await query(
+      `SELECT ${EVENT_COLUMNS}
+       FROM job_description_events e
+       LEFT JOIN users a ON e.actor_id = a.id
+       WHERE e.job_description_id = $1 AND e.user_id = $2
+       ORDER BY e.occurred_at DESC, e.created_at DESC`,
+      [req.params.id, req.user.id]
+    );
+
+    res.json({
+      jobDescriptionId: jobDescription.id,
+      events: result.rows,
+    });
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch timeline' });
+  }
+});
+
+/**
+ * POST /api/job-descriptions/extract
+ * Extract analyzer form fields from a pasted posting (plain text or HTML)
+ * Nothing is saved; the user reviews the fields in the form first.
+ */
+router.post('/extract', getPostingExtractionValidators(), (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json({ extracted: extractPosting(req.body.content) });
+  } catch (error) {
+    console.error('Extract job posting error:', error);
+    res.status(500).json({ error: 'Failed to extract job posting' });
+  }
+});
+
+/**
+ * POST /api/job-descriptions/import
+ * Import job postings from saved HTML pages (multipart form: files)
+ * Each page is read from its schema.org JobPosting JSON-LD, falling back to
+ * the same heuristics as /extract. The company is matched by name or
+ * created, and the source is picked from the page URL. Pages are imported
+ * one transaction each, so one bad page does not stop the rest. Once a page
+ * is committed it is reported as imported, even if flagging it fails.
+ */
+router.post('/import', multipleFileUpload('files', importConfig), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: importConfig.messages.filesRequired });
+  }
+
+  const imported = [];
+  const failed = [];
+  const sourcesByType = new Map();
+
+  for (const file of req.files) {
+    let client;
+    let saved = null;
+    try {
+      const { fields, method, url, companyWebsite, sourceType } = parseSavedPosting(file.buffer.toString('utf8'));
+      if (!fields.jobTitle) {
+        failed.push({ fileName: file.originalname, error: importConfig.messages.titleNotFound });
+        continue;
+      }
+
+      if (sourceType && !sourcesByType.has(sourceType)) {
+        const sourceResult = await query(
+          `SELECT id, source_type, source_name FROM job_description_sources
+           WHERE source_type = $1 AND user_id IS NULL
+           ORDER BY created_at
+           LIMIT 1`,
+          [sourceType]
+        );
+        sourcesByType.set(sourceType, sourceResult.rows[0] || null);
+      }
+      const source = sourcesByType.get(sourceType) || null;
+
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const company = fields.company
+        ? await resolveCompany(client, req.user.id, fields.company, companyWebsite)
+        : null;
+
+      const values = toColumnValues({
+        ...fields,
+        ...(company && { companyId: company.id }),
+        ...(source && { sourceId: source.id }),
+      });
+      applyKeywords(values, {});
+      applyConsultingTerms(values);
+
+      const id = await insertJobDescription((...args) => client.query(...args), req.user.id, values);
+
+      await client.query('COMMIT');
+      saved = { id, method, url, company, source };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+      console.error(`Import job posting error (${file.originalname}):`, error);
+      failed.push({ fileName: file.originalname, error: 'Failed to import job posting' });
+    } finally {
+      if (client) client.release();
+    }
+
+    if (!saved) continue;
+
+    const { id, ...details } = saved;
+    await flagSavedDuplicates([id], req.user.id);
+    const jobDescription = await findJobDescription(id, req.user.id).catch((error) => {
+      console.error(`Reload imported job posting error (${file.originalname}):`, error);
+      return { id };
+    });
+    imported.push({ fileName: file.originalname, ...details, jobDescription });
+  }
+
+  if (imported.length === 0) {
+    return res.status(400).json({ error: 'No job postings could be imported', imported, failed });
+  }
+
+  res.status(201).json({
+    message: `Imported ${imported.length} of ${req.files.length} job postings`,
+    imported,
+    failed,
+  });
+});
+
+/**
+ * POST /api/job-descriptions/bulk-import/preview
+ * Preview a CSV or JSON import (multipart form: file, optional mapping)
+ * Returns the file's columns, the column mapping (suggested from the column
+ * names unless one is sent), the first rows as they would be saved and the
+ * validation errors of every row. Nothing is saved.
+ */
+router.post('/bulk-import/preview', singleFileUpload('file', bulkImportConfig), async (req, res) => {
+  try {
+    const file = readBulkImport(req);
+    if (file.error) {
+      return res.status(400).json({ error: file.error });
+    }
+
+    const { bodies, errors } = await validateRows(file.rows, file.mapping);
+
+    res.json({
+      format: file.format,
+      columns: file.columns,
+      mapping: file.mapping,
+      fields: IMPORT_FIELDS.map(({ field, label }) => ({ field, label })),
+      rowCount: file.rows.length,
+      rows: bodies.slice(0, bulkImportConfig.previewRows),
+      errors,
+    });
+  } catch (error) {
+    console.error('Preview bulk import error:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+/**
+ * POST /api/job-descriptions/bulk-import
+ * Import every row of a CSV or JSON file (multipart form: file, optional mapping)
+ * Rows are validated like POST / first; if any row fails nothing is saved
+ * and the per-row errors are returned. Otherwise all rows are inserted in
+ * one transaction; duplicate flagging after the commit is best-effort.
+ */
+router.post('/bulk-import', singleFileUpload('file', bulkImportConfig), async (req, res) => {
+  let client;
+  try {
+    const file = readBulkImport(req);
+    if (file.error) {
+      return res.status(400).json({ error: file.error });
+    }
+
+    const { bodies, errors } = await validateRows(file.rows, file.mapping);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: bulkImportConfig.messages.rowErrors(errors.length), errors });
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const ids = [];
+    for (const body of bodies) {
+      const values = toColumnValues(body);
+      applyKeywords(values, body);
+      applyConsultingTerms(values);
+      ids.push(await insertJobDescription((...args) => client.query(...args), req.user.id, values));
+    }
+
+    await client.query('COMMIT');
+
+    await flagSavedDuplicates(ids, req.user.id);
+
+    res.status(201).json({
+      message: `Imported ${ids.length} job descriptions`,
+      count: ids.length,
+      ids,
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Bulk import job descriptions error:', error);
+    res.status(500).json({ error: 'Failed to import job descriptions' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * POST /api/job-descriptions
+ * Create a job description and analyze it
+ * Uses shared validation config via validationHelpers
+ */
+router.post('/', getJobDescriptionValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+    applyKeywords(values, req.body);
+    applyConsultingTerms(values);
+
+    const referenceError = await findInvalidReference(values, req.user.id);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const id = await insertJobDescription(query, req.user.id, values);
+
+    await flagDuplicate(id, req.user.id);
+
+    const jobDescription = await findJobDescription(id, req.user.id);
+
+    res.status(201).json({
+      message: 'Job description created successfully',
+      jobDescription,
+      analysis: analyzeJobDescription(jobDescription),
+    });
+  } catch (error) {
+    console.error('Create job description error:', error);
+    res.status(500).json({ error: 'Failed to create job description' });
+  }
+});
+
+/**
+ * POST /api/job-descriptions/:id/dismiss-duplicate
+ * Mark a flagged posting as not a duplicate; it will not be flagged
+ * against the same posting again
+ */
+router.post('/:id/dismiss-duplicate', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findJobDescription(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    if (!existing.is_duplicate || !existing.duplicate_of_id) {
+      return res.status(400).json({ error: 'Job description is not flagged as a duplicate' });
+    }
+
+    await query(
+      `UPDATE job_descriptions
+       SET is_duplicate = false, duplicate_of_id = NULL, similarity_score = NULL,
+           dismissed_duplicate_ids = array_append(dismissed_duplicate_ids, $1)
+       WHERE id = $2 AND user_id = $3`,
+      [existing.duplicate_of_id, req.params.id, req.user.id]
+    );
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    res.json({
+      message: 'Duplicate dismissed',
+      jobDescription,
+    });
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicate' });
+  }
+});
+
+/**
+ * POST /api/job-descriptions/:id/merge-duplicate
+ * Merge a flagged posting into the one it duplicates
+ * Empty fields on the original are filled from the duplicate, keywords are
+ * combined, notes are appended, the duplicate's interviews, offers, timeline
+ * and reminders move to the original, and the duplicate is deleted. Postings
+ * flagged as duplicates of the deleted one are unflagged, then checked again
+ * after the commit.
+ */
+router.post('/:id/merge-duplicate', idValidator, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let client;
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const duplicateResult = await client.query(
+      'SELECT * FROM job_descriptions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+    const duplicate = duplicateResult.rows[0];
+
+    if (!duplicate) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    if (!duplicate.is_duplicate || !duplicate.duplicate_of_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Job description is not flagged as a duplicate' });
+    }
+
+    const originalResult = await client.query(
+      'SELECT * FROM job_descriptions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [duplicate.duplicate_of_id, req.user.id]
+    );
+    const original = originalResult.rows[0];
+
+    if (!original) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Original job description not found' });
+    }
+
+    const fills = {};
+    MERGE_FILL_COLUMNS.forEach((column) => {
+      const empty = original[column] === null || original[column] === '';
+      if (empty && duplicate[column] !== null && duplicate[column] !== '') {
+        fills[column] = duplicate[column];
+      }
+    });
+
+    const keywords = [...new Set([...(original.keywords || []), ...(duplicate.keywords || [])])];
+    if (keywords.length > (original.keywords || []).length) {
+      fills.keywords = keywords;
+    }
+
+    if (duplicate.notes) {
+      fills.notes = [original.notes, duplicate.notes].filter(Boolean).join('\n\n');
+    }
+
+    applyConsultingTerms(fills, original);
+
+    const fillColumns = Object.keys(fills);
+    if (fillColumns.length > 0) {
+      const assignments = fillColumns.map((column, index) => `${column} = $${index + 1}`);
+      await client.query(
+        `UPDATE job_descriptions SET ${assignments.join(', ')} WHERE id = $${fillColumns.length + 1}`,
+        [...fillColumns.map((column) => fills[column]), original.id]
+      );
+    }
+
+    for (const table of MERGE_CHILD_TABLES) {
+      await client.query(
+        `UPDATE ${table} SET job_description_id = $1 WHERE job_description_id = $2`,
+        [original.id, duplicate.id]
+      );
+    }
+
+    const orphaned = await client.query(
+      `UPDATE job_descriptions
+       SET is_duplicate = false, duplicate_of_id = NULL, similarity_score = NULL
+       WHERE duplicate_of_id = $1 AND user_id = $2
+       RETURNING id`,
+      [duplicate.id, req.user.id]
+    );
+
+    await client.query(
+      'DELETE FROM job_descriptions WHERE id = $1 AND user_id = $2',
+      [duplicate.id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    if (orphaned.rows.length > 0) {
+      await flagSavedDuplicates(orphaned.rows.map((row) => row.id), req.user.id);
+    }
+
+    const jobDescription = await findJobDescription(original.id, req.user.id);
+
+    res.json({
+      message: `Merged into ${original.title}`,
+      jobDescription,
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Merge duplicate error:', error);
+    res.status(500).json({ error: 'Failed to merge job descriptions' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * POST /api/job-descriptions/:id/events
+ * Add a note, contact or document sent to the job description's timeline
+ * Contact and document details are kept in the event's metadata.
+ */
+router.post('/:id/events', idValidator, getJobDescriptionEventValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    if (!jobDescription) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const { eventType, description, occurredAt, contactMethod, contactName, document } = req.body;
+    const metadata = {};
+    if (eventType === 'contact') {
+      if (contactMethod) metadata.contactMethod = contactMethod;
+      if (contactName) metadata.contactName = contactName;
+    }
+    if (eventType === 'document_sent' && document) {
+      metadata.document = document;
+    }
+
+    const result = await query(
+      `INSERT INTO job_description_events
+         (job_description_id, user_id, actor_id, event_type, description, metadata, occurred_at)
+       VALUES ($1, $2, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
+       RETURNING id, event_type, from_status, to_status, description, metadata,
+                 occurred_at, created_at, actor_id`,
+      [req.params.id, req.user.id, eventType, description || null, metadata, occurredAt || null]
+    );
+
+    res.status(201).json({
+      message: 'Event added successfully',
+      event: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Add event error:', error);
+    res.status(500).json({ error: 'Failed to add event' });
+  }
+});
+
+/**
+ * DELETE /api/job-descriptions/:id/events/:eventId
+ * Remove a note, contact or document sent from the timeline
+ * Status changes stay - they are the record of how the application moved.
+ */
+router.delete(
+  '/:id/events/:eventId',
+  idValidator,
+  param('eventId').isUUID().withMessage('Invalid event ID'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await query(
+        `SELECT id, event_type FROM job_description_events
+         WHERE id = $1 AND job_description_id = $2 AND user_id = $3`,
+        [req.params.eventId, req.params.id, req.user.id]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      if (existing.rows[0].event_type === 'status_change') {
+        return res.status(400).json({ error: 'Status changes cannot be deleted' });
+      }
+
+      await query('DELETE FROM job_description_events WHERE id = $1', [req.params.eventId]);
+
+      res.json({ message: 'Event deleted successfully' });
+    } catch (error) {
+      console.error('Delete event error:', error);
+      res.status(500).json({ error: 'Failed to delete event' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/job-descriptions/:id/status
+ * Move a job description to another pipeline status (used by the board)
+ * Only the transitions in validationConfig.jobDescription.statusTransitions
+ * are allowed; each change is recorded as a timeline event.
+ */
+router.patch('/:id/status', idValidator, getStatusChangeValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let client;
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, status FROM job_descriptions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    const fromStatus = existing.rows[0].status;
+    const { status, note } = req.body;
+    const illegal = checkTransition(fromStatus, status);
+    if (illegal) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(illegal);
+    }
+
+    await client.query(
+      'UPDATE job_descriptions SET status = $1 WHERE id = $2',
+      [status, req.params.id]
+    );
+    await client.query(INSERT_STATUS_EVENT, [req.params.id, req.user.id, fromStatus, status, note || null]);
+
+    await client.query('COMMIT');
+
+    const jobDescription = await findJobDescription(req.params.id, req.user.id);
+
+    res.json({
+      message: 'Status updated successfully',
+      jobDescription,
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Update status error:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * PUT /api/job-descriptions/:id
+ * Update a job description (only fields present in the body are changed)
+ * Changing the description re-extracts its keywords. A status change must
+ * be a legal transition and is recorded on the timeline; like PATCH /:id/status
+ * it locks the row so the check, update and event happen in one transaction.
+ * Duplicate flagging and reloading the posting happen after the update is
+ * saved, so their failures never roll it back.
+ */
+router.put('/:id', idValidator, getJobDescriptionValidators({ partial: true }), async (req, res) => {
+  const { id } = req.params;
+  let client;
+  let duplicateSignalsChanged = false;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+    applyKeywords(values, req.body);
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const referenceError = await findInvalidReference(values, req.user.id);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    // Re-parse the consulting terms against the fields not being changed
+    if (COMPENSATION_SOURCE_COLUMNS.some((column) => column in values)) {
+      const current = await query(
+        `SELECT ${COMPENSATION_SOURCE_COLUMNS.join(', ')} FROM job_descriptions WHERE id = $1 AND user_id = $2`,
+        [id, req.user.id]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ error: 'Job description not found' });
+      }
+      applyConsultingTerms(values, current.rows[0]);
+    }
+    const columns = Object.keys(values);
+
+    let fromStatus = null;
+    if (values.status) {
+      client = await getClient();
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT status FROM job_descriptions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [id, req.user.id]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Job description not found' });
+      }
+
+      if (current.rows[0].status !== values.status) {
+        fromStatus = current.rows[0].status;
+        const illegal = checkTransition(fromStatus, values.status);
+        if (illegal) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(illegal);
+        }
+      }
+    }
+    const run = client ? (...args) => client.query(...args) : query;
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const params = columns.map((column) => values[column]);
+    params.push(id, req.user.id);
+
+    const result = await run(
+      `UPDATE job_descriptions
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      if (client) await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    if (fromStatus) {
+      await client.query(INSERT_STATUS_EVENT, [id, req.user.id, fromStatus, values.status, null]);
+    }
+    if (client) await client.query('COMMIT');
+    duplicateSignalsChanged = DUPLICATE_SIGNAL_COLUMNS.some((column) => column in values);
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Update job description error:', error);
+    return res.status(500).json({ error: 'Failed to update job description' });
+  } finally {
+    if (client) client.release();
+  }
+
+  if (duplicateSignalsChanged) {
+    await flagSavedDuplicates([id], req.user.id);
+  }
+
+  try {
+    const jobDescription = await findJobDescription(id, req.user.id);
+
+    res.json({
+      message: 'Job description updated successfully',
+      jobDescription,
+      analysis: analyzeJobDescription(jobDescription),
+    });
+  } catch (error) {
+    console.error('Reload job description error:', error);
+    res.status(500).json({ error: 'Job description was updated but could not be reloaded' });
+  }
+});
+
+/**
+ * DELETE /api/job-descriptions/:id
+ * Delete a job description
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM job_descriptions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+
+    res.json({ message: 'Job description deleted successfully' });
+  } catch (error) {
+    console.error('Delete job description error:', error);
+    res.status(500).json({ error: 'Failed to delete job description' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+/**
+ * Notification Routes
+ *
+ * The in-app notification center: reminders the scheduler has marked due,
+ * newest first, with an unread count for the header bell. Notifications are
+ * read, snoozed (rescheduled to a later time) or completed here.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getReminderSnoozeValidators, validationConfig } = require('../validation/validationHelpers');
+const { REMINDER_COLUMNS, REMINDER_FROM } = require('../utils/reminderFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const idValidator = param('id').isUUID().withMessage('Invalid notification ID');
+
+/**
+ * GET /api/notifications
+ * List the current user's due reminders, most recently due first
+ * Returns { notifications, unreadCount }; unread notifications have no read_at.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [notifications, unread] = await Promise.all([
+      query(
+        `SELECT ${REMINDER_COLUMNS}
+         ${REMINDER_FROM}
+         WHERE rm.user_id = $1 AND rm.status = 'due'
+         ORDER BY rm.due_at DESC
+         LIMIT $2`,
+        [req.user.id, validationConfig.reminder.notificationLimit]
+      ),
+      query(
+        `SELECT COUNT(*)::int AS count FROM reminders
+         WHERE user_id = $1 AND status = 'due' AND read_at IS NULL`,
+        [req.user.id]
+      ),
+    ]);
+
+    res.json({
+      notifications: notifications.rows,
+      unreadCount: unread.rows[0].count,
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every unread notification as read
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE reminders SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND status = 'due' AND read_at IS NULL
+       RETURNING id`,
+      [req.user.id]
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.rows.length,
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.post('/:id/read', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `UPDATE reminders SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 AND status = 'due'
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/snooze
+ * Reschedule a notification's reminder to a later time
+ * Body: until (ISO date and time in the future). The notification goes away
+ * until the scheduler marks the reminder due again.
+ */
+router.post('/:id/snooze', idValidator, getReminderSnoozeValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `UPDATE reminders
+       SET due_at = $3, status = 'scheduled', notified_at = NULL, read_at = NULL
+       WHERE id = $1 AND user_id = $2 AND status <> 'completed'
+       RETURNING id`,
+      [req.params.id, req.user.id, req.body.until]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Reminder snoozed successfully' });
+  } catch (error) {
+    console.error('Snooze notification error:', error);
+    res.status(500).json({ error: 'Failed to snooze reminder' });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/complete
+ * Complete a notification's reminder, which removes it from the notifications
+ */
+router.post('/:id/complete', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `UPDATE reminders
+       SET status = 'completed',
+           completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP),
+           read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Reminder completed successfully' });
+  } catch (error) {
+    console.error('Complete notification error:', error);
+    res.status(500).json({ error: 'Failed to complete reminder' });
+  }
+});
+
+module.exports = router;
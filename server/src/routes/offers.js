@@ -0,0 +1,325 @@
+/**
+ * Offer Routes
+ *
+ * Owner-scoped job offers (base, bonus, equity, benefits, start date and
+ * expiry) and a comparison of the jobs that have reached the offer stage,
+ * with every job's pay annualized so they can be compared side by side.
+ */
+
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getOfferValidators } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { offerCompensation, compareCompensation } = require('../utils/compensation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Request body field -> offers column
+ */
+const FIELD_MAP = {
+  jobDescriptionId: 'job_description_id',
+  baseSalary: 'base_salary',
+  payPeriod: 'pay_period',
+  currency: 'currency',
+  bonus: 'bonus',
+  signingBonus: 'signing_bonus',
+  equityValue: 'equity_value',
+  equityDetails: 'equity_details',
+  benefits: 'benefits',
+  benefitsValue: 'benefits_value',
+  startDate: 'start_date',
+  expiryDate: 'expiry_date',
+  notes: 'notes',
+};
+
+const EMPTY_AS_NULL = new Set([
+  'base_salary', 'bonus', 'signing_bonus', 'equity_value', 'equity_details',
+  'benefits', 'benefits_value', 'start_date', 'expiry_date', 'notes',
+]);
+const EMPTY_AS_UNSET = new Set(['pay_period', 'currency']);
+
+/**
+ * Columns selected for every offer response, including the job it belongs to
+ */
+const OFFER_COLUMNS = `
+  o.id, o.user_id, o.job_description_id, jd.title AS job_title,
+  COALESCE(c.name, jd.company) AS company_name, jd.status AS job_status,
+  o.base_salary, o.pay_period, o.currency, o.bonus, o.signing_bonus,
+  o.equity_value, o.equity_details, o.benefits, o.benefits_value,
+  to_char(o.start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(o.expiry_date, 'YYYY-MM-DD') AS expiry_date,
+  o.notes, o.created_at, o.updated_at`;
+
+const OFFER_FROM = `FROM offers o
+  JOIN job_descriptions jd ON o.job_description_id = jd.id
+  LEFT JOIN companies c ON jd.company_id = c.id`;
+
+// Jobs that are still open and have an offer, or are waiting for one in writing
+const COMPARISON_STATUSES = ['offered', 'accepted'];
+const CLOSED_STATUSES = ['rejected', 'withdrawn'];
+
+const idValidator = param('id').isUUID().withMessage('Invalid offer ID');
+
+const listValidators = [
+  queryParam('job_description_id').optional().isUUID().withMessage('Invalid job description ID'),
+];
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP, {
+  emptyAsNull: EMPTY_AS_NULL,
+  emptyAsUnset: EMPTY_AS_UNSET,
+});
+
+const withCompensation = (offer) => offer && { ...offer, compensation: offerCompensation(offer) };
+
+/**
+ * Fetch a single offer owned by the given user
+ * @returns {Promise<Object|null>} Offer row (with compensation) or null
+ */
+const findOffer = async (id, userId) => {
+  const result = await query(
+    `SELECT ${OFFER_COLUMNS} ${OFFER_FROM} WHERE o.id = $1 AND o.user_id = $2`,
+    [id, userId]
+  );
+  return withCompensation(result.rows[0] || null);
+};
+
+/**
+ * Check that a job description belongs to the user
+ * @returns {Promise<boolean>}
+ */
+const ownsJobDescription = async (jobDescriptionId, userId) => {
+  const result = await query(
+    'SELECT id FROM job_descriptions WHERE id = $1 AND user_id = $2',
+    [jobDescriptionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * GET /api/offers
+ * List the current user's offers, newest first
+ * Filter with job_description_id.
+ */
+router.get('/', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conditions = ['o.user_id = $1'];
+    const params = [req.user.id];
+
+    if (req.query.job_description_id) {
+      conditions.push('o.job_description_id = $2');
+      params.push(req.query.job_description_id);
+    }
+
+    const result = await query(
+      `SELECT ${OFFER_COLUMNS}
+       ${OFFER_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY o.created_at DESC`,
+      params
+    );
+
+    res.json({ offers: result.rows.map(withCompensation) });
+  } catch (error) {
+    console.error('List offers error:', error);
+    res.status(500).json({ error: 'Failed to fetch offers' });
+  }
+});
+
+/**
+ * GET /api/offers/comparison
+ * Compare every open job at the offer stage, or with an offer recorded
+ * Each job uses its latest offer; jobs without one are estimated from the
+ * posting's salary range or consulting rate (compensation.estimated).
+ */
+router.get('/comparison', async (req, res) => {
+  try {
+    const jobs = await query(
+      `SELECT jd.id, jd.title AS job_title, COALESCE(c.name, jd.company) AS company_name, jd.status,
+              jd.location, jd.remote_policy, jd.salary_range_min, jd.salary_range_max,
+              jd.salary_currency, jd.consulting_rate, jd.consulting_period,
+              c.user_rating AS company_rating
+       FROM job_descriptions jd
+       LEFT JOIN companies c ON jd.company_id = c.id
+       WHERE jd.user_id = $1
+         AND jd.status <> ALL($2)
+         AND (jd.status = ANY($3) OR EXISTS (SELECT 1 FROM offers o WHERE o.job_description_id = jd.id))
+       ORDER BY jd.updated_at DESC`,
+      [req.user.id, CLOSED_STATUSES, COMPARISON_STATUSES]
+    );
+
+    const offers = await query(
+      `SELECT DISTINCT ON (o.job_description_id) ${OFFER_COLUMNS}
+       ${OFFER_FROM}
+       WHERE o.user_id = $1
+       ORDER BY o.job_description_id, o.created_at DESC`,
+      [req.user.id]
+    );
+    const latestOffers = new Map(offers.rows.map((offer) => [offer.job_description_id, offer]));
+
+    const comparison = jobs.rows.map((jobDescription) => {
+      const offer = latestOffers.get(jobDescription.id) || null;
+      return {
+        jobDescription,
+        offer,
+        compensation: compareCompensation(jobDescription, offer),
+      };
+    });
+
+    res.json({ comparison });
+  } catch (error) {
+    console.error('Compare offers error:', error);
+    res.status(500).json({ error: 'Failed to compare offers' });
+  }
+});
+
+/**
+ * GET /api/offers/:id
+ * Get a single offer
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const offer = await findOffer(req.params.id, req.user.id);
+
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    res.json({ offer });
+  } catch (error) {
+    console.error('Get offer error:', error);
+    res.status(500).json({ error: 'Failed to fetch offer' });
+  }
+});
+
+/**
+ * POST /api/offers
+ * Record an offer for a job description
+ */
+router.post('/', getOfferValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+
+    if (!(await ownsJobDescription(values.job_description_id, req.user.id))) {
+      return res.status(400).json({ error: 'Job description not found' });
+    }
+
+    // Let the database apply its defaults (e.g. pay_period) for missing values
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await query(
+      `INSERT INTO offers (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING id`,
+      [req.user.id, ...params]
+    );
+
+    const offer = await findOffer(result.rows[0].id, req.user.id);
+
+    res.status(201).json({
+      message: 'Offer created successfully',
+      offer,
+    });
+  } catch (error) {
+    console.error('Create offer error:', error);
+    res.status(500).json({ error: 'Failed to create offer' });
+  }
+});
+
+/**
+ * PUT /api/offers/:id
+ * Update an offer (only fields present in the body are changed)
+ */
+router.put('/:id', idValidator, getOfferValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (values.job_description_id && !(await ownsJobDescription(values.job_description_id, req.user.id))) {
+      return res.status(400).json({ error: 'Job description not found' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const result = await query(
+      `UPDATE offers SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING id`,
+      [...columns.map((column) => values[column]), id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    const offer = await findOffer(id, req.user.id);
+
+    res.json({
+      message: 'Offer updated successfully',
+      offer,
+    });
+  } catch (error) {
+    console.error('Update offer error:', error);
+    res.status(500).json({ error: 'Failed to update offer' });
+  }
+});
+
+/**
+ * DELETE /api/offers/:id
+ * Delete an offer
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM offers WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    res.json({ message: 'Offer deleted successfully' });
+  } catch (error) {
+    console.error('Delete offer error:', error);
+    res.status(500).json({ error: 'Failed to delete offer' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+/**
+ * Recruiter Routes
+ *
+ * Owner-scoped contact book of recruiters and hiring contacts, optionally
+ * linked to a company, with the job descriptions that came through each one.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getRecruiterValidators, getRecruiterListFilterValidators } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { parsePagination, parseSort, buildPagination } = require('../utils/pagination');
+const { JD_COLUMNS, JD_FROM } = require('../utils/jobDescriptionFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Request body field -> recruiters column
+ */
+const FIELD_MAP = {
+  name: 'name',
+  title: 'title',
+  companyId: 'company_id',
+  recruiterType: 'recruiter_type',
+  email: 'email',
+  phone: 'phone',
+  linkedinUrl: 'linkedin_url',
+  notes: 'notes',
+  userRating: 'user_rating',
+  isActive: 'is_active',
+};
+
+const EMPTY_AS_NULL = new Set(['company_id', 'recruiter_type', 'user_rating']);
+
+const RECRUITER_COLUMNS = `
+  r.id, r.user_id, r.name, r.title, r.company_id, c.name AS company_name,
+  r.recruiter_type, r.email, r.phone, r.linkedin_url, r.notes, r.user_rating,
+  r.is_active, r.created_at, r.updated_at,
+  (SELECT COUNT(*) FROM job_descriptions jd WHERE jd.recruiter_id = r.id)::int AS job_descriptions_count`;
+
+const RECRUITER_FROM = 'FROM recruiters r LEFT JOIN companies c ON r.company_id = c.id';
+
+const idValidator = param('id').isUUID().withMessage('Invalid recruiter ID');
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP, { emptyAsNull: EMPTY_AS_NULL });
+
+/**
+ * Fetch a single recruiter owned by the given user
+ * @returns {Promise<Object|null>} Recruiter row or null
+ */
+const findRecruiter = async (id, userId) => {
+  const result = await query(
+    `SELECT ${RECRUITER_COLUMNS} ${RECRUITER_FROM} WHERE r.id = $1 AND r.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Check that a referenced company belongs to the user
+ * @returns {Promise<boolean>} True when there is no company or it is owned by the user
+ */
+const isOwnedCompany = async (companyId, userId) => {
+  if (!companyId) return true;
+  const result = await query(
+    'SELECT id FROM companies WHERE id = $1 AND user_id = $2',
+    [companyId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * GET /api/recruiters
+ * List the current user's recruiters with filtering, sorting, and pagination
+ */
+router.get('/', getRecruiterListFilterValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, recruiter_type, company_id, is_active } = req.query;
+
+    const conditions = ['r.user_id = $1'];
+    const params = [req.user.id];
+    let paramIndex = 2;
+
+    if (search) {
+      conditions.push(`(r.name ILIKE $${paramIndex} OR r.title ILIKE $${paramIndex} OR r.email ILIKE $${paramIndex} OR c.name ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (recruiter_type) {
+      conditions.push(`r.recruiter_type = $${paramIndex++}`);
+      params.push(recruiter_type);
+    }
+
+    if (company_id === 'none') {
+      conditions.push('r.company_id IS NULL');
+    } else if (company_id) {
+      conditions.push(`r.company_id = $${paramIndex++}`);
+      params.push(company_id);
+    }
+
+    if (is_active === 'true' || is_active === 'false') {
+      conditions.push(`r.is_active = $${paramIndex++}`);
+      params.push(is_active === 'true');
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const validSortColumns = [
+      'name', 'title', 'company_name', 'recruiter_type', 'user_rating',
+      'is_active', 'job_descriptions_count', 'created_at', 'updated_at',
+    ];
+    const { sortColumn, sortDirection } = parseSort(req.query, validSortColumns, 'name');
+    const pagination = parsePagination(req.query);
+
+    const countResult = await query(`SELECT COUNT(*) ${RECRUITER_FROM} ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    const result = await query(
+      `SELECT ${RECRUITER_COLUMNS}
+       ${RECRUITER_FROM}
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortDirection} NULLS LAST, r.name ASC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, pagination.limit, pagination.offset]
+    );
+
+    res.json({
+      recruiters: result.rows,
+      pagination: buildPagination(pagination, totalCount),
+    });
+  } catch (error) {
+    console.error('List recruiters error:', error);
+    res.status(500).json({ error: 'Failed to fetch recruiters' });
+  }
+});
+
+/**
+ * GET /api/recruiters/:id
+ * Get a recruiter with every job description that came through them
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recruiter = await findRecruiter(req.params.id, req.user.id);
+
+    if (!recruiter) {
+      return res.status(404).json({ error: 'Recruiter not found' });
+    }
+
+    const jobDescriptions = await query(
+      `SELECT ${JD_COLUMNS} ${JD_FROM}
+       WHERE jd.recruiter_id = $1 AND jd.user_id = $2
+       ORDER BY jd.date_found DESC NULLS LAST, jd.created_at DESC`,
+      [recruiter.id, req.user.id]
+    );
+
+    res.json({ recruiter, jobDescriptions: jobDescriptions.rows });
+  } catch (error) {
+    console.error('Get recruiter error:', error);
+    res.status(500).json({ error: 'Failed to fetch recruiter' });
+  }
+});
+
+/**
+ * POST /api/recruiters
+ * Create a recruiter
+ */
+router.post('/', getRecruiterValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+
+    if (!(await isOwnedCompany(values.company_id, req.user.id))) {
+      return res.status(400).json({ error: 'Company not found' });
+    }
+
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await query(
+      `INSERT INTO recruiters (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING id`,
+      [req.user.id, ...params]
+    );
+
+    const recruiter = await findRecruiter(result.rows[0].id, req.user.id);
+
+    res.status(201).json({
+      message: 'Recruiter created successfully',
+      recruiter,
+    });
+  } catch (error) {
+    console.error('Create recruiter error:', error);
+    res.status(500).json({ error: 'Failed to create recruiter' });
+  }
+});
+
+/**
+ * PUT /api/recruiters/:id
+ * Update a recruiter (only fields present in the body are changed)
+ * Send { isActive: false } to deactivate a stale contact.
+ */
+router.put('/:id', idValidator, getRecruiterValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (!(await isOwnedCompany(values.company_id, req.user.id))) {
+      return res.status(400).json({ error: 'Company not found' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const params = columns.map((column) => values[column]);
+    params.push(id, req.user.id);
+
+    const result = await query(
+      `UPDATE recruiters
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recruiter not found' });
+    }
+
+    const recruiter = await findRecruiter(id, req.user.id);
+
+    res.json({
+      message: 'Recruiter updated successfully',
+      recruiter,
+    });
+  } catch (error) {
+    console.error('Update recruiter error:', error);
+    res.status(500).json({ error: 'Failed to update recruiter' });
+  }
+});
+
+/**
+ * DELETE /api/recruiters/:id
+ * Delete a recruiter (linked job descriptions are kept, unlinked)
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM recruiters WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recruiter not found' });
+    }
+
+    res.json({ message: 'Recruiter deleted successfully' });
+  } catch (error) {
+    console.error('Delete recruiter error:', error);
+    res.status(500).json({ error: 'Failed to delete recruiter' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+/**
+ * Reminder Routes
+ *
+ * Owner-scoped follow-up reminders with a due date and time, each tied to
+ * any of a job description, an interview and a recruiter. The reminder
+ * scheduler marks reminders due once their time passes; due reminders are
+ * served as notifications by /api/notifications.
+ */
+
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getReminderValidators, validationConfig } = require('../validation/validationHelpers');
+const { mapFieldsToColumns } = require('../utils/fieldMapping');
+const { REMINDER_COLUMNS, REMINDER_FROM } = require('../utils/reminderFields');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const reminderConfig = validationConfig.reminder;
+
+/**
+ * Request body field -> reminders column
+ */
+const FIELD_MAP = {
+  title: 'title',
+  notes: 'notes',
+  dueAt: 'due_at',
+  jobDescriptionId: 'job_description_id',
+  interviewId: 'interview_id',
+  recruiterId: 'recruiter_id',
+};
+
+const EMPTY_AS_NULL = new Set(['notes', 'job_description_id', 'interview_id', 'recruiter_id']);
+
+const idValidator = param('id').isUUID().withMessage('Invalid reminder ID');
+
+const listValidators = [
+  queryParam('status')
+    .optional()
+    .isIn(reminderConfig.statuses)
+    .withMessage(reminderConfig.messages.oneOf('Status', reminderConfig.statuses)),
+  queryParam('job_description_id').optional().isUUID().withMessage('Invalid job description ID'),
+  queryParam('interview_id').optional().isUUID().withMessage('Invalid interview ID'),
+  queryParam('recruiter_id').optional().isUUID().withMessage('Invalid recruiter ID'),
+];
+
+const toColumnValues = (reqBody) => mapFieldsToColumns(reqBody, FIELD_MAP, {
+  emptyAsNull: EMPTY_AS_NULL,
+});
+
+/**
+ * Fetch a single reminder owned by the given user
+ * @returns {Promise<Object|null>} Reminder row or null
+ */
+const findReminder = async (id, userId) => {
+  const result = await query(
+    `SELECT ${REMINDER_COLUMNS} ${REMINDER_FROM} WHERE rm.id = $1 AND rm.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Verify that the linked job description, interview and recruiter belong to
+ * the user. A reminder for an interview is also tied to the interview's job
+ * when no job description is given.
+ * @param {Object} values - Column values (updated in place)
+ * @returns {Promise<string|null>} Error message, or null if all references are valid
+ */
+const resolveReferences = async (values, userId) => {
+  if (values.job_description_id) {
+    const result = await query(
+      'SELECT id FROM job_descriptions WHERE id = $1 AND user_id = $2',
+      [values.job_description_id, userId]
+    );
+    if (result.rows.length === 0) return 'Job description not found';
+  }
+
+  if (values.interview_id) {
+    const result = await query(
+      'SELECT job_description_id FROM interviews WHERE id = $1 AND user_id = $2',
+      [values.interview_id, userId]
+    );
+    if (result.rows.length === 0) return 'Interview not found';
+    if (values.job_description_id === undefined) {
+      values.job_description_id = result.rows[0].job_description_id;
+    }
+  }
+
+  if (values.recruiter_id) {
+    const result = await query(
+      'SELECT id FROM recruiters WHERE id = $1 AND user_id = $2',
+      [values.recruiter_id, userId]
+    );
+    if (result.rows.length === 0) return 'Recruiter not found';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/reminders
+ * List the current user's reminders, soonest first
+ * Filter with status, job_description_id, interview_id or recruiter_id.
+ */
+router.get('/', listValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conditions = ['rm.user_id = $1'];
+    const params = [req.user.id];
+    let paramIndex = 2;
+
+    ['status', 'job_description_id', 'interview_id', 'recruiter_id'].forEach((key) => {
+      if (req.query[key]) {
+        conditions.push(`rm.${key} = $${paramIndex++}`);
+        params.push(req.query[key]);
+      }
+    });
+
+    const result = await query(
+      `SELECT ${REMINDER_COLUMNS}
+       ${REMINDER_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY rm.due_at ASC`,
+      params
+    );
+
+    res.json({ reminders: result.rows });
+  } catch (error) {
+    console.error('List reminders error:', error);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
+  }
+});
+
+/**
+ * POST /api/reminders
+ * Create a reminder; it becomes a notification once it is due
+ */
+router.post('/', getReminderValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = toColumnValues(req.body);
+
+    const referenceError = await resolveReferences(values, req.user.id);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const columns = Object.keys(values).filter((column) => values[column] !== null);
+    const params = columns.map((column) => values[column]);
+    const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+    const result = await query(
+      `INSERT INTO reminders (user_id, ${columns.join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       RETURNING id`,
+      [req.user.id, ...params]
+    );
+
+    const reminder = await findReminder(result.rows[0].id, req.user.id);
+
+    res.status(201).json({
+      message: 'Reminder created successfully',
+      reminder,
+    });
+  } catch (error) {
+    console.error('Create reminder error:', error);
+    res.status(500).json({ error: 'Failed to create reminder' });
+  }
+});
+
+/**
+ * PUT /api/reminders/:id
+ * Update a reminder (only fields present in the body are changed)
+ * A new due time reschedules it: it is no longer due, completed or read.
+ */
+router.put('/:id', idValidator, getReminderValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const values = toColumnValues(req.body);
+    const columns = Object.keys(values);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const referenceError = await resolveReferences(values, req.user.id);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const assignments = Object.keys(values).map((column, index) => `${column} = $${index + 3}`);
+    if (values.due_at) {
+      assignments.push("status = 'scheduled'", 'notified_at = NULL', 'read_at = NULL', 'completed_at = NULL');
+    }
+
+    const result = await query(
+      `UPDATE reminders SET ${assignments.join(', ')}
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [id, req.user.id, ...Object.values(values)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    const reminder = await findReminder(id, req.user.id);
+
+    res.json({
+      message: 'Reminder updated successfully',
+      reminder,
+    });
+  } catch (error) {
+    console.error('Update reminder error:', error);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+});
+
+/**
+ * DELETE /api/reminders/:id
+ * Delete a reminder
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM reminders WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder deleted successfully' });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({ error: 'Failed to delete reminder' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,391 @@
+/**
+ * Resume Routes
+ *
+ * Owner-scoped resume library. Files are uploaded as multipart form data,
+ * stored on local disk, and their plain text is extracted into
+ * content_summary. Uploading a file with an existing title creates the next
+ * version in that title's chain and makes it the active version.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query, getClient } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { singleFileUpload, getFileExtension } = require('../middleware/upload');
+const { getResumeValidators, validationConfig } = require('../validation/validationHelpers');
+const { saveFile, resolveFile, deleteFile } = require('../utils/fileStorage');
+const { extractText } = require('../utils/textExtraction');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const resumeConfig = validationConfig.resume;
+
+// List responses leave out the extracted text; GET /:id includes it
+const RESUME_LIST_COLUMNS = `
+  id, user_id, title, file_name, file_type, file_size_bytes, is_active,
+  version_number, previous_version_id, skills_highlighted, notes,
+  created_at, updated_at`;
+
+const RESUME_COLUMNS = `${RESUME_LIST_COLUMNS}, content_summary`;
+
+const idValidator = param('id').isUUID().withMessage('Invalid resume ID');
+
+/**
+ * Normalize skills sent as an array or a comma-separated string
+ * @returns {Array<string>|null|undefined} Skills, null to clear, or undefined when not sent
+ */
+const parseSkills = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const skills = (Array.isArray(value) ? value : value.split(','))
+    .map((skill) => skill.trim())
+    .filter(Boolean);
+  return skills.length > 0 ? skills : null;
+};
+
+/**
+ * Multipart fields arrive as strings
+ */
+const parseBoolean = (value) => (value === undefined ? undefined : value === true || value === 'true');
+
+/**
+ * Fetch a single resume owned by the given user
+ * @returns {Promise<Object|null>} Resume row (including file_path) or null
+ */
+const findResume = async (id, userId) => {
+  const result = await query(
+    `SELECT ${RESUME_COLUMNS}, file_path FROM resumes WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Remove storage details before sending a resume to the client
+ */
+const toResponse = ({ file_path, ...resume }) => resume;
+
+/**
+ * GET /api/resumes
+ * List every resume version for the current user, grouped by title with
+ * the newest version first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conditions = ['user_id = $1'];
+    const params = [req.user.id];
+
+    if (req.query.title) {
+      conditions.push('LOWER(title) = LOWER($2)');
+      params.push(req.query.title);
+    }
+
+    const result = await query(
+      `SELECT ${RESUME_LIST_COLUMNS}
+       FROM resumes
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY LOWER(title) ASC, version_number DESC`,
+      params
+    );
+
+    res.json({ resumes: result.rows });
+  } catch (error) {
+    console.error('List resumes error:', error);
+    res.status(500).json({ error: 'Failed to fetch resumes' });
+  }
+});
+
+/**
+ * GET /api/resumes/:id
+ * Get a resume version including its extracted text
+ */
+router.get('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resume = await findResume(req.params.id, req.user.id);
+
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({ resume: toResponse(resume) });
+  } catch (error) {
+    console.error('Get resume error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume' });
+  }
+});
+
+/**
+ * GET /api/resumes/:id/download
+ * Download the original uploaded file
+ */
+router.get('/:id/download', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resume = await findResume(req.params.id, req.user.id);
+
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const filePath = resolveFile(resume.file_path);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Resume file not found' });
+    }
+
+    res.download(filePath, resume.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Resume file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download resume error:', error);
+    res.status(500).json({ error: 'Failed to download resume' });
+  }
+});
+
+/**
+ * POST /api/resumes
+ * Upload a resume (multipart form: file, title, notes, skillsHighlighted)
+ * The title defaults to the file name. If a resume with the same title
+ * already exists, the upload becomes its next version. Uploads of the same
+ * title are serialized with a transaction-level advisory lock, so two
+ * concurrent uploads cannot both take the same version number.
+ */
+router.post('/', singleFileUpload('file', resumeConfig), getResumeValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: resumeConfig.messages.fileRequired });
+  }
+
+  const fileType = getFileExtension(req.file.originalname);
+  const title = req.body.title
+    || req.file.originalname.slice(0, -(fileType.length + 1)).slice(0, resumeConfig.titleMaxLength);
+
+  // A file we cannot read is still worth keeping; it just has no text
+  let contentSummary = null;
+  try {
+    contentSummary = (await extractText(req.file.buffer, fileType)) || null;
+  } catch (error) {
+    console.warn(`Resume text extraction failed for ${req.file.originalname}:`, error.message);
+  }
+
+  let client;
+  let filePath;
+  try {
+    filePath = await saveFile('resumes', req.user.id, req.file.buffer, fileType);
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // FOR UPDATE below cannot lock a title's first version before it exists
+    await client.query(
+      "SELECT pg_advisory_xact_lock(hashtextextended($1::text || ':' || LOWER($2), 0))",
+      [req.user.id, title]
+    );
+
+    const previousResult = await client.query(
+      `SELECT id, version_number FROM resumes
+       WHERE user_id = $1 AND LOWER(title) = LOWER($2)
+       ORDER BY version_number DESC
+       FOR UPDATE`,
+      [req.user.id, title]
+    );
+    const previous = previousResult.rows[0];
+
+    if (previous) {
+      await client.query(
+        'UPDATE resumes SET is_active = false WHERE user_id = $1 AND LOWER(title) = LOWER($2) AND is_active = true',
+        [req.user.id, title]
+      );
+    }
+
+    const result = await client.query(
+      `INSERT INTO resumes (
+         user_id, title, file_name, file_path, file_type, file_size_bytes,
+         is_active, version_number, previous_version_id, content_summary,
+         skills_highlighted, notes
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, true, $7, $8, $9, $10, $11)
+       RETURNING ${RESUME_COLUMNS}`,
+      [
+        req.user.id,
+        title,
+        req.file.originalname,
+        filePath,
+        fileType,
+        req.file.size,
+        previous ? previous.version_number + 1 : 1,
+        previous ? previous.id : null,
+        contentSummary,
+        parseSkills(req.body.skillsHighlighted) || null,
+        req.body.notes || null,
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: previous
+        ? `Uploaded version ${result.rows[0].version_number} of ${title}`
+        : 'Resume uploaded successfully',
+      resume: result.rows[0],
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    if (filePath) {
+      await deleteFile(filePath).catch(() => {});
+    }
+    console.error('Upload resume error:', error);
+    res.status(500).json({ error: 'Failed to upload resume' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * PUT /api/resumes/:id
+ * Update a resume version's notes, skills, or active flag
+ * Activating a version deactivates the other versions of the same title.
+ * Upload a new file to create a new version.
+ */
+router.put('/:id', idValidator, getResumeValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const values = {};
+    if (req.body.notes !== undefined) values.notes = req.body.notes;
+    if (req.body.skillsHighlighted !== undefined) values.skills_highlighted = parseSkills(req.body.skillsHighlighted);
+    if (req.body.isActive !== undefined) values.is_active = parseBoolean(req.body.isActive);
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const params = columns.map((column) => values[column]);
+    params.push(id, req.user.id);
+
+    const result = await query(
+      `UPDATE resumes
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2}
+       RETURNING id, title`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    if (values.is_active === true) {
+      await query(
+        `UPDATE resumes SET is_active = false
+         WHERE user_id = $1 AND id <> $2 AND LOWER(title) = LOWER($3) AND is_active = true`,
+        [req.user.id, id, result.rows[0].title]
+      );
+    }
+
+    const resume = await findResume(id, req.user.id);
+
+    res.json({
+      message: 'Resume updated successfully',
+      resume: toResponse(resume),
+    });
+  } catch (error) {
+    console.error('Update resume error:', error);
+    res.status(500).json({ error: 'Failed to update resume' });
+  }
+});
+
+/**
+ * DELETE /api/resumes/:id
+ * Delete a resume version and its file
+ * The version chain is re-linked around the deleted version, and if it was
+ * the active version the newest remaining version becomes active.
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  let client;
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, title, file_path, is_active, previous_version_id
+       FROM resumes WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [id, req.user.id]
+    );
+    const resume = result.rows[0];
+
+    if (!resume) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    await client.query(
+      'UPDATE resumes SET previous_version_id = $1 WHERE previous_version_id = $2 AND user_id = $3',
+      [resume.previous_version_id, id, req.user.id]
+    );
+
+    await client.query('DELETE FROM resumes WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+
+    if (resume.is_active) {
+      await client.query(
+        `UPDATE resumes SET is_active = true
+         WHERE id = (
+           SELECT id FROM resumes
+           WHERE user_id = $1 AND LOWER(title) = LOWER($2)
+           ORDER BY version_number DESC
+           LIMIT 1
+         )`,
+        [req.user.id, resume.title]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    await deleteFile(resume.file_path).catch((error) => {
+      console.warn('Failed to remove resume file:', error.message);
+    });
+
+    res.json({ message: 'Resume deleted successfully' });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Delete resume error:', error);
+    res.status(500).json({ error: 'Failed to delete resume' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+module.exports = router;
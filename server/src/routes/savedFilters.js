@@ -0,0 +1,206 @@
+/**
+ * Saved Filter Routes
+ *
+ * Owner-scoped named job list filters ("Remote contracts > $100/hr"), shown
+ * as smart views in the sidebar. A saved filter holds the same query
+ * parameters GET /api/job-descriptions accepts, validated by the same rules.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const {
+  getSavedJobFilterValidators,
+  getJobListFilterValidators,
+  validationConfig,
+} = require('../validation/validationHelpers');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const { filterKeys, messages } = validationConfig.savedJobFilter;
+
+const SAVED_FILTER_COLUMNS = 'id, name, filters, created_at, updated_at';
+
+const idValidator = param('id').isUUID().withMessage('Invalid saved filter ID');
+
+// Saved filters must name a real sort column, unlike the list's lenient fallback
+const filterValidators = getJobListFilterValidators({ sort: true });
+
+/**
+ * Check filter values with the job list rules
+ * @param {Object} filters - Filters from the request body
+ * @returns {Promise<Array<Object>>} express-validator errors, paths prefixed with "filters."
+ */
+const validateFilters = async (filters) => {
+  const req = { query: { ...filters } };
+  await Promise.all(filterValidators.map(validator => validator.run(req)));
+  return validationResult(req).array().map(error => ({ ...error, path: `filters.${error.path}` }));
+};
+
+/**
+ * Keep only filters with a value, as the strings a query string would carry
+ * @param {Object} filters - Validated filters
+ * @returns {Object} Filters to store
+ */
+const toStoredFilters = (filters) => {
+  const stored = {};
+  filterKeys.forEach((key) => {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '') {
+      stored[key] = key === 'sort_order' ? String(value).toUpperCase() : String(value);
+    }
+  });
+  return stored;
+};
+
+/**
+ * Check whether the user already has another saved filter with this name
+ * @returns {Promise<boolean>}
+ */
+const isNameTaken = async (name, userId, exceptId = null) => {
+  const result = await query(
+    'SELECT id FROM saved_job_filters WHERE user_id = $1 AND name = $2 AND id IS DISTINCT FROM $3',
+    [userId, name, exceptId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * GET /api/saved-filters
+ * List the current user's saved filters by name
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${SAVED_FILTER_COLUMNS} FROM saved_job_filters WHERE user_id = $1 ORDER BY name`,
+      [req.user.id]
+    );
+
+    res.json({ savedFilters: result.rows });
+  } catch (error) {
+    console.error('List saved filters error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved filters' });
+  }
+});
+
+/**
+ * POST /api/saved-filters
+ * Save a named filter
+ * Body: { name, filters } where filters are job list query parameters.
+ */
+router.post('/', getSavedJobFilterValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filterErrors = await validateFilters(req.body.filters);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ errors: filterErrors });
+    }
+
+    const { name } = req.body;
+    if (await isNameTaken(name, req.user.id)) {
+      return res.status(400).json({ error: messages.nameTaken(name) });
+    }
+
+    const result = await query(
+      `INSERT INTO saved_job_filters (user_id, name, filters)
+       VALUES ($1, $2, $3)
+       RETURNING ${SAVED_FILTER_COLUMNS}`,
+      [req.user.id, name, JSON.stringify(toStoredFilters(req.body.filters))]
+    );
+
+    res.status(201).json({
+      message: 'Saved filter created successfully',
+      savedFilter: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Create saved filter error:', error);
+    res.status(500).json({ error: 'Failed to create saved filter' });
+  }
+});
+
+/**
+ * PUT /api/saved-filters/:id
+ * Rename a saved filter and/or replace its filters
+ */
+router.put('/:id', idValidator, getSavedJobFilterValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, filters } = req.body;
+    if (filters !== undefined) {
+      const filterErrors = await validateFilters(filters);
+      if (filterErrors.length > 0) {
+        return res.status(400).json({ errors: filterErrors });
+      }
+    }
+
+    if (name !== undefined && await isNameTaken(name, req.user.id, req.params.id)) {
+      return res.status(400).json({ error: messages.nameTaken(name) });
+    }
+
+    const result = await query(
+      `UPDATE saved_job_filters
+       SET name = COALESCE($3, name), filters = COALESCE($4, filters)
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${SAVED_FILTER_COLUMNS}`,
+      [
+        req.params.id,
+        req.user.id,
+        name === undefined ? null : name,
+        filters === undefined ? null : JSON.stringify(toStoredFilters(filters)),
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    res.json({
+      message: 'Saved filter updated successfully',
+      savedFilter: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Update saved filter error:', error);
+    res.status(500).json({ error: 'Failed to update saved filter' });
+  }
+});
+
+/**
+ * DELETE /api/saved-filters/:id
+ * Delete a saved filter
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM saved_job_filters WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    res.json({ message: 'Saved filter deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved filter error:', error);
+    res.status(500).json({ error: 'Failed to delete saved filter' });
+  }
+});
+
+module.exports = router;
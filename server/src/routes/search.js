@@ -0,0 +1,143 @@
+/**
+ * Search Routes
+ *
+ * Global full-text search over the user's job descriptions, companies and
+ * recruiters. Matches use the weighted search_vector columns from migration
+ * 010, are ranked with ts_rank_cd and come back grouped by record type with
+ * a highlighted snippet for each result.
+ */
+
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { validationConfig } = require('../validation/validationHelpers');
+const { HEADLINE_OPTIONS, parseHeadline, parseTypes } = require('../utils/search');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const searchConfig = validationConfig.search;
+
+/**
+ * Per-type search queries
+ * Each query takes $1 = user ID, $2 = search text, $3 = headline options, $4 = limit,
+ * and returns rank, headline and the row count before LIMIT as total.
+ */
+const SEARCHES = {
+  job_descriptions: {
+    sql: `
+      SELECT jd.id, jd.title, jd.company, jd.status,
+             ts_rank_cd(jd.search_vector, q) AS rank,
+             ts_headline('english', concat_ws(' ', jd.description, jd.notes), q, $3) AS headline,
+             COUNT(*) OVER()::int AS total
+      FROM job_descriptions jd, websearch_to_tsquery('english', $2) q
+      WHERE jd.user_id = $1 AND jd.search_vector @@ q
+      ORDER BY rank DESC, jd.updated_at DESC
+      LIMIT $4`,
+    toResult: (row) => ({
+      id: row.id,
+      title: row.title,
+      subtitle: row.company,
+      status: row.status,
+    }),
+  },
+  companies: {
+    sql: `
+      SELECT c.id, c.name, c.industry,
+             ts_rank_cd(c.search_vector, q) AS rank,
+             ts_headline('english', concat_ws(' ', c.industry, c.headquarters_location, c.description, c.notes), q, $3) AS headline,
+             COUNT(*) OVER()::int AS total
+      FROM companies c, websearch_to_tsquery('english', $2) q
+      WHERE c.user_id = $1 AND c.search_vector @@ q
+      ORDER BY rank DESC, c.updated_at DESC
+      LIMIT $4`,
+    toResult: (row) => ({
+      id: row.id,
+      title: row.name,
+      subtitle: row.industry,
+    }),
+  },
+  recruiters: {
+    sql: `
+      SELECT r.id, r.name, r.title, c.name AS company_name,
+             ts_rank_cd(r.search_vector, q) AS rank,
+             ts_headline('english', concat_ws(' ', r.title, r.email, r.notes), q, $3) AS headline,
+             COUNT(*) OVER()::int AS total
+      FROM recruiters r
+      CROSS JOIN websearch_to_tsquery('english', $2) q
+      LEFT JOIN companies c ON r.company_id = c.id
+      WHERE r.user_id = $1 AND r.search_vector @@ q
+      ORDER BY rank DESC, r.updated_at DESC
+      LIMIT $4`,
+    toResult: (row) => ({
+      id: row.id,
+      title: row.name,
+      subtitle: [row.title, row.company_name].filter(Boolean).join(' at '),
+    }),
+  },
+};
+
+const searchValidators = [
+  queryParam('q')
+    .trim()
+    .notEmpty()
+    .withMessage(searchConfig.messages.queryRequired)
+    .isLength({ max: searchConfig.queryMaxLength })
+    .withMessage(searchConfig.messages.queryMaxLength(searchConfig.queryMaxLength)),
+  queryParam('types')
+    .optional()
+    .custom((value) => parseTypes(value).length > 0)
+    .withMessage(searchConfig.messages.invalidTypes(searchConfig.types)),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: searchConfig.maxLimit })
+    .withMessage(searchConfig.messages.invalidLimit(searchConfig.maxLimit)),
+];
+
+/**
+ * GET /api/search
+ * Search the current user's records
+ * Query: q (web-search syntax: quoted phrases, OR, -exclude), types (comma-separated,
+ * default all), limit (results per type, default 5).
+ * Returns { query, results: { <type>: { total, items } } }; each item has id, title,
+ * subtitle, rank and snippet ([{ text, match }] segments).
+ */
+router.get('/', searchValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q } = req.query;
+    const types = parseTypes(req.query.types);
+    const limit = req.query.limit ? parseInt(req.query.limit) : searchConfig.defaultLimit;
+
+    const groups = await Promise.all(types.map(type =>
+      query(SEARCHES[type].sql, [req.user.id, q, HEADLINE_OPTIONS, limit])
+    ));
+
+    const results = {};
+    types.forEach((type, index) => {
+      const { rows } = groups[index];
+      results[type] = {
+        total: rows.length > 0 ? rows[0].total : 0,
+        items: rows.map(row => ({
+          ...SEARCHES[type].toResult(row),
+          rank: Number(row.rank),
+          snippet: parseHeadline(row.headline),
+        })),
+      };
+    });
+
+    res.json({ query: q, results });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+module.exports = router;
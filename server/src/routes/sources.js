@@ -0,0 +1,240 @@
+/**
+ * Source Routes
+ *
+ * Where job descriptions were found (LinkedIn, referrals, company sites...),
+ * for pickers and the job list's source filter. The seeded sources are
+ * shared (user_id NULL); users can add their own, such as a recruiting
+ * agency or a newsletter (migration 013), and see how well each one works.
+ */
+
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticate } = require('../middleware/auth');
+const { getSourceValidators, validationConfig } = require('../validation/validationHelpers');
+const { toRatio } = require('../utils/analytics');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const sourceConfig = validationConfig.source;
+const { appliedStatuses } = validationConfig.analytics;
+
+const SOURCE_COLUMNS = `id, source_type, source_name, source_url,
+  user_id IS NOT NULL AS is_custom, created_at`;
+
+// Shared sources plus the user's own; $1 = user ID
+const VISIBLE_SOURCES = 'user_id IS NULL OR user_id = $1';
+
+const idValidator = param('id').isUUID().withMessage('Invalid source ID');
+
+/**
+ * Check whether the user already has another source with this name
+ * Shared source names count too, so "LinkedIn" cannot be added twice.
+ * @returns {Promise<boolean>}
+ */
+const isNameTaken = async (name, userId, exceptId = null) => {
+  const result = await query(
+    `SELECT id FROM job_description_sources
+     WHERE (${VISIBLE_SOURCES}) AND LOWER(source_name) = LOWER($2) AND id IS DISTINCT FROM $3`,
+    [userId, name, exceptId]
+  );
+  return result.rows.length > 0;
+};
+
+const toEffectiveness = (row = {}) => {
+  const counts = {
+    postings: row.postings || 0,
+    applications: row.applications || 0,
+    interviews: row.interviews || 0,
+    offers: row.offers || 0,
+  };
+  return {
+    ...counts,
+    interview_rate: toRatio(counts.interviews, counts.applications),
+    offer_rate: toRatio(counts.offers, counts.applications),
+  };
+};
+
+/**
+ * GET /api/sources
+ * List the shared sources and the user's own, by name
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${SOURCE_COLUMNS} FROM job_description_sources WHERE ${VISIBLE_SOURCES} ORDER BY source_name`,
+      [req.user.id]
+    );
+
+    res.json({ sources: result.rows });
+  } catch (error) {
+    console.error('List sources error:', error);
+    res.status(500).json({ error: 'Failed to fetch sources' });
+  }
+});
+
+/**
+ * GET /api/sources/effectiveness
+ * Per-source counts of the user's postings, applications, interviews and offers
+ * A posting counts as applied, interviewed or offered once it has reached a
+ * matching status (now or in a status_change event); recorded interviews and
+ * offers count too. Interview and offer rates are shares of applications.
+ * Returns { sources, unattributed } where unattributed covers postings without a source.
+ */
+router.get('/effectiveness', async (req, res) => {
+  try {
+    const [sources, counts] = await Promise.all([
+      query(
+        `SELECT ${SOURCE_COLUMNS} FROM job_description_sources WHERE ${VISIBLE_SOURCES} ORDER BY source_name`,
+        [req.user.id]
+      ),
+      query(
+        `WITH journeys AS (
+           SELECT jd.id, jd.source_id,
+                  ARRAY[jd.status::text]
+                    || COALESCE(array_agg(h.to_status::text) FILTER (WHERE h.id IS NOT NULL), '{}') AS statuses,
+                  EXISTS (SELECT 1 FROM interviews i WHERE i.job_description_id = jd.id) AS has_interview,
+                  EXISTS (SELECT 1 FROM offers o WHERE o.job_description_id = jd.id) AS has_offer
+           FROM job_descriptions jd
+           LEFT JOIN job_description_events h
+             ON h.job_description_id = jd.id AND h.event_type = 'status_change'
+           WHERE jd.user_id = $1
+           GROUP BY jd.id
+         )
+         SELECT source_id,
+                COUNT(*)::int AS postings,
+                COUNT(*) FILTER (WHERE statuses && $2::text[])::int AS applications,
+                COUNT(*) FILTER (WHERE statuses && $3::text[] OR has_interview)::int AS interviews,
+                COUNT(*) FILTER (WHERE statuses && $4::text[] OR has_offer)::int AS offers
+         FROM journeys
+         GROUP BY source_id`,
+        [req.user.id, appliedStatuses, sourceConfig.interviewStatuses, sourceConfig.offerStatuses]
+      ),
+    ]);
+
+    const countsBySource = new Map(counts.rows.map(row => [row.source_id, row]));
+
+    res.json({
+      sources: sources.rows
+        .map(source => ({ ...source, ...toEffectiveness(countsBySource.get(source.id)) }))
+        .sort((a, b) => b.postings - a.postings),
+      unattributed: toEffectiveness(countsBySource.get(null)),
+    });
+  } catch (error) {
+    console.error('Source effectiveness error:', error);
+    res.status(500).json({ error: 'Failed to fetch source effectiveness' });
+  }
+});
+
+/**
+ * POST /api/sources
+ * Add a custom source
+ * Body: { name, sourceType (default 'other'), url }
+ */
+router.post('/', getSourceValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, sourceType, url } = req.body;
+    if (await isNameTaken(name, req.user.id)) {
+      return res.status(400).json({ error: sourceConfig.messages.nameTaken(name) });
+    }
+
+    const result = await query(
+      `INSERT INTO job_description_sources (user_id, source_type, source_name, source_url)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${SOURCE_COLUMNS}`,
+      [req.user.id, sourceType || 'other', name, url || null]
+    );
+
+    res.status(201).json({
+      message: 'Source created successfully',
+      source: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Create source error:', error);
+    res.status(500).json({ error: 'Failed to create source' });
+  }
+});
+
+/**
+ * PUT /api/sources/:id
+ * Update one of the user's custom sources (shared sources cannot be changed)
+ */
+router.put('/:id', idValidator, getSourceValidators({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, sourceType, url } = req.body;
+    if (name !== undefined && await isNameTaken(name, req.user.id, req.params.id)) {
+      return res.status(400).json({ error: sourceConfig.messages.nameTaken(name) });
+    }
+
+    const result = await query(
+      `UPDATE job_description_sources
+       SET source_name = COALESCE($3, source_name),
+           source_type = COALESCE($4, source_type),
+           source_url = CASE WHEN $5 THEN $6 ELSE source_url END
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${SOURCE_COLUMNS}`,
+      [
+        req.params.id,
+        req.user.id,
+        name === undefined ? null : name,
+        sourceType || null,
+        url !== undefined,
+        url || null,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    res.json({
+      message: 'Source updated successfully',
+      source: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Update source error:', error);
+    res.status(500).json({ error: 'Failed to update source' });
+  }
+});
+
+/**
+ * DELETE /api/sources/:id
+ * Delete one of the user's custom sources; postings keep no source
+ */
+router.delete('/:id', idValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM job_description_sources WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    res.json({ message: 'Source deleted successfully' });
+  } catch (error) {
+    console.error('Delete source error:', error);
+    res.status(500).json({ error: 'Failed to delete source' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,16 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const { authenticate } = require('../middleware/auth');
-const { requireOwnershipOrAdmin } = require('../middleware/rbac');
-const { getProfileUpdateValidators } = require('../validation/validationHelpers');
+const { requireOwnershipOrAdmin, logAuthEvent } = require('../middleware/rbac');
+const {
+  getProfileUpdateValidators,
+  getChangePasswordValidators,
+  validationConfig,
+} = require('../validation/validationHelpers');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 
 const router = express.Router();
 
@@ -41,6 +48,7 @@ router.get('/me', (req, res) => {
       email: req.user.email,
       role: req.user.role,
       isActive: req.user.is_active,
+      emailVerified: Boolean(req.user.email_verified_at),
       lastLoginAt: req.user.last_login_at,
       createdAt: req.user.created_at,
       updatedAt: req.user.updated_at
@@ -48,6 +56,66 @@ router.get('/me', (req, res) => {
   });
 });
 
+/**
+ * PUT /api/users/me/password
+ * Change the current user's password
+ * Requires the current password; the new one follows the registration rules.
+ * Every other session is signed out (tokens issued before the change stop
+ * working), so a fresh token for this session is returned.
+ * Body: { currentPassword, newPassword }
+ */
+router.put('/me/password', getChangePasswordValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { messages } = validationConfig.passwordChange;
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      await logAuthEvent(user.id, 'password_change', false, 'Invalid current password', req);
+      return res.status(400).json({ error: messages.currentIncorrect });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: messages.unchanged });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await query(
+      `UPDATE users
+       SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_by = $1
+       WHERE id = $1`,
+      [user.id, passwordHash]
+    );
+
+    await logAuthEvent(user.id, 'password_change', true, null, req);
+
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role },
+      process.env.JWT_SECRET || process.env.SPEXTURE_JWT_SECRET,
+      { expiresIn: (process.env.JWT_EXPIRES_IN || process.env.SPEXTURE_JWT_EXPIRES_IN || '24h') }
+    );
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
 /**
  * GET /api/users/:id
  * Get user by ID
@@ -103,6 +171,8 @@ router.get('/:id', async (req, res) => {
  * PUT /api/users/:id
  * Update user (own profile only)
  * Uses shared validation config via validationHelpers
+ * Changing the email marks it unverified and emails a verification link to
+ * the new address.
  */
 router.put('/:id', requireOwnershipOrAdmin, getProfileUpdateValidators(), async (req, res) => {
   try {
@@ -117,6 +187,7 @@ router.put('/:id', requireOwnershipOrAdmin, getProfileUpdateValidators(), async
     const updates = [];
     const values = [];
     let paramCount = 1;
+    let emailChanged = false;
     
     // Build dynamic update query
     if (name !== undefined) {
@@ -135,8 +206,15 @@ router.put('/:id', requireOwnershipOrAdmin, getProfileUpdateValidators(), async
         return res.status(400).json({ error: 'Email already in use' });
       }
       
+      const current = await query('SELECT email FROM users WHERE id = $1', [id]);
+      emailChanged = current.rows.length > 0
+        && current.rows[0].email.toLowerCase() !== email.toLowerCase();
+      
       updates.push(`email = $${paramCount++}`);
       values.push(email);
+      if (emailChanged) {
+        updates.push('email_verified_at = NULL');
+      }
     }
     
     if (updates.length === 0) {
@@ -151,7 +229,7 @@ router.put('/:id', requireOwnershipOrAdmin, getProfileUpdateValidators(), async
       `UPDATE users 
        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP, updated_by = $${paramCount}
        WHERE id = $${paramCount + 1}
-       RETURNING id, name, email, role, is_active, created_at, updated_at`,
+       RETURNING id, name, email, role, is_active, email_verified_at, created_at, updated_at`,
       values
     );
     
@@ -159,6 +237,14 @@ router.put('/:id', requireOwnershipOrAdmin, getProfileUpdateValidators(), async
       return res.status(404).json({ error: 'User not found' });
     }
     
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(result.rows[0]);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+    
     res.json({
       message: 'User updated successfully',
       user: result.rows[0],
@@ -0,0 +1,101 @@
+/**
+ * Application Analytics
+ *
+ * Turns the aggregate rows behind GET /api/analytics into chart-ready
+ * series: the pipeline funnel with stage-to-stage conversion, ratios,
+ * stages in pipeline order and the annual rate histogram.
+ */
+
+/**
+ * Ratio rounded to three decimals
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number|null} null when the denominator is 0
+ */
+function toRatio(numerator, denominator) {
+  if (!denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+/**
+ * Build the funnel from counts of jobs by the furthest stage they reached
+ * A job counts for its furthest stage and every stage before it. Jobs that
+ * only ever had off-funnel statuses (e.g. rejected straight from saved)
+ * count as saved.
+ * @param {Array<{furthest: number|null, count: number}>} rows - furthest is a 1-based stage index
+ * @param {Array<string>} stages - Funnel stages in order
+ * @returns {Array<{status: string, count: number, conversion: number|null}>}
+ *   conversion is the share of the previous stage that reached this one
+ */
+function buildFunnel(rows, stages) {
+  const reachedOnly = new Array(stages.length).fill(0);
+  rows.forEach((row) => {
+    const index = Math.min(Math.max(Number(row.furthest) || 1, 1), stages.length) - 1;
+    reachedOnly[index] += Number(row.count);
+  });
+
+  // Jobs that got at least as far as each stage
+  const counts = stages.map((_, index) => reachedOnly.slice(index).reduce((sum, count) => sum + count, 0));
+
+  return stages.map((status, index) => ({
+    status,
+    count: counts[index],
+    conversion: index === 0 ? null : toRatio(counts[index], counts[index - 1]),
+  }));
+}
+
+/**
+ * Sort rows keyed by status into the given status order (unknown statuses last)
+ * @param {Array<Object>} rows - Rows with a status property
+ * @param {Array<string>} statuses - Status order
+ * @returns {Array<Object>} New sorted array
+ */
+function orderByStatus(rows, statuses) {
+  const position = (status) => {
+    const index = statuses.indexOf(status);
+    return index === -1 ? statuses.length : index;
+  };
+  return [...rows].sort((a, b) => position(a.status) - position(b.status));
+}
+
+/**
+ * Fill in the annual rate histogram, including empty buckets
+ * @param {Array<{bucket: number, count: number}>} rows - Counts by 0-based bucket
+ * @param {number} bucketSize - Width of each bucket
+ * @param {number} bucketCount - Number of buckets; the last one has no upper bound
+ * @returns {Array<{min: number, max: number|null, count: number}>}
+ */
+function buildRateBuckets(rows, bucketSize, bucketCount) {
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    min: index * bucketSize,
+    max: index === bucketCount - 1 ? null : (index + 1) * bucketSize,
+    count: 0,
+  }));
+
+  rows.forEach((row) => {
+    const index = Math.min(Math.max(Number(row.bucket), 0), bucketCount - 1);
+    buckets[index].count += Number(row.count);
+  });
+
+  return buckets;
+}
+
+/**
+ * Round a numeric database value, keeping null
+ * @param {string|number|null} value
+ * @param {number} digits - Decimal places
+ * @returns {number|null}
+ */
+function roundOrNull(value, digits = 0) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+module.exports = {
+  toRatio,
+  buildFunnel,
+  orderByStatus,
+  buildRateBuckets,
+  roundOrNull,
+};
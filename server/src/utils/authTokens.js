@@ -0,0 +1,61 @@
+/**
+ * Emailed Auth Tokens
+ *
+ * Single-use tokens sent by email (password reset and email verification
+ * links); the calendar feed link uses the same helpers. Only the SHA-256
+ * hash of a token is stored, so a leaked database row cannot be turned back
+ * into a working link.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage or lookup
+ * @param {string} token - Token as sent to the user
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a random token
+ * @returns {{token: string, tokenHash: string}} Token to email and hash to store
+ */
+function createToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Minutes a token stays valid, from an environment variable
+ * @param {string} variable - Environment variable name
+ * @param {number} fallback - Default minutes
+ * @returns {number}
+ */
+function getTokenTtlMinutes(variable, fallback) {
+  const minutes = parseInt(process.env[variable], 10);
+  return minutes > 0 ? minutes : fallback;
+}
+
+/**
+ * Build a link into the client app
+ * Uses the same client URL as CORS (CLIENT_URL, then SPEXTURE_CLIENT_URL).
+ * @param {string} pathname - Client route, e.g. '/reset-password'
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+function buildClientLink(pathname, params = {}) {
+  const clientUrl = process.env.CLIENT_URL
+    || process.env.SPEXTURE_CLIENT_URL
+    || `http://localhost:${process.env.SPEXTURE_CLIENT_PORT || 3010}`;
+  const search = new URLSearchParams(params).toString();
+  return `${clientUrl.replace(/\/+$/, '')}${pathname}${search ? `?${search}` : ''}`;
+}
+
+module.exports = {
+  hashToken,
+  createToken,
+  getTokenTtlMinutes,
+  buildClientLink,
+};
@@ -0,0 +1,332 @@
+/**
+ * Compensation Normalization
+ *
+ * Turns the different ways pay is recorded - a salary range on the posting,
+ * a free-text consulting rate such as "$120/hr" or "800-900 per day", or an
+ * offer with a base, bonus, equity and benefits - into annual figures that
+ * can be compared side by side. Amounts are never converted between
+ * currencies; each figure keeps the currency it was recorded in.
+ *
+ * The consulting period is free text too, and usually describes the
+ * engagement rather than the pay unit ("6 months W2", "12 week C2C").
+ */
+
+// Working time in a year: 52 weeks of 5 days of 8 hours
+const PERIODS_PER_YEAR = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1,
+};
+
+// Without a period, amounts this large are assumed to be annual
+const ANNUAL_AMOUNT_THRESHOLD = 10000;
+
+const PERIOD_PATTERNS = [
+  ['hour', /\b(hours?|hourly|hrs?|ph)\b|\/\s*h\b/],
+  ['day', /\b(days?|daily|diem|pd)\b|\/\s*d\b/],
+  ['week', /\b(weeks?|weekly|wk|pw)\b/],
+  ['month', /\b(months?|monthly|mo|pcm|pm)\b/],
+  ['year', /\b(years?|yearly|annual|annually|annum|yr|pa|p\.a)\b|\/\s*y\b/],
+];
+
+// Contract lengths such as '6 months', '12-18 mos', '1 year', '10 wks'
+const CONTRACT_LENGTH_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*\+?\s*(years?|yrs?|months?|mos?|weeks?|wks?)\b/i;
+
+const MONTHS_PER_UNIT = {
+  y: 12,
+  m: 1,
+  w: 12 / 52,
+};
+
+// Checked in order; the first match wins
+const ENGAGEMENT_PATTERNS = [
+  ['contract_to_hire', /\b(c2h|contract[\s-]*to[\s-]*hire|temp[\s-]*to[\s-]*perm)\b/i],
+  ['c2c', /\b(c2c|corp[\s-]*(?:to|2)[\s-]*corp)\b/i],
+  ['1099', /\b1099\b/i],
+  ['w2', /\bw-?2\b/i],
+];
+
+const CURRENCY_SYMBOLS = {
+  $: 'USD',
+  '£': 'GBP',
+  '€': 'EUR',
+  '¥': 'JPY',
+  '₹': 'INR',
+};
+
+const CURRENCY_CODE_PATTERN = /\b(USD|EUR|GBP|CAD|AUD|NZD|CHF|SEK|NOK|DKK|JPY|INR|SGD)\b/i;
+
+/**
+ * Recognize a pay period in free text
+ * @param {string} text - e.g. 'per day', 'hourly', '/hr'
+ * @returns {string|null} 'hour', 'day', 'week', 'month' or 'year'
+ */
+const normalizePeriod = (text) => {
+  if (!text) return null;
+  const lower = String(text).toLowerCase();
+  const match = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(lower));
+  return match ? match[0] : null;
+};
+
+/**
+ * Recognize a currency symbol or ISO code in free text
+ * @param {string} text - e.g. '£500/day', '120 EUR per hour'
+ * @returns {string|null} ISO currency code
+ */
+const detectCurrency = (text) => {
+  if (!text) return null;
+  const code = String(text).match(CURRENCY_CODE_PATTERN);
+  if (code) return code[1].toUpperCase();
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((s) => String(text).includes(s));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+/**
+ * Extract an amount or range from free text
+ * Understands thousands separators and k/m suffixes; in '120-150k' the
+ * suffix applies to both ends.
+ * @param {string} text - e.g. '$120/hr', '800 - 900', '£95k'
+ * @returns {{min: number, max: number}|null}
+ */
+const parseAmounts = (text) => {
+  if (!text) return null;
+
+  // Digits inside words (e.g. 'W2') are not amounts
+  const matches = [...String(text).matchAll(/(?<![\w.])(\d[\d,]*(?:\.\d+)?)\s*([km])?\b/gi)].slice(0, 2);
+  if (matches.length === 0) return null;
+
+  const multiplier = (suffix) => {
+    if (!suffix) return 1;
+    return suffix.toLowerCase() === 'k' ? 1000 : 1000000;
+  };
+
+  const lastSuffix = matches[matches.length - 1][2];
+  const amounts = matches.map(([, number, suffix]) => (
+    parseFloat(number.replace(/,/g, '')) * multiplier(suffix || lastSuffix)
+  ));
+
+  return {
+    min: Math.min(...amounts),
+    max: Math.max(...amounts),
+  };
+};
+
+/**
+ * Recognize a contract length in free text
+ * For ranges ('12-18 months') the shorter length is used.
+ * @param {string} text - e.g. '6 months W2', '1 year', '10 wks'
+ * @returns {number|null} Length in months, rounded to one decimal
+ */
+const parseContractLength = (text) => {
+  if (!text) return null;
+  const match = String(text).match(CONTRACT_LENGTH_PATTERN);
+  if (!match) return null;
+  const months = parseFloat(match[1]) * MONTHS_PER_UNIT[match[3][0].toLowerCase()];
+  return Math.round(months * 10) / 10;
+};
+
+/**
+ * Recognize an engagement type in free text
+ * @param {string} text - e.g. '6 months W2', 'C2C only', 'contract to hire'
+ * @returns {string|null} 'contract_to_hire', 'c2c', '1099' or 'w2'
+ */
+const detectEngagementType = (text) => {
+  if (!text) return null;
+  const match = ENGAGEMENT_PATTERNS.find(([, pattern]) => pattern.test(String(text)));
+  return match ? match[0] : null;
+};
+
+/**
+ * Find the contract terms written in free text, as written
+ * @param {string} text - e.g. 'This is a 6 month W2 contract'
+ * @returns {string|null} e.g. '6 month, W2'
+ */
+const findContractTerms = (text) => {
+  if (!text) return null;
+  const terms = [String(text).match(CONTRACT_LENGTH_PATTERN)];
+  const engagement = ENGAGEMENT_PATTERNS.find(([, pattern]) => pattern.test(String(text)));
+  if (engagement) terms.push(String(text).match(engagement[1]));
+  const found = terms.filter(Boolean).map((match) => match[0]);
+  return found.length > 0 ? found.join(', ') : null;
+};
+
+// Remove contract lengths and engagement types so their numbers are not read as pay
+const stripTerms = (text) => {
+  if (!text) return '';
+  let stripped = String(text).replace(new RegExp(CONTRACT_LENGTH_PATTERN.source, 'gi'), ' ');
+  ENGAGEMENT_PATTERNS.forEach(([, pattern]) => {
+    stripped = stripped.replace(new RegExp(pattern.source, 'gi'), ' ');
+  });
+  return stripped;
+};
+
+/**
+ * Parse a free-text consulting rate and period
+ * The pay unit is read from the rate itself ('$120/hr') first, then from
+ * the period ('hourly'). Contract lengths ('6 months') and engagement types
+ * ('W2') are ignored here. Large amounts without a unit are treated as annual.
+ * @param {string} rateText - consulting_rate
+ * @param {string} periodText - consulting_period
+ * @returns {{min: number, max: number, period: string, currency: string|null}|null}
+ *   null when there is no amount or the period cannot be determined
+ */
+const parseRate = (rateText, periodText) => {
+  const amounts = parseAmounts(stripTerms(rateText));
+  if (!amounts) return null;
+
+  let period = normalizePeriod(stripTerms(rateText)) || normalizePeriod(stripTerms(periodText));
+  if (!period && amounts.min >= ANNUAL_AMOUNT_THRESHOLD) period = 'year';
+  if (!period) return null;
+
+  return {
+    ...amounts,
+    period,
+    currency: detectCurrency(rateText),
+  };
+};
+
+/**
+ * Convert an amount paid per period to an annual amount
+ * @param {number} amount
+ * @param {string} period - Key of PERIODS_PER_YEAR
+ * @returns {number|null}
+ */
+const annualize = (amount, period) => {
+  if (amount === null || amount === undefined || !PERIODS_PER_YEAR[period]) return null;
+  return Math.round(Number(amount) * PERIODS_PER_YEAR[period]);
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Annual pay advertised on a job description
+ * Uses the salary range if there is one (the midpoint when both ends are
+ * known), otherwise the parsed consulting rate.
+ * @param {Object} jobDescription - Row with salary_range_min/max, salary_currency, consulting_rate/period
+ * @returns {{annual: number, annualMin: number, annualMax: number, currency: string|null, source: string}|null}
+ */
+const jobCompensation = (jobDescription) => {
+  const salaryMin = toNumber(jobDescription.salary_range_min);
+  const salaryMax = toNumber(jobDescription.salary_range_max);
+
+  if (salaryMin !== null || salaryMax !== null) {
+    const min = salaryMin !== null ? salaryMin : salaryMax;
+    const max = salaryMax !== null ? salaryMax : salaryMin;
+    return {
+      annual: Math.round((min + max) / 2),
+      annualMin: Math.round(min),
+      annualMax: Math.round(max),
+      currency: jobDescription.salary_currency || null,
+      source: 'salary_range',
+    };
+  }
+
+  const rate = parseRate(jobDescription.consulting_rate, jobDescription.consulting_period);
+  if (!rate) return null;
+
+  const annualMin = annualize(rate.min, rate.period);
+  const annualMax = annualize(rate.max, rate.period);
+  return {
+    annual: Math.round((annualMin + annualMax) / 2),
+    annualMin,
+    annualMax,
+    currency: rate.currency || jobDescription.salary_currency || null,
+    source: 'consulting_rate',
+  };
+};
+
+/**
+ * Structured consulting terms and effective annual rate for a job description
+ * Derived from the raw text columns, so they are recomputed whenever the
+ * rate, period or salary range changes.
+ * @param {Object} jobDescription - Row with consulting_rate/period and salary columns
+ * @returns {Object} Map of job_descriptions column -> value
+ */
+const consultingTermsColumns = (jobDescription) => {
+  const rate = parseRate(jobDescription.consulting_rate, jobDescription.consulting_period);
+  const terms = [jobDescription.consulting_rate, jobDescription.consulting_period].filter(Boolean).join(' ');
+  const advertised = jobCompensation(jobDescription);
+
+  return {
+    rate_amount: rate ? rate.min : null,
+    rate_amount_max: rate && rate.max !== rate.min ? rate.max : null,
+    rate_unit: rate ? rate.period : null,
+    rate_currency: rate ? rate.currency : null,
+    contract_length_months: parseContractLength(terms),
+    engagement_type: detectEngagementType(terms),
+    effective_annual_rate: advertised ? advertised.annual : null,
+  };
+};
+
+/**
+ * Annual figures for an offer
+ * Total is base + bonus + equity + benefits per year; first year adds the
+ * signing bonus.
+ * @param {Object} offer - Offer row
+ * @returns {Object} { currency, base, bonus, equity, benefits, signingBonus, total, firstYear }
+ */
+const offerCompensation = (offer) => {
+  const base = annualize(offer.base_salary, offer.pay_period) || 0;
+  const bonus = toNumber(offer.bonus) || 0;
+  const equity = toNumber(offer.equity_value) || 0;
+  const benefits = toNumber(offer.benefits_value) || 0;
+  const signingBonus = toNumber(offer.signing_bonus) || 0;
+  const total = Math.round(base + bonus + equity + benefits);
+
+  return {
+    currency: offer.currency || null,
+    base,
+    bonus,
+    equity,
+    benefits,
+    signingBonus,
+    total,
+    firstYear: total + signingBonus,
+  };
+};
+
+/**
+ * Comparable figures for one job: from its latest offer if there is one,
+ * otherwise estimated from the posting
+ * @param {Object} jobDescription - Job description row
+ * @param {Object|null} offer - Latest offer row
+ * @returns {Object} offerCompensation shape plus source and estimated flags
+ */
+const compareCompensation = (jobDescription, offer) => {
+  if (offer) {
+    return { ...offerCompensation(offer), source: 'offer', estimated: false };
+  }
+
+  const advertised = jobCompensation(jobDescription);
+  const annual = advertised ? advertised.annual : null;
+  return {
+    currency: advertised ? advertised.currency : null,
+    base: annual,
+    bonus: null,
+    equity: null,
+    benefits: null,
+    signingBonus: null,
+    total: annual,
+    firstYear: annual,
+    source: advertised ? advertised.source : null,
+    estimated: true,
+  };
+};
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  normalizePeriod,
+  detectCurrency,
+  parseAmounts,
+  parseContractLength,
+  detectEngagementType,
+  findContractTerms,
+  parseRate,
+  annualize,
+  jobCompensation,
+  consultingTermsColumns,
+  offerCompensation,
+  compareCompensation,
+};
@@ -0,0 +1,113 @@
+/**
+ * CSV (RFC 4180) Reading and Writing
+ *
+ * Reads spreadsheets saved as CSV - comma, semicolon or tab separated,
+ * with quoted fields that may contain separators, quotes and line breaks -
+ * and writes CSV that Excel, Numbers and Google Sheets open as UTF-8.
+ */
+
+const BOM = '\uFEFF';
+const DELIMITERS = [',', ';', '\t'];
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Pick the separator used in the header line
+ * Excel saves with semicolons in locales that use a decimal comma.
+ * @param {string} text - CSV text
+ * @returns {string} ',', ';' or '\t'
+ */
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r\n|\n|\r/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map((delimiter) => headerLine.split(delimiter).length);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>|null} Rows, or null for malformed CSV (an unclosed quote)
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) return null;
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Format one cell
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value; null and undefined are written as empty cells
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n;\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV with CRLF line endings and a byte order mark
+ * @param {Array<Array<*>>} rows - Rows of cells, header first
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return BOM + rows.map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Undo the formula guard added by toCsv, so exports import unchanged
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function unguardCell(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  unguardCell,
+};
@@ -0,0 +1,218 @@
+/**
+ * Duplicate Job Description Detection
+ *
+ * Compares a posting with the user's other postings by title, company and
+ * description. Descriptions are compared as sets of word shingles (runs of
+ * consecutive words) so reworded or reordered reposts still score high.
+ * Postings at or above the threshold are flagged as likely duplicates. A
+ * matching title alone is not enough: a score needs the description or at
+ * least one other signal besides the title.
+ * To check many postings against the same candidates (bulk imports), build
+ * a duplicate index once so each posting's shingles are only computed once.
+ */
+
+const SHINGLE_SIZE = 5;
+const DEFAULT_THRESHOLD = 0.8;
+// Signals both postings must have before they can score above 0
+const MIN_SIGNALS = 2;
+
+// How much each signal counts when both postings have it
+const WEIGHTS = {
+  description: 0.6,
+  title: 0.25,
+  company: 0.15,
+};
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {Array<string>} Words
+ */
+const normalizeWords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9+#\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Build the set of word shingles for a text
+ * @param {string} text
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} Empty when the text is shorter than one shingle
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+  const words = normalizeWords(text);
+  const result = new Set();
+  for (let i = 0; i + size <= words.length; i += 1) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Count the items two sets have in common
+ * @returns {number}
+ */
+function countShared(a, b) {
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared += 1;
+  });
+  return shared;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @param {number} shared - Items in common, when already known
+ * @returns {number} 0-1
+ */
+function jaccard(a, b, shared = countShared(a, b)) {
+  if (a.size === 0 && b.size === 0) return 0;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Identify the company a posting belongs to: the linked company, else the company text
+ * @returns {string|null}
+ */
+const companyKey = (jobDescription) => {
+  if (jobDescription.company_id) return `id:${jobDescription.company_id}`;
+  const name = normalizeWords(jobDescription.company).join(' ');
+  return name ? `name:${name}` : null;
+};
+
+/**
+ * Compute the comparable parts of a posting once
+ * @param {Object} jobDescription - Job description row
+ * @returns {{ id: string, titleWords: Set<string>, company: string|null, shingles: Set<string> }}
+ */
+const prepare = (jobDescription) => ({
+  id: jobDescription.id,
+  titleWords: new Set(normalizeWords(jobDescription.title)),
+  company: companyKey(jobDescription),
+  shingles: shingles(jobDescription.description),
+});
+
+/**
+ * Score two prepared postings
+ * @param {Object} a - Result of prepare()
+ * @param {Object} b - Result of prepare()
+ * @param {number} [sharedShingles] - Description shingles in common, when already known
+ * @returns {number} 0-1, rounded to two decimals; 0 when fewer than MIN_SIGNALS can be compared
+ */
+function scorePrepared(a, b, sharedShingles) {
+  const parts = [[jaccard(a.titleWords, b.titleWords), WEIGHTS.title]];
+
+  if (a.company && b.company) {
+    parts.push([a.company === b.company ? 1 : 0, WEIGHTS.company]);
+  }
+
+  if (a.shingles.size > 0 && b.shingles.size > 0) {
+    parts.push([jaccard(a.shingles, b.shingles, sharedShingles), WEIGHTS.description]);
+  }
+
+  if (parts.length < MIN_SIGNALS) return 0;
+
+  const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0);
+  const score = parts.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Score how alike two postings are
+ * Signals missing from either posting are left out rather than counted as a
+ * mismatch, but postings that only have the title to compare score 0.
+ * @param {Object} a - Job description row (title, company, company_id, description)
+ * @param {Object} b - Job description row
+ * @returns {number} 0-1, rounded to two decimals to fit similarity_score
+ */
+function similarity(a, b) {
+  return scorePrepared(prepare(a), prepare(b));
+}
+
+/**
+ * Similarity at or above which postings are flagged
+ * Set DUPLICATE_SIMILARITY_THRESHOLD (0-1) to tune it; defaults to 0.8.
+ * @returns {number}
+ */
+function getDuplicateThreshold() {
+  const value = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD);
+  return value > 0 && value <= 1 ? value : DEFAULT_THRESHOLD;
+}
+
+// Best score two postings with descriptions can reach without a shingle in common
+const MAX_SCORE_WITHOUT_SHARED_SHINGLES = (WEIGHTS.title + WEIGHTS.company)
+  / (WEIGHTS.title + WEIGHTS.company + WEIGHTS.description);
+
+/**
+ * Prepare candidates once for checking many postings against them
+ * Shared description shingles are counted through an inverted index, so when
+ * both postings have a description a check only scores the candidates that
+ * share shingles with it (the others cannot reach a usable threshold).
+ * @param {Array<Object>} candidates - Postings to compare with (need id)
+ * @returns {{ find: Function }} find(jobDescription, options) - see findDuplicate;
+ *   options: { threshold, isCandidate(candidate row) } to skip candidates per check
+ */
+function createDuplicateIndex(candidates) {
+  const entries = candidates.map((row) => ({ row, prepared: prepare(row) }));
+  const preparedByRow = new Map(entries.map((entry) => [entry.row, entry.prepared]));
+  const withoutDescription = [];
+  const byShingle = new Map();
+  entries.forEach((entry, index) => {
+    if (entry.prepared.shingles.size === 0) withoutDescription.push(index);
+    entry.prepared.shingles.forEach((shingle) => {
+      if (!byShingle.has(shingle)) byShingle.set(shingle, []);
+      byShingle.get(shingle).push(index);
+    });
+  });
+
+  const find = (jobDescription, { threshold = getDuplicateThreshold(), isCandidate = () => true } = {}) => {
+    // A posting that is also a candidate (e.g. a freshly imported row) is prepared already
+    const prepared = preparedByRow.get(jobDescription) || prepare(jobDescription);
+    const shared = new Map();
+    prepared.shingles.forEach((shingle) => {
+      (byShingle.get(shingle) || []).forEach((index) => {
+        shared.set(index, (shared.get(index) || 0) + 1);
+      });
+    });
+
+    const checkAll = prepared.shingles.size === 0 || threshold <= MAX_SCORE_WITHOUT_SHARED_SHINGLES;
+    const indexes = checkAll
+      ? entries.map((_, index) => index)
+      : [...shared.keys(), ...withoutDescription].sort((a, b) => a - b);
+
+    let best = null;
+    indexes.forEach((index) => {
+      const entry = entries[index];
+      if (!isCandidate(entry.row)) return;
+      const score = scorePrepared(prepared, entry.prepared, shared.get(index) || 0);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { id: entry.row.id, score };
+      }
+    });
+    return best;
+  };
+
+  return { find };
+}
+
+/**
+ * Find the most similar candidate at or above the threshold
+ * @param {Object} jobDescription - Posting being checked
+ * @param {Array<Object>} candidates - Other postings to compare with
+ * @param {number} threshold - Minimum similarity to flag
+ * @returns {{ id: string, score: number }|null}
+ */
+function findDuplicate(jobDescription, candidates, threshold = getDuplicateThreshold()) {
+  return createDuplicateIndex(candidates).find(jobDescription, { threshold });
+}
+
+module.exports = {
+  shingles,
+  similarity,
+  findDuplicate,
+  createDuplicateIndex,
+  getDuplicateThreshold,
+};
@@ -0,0 +1,95 @@
+/**
+ * Email Verification
+ *
+ * Sends the link that confirms a user owns their email address, and decides
+ * what an unverified account may do. With REQUIRE_EMAIL_VERIFICATION=true the
+ * authenticate middleware limits unverified accounts to the routes in
+ * UNVERIFIED_ALLOWED_ROUTES; otherwise verification is only reported.
+ * Links expire after EMAIL_VERIFICATION_TOKEN_TTL_MINUTES (default from
+ * emailVerification.tokenTtlMinutes in the shared config).
+ */
+
+const { query } = require('../database/connection');
+const { sendMail } = require('./mailer');
+const { createToken, getTokenTtlMinutes, buildClientLink } = require('./authTokens');
+const validationConfig = require('../../../shared/validationConfig.js');
+
+const verificationConfig = validationConfig.emailVerification;
+
+// What an unverified account can still reach while verification is required:
+// its own profile (so the client can show the verification banner), sending
+// a new link, signing in again after changing the password, and correcting a
+// mistyped email address (which sends a link to the new one). :userId only
+// matches the account's own ID.
+const UNVERIFIED_ALLOWED_ROUTES = [
+  { method: 'GET', path: '/api/users/me' },
+  { method: 'PUT', path: '/api/users/me/password' },
+  { method: 'PUT', path: '/api/users/:userId' },
+  { method: 'POST', path: '/api/auth/resend-verification' },
+];
+
+/**
+ * Whether unverified accounts are restricted (REQUIRE_EMAIL_VERIFICATION)
+ * @returns {boolean}
+ */
+function isVerificationRequired() {
+  return String(process.env.REQUIRE_EMAIL_VERIFICATION || '').toLowerCase() === 'true';
+}
+
+/**
+ * Whether an unverified account may use a route
+ * @param {string} method - HTTP method
+ * @param {string} originalUrl - Full request URL, e.g. req.originalUrl
+ * @param {string} userId - ID of the unverified account
+ * @returns {boolean}
+ */
+function isAllowedWhileUnverified(method, originalUrl, userId) {
+  const path = originalUrl.split('?')[0].replace(/\/+$/, '');
+  return UNVERIFIED_ALLOWED_ROUTES.some(route => route.method === method
+    && route.path.replace(':userId', userId) === path);
+}
+
+/**
+ * Email a new verification link to a user
+ * Older unused links for the user stop working.
+ * @param {Object} user - User with id, name and email
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const ttlMinutes = getTokenTtlMinutes('EMAIL_VERIFICATION_TOKEN_TTL_MINUTES', verificationConfig.tokenTtlMinutes);
+  const { token, tokenHash } = createToken();
+
+  await query(
+    'DELETE FROM email_verification_tokens WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, email, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+    [user.id, tokenHash, user.email, ttlMinutes]
+  );
+
+  const link = buildClientLink('/verify-email', { token });
+  const expiresIn = ttlMinutes % 60 === 0 ? `${ttlMinutes / 60} hours` : `${ttlMinutes} minutes`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Spexture email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address for your Spexture account.',
+      `Open this link to verify it (it expires in ${expiresIn}):`,
+      '',
+      link,
+      '',
+      'If you did not create a Spexture account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+module.exports = {
+  UNVERIFIED_ALLOWED_ROUTES,
+  isVerificationRequired,
+  isAllowedWhileUnverified,
+  sendVerificationEmail,
+};
@@ -0,0 +1,44 @@
+/**
+ * Request Field Mapping
+ *
+ * Client forms send camelCase field names while the database uses
+ * snake_case columns. Each resource declares a field map and this helper
+ * converts a (validated) request body into column/value pairs.
+ */
+
+/**
+ * Convert a request body into column/value pairs
+ * Only fields present in the body are returned.
+ * @param {Object} body - Request body with camelCase field names
+ * @param {Object} fieldMap - Map of request field -> column name
+ * @param {Object} options - Empty-value handling
+ * @param {Set<string>} options.emptyAsNull - Columns where '' or null is stored as NULL
+ * @param {Set<string>} options.emptyAsUnset - Columns where '' means "not provided"
+ * @returns {Object} Map of column name -> value
+ */
+function mapFieldsToColumns(body = {}, fieldMap, options = {}) {
+  const { emptyAsNull = new Set(), emptyAsUnset = new Set() } = options;
+  const values = {};
+
+  Object.entries(fieldMap).forEach(([field, column]) => {
+    if (body[field] === undefined) return;
+
+    let value = body[field];
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+
+    if (value === '' && emptyAsUnset.has(column)) return;
+    if ((value === '' || value === null) && emptyAsNull.has(column)) {
+      value = null;
+    }
+
+    values[column] = value;
+  });
+
+  return values;
+}
+
+module.exports = {
+  mapFieldsToColumns,
+};
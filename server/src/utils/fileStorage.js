@@ -0,0 +1,71 @@
+/**
+ * Local File Storage
+ *
+ * Uploaded documents are written under UPLOAD_DIR (default: server/uploads),
+ * grouped by kind and owner: <UPLOAD_DIR>/<kind>/<userId>/<uuid>.<ext>
+ * The database stores the path relative to UPLOAD_DIR so the directory can
+ * be moved or mounted elsewhere without rewriting rows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Resolve the storage root (read on every call so tests can override it)
+ * @returns {string} Absolute upload directory
+ */
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+/**
+ * Write a file buffer to storage
+ * @param {string} kind - Storage sub-directory (e.g. 'resumes')
+ * @param {string} userId - Owner ID
+ * @param {Buffer} buffer - File contents
+ * @param {string} extension - File extension without the dot
+ * @returns {Promise<string>} Path relative to the upload directory
+ */
+async function saveFile(kind, userId, buffer, extension) {
+  const relativePath = path.join(kind, userId, `${crypto.randomUUID()}.${extension}`);
+  const absolutePath = path.join(getUploadDir(), relativePath);
+
+  await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.promises.writeFile(absolutePath, buffer);
+
+  return relativePath;
+}
+
+/**
+ * Resolve a stored relative path to an absolute path
+ * Refuses paths that would escape the upload directory.
+ * @param {string} relativePath - Path stored in the database
+ * @returns {string|null} Absolute path, or null if the path is not inside the upload directory
+ */
+function resolveFile(relativePath) {
+  if (!relativePath) return null;
+  const uploadDir = getUploadDir();
+  const absolutePath = path.resolve(uploadDir, relativePath);
+  return absolutePath.startsWith(uploadDir + path.sep) ? absolutePath : null;
+}
+
+/**
+ * Delete a stored file (missing files are ignored)
+ * @param {string} relativePath - Path stored in the database
+ */
+async function deleteFile(relativePath) {
+  const absolutePath = resolveFile(relativePath);
+  if (!absolutePath) return;
+
+  try {
+    await fs.promises.unlink(absolutePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  getUploadDir,
+  saveFile,
+  resolveFile,
+  deleteFile,
+};
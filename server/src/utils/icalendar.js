@@ -0,0 +1,197 @@
+/**
+ * iCalendar (RFC 5545) Export
+ *
+ * Builds .ics calendars from application deadlines, interviews and
+ * interview follow-ups so they show up in the user's own calendar app.
+ * Every event has a stable UID derived from its row ID, so a subscribed
+ * calendar updates events in place instead of duplicating them.
+ */
+
+const PRODUCT_ID = '-//Spexture//Job Tracker//EN';
+const UID_DOMAIN = 'spexture.com';
+const DEFAULT_INTERVIEW_MINUTES = 60;
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for a TEXT property (backslash, semicolon, comma, newline)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into 75-octet chunks; continuation lines start with a space
+ * Splits between characters so multi-byte UTF-8 sequences stay intact.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a moment as a UTC DATE-TIME (e.g. 20240610T150000Z)
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string}
+ */
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+/**
+ * Format a calendar date as a DATE value (e.g. 20240610)
+ * @param {string} value - Date as YYYY-MM-DD
+ * @param {number} [offsetDays=0] - Days to add (all-day events end the next day)
+ * @returns {string}
+ */
+const formatDate = (value, offsetDays = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + offsetDays));
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Serialize one event as VEVENT lines
+ * @param {Object} event - { uid, summary, description, location, start, end, date } where
+ *   start/end are moments for timed events and date (YYYY-MM-DD) makes an all-day event
+ * @param {Date} stamp - DTSTAMP for the event
+ * @returns {Array<string>} Unfolded content lines
+ */
+const eventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+  ];
+
+  if (event.date) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.date, 1)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build a complete .ics calendar
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {Array<Object>} options.events - Events as accepted by eventLines
+ * @param {Date} [options.stamp=new Date()] - DTSTAMP for every event
+ * @returns {string} Calendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events, stamp = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => eventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const jobLabel = (row) => {
+  const title = row.job_title || 'Untitled Position';
+  return row.company_name ? `${title} at ${row.company_name}` : title;
+};
+
+/**
+ * All-day event for a job description's application deadline
+ * @param {Object} jobDescription - Row with id, job_title, company_name, application_deadline (YYYY-MM-DD)
+ * @returns {Object} Event
+ */
+const deadlineEvent = (jobDescription) => ({
+  uid: `deadline-${jobDescription.id}@${UID_DOMAIN}`,
+  summary: `Application deadline: ${jobLabel(jobDescription)}`,
+  date: jobDescription.application_deadline,
+});
+
+/**
+ * Timed event for a scheduled interview
+ * Interviews without a duration are shown as one hour.
+ * @param {Object} interview - Interview row with job_title, company_name and interviewers
+ * @returns {Object} Event
+ */
+const interviewEvent = (interview) => {
+  const start = new Date(interview.scheduled_at);
+  const minutes = interview.duration_minutes || DEFAULT_INTERVIEW_MINUTES;
+  const interviewers = (interview.interviewers || []).map((interviewer) => interviewer.name);
+
+  const description = [
+    interviewers.length > 0 ? `Interviewers: ${interviewers.join(', ')}` : null,
+    interview.prep_notes ? `Prep notes:\n${interview.prep_notes}` : null,
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    uid: `interview-${interview.id}@${UID_DOMAIN}`,
+    summary: `Interview (round ${interview.round}): ${jobLabel(interview)}`,
+    description: description || null,
+    location: interview.location,
+    start,
+    end: new Date(start.getTime() + minutes * 60 * 1000),
+    status: interview.outcome === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  };
+};
+
+/**
+ * All-day event for an interview's follow-up date
+ * @param {Object} interview - Interview row with follow_up_due (YYYY-MM-DD)
+ * @returns {Object} Event
+ */
+const followUpEvent = (interview) => ({
+  uid: `follow-up-${interview.id}@${UID_DOMAIN}`,
+  summary: `Follow up: ${jobLabel(interview)} (round ${interview.round})`,
+  description: 'Send a thank-you note or ask for feedback',
+  date: interview.follow_up_due,
+});
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  buildCalendar,
+  deadlineEvent,
+  interviewEvent,
+  followUpEvent,
+};
@@ -0,0 +1,32 @@
+/**
+ * Interview Fields
+ *
+ * Columns and joins shared by every query that returns interviews, so the
+ * interview API and the calendar export describe interviews the same way.
+ */
+
+/**
+ * Columns selected for every interview response, including the job it
+ * belongs to and its interviewers as [{ id, name, title }].
+ */
+const INTERVIEW_COLUMNS = `
+  i.id, i.user_id, i.job_description_id, jd.title AS job_title,
+  COALESCE(c.name, jd.company) AS company_name, jd.status AS job_status,
+  i.round, i.interview_type, i.scheduled_at, i.duration_minutes, i.location,
+  i.outcome, i.prep_notes, i.feedback,
+  to_char(i.follow_up_due, 'YYYY-MM-DD') AS follow_up_due,
+  i.created_at, i.updated_at,
+  COALESCE((
+    SELECT json_agg(json_build_object('id', r.id, 'name', r.name, 'title', r.title) ORDER BY r.name)
+    FROM interview_interviewers ii JOIN recruiters r ON ii.recruiter_id = r.id
+    WHERE ii.interview_id = i.id
+  ), '[]'::json) AS interviewers`;
+
+const INTERVIEW_FROM = `FROM interviews i
+  JOIN job_descriptions jd ON i.job_description_id = jd.id
+  LEFT JOIN companies c ON jd.company_id = c.id`;
+
+module.exports = {
+  INTERVIEW_COLUMNS,
+  INTERVIEW_FROM,
+};
@@ -0,0 +1,128 @@
+/**
+ * Job Description Field Mapping
+ *
+ * The JDAnalyzer form sends camelCase field names while the
+ * job_descriptions table uses snake_case columns. This module is the
+ * single place that maps between the two, and defines the column list
+ * returned to the client (snake_case, plus the `job_title` and `date`
+ * aliases the analyzer list and edit form read).
+ */
+
+const { mapFieldsToColumns } = require('./fieldMapping');
+const { consultingTermsColumns } = require('./compensation');
+
+/**
+ * Request body field -> job_descriptions column
+ */
+const FIELD_MAP = {
+  jobTitle: 'title',
+  company: 'company',
+  companyId: 'company_id',
+  sourceId: 'source_id',
+  recruiterId: 'recruiter_id',
+  location: 'location',
+  jobType: 'job_type',
+  remotePolicy: 'remote_policy',
+  salaryRangeMin: 'salary_range_min',
+  salaryRangeMax: 'salary_range_max',
+  salaryCurrency: 'salary_currency',
+  consultingRate: 'consulting_rate',
+  consultingPeriod: 'consulting_period',
+  status: 'status',
+  datePosted: 'date_posted',
+  date: 'date_found',
+  applicationDeadline: 'application_deadline',
+  contactInfo: 'contact_info',
+  jobInfo: 'job_info',
+  description: 'description',
+  keywords: 'keywords',
+  notes: 'notes',
+};
+
+// Columns where an empty form value means "no value" (stored as NULL)
+const EMPTY_AS_NULL = new Set([
+  'company_id',
+  'source_id',
+  'recruiter_id',
+  'salary_range_min',
+  'salary_range_max',
+  'date_posted',
+  'date_found',
+  'application_deadline',
+]);
+
+// Columns where an empty form value means "leave unchanged / use default"
+const EMPTY_AS_UNSET = new Set(['status', 'job_type', 'remote_policy']);
+
+// Columns the structured rate columns and effective_annual_rate are derived from
+const COMPENSATION_SOURCE_COLUMNS = [
+  'consulting_rate',
+  'consulting_period',
+  'salary_range_min',
+  'salary_range_max',
+  'salary_currency',
+];
+
+/**
+ * Columns selected for every job description response.
+ * Dates are formatted as YYYY-MM-DD so they round-trip through <input type="date">.
+ */
+const JD_COLUMNS = `
+  jd.id, jd.user_id, jd.title, jd.title AS job_title, jd.company,
+  jd.company_id, c.name AS company_name,
+  jd.source_id, s.source_name,
+  jd.recruiter_id, r.name AS recruiter_name,
+  jd.location, jd.job_type, jd.remote_policy,
+  jd.salary_range_min, jd.salary_range_max, jd.salary_currency,
+  jd.consulting_rate, jd.consulting_period,
+  jd.rate_amount, jd.rate_amount_max, jd.rate_unit, jd.rate_currency,
+  jd.contract_length_months, jd.engagement_type, jd.effective_annual_rate,
+  jd.status,
+  to_char(jd.date_posted, 'YYYY-MM-DD') AS date_posted,
+  to_char(jd.date_found, 'YYYY-MM-DD') AS date_found,
+  to_char(jd.date_found, 'YYYY-MM-DD') AS date,
+  to_char(jd.application_deadline, 'YYYY-MM-DD') AS application_deadline,
+  jd.is_duplicate, jd.duplicate_of_id, dup.title AS duplicate_of_title, jd.similarity_score,
+  jd.contact_info, jd.job_info, jd.description, jd.keywords, jd.notes,
+  jd.created_at, jd.updated_at`;
+
+const JD_FROM = `
+  FROM job_descriptions jd
+  LEFT JOIN companies c ON jd.company_id = c.id
+  LEFT JOIN job_description_sources s ON jd.source_id = s.id
+  LEFT JOIN recruiters r ON jd.recruiter_id = r.id
+  LEFT JOIN job_descriptions dup ON jd.duplicate_of_id = dup.id`;
+
+/**
+ * Convert a (validated) request body into job_descriptions column/value pairs
+ * @param {Object} body - Request body with camelCase field names
+ * @returns {Object} Map of column name -> value
+ */
+function toColumnValues(body = {}) {
+  return mapFieldsToColumns(body, FIELD_MAP, {
+    emptyAsNull: EMPTY_AS_NULL,
+    emptyAsUnset: EMPTY_AS_UNSET,
+  });
+}
+
+/**
+ * Add the parsed consulting terms to the values being saved
+ * Only applies when a column they are derived from is being saved; existing
+ * holds the row's current values for the columns not in the request.
+ * @param {Object} values - Column/value pairs from toColumnValues()
+ * @param {Object} existing - Current row (empty for new job descriptions)
+ * @returns {Object} values, with the derived columns added when applicable
+ */
+function applyConsultingTerms(values, existing = {}) {
+  if (!COMPENSATION_SOURCE_COLUMNS.some((column) => column in values)) return values;
+  return Object.assign(values, consultingTermsColumns({ ...existing, ...values }));
+}
+
+module.exports = {
+  COMPENSATION_SOURCE_COLUMNS,
+  FIELD_MAP,
+  JD_COLUMNS,
+  JD_FROM,
+  toColumnValues,
+  applyConsultingTerms,
+};
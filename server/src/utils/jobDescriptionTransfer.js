@@ -0,0 +1,221 @@
+/**
+ * Job Description Bulk Import and Export
+ *
+ * Reads CSV or JSON files of job descriptions (typically older searches kept
+ * in a spreadsheet), suggests which file column feeds which job description
+ * field, and turns each row into a create request body so it can be checked
+ * with the same validators as POST /api/job-descriptions. Exports write the
+ * same columns back out, so an export imports unchanged.
+ */
+
+const validationConfig = require('../../../shared/validationConfig.js');
+const { parseCsv, toCsv, unguardCell } = require('./csv');
+
+const { jobTypes, remotePolicies, statuses } = validationConfig.jobDescription;
+
+/**
+ * Fields a file column can be mapped to, with the column names each is
+ * recognized by. Names are compared ignoring case, spaces and punctuation,
+ * so "Job Title", "job_title" and "jobTitle" all match.
+ */
+const IMPORT_FIELDS = [
+  { field: 'jobTitle', label: 'Job title', aliases: ['job title', 'title', 'position', 'role'] },
+  { field: 'company', label: 'Company', aliases: ['company', 'company name', 'employer', 'organization'] },
+  { field: 'location', label: 'Location', aliases: ['location', 'city'] },
+  { field: 'jobType', label: 'Job type', aliases: ['job type', 'employment type', 'type'] },
+  { field: 'remotePolicy', label: 'Remote policy', aliases: ['remote policy', 'remote', 'work model', 'workplace'] },
+  { field: 'status', label: 'Status', aliases: ['status', 'stage'] },
+  { field: 'salaryRangeMin', label: 'Minimum salary', aliases: ['salary range min', 'salary min', 'min salary', 'minimum salary', 'salary from'] },
+  { field: 'salaryRangeMax', label: 'Maximum salary', aliases: ['salary range max', 'salary max', 'max salary', 'maximum salary', 'salary to'] },
+  { field: 'salaryCurrency', label: 'Salary currency', aliases: ['salary currency', 'currency'] },
+  { field: 'consultingRate', label: 'Consulting rate', aliases: ['consulting rate', 'rate', 'hourly rate', 'day rate'] },
+  { field: 'consultingPeriod', label: 'Consulting period', aliases: ['consulting period', 'contract length', 'duration'] },
+  { field: 'datePosted', label: 'Date posted', aliases: ['date posted', 'posted', 'posted date'] },
+  { field: 'date', label: 'Date found', aliases: ['date found', 'date', 'found', 'date added'] },
+  { field: 'applicationDeadline', label: 'Application deadline', aliases: ['application deadline', 'deadline', 'apply by', 'closing date'] },
+  { field: 'contactInfo', label: 'Contact info', aliases: ['contact info', 'contact'] },
+  { field: 'jobInfo', label: 'Job info', aliases: ['job info', 'details', 'url', 'link', 'posting url'] },
+  { field: 'description', label: 'Description', aliases: ['description', 'job description'] },
+  { field: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+];
+
+const IMPORT_FIELD_NAMES = new Set(IMPORT_FIELDS.map(({ field }) => field));
+
+// Spreadsheet values like "Full-time" or "On-site" are matched to the allowed values
+const CHOICE_FIELDS = {
+  jobType: jobTypes,
+  remotePolicy: remotePolicies,
+  status: statuses,
+};
+
+const AMOUNT_FIELDS = new Set(['salaryRangeMin', 'salaryRangeMax']);
+
+/**
+ * Columns written by the export, in order; the names are the API's
+ * snake_case columns so they map back to the same fields on import
+ */
+const EXPORT_COLUMNS = [
+  'id', 'job_title', 'company', 'location', 'job_type', 'remote_policy', 'status',
+  'salary_range_min', 'salary_range_max', 'salary_currency',
+  'consulting_rate', 'consulting_period', 'engagement_type', 'effective_annual_rate',
+  'date_posted', 'date_found', 'application_deadline',
+  'source_name', 'recruiter_name', 'contact_info', 'job_info', 'description', 'keywords', 'notes',
+  'created_at', 'updated_at',
+];
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_NAME = new Map();
+IMPORT_FIELDS.forEach(({ field, aliases }) => {
+  [field, ...aliases].forEach((alias) => {
+    if (!FIELD_BY_NAME.has(normalizeName(alias))) FIELD_BY_NAME.set(normalizeName(alias), field);
+  });
+});
+
+/**
+ * Read an uploaded CSV or JSON file into rows keyed by column name
+ * JSON may be an array of objects or { jobDescriptions: [...] }.
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{columns: Array<string>, rows: Array<Object>}|null} null when the file cannot be read
+ */
+function parseImportFile(text, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+    } catch (error) {
+      return null;
+    }
+    const records = Array.isArray(data) ? data : data && data.jobDescriptions;
+    if (!Array.isArray(records) || !records.every((record) => record && typeof record === 'object' && !Array.isArray(record))) {
+      return null;
+    }
+
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    return { columns, rows: records };
+  }
+
+  const table = parseCsv(text);
+  if (!table) return null;
+  if (table.length === 0) return { columns: [], rows: [] };
+
+  const [header, ...lines] = table;
+  const columns = header.map((name) => name.trim());
+  const rows = lines.map((cells) => Object.fromEntries(
+    columns.map((column, index) => [column, unguardCell(cells[index] ?? '')])
+  ));
+  return { columns, rows };
+}
+
+/**
+ * Suggest a field for each file column by its name
+ * Each field is suggested for at most one column (the first that matches).
+ * @param {Array<string>} columns - File column names
+ * @returns {Object} column -> field name, or null when nothing matches
+ */
+function suggestMapping(columns) {
+  const used = new Set();
+  return Object.fromEntries(columns.map((column) => {
+    const field = FIELD_BY_NAME.get(normalizeName(column)) || null;
+    if (!field || used.has(field)) return [column, null];
+    used.add(field);
+    return [column, field];
+  }));
+}
+
+/**
+ * Check a column mapping sent by the client
+ * @param {Object} mapping - column -> field name (null or '' skips the column)
+ * @param {Array<string>} columns - File column names
+ * @returns {string|null} Error message, or null if the mapping is usable
+ */
+function validateMapping(mapping, columns) {
+  const { messages } = validationConfig.jobDescriptionBulkImport;
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return messages.invalidMapping;
+
+  const used = new Set();
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!columns.includes(column)) return messages.unknownColumn(column);
+    if (field === null || field === '') continue;
+    if (!IMPORT_FIELD_NAMES.has(field)) return messages.unknownField(field);
+    if (used.has(field)) return messages.duplicateField(field);
+    used.add(field);
+  }
+
+  return used.has('jobTitle') ? null : messages.titleNotMapped;
+}
+
+/**
+ * Clean up one spreadsheet value for its field
+ * Choices are matched ignoring case and punctuation; amounts lose
+ * thousands separators and a leading currency symbol.
+ */
+const cleanValue = (field, value) => {
+  if (value === null || value === undefined) return undefined;
+  // Numbers and other JSON values are left for the validators
+  if (typeof value !== 'string') return value;
+
+  const text = value.trim();
+  if (CHOICE_FIELDS[field]) {
+    const choice = CHOICE_FIELDS[field].find((option) => normalizeName(option) === normalizeName(text));
+    return choice || text;
+  }
+  if (AMOUNT_FIELDS.has(field)) {
+    const amount = text.replace(/^[^\d.]{1,3}(?=\d)/, '').replace(/[,\s]/g, '');
+    return /^\d+(\.\d+)?$/.test(amount) ? amount : text;
+  }
+  return text;
+};
+
+/**
+ * Turn a file row into a create request body using the mapping
+ * @param {Object} row - column -> value
+ * @param {Object} mapping - column -> field name
+ * @returns {Object} Request body with camelCase field names
+ */
+function mapRow(row, mapping) {
+  const body = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    if (!field) return;
+    const value = cleanValue(field, row[column]);
+    if (value !== undefined) body[field] = value;
+  });
+  return body;
+}
+
+/**
+ * Pick the exported columns from job description rows
+ * @param {Array<Object>} jobDescriptions - Rows selected with JD_COLUMNS
+ * @returns {Array<Object>} Records with EXPORT_COLUMNS keys
+ */
+function toExportRecords(jobDescriptions) {
+  return jobDescriptions.map((jd) => Object.fromEntries(
+    EXPORT_COLUMNS.map((column) => [column, jd[column] ?? null])
+  ));
+}
+
+/**
+ * Write exported records as CSV; keywords are joined with "; "
+ * @param {Array<Object>} records - From toExportRecords()
+ * @returns {string}
+ */
+function toExportCsv(records) {
+  return toCsv([
+    EXPORT_COLUMNS,
+    ...records.map((record) => EXPORT_COLUMNS.map((column) => (
+      Array.isArray(record[column]) ? record[column].join('; ') : record[column]
+    ))),
+  ]);
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  EXPORT_COLUMNS,
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  mapRow,
+  toExportRecords,
+  toExportCsv,
+};
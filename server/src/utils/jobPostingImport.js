@@ -0,0 +1,310 @@
+/**
+ * Saved Job Posting Import
+ *
+ * Reads a job posting page saved from a browser. Most boards embed a
+ * schema.org JobPosting as JSON-LD, which is mapped to the analyzer form
+ * fields; anything it leaves out (and pages without it) falls back to the
+ * heuristics in postingExtraction.js. The page URL decides which
+ * job_description_sources type the posting came from.
+ */
+
+const validationConfig = require('../../../shared/validationConfig.js');
+const { htmlToText, extractPosting } = require('./postingExtraction');
+
+const { titleMaxLength, companyMaxLength, locationMaxLength, consultingMaxLength, currencyMaxLength } = validationConfig.jobDescription;
+
+const JSON_LD_PATTERN = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+// schema.org employmentType -> job_type
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'full_time',
+  PART_TIME: 'part_time',
+  CONTRACTOR: 'contract',
+  TEMPORARY: 'contract',
+  PER_DIEM: 'contract',
+};
+
+// schema.org QuantitativeValue unitText -> pay period
+const SALARY_UNITS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+};
+
+// Fields read from the JSON-LD description when the JobPosting leaves them out
+const DESCRIPTION_FALLBACK_FIELDS = [
+  'remotePolicy', 'jobType', 'salaryRangeMin', 'salaryRangeMax', 'salaryCurrency',
+  'consultingRate', 'consultingPeriod', 'contactInfo',
+];
+
+// Without a unit, salaries this large are assumed to be annual
+const ANNUAL_AMOUNT_THRESHOLD = 10000;
+
+// Page hosts -> job_description_sources.source_type; ATS-hosted pages are the company's own careers site
+const SOURCE_HOSTS = [
+  ['linkedin', /(?:^|\.)linkedin\.com$/],
+  ['indeed', /(?:^|\.)indeed\.[a-z.]+$/],
+  ['glassdoor', /(?:^|\.)glassdoor\.[a-z.]+$/],
+  ['company_website', /(?:^|\.)(?:greenhouse\.io|lever\.co|myworkdayjobs\.com|ashbyhq\.com|smartrecruiters\.com|workable\.com|bamboohr\.com|recruitee\.com|jobvite\.com|icims\.com)$/],
+];
+
+const SOURCE_SITE_NAMES = [
+  ['linkedin', /\blinkedin\b/i],
+  ['indeed', /\bindeed\b/i],
+  ['glassdoor', /\bglassdoor\b/i],
+];
+
+const truncate = (text, max) => (text.length > max ? text.slice(0, max).trim() : text);
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// schema.org text properties may be plain strings or objects with a name
+const textOf = (value) => {
+  const item = first(value);
+  if (item === null || item === undefined) return null;
+  const text = typeof item === 'object' ? item.name || item['@value'] : item;
+  return typeof text === 'string' || typeof text === 'number' ? String(text).trim() || null : null;
+};
+
+const numberOf = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const dateOf = (value) => {
+  const match = String(textOf(value) || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return match && !Number.isNaN(Date.parse(match[1])) ? match[1] : null;
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+const attributeOf = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? (match[1] ?? match[2]).trim() : null;
+};
+
+/**
+ * Find a <meta> tag's content by its property or name
+ * @param {string} html
+ * @param {string} key - e.g. 'og:url'
+ * @returns {string|null}
+ */
+const metaContent = (html, key) => {
+  const tag = (html.match(/<meta\b[^>]*>/gi) || [])
+    .find((meta) => [attributeOf(meta, 'property'), attributeOf(meta, 'name')].includes(key));
+  return tag ? attributeOf(tag, 'content') : null;
+};
+
+/**
+ * Collect every JobPosting in the page's JSON-LD blocks
+ * Blocks that are not valid JSON are skipped.
+ * @param {string} html
+ * @returns {Array<Object>}
+ */
+function findJobPostings(html) {
+  const postings = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if ([].concat(node['@type'] || []).includes('JobPosting')) {
+        postings.push(node);
+      } else if (node['@graph']) {
+        visit(node['@graph']);
+      }
+    }
+  };
+
+  for (const [, json] of String(html).matchAll(JSON_LD_PATTERN)) {
+    try {
+      visit(JSON.parse(json.replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '')));
+    } catch (error) {
+      // Not JSON; the heuristics still get a chance
+    }
+  }
+  return postings;
+}
+
+/**
+ * Format a schema.org Place as "City, Region", falling back to the country
+ */
+const formatPlace = (place) => {
+  const address = place && typeof place === 'object' ? place.address : place;
+  if (!address) return null;
+  if (typeof address === 'string') return address.trim() || null;
+  const cityRegion = [textOf(address.addressLocality), textOf(address.addressRegion)].filter(Boolean);
+  return cityRegion.length > 0 ? cityRegion.join(', ') : textOf(address.addressCountry);
+};
+
+/**
+ * Map a schema.org MonetaryAmount to the salary range or consulting rate
+ */
+const salaryFields = (salary) => {
+  const amount = salary && typeof salary.value === 'object' ? salary.value : salary;
+  if (!amount) return {};
+
+  const min = numberOf(amount.minValue ?? amount.value);
+  const max = numberOf(amount.maxValue ?? amount.value) ?? min;
+  if (min === null) return {};
+
+  const unitText = String(textOf(amount.unitText) || '').toUpperCase();
+  const unit = SALARY_UNITS[unitText] || (!unitText && min >= ANNUAL_AMOUNT_THRESHOLD ? 'year' : null);
+  const currency = textOf(salary.currency) ? truncate(textOf(salary.currency).toUpperCase(), currencyMaxLength) : null;
+  if (!unit) return {};
+
+  if (unit === 'year') {
+    return {
+      salaryRangeMin: min,
+      salaryRangeMax: max,
+      ...(currency && { salaryCurrency: currency }),
+    };
+  }
+  const range = min === max ? `${min}` : `${min}-${max}`;
+  return { consultingRate: truncate([range, currency, `per ${unit}`].filter(Boolean).join(' '), consultingMaxLength) };
+};
+
+/**
+ * Map a schema.org JobPosting to analyzer form fields
+ * @param {Object} posting - JobPosting JSON-LD node
+ * @returns {{fields: Object, companyWebsite: string|null, url: string|null}}
+ */
+function mapJobPosting(posting) {
+  const fields = {};
+  const organization = first(posting.hiringOrganization);
+
+  const title = textOf(posting.title);
+  const company = textOf(organization);
+  const location = formatPlace(first(posting.jobLocation));
+  if (title) fields.jobTitle = truncate(title, titleMaxLength);
+  if (company) fields.company = truncate(company, companyMaxLength);
+  if (location) fields.location = truncate(location, locationMaxLength);
+
+  if ([].concat(posting.jobLocationType || []).some((type) => /telecommute/i.test(type))) {
+    fields.remotePolicy = 'remote';
+  }
+
+  const jobType = [].concat(posting.employmentType || [])
+    .map((type) => EMPLOYMENT_TYPES[String(type).toUpperCase().replace(/[\s-]/g, '_')])
+    .find(Boolean);
+  if (jobType) fields.jobType = jobType;
+
+  Object.assign(fields, salaryFields(first(posting.baseSalary) || first(posting.estimatedSalary)));
+
+  const datePosted = dateOf(posting.datePosted);
+  const applicationDeadline = dateOf(posting.validThrough);
+  if (datePosted) fields.datePosted = datePosted;
+  if (applicationDeadline) fields.applicationDeadline = applicationDeadline;
+
+  // Descriptions are HTML, sometimes escaped a second time
+  if (typeof posting.description === 'string') {
+    let description = htmlToText(posting.description);
+    if (/<\/?[a-z][\w-]*(?:\s[^>]*)?>/i.test(description)) description = htmlToText(description);
+    if (description) fields.description = description;
+  }
+
+  const website = organization && typeof organization === 'object'
+    ? textOf(organization.sameAs) || textOf(organization.url)
+    : null;
+
+  return {
+    fields,
+    companyWebsite: website && hostOf(website) ? website : null,
+    url: textOf(posting.url),
+  };
+}
+
+/**
+ * Find the URL a page was saved from
+ * Checks the canonical link, og:url and the "saved from url" comment browsers add.
+ * @param {string} html
+ * @returns {string|null}
+ */
+function findPageUrl(html) {
+  const canonical = (html.match(/<link\b[^>]*>/gi) || [])
+    .find((link) => /^canonical$/i.test(attributeOf(link, 'rel') || ''));
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  const url = (canonical && attributeOf(canonical, 'href')) || metaContent(html, 'og:url') || (savedFrom && savedFrom[1]);
+  return url && hostOf(url) ? url : null;
+}
+
+/**
+ * Decide which kind of source a posting came from
+ * @param {Object} page
+ * @param {string|null} page.url - Page URL
+ * @param {string|null} page.siteName - og:site_name
+ * @param {string|null} page.companyWebsite - Hiring organization's website
+ * @returns {string|null} job_description_sources.source_type, or null when unknown
+ */
+function detectSourceType({ url, siteName, companyWebsite }) {
+  const host = hostOf(url);
+  const companyHost = hostOf(companyWebsite);
+
+  const byHost = host && SOURCE_HOSTS.find(([, pattern]) => pattern.test(host));
+  if (byHost) return byHost[0];
+  if (host && companyHost && (host === companyHost || host.endsWith(`.${companyHost}`))) return 'company_website';
+
+  const bySiteName = siteName && SOURCE_SITE_NAMES.find(([, pattern]) => pattern.test(siteName));
+  if (bySiteName) return bySiteName[0];
+
+  return host ? 'job_board' : null;
+}
+
+/**
+ * Read a saved job posting page
+ * JSON-LD fields win; the heuristics fill the gaps (from the JSON-LD
+ * description when there is one, otherwise from the whole page).
+ * @param {string} html - Saved page
+ * @returns {{fields: Object, method: string, url: string|null, companyWebsite: string|null, sourceType: string|null}}
+ *   method is 'json_ld' or 'heuristic'
+ */
+function parseSavedPosting(html) {
+  const page = String(html || '');
+  const [posting] = findJobPostings(page);
+
+  let fields;
+  let method = 'heuristic';
+  let companyWebsite = null;
+  let url = null;
+
+  if (posting) {
+    const mapped = mapJobPosting(posting);
+    const fromDescription = extractPosting(mapped.fields.description || '');
+    const fallback = Object.fromEntries(DESCRIPTION_FALLBACK_FIELDS
+      .filter((field) => field in fromDescription)
+      .map((field) => [field, fromDescription[field]]));
+    fields = { ...fallback, ...mapped.fields };
+    ({ companyWebsite, url } = mapped);
+    method = 'json_ld';
+  } else {
+    fields = extractPosting(page);
+  }
+
+  url = url || findPageUrl(page);
+  if (url) {
+    fields.jobInfo = [fields.jobInfo, `Posting URL: ${url}`].filter(Boolean).join('\n');
+  }
+
+  return {
+    fields,
+    method,
+    url,
+    companyWebsite,
+    sourceType: detectSourceType({ url, siteName: metaContent(page, 'og:site_name'), companyWebsite }),
+  };
+}
+
+module.exports = {
+  findJobPostings,
+  mapJobPosting,
+  findPageUrl,
+  detectSourceType,
+  parseSavedPosting,
+};
@@ -0,0 +1,190 @@
+/**
+ * Job Description Keyword Analysis
+ *
+ * Extracts skills, requirement level, years of experience and seniority from
+ * a job description using the maintained dictionary in skillDictionary.js.
+ * The canonical skill names are what get stored in job_descriptions.keywords.
+ */
+
+const { SKILLS, SENIORITY_LEVELS } = require('./skillDictionary');
+
+const TOP_SKILLS_LIMIT = 10;
+
+// Section headings that switch every following line to required / nice-to-have
+const NICE_TO_HAVE_HEADING = /^(preferred|nice[\s-]to[\s-]haves?|bonus|pluses|desired|desirable|additional)\b/i;
+const REQUIRED_HEADING = /^(requirements?|required|must[\s-]haves?|minimum|basic|qualifications|what you('ll)? (need|bring)|who you are)\b/i;
+const HEADING_MAX_WORDS = 3;
+
+// Phrases that mark a single sentence as nice-to-have wherever it appears
+const NICE_TO_HAVE_INLINE = /\b(nice[\s-]to[\s-]have|preferred|(is |are )?a (big )?plus|bonus|desirable|ideally)\b/i;
+
+const YEARS_PATTERN = /(\d{1,2})\s*(?:\+|(?:-|–|to)\s*(\d{1,2}))?\s*\+?\s*(?:years?|yrs?)\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a regex matching any of the aliases as a whole term
+ * Term boundaries allow symbols inside aliases such as "c++", "c#" and "node.js",
+ * and a leading dot stops "js" matching inside "node.js".
+ */
+const buildTermPattern = (aliases, matchCase = false) => new RegExp(
+  `(?<![A-Za-z0-9.])(?:${aliases.map(escapeRegExp).join('|')})(?![A-Za-z0-9+#])`,
+  matchCase ? 'g' : 'gi'
+);
+
+const SKILL_PATTERNS = SKILLS.map((skill) => ({
+  ...skill,
+  pattern: buildTermPattern(skill.aliases, skill.matchCase),
+}));
+
+const SENIORITY_PATTERNS = SENIORITY_LEVELS.map((entry) => ({
+  ...entry,
+  pattern: buildTermPattern(entry.aliases),
+}));
+
+/**
+ * Split a description into sentences tagged with the section they belong to
+ * @param {string} description - Job description text
+ * @returns {Array<{ text: string, section: string }>} section is 'required', 'nice_to_have' or 'other'
+ */
+function tokenizeSentences(description) {
+  const sentences = [];
+  let section = 'other';
+
+  for (const rawLine of (description || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/^[\s\-*•·]+/, '').trim();
+    if (!line) continue;
+
+    // Headings are short lines ("Nice to have") or lines ending in a colon
+    const isHeading = line.endsWith(':') || line.split(/\s+/).length <= HEADING_MAX_WORDS;
+    if (isHeading && NICE_TO_HAVE_HEADING.test(line)) {
+      section = 'nice_to_have';
+    } else if (isHeading && REQUIRED_HEADING.test(line)) {
+      section = 'required';
+    } else if (isHeading && line.endsWith(':')) {
+      section = 'other';
+    }
+
+    for (const text of line.split(/(?<=[.;!?])\s+/)) {
+      sentences.push({ text, section });
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Find the years of experience asked for
+ * "3-5 years" gives { min: 3, max: 5 }; "5+ years" gives { min: 5, max: null }.
+ * With several mentions the one with the highest minimum is the headline requirement.
+ * @returns {{ min: number, max: number|null }|null}
+ */
+function extractYearsOfExperience(description) {
+  let headline = null;
+
+  for (const match of (description || '').matchAll(YEARS_PATTERN)) {
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : null;
+    if (!headline || min > headline.min) {
+      headline = { min, max: max !== null && max >= min ? max : null };
+    }
+  }
+
+  return headline;
+}
+
+/**
+ * Work out the seniority level from the job title, falling back to years of experience
+ * @returns {{ level: string|null, signals: Array<string> }}
+ */
+function detectSeniority(title, yearsOfExperience) {
+  for (const { level, pattern } of SENIORITY_PATTERNS) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(title || '');
+    if (match) {
+      return { level, signals: [`Title mentions "${match[0]}"`] };
+    }
+  }
+
+  if (yearsOfExperience) {
+    const { min } = yearsOfExperience;
+    const level = min >= 5 ? 'senior' : min >= 2 ? 'mid' : 'junior';
+    return { level, signals: [`Asks for ${min}+ years of experience`] };
+  }
+
+  return { level: null, signals: [] };
+}
+
+/**
+ * Analyze a job description
+ * @param {Object} jobDescription - { title, description }
+ * @returns {Object} {
+ *   keywords: Array<string>,            // canonical skill names, most mentioned first
+ *   topSkills: Array<{ name, category, count, requirement }>,
+ *   required: Array<string>,
+ *   niceToHave: Array<string>,
+ *   yearsOfExperience: { min, max }|null,
+ *   seniority: { level, signals }
+ * }
+ */
+function analyzeJobDescription({ title, description } = {}) {
+  const found = new Map();
+
+  for (const { text, section } of tokenizeSentences(description)) {
+    const niceToHave = section === 'nice_to_have' || NICE_TO_HAVE_INLINE.test(text);
+
+    for (const skill of SKILL_PATTERNS) {
+      const matches = text.match(skill.pattern);
+      if (!matches) continue;
+
+      const entry = found.get(skill.name) || {
+        name: skill.name,
+        category: skill.category,
+        count: 0,
+        requirement: 'nice_to_have',
+      };
+      entry.count += matches.length;
+      // A skill asked for anywhere without a nice-to-have marker is required
+      if (!niceToHave) entry.requirement = 'required';
+      found.set(skill.name, entry);
+    }
+  }
+
+  const skills = [...found.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  const yearsOfExperience = extractYearsOfExperience(description);
+
+  return {
+    keywords: skills.map((skill) => skill.name),
+    topSkills: skills.slice(0, TOP_SKILLS_LIMIT),
+    required: skills.filter((skill) => skill.requirement === 'required').map((skill) => skill.name),
+    niceToHave: skills.filter((skill) => skill.requirement === 'nice_to_have').map((skill) => skill.name),
+    yearsOfExperience,
+    seniority: detectSeniority(title, yearsOfExperience),
+  };
+}
+
+/**
+ * Check whether a term appears in text as a whole term (case-insensitive)
+ * @param {string} text - Text to search
+ * @param {string} term - Term such as "React" or "c++"
+ * @returns {boolean}
+ */
+function containsTerm(text, term) {
+  if (!text || !term) return false;
+  return buildTermPattern([term.toLowerCase()]).test(text);
+}
+
+/**
+ * Extract just the keywords for storage in job_descriptions.keywords
+ * @param {string} description - Job description text
+ * @returns {Array<string>} Canonical skill names
+ */
+function extractKeywords(description) {
+  return analyzeJobDescription({ description }).keywords;
+}
+
+module.exports = {
+  analyzeJobDescription,
+  extractKeywords,
+  containsTerm,
+};
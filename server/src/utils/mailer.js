@@ -0,0 +1,175 @@
+/**
+ * Mailer
+ *
+ * Sends plain-text transactional email (password reset and email verification
+ * links) through a transport picked by MAIL_TRANSPORT:
+ * - console (default outside production): prints the message to the server log.
+ *   Refused when NODE_ENV is production, where it would log live token links.
+ * - file: writes each message as an .eml file under MAIL_DIR (default: server/mail)
+ * - smtp: delivers through SMTP_HOST:SMTP_PORT with nodemailer, e.g. the Mailpit
+ *   container from docker-compose, or a real relay with SMTP_SECURE/SMTP_USER/SMTP_PASSWORD.
+ *   Credentials are only sent over TLS (SMTP_SECURE or STARTTLS).
+ * The sender is MAIL_FROM (default: Spexture <no-reply@spexture-com.local>).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Spexture <no-reply@spexture-com.local>';
+const TRANSPORTS = ['console', 'file', 'smtp'];
+const SMTP_TIMEOUT_MS = 15000;
+
+/**
+ * Extract the bare address from "Name <address>" or "address"
+ * @param {string} mailbox
+ * @returns {string}
+ */
+function getAddress(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Encode a header value that is not plain ASCII (RFC 2047)
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} message
+ * @param {string} message.from - Sender mailbox
+ * @param {string} message.to - Recipient mailbox
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @param {Date} [message.date]
+ * @returns {string} Message with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = getAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+/**
+ * Create the transport for the given environment
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {{name: string, send: Function}} send(raw, envelope) delivers one message
+ */
+function createTransport(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const isProduction = (env.NODE_ENV || env.SPEXTURE_NODE_ENV) === 'production';
+
+  if (isProduction && name === 'console') {
+    throw new Error('MAIL_TRANSPORT must be smtp or file in production; the console transport logs reset and verification links');
+  }
+
+  switch (name) {
+    case 'console':
+      return {
+        name,
+        send: async (raw) => {
+          console.log(`📧 Email (console transport):\n${raw.replace(/\r\n/g, '\n')}`);
+          return {};
+        },
+      };
+
+    case 'file': {
+      const mailDir = path.resolve(env.MAIL_DIR || path.join(__dirname, '../../mail'));
+      return {
+        name,
+        send: async (raw) => {
+          await fs.promises.mkdir(mailDir, { recursive: true });
+          const file = path.join(mailDir, `${Date.now()}-${crypto.randomUUID()}.eml`);
+          await fs.promises.writeFile(file, raw);
+          return { file };
+        },
+      };
+    }
+
+    case 'smtp': {
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+      }
+      const secure = env.SMTP_SECURE === 'true';
+      const auth = env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD || '' } : undefined;
+      const smtp = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+        secure,
+        name: os.hostname(),
+        auth,
+        // With credentials, a relay that does not offer STARTTLS is refused
+        // rather than sent the password in cleartext
+        requireTLS: Boolean(auth) && !secure,
+        connectionTimeout: SMTP_TIMEOUT_MS,
+        greetingTimeout: SMTP_TIMEOUT_MS,
+        socketTimeout: SMTP_TIMEOUT_MS,
+      });
+      return {
+        name,
+        send: (raw, envelope) => smtp.sendMail({ envelope, raw }),
+      };
+    }
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${TRANSPORTS.join(', ')})`);
+  }
+}
+
+let transport = null;
+
+/**
+ * The transport for this process, created on first use
+ * @returns {{name: string, send: Function}}
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport(process.env);
+  }
+  return transport;
+}
+
+/**
+ * Forget the cached transport so the next send reads the environment again
+ */
+function resetTransport() {
+  transport = null;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - { to, subject, text, from (default MAIL_FROM) }
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendMail({ to, subject, text, from }) {
+  const sender = from || process.env.MAIL_FROM || DEFAULT_FROM;
+  const raw = buildMessage({ from: sender, to, subject, text });
+  return getTransport().send(raw, { from: getAddress(sender), to: [getAddress(to)] });
+}
+
+module.exports = {
+  buildMessage,
+  createTransport,
+  getTransport,
+  resetTransport,
+  sendMail,
+};
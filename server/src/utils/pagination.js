@@ -0,0 +1,56 @@
+/**
+ * List Query Helpers
+ *
+ * Shared parsing for the page/limit/sort query parameters accepted by
+ * list endpoints (same rules as GET /api/admin/users).
+ */
+
+/**
+ * Parse and clamp pagination parameters
+ * @param {Object} params - Request query ({ page, limit })
+ * @param {number} defaultLimit - Limit used when missing or invalid
+ * @returns {{ page: number, limit: number, offset: number }}
+ */
+function parsePagination({ page = 1, limit } = {}, defaultLimit = 50) {
+  const parsedPage = parseInt(page);
+  const parsedLimit = parseInt(limit);
+  const validPage = !isNaN(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const validLimit = !isNaN(parsedLimit) && parsedLimit > 0 && parsedLimit <= 100 ? parsedLimit : defaultLimit;
+
+  return {
+    page: validPage,
+    limit: validLimit,
+    offset: (validPage - 1) * validLimit,
+  };
+}
+
+/**
+ * Resolve a sort column and direction against a whitelist
+ * @param {Object} params - Request query ({ sort_by, sort_order })
+ * @param {Array<string>} validColumns - Allowed sort columns
+ * @param {string} defaultColumn - Column used when sort_by is not allowed
+ * @returns {{ sortColumn: string, sortDirection: string }}
+ */
+function parseSort({ sort_by, sort_order = 'DESC' } = {}, validColumns, defaultColumn) {
+  const sortColumn = validColumns.includes(sort_by) ? sort_by : defaultColumn;
+  const sortDirection = String(sort_order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  return { sortColumn, sortDirection };
+}
+
+/**
+ * Build the pagination block returned alongside list results
+ */
+function buildPagination({ page, limit }, totalCount) {
+  return {
+    page,
+    limit,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+  };
+}
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  buildPagination,
+};
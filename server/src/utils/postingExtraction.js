@@ -0,0 +1,298 @@
+/**
+ * Job Posting Extraction
+ *
+ * Pulls the JDAnalyzer form fields out of a posting pasted from a job
+ * board, as plain text or HTML. Labelled lines ("Location: Austin, TX")
+ * win; otherwise fields are recognized in the header block above the
+ * description, then anywhere in the posting. Fields that are not found
+ * are left out so the form keeps whatever the user already entered.
+ */
+
+const validationConfig = require('../../../shared/validationConfig.js');
+const { parseRate, findContractTerms } = require('./compensation');
+
+const { titleMaxLength, companyMaxLength, locationMaxLength, consultingMaxLength } = validationConfig.jobDescription;
+
+// Lines this short at the top of a posting are treated as the title
+const TITLE_MAX_WORDS = 12;
+// A line this long is prose, so the description has started
+const PROSE_MIN_WORDS = 15;
+
+const HTML_PATTERN = /<\/?[a-z][\w-]*(?:\s[^>]*)?\/?>/i;
+const REMOVED_HTML = /<(head|script|style|noscript|template|svg)\b[\s\S]*?<\/\1>|<!--[\s\S]*?-->/gi;
+const BLOCK_TAGS = /<\/?(?:p|div|br|li|ul|ol|h[1-6]|tr|table|section|article|header|footer|main|dl|dd|dt|hr|blockquote)\b[^>]*>/gi;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  bull: '•',
+  middot: '·',
+  hellip: '…',
+  pound: '£',
+  euro: '€',
+  rsquo: '’',
+  lsquo: '‘',
+};
+
+// "Label: value" lines; the first line for each field wins
+const FIELD_LABELS = [
+  ['jobTitle', /^(?:job\s+title|title|position|role)$/i],
+  ['company', /^(?:company|employer|client|organi[sz]ation|hiring\s+company)$/i],
+  ['location', /^(?:location|job\s+location|city|based\s+in)$/i],
+  ['remotePolicy', /^(?:remote|remote\s+policy|workplace(?:\s+type)?|work\s+(?:model|arrangement|location|setting))$/i],
+  ['jobType', /^(?:job\s+type|employment(?:\s+type)?|contract\s+type|position\s+type|type)$/i],
+  ['pay', /^(?:salary|salary\s+range|base\s+salary|compensation|pay|pay\s+rate|rate|day\s+rate|hourly\s+rate)$/i],
+  ['duration', /^(?:duration|contract\s+length|contract\s+duration|length|term|assignment\s+length)$/i],
+  ['contactInfo', /^(?:contact|contact\s+info(?:rmation)?|recruiter|email|phone|apply\s+to)$/i],
+];
+const LABEL_LINE = /^(?:[-*•·]\s*)?([A-Za-z][A-Za-z /]{0,30}?)\s*:\s*(.+)$/;
+
+// Headings that open the description body
+const BODY_HEADING = /^(?:about\b|(?:job|role|position)\s+(?:description|summary|overview|details)|description|overview|summary|responsibilities|requirements|the\s+role|the\s+opportunity|what\s+you(?:'|’)?ll\s+do|who\s+we\s+are)/i;
+
+const ABOUT_COMPANY = /^about\s+(?!the\s+(?:role|job|position|opportunity|team|company)\b|(?:you|us|this\s+role)\b)(.+?):?$/i;
+const HIRING_COMPANY = /^(?!(?:We|Our|The|This)\b)([A-Z][^.!?]{0,60}?)\s+is\s+hiring\b/;
+const TITLE_AT_COMPANY = /^(.+?)\s+(?:at|@)\s+(.+)$/i;
+const SEGMENT_SEPARATOR = /\s+[·|•]\s+/;
+
+const LOCATION_PATTERN = /^[A-Z][A-Za-z.' -]+,\s*[A-Z][A-Za-z. ]+(?:\s*\([^)]*\))?$/;
+// "(Hybrid)" after a location is the remote policy, not part of the place
+const LOCATION_POLICY_SUFFIX = /\s*\((?:remote|hybrid|on[\s-]?site)\)$/i;
+
+const REMOTE_POLICY_PATTERNS = [
+  ['hybrid', /\bhybrid\b/i],
+  ['remote', /\bremote\b/i],
+  ['onsite', /\b(?:on[\s-]?site|in[\s-]office|in[\s-]person)\b/i],
+];
+
+const JOB_TYPE_PATTERNS = [
+  ['full_time', /\b(?:full[\s-]?time|permanent)\b/i],
+  ['part_time', /\bpart[\s-]?time\b/i],
+  ['contract', /\b(?:contract(?:or)?|fixed[\s-]term|temporary|c2c|1099|w-?2)\b/i],
+  ['freelance', /\bfreelance(?:r)?\b/i],
+  ['consulting', /\bconsult(?:ing|ancy)\b/i],
+];
+
+// Amounts need a currency so years of experience and team sizes are not read as pay
+const CURRENCY = '(?:[$£€]|\\b(?:USD|EUR|GBP|CAD|AUD)\\s?)';
+const AMOUNT = '\\d[\\d,]*(?:\\.\\d+)?(?:\\s?[kKmM](?![a-zA-Z]))?';
+const PAY_UNIT = '(?:\\s*(?:\\/|per|an|a)\\s*(?:hour|hr|day|week|wk|month|mo|year|yr|annum)\\b|\\s+(?:hourly|daily|weekly|monthly|annually|yearly))?';
+const MONEY_PATTERN = new RegExp(`${CURRENCY}\\s?${AMOUNT}(?:\\s*(?:-|–|to)\\s*${CURRENCY}?\\s?${AMOUNT})?${PAY_UNIT}`, 'gi');
+
+// Lines that may state a contract length ("5 years of experience" must not)
+const CONTRACT_LINE = /\b(?:contract|duration|assignment|engagement|extension|c2c|1099|w-?2)\b/i;
+const EXPERIENCE_LINE = /\bexperience\b/i;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+const decodeEntities = (text) => text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] !== '#') return ENTITIES[code.toLowerCase()] ?? entity;
+  const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+  return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+});
+
+const normalizeLines = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .split('\n')
+  .map((line) => line.trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Convert an HTML posting to plain text, one block element per line
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => normalizeLines(decodeEntities(
+  String(html)
+    .replace(REMOVED_HTML, ' ')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]+>/g, '')
+));
+
+const wordCount = (line) => line.split(/\s+/).filter(Boolean).length;
+
+const truncate = (text, max) => (text.length > max ? text.slice(0, max).trim() : text);
+
+/**
+ * Find the value whose pattern matches earliest in the text
+ * @param {string} text
+ * @param {Array<[string, RegExp]>} patterns
+ * @returns {string|null}
+ */
+const earliestMatch = (text, patterns) => {
+  let best = null;
+  patterns.forEach(([value, pattern]) => {
+    const match = text.match(pattern);
+    if (match && (best === null || match.index < best.index)) {
+      best = { value, index: match.index };
+    }
+  });
+  return best ? best.value : null;
+};
+
+/**
+ * Collect "Label: value" lines by field
+ * @param {Array<string>} lines
+ * @returns {Object} field -> { value, index }
+ */
+const findLabels = (lines) => {
+  const labels = {};
+  lines.forEach((line, index) => {
+    const match = line.match(LABEL_LINE);
+    if (!match) return;
+    const field = FIELD_LABELS.find(([, pattern]) => pattern.test(match[1].trim()));
+    if (field && !labels[field[0]]) {
+      labels[field[0]] = { value: match[2].trim(), index };
+    }
+  });
+  return labels;
+};
+
+/**
+ * Read pay from text: a yearly amount becomes the salary range, anything
+ * paid per hour, day, week or month becomes the consulting rate
+ * @param {string} text
+ * @param {boolean} requireCurrency - Only consider amounts with a currency
+ * @returns {Object|null} Form fields
+ */
+const findPay = (text, requireCurrency) => {
+  const candidates = requireCurrency
+    ? [...text.matchAll(MONEY_PATTERN)].map((match) => match[0].trim())
+    : [text];
+
+  for (const candidate of candidates) {
+    const rate = parseRate(candidate, candidate);
+    if (!rate) continue;
+
+    if (rate.period === 'year') {
+      return {
+        salaryRangeMin: rate.min,
+        salaryRangeMax: rate.max,
+        ...(rate.currency && { salaryCurrency: rate.currency }),
+      };
+    }
+    return { consultingRate: truncate(candidate, consultingMaxLength) };
+  }
+  return null;
+};
+
+/**
+ * Extract the analyzer form fields from a pasted posting
+ * @param {string} content - Plain text or HTML
+ * @returns {Object} camelCase form fields that were found: jobTitle, company,
+ *   location, remotePolicy, jobType, salaryRangeMin, salaryRangeMax,
+ *   salaryCurrency, consultingRate, consultingPeriod, contactInfo, jobInfo, description
+ */
+function extractPosting(content) {
+  const raw = String(content || '');
+  const isHtml = HTML_PATTERN.test(raw);
+  const text = isHtml ? htmlToText(raw) : normalizeLines(raw);
+  // Blank lines are kept so the description keeps its paragraphs
+  const lines = text.split('\n');
+  if (!lines[0]) return {};
+
+  const labels = findLabels(lines);
+  const labelledIndexes = new Set(Object.values(labels).map(({ index }) => index));
+  const fields = {};
+
+  // Title: labelled, the page's <h1>, or a short first line
+  let title = labels.jobTitle?.value || null;
+  let titleIndex = -1;
+  const heading = !title && isHtml && raw.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  if (heading) {
+    title = htmlToText(heading[1]).replace(/\n/g, ' ');
+    titleIndex = lines.indexOf(title);
+  } else if (!title && !labelledIndexes.has(0) && wordCount(lines[0]) <= TITLE_MAX_WORDS) {
+    title = lines[0];
+    titleIndex = 0;
+  }
+
+  // The header runs from the top of the posting to the first body heading or paragraph
+  let bodyStart = lines.findIndex((line, index) => (
+    index > titleIndex && !labelledIndexes.has(index)
+    && ((wordCount(line) <= TITLE_MAX_WORDS && BODY_HEADING.test(line)) || wordCount(line) >= PROSE_MIN_WORDS)
+  ));
+  if (bodyStart === -1) bodyStart = titleIndex + 1;
+  const header = lines.slice(0, bodyStart)
+    .filter((line, index) => line && index !== titleIndex && !labelledIndexes.has(index));
+  const body = lines.slice(bodyStart).filter((_, index) => !labelledIndexes.has(index + bodyStart));
+
+  // Company: labelled, "Title at Company", a header segment, "Company is hiring" or "About Company"
+  let company = labels.company?.value || null;
+  const titleAtCompany = title && !labels.jobTitle && title.match(TITLE_AT_COMPANY);
+  if (titleAtCompany) {
+    title = titleAtCompany[1];
+    company = company || titleAtCompany[2];
+  }
+
+  // Job boards list "Company · City, ST · Full-time" under the title
+  let location = labels.location?.value || null;
+  header.filter((line) => !LABEL_LINE.test(line)).forEach((line, lineIndex) => {
+    line.split(SEGMENT_SEPARATOR).forEach((segment) => {
+      if (LOCATION_PATTERN.test(segment)) {
+        location = location || segment;
+      } else if (!company && lineIndex === 0 && wordCount(segment) <= 6 && !/\d/.test(segment)
+        && !earliestMatch(segment, [...REMOTE_POLICY_PATTERNS, ...JOB_TYPE_PATTERNS])) {
+        company = segment;
+      }
+    });
+  });
+
+  if (!company) {
+    const hiring = lines.map((line) => line.match(HIRING_COMPANY)).find(Boolean);
+    const about = lines.map((line) => wordCount(line) <= TITLE_MAX_WORDS && line.match(ABOUT_COMPANY)).find(Boolean);
+    company = (hiring && hiring[1]) || (about && about[1]) || null;
+  }
+
+  if (title) fields.jobTitle = truncate(title, titleMaxLength);
+  if (company) fields.company = truncate(company, companyMaxLength);
+  if (location) fields.location = truncate(location.replace(LOCATION_POLICY_SUFFIX, ''), locationMaxLength);
+
+  // Remote policy and job type: labelled value, then the title and header, then the whole posting
+  const headerText = header.join('\n');
+  const topText = [title, headerText].filter(Boolean).join('\n');
+  const remotePolicy = earliestMatch(labels.remotePolicy?.value || '', REMOTE_POLICY_PATTERNS)
+    || earliestMatch(labels.location?.value || '', REMOTE_POLICY_PATTERNS)
+    || earliestMatch(topText, REMOTE_POLICY_PATTERNS)
+    || earliestMatch(text, REMOTE_POLICY_PATTERNS);
+  if (remotePolicy) fields.remotePolicy = remotePolicy;
+
+  const jobType = earliestMatch(labels.jobType?.value || '', JOB_TYPE_PATTERNS)
+    || earliestMatch(topText, JOB_TYPE_PATTERNS)
+    || earliestMatch(text, JOB_TYPE_PATTERNS);
+  if (jobType) fields.jobType = jobType;
+
+  Object.assign(fields, (labels.pay && findPay(labels.pay.value, false)) || findPay(text, true));
+
+  const consultingPeriod = labels.duration?.value || findContractTerms(
+    lines.find((line) => CONTRACT_LINE.test(line) && !EXPERIENCE_LINE.test(line) && findContractTerms(line))
+  );
+  if (consultingPeriod) fields.consultingPeriod = truncate(consultingPeriod, consultingMaxLength);
+
+  // Contact: labelled, otherwise every email address and phone number in the posting
+  const contacts = [...text.matchAll(EMAIL_PATTERN), ...text.matchAll(PHONE_PATTERN)].map((match) => match[0]);
+  const contactInfo = labels.contactInfo?.value || [...new Set(contacts)].join(', ');
+  if (contactInfo) fields.contactInfo = contactInfo;
+
+  if (header.length > 0) fields.jobInfo = headerText;
+  const description = body.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (description) fields.description = description;
+
+  return fields;
+}
+
+module.exports = {
+  htmlToText,
+  extractPosting,
+};
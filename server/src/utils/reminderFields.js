@@ -0,0 +1,30 @@
+/**
+ * Reminder Fields
+ *
+ * Columns and joins shared by the reminder and notification queries, so a
+ * reminder reads the same in both: with the job, interview round and
+ * recruiter it is tied to.
+ */
+
+/**
+ * Columns selected for every reminder response
+ */
+const REMINDER_COLUMNS = `
+  rm.id, rm.title, rm.notes, rm.due_at, rm.status,
+  rm.notified_at, rm.read_at, rm.completed_at,
+  rm.job_description_id, jd.title AS job_title,
+  COALESCE(c.name, jd.company) AS company_name,
+  rm.interview_id, i.round AS interview_round, i.interview_type,
+  rm.recruiter_id, r.name AS recruiter_name,
+  rm.created_at, rm.updated_at`;
+
+const REMINDER_FROM = `FROM reminders rm
+  LEFT JOIN job_descriptions jd ON rm.job_description_id = jd.id
+  LEFT JOIN companies c ON jd.company_id = c.id
+  LEFT JOIN interviews i ON rm.interview_id = i.id
+  LEFT JOIN recruiters r ON rm.recruiter_id = r.id`;
+
+module.exports = {
+  REMINDER_COLUMNS,
+  REMINDER_FROM,
+};
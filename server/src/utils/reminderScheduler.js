@@ -0,0 +1,72 @@
+/**
+ * Reminder Scheduler
+ *
+ * Periodically marks reminders whose due time has passed as due, which is
+ * what turns them into notifications. Runs in the server process; set
+ * REMINDER_CHECK_INTERVAL_SECONDS to change how often it checks (default 60).
+ */
+
+const { query } = require('../database/connection');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * How often to check for due reminders
+ * @returns {number} Interval in milliseconds
+ */
+function getCheckInterval() {
+  const seconds = parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS, 10);
+  return (seconds > 0 ? seconds : DEFAULT_INTERVAL_SECONDS) * 1000;
+}
+
+/**
+ * Mark every scheduled reminder that is past its due time as due
+ * @returns {Promise<number>} Number of reminders marked due
+ */
+async function markDueReminders() {
+  const result = await query(
+    `UPDATE reminders
+     SET status = 'due', notified_at = CURRENT_TIMESTAMP
+     WHERE status = 'scheduled' AND due_at <= CURRENT_TIMESTAMP
+     RETURNING id`
+  );
+  return result.rows.length;
+}
+
+/**
+ * Check for due reminders now and then on an interval
+ * A check is skipped while the previous one is still running. The timer
+ * does not keep the process alive on its own.
+ * @param {number} intervalMs - Milliseconds between checks
+ * @returns {Function} Stops the scheduler
+ */
+function startReminderScheduler(intervalMs = getCheckInterval()) {
+  let isChecking = false;
+
+  const check = async () => {
+    if (isChecking) return;
+    isChecking = true;
+    try {
+      const count = await markDueReminders();
+      if (count > 0) {
+        console.log(`⏰ ${count} reminder(s) due`);
+      }
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      isChecking = false;
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getCheckInterval,
+  markDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,101 @@
+/**
+ * Resume Matching
+ *
+ * Scores resumes against a job description's keywords. Required keywords
+ * count double; a keyword matches when the resume's highlighted skills or
+ * extracted text mention it (directly or through a dictionary alias).
+ */
+
+const { analyzeJobDescription, extractKeywords, containsTerm } = require('./keywordAnalysis');
+
+const REQUIRED_WEIGHT = 2;
+const NICE_TO_HAVE_WEIGHT = 1;
+
+/**
+ * Work out the keywords to score against and their weights
+ * Stored keywords win; otherwise they are extracted from the description.
+ * @param {Object} jobDescription - Row with title, description, keywords
+ * @returns {Array<{ keyword: string, weight: number }>}
+ */
+function getWeightedKeywords(jobDescription) {
+  const analysis = analyzeJobDescription(jobDescription);
+  const keywords = jobDescription.keywords && jobDescription.keywords.length > 0
+    ? jobDescription.keywords
+    : analysis.keywords;
+  const niceToHave = new Set(analysis.niceToHave);
+
+  return keywords.map((keyword) => ({
+    keyword,
+    weight: niceToHave.has(keyword) ? NICE_TO_HAVE_WEIGHT : REQUIRED_WEIGHT,
+  }));
+}
+
+/**
+ * Score one resume
+ * @param {Object} resume - Row with skills_highlighted and content_summary
+ * @param {Array<{ keyword, weight }>} weightedKeywords
+ * @returns {{ score: number, matchedKeywords: Array<string>, missingKeywords: Array<string> }}
+ */
+function scoreResume(resume, weightedKeywords) {
+  const text = [(resume.skills_highlighted || []).join(', '), resume.content_summary || ''].join('\n');
+  const resumeSkills = new Set(extractKeywords(text));
+
+  const matchedKeywords = [];
+  const missingKeywords = [];
+  let matchedWeight = 0;
+  let totalWeight = 0;
+
+  for (const { keyword, weight } of weightedKeywords) {
+    totalWeight += weight;
+    if (resumeSkills.has(keyword) || containsTerm(text, keyword)) {
+      matchedKeywords.push(keyword);
+      matchedWeight += weight;
+    } else {
+      missingKeywords.push(keyword);
+    }
+  }
+
+  return {
+    score: totalWeight === 0 ? 0 : Math.round((matchedWeight / totalWeight) * 100),
+    matchedKeywords,
+    missingKeywords,
+  };
+}
+
+/**
+ * Rank resumes against a job description, best match first
+ * Ties go to the active version, then the newest version.
+ * @param {Object} jobDescription - Job description row
+ * @param {Array<Object>} resumes - Resume rows
+ * @returns {{ keywords: Array<string>, matches: Array<Object>, recommendedResumeId: string|null }}
+ */
+function rankResumes(jobDescription, resumes) {
+  const weightedKeywords = getWeightedKeywords(jobDescription);
+
+  const matches = resumes
+    .map((resume) => ({
+      resume: {
+        id: resume.id,
+        title: resume.title,
+        version_number: resume.version_number,
+        is_active: resume.is_active,
+      },
+      ...scoreResume(resume, weightedKeywords),
+    }))
+    .sort((a, b) => b.score - a.score
+      || Number(b.resume.is_active) - Number(a.resume.is_active)
+      || b.resume.version_number - a.resume.version_number);
+
+  const best = matches[0];
+
+  return {
+    keywords: weightedKeywords.map(({ keyword }) => keyword),
+    matches,
+    recommendedResumeId: best && best.score > 0 ? best.resume.id : null,
+  };
+}
+
+module.exports = {
+  rankResumes,
+  scoreResume,
+};
@@ -0,0 +1,80 @@
+/**
+ * Full-Text Search Helpers
+ *
+ * PostgreSQL's ts_headline marks matched words with StartSel/StopSel
+ * strings inside plain text. Rather than sending HTML to the client, the
+ * headline is built with control characters as markers and split here into
+ * `{ text, match }` segments the client renders as text and <mark> elements.
+ */
+
+const validationConfig = require('../../../shared/validationConfig.js');
+
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+/**
+ * ts_headline options (passed as a query parameter)
+ */
+const HEADLINE_OPTIONS = [
+  `StartSel=${HIGHLIGHT_START}`,
+  `StopSel=${HIGHLIGHT_STOP}`,
+  'MaxWords=25',
+  'MinWords=10',
+  'MaxFragments=2',
+  'FragmentDelimiter=" ... "',
+].join(', ');
+
+/**
+ * Split a ts_headline result into highlighted and plain segments
+ * Stray markers (e.g. an unmatched stop) are dropped; empty segments are skipped.
+ * @param {string|null} headline - ts_headline output using HEADLINE_OPTIONS
+ * @returns {Array<{ text: string, match: boolean }>} Segments in order
+ */
+const parseHeadline = (headline) => {
+  const segments = [];
+  if (!headline) return segments;
+
+  let match = false;
+  let text = '';
+  const flush = () => {
+    const last = segments[segments.length - 1];
+    if (!text) return;
+    if (last && last.match === match) {
+      last.text += text;
+    } else {
+      segments.push({ text, match });
+    }
+    text = '';
+  };
+
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+      flush();
+      match = char === HIGHLIGHT_START;
+    } else {
+      text += char;
+    }
+  }
+  flush();
+
+  return segments;
+};
+
+/**
+ * Resolve the comma-separated `types` query parameter
+ * @param {string} [types] - e.g. "companies,recruiters"; all types when empty
+ * @returns {Array<string>} Known types in display order
+ */
+const parseTypes = (types) => {
+  const allTypes = validationConfig.search.types;
+  if (!types) return allTypes;
+
+  const requested = String(types).split(',').map(type => type.trim());
+  return allTypes.filter(type => requested.includes(type));
+};
+
+module.exports = {
+  HEADLINE_OPTIONS,
+  parseHeadline,
+  parseTypes,
+};
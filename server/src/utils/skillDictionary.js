@@ -0,0 +1,115 @@
+/**
+ * Skill Dictionary
+ *
+ * The skills, technologies and seniority terms the job description analysis
+ * recognizes. Add new entries here; each skill has a canonical `name` (stored
+ * in job_descriptions.keywords), a `category`, and the lowercase `aliases`
+ * that appear in postings. Set `matchCase` for short aliases that are also
+ * ordinary English words (e.g. "Go").
+ */
+
+const SKILLS = [
+  // Languages
+  { name: 'JavaScript', category: 'language', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+  { name: 'TypeScript', category: 'language', aliases: ['typescript'] },
+  { name: 'Python', category: 'language', aliases: ['python'] },
+  { name: 'Java', category: 'language', aliases: ['java'] },
+  { name: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+  { name: 'C#', category: 'language', aliases: ['c#', 'csharp'] },
+  { name: 'C++', category: 'language', aliases: ['c++', 'cpp'] },
+  { name: 'Go', category: 'language', aliases: ['Go', 'golang', 'Golang'], matchCase: true },
+  { name: 'Rust', category: 'language', aliases: ['rust'] },
+  { name: 'Ruby', category: 'language', aliases: ['ruby'] },
+  { name: 'PHP', category: 'language', aliases: ['php'] },
+  { name: 'Swift', category: 'language', aliases: ['swift'] },
+  { name: 'Scala', category: 'language', aliases: ['scala'] },
+  { name: 'SQL', category: 'language', aliases: ['sql'] },
+  { name: 'Bash', category: 'language', aliases: ['bash', 'shell scripting'] },
+
+  // Frameworks and libraries
+  { name: 'React', category: 'framework', aliases: ['react', 'react.js', 'reactjs'] },
+  { name: 'React Native', category: 'framework', aliases: ['react native'] },
+  { name: 'Angular', category: 'framework', aliases: ['angular', 'angularjs'] },
+  { name: 'Vue', category: 'framework', aliases: ['vue', 'vue.js', 'vuejs'] },
+  { name: 'Next.js', category: 'framework', aliases: ['next.js', 'nextjs'] },
+  { name: 'Node.js', category: 'framework', aliases: ['node', 'node.js', 'nodejs'] },
+  { name: 'Express', category: 'framework', aliases: ['express.js', 'expressjs'] },
+  { name: 'Django', category: 'framework', aliases: ['django'] },
+  { name: 'Flask', category: 'framework', aliases: ['flask'] },
+  { name: 'FastAPI', category: 'framework', aliases: ['fastapi'] },
+  { name: 'Spring', category: 'framework', aliases: ['spring', 'spring boot'] },
+  { name: '.NET', category: 'framework', aliases: ['.net', 'dotnet', 'asp.net'] },
+  { name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ruby on rails'] },
+  { name: 'GraphQL', category: 'framework', aliases: ['graphql'] },
+  { name: 'Redux', category: 'framework', aliases: ['redux'] },
+  { name: 'TensorFlow', category: 'framework', aliases: ['tensorflow'] },
+  { name: 'PyTorch', category: 'framework', aliases: ['pytorch'] },
+  { name: 'Pandas', category: 'framework', aliases: ['pandas'] },
+  { name: 'Spark', category: 'framework', aliases: ['spark', 'apache spark', 'pyspark'] },
+
+  // Databases and messaging
+  { name: 'PostgreSQL', category: 'database', aliases: ['postgresql', 'postgres'] },
+  { name: 'MySQL', category: 'database', aliases: ['mysql'] },
+  { name: 'SQL Server', category: 'database', aliases: ['sql server', 'mssql'] },
+  { name: 'Oracle', category: 'database', aliases: ['oracle'] },
+  { name: 'MongoDB', category: 'database', aliases: ['mongodb', 'mongo'] },
+  { name: 'Redis', category: 'database', aliases: ['redis'] },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  { name: 'DynamoDB', category: 'database', aliases: ['dynamodb'] },
+  { name: 'Snowflake', category: 'database', aliases: ['snowflake'] },
+  { name: 'Kafka', category: 'database', aliases: ['kafka', 'apache kafka'] },
+  { name: 'RabbitMQ', category: 'database', aliases: ['rabbitmq'] },
+
+  // Cloud and DevOps
+  { name: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services'] },
+  { name: 'Azure', category: 'cloud', aliases: ['azure'] },
+  { name: 'GCP', category: 'cloud', aliases: ['gcp', 'google cloud'] },
+  { name: 'Docker', category: 'cloud', aliases: ['docker'] },
+  { name: 'Kubernetes', category: 'cloud', aliases: ['kubernetes', 'k8s', 'eks', 'aks', 'gke'] },
+  { name: 'Terraform', category: 'cloud', aliases: ['terraform'] },
+  { name: 'Ansible', category: 'cloud', aliases: ['ansible'] },
+  { name: 'CI/CD', category: 'cloud', aliases: ['ci/cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Jenkins', category: 'cloud', aliases: ['jenkins'] },
+  { name: 'GitHub Actions', category: 'cloud', aliases: ['github actions'] },
+  { name: 'Linux', category: 'cloud', aliases: ['linux', 'unix'] },
+  { name: 'Serverless', category: 'cloud', aliases: ['serverless', 'aws lambda'] },
+
+  // Tools and practices
+  { name: 'Git', category: 'practice', aliases: ['git'] },
+  { name: 'REST APIs', category: 'practice', aliases: ['restful', 'rest api', 'rest apis'] },
+  { name: 'Microservices', category: 'practice', aliases: ['microservices', 'microservice'] },
+  { name: 'Agile', category: 'practice', aliases: ['agile', 'scrum', 'kanban'] },
+  { name: 'TDD', category: 'practice', aliases: ['tdd', 'test-driven development', 'test driven development'] },
+  { name: 'Unit Testing', category: 'practice', aliases: ['unit testing', 'unit tests', 'jest', 'junit', 'pytest'] },
+  { name: 'Machine Learning', category: 'practice', aliases: ['machine learning', 'ml', 'deep learning'] },
+  { name: 'Data Engineering', category: 'practice', aliases: ['data engineering', 'etl', 'data pipelines'] },
+  { name: 'Security', category: 'practice', aliases: ['security', 'owasp', 'oauth'] },
+  { name: 'System Design', category: 'practice', aliases: ['system design', 'distributed systems', 'scalability'] },
+  { name: 'HTML', category: 'practice', aliases: ['html', 'html5'] },
+  { name: 'CSS', category: 'practice', aliases: ['css', 'css3', 'sass', 'scss', 'tailwind'] },
+
+  // Soft skills
+  { name: 'Communication', category: 'soft_skill', aliases: ['communication skills', 'communicator'] },
+  { name: 'Leadership', category: 'soft_skill', aliases: ['leadership', 'mentoring', 'mentor'] },
+  { name: 'Stakeholder Management', category: 'soft_skill', aliases: ['stakeholder management', 'stakeholders'] },
+];
+
+/**
+ * Seniority levels, most senior first so the highest matching level wins.
+ * Matched against the job title only - descriptions mention other roles too.
+ */
+const SENIORITY_LEVELS = [
+  { level: 'director', aliases: ['director', 'vp', 'vice president', 'head of'] },
+  { level: 'principal', aliases: ['principal', 'distinguished', 'architect'] },
+  { level: 'staff', aliases: ['staff'] },
+  { level: 'lead', aliases: ['lead', 'tech lead', 'team lead'] },
+  { level: 'senior', aliases: ['senior', 'sr', 'sr.'] },
+  { level: 'mid', aliases: ['mid-level', 'mid level', 'intermediate'] },
+  { level: 'junior', aliases: ['junior', 'jr', 'jr.', 'entry level', 'entry-level', 'graduate'] },
+  { level: 'intern', aliases: ['intern', 'internship'] },
+];
+
+module.exports = {
+  SKILLS,
+  SENIORITY_LEVELS,
+};
@@ -0,0 +1,121 @@
+/**
+ * Cover Letter Template Merge
+ *
+ * Templates contain {{group.field}} placeholders that are filled from the
+ * job description being applied to, its linked company and recruiter, and
+ * the current user. Unknown or empty placeholders are left in the text so
+ * they are easy to spot and fill in by hand.
+ */
+
+/**
+ * Supported placeholders
+ * Each entry maps a placeholder to a description and a resolver that reads
+ * the merge context ({ job, company, recruiter, user, today }).
+ */
+const PLACEHOLDERS = {
+  'job.title': {
+    description: 'Job title',
+    resolve: ({ job }) => job.title,
+  },
+  'job.location': {
+    description: 'Job location',
+    resolve: ({ job }) => job.location,
+  },
+  'company.name': {
+    description: 'Company name (linked company, or the company text on the posting)',
+    resolve: ({ company, job }) => (company && company.name) || job.company,
+  },
+  'company.industry': {
+    description: 'Company industry',
+    resolve: ({ company }) => company && company.industry,
+  },
+  'company.location': {
+    description: 'Company headquarters location',
+    resolve: ({ company }) => company && company.headquarters_location,
+  },
+  'company.website': {
+    description: 'Company website',
+    resolve: ({ company }) => company && company.website,
+  },
+  'recruiter.name': {
+    description: 'Recruiter name',
+    resolve: ({ recruiter }) => recruiter && recruiter.name,
+  },
+  'recruiter.title': {
+    description: 'Recruiter job title',
+    resolve: ({ recruiter }) => recruiter && recruiter.title,
+  },
+  'recruiter.email': {
+    description: 'Recruiter email',
+    resolve: ({ recruiter }) => recruiter && recruiter.email,
+  },
+  'user.name': {
+    description: 'Your name',
+    resolve: ({ user }) => user && user.name,
+  },
+  'user.email': {
+    description: 'Your email',
+    resolve: ({ user }) => user && user.email,
+  },
+  date: {
+    description: "Today's date",
+    resolve: ({ today }) => today,
+  },
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+(?:\.[a-zA-Z]+)?)\s*\}\}/g;
+
+/**
+ * Format a date the way it would appear at the top of a letter
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "June 1, 2024"
+ */
+const formatLetterDate = (date) => date.toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+});
+
+/**
+ * Replace placeholders in a template
+ * @param {string} content - Template text
+ * @param {Object} context - { job, company, recruiter, user, today }
+ * @returns {{ content: string, unresolved: Array<string> }} Merged text and placeholders left unfilled
+ */
+function mergeTemplate(content, context) {
+  const unresolved = new Set();
+  const mergeContext = {
+    today: formatLetterDate(new Date()),
+    ...context,
+    job: context.job || {},
+  };
+
+  const merged = (content || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const placeholder = PLACEHOLDERS[key];
+    const value = placeholder ? placeholder.resolve(mergeContext) : null;
+
+    if (value === null || value === undefined || String(value).trim() === '') {
+      unresolved.add(key);
+      return match;
+    }
+    return String(value);
+  });
+
+  return { content: merged, unresolved: [...unresolved] };
+}
+
+/**
+ * List supported placeholders for editors
+ * @returns {Array<{ placeholder: string, description: string }>}
+ */
+function listPlaceholders() {
+  return Object.entries(PLACEHOLDERS).map(([key, { description }]) => ({
+    placeholder: `{{${key}}}`,
+    description,
+  }));
+}
+
+module.exports = {
+  mergeTemplate,
+  listPlaceholders,
+};
@@ -0,0 +1,52 @@
+/**
+ * Document Text Extraction
+ *
+ * Extracts plain text from uploaded pdf, docx, and txt files so it can be
+ * stored alongside the file and used for keyword analysis and matching.
+ */
+
+// Require the library entry directly: the package index runs a debug
+// self-test when it is not loaded as a child module.
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+/**
+ * Collapse runs of blank lines and trailing spaces left by the extractors
+ * @param {string} text - Raw extracted text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract plain text from a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - 'pdf', 'docx', or 'txt'
+ * @returns {Promise<string>} Extracted text
+ */
+async function extractText(buffer, fileType) {
+  switch (fileType) {
+    case 'pdf': {
+      const result = await pdfParse(buffer);
+      return normalizeText(result.text || '');
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return normalizeText(result.value || '');
+    }
+    case 'txt':
+      return normalizeText(buffer.toString('utf8'));
+    default:
+      throw new Error(`Unsupported file type: ${fileType}`);
+  }
+}
+
+module.exports = {
+  extractText,
+  normalizeText,
+};
@@ -5,17 +5,18 @@
  * This ensures server-side validation matches client-side validation.
  */
 
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const validationConfig = require('../../../shared/validationConfig.js');
 
 /**
  * Get express-validator rules for a field type
  * @param {string} fieldType - Field type ('name', 'email', 'password')
- * @param {Object} options - Options like { required: true, optional: false }
+ * @param {Object} options - Options like { required: true, optional: false, field: 'newPassword' }
+ *   (field is the body field to validate; defaults to the field type)
  * @returns {Array} Array of express-validator middleware
  */
 function getFieldValidators(fieldType, options = {}) {
-  const { required = true, optional = false } = options;
+  const { required = true, optional = false, field = fieldType } = options;
   const config = validationConfig[fieldType];
   
   if (!config) {
@@ -77,7 +78,7 @@ function getFieldValidators(fieldType, options = {}) {
       
     case 'password':
       validators.push(
-        body('password')
+        body(field)
           .isLength({ min: config.minLength })
           .withMessage(`Password ${config.messages.rules.minLength(config.minLength)}`)
           .matches(/[A-Z]/)
@@ -119,10 +120,856 @@ function getProfileUpdateValidators() {
   ];
 }
 
+/**
+ * Get validation rules for job description create/update
+ * Field names are the camelCase names sent by the JDAnalyzer form.
+ * Empty strings are treated as "not provided" for optional fields.
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getJobDescriptionValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.jobDescription;
+  const { messages } = config;
+  const validators = [];
+
+  // Job title is the only required field on create
+  const title = partial ? body('jobTitle').optional() : body('jobTitle');
+  validators.push(
+    title
+      .isString()
+      .withMessage(messages.titleRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.titleRequired)
+      .isLength({ max: config.titleMaxLength })
+      .withMessage(messages.maxLength('Job title', config.titleMaxLength))
+  );
+
+  const lengthLimited = [
+    ['company', 'Company', config.companyMaxLength],
+    ['location', 'Location', config.locationMaxLength],
+    ['consultingRate', 'Consulting rate', config.consultingMaxLength],
+    ['consultingPeriod', 'Consulting period', config.consultingMaxLength],
+    ['salaryCurrency', 'Salary currency', config.currencyMaxLength],
+  ];
+  lengthLimited.forEach(([field, label, max]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max })
+        .withMessage(messages.maxLength(label, max))
+    );
+  });
+
+  ['description', 'contactInfo', 'jobInfo', 'notes'].forEach((field) => {
+    validators.push(body(field).optional({ values: 'null' }).isString());
+  });
+
+  const enums = [
+    ['status', 'Status', config.statuses],
+    ['jobType', 'Job type', config.jobTypes],
+    ['remotePolicy', 'Remote policy', config.remotePolicies],
+  ];
+  enums.forEach(([field, label, values]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isIn(values)
+        .withMessage(messages.oneOf(label, values))
+    );
+  });
+
+  const dates = [
+    ['date', 'Date'],
+    ['datePosted', 'Date posted'],
+    ['applicationDeadline', 'Application deadline'],
+  ];
+  dates.forEach(([field, label]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isISO8601({ strict: true })
+        .withMessage(messages.invalidDate(label))
+    );
+  });
+
+  const ids = [
+    ['companyId', 'Company'],
+    ['sourceId', 'Source'],
+    ['recruiterId', 'Recruiter'],
+  ];
+  ids.forEach(([field, label]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isUUID()
+        .withMessage(messages.invalidId(label))
+    );
+  });
+
+  const amounts = [
+    ['salaryRangeMin', 'Minimum salary'],
+    ['salaryRangeMax', 'Maximum salary'],
+  ];
+  amounts.forEach(([field, label]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isFloat({ min: 0 })
+        .withMessage(messages.invalidAmount(label))
+    );
+  });
+
+  validators.push(
+    body('keywords')
+      .optional({ values: 'null' })
+      .isArray()
+      .withMessage('Keywords must be an array of strings'),
+    body('keywords.*').isString().trim()
+  );
+
+  return validators;
+}
+
+/**
+ * Get validation rules for moving a job description to a new pipeline status
+ * Only checks that the status exists; legal transitions are checked by the route.
+ * @returns {Array} Array of express-validator middleware
+ */
+function getStatusChangeValidators() {
+  const config = validationConfig.jobDescription;
+  const { messages } = config;
+
+  return [
+    body('status')
+      .isIn(config.statuses)
+      .withMessage(messages.oneOf('Status', config.statuses)),
+    body('note').optional({ values: 'null' }).isString().trim(),
+  ];
+}
+
+/**
+ * Get validation rules for extracting form fields from a pasted posting
+ * @returns {Array} Array of express-validator middleware
+ */
+function getPostingExtractionValidators() {
+  const config = validationConfig.jobDescription;
+  const { messages } = config;
+
+  return [
+    body('content')
+      .isString()
+      .withMessage(messages.postingRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.postingRequired)
+      .isLength({ max: config.postingMaxLength })
+      .withMessage(messages.maxLength('Posting', config.postingMaxLength)),
+  ];
+}
+
+/**
+ * Get validation rules for the job list filter and sort query parameters
+ * GET /api/job-descriptions falls back to date order for an unknown sort; saved filters
+ * (smart views) hold the same parameters and pass { sort: true } to reject bad sorts.
+ * @param {Object} options - Options like { sort: true } to validate sort_by/sort_order
+ * @returns {Array} Array of express-validator middleware
+ */
+function getJobListFilterValidators(options = {}) {
+  const { sort = false } = options;
+  const config = validationConfig.jobDescription;
+  const { messages } = config;
+
+  const amounts = [
+    ['min_salary', 'Minimum salary'],
+    ['max_salary', 'Maximum salary'],
+    ['min_annual_rate', 'Minimum annual rate'],
+    ['max_annual_rate', 'Maximum annual rate'],
+    ['min_rate', 'Minimum rate'],
+    ['max_rate', 'Maximum rate'],
+  ];
+  const choices = [
+    ['status', 'Status', config.statuses],
+    ['remote_policy', 'Remote policy', config.remotePolicies],
+    ['job_type', 'Job type', config.jobTypes],
+    ['engagement_type', 'Engagement type', config.engagementTypes],
+    ['rate_unit', 'Rate unit', config.rateUnits],
+  ];
+  const ids = [
+    ['source_id', 'Source'],
+    ['company_id', 'Company'],
+  ];
+
+  const validators = [
+    ...amounts.map(([field, label]) => query(field)
+      .optional({ values: 'falsy' })
+      .isFloat({ min: 0 })
+      .withMessage(messages.invalidAmount(label))),
+    ...choices.map(([field, label, values]) => query(field)
+      .optional({ values: 'falsy' })
+      .isIn(values)
+      .withMessage(messages.oneOf(label, values))),
+    ...ids.map(([field, label]) => query(field)
+      .optional({ values: 'falsy' })
+      .isUUID()
+      .withMessage(messages.invalidId(label))),
+    query('found_within_days')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: config.foundWithinMaxDays })
+      .withMessage(messages.invalidDays('Found within', config.foundWithinMaxDays)),
+  ];
+
+  if (sort) {
+    validators.push(
+      query('sort_by')
+        .optional({ values: 'falsy' })
+        .isIn(config.sortColumns)
+        .withMessage(messages.oneOf('Sort column', config.sortColumns)),
+      query('sort_order')
+        .optional({ values: 'falsy' })
+        .customSanitizer(value => String(value).toUpperCase())
+        .isIn(config.sortOrders)
+        .withMessage(messages.oneOf('Sort order', config.sortOrders))
+    );
+  }
+
+  return validators;
+}
+
+/**
+ * Get validation rules for saved job filter (smart view) create/update
+ * Filter values are checked separately with getJobListFilterValidators.
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getSavedJobFilterValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.savedJobFilter;
+  const { messages } = config;
+
+  const name = partial ? body('name').optional() : body('name');
+  const filters = partial ? body('filters').optional() : body('filters');
+
+  return [
+    name
+      .isString()
+      .withMessage(messages.nameRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.nameRequired)
+      .isLength({ max: config.nameMaxLength })
+      .withMessage(messages.nameMaxLength(config.nameMaxLength)),
+    filters
+      .isObject()
+      .withMessage(messages.invalidFilters)
+      .bail()
+      .custom((value) => {
+        const unknownKey = Object.keys(value).find(key => !config.filterKeys.includes(key));
+        if (unknownKey) {
+          throw new Error(messages.unknownFilter(unknownKey));
+        }
+        return true;
+      }),
+  ];
+}
+
+/**
+ * Get validation rules for adding an event to a job description's timeline
+ * Notes need text; contacts and documents sent may carry just their details.
+ * @returns {Array} Array of express-validator middleware
+ */
+function getJobDescriptionEventValidators() {
+  const config = validationConfig.jobDescriptionEvent;
+  const { messages } = config;
+
+  return [
+    body('eventType')
+      .isIn(config.manualTypes)
+      .withMessage(messages.oneOf('Event type', config.manualTypes)),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: config.descriptionMaxLength })
+      .withMessage(messages.maxLength('Description', config.descriptionMaxLength)),
+    body('description')
+      .if(body('eventType').equals('note'))
+      .notEmpty()
+      .withMessage(messages.noteRequired),
+    body('occurredAt')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage(messages.invalidDate('Occurred at')),
+    body('contactMethod')
+      .optional({ values: 'falsy' })
+      .isIn(config.contactMethods)
+      .withMessage(messages.oneOf('Contact method', config.contactMethods)),
+    body('contactName')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: config.contactNameMaxLength })
+      .withMessage(messages.maxLength('Contact name', config.contactNameMaxLength)),
+    body('document')
+      .optional({ values: 'falsy' })
+      .isIn(config.documents)
+      .withMessage(messages.oneOf('Document', config.documents)),
+  ];
+}
+
+/**
+ * Get validation rules for company create/update
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getCompanyValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.company;
+  const emailConfig = validationConfig.email;
+  const { messages } = config;
+  const validators = [];
+
+  const name = partial ? body('name').optional() : body('name');
+  validators.push(
+    name
+      .isString()
+      .withMessage(messages.nameRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.nameRequired)
+      .isLength({ max: config.nameMaxLength })
+      .withMessage(messages.maxLength('Company name', config.nameMaxLength))
+  );
+
+  const lengthLimited = [
+    ['industry', 'Industry', config.industryMaxLength],
+    ['headquartersLocation', 'Headquarters location', config.locationMaxLength],
+    ['phone', 'Phone', config.phoneMaxLength],
+  ];
+  lengthLimited.forEach(([field, label, max]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max })
+        .withMessage(messages.maxLength(label, max))
+    );
+  });
+
+  ['description', 'notes'].forEach((field) => {
+    validators.push(body(field).optional({ values: 'null' }).isString());
+  });
+
+  validators.push(
+    body('website')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: config.websiteMaxLength })
+      .withMessage(messages.maxLength('Website', config.websiteMaxLength))
+      .isURL()
+      .withMessage(messages.invalidWebsite),
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: emailConfig.maxLength })
+      .withMessage(emailConfig.messages.maxLength(emailConfig.maxLength))
+      .matches(new RegExp(emailConfig.patternString))
+      .withMessage(emailConfig.messages.invalid(emailConfig.example)),
+    body('companySize')
+      .optional({ values: 'falsy' })
+      .isIn(config.sizes)
+      .withMessage(messages.oneOf('Company size', config.sizes)),
+    body('userRating')
+      .optional({ values: 'falsy' })
+      .isInt(config.userRating)
+      .withMessage(messages.rating('Rating', config.userRating.min, config.userRating.max)),
+    body('glassdoorRating')
+      .optional({ values: 'falsy' })
+      .isFloat(config.glassdoorRating)
+      .withMessage(messages.rating('Glassdoor rating', config.glassdoorRating.min, config.glassdoorRating.max))
+  );
+
+  return validators;
+}
+
+/**
+ * Get validation rules for recruiter create/update
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getRecruiterValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.recruiter;
+  const emailConfig = validationConfig.email;
+  const { messages } = config;
+  const validators = [];
+
+  const name = partial ? body('name').optional() : body('name');
+  validators.push(
+    name
+      .isString()
+      .withMessage(messages.nameRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.nameRequired)
+      .isLength({ max: config.nameMaxLength })
+      .withMessage(messages.maxLength('Recruiter name', config.nameMaxLength))
+  );
+
+  const lengthLimited = [
+    ['title', 'Title', config.titleMaxLength],
+    ['phone', 'Phone', config.phoneMaxLength],
+  ];
+  lengthLimited.forEach(([field, label, max]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max })
+        .withMessage(messages.maxLength(label, max))
+    );
+  });
+
+  validators.push(
+    body('notes').optional({ values: 'null' }).isString(),
+    body('linkedinUrl')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: config.linkedinMaxLength })
+      .withMessage(messages.maxLength('LinkedIn URL', config.linkedinMaxLength))
+      .isURL()
+      .withMessage(messages.invalidLinkedin),
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: emailConfig.maxLength })
+      .withMessage(emailConfig.messages.maxLength(emailConfig.maxLength))
+      .matches(new RegExp(emailConfig.patternString))
+      .withMessage(emailConfig.messages.invalid(emailConfig.example)),
+    body('recruiterType')
+      .optional({ values: 'falsy' })
+      .isIn(config.types)
+      .withMessage(messages.oneOf('Recruiter type', config.types)),
+    body('companyId')
+      .optional({ values: 'falsy' })
+      .isUUID()
+      .withMessage(messages.invalidId('Company')),
+    body('userRating')
+      .optional({ values: 'falsy' })
+      .isInt(config.userRating)
+      .withMessage(messages.rating('Rating', config.userRating.min, config.userRating.max)),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(messages.invalidActive)
+  );
+
+  return validators;
+}
+
+/**
+ * Get validation rules for the recruiter list filter query parameters
+ * company_id is a company ID, or 'none' for recruiters without a company.
+ * @returns {Array} Array of express-validator middleware
+ */
+function getRecruiterListFilterValidators() {
+  const { messages } = validationConfig.recruiter;
+
+  return [
+    query('company_id')
+      .optional({ values: 'falsy' })
+      .if(query('company_id').not().equals('none'))
+      .isUUID()
+      .withMessage(messages.invalidId('Company')),
+  ];
+}
+
+/**
+ * Get validation rules for resume upload/update
+ * Uploads arrive as multipart form fields, so skillsHighlighted may be a
+ * comma-separated string or an array and isActive may be 'true'/'false'.
+ * @returns {Array} Array of express-validator middleware
+ */
+function getResumeValidators() {
+  const config = validationConfig.resume;
+  const { messages } = config;
+
+  return [
+    body('title')
+      .optional()
+      .isString()
+      .withMessage(messages.titleRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.titleRequired)
+      .isLength({ max: config.titleMaxLength })
+      .withMessage(messages.maxLength('Title', config.titleMaxLength)),
+    body('notes').optional({ values: 'null' }).isString(),
+    body('skillsHighlighted')
+      .optional({ values: 'null' })
+      .custom((value) => typeof value === 'string'
+        || (Array.isArray(value) && value.every((skill) => typeof skill === 'string')))
+      .withMessage('Skills must be a list of strings'),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(messages.invalidActive),
+  ];
+}
+
+/**
+ * Get validation rules for cover letter and template create/update
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getCoverLetterValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.coverLetter;
+  const { messages } = config;
+
+  const title = partial ? body('title').optional() : body('title');
+
+  return [
+    title
+      .isString()
+      .withMessage(messages.titleRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.titleRequired)
+      .isLength({ max: config.titleMaxLength })
+      .withMessage(messages.maxLength('Title', config.titleMaxLength)),
+    body('content').optional({ values: 'null' }).isString(),
+    body('notes').optional({ values: 'null' }).isString(),
+    body('isTemplate')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(messages.invalidFlag('Template')),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(messages.invalidFlag('Active')),
+  ];
+}
+
+/**
+ * Get validation rules for interview create/update
+ * Interviewers are recruiter IDs; ownership is checked by the route.
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getInterviewValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.interview;
+  const { messages } = config;
+
+  const jobDescriptionId = partial ? body('jobDescriptionId').optional() : body('jobDescriptionId');
+
+  return [
+    jobDescriptionId
+      .isUUID()
+      .withMessage(messages.jobDescriptionRequired),
+    body('round')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: config.maxRound })
+      .withMessage(messages.range('Round', 1, config.maxRound)),
+    body('interviewType')
+      .optional({ values: 'falsy' })
+      .isIn(config.types)
+      .withMessage(messages.oneOf('Interview type', config.types)),
+    body('scheduledAt')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage(messages.invalidDate('Date and time')),
+    body('durationMinutes')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: config.maxDurationMinutes })
+      .withMessage(messages.range('Duration', 1, config.maxDurationMinutes)),
+    body('location')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: config.locationMaxLength })
+      .withMessage(messages.maxLength('Location', config.locationMaxLength)),
+    body('outcome')
+      .optional({ values: 'falsy' })
+      .isIn(config.outcomes)
+      .withMessage(messages.oneOf('Outcome', config.outcomes)),
+    body('prepNotes').optional({ values: 'null' }).isString(),
+    body('feedback').optional({ values: 'null' }).isString(),
+    body('followUpDue')
+      .optional({ values: 'falsy' })
+      .isISO8601({ strict: true })
+      .withMessage(messages.invalidDate('Follow-up date')),
+    body('interviewerIds')
+      .optional({ values: 'null' })
+      .isArray()
+      .withMessage(messages.invalidInterviewers),
+    body('interviewerIds.*')
+      .isUUID()
+      .withMessage(messages.invalidInterviewers),
+  ];
+}
+
+/**
+ * Get validation rules for offer create/update
+ * Amounts are annual except baseSalary, which is paid per payPeriod.
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getOfferValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.offer;
+  const { messages } = config;
+
+  const jobDescriptionId = partial ? body('jobDescriptionId').optional() : body('jobDescriptionId');
+
+  const validators = [
+    jobDescriptionId
+      .isUUID()
+      .withMessage(messages.jobDescriptionRequired),
+    body('payPeriod')
+      .optional({ values: 'falsy' })
+      .isIn(config.payPeriods)
+      .withMessage(messages.oneOf('Pay period', config.payPeriods)),
+    body('currency')
+      .optional({ values: 'falsy' })
+      .isString()
+      .trim()
+      .isLength({ max: config.currencyMaxLength })
+      .withMessage(messages.maxLength('Currency', config.currencyMaxLength)),
+    body('equityDetails')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: config.equityDetailsMaxLength })
+      .withMessage(messages.maxLength('Equity details', config.equityDetailsMaxLength)),
+    body('benefits').optional({ values: 'null' }).isString(),
+    body('notes').optional({ values: 'null' }).isString(),
+  ];
+
+  const amounts = [
+    ['baseSalary', 'Base salary'],
+    ['bonus', 'Bonus'],
+    ['signingBonus', 'Signing bonus'],
+    ['equityValue', 'Equity value'],
+    ['benefitsValue', 'Benefits value'],
+  ];
+  amounts.forEach(([field, label]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isFloat({ min: 0 })
+        .withMessage(messages.invalidAmount(label))
+    );
+  });
+
+  const dates = [
+    ['startDate', 'Start date'],
+    ['expiryDate', 'Expiry date'],
+  ];
+  dates.forEach(([field, label]) => {
+    validators.push(
+      body(field)
+        .optional({ values: 'falsy' })
+        .isISO8601({ strict: true })
+        .withMessage(messages.invalidDate(label))
+    );
+  });
+
+  return validators;
+}
+
+/**
+ * Get validation rules for reminder create/update
+ * A reminder can be tied to any of a job description, interview and recruiter.
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getReminderValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.reminder;
+  const { messages } = config;
+
+  const title = partial ? body('title').optional() : body('title');
+  const dueAt = partial ? body('dueAt').optional() : body('dueAt');
+
+  return [
+    title
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.titleRequired)
+      .isLength({ max: config.titleMaxLength })
+      .withMessage(messages.maxLength('Title', config.titleMaxLength)),
+    body('notes')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: config.notesMaxLength })
+      .withMessage(messages.maxLength('Notes', config.notesMaxLength)),
+    dueAt
+      .isISO8601()
+      .withMessage(messages.dueAtRequired),
+    ...[
+      ['jobDescriptionId', 'Job description'],
+      ['interviewId', 'Interview'],
+      ['recruiterId', 'Recruiter'],
+    ].map(([field, label]) => body(field)
+      .optional({ values: 'falsy' })
+      .isUUID()
+      .withMessage(messages.invalidId(label))),
+  ];
+}
+
+/**
+ * Get validation rules for snoozing a notification
+ * @returns {Array} Array of express-validator middleware
+ */
+function getReminderSnoozeValidators() {
+  const { messages } = validationConfig.reminder;
+
+  return [
+    body('until')
+      .isISO8601()
+      .withMessage(messages.snoozeUntilRequired)
+      .bail()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage(messages.snoozeUntilPast),
+  ];
+}
+
+/**
+ * Get validation rules for custom source create/update
+ * @param {Object} options - Options like { partial: true } for updates
+ * @returns {Array} Array of express-validator middleware
+ */
+function getSourceValidators(options = {}) {
+  const { partial = false } = options;
+  const config = validationConfig.source;
+  const { messages } = config;
+
+  const name = partial ? body('name').optional() : body('name');
+
+  return [
+    name
+      .isString()
+      .withMessage(messages.nameRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(messages.nameRequired)
+      .isLength({ max: config.nameMaxLength })
+      .withMessage(messages.maxLength('Source name', config.nameMaxLength)),
+    body('sourceType')
+      .optional({ values: 'falsy' })
+      .isIn(config.types)
+      .withMessage(messages.oneOf('Source type', config.types)),
+    body('url')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: config.urlMaxLength })
+      .withMessage(messages.maxLength('URL', config.urlMaxLength))
+      .isURL()
+      .withMessage(messages.invalidUrl),
+  ];
+}
+
+/**
+ * Get validation rules for changing the password while logged in
+ * The new password follows the same rules as registration.
+ */
+function getChangePasswordValidators() {
+  const { messages } = validationConfig.passwordChange;
+  return [
+    body('currentPassword')
+      .isString()
+      .withMessage(messages.currentRequired)
+      .bail()
+      .notEmpty()
+      .withMessage(messages.currentRequired),
+    ...getFieldValidators('password', { required: true, field: 'newPassword' }),
+  ];
+}
+
+/**
+ * Get validation rules for requesting a password reset link
+ */
+function getForgotPasswordValidators() {
+  return [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Invalid email address'),
+  ];
+}
+
+/**
+ * Get validation rules for setting a new password with a reset token
+ * The new password follows the same rules as registration.
+ */
+function getResetPasswordValidators() {
+  return [
+    body('token')
+      .isString()
+      .withMessage(validationConfig.passwordReset.messages.tokenRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(validationConfig.passwordReset.messages.tokenRequired),
+    ...getFieldValidators('password', { required: true }),
+  ];
+}
+
+/**
+ * Get validation rules for confirming an email address with a verification token
+ */
+function getVerifyEmailValidators() {
+  return [
+    body('token')
+      .isString()
+      .withMessage(validationConfig.emailVerification.messages.tokenRequired)
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage(validationConfig.emailVerification.messages.tokenRequired),
+  ];
+}
+
 module.exports = {
   getFieldValidators,
   getRegisterValidators,
   getProfileUpdateValidators,
+  getJobDescriptionValidators,
+  getStatusChangeValidators,
+  getPostingExtractionValidators,
+  getJobDescriptionEventValidators,
+  getJobListFilterValidators,
+  getSavedJobFilterValidators,
+  getCompanyValidators,
+  getRecruiterValidators,
+  getRecruiterListFilterValidators,
+  getResumeValidators,
+  getCoverLetterValidators,
+  getInterviewValidators,
+  getOfferValidators,
+  getReminderValidators,
+  getReminderSnoozeValidators,
+  getSourceValidators,
+  getChangePasswordValidators,
+  getForgotPasswordValidators,
+  getResetPasswordValidators,
+  getVerifyEmailValidators,
   validationConfig,
 };
 
@@ -50,6 +50,309 @@ const validationConfig = {
       },
     },
   },
+  jobDescription: {
+    titleMaxLength: 255,
+    companyMaxLength: 255,
+    locationMaxLength: 255,
+    consultingMaxLength: 100,
+    currencyMaxLength: 10,
+    // Pasted postings may be whole HTML pages
+    postingMaxLength: 500000,
+    // Allowed values mirror the CHECK constraints in migration 001
+    statuses: ['saved', 'interested', 'applied', 'interviewing', 'offered', 'rejected', 'withdrawn', 'accepted'],
+    // Legal moves on the pipeline board; rejected, withdrawn and accepted are final
+    statusTransitions: {
+      saved: ['interested', 'applied', 'rejected', 'withdrawn'],
+      interested: ['saved', 'applied', 'rejected', 'withdrawn'],
+      applied: ['interviewing', 'offered', 'rejected', 'withdrawn'],
+      interviewing: ['offered', 'rejected', 'withdrawn'],
+      offered: ['accepted', 'rejected', 'withdrawn'],
+      rejected: [],
+      withdrawn: [],
+      accepted: [],
+    },
+    jobTypes: ['full_time', 'part_time', 'contract', 'consulting', 'freelance'],
+    remotePolicies: ['remote', 'hybrid', 'onsite'],
+    // Parsed from consulting_rate/consulting_period; mirror the CHECK constraints in migration 009
+    rateUnits: ['hour', 'day', 'week', 'month', 'year'],
+    engagementTypes: ['w2', '1099', 'c2c', 'contract_to_hire'],
+    // Sort columns accepted by GET /api/job-descriptions
+    sortColumns: [
+      'date_found', 'date_posted', 'application_deadline', 'title', 'company', 'location', 'status',
+      'job_type', 'remote_policy', 'salary_range_min', 'salary_range_max', 'rate_amount',
+      'effective_annual_rate', 'created_at', 'updated_at',
+    ],
+    sortOrders: ['ASC', 'DESC'],
+    // Longest "found in the last N days" window for the job list
+    foundWithinMaxDays: 3650,
+    messages: {
+      titleRequired: 'Job title is required',
+      postingRequired: 'Paste a job posting to extract',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      invalidDate: (field) => `${field} must be a valid date (YYYY-MM-DD)`,
+      invalidId: (field) => `${field} must be a valid ID`,
+      invalidAmount: (field) => `${field} must be a non-negative number`,
+      illegalTransition: (from, to) => `Cannot move from ${from} to ${to}`,
+      invalidDays: (field, max) => `${field} must be a whole number of days between 1 and ${max}`,
+    },
+  },
+  savedJobFilter: {
+    nameMaxLength: 100,
+    // Job list query parameters a saved filter may hold (see GET /api/job-descriptions)
+    filterKeys: [
+      'status', 'remote_policy', 'job_type', 'engagement_type', 'source_id', 'company_id',
+      'found_within_days', 'min_salary', 'max_salary', 'min_annual_rate', 'max_annual_rate',
+      'rate_unit', 'min_rate', 'max_rate', 'sort_by', 'sort_order',
+    ],
+    messages: {
+      nameRequired: 'Name the saved filter',
+      nameMaxLength: (max) => `Name must be at most ${max} characters`,
+      nameTaken: (name) => `You already have a saved filter named "${name}"`,
+      invalidFilters: 'Filters must be an object of job list filters',
+      unknownFilter: (key) => `Unknown filter: ${key}`,
+    },
+  },
+  jobDescriptionEvent: {
+    // Allowed values mirror the CHECK constraint in migration 005
+    types: ['status_change', 'note', 'contact', 'document_sent'],
+    // Status changes are recorded by the status endpoint, never added by hand
+    manualTypes: ['note', 'contact', 'document_sent'],
+    contactMethods: ['email', 'phone', 'linkedin', 'video_call', 'in_person', 'other'],
+    documents: ['resume', 'cover_letter', 'portfolio', 'references', 'other'],
+    descriptionMaxLength: 5000,
+    contactNameMaxLength: 255,
+    messages: {
+      noteRequired: 'Note text is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      invalidDate: (field) => `${field} must be a valid date`,
+    },
+  },
+  company: {
+    nameMaxLength: 255,
+    industryMaxLength: 100,
+    websiteMaxLength: 500,
+    locationMaxLength: 255,
+    phoneMaxLength: 50,
+    // Allowed values documented in migration 001
+    sizes: ['startup', 'small', 'medium', 'large', 'enterprise'],
+    userRating: { min: 1, max: 5 },
+    glassdoorRating: { min: 0, max: 5 },
+    messages: {
+      nameRequired: 'Company name is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      rating: (field, min, max) => `${field} must be between ${min} and ${max}`,
+      invalidWebsite: 'Website must be a valid URL',
+    },
+  },
+  recruiter: {
+    nameMaxLength: 255,
+    titleMaxLength: 255,
+    phoneMaxLength: 50,
+    linkedinMaxLength: 500,
+    // Allowed values documented in migration 001
+    types: ['internal_hr', 'external_agency', 'hiring_manager', 'independent', 'headhunter'],
+    userRating: { min: 1, max: 5 },
+    messages: {
+      nameRequired: 'Recruiter name is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      rating: (field, min, max) => `${field} must be between ${min} and ${max}`,
+      invalidId: (field) => `${field} must be a valid ID`,
+      invalidLinkedin: 'LinkedIn URL must be a valid URL',
+      invalidActive: 'Active must be true or false',
+    },
+  },
+  resume: {
+    titleMaxLength: 255,
+    fileTypes: ['pdf', 'docx', 'txt'],
+    maxFileSizeBytes: 10 * 1024 * 1024,
+    messages: {
+      titleRequired: 'Resume title is required',
+      fileRequired: 'A resume file is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      fileType: (types) => `File must be one of: ${types.join(', ')}`,
+      fileSize: (maxBytes) => `File must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB`,
+      invalidActive: 'Active must be true or false',
+    },
+  },
+  jobPostingImport: {
+    // Pages saved from the browser ("Save page as... HTML only")
+    fileTypes: ['html', 'htm'],
+    maxFileSizeBytes: 5 * 1024 * 1024,
+    maxFiles: 20,
+    messages: {
+      filesRequired: 'Choose at least one saved HTML page',
+      fileType: (types) => `File must be one of: ${types.join(', ')}`,
+      fileSize: (maxBytes) => `File must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB`,
+      tooManyFiles: (max) => `Import at most ${max} pages at a time`,
+      titleNotFound: 'No job title found in the page',
+    },
+  },
+  jobDescriptionBulkImport: {
+    // Spreadsheets saved as CSV, or a JSON array of rows (the export's own format)
+    fileTypes: ['csv', 'json'],
+    maxFileSizeBytes: 5 * 1024 * 1024,
+    maxRows: 1000,
+    previewRows: 10,
+    exportFormats: ['csv', 'json'],
+    messages: {
+      fileRequired: 'Choose a CSV or JSON file to import',
+      fileType: (types) => `File must be one of: ${types.join(', ')}`,
+      fileSize: (maxBytes) => `File must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB`,
+      unreadable: (format) => `The file is not valid ${format.toUpperCase()}`,
+      noRows: 'The file has no rows to import',
+      tooManyRows: (max) => `Import at most ${max} rows at a time`,
+      invalidMapping: 'Column mapping must map file columns to job description fields',
+      unknownColumn: (column) => `The file has no column named ${column}`,
+      unknownField: (field) => `Unknown job description field: ${field}`,
+      duplicateField: (field) => `More than one column is mapped to ${field}`,
+      titleNotMapped: 'Map a column to the job title',
+      rowErrors: (count) => `${count} ${count === 1 ? 'row has' : 'rows have'} errors; nothing was imported`,
+      exportFormat: (formats) => `Format must be one of: ${formats.join(', ')}`,
+    },
+  },
+  coverLetter: {
+    titleMaxLength: 255,
+    messages: {
+      titleRequired: 'Cover letter title is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      invalidFlag: (field) => `${field} must be true or false`,
+      jobDescriptionRequired: 'A valid job description ID is required',
+    },
+  },
+  interview: {
+    locationMaxLength: 500,
+    maxRound: 20,
+    maxDurationMinutes: 24 * 60,
+    // Allowed values mirror the CHECK constraints in migration 006
+    types: [
+      'phone_screen', 'technical', 'behavioral', 'system_design', 'take_home',
+      'onsite', 'panel', 'hiring_manager', 'final', 'other',
+    ],
+    outcomes: ['pending', 'passed', 'failed', 'cancelled', 'rescheduled'],
+    messages: {
+      jobDescriptionRequired: 'A valid job description ID is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      range: (field, min, max) => `${field} must be between ${min} and ${max}`,
+      invalidDate: (field) => `${field} must be a valid date`,
+      invalidInterviewers: 'Interviewers must be a list of recruiter IDs',
+    },
+  },
+  offer: {
+    currencyMaxLength: 10,
+    equityDetailsMaxLength: 500,
+    // Allowed values mirror the CHECK constraint in migration 008
+    payPeriods: ['hour', 'day', 'week', 'month', 'year'],
+    messages: {
+      jobDescriptionRequired: 'A valid job description ID is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      invalidAmount: (field) => `${field} must be a non-negative number`,
+      invalidDate: (field) => `${field} must be a valid date (YYYY-MM-DD)`,
+    },
+  },
+  search: {
+    queryMaxLength: 200,
+    // Record types the global search covers, in the order results are shown
+    types: ['job_descriptions', 'companies', 'recruiters'],
+    defaultLimit: 5,
+    maxLimit: 50,
+    messages: {
+      queryRequired: 'Enter something to search for',
+      queryMaxLength: (max) => `Search must be at most ${max} characters`,
+      invalidTypes: (types) => `Types must be a comma-separated list of: ${types.join(', ')}`,
+      invalidLimit: (max) => `Limit must be between 1 and ${max}`,
+    },
+  },
+  reminder: {
+    titleMaxLength: 255,
+    notesMaxLength: 2000,
+    // Allowed values mirror the CHECK constraint in migration 012
+    statuses: ['scheduled', 'due', 'completed'],
+    // Most notifications GET /api/notifications returns
+    notificationLimit: 50,
+    messages: {
+      titleRequired: 'Reminder title is required',
+      dueAtRequired: 'A valid due date and time is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      invalidId: (field) => `${field} must be a valid ID`,
+      snoozeUntilRequired: 'Snooze until must be a valid date and time',
+      snoozeUntilPast: 'Snooze until must be in the future',
+    },
+  },
+  analytics: {
+    // Pipeline stages in funnel order; a job counts for every stage up to the furthest it reached
+    funnelStages: ['saved', 'applied', 'interviewing', 'offered', 'accepted'],
+    // Reaching any of these means the user applied
+    appliedStatuses: ['applied', 'interviewing', 'offered', 'accepted'],
+    // After applying, reaching any of these means the employer responded
+    responseStatuses: ['interviewing', 'offered', 'accepted', 'rejected'],
+    defaultWeeks: 12,
+    maxWeeks: 52,
+    // Annual rate histogram: bucket width and number of buckets (the last is open-ended)
+    rateBucketSize: 25000,
+    rateBucketCount: 12,
+    messages: {
+      invalidWeeks: (max) => `Weeks must be between 1 and ${max}`,
+    },
+  },
+  source: {
+    nameMaxLength: 255,
+    urlMaxLength: 500,
+    // Allowed values documented in migration 001
+    types: [
+      'linkedin', 'indeed', 'glassdoor', 'company_website', 'recruiter',
+      'referral', 'job_board', 'email', 'other',
+    ],
+    // Effectiveness counts: a posting counts as an interview or offer once it
+    // reached one of these statuses (or has an interview or offer recorded)
+    interviewStatuses: ['interviewing', 'offered', 'accepted'],
+    offerStatuses: ['offered', 'accepted'],
+    messages: {
+      nameRequired: 'Source name is required',
+      maxLength: (field, max) => `${field} must be at most ${max} characters`,
+      oneOf: (field, values) => `${field} must be one of: ${values.join(', ')}`,
+      invalidUrl: 'URL must be a valid URL',
+      nameTaken: (name) => `You already have a source named "${name}"`,
+    },
+  },
+  passwordReset: {
+    // Links stay valid this long (PASSWORD_RESET_TOKEN_TTL_MINUTES overrides it on the server)
+    tokenTtlMinutes: 60,
+    // A new link is not sent while the previous one is younger than this
+    resendIntervalSeconds: 60,
+    messages: {
+      // Same answer whether or not the account exists
+      requestAccepted: 'If an account exists for that email, a password reset link has been sent',
+      tokenRequired: 'Reset token is required',
+      invalidToken: 'This password reset link is invalid or has expired',
+    },
+  },
+  passwordChange: {
+    messages: {
+      currentRequired: 'Current password is required',
+      currentIncorrect: 'Current password is incorrect',
+      unchanged: 'New password must be different from the current password',
+    },
+  },
+  emailVerification: {
+    // Links stay valid this long (EMAIL_VERIFICATION_TOKEN_TTL_MINUTES overrides it on the server)
+    tokenTtlMinutes: 2880,
+    // A new link is not sent while the previous one is younger than this
+    resendIntervalSeconds: 60,
+    messages: {
+      tokenRequired: 'Verification token is required',
+      invalidToken: 'This verification link is invalid or has expired',
+      alreadyVerified: 'Email address is already verified',
+      resendTooSoon: 'A verification email was sent recently. Please wait before requesting another',
+      notVerified: 'Please verify your email address to continue',
+    },
+  },
 };
 
 // Export for CommonJS (server-side)
@@ -6,6 +6,7 @@ import 'react-toastify/dist/ReactToastify.css';
 
 import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { SavedFiltersProvider } from './contexts/SavedFiltersContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Header from "./components/Header";
 import Left from "./components/Left";
@@ -14,7 +15,22 @@ import "./App.css"; // Import the CSS file
 import About from "./components/About";
 import Home from "./components/Home";
 import LoginRegister from "./components/LoginRegister";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
+import EmailVerificationBanner from "./components/EmailVerificationBanner";
 import JDAnalyzer from './components/JDAnalyzer';
+import BulkImport from './components/BulkImport';
+import Companies from './components/Companies';
+import Recruiters from './components/Recruiters';
+import Resumes from './components/Resumes';
+import CoverLetters from './components/CoverLetters';
+import PipelineBoard from './components/PipelineBoard';
+import JobDescriptionDetail from './components/JobDescriptionDetail';
+import Interviews from './components/Interviews';
+import Offers from './components/Offers';
+import Analytics from './components/Analytics';
+import Sources from './components/Sources';
 import Profile from './components/Profile';
 import AdminDashboard from './components/AdminDashboard';
 import UserManagement from './components/UserManagement';
@@ -41,6 +57,9 @@ function App() {
       <Route path="/home" element={<Home />} />
       <Route path="/dev-tools" element={<DevTools />} />
       <Route path="/login-register" element={<LoginRegister />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
       <Route 
         path="/analyzer" 
         element={
@@ -49,6 +68,94 @@ function App() {
           </ProtectedRoute>
         } 
       />
+      <Route
+        path="/bulk-import"
+        element={
+          <ProtectedRoute>
+            <BulkImport />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/pipeline"
+        element={
+          <ProtectedRoute>
+            <PipelineBoard />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/job-descriptions/:id"
+        element={
+          <ProtectedRoute>
+            <JobDescriptionDetail />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/interviews"
+        element={
+          <ProtectedRoute>
+            <Interviews />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/offers"
+        element={
+          <ProtectedRoute>
+            <Offers />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/analytics"
+        element={
+          <ProtectedRoute>
+            <Analytics />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/sources"
+        element={
+          <ProtectedRoute>
+            <Sources />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/companies"
+        element={
+          <ProtectedRoute>
+            <Companies />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/recruiters"
+        element={
+          <ProtectedRoute>
+            <Recruiters />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/resumes"
+        element={
+          <ProtectedRoute>
+            <Resumes />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/cover-letters"
+        element={
+          <ProtectedRoute>
+            <CoverLetters />
+          </ProtectedRoute>
+        }
+      />
       <Route 
         path="/profile" 
         element={
@@ -89,34 +196,37 @@ function App() {
     <Router>
       <AuthProvider>
         <ThemeProvider>
-          <ErrorBoundary>
-            <div className="App">
-              <Header
-                onHomeClick={handleHomeClick}
-                onAboutClick={handleAboutClick}
-                onLoginRegisterClick={handleLoginRegisterClick}
-              />
-              <div className="container">
-                <Left />
-                <div className="body-content">
-                  {body_content}
+          <SavedFiltersProvider>
+            <ErrorBoundary>
+              <div className="App">
+                <Header
+                  onHomeClick={handleHomeClick}
+                  onAboutClick={handleAboutClick}
+                  onLoginRegisterClick={handleLoginRegisterClick}
+                />
+                <div className="container">
+                  <Left />
+                  <div className="body-content">
+                    <EmailVerificationBanner />
+                    {body_content}
+                  </div>
                 </div>
+                <Footer />
+                <ToastContainer
+                  position="top-right"
+                  autoClose={3000}
+                  hideProgressBar={false}
+                  newestOnTop={false}
+                  closeOnClick
+                  rtl={false}
+                  pauseOnFocusLoss
+                  draggable
+                  pauseOnHover
+                  theme="colored"
+                />
               </div>
-              <Footer />
-              <ToastContainer
-                position="top-right"
-                autoClose={3000}
-                hideProgressBar={false}
-                newestOnTop={false}
-                closeOnClick
-                rtl={false}
-                pauseOnFocusLoss
-                draggable
-                pauseOnHover
-                theme="colored"
-              />
-            </div>
-          </ErrorBoundary>
+            </ErrorBoundary>
+          </SavedFiltersProvider>
         </ThemeProvider>
       </AuthProvider>
     </Router>
@@ -0,0 +1,279 @@
+/**
+ * Analytics Component
+ *
+ * Job search reporting: the pipeline funnel with conversion between stages,
+ * response rate by source, median time spent in each status, applications
+ * per week and the spread of annual rates. Everything is aggregated on the
+ * server (GET /api/analytics); the charts here are plain CSS bars.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { analyticsAPI } from '../services/api';
+import { formatStatus, JOB_TYPE_LABELS } from '../utils/jobDescriptionLabels';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+import './Analytics.css';
+
+const WEEK_OPTIONS = [4, 12, 26, 52];
+const DEFAULT_WEEKS = 12;
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
+
+const formatAmount = (amount) => (amount === null || amount === undefined
+  ? '—'
+  : Math.round(Number(amount)).toLocaleString('en-US'));
+
+const formatThousands = (amount) => `${Math.round(amount / 1000)}k`;
+
+const formatBucket = (bucket) => (bucket.max === null
+  ? `${formatThousands(bucket.min)}+`
+  : `${formatThousands(bucket.min)}–${formatThousands(bucket.max)}`);
+
+// Week starts are plain YYYY-MM-DD; read them as local dates
+const formatWeek = (weekStart) => {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const barWidth = (value, max) => (max > 0 ? `${(value / max) * 100}%` : '0%');
+
+/**
+ * Horizontal bar chart; each item is { key, label, value, display, note }
+ */
+const BarList = ({ label, items }) => {
+  const max = Math.max(0, ...items.map(item => item.value || 0));
+  return (
+    <ul className="analytics-bars" aria-label={label}>
+      {items.map(item => (
+        <li key={item.key} className="analytics-bar-row">
+          <span className="analytics-bar-label">{item.label}</span>
+          <span className="analytics-bar-track">
+            <span className="analytics-bar" style={{ width: barWidth(item.value || 0, max) }} />
+          </span>
+          <span className="analytics-bar-value">
+            {item.display}
+            {item.note && <small> {item.note}</small>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Vertical column chart; each item is { key, label, value, title }
+ */
+const ColumnChart = ({ label, items }) => {
+  const max = Math.max(0, ...items.map(item => item.value));
+  return (
+    <ul className="analytics-columns" aria-label={label}>
+      {items.map(item => (
+        <li key={item.key} className="analytics-column" title={item.title}>
+          <span className="analytics-column-value">{item.value}</span>
+          <span className="analytics-column-track">
+            <span className="analytics-column-bar" style={{ height: barWidth(item.value, max) }} />
+          </span>
+          <span className="analytics-column-label">{item.label}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const Analytics = () => {
+  const [weeks, setWeeks] = useState(DEFAULT_WEEKS);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadAnalytics = useCallback(async () => {
+    setLoading(true);
+    try {
+      setAnalytics(await analyticsAPI.get({ weeks }));
+    } catch (error) {
+      toast.error('Failed to load analytics: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [weeks]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const renderContent = () => {
+    if (loading && !analytics) {
+      return <div className="list-page-empty">Loading analytics...</div>;
+    }
+    if (!analytics) {
+      return <div className="list-page-empty">Analytics are unavailable right now</div>;
+    }
+    if (analytics.totals.jobDescriptions === 0) {
+      return <div className="list-page-empty">Add job descriptions to see analytics</div>;
+    }
+
+    const { totals, funnel, sources, timeInStage, applicationsPerWeek, rates } = analytics;
+
+    return (
+      <>
+        <div className="analytics-stats">
+          <div className="analytics-stat">
+            <strong>{totals.jobDescriptions}</strong>
+            <span>Jobs tracked</span>
+          </div>
+          <div className="analytics-stat">
+            <strong>{totals.applied}</strong>
+            <span>Applied</span>
+          </div>
+          <div className="analytics-stat">
+            <strong>{totals.responded}</strong>
+            <span>Responses</span>
+          </div>
+          <div className="analytics-stat">
+            <strong>{formatPercent(totals.responseRate)}</strong>
+            <span>Response rate</span>
+          </div>
+        </div>
+
+        <div className="list-page-panel">
+          <h2>Pipeline Funnel</h2>
+          <p>Jobs that reached each stage, and the share of the previous stage that made it</p>
+          <BarList
+            label="Pipeline funnel"
+            items={funnel.map(stage => ({
+              key: stage.status,
+              label: formatStatus(stage.status),
+              value: stage.count,
+              display: stage.count,
+              note: stage.conversion === null ? null : `(${formatPercent(stage.conversion)})`,
+            }))}
+          />
+        </div>
+
+        <div className="list-page-panel">
+          <h2>Response Rate by Source</h2>
+          <p>Applications that led to an interview, offer or rejection</p>
+          <BarList
+            label="Response rate by source"
+            items={sources.map(source => ({
+              key: source.sourceId || 'none',
+              label: source.sourceName || 'No source',
+              value: source.responseRate,
+              display: formatPercent(source.responseRate),
+              note: `(${source.responded} of ${source.applied} applied)`,
+            }))}
+          />
+        </div>
+
+        <div className="list-page-panel">
+          <h2>Time in Stage</h2>
+          <p>Median days spent in a status before moving on</p>
+          {timeInStage.length === 0 ? (
+            <div className="list-page-empty">No status changes yet</div>
+          ) : (
+            <BarList
+              label="Median days in stage"
+              items={timeInStage.map(stage => ({
+                key: stage.status,
+                label: formatStatus(stage.status),
+                value: stage.medianDays,
+                display: `${stage.medianDays} days`,
+                note: `(${stage.transitions} moved on)`,
+              }))}
+            />
+          )}
+        </div>
+
+        <div className="list-page-panel">
+          <h2>Applications per Week</h2>
+          <ColumnChart
+            label="Applications per week"
+            items={applicationsPerWeek.map(week => ({
+              key: week.weekStart,
+              label: formatWeek(week.weekStart),
+              value: week.applications,
+              title: `Week of ${formatWeek(week.weekStart)}: ${week.applications} application(s)`,
+            }))}
+          />
+        </div>
+
+        <div className="list-page-panel">
+          <h2>Annual Rates</h2>
+          {rates.count === 0 ? (
+            <div className="list-page-empty">No jobs with a salary or rate yet</div>
+          ) : (
+            <>
+              <p>
+                {rates.count} job(s) with pay. Median {formatAmount(rates.median)},
+                middle half {formatAmount(rates.p25)} to {formatAmount(rates.p75)} per year.
+              </p>
+              <ColumnChart
+                label="Annual rate distribution"
+                items={rates.buckets.map(bucket => ({
+                  key: bucket.min,
+                  label: formatBucket(bucket),
+                  value: bucket.count,
+                  title: `${formatBucket(bucket)}: ${bucket.count} job(s)`,
+                }))}
+              />
+              <div className="list-page-table-container">
+                <table className="list-page-table" aria-label="Annual rates by job type">
+                  <thead>
+                    <tr>
+                      <th>Job type</th>
+                      <th>Jobs</th>
+                      <th>25th percentile</th>
+                      <th>Median</th>
+                      <th>75th percentile</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rates.byJobType.map(row => (
+                      <tr key={row.jobType || 'none'}>
+                        <td>{JOB_TYPE_LABELS[row.jobType] || 'Not specified'}</td>
+                        <td>{row.count}</td>
+                        <td>{formatAmount(row.p25)}</td>
+                        <td>{formatAmount(row.median)}</td>
+                        <td>{formatAmount(row.p75)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Analytics</h1>
+          <p>How your job search is converting, where responses come from and what roles pay</p>
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="analytics-weeks">Weeks shown</label>
+          <select id="analytics-weeks" value={weeks} onChange={(e) => setWeeks(Number(e.target.value))}>
+            {WEEK_OPTIONS.map(option => (
+              <option key={option} value={option}>{option} weeks</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {renderContent()}
+    </PageContainer>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,142 @@
+/**
+ * Analytics Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import Analytics from './Analytics';
+import { TestRouter } from '../test-utils';
+import { analyticsAPI } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  analyticsAPI: {
+    get: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const buckets = Array.from({ length: 12 }, (_, index) => ({
+  min: index * 25000,
+  max: index === 11 ? null : (index + 1) * 25000,
+  count: index === 4 ? 2 : 0,
+}));
+
+const analytics = {
+  totals: { jobDescriptions: 10, applied: 6, responded: 3, responseRate: 0.5 },
+  funnel: [
+    { status: 'saved', count: 10, conversion: null },
+    { status: 'applied', count: 6, conversion: 0.6 },
+    { status: 'interviewing', count: 3, conversion: 0.5 },
+    { status: 'offered', count: 1, conversion: 0.333 },
+    { status: 'accepted', count: 0, conversion: 0 },
+  ],
+  sources: [
+    { sourceId: 'src-1', sourceName: 'LinkedIn', jobs: 6, applied: 4, responded: 3, responseRate: 0.75 },
+    { sourceId: null, sourceName: null, jobs: 4, applied: 2, responded: 0, responseRate: 0 },
+  ],
+  timeInStage: [
+    { status: 'saved', medianDays: 2, transitions: 6 },
+    { status: 'interviewing', medianDays: 12.3, transitions: 3 },
+  ],
+  applicationsPerWeek: [
+    { weekStart: '2025-01-06', applications: 2 },
+    { weekStart: '2025-01-13', applications: 0 },
+  ],
+  rates: {
+    count: 2,
+    p25: 112500,
+    median: 115000,
+    p75: 117500,
+    buckets,
+    byJobType: [{ jobType: 'full_time', count: 2, p25: 112500, median: 115000, p75: 117500 }],
+  },
+};
+
+const renderAnalytics = () => render(
+  <TestRouter>
+    <Analytics />
+  </TestRouter>
+);
+
+describe('Analytics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analyticsAPI.get.mockResolvedValue(analytics);
+  });
+
+  it('charts the funnel with conversion between stages', async () => {
+    renderAnalytics();
+
+    const funnel = await screen.findByRole('list', { name: 'Pipeline funnel' });
+
+    const stages = within(funnel).getAllByRole('listitem');
+    expect(stages).toHaveLength(5);
+    expect(stages[1]).toHaveTextContent('Applied6 (60%)');
+    expect(stages[3]).toHaveTextContent('Offered1 (33%)');
+    expect(analyticsAPI.get).toHaveBeenCalledWith({ weeks: 12 });
+  });
+
+  it('shows totals, response rate by source and time in stage', async () => {
+    renderAnalytics();
+
+    const sources = await screen.findByRole('list', { name: 'Response rate by source' });
+
+    const [linkedIn, noSource] = within(sources).getAllByRole('listitem');
+    expect(linkedIn).toHaveTextContent('LinkedIn75% (3 of 4 applied)');
+    expect(noSource).toHaveTextContent('No source0% (0 of 2 applied)');
+    expect(screen.getByText('50%')).toBeInTheDocument();
+    const stages = screen.getByRole('list', { name: 'Median days in stage' });
+    expect(within(stages).getAllByRole('listitem')[1]).toHaveTextContent('Interviewing12.3 days (3 moved on)');
+  });
+
+  it('shows applications per week and the rate distribution', async () => {
+    renderAnalytics();
+
+    const weeks = await screen.findByRole('list', { name: 'Applications per week' });
+
+    expect(within(weeks).getAllByRole('listitem')[0]).toHaveAttribute('title', 'Week of Jan 6: 2 application(s)');
+    const distribution = screen.getByRole('list', { name: 'Annual rate distribution' });
+    expect(within(distribution).getByTitle('100k–125k: 2 job(s)')).toBeInTheDocument();
+    expect(within(distribution).getByText('275k+')).toBeInTheDocument();
+    const byJobType = screen.getByRole('table', { name: 'Annual rates by job type' });
+    expect(within(byJobType).getByRole('row', { name: /Full-time/ })).toHaveTextContent('115,000');
+  });
+
+  it('reloads for a different number of weeks', async () => {
+    renderAnalytics();
+    await screen.findByRole('list', { name: 'Pipeline funnel' });
+
+    fireEvent.change(screen.getByLabelText('Weeks shown'), { target: { value: '26' } });
+
+    await waitFor(() => {
+      expect(analyticsAPI.get).toHaveBeenLastCalledWith({ weeks: 26 });
+    });
+  });
+
+  it('shows an empty state without job descriptions', async () => {
+    analyticsAPI.get.mockResolvedValue({
+      ...analytics,
+      totals: { jobDescriptions: 0, applied: 0, responded: 0, responseRate: null },
+    });
+    renderAnalytics();
+
+    expect(await screen.findByText('Add job descriptions to see analytics')).toBeInTheDocument();
+  });
+
+  it('reports a failed load', async () => {
+    analyticsAPI.get.mockRejectedValue(new Error('Network error'));
+    renderAnalytics();
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to load analytics: Network error');
+    });
+    expect(screen.getByText('Analytics are unavailable right now')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * BulkImport Component
+ *
+ * Import wizard for job descriptions kept in a spreadsheet: choose a CSV or
+ * JSON file, check which column feeds which field, review the first rows
+ * and every row's validation errors, then import all rows at once. The
+ * server saves nothing unless every row is valid.
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { jobDescriptionsAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+
+const ACCEPTED_FILE_TYPES = validationConfig.jobDescriptionBulkImport.fileTypes.map(type => `.${type}`).join(',');
+
+const describeRowErrors = ({ row, errors }) => `Row ${row}: ${errors.map(error => error.msg).join('; ')}`;
+
+const BulkImport = () => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  // The preview no longer matches the mapping until it is refreshed
+  const [isMappingChanged, setIsMappingChanged] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setPreview(null);
+    setMapping({});
+    setIsMappingChanged(false);
+  };
+
+  // Without a preview yet, the server suggests the mapping from the column names
+  const handlePreview = async () => {
+    if (!file || isPreviewing) return;
+
+    setIsPreviewing(true);
+    try {
+      const data = await jobDescriptionsAPI.previewBulkImport(file, preview ? mapping : undefined);
+      setPreview(data);
+      setMapping(data.mapping);
+      setIsMappingChanged(false);
+    } catch (error) {
+      toast.error('Failed to read the file: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleMappingChange = (column, field) => {
+    setMapping(prev => ({ ...prev, [column]: field || null }));
+    setIsMappingChanged(true);
+  };
+
+  const handleImport = async () => {
+    if (!preview || isImporting) return;
+
+    setIsImporting(true);
+    try {
+      const result = await jobDescriptionsAPI.bulkImport(file, mapping);
+      toast.success(result.message);
+      navigate('/analyzer');
+    } catch (error) {
+      if (error.data?.errors) {
+        setPreview(prev => ({ ...prev, errors: error.data.errors }));
+      }
+      toast.error('Failed to import job descriptions: ' + error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const mappedFields = preview
+    ? preview.fields.filter(({ field }) => Object.values(preview.mapping).includes(field))
+    : [];
+  const canImport = preview && preview.errors.length === 0 && !isMappingChanged && !isImporting;
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Import Job Descriptions</h1>
+          <p>Bring in older searches from a spreadsheet saved as CSV, or a JSON export</p>
+        </div>
+        <Link to="/analyzer" className="btn-secondary">Back to Analyzer</Link>
+      </div>
+
+      <div className="list-page-panel">
+        <h2>1. Choose a file</h2>
+        <div className="list-page-field">
+          <label htmlFor="bulk-import-file">CSV or JSON file</label>
+          <input id="bulk-import-file" type="file" accept={ACCEPTED_FILE_TYPES} onChange={handleFileChange} />
+        </div>
+        <div className="list-page-actions">
+          <button type="button" className="btn-primary" onClick={handlePreview} disabled={!file || isPreviewing}>
+            {isPreviewing ? 'Reading...' : 'Preview'}
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="list-page-panel">
+          <h2>2. Map columns</h2>
+          <p>Choose the job description field each column goes into. A column for the job title is required.</p>
+          <div className="list-page-table-container">
+            <table className="list-page-table" aria-label="Column mapping">
+              <thead>
+                <tr>
+                  <th>File column</th>
+                  <th>Field</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.columns.map(column => (
+                  <tr key={column}>
+                    <td>{column}</td>
+                    <td>
+                      <select
+                        aria-label={`Field for ${column}`}
+                        value={mapping[column] || ''}
+                        onChange={(e) => handleMappingChange(column, e.target.value)}
+                      >
+                        <option value="">Don't import</option>
+                        {preview.fields.map(({ field, label }) => (
+                          <option key={field} value={field}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {isMappingChanged && (
+            <div className="list-page-actions">
+              <button type="button" className="btn-primary" onClick={handlePreview} disabled={isPreviewing}>
+                {isPreviewing ? 'Reading...' : 'Update Preview'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {preview && (
+        <div className="list-page-panel">
+          <h2>3. Review and import</h2>
+          <p>
+            {preview.rowCount} {preview.rowCount === 1 ? 'row' : 'rows'} in the file
+            {preview.rows.length < preview.rowCount && `, first ${preview.rows.length} shown`}.
+          </p>
+          <div className="list-page-table-container">
+            <table className="list-page-table" aria-label="Import preview">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {mappedFields.map(({ field, label }) => <th key={field}>{label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, index) => (
+                  <tr key={index}>
+                    <td>{index + 1}</td>
+                    {mappedFields.map(({ field }) => <td key={field}>{String(row[field] ?? '')}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {preview.errors.length > 0 && (
+            <div role="alert" style={{ marginTop: '1rem', color: '#dc3545' }}>
+              <strong>
+                {preview.errors.length} {preview.errors.length === 1 ? 'row needs' : 'rows need'} fixing before importing:
+              </strong>
+              <ul>
+                {preview.errors.map(rowErrors => (
+                  <li key={rowErrors.row}>{describeRowErrors(rowErrors)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="list-page-actions">
+            <button type="button" className="btn-primary" onClick={handleImport} disabled={!canImport}>
+              {isImporting ? 'Importing...' : `Import ${preview.rowCount} ${preview.rowCount === 1 ? 'Row' : 'Rows'}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default BulkImport;
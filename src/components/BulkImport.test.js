@@ -0,0 +1,176 @@
+/**
+ * BulkImport Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import BulkImport from './BulkImport';
+import { TestRouter } from '../test-utils';
+import { jobDescriptionsAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+const mockNavigate = jest.fn();
+
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+jest.mock('../services/api', () => ({
+  jobDescriptionsAPI: {
+    previewBulkImport: jest.fn(),
+    bulkImport: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+const FIELDS = [
+  { field: 'jobTitle', label: 'Job title' },
+  { field: 'company', label: 'Company' },
+  { field: 'notes', label: 'Notes' },
+];
+
+const makePreview = (overrides = {}) => ({
+  format: 'csv',
+  columns: ['Title', 'Employer', 'Comments'],
+  mapping: { Title: 'jobTitle', Employer: 'company', Comments: null },
+  fields: FIELDS,
+  rowCount: 2,
+  rows: [
+    { jobTitle: 'Data Engineer', company: 'Initech' },
+    { jobTitle: 'SRE', company: 'Hooli' },
+  ],
+  errors: [],
+  ...overrides,
+});
+
+const csvFile = new File(['Title,Employer,Comments\n'], 'search-2023.csv', { type: 'text/csv' });
+
+const renderAndPreview = async () => {
+  render(
+    <TestRouter>
+      <BulkImport />
+    </TestRouter>
+  );
+  expect(screen.getByRole('button', { name: 'Preview' })).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('CSV or JSON file'), { target: { files: [csvFile] } });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+  await screen.findByRole('table', { name: 'Import preview' });
+};
+
+describe('BulkImport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('previews the suggested mapping and imports every row', async () => {
+    jobDescriptionsAPI.previewBulkImport.mockResolvedValue(makePreview());
+    jobDescriptionsAPI.bulkImport.mockResolvedValue({ message: 'Imported 2 job descriptions', count: 2 });
+
+    await renderAndPreview();
+
+    expect(jobDescriptionsAPI.previewBulkImport).toHaveBeenCalledWith(csvFile, undefined);
+    expect(screen.getByLabelText('Field for Title')).toHaveValue('jobTitle');
+    expect(screen.getByLabelText('Field for Comments')).toHaveValue('');
+    const previewTable = screen.getByRole('table', { name: 'Import preview' });
+    expect(within(previewTable).getByText('Data Engineer')).toBeInTheDocument();
+    expect(within(previewTable).queryByRole('columnheader', { name: 'Notes' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import 2 Rows' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Imported 2 job descriptions');
+    });
+    expect(jobDescriptionsAPI.bulkImport).toHaveBeenCalledWith(csvFile, makePreview().mapping);
+    expect(mockNavigate).toHaveBeenCalledWith('/analyzer');
+  });
+
+  it('refreshes the preview after the mapping changes', async () => {
+    jobDescriptionsAPI.previewBulkImport
+      .mockResolvedValueOnce(makePreview())
+      .mockResolvedValueOnce(makePreview({
+        mapping: { Title: 'jobTitle', Employer: 'company', Comments: 'notes' },
+        rows: [{ jobTitle: 'Data Engineer', company: 'Initech', notes: 'Referred' }],
+      }));
+
+    await renderAndPreview();
+
+    fireEvent.change(screen.getByLabelText('Field for Comments'), { target: { value: 'notes' } });
+    expect(screen.getByRole('button', { name: 'Import 2 Rows' })).toBeDisabled();
+    fireEvent.click(screen.getByRole('button', { name: 'Update Preview' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Referred')).toBeInTheDocument();
+    });
+    expect(jobDescriptionsAPI.previewBulkImport).toHaveBeenLastCalledWith(
+      csvFile,
+      { Title: 'jobTitle', Employer: 'company', Comments: 'notes' }
+    );
+    expect(screen.getByRole('button', { name: 'Import 2 Rows' })).toBeEnabled();
+  });
+
+  it('lists row errors and blocks the import', async () => {
+    jobDescriptionsAPI.previewBulkImport.mockResolvedValue(makePreview({
+      errors: [{
+        row: 2,
+        errors: [
+          { path: 'jobTitle', msg: 'Job title is required' },
+          { path: 'date', msg: 'Date must be a valid date (YYYY-MM-DD)' },
+        ],
+      }],
+    }));
+
+    await renderAndPreview();
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      '1 row needs fixing before importing:Row 2: Job title is required; Date must be a valid date (YYYY-MM-DD)'
+    );
+    expect(screen.getByRole('button', { name: 'Import 2 Rows' })).toBeDisabled();
+  });
+
+  it('shows the errors the server returns on import', async () => {
+    jobDescriptionsAPI.previewBulkImport.mockResolvedValue(makePreview());
+    const error = new Error('1 row has errors; nothing was imported');
+    error.data = { errors: [{ row: 1, errors: [{ path: 'status', msg: 'Status must be one of: saved' }] }] };
+    jobDescriptionsAPI.bulkImport.mockRejectedValue(error);
+
+    await renderAndPreview();
+    fireEvent.click(screen.getByRole('button', { name: 'Import 2 Rows' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to import job descriptions: 1 row has errors; nothing was imported');
+    });
+    expect(screen.getByRole('alert')).toHaveTextContent('Row 1: Status must be one of: saved');
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('reports files that cannot be read', async () => {
+    jobDescriptionsAPI.previewBulkImport.mockRejectedValue(new Error('The file is not valid JSON'));
+    render(
+      <TestRouter>
+        <BulkImport />
+      </TestRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText('CSV or JSON file'), { target: { files: [csvFile] } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to read the file: The file is not valid JSON');
+    });
+    expect(screen.queryByRole('table', { name: 'Import preview' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * CalendarFeed Component
+ *
+ * Turns the user's calendar subscription link on and off. The server only
+ * keeps a hash of the link, so the full URL is shown once, right after it
+ * is created; creating a new link breaks the old one.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { calendarAPI } from '../services/api';
+import './ListPage.css';
+
+const getErrorMessage = (error, fallback) => error?.message || fallback;
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    calendarAPI.getFeed()
+      .then(data => setFeed(data.feed))
+      .catch(() => setFeed({ enabled: false, createdAt: null }));
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed?.enabled && !window.confirm('Create a new link? Calendars subscribed to the current link will stop updating.')) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const data = await calendarAPI.createFeed();
+      setFeed(data.feed);
+      setFeedUrl(data.feedUrl);
+      toast.success('Calendar feed link created');
+    } catch (error) {
+      toast.error('Failed to create calendar feed: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleTurnOff = async () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await calendarAPI.deleteFeed();
+      setFeed({ enabled: false, createdAt: null });
+      setFeedUrl('');
+      toast.success('Calendar feed turned off');
+    } catch (error) {
+      toast.error('Failed to turn off calendar feed: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.info('Select the link and copy it');
+    }
+  };
+
+  if (!feed) return null;
+
+  return (
+    <div className="list-page-panel">
+      <h2>Calendar Feed</h2>
+      <p>
+        Subscribe to your application deadlines, interviews and follow-ups from Google Calendar,
+        Outlook or Apple Calendar. Anyone with the link can see these events, so keep it private.
+      </p>
+
+      {feedUrl && (
+        <div className="list-page-field list-page-field-wide">
+          <label htmlFor="calendar-feed-url">Feed link (shown only once)</label>
+          <input id="calendar-feed-url" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+        </div>
+      )}
+
+      {feed.enabled && !feedUrl && (
+        <p>Feed is on{feed.createdAt ? ` (link created ${formatDate(feed.createdAt)})` : ''}.</p>
+      )}
+
+      <div className="list-page-actions">
+        {feedUrl && (
+          <button type="button" className="btn-secondary" onClick={handleCopy}>Copy Link</button>
+        )}
+        {feed.enabled && (
+          <button type="button" className="btn-danger" onClick={handleTurnOff} disabled={isSaving}>Turn Off</button>
+        )}
+        <button type="button" className="btn-primary" onClick={handleCreate} disabled={isSaving}>
+          {feed.enabled ? 'Create New Link' : 'Create Feed Link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeed;
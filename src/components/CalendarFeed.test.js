@@ -0,0 +1,74 @@
+/**
+ * CalendarFeed Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CalendarFeed from './CalendarFeed';
+import { calendarAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  calendarAPI: {
+    getFeed: jest.fn(),
+    createFeed: jest.fn(),
+    deleteFeed: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+describe('CalendarFeed', () => {
+  const feedUrl = `http://localhost:3011/api/calendar/feed/${'a'.repeat(64)}.ics`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('creates a feed link and shows it once', async () => {
+    calendarAPI.getFeed.mockResolvedValue({ feed: { enabled: false, createdAt: null } });
+    calendarAPI.createFeed.mockResolvedValue({
+      feedUrl,
+      feed: { enabled: true, createdAt: '2024-06-01T00:00:00Z' },
+    });
+    render(<CalendarFeed />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Create Feed Link' }));
+
+    expect(await screen.findByLabelText('Feed link (shown only once)')).toHaveValue(feedUrl);
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(toast.success).toHaveBeenCalledWith('Calendar feed link created');
+    expect(screen.getByRole('button', { name: 'Create New Link' })).toBeInTheDocument();
+  });
+
+  it('asks before replacing an existing link', async () => {
+    calendarAPI.getFeed.mockResolvedValue({ feed: { enabled: true, createdAt: '2024-06-01T00:00:00Z' } });
+    window.confirm = jest.fn(() => false);
+    render(<CalendarFeed />);
+
+    expect(await screen.findByText(/Feed is on/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Create New Link' }));
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(calendarAPI.createFeed).not.toHaveBeenCalled();
+  });
+
+  it('turns the feed off', async () => {
+    calendarAPI.getFeed.mockResolvedValue({ feed: { enabled: true, createdAt: '2024-06-01T00:00:00Z' } });
+    calendarAPI.deleteFeed.mockResolvedValue({});
+    render(<CalendarFeed />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Turn Off' }));
+
+    expect(await screen.findByRole('button', { name: 'Create Feed Link' })).toBeInTheDocument();
+    expect(calendarAPI.deleteFeed).toHaveBeenCalled();
+    expect(toast.success).toHaveBeenCalledWith('Calendar feed turned off');
+  });
+});
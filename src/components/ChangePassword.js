@@ -0,0 +1,145 @@
+/**
+ * ChangePassword Component
+ *
+ * Profile section for changing the password while logged in. Needs the
+ * current password; the new one follows the registration rules. The server
+ * signs out every other session and returns a new token for this one.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { usersAPI } from '../services/api';
+import { passwordSchema, getPasswordRequirements, getPasswordRuleStatus } from '../validation';
+import './LoginRegister.css';
+
+const RULE_KEYS = ['minLength', 'uppercase', 'lowercase', 'number', 'specialChar'];
+
+const EMPTY_FORM = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const ChangePassword = () => {
+  const { replaceToken } = useAuth();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const requirements = getPasswordRequirements();
+  const ruleStatus = getPasswordRuleStatus(formData.newPassword);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleCancel = () => {
+    setIsOpen(false);
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const validate = async () => {
+    const nextErrors = {};
+    if (!formData.currentPassword) {
+      nextErrors.currentPassword = 'Current password is required';
+    }
+    try {
+      await passwordSchema().validate(formData.newPassword);
+    } catch (validationError) {
+      nextErrors.newPassword = validationError.message;
+    }
+    if (formData.confirmPassword !== formData.newPassword) {
+      nextErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving || !(await validate())) return;
+
+    setIsSaving(true);
+    try {
+      const response = await usersAPI.changePassword(formData.currentPassword, formData.newPassword);
+      replaceToken(response.token);
+      toast.success('Password changed successfully! Other sessions have been signed out.');
+      handleCancel();
+    } catch (error) {
+      toast.error('Failed to change password: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderPasswordField = (name, label) => (
+    <div className={`input-container ${errors[name] ? 'error' : ''}`}>
+      <div className="label-error-container">
+        <label htmlFor={`change-${name}`}>{label}</label>
+        {errors[name] && <div className="error">{errors[name]}</div>}
+      </div>
+      <input
+        type="password"
+        id={`change-${name}`}
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        autoComplete={name === 'currentPassword' ? 'current-password' : 'new-password'}
+        required
+        className={errors[name] ? 'error-input' : ''}
+      />
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: '20px', padding: '20px', backgroundColor: 'var(--sidebar-bg)', borderRadius: '8px', color: 'var(--text-color)' }}>
+      <h3 style={{ marginTop: 0 }}>Password</h3>
+      {!isOpen ? (
+        <div className="button-container">
+          <button type="button" onClick={() => setIsOpen(true)}>
+            Change Password
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="profile-form" aria-label="Change password" noValidate>
+          {renderPasswordField('currentPassword', 'Current password')}
+          {renderPasswordField('newPassword', 'New password')}
+          <ul className="password-rules" aria-label="Password requirements">
+            {RULE_KEYS.map((key, index) => (
+              <li key={key} className={ruleStatus[key] ? 'met' : 'unmet'}>
+                {ruleStatus[key] ? '✅' : '❌'} {requirements[index]}
+              </li>
+            ))}
+          </ul>
+          {renderPasswordField('confirmPassword', 'Confirm new password')}
+          <p style={{ fontSize: '14px', opacity: 0.8 }}>
+            You will stay logged in here; other devices and browsers will need to log in again.
+          </p>
+          <div className="button-container">
+            <button type="button" onClick={handleCancel}>Cancel</button>
+            <button type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ChangePassword;
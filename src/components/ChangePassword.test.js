@@ -0,0 +1,98 @@
+/**
+ * ChangePassword Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import ChangePassword from './ChangePassword';
+import { useAuth } from '../contexts/AuthContext';
+import { usersAPI } from '../services/api';
+
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../services/api', () => ({
+  usersAPI: {
+    changePassword: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const mockReplaceToken = jest.fn();
+
+const openForm = () => {
+  render(<ChangePassword />);
+  fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+};
+
+const fillForm = ({ current = 'OldPassw0rd!', next = 'NewPassw0rd!', confirm = next } = {}) => {
+  fireEvent.change(screen.getByLabelText('Current password'), { target: { value: current } });
+  fireEvent.change(screen.getByLabelText('New password'), { target: { value: next } });
+  fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: confirm } });
+};
+
+describe('ChangePassword', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({ replaceToken: mockReplaceToken });
+  });
+
+  it('changes the password and keeps this session with the new token', async () => {
+    usersAPI.changePassword.mockResolvedValue({ message: 'Password changed successfully', token: 'fresh-token' });
+    openForm();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    await waitFor(() => {
+      expect(mockReplaceToken).toHaveBeenCalledWith('fresh-token');
+    });
+    expect(usersAPI.changePassword).toHaveBeenCalledWith('OldPassw0rd!', 'NewPassw0rd!');
+    expect(toast.success).toHaveBeenCalledWith('Password changed successfully! Other sessions have been signed out.');
+    expect(screen.queryByRole('form', { name: 'Change password' })).not.toBeInTheDocument();
+  });
+
+  it('validates before sending', async () => {
+    openForm();
+
+    fillForm({ current: '', next: 'weak', confirm: 'other' });
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    expect(await screen.findByText('Current password is required')).toBeInTheDocument();
+    expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+    expect(screen.getByText(/^requires at least 8 characters/)).toBeInTheDocument();
+    expect(usersAPI.changePassword).not.toHaveBeenCalled();
+  });
+
+  it('shows server errors such as a wrong current password', async () => {
+    usersAPI.changePassword.mockRejectedValue(new Error('Current password is incorrect'));
+    openForm();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to change password: Current password is incorrect');
+    });
+    expect(mockReplaceToken).not.toHaveBeenCalled();
+    expect(screen.getByRole('form', { name: 'Change password' })).toBeInTheDocument();
+  });
+
+  it('closes and clears the form on cancel', () => {
+    openForm();
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    expect(screen.getByLabelText('Current password')).toHaveValue('');
+  });
+});
@@ -0,0 +1,552 @@
+/**
+ * Companies Component
+ *
+ * Create, edit, rate, and merge the companies a user is tracking,
+ * and view every job description linked to a company.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { companiesAPI } from '../services/api';
+import PageContainer from './PageContainer';
+import StarRating from './StarRating';
+import './ListPage.css';
+
+const COMPANY_SIZES = ['startup', 'small', 'medium', 'large', 'enterprise'];
+
+const EMPTY_COMPANY = {
+  name: '',
+  industry: '',
+  companySize: '',
+  website: '',
+  headquartersLocation: '',
+  phone: '',
+  email: '',
+  userRating: '',
+  glassdoorRating: '',
+  description: '',
+  notes: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const Companies = () => {
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    totalCount: 0,
+    totalPages: 0,
+  });
+
+  // Filters and sorting; global search results open this page with ?search=<name>
+  const [searchParams] = useSearchParams();
+  const searchParam = searchParams.get('search') || '';
+  const [filters, setFilters] = useState({
+    search: searchParam,
+    company_size: '',
+    min_rating: '',
+  });
+  const [sortBy, setSortBy] = useState('name');
+  const [sortOrder, setSortOrder] = useState('ASC');
+
+  // Create/edit form
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_COMPANY);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Merge selection
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  // Detail view (company + linked job descriptions)
+  const [detail, setDetail] = useState(null);
+
+  const loadCompanies = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        sort_by: sortBy,
+        sort_order: sortOrder,
+        ...filters,
+      };
+
+      // Remove empty filters
+      Object.keys(params).forEach(key => {
+        if (params[key] === '') delete params[key];
+      });
+
+      const data = await companiesAPI.getAll(params);
+      setCompanies(data.companies || []);
+      if (data.pagination) {
+        setPagination(data.pagination);
+      }
+    } catch (error) {
+      toast.error('Failed to load companies: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, sortBy, sortOrder, filters]);
+
+  useEffect(() => {
+    loadCompanies();
+  }, [loadCompanies]);
+
+  useEffect(() => {
+    if (!searchParam) return;
+    setFilters(prev => (prev.search === searchParam ? prev : { ...prev, search: searchParam }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }, [searchParam]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleSort = (column) => {
+    if (sortBy === column) {
+      setSortOrder(prev => prev === 'ASC' ? 'DESC' : 'ASC');
+    } else {
+      setSortBy(column);
+      setSortOrder('ASC');
+    }
+  };
+
+  const sortIndicator = (column) => sortBy === column && (sortOrder === 'ASC' ? '↑' : '↓');
+
+  const handleNew = () => {
+    setFormData(EMPTY_COMPANY);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (company) => {
+    setFormData({
+      name: company.name || '',
+      industry: company.industry || '',
+      companySize: company.company_size || '',
+      website: company.website || '',
+      headquartersLocation: company.headquarters_location || '',
+      phone: company.phone || '',
+      email: company.email || '',
+      userRating: company.user_rating ? String(company.user_rating) : '',
+      glassdoorRating: company.glassdoor_rating ? String(company.glassdoor_rating) : '',
+      description: company.description || '',
+      notes: company.notes || '',
+    });
+    setEditingId(company.id);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_COMPANY);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    const payload = {
+      ...formData,
+      userRating: formData.userRating ? parseInt(formData.userRating) : null,
+      glassdoorRating: formData.glassdoorRating ? parseFloat(formData.glassdoorRating) : null,
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await companiesAPI.update(editingId, payload);
+        toast.success('Company updated successfully!');
+      } else {
+        await companiesAPI.create(payload);
+        toast.success('Company created successfully!');
+      }
+      handleCancel();
+      await loadCompanies();
+    } catch (error) {
+      toast.error('Failed to save company: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRate = async (company, rating) => {
+    try {
+      await companiesAPI.update(company.id, { userRating: rating });
+      setCompanies(prev => prev.map(c => (c.id === company.id ? { ...c, user_rating: rating } : c)));
+    } catch (error) {
+      toast.error('Failed to rate company: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleDelete = async (company) => {
+    if (!window.confirm(`Delete ${company.name}? Linked job descriptions will be kept.`)) {
+      return;
+    }
+
+    try {
+      await companiesAPI.delete(company.id);
+      toast.success('Company deleted successfully!');
+      if (detail?.company.id === company.id) setDetail(null);
+      setSelectedIds(prev => prev.filter(id => id !== company.id));
+      await loadCompanies();
+    } catch (error) {
+      toast.error('Failed to delete company: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleView = async (company) => {
+    try {
+      const data = await companiesAPI.getById(company.id);
+      setDetail(data);
+    } catch (error) {
+      toast.error('Failed to load company: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const toggleSelected = (id) => {
+    const next = selectedIds.includes(id)
+      ? selectedIds.filter(selected => selected !== id)
+      : [...selectedIds, id];
+    setSelectedIds(next);
+    if (!next.includes(mergeTargetId)) {
+      setMergeTargetId(next[0] || '');
+    }
+  };
+
+  const handleMerge = async () => {
+    const targetId = mergeTargetId || selectedIds[0];
+    const mergeIds = selectedIds.filter(id => id !== targetId);
+    const target = companies.find(c => c.id === targetId);
+
+    if (!target || mergeIds.length === 0) return;
+
+    if (!window.confirm(`Merge ${mergeIds.length} selected ${mergeIds.length === 1 ? 'company' : 'companies'} into ${target.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const result = await companiesAPI.merge(targetId, mergeIds);
+      toast.success(result.message || 'Companies merged successfully!');
+      setSelectedIds([]);
+      setMergeTargetId('');
+      setDetail(null);
+      await loadCompanies();
+    } catch (error) {
+      toast.error('Failed to merge companies: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  const selectedCompanies = companies.filter(c => selectedIds.includes(c.id));
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Companies</h1>
+          <p>Track the companies you are applying to, rate them, and merge duplicates</p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={handleNew}>
+            + New Company
+          </button>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>{editingId ? 'Edit Company' : 'New Company'}</h2>
+          <form onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="company-name">Name</label>
+                <input id="company-name" name="name" value={formData.name} onChange={handleChange} required />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-industry">Industry</label>
+                <input id="company-industry" name="industry" value={formData.industry} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-size">Size</label>
+                <select id="company-size" name="companySize" value={formData.companySize} onChange={handleChange}>
+                  <option value="">Unknown</option>
+                  {COMPANY_SIZES.map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-website">Website</label>
+                <input id="company-website" name="website" value={formData.website} onChange={handleChange} placeholder="https://" />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-location">Headquarters</label>
+                <input id="company-location" name="headquartersLocation" value={formData.headquartersLocation} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-phone">Phone</label>
+                <input id="company-phone" name="phone" value={formData.phone} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-email">Email</label>
+                <input id="company-email" name="email" value={formData.email} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-rating">My Rating</label>
+                <select id="company-rating" name="userRating" value={formData.userRating} onChange={handleChange}>
+                  <option value="">Not rated</option>
+                  {[1, 2, 3, 4, 5].map(rating => (
+                    <option key={rating} value={rating}>{'★'.repeat(rating)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="company-glassdoor">Glassdoor Rating</label>
+                <input
+                  id="company-glassdoor"
+                  name="glassdoorRating"
+                  type="number"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={formData.glassdoorRating}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="company-description">Description</label>
+                <textarea id="company-description" name="description" rows="3" value={formData.description} onChange={handleChange} />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="company-notes">Notes</label>
+                <textarea id="company-notes" name="notes" rows="3" value={formData.notes} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : (editingId ? 'Update Company' : 'Create Company')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="list-page-filters">
+        <div className="list-page-field">
+          <label htmlFor="search">Search</label>
+          <input
+            type="text"
+            id="search"
+            placeholder="Search by name, industry, or location..."
+            value={filters.search}
+            onChange={(e) => handleFilterChange('search', e.target.value)}
+          />
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="filter-size">Size</label>
+          <select
+            id="filter-size"
+            value={filters.company_size}
+            onChange={(e) => handleFilterChange('company_size', e.target.value)}
+          >
+            <option value="">All Sizes</option>
+            {COMPANY_SIZES.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="filter-rating">Minimum Rating</label>
+          <select
+            id="filter-rating"
+            value={filters.min_rating}
+            onChange={(e) => handleFilterChange('min_rating', e.target.value)}
+          >
+            <option value="">Any Rating</option>
+            {[1, 2, 3, 4, 5].map(rating => (
+              <option key={rating} value={rating}>{rating}+</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Merge bar */}
+      {selectedIds.length >= 2 && (
+        <div className="list-page-panel">
+          <h2>Merge {selectedIds.length} Companies</h2>
+          <p>Job descriptions and recruiters from the other companies will be moved to the company you keep.</p>
+          <div className="list-page-field">
+            <label htmlFor="merge-target">Keep</label>
+            <select id="merge-target" value={mergeTargetId || selectedIds[0]} onChange={(e) => setMergeTargetId(e.target.value)}>
+              {selectedCompanies.map(company => (
+                <option key={company.id} value={company.id}>{company.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="list-page-actions">
+            <button className="btn-secondary" onClick={() => { setSelectedIds([]); setMergeTargetId(''); }}>
+              Clear Selection
+            </button>
+            <button className="btn-primary" onClick={handleMerge}>
+              Merge Selected
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Companies Table */}
+      {loading ? (
+        <div className="list-page-empty">Loading companies...</div>
+      ) : companies.length === 0 ? (
+        <div className="list-page-empty">No companies found</div>
+      ) : (
+        <>
+          <div className="list-page-table-container">
+            <table className="list-page-table">
+              <thead>
+                <tr>
+                  <th aria-label="Select"></th>
+                  <th onClick={() => handleSort('name')} className="sortable">
+                    Name {sortIndicator('name')}
+                  </th>
+                  <th onClick={() => handleSort('industry')} className="sortable">
+                    Industry {sortIndicator('industry')}
+                  </th>
+                  <th onClick={() => handleSort('company_size')} className="sortable">
+                    Size {sortIndicator('company_size')}
+                  </th>
+                  <th onClick={() => handleSort('user_rating')} className="sortable">
+                    Rating {sortIndicator('user_rating')}
+                  </th>
+                  <th onClick={() => handleSort('job_descriptions_count')} className="sortable">
+                    Jobs {sortIndicator('job_descriptions_count')}
+                  </th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {companies.map(company => (
+                  <tr key={company.id} className={selectedIds.includes(company.id) ? 'selected' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${company.name}`}
+                        checked={selectedIds.includes(company.id)}
+                        onChange={() => toggleSelected(company.id)}
+                      />
+                    </td>
+                    <td>
+                      {company.website ? (
+                        <a href={company.website} target="_blank" rel="noopener noreferrer">{company.name}</a>
+                      ) : company.name}
+                    </td>
+                    <td>{company.industry}</td>
+                    <td>{company.company_size}</td>
+                    <td>
+                      <StarRating
+                        value={company.user_rating}
+                        label={`${company.name} rating`}
+                        onChange={(rating) => handleRate(company, rating)}
+                      />
+                    </td>
+                    <td>{company.job_descriptions_count || 0}</td>
+                    <td>
+                      <div className="list-page-row-actions">
+                        <button className="btn-primary btn-small" onClick={() => handleView(company)}>View</button>
+                        <button className="btn-secondary btn-small" onClick={() => handleEdit(company)}>Edit</button>
+                        <button className="btn-danger btn-small" onClick={() => handleDelete(company)}>Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="list-page-pagination">
+            <div>
+              Showing {((pagination.page - 1) * pagination.limit) + 1} to{' '}
+              {Math.min(pagination.page * pagination.limit, pagination.totalCount)} of{' '}
+              {pagination.totalCount} companies
+            </div>
+            <div className="pagination-controls">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+              >
+                ← Previous
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page >= pagination.totalPages}
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Company Detail */}
+      {detail && (
+        <div className="list-page-panel" style={{ marginTop: '2rem' }}>
+          <div className="list-page-header" style={{ marginBottom: '1rem' }}>
+            <h2>{detail.company.name}</h2>
+            <button className="btn-secondary btn-small" onClick={() => setDetail(null)}>Close</button>
+          </div>
+          {detail.company.description && <p>{detail.company.description}</p>}
+          {detail.company.notes && <p><strong>Notes:</strong> {detail.company.notes}</p>}
+          <h3>Job Descriptions ({detail.jobDescriptions.length})</h3>
+          {detail.jobDescriptions.length === 0 ? (
+            <p>No job descriptions are linked to this company yet.</p>
+          ) : (
+            <ul className="list-page-linked">
+              {detail.jobDescriptions.map(jd => (
+                <li key={jd.id}>
+                  <strong>{jd.job_title || 'Untitled Position'}</strong>{' '}
+                  <span className="list-page-badge">{jd.status}</span>{' '}
+                  {formatDate(jd.date)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Companies;
@@ -0,0 +1,245 @@
+/**
+ * Companies Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Companies from './Companies';
+import { TestRouter } from '../test-utils';
+import { companiesAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  companiesAPI: {
+    getAll: jest.fn(),
+    getById: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    merge: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('Companies', () => {
+  const mockCompanies = [
+    {
+      id: 'c1',
+      name: 'Acme',
+      industry: 'Software',
+      company_size: 'startup',
+      website: 'https://acme.example.com',
+      user_rating: 4,
+      job_descriptions_count: 2,
+    },
+    {
+      id: 'c2',
+      name: 'ACME Inc',
+      industry: null,
+      company_size: null,
+      user_rating: null,
+      job_descriptions_count: 1,
+    },
+  ];
+
+  const mockPagination = { page: 1, limit: 20, totalCount: 2, totalPages: 1 };
+
+  const renderCompanies = async () => {
+    render(
+      <TestRouter>
+        <Companies />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('Software')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    companiesAPI.getAll.mockResolvedValue({ companies: mockCompanies, pagination: mockPagination });
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('lists companies with pagination info', async () => {
+    await renderCompanies();
+
+    expect(screen.getByText('Acme')).toBeInTheDocument();
+    expect(screen.getByText('ACME Inc')).toBeInTheDocument();
+    expect(screen.getByText(/Showing 1 to 2 of 2 companies/)).toBeInTheDocument();
+    expect(companiesAPI.getAll).toHaveBeenCalledWith({ page: 1, limit: 20, sort_by: 'name', sort_order: 'ASC' });
+  });
+
+  it('filters by the name a global search result links to', async () => {
+    window.history.pushState({}, '', '/companies?search=Acme');
+    await renderCompanies();
+
+    expect(screen.getByLabelText('Search')).toHaveValue('Acme');
+    expect(companiesAPI.getAll).toHaveBeenCalledWith({
+      page: 1, limit: 20, sort_by: 'name', sort_order: 'ASC', search: 'Acme',
+    });
+    window.history.pushState({}, '', '/');
+  });
+
+  it('shows an empty state', async () => {
+    companiesAPI.getAll.mockResolvedValue({ companies: [], pagination: { ...mockPagination, totalCount: 0 } });
+
+    render(
+      <TestRouter>
+        <Companies />
+      </TestRouter>
+    );
+
+    expect(await screen.findByText('No companies found')).toBeInTheDocument();
+  });
+
+  it('passes search and sort changes to the API', async () => {
+    await renderCompanies();
+
+    fireEvent.change(screen.getByLabelText('Search'), { target: { value: 'acme' } });
+    await waitFor(() => {
+      expect(companiesAPI.getAll).toHaveBeenLastCalledWith(expect.objectContaining({ search: 'acme', page: 1 }));
+    });
+
+    fireEvent.click(await screen.findByText(/^Rating/));
+    await waitFor(() => {
+      expect(companiesAPI.getAll).toHaveBeenLastCalledWith(expect.objectContaining({ sort_by: 'user_rating' }));
+    });
+  });
+
+  it('creates a company', async () => {
+    companiesAPI.create.mockResolvedValue({ company: { id: 'c3', name: 'Globex' } });
+    await renderCompanies();
+
+    fireEvent.click(screen.getByText('+ New Company'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Globex' } });
+    fireEvent.change(screen.getByLabelText('My Rating'), { target: { value: '3' } });
+    fireEvent.click(screen.getByText('Create Company'));
+
+    await waitFor(() => {
+      expect(companiesAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Globex',
+        userRating: 3,
+        glassdoorRating: null,
+      }));
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Company created successfully!');
+    });
+  });
+
+  it('edits a company', async () => {
+    companiesAPI.update.mockResolvedValue({ company: mockCompanies[0] });
+    await renderCompanies();
+
+    fireEvent.click(screen.getAllByText('Edit')[0]);
+    expect(screen.getByLabelText('Name')).toHaveValue('Acme');
+
+    fireEvent.change(screen.getByLabelText('Industry'), { target: { value: 'Robotics' } });
+    fireEvent.click(screen.getByText('Update Company'));
+
+    await waitFor(() => {
+      expect(companiesAPI.update).toHaveBeenCalledWith('c1', expect.objectContaining({ industry: 'Robotics', userRating: 4 }));
+    });
+  });
+
+  it('shows validation errors from the server', async () => {
+    companiesAPI.create.mockRejectedValue({
+      message: 'Rating must be between 1 and 5',
+      data: { errors: [{ msg: 'Company name is required' }] },
+    });
+    await renderCompanies();
+
+    fireEvent.click(screen.getByText('+ New Company'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: ' ' } });
+    fireEvent.click(screen.getByText('Create Company'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to save company: Company name is required');
+    });
+  });
+
+  it('rates a company from the table', async () => {
+    companiesAPI.update.mockResolvedValue({});
+    await renderCompanies();
+
+    fireEvent.click(screen.getByLabelText('ACME Inc rating 5'));
+
+    await waitFor(() => {
+      expect(companiesAPI.update).toHaveBeenCalledWith('c2', { userRating: 5 });
+    });
+  });
+
+  it('merges selected companies into the chosen one', async () => {
+    companiesAPI.merge.mockResolvedValue({ message: 'Merged 1 company into Acme' });
+    await renderCompanies();
+
+    fireEvent.click(screen.getByLabelText('Select Acme'));
+    fireEvent.click(screen.getByLabelText('Select ACME Inc'));
+
+    expect(screen.getByText('Merge 2 Companies')).toBeInTheDocument();
+    expect(screen.getByLabelText('Keep')).toHaveValue('c1');
+
+    fireEvent.click(screen.getByText('Merge Selected'));
+
+    await waitFor(() => {
+      expect(companiesAPI.merge).toHaveBeenCalledWith('c1', ['c2']);
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Merged 1 company into Acme');
+    });
+  });
+
+  it('shows linked job descriptions', async () => {
+    companiesAPI.getById.mockResolvedValue({
+      company: mockCompanies[0],
+      jobDescriptions: [{ id: 'jd1', job_title: 'Platform Engineer', status: 'applied', date: '2024-06-01' }],
+    });
+    await renderCompanies();
+
+    fireEvent.click(screen.getAllByText('View')[0]);
+
+    expect(await screen.findByText('Platform Engineer')).toBeInTheDocument();
+    expect(screen.getByText('Job Descriptions (1)')).toBeInTheDocument();
+    expect(companiesAPI.getById).toHaveBeenCalledWith('c1');
+  });
+
+  it('deletes a company after confirmation', async () => {
+    companiesAPI.delete.mockResolvedValue({});
+    await renderCompanies();
+
+    fireEvent.click(screen.getAllByText('Delete')[1]);
+
+    await waitFor(() => {
+      expect(companiesAPI.delete).toHaveBeenCalledWith('c2');
+    });
+    expect(window.confirm).toHaveBeenCalled();
+  });
+
+  it('shows an error toast when loading fails', async () => {
+    companiesAPI.getAll.mockRejectedValue(new Error('Network error'));
+
+    render(
+      <TestRouter>
+        <Companies />
+      </TestRouter>
+    );
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to load companies: Network error');
+    });
+  });
+});
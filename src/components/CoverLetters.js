@@ -0,0 +1,314 @@
+/**
+ * CoverLetters Component
+ *
+ * Edit cover letters and reusable templates. Templates can contain
+ * placeholders such as {{company.name}} that are filled in when a letter is
+ * generated from a saved job description (see JDAnalyzer).
+ * Open /cover-letters?edit=<id> to jump straight to a letter's editor.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { coverLettersAPI } from '../services/api';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+
+const EMPTY_LETTER = {
+  title: '',
+  content: '',
+  notes: '',
+  isTemplate: false,
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*[a-zA-Z]+(?:\.[a-zA-Z]+)?\s*\}\}/g;
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const CoverLetters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [coverLetters, setCoverLetters] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [show, setShow] = useState('');
+
+  // Editor
+  const [editingId, setEditingId] = useState(null);
+  const [showEditor, setShowEditor] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_LETTER);
+  const [isSaving, setIsSaving] = useState(false);
+  const contentRef = useRef(null);
+
+  const loadCoverLetters = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await coverLettersAPI.getAll(show ? { is_template: show } : {});
+      setCoverLetters(data.coverLetters || []);
+    } catch (error) {
+      toast.error('Failed to load cover letters: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [show]);
+
+  useEffect(() => {
+    loadCoverLetters();
+  }, [loadCoverLetters]);
+
+  useEffect(() => {
+    coverLettersAPI.getPlaceholders()
+      .then(data => setPlaceholders(data.placeholders || []))
+      .catch(() => setPlaceholders([]));
+  }, []);
+
+  const openEditor = (coverLetter) => {
+    setFormData({
+      title: coverLetter.title || '',
+      content: coverLetter.content || '',
+      notes: coverLetter.notes || '',
+      isTemplate: !!coverLetter.is_template,
+    });
+    setEditingId(coverLetter.id);
+    setShowEditor(true);
+  };
+
+  // Open the letter named in ?edit=<id> (e.g. right after generating it)
+  const editParam = searchParams.get('edit');
+  useEffect(() => {
+    if (!editParam) return;
+    coverLettersAPI.getById(editParam)
+      .then(data => openEditor(data.coverLetter))
+      .catch(error => toast.error('Failed to load cover letter: ' + getErrorMessage(error, 'Unknown error')));
+  }, [editParam]);
+
+  const handleNew = (isTemplate) => {
+    setFormData({ ...EMPTY_LETTER, isTemplate });
+    setEditingId(null);
+    setShowEditor(true);
+  };
+
+  const handleCancel = () => {
+    setShowEditor(false);
+    setEditingId(null);
+    setFormData(EMPTY_LETTER);
+    if (editParam) setSearchParams({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Insert a placeholder at the cursor position in the content box
+  const insertPlaceholder = (placeholder) => {
+    const textarea = contentRef.current;
+    setFormData(prev => {
+      const start = textarea ? textarea.selectionStart : prev.content.length;
+      const end = textarea ? textarea.selectionEnd : prev.content.length;
+      return {
+        ...prev,
+        content: prev.content.slice(0, start) + placeholder + prev.content.slice(end),
+      };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await coverLettersAPI.update(editingId, formData);
+        toast.success(formData.isTemplate ? 'Template updated successfully!' : 'Cover letter updated successfully!');
+      } else {
+        await coverLettersAPI.create(formData);
+        toast.success(formData.isTemplate ? 'Template created successfully!' : 'Cover letter created successfully!');
+      }
+      handleCancel();
+      await loadCoverLetters();
+    } catch (error) {
+      toast.error('Failed to save cover letter: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (coverLetter) => {
+    if (!window.confirm(`Delete ${coverLetter.title}?`)) {
+      return;
+    }
+
+    try {
+      await coverLettersAPI.delete(coverLetter.id);
+      toast.success('Cover letter deleted successfully!');
+      if (editingId === coverLetter.id) handleCancel();
+      await loadCoverLetters();
+    } catch (error) {
+      toast.error('Failed to delete cover letter: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  // Placeholders left in a letter still need to be filled in by hand
+  const unfilled = formData.isTemplate ? [] : [...new Set(formData.content.match(PLACEHOLDER_PATTERN) || [])];
+  const kind = formData.isTemplate ? 'Template' : 'Letter';
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Cover Letters</h1>
+          <p>Write reusable templates and edit the letters generated from them</p>
+        </div>
+        {!showEditor && (
+          <div className="list-page-row-actions">
+            <button className="btn-primary" onClick={() => handleNew(true)}>
+              + New Template
+            </button>
+            <button className="btn-secondary" onClick={() => handleNew(false)}>
+              + New Letter
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Editor */}
+      {showEditor && (
+        <div className="list-page-panel">
+          <h2>{editingId ? `Edit ${kind}` : `New ${kind}`}</h2>
+          <form onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="cover-letter-title">Title</label>
+                <input id="cover-letter-title" name="title" value={formData.title} onChange={handleChange} required />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="cover-letter-content">Content</label>
+                <textarea
+                  id="cover-letter-content"
+                  name="content"
+                  rows="14"
+                  ref={contentRef}
+                  value={formData.content}
+                  onChange={handleChange}
+                />
+              </div>
+              {formData.isTemplate && placeholders.length > 0 && (
+                <div className="list-page-field list-page-field-wide">
+                  <span>Insert placeholder</span>
+                  <div className="list-page-row-actions">
+                    {placeholders.map(({ placeholder, description }) => (
+                      <button
+                        key={placeholder}
+                        type="button"
+                        className="btn-secondary btn-small"
+                        title={description}
+                        onClick={() => insertPlaceholder(placeholder)}
+                      >
+                        {placeholder}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {unfilled.length > 0 && (
+                <div className="list-page-field list-page-field-wide" role="status">
+                  Still to fill in: {unfilled.join(', ')}
+                </div>
+              )}
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="cover-letter-notes">Notes</label>
+                <textarea id="cover-letter-notes" name="notes" rows="2" value={formData.notes} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="cover-letter-template">
+                  <input
+                    id="cover-letter-template"
+                    name="isTemplate"
+                    type="checkbox"
+                    checked={formData.isTemplate}
+                    onChange={handleChange}
+                  />{' '}
+                  Reusable template
+                </label>
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : `Save ${kind}`}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="list-page-filters">
+        <div className="list-page-field">
+          <label htmlFor="filter-kind">Show</label>
+          <select id="filter-kind" value={show} onChange={(e) => setShow(e.target.value)}>
+            <option value="">All</option>
+            <option value="true">Templates</option>
+            <option value="false">Letters</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Cover Letters Table */}
+      {loading ? (
+        <div className="list-page-empty">Loading cover letters...</div>
+      ) : coverLetters.length === 0 ? (
+        <div className="list-page-empty">No cover letters found</div>
+      ) : (
+        <div className="list-page-table-container">
+          <table className="list-page-table">
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Type</th>
+                <th>Updated</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {coverLetters.map(coverLetter => (
+                <tr key={coverLetter.id} className={editingId === coverLetter.id ? 'selected' : ''}>
+                  <td>{coverLetter.title}</td>
+                  <td>
+                    <span className="list-page-badge">{coverLetter.is_template ? 'Template' : 'Letter'}</span>
+                  </td>
+                  <td>{formatDate(coverLetter.updated_at)}</td>
+                  <td>
+                    <div className="list-page-row-actions">
+                      <button className="btn-secondary btn-small" onClick={() => openEditor(coverLetter)}>Edit</button>
+                      <button className="btn-danger btn-small" onClick={() => handleDelete(coverLetter)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default CoverLetters;
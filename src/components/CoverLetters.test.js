@@ -0,0 +1,171 @@
+/**
+ * CoverLetters Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CoverLetters from './CoverLetters';
+import { TestRouter } from '../test-utils';
+import { coverLettersAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  coverLettersAPI: {
+    getAll: jest.fn(),
+    getById: jest.fn(),
+    getPlaceholders: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('CoverLetters', () => {
+  const mockCoverLetters = [
+    {
+      id: 'cl1',
+      title: 'Standard',
+      content: 'Dear {{recruiter.name}},',
+      is_template: true,
+      updated_at: '2024-06-02T10:00:00Z',
+    },
+    {
+      id: 'cl2',
+      title: 'Platform Engineer at Acme - Standard',
+      content: 'Dear {{recruiter.name}},\n\nI am applying at Acme.',
+      is_template: false,
+      updated_at: '2024-06-03T10:00:00Z',
+    },
+  ];
+
+  const renderCoverLetters = async () => {
+    render(
+      <TestRouter>
+        <CoverLetters />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('Standard')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.history.pushState({}, '', '/cover-letters');
+    coverLettersAPI.getAll.mockResolvedValue({ coverLetters: mockCoverLetters });
+    coverLettersAPI.getPlaceholders.mockResolvedValue({
+      placeholders: [
+        { placeholder: '{{company.name}}', description: 'Company name' },
+        { placeholder: '{{job.title}}', description: 'Job title' },
+      ],
+    });
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('lists templates and letters', async () => {
+    await renderCoverLetters();
+
+    expect(screen.getByText('Platform Engineer at Acme - Standard')).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Template' })).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Letter' })).toBeInTheDocument();
+  });
+
+  it('filters to templates', async () => {
+    await renderCoverLetters();
+
+    fireEvent.change(screen.getByLabelText('Show'), { target: { value: 'true' } });
+
+    await waitFor(() => {
+      expect(coverLettersAPI.getAll).toHaveBeenLastCalledWith({ is_template: 'true' });
+    });
+  });
+
+  it('creates a template with an inserted placeholder', async () => {
+    coverLettersAPI.create.mockResolvedValue({});
+    await renderCoverLetters();
+
+    fireEvent.click(screen.getByText('+ New Template'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Short' } });
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Hello ' } });
+    fireEvent.click(await screen.findByText('{{company.name}}'));
+    fireEvent.click(screen.getByText('Save Template'));
+
+    await waitFor(() => {
+      expect(coverLettersAPI.create).toHaveBeenCalledWith({
+        title: 'Short',
+        content: 'Hello {{company.name}}',
+        notes: '',
+        isTemplate: true,
+      });
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Template created successfully!');
+    });
+  });
+
+  it('opens the letter named in the URL and lists unfilled placeholders', async () => {
+    window.history.pushState({}, '', '/cover-letters?edit=cl2');
+    coverLettersAPI.getById.mockResolvedValue({ coverLetter: mockCoverLetters[1] });
+    await renderCoverLetters();
+
+    expect(await screen.findByText('Edit Letter')).toBeInTheDocument();
+    expect(coverLettersAPI.getById).toHaveBeenCalledWith('cl2');
+    expect(screen.getByLabelText('Content')).toHaveValue(mockCoverLetters[1].content);
+    expect(screen.getByRole('status')).toHaveTextContent('Still to fill in: {{recruiter.name}}');
+  });
+
+  it('saves edits to a letter', async () => {
+    coverLettersAPI.update.mockResolvedValue({});
+    await renderCoverLetters();
+
+    fireEvent.click(screen.getAllByText('Edit')[1]);
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Dear Sam,' } });
+    fireEvent.click(screen.getByText('Save Letter'));
+
+    await waitFor(() => {
+      expect(coverLettersAPI.update).toHaveBeenCalledWith('cl2', expect.objectContaining({ content: 'Dear Sam,' }));
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Cover letter updated successfully!');
+    });
+  });
+
+  it('deletes after confirmation', async () => {
+    coverLettersAPI.delete.mockResolvedValue({});
+    await renderCoverLetters();
+
+    fireEvent.click(screen.getAllByText('Delete')[0]);
+
+    await waitFor(() => {
+      expect(coverLettersAPI.delete).toHaveBeenCalledWith('cl1');
+    });
+    expect(window.confirm).toHaveBeenCalled();
+  });
+
+  it('shows validation errors from the server', async () => {
+    coverLettersAPI.create.mockRejectedValue({ data: { errors: [{ msg: 'Cover letter title is required' }] } });
+    await renderCoverLetters();
+
+    fireEvent.click(screen.getByText('+ New Letter'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'x' } });
+    fireEvent.click(screen.getByText('Save Letter'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to save cover letter: Cover letter title is required');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * EmailVerificationBanner Component
+ *
+ * Reminds a logged-in user who has not verified their email address to do
+ * so, and lets them have the verification link sent again. Hidden for
+ * verified users and when logged out.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import './LoginRegister.css';
+
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error?.message || 'Failed to send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="auth-notice email-verification-banner" role="status">
+      <span>Please verify your email address. We sent a link to {user.email}.</span>
+      <button type="button" onClick={handleResend} disabled={isSending}>
+        {isSending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,75 @@
+/**
+ * EmailVerificationBanner Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import EmailVerificationBanner from './EmailVerificationBanner';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../services/api', () => ({
+  authAPI: {
+    resendVerification: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const unverifiedUser = { id: 'user-1', name: 'Alex', email: 'alex@example.com', emailVerified: false };
+
+describe('EmailVerificationBanner', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({ user: unverifiedUser });
+  });
+
+  it('reminds unverified users and resends the link', async () => {
+    authAPI.resendVerification.mockResolvedValue({ message: 'Verification email sent' });
+    render(<EmailVerificationBanner />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('We sent a link to alex@example.com');
+    fireEvent.click(screen.getByRole('button', { name: 'Resend email' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Verification email sent to alex@example.com');
+    });
+    expect(authAPI.resendVerification).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows when a new link was requested too soon', async () => {
+    authAPI.resendVerification.mockRejectedValue(
+      new Error('A verification email was sent recently. Please wait before requesting another')
+    );
+    render(<EmailVerificationBanner />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Resend email' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith(
+        'A verification email was sent recently. Please wait before requesting another'
+      );
+    });
+    expect(screen.getByRole('button', { name: 'Resend email' })).toBeEnabled();
+  });
+
+  it('is hidden for verified users and when logged out', () => {
+    useAuth.mockReturnValue({ user: { ...unverifiedUser, emailVerified: true } });
+    const { rerender } = render(<EmailVerificationBanner />);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+    useAuth.mockReturnValue({ user: null });
+    rerender(<EmailVerificationBanner />);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * ForgotPassword Component
+ *
+ * Asks for the account email and requests a password reset link. The
+ * server answers the same way whether or not the account exists, so the
+ * confirmation does too.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { emailSchema } from '../validation';
+import { authAPI } from '../services/api';
+import './LoginRegister.css';
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const validate = async (value) => {
+    try {
+      await emailSchema().validate(value);
+      setError(null);
+      return true;
+    } catch (validationError) {
+      setError(validationError.message);
+      return false;
+    }
+  };
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    if (error) setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !(await validate(email))) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await authAPI.forgotPassword(email.trim());
+      setSentMessage(response.message);
+    } catch (apiError) {
+      toast.error(getErrorMessage(apiError, 'Failed to request a password reset. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (sentMessage) {
+    return (
+      <div>
+        <h2>Check Your Email</h2>
+        <p className="auth-notice" role="status">{sentMessage}.</p>
+        <p>The link expires after a while; if it does, request a new one.</p>
+        <div className="auth-links">
+          <Link to="/login-register">Back to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Forgot Password</h2>
+      <p>Enter the email you registered with and we will send you a link to choose a new password.</p>
+
+      <form onSubmit={handleSubmit} className="profile-form" noValidate>
+        <div className={`input-container ${error ? 'error' : ''}`}>
+          <div className="label-error-container">
+            <label htmlFor="forgot-email">Email</label>
+            {error && <div className="error">{error}</div>}
+          </div>
+          <input
+            type="email"
+            id="forgot-email"
+            name="email"
+            value={email}
+            onChange={handleChange}
+            onBlur={() => email && validate(email)}
+            autoComplete="email"
+            required
+            className={error ? 'error-input' : ''}
+          />
+        </div>
+
+        <div className="button-container">
+          <button type="submit" disabled={!email || isSubmitting}>
+            {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </div>
+      </form>
+
+      <div className="auth-links">
+        <Link to="/login-register">Back to login</Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
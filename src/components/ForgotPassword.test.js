@@ -0,0 +1,70 @@
+/**
+ * ForgotPassword Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import ForgotPassword from './ForgotPassword';
+import { TestRouter } from '../test-utils';
+import { authAPI } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  authAPI: {
+    forgotPassword: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const renderForgotPassword = () => render(<TestRouter><ForgotPassword /></TestRouter>);
+
+describe('ForgotPassword', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requests a reset link and shows the confirmation', async () => {
+    authAPI.forgotPassword.mockResolvedValue({
+      message: 'If an account exists for that email, a password reset link has been sent',
+    });
+    renderForgotPassword();
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: ' alex@example.com ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Reset Link' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'If an account exists for that email, a password reset link has been sent'
+    );
+    expect(authAPI.forgotPassword).toHaveBeenCalledWith('alex@example.com');
+    expect(screen.getByRole('link', { name: 'Back to login' })).toHaveAttribute('href', '/login-register');
+  });
+
+  it('validates the email before sending', async () => {
+    renderForgotPassword();
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'not-an-email' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Reset Link' }));
+
+    expect(await screen.findByText(/Invalid email address/)).toBeInTheDocument();
+    expect(authAPI.forgotPassword).not.toHaveBeenCalled();
+  });
+
+  it('shows request failures', async () => {
+    authAPI.forgotPassword.mockRejectedValue(new Error('Network error'));
+    renderForgotPassword();
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'alex@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Reset Link' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Network error');
+    });
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * GlobalSearch Component
+ *
+ * Header search box over the user's job descriptions, companies and
+ * recruiters. Press "/" (or Ctrl/Cmd+K) anywhere to focus it; results are
+ * fetched as the user types and grouped by type, each with a snippet whose
+ * matched words are highlighted. Arrow keys move through the results and
+ * Enter opens the selected one.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { searchAPI } from '../services/api';
+import './GlobalSearch.css';
+
+const DEBOUNCE_MS = 250;
+
+/**
+ * Result groups in display order, with where each result opens
+ * Companies and recruiters have no detail page, so their list is opened filtered by name.
+ */
+const GROUPS = [
+  { type: 'job_descriptions', label: 'Job Descriptions', toPath: (item) => `/job-descriptions/${item.id}` },
+  { type: 'companies', label: 'Companies', toPath: (item) => `/companies?search=${encodeURIComponent(item.title)}` },
+  { type: 'recruiters', label: 'Recruiters', toPath: (item) => `/recruiters?search=${encodeURIComponent(item.title)}` },
+];
+
+// "/" only counts as the shortcut when the user isn't already typing somewhere
+const isTypingTarget = (target) => target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+const GlobalSearch = () => {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  // Only the latest request may update the results
+  const requestIdRef = useRef(0);
+  const [searchText, setSearchText] = useState('');
+  const [results, setResults] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      const isModifierShortcut = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k';
+      const isSlashShortcut = e.key === '/' && !e.ctrlKey && !e.metaKey && !isTypingTarget(e.target);
+      if (isModifierShortcut || isSlashShortcut) {
+        e.preventDefault();
+        inputRef.current.focus();
+        inputRef.current.select();
+      }
+    };
+
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  useEffect(() => {
+    const q = searchText.trim();
+    const requestId = ++requestIdRef.current;
+    if (!q) {
+      setResults(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchAPI.search(q);
+        if (requestId === requestIdRef.current) {
+          setResults(data.results);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (requestId === requestIdRef.current) {
+          setResults(null);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  // Flat list of results for keyboard navigation, in display order
+  const options = results
+    ? GROUPS.flatMap(group => (results[group.type]?.items || []).map(item => ({
+      ...item,
+      key: `${group.type}-${item.id}`,
+      path: group.toPath(item),
+    })))
+    : [];
+
+  const openResult = (option) => {
+    setIsOpen(false);
+    setSearchText('');
+    inputRef.current.blur();
+    navigate(option.path);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      inputRef.current.blur();
+    } else if (e.key === 'ArrowDown' && options.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (prev + 1) % options.length);
+    } else if (e.key === 'ArrowUp' && options.length > 0) {
+      e.preventDefault();
+      setActiveIndex(prev => (prev <= 0 ? options.length - 1 : prev - 1));
+    } else if (e.key === 'Enter' && options[activeIndex]) {
+      e.preventDefault();
+      openResult(options[activeIndex]);
+    }
+  };
+
+  const showResults = isOpen && results !== null;
+
+  return (
+    <div className="global-search">
+      <input
+        ref={inputRef}
+        type="search"
+        role="combobox"
+        aria-label="Search"
+        aria-expanded={showResults}
+        aria-controls="global-search-results"
+        aria-activedescendant={options[activeIndex] ? `global-search-${options[activeIndex].key}` : undefined}
+        aria-autocomplete="list"
+        placeholder="Search jobs, companies, recruiters ( / )"
+        value={searchText}
+        onChange={(e) => {
+          setSearchText(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {showResults && (
+        // Keep focus in the input so clicking a result isn't lost to the blur
+        <div
+          id="global-search-results"
+          className="global-search-results"
+          role="listbox"
+          aria-label="Search results"
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {options.length === 0 && (
+            <div className="global-search-empty">No matches for &ldquo;{searchText.trim()}&rdquo;</div>
+          )}
+          {GROUPS.filter(group => results[group.type]?.items.length > 0).map(group => (
+            <div key={group.type} role="group" aria-label={group.label}>
+              <div className="global-search-group-label">
+                {group.label}
+                {results[group.type].total > results[group.type].items.length && (
+                  <span> ({results[group.type].items.length} of {results[group.type].total})</span>
+                )}
+              </div>
+              {options.filter(option => option.key.startsWith(`${group.type}-`)).map(option => {
+                const index = options.indexOf(option);
+                return (
+                  <div
+                    key={option.key}
+                    id={`global-search-${option.key}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`global-search-option${index === activeIndex ? ' global-search-option-active' : ''}`}
+                    onClick={() => openResult(option)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    <div className="global-search-option-title">
+                      {option.title}
+                      {option.subtitle && <span className="global-search-option-subtitle"> &middot; {option.subtitle}</span>}
+                    </div>
+                    {option.snippet.length > 0 && (
+                      <div className="global-search-option-snippet">
+                        {option.snippet.map((segment, segmentIndex) => (segment.match
+                          ? <mark key={segmentIndex}>{segment.text}</mark>
+                          : <span key={segmentIndex}>{segment.text}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
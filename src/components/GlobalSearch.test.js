@@ -0,0 +1,147 @@
+/**
+ * GlobalSearch Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import GlobalSearch from './GlobalSearch';
+import { TestRouter } from '../test-utils';
+import { searchAPI } from '../services/api';
+
+const mockNavigate = jest.fn();
+
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+jest.mock('../services/api', () => ({
+  searchAPI: {
+    search: jest.fn(),
+  },
+}));
+
+const searchResponse = {
+  query: 'kubernetes',
+  results: {
+    job_descriptions: {
+      total: 4,
+      items: [{
+        id: 'jd-1',
+        title: 'Platform Engineer',
+        subtitle: 'Acme',
+        snippet: [
+          { text: 'Run ', match: false },
+          { text: 'Kubernetes', match: true },
+          { text: ' clusters', match: false },
+        ],
+      }],
+    },
+    companies: { total: 0, items: [] },
+    recruiters: {
+      total: 1,
+      items: [{ id: 'rec-1', title: 'Jane Doe', subtitle: 'Recruiter at Acme', snippet: [] }],
+    },
+  },
+};
+
+const renderSearch = () => render(
+  <TestRouter>
+    <input aria-label="Other field" />
+    <GlobalSearch />
+  </TestRouter>
+);
+
+const typeSearch = (text) => {
+  const input = screen.getByRole('combobox', { name: 'Search' });
+  fireEvent.focus(input);
+  fireEvent.change(input, { target: { value: text } });
+  return input;
+};
+
+describe('GlobalSearch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('shows grouped results with the matched words highlighted', async () => {
+    searchAPI.search.mockResolvedValue(searchResponse);
+    renderSearch();
+
+    typeSearch('kubernetes');
+
+    const jobs = await screen.findByRole('group', { name: 'Job Descriptions' });
+    expect(searchAPI.search).toHaveBeenCalledWith('kubernetes');
+    expect(within(jobs).getByText('(1 of 4)')).toBeInTheDocument();
+    expect(within(jobs).getByText('Kubernetes').tagName).toBe('MARK');
+    expect(screen.getByRole('group', { name: 'Recruiters' })).toBeInTheDocument();
+    expect(screen.queryByRole('group', { name: 'Companies' })).not.toBeInTheDocument();
+  });
+
+  it('opens a job description when its result is clicked', async () => {
+    searchAPI.search.mockResolvedValue(searchResponse);
+    renderSearch();
+
+    typeSearch('kubernetes');
+    fireEvent.click(await screen.findByRole('option', { name: /Platform Engineer/ }));
+
+    expect(mockNavigate).toHaveBeenCalledWith('/job-descriptions/jd-1');
+  });
+
+  it('opens the recruiter list filtered by name with the keyboard', async () => {
+    searchAPI.search.mockResolvedValue(searchResponse);
+    renderSearch();
+
+    const input = typeSearch('kubernetes');
+    await screen.findByRole('listbox', { name: 'Search results' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByRole('option', { name: /Jane Doe/ })).toHaveAttribute('aria-selected', 'true');
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(mockNavigate).toHaveBeenCalledWith('/recruiters?search=Jane%20Doe');
+  });
+
+  it('says when nothing matches', async () => {
+    searchAPI.search.mockResolvedValue({
+      query: 'cobol',
+      results: {
+        job_descriptions: { total: 0, items: [] },
+        companies: { total: 0, items: [] },
+        recruiters: { total: 0, items: [] },
+      },
+    });
+    renderSearch();
+
+    typeSearch('cobol');
+
+    expect(await screen.findByText('No matches for “cobol”')).toBeInTheDocument();
+  });
+
+  it('focuses the search box with the keyboard shortcuts', () => {
+    renderSearch();
+    const input = screen.getByRole('combobox', { name: 'Search' });
+    const otherField = screen.getByRole('textbox', { name: 'Other field' });
+
+    fireEvent.keyDown(document.body, { key: '/' });
+    expect(input).toHaveFocus();
+
+    otherField.focus();
+    fireEvent.keyDown(otherField, { key: '/' });
+    expect(otherField).toHaveFocus();
+
+    fireEvent.keyDown(otherField, { key: 'k', ctrlKey: true });
+    expect(input).toHaveFocus();
+  });
+
+  it('does not search for blank text', async () => {
+    renderSearch();
+
+    typeSearch('   ');
+
+    await waitFor(() => {
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+    expect(searchAPI.search).not.toHaveBeenCalled();
+  });
+});
@@ -3,6 +3,8 @@ import { Link, useLocation, useNavigate } from 'react-router-dom'; // Import Lin
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { toast } from 'react-toastify';
+import GlobalSearch from './GlobalSearch';
+import NotificationBell from './NotificationBell';
 
 function Header({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
   const { isAuthenticated, isAdmin, user, login, logout } = useAuth();
@@ -82,6 +84,7 @@ function Header({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
       <div className="header-left">
         <img src={logoSrc} alt="Logo" className="header-logo" />
       </div>
+      {isAuthenticated && <GlobalSearch />}
       <div className="header-right">
         <button
           className="theme-toggle"
@@ -214,6 +217,7 @@ function Header({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
           </div>
         )}
       </div>
+      {isAuthenticated && <NotificationBell />}
     </header>
   );
 }
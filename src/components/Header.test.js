@@ -20,6 +20,10 @@ jest.mock('../services/api', () => {
       ...actual.authAPI,
       getCurrentUser: jest.fn().mockRejectedValue(new Error('Not authenticated')),
     },
+    notificationsAPI: {
+      ...actual.notificationsAPI,
+      getAll: jest.fn().mockResolvedValue({ notifications: [], unreadCount: 0 }),
+    },
   };
 });
 
@@ -164,6 +168,8 @@ describe("Header", () => {
     await waitFor(() => {
       expect(screen.getByText(/login\/register/i)).toBeInTheDocument();
     });
+    expect(screen.queryByRole('combobox', { name: 'Search' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /notifications/i })).not.toBeInTheDocument();
 
     // Get the LoginRegister link and click it
     const loginRegisterLink = screen.getByText(/login\/register/i);
@@ -203,6 +209,8 @@ describe("Header", () => {
         expect(screen.getByText('Profile')).toBeInTheDocument();
         expect(screen.queryByText('Login/Register')).not.toBeInTheDocument();
       });
+      expect(screen.getByRole('combobox', { name: 'Search' })).toBeInTheDocument();
+      expect(await screen.findByRole('button', { name: 'Notifications' })).toBeInTheDocument();
     });
 
     it('shows admin link when user is authenticated and is admin', async () => {
@@ -0,0 +1,99 @@
+import React from 'react';
+import { INTERVIEW_TYPE_LABELS } from '../utils/jobDescriptionLabels';
+import './InterviewCalendar.css';
+
+/**
+ * InterviewCalendar Component
+ *
+ * Month grid of scheduled interviews, in the browser's local time. Weeks
+ * start on Sunday and the grid covers whole weeks, so days from the
+ * neighbouring months are shown dimmed. Interviews without a date are not
+ * shown here; the list view has them.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+/**
+ * Get the first and last (exclusive) day the grid shows for a month
+ * @param {Date} month - Any date in the month
+ * @returns {{start: Date, end: Date}} Sunday before the 1st, and the Sunday after the last week
+ */
+export const getCalendarRange = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const start = new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay());
+  const end = new Date(last.getFullYear(), last.getMonth(), last.getDate() + (7 - last.getDay()));
+  return { start, end };
+};
+
+const formatTime = (dateString) => new Date(dateString).toLocaleTimeString('en-US', {
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+const InterviewCalendar = ({ interviews, month, onMonthChange, onSelect }) => {
+  const { start, end } = getCalendarRange(month);
+  const today = dayKey(new Date());
+
+  const byDay = {};
+  interviews.forEach(interview => {
+    if (!interview.scheduled_at) return;
+    const key = dayKey(new Date(interview.scheduled_at));
+    byDay[key] = [...(byDay[key] || []), interview];
+  });
+
+  const days = [];
+  for (let day = new Date(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    days.push(day);
+  }
+
+  const monthLabel = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const shiftMonth = (offset) => onMonthChange(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+
+  return (
+    <div className="interview-calendar">
+      <div className="interview-calendar-toolbar">
+        <button type="button" className="btn-secondary btn-small" aria-label="Previous month" onClick={() => shiftMonth(-1)}>
+          ←
+        </button>
+        <h2>{monthLabel}</h2>
+        <button type="button" className="btn-secondary btn-small" aria-label="Next month" onClick={() => shiftMonth(1)}>
+          →
+        </button>
+      </div>
+
+      <div className="interview-calendar-grid" aria-label={monthLabel}>
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="interview-calendar-weekday">{weekday}</div>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          const classes = ['interview-calendar-day'];
+          if (day.getMonth() !== month.getMonth()) classes.push('interview-calendar-day-outside');
+          if (key === today) classes.push('interview-calendar-day-today');
+
+          return (
+            <div key={key} className={classes.join(' ')} aria-label={day.toDateString()}>
+              <span className="interview-calendar-date">{day.getDate()}</span>
+              {(byDay[key] || []).map(interview => (
+                <button
+                  key={interview.id}
+                  type="button"
+                  className={`interview-calendar-event interview-calendar-event-${interview.outcome}`}
+                  onClick={() => onSelect(interview)}
+                >
+                  {formatTime(interview.scheduled_at)} {interview.job_title || 'Untitled Position'}
+                  {interview.interview_type && ` · ${INTERVIEW_TYPE_LABELS[interview.interview_type]}`}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InterviewCalendar;
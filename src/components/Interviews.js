@@ -0,0 +1,512 @@
+/**
+ * Interviews Component
+ *
+ * Interview rounds across all job descriptions, as a list or a month
+ * calendar. Opened from a job description (?jobDescriptionId=...) it shows
+ * only that job's interviews and schedules new ones against it. Interviews
+ * can be downloaded as .ics files or followed through the calendar feed.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { interviewsAPI, jobDescriptionsAPI, recruitersAPI, calendarAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import { INTERVIEW_TYPE_LABELS, INTERVIEW_OUTCOME_LABELS } from '../utils/jobDescriptionLabels';
+import { saveBlob } from '../utils/saveBlob';
+import PageContainer from './PageContainer';
+import InterviewCalendar, { getCalendarRange } from './InterviewCalendar';
+import CalendarFeed from './CalendarFeed';
+import './ListPage.css';
+
+const { types, outcomes, maxRound, maxDurationMinutes } = validationConfig.interview;
+
+const EMPTY_INTERVIEW = {
+  jobDescriptionId: '',
+  round: '',
+  interviewType: '',
+  scheduledAt: '',
+  durationMinutes: '',
+  location: '',
+  interviewerIds: [],
+  outcome: 'pending',
+  prepNotes: '',
+  feedback: '',
+  followUpDue: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// datetime-local inputs take local time without a timezone
+const toDateTimeLocal = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'Not scheduled';
+  return new Date(dateString).toLocaleString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '';
+  // Follow-up dates are plain YYYY-MM-DD; read them as local dates
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const Interviews = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const jobDescriptionId = searchParams.get('jobDescriptionId') || '';
+
+  const [interviews, setInterviews] = useState([]);
+  const [jobDescriptions, setJobDescriptions] = useState([]);
+  const [recruiters, setRecruiters] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [view, setView] = useState('list');
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [filters, setFilters] = useState({ outcome: '', upcoming: '' });
+
+  // Create/edit form
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_INTERVIEW);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadInterviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { job_description_id: jobDescriptionId };
+
+      if (view === 'calendar') {
+        const { start, end } = getCalendarRange(month);
+        params.from = start.toISOString();
+        params.to = end.toISOString();
+      } else {
+        Object.assign(params, filters);
+      }
+
+      // Remove empty filters
+      Object.keys(params).forEach(key => {
+        if (params[key] === '') delete params[key];
+      });
+
+      const data = await interviewsAPI.getAll(params);
+      setInterviews(data.interviews || []);
+    } catch (error) {
+      toast.error('Failed to load interviews: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [jobDescriptionId, view, month, filters]);
+
+  useEffect(() => {
+    loadInterviews();
+  }, [loadInterviews]);
+
+  // Job descriptions and recruiters for the filter and form dropdowns
+  useEffect(() => {
+    jobDescriptionsAPI.getAll()
+      .then(data => setJobDescriptions(data.jobDescriptions || []))
+      .catch(() => setJobDescriptions([]));
+    recruitersAPI.getAll({ limit: 100, sort_by: 'name', sort_order: 'ASC' })
+      .then(data => setRecruiters(data.recruiters || []))
+      .catch(() => setRecruiters([]));
+  }, []);
+
+  const handleJobFilterChange = (value) => {
+    setSearchParams(value ? { jobDescriptionId: value } : {});
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleNew = () => {
+    setFormData({ ...EMPTY_INTERVIEW, jobDescriptionId });
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (interview) => {
+    setFormData({
+      jobDescriptionId: interview.job_description_id,
+      round: interview.round ? String(interview.round) : '',
+      interviewType: interview.interview_type || '',
+      scheduledAt: toDateTimeLocal(interview.scheduled_at),
+      durationMinutes: interview.duration_minutes ? String(interview.duration_minutes) : '',
+      location: interview.location || '',
+      interviewerIds: (interview.interviewers || []).map(interviewer => interviewer.id),
+      outcome: interview.outcome || 'pending',
+      prepNotes: interview.prep_notes || '',
+      feedback: interview.feedback || '',
+      followUpDue: interview.follow_up_due || '',
+    });
+    setEditingId(interview.id);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_INTERVIEW);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleInterviewersChange = (e) => {
+    const interviewerIds = Array.from(e.target.selectedOptions, option => option.value);
+    setFormData(prev => ({ ...prev, interviewerIds }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    const payload = {
+      ...formData,
+      round: formData.round ? parseInt(formData.round) : '',
+      durationMinutes: formData.durationMinutes ? parseInt(formData.durationMinutes) : null,
+      // datetime-local has no timezone; send the moment the user meant
+      scheduledAt: formData.scheduledAt ? new Date(formData.scheduledAt).toISOString() : null,
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await interviewsAPI.update(editingId, payload);
+        toast.success('Interview updated successfully!');
+      } else {
+        await interviewsAPI.create(payload);
+        toast.success('Interview scheduled successfully!');
+      }
+      handleCancel();
+      await loadInterviews();
+    } catch (error) {
+      toast.error('Failed to save interview: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (interview) => {
+    if (!window.confirm(`Delete round ${interview.round} for ${interview.job_title || 'this job'}?`)) {
+      return;
+    }
+
+    try {
+      await interviewsAPI.delete(interview.id);
+      toast.success('Interview deleted successfully!');
+      if (editingId === interview.id) handleCancel();
+      await loadInterviews();
+    } catch (error) {
+      toast.error('Failed to delete interview: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleAddToCalendar = async (interview) => {
+    try {
+      const blob = await calendarAPI.downloadInterview(interview.id);
+      saveBlob(blob, `interview-round-${interview.round}.ics`);
+    } catch (error) {
+      toast.error('Failed to export interview: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const selectedJob = jobDescriptions.find(jd => jd.id === jobDescriptionId);
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Interviews</h1>
+          <p>
+            {selectedJob
+              ? <>Interview rounds for <Link to={`/job-descriptions/${selectedJob.id}`}>{selectedJob.job_title}</Link></>
+              : 'Schedule interview rounds and record how they went'}
+          </p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={handleNew}>
+            + Schedule Interview
+          </button>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>{editingId ? 'Edit Interview' : 'Schedule Interview'}</h2>
+          <form aria-label="Interview details" onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="interview-job">Job</label>
+                <select id="interview-job" name="jobDescriptionId" value={formData.jobDescriptionId} onChange={handleChange} required>
+                  <option value="">Select a job</option>
+                  {jobDescriptions.map(jd => (
+                    <option key={jd.id} value={jd.id}>
+                      {jd.job_title || 'Untitled Position'}{(jd.company_name || jd.company) ? ` — ${jd.company_name || jd.company}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-round">Round</label>
+                <input
+                  id="interview-round"
+                  name="round"
+                  type="number"
+                  min="1"
+                  max={maxRound}
+                  placeholder="Next round"
+                  value={formData.round}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-type">Type</label>
+                <select id="interview-type" name="interviewType" value={formData.interviewType} onChange={handleChange}>
+                  <option value="">Not specified</option>
+                  {types.map(type => (
+                    <option key={type} value={type}>{INTERVIEW_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-scheduled-at">Date and time</label>
+                <input
+                  id="interview-scheduled-at"
+                  name="scheduledAt"
+                  type="datetime-local"
+                  value={formData.scheduledAt}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-duration">Duration (minutes)</label>
+                <input
+                  id="interview-duration"
+                  name="durationMinutes"
+                  type="number"
+                  min="1"
+                  max={maxDurationMinutes}
+                  value={formData.durationMinutes}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-location">Location</label>
+                <input
+                  id="interview-location"
+                  name="location"
+                  placeholder="Address, phone number or video link"
+                  value={formData.location}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-interviewers">Interviewers</label>
+                <select
+                  id="interview-interviewers"
+                  multiple
+                  value={formData.interviewerIds}
+                  onChange={handleInterviewersChange}
+                >
+                  {recruiters.map(recruiter => (
+                    <option key={recruiter.id} value={recruiter.id}>
+                      {recruiter.name}{recruiter.company_name ? ` (${recruiter.company_name})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-outcome">Outcome</label>
+                <select id="interview-outcome" name="outcome" value={formData.outcome} onChange={handleChange}>
+                  {outcomes.map(outcome => (
+                    <option key={outcome} value={outcome}>{INTERVIEW_OUTCOME_LABELS[outcome]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="interview-follow-up">Follow-up due</label>
+                <input
+                  id="interview-follow-up"
+                  name="followUpDue"
+                  type="date"
+                  value={formData.followUpDue}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="interview-prep-notes">Prep notes</label>
+                <textarea id="interview-prep-notes" name="prepNotes" rows="3" value={formData.prepNotes} onChange={handleChange} />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="interview-feedback">Feedback</label>
+                <textarea id="interview-feedback" name="feedback" rows="3" value={formData.feedback} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : (editingId ? 'Update Interview' : 'Schedule Interview')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="list-page-filters">
+        <div className="list-page-field">
+          <label htmlFor="filter-job">Job</label>
+          <select id="filter-job" value={jobDescriptionId} onChange={(e) => handleJobFilterChange(e.target.value)}>
+            <option value="">All Jobs</option>
+            {jobDescriptions.map(jd => (
+              <option key={jd.id} value={jd.id}>{jd.job_title || 'Untitled Position'}</option>
+            ))}
+          </select>
+        </div>
+        {view === 'list' && (
+          <>
+            <div className="list-page-field">
+              <label htmlFor="filter-outcome">Outcome</label>
+              <select id="filter-outcome" value={filters.outcome} onChange={(e) => handleFilterChange('outcome', e.target.value)}>
+                <option value="">All Outcomes</option>
+                {outcomes.map(outcome => (
+                  <option key={outcome} value={outcome}>{INTERVIEW_OUTCOME_LABELS[outcome]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="list-page-field">
+              <label htmlFor="filter-when">When</label>
+              <select id="filter-when" value={filters.upcoming} onChange={(e) => handleFilterChange('upcoming', e.target.value)}>
+                <option value="">All</option>
+                <option value="true">Upcoming</option>
+              </select>
+            </div>
+          </>
+        )}
+        <div className="list-page-field">
+          <span>View</span>
+          <div className="list-page-row-actions">
+            <button
+              type="button"
+              className={view === 'list' ? 'btn-primary btn-small' : 'btn-secondary btn-small'}
+              aria-pressed={view === 'list'}
+              onClick={() => setView('list')}
+            >
+              List
+            </button>
+            <button
+              type="button"
+              className={view === 'calendar' ? 'btn-primary btn-small' : 'btn-secondary btn-small'}
+              aria-pressed={view === 'calendar'}
+              onClick={() => setView('calendar')}
+            >
+              Calendar
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {view === 'calendar' ? (
+        <div className="list-page-panel">
+          <InterviewCalendar
+            interviews={interviews}
+            month={month}
+            onMonthChange={setMonth}
+            onSelect={handleEdit}
+          />
+        </div>
+      ) : loading ? (
+        <div className="list-page-empty">Loading interviews...</div>
+      ) : interviews.length === 0 ? (
+        <div className="list-page-empty">No interviews found</div>
+      ) : (
+        <div className="list-page-table-container">
+          <table className="list-page-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Job</th>
+                <th>Round</th>
+                <th>Type</th>
+                <th>Interviewers</th>
+                <th>Outcome</th>
+                <th>Follow-up</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {interviews.map(interview => (
+                <tr key={interview.id}>
+                  <td>
+                    {formatDateTime(interview.scheduled_at)}
+                    {interview.location && <div><small>{interview.location}</small></div>}
+                  </td>
+                  <td>
+                    <Link to={`/job-descriptions/${interview.job_description_id}`}>
+                      {interview.job_title || 'Untitled Position'}
+                    </Link>
+                    {interview.company_name && <div><small>{interview.company_name}</small></div>}
+                  </td>
+                  <td>{interview.round}</td>
+                  <td>{interview.interview_type && INTERVIEW_TYPE_LABELS[interview.interview_type]}</td>
+                  <td>{(interview.interviewers || []).map(interviewer => interviewer.name).join(', ')}</td>
+                  <td>
+                    <span className="list-page-badge">{INTERVIEW_OUTCOME_LABELS[interview.outcome] || interview.outcome}</span>
+                  </td>
+                  <td>{formatDate(interview.follow_up_due)}</td>
+                  <td>
+                    <div className="list-page-row-actions">
+                      {interview.scheduled_at && (
+                        <button className="btn-secondary btn-small" onClick={() => handleAddToCalendar(interview)}>
+                          Add to Calendar
+                        </button>
+                      )}
+                      <button className="btn-secondary btn-small" onClick={() => handleEdit(interview)}>Edit</button>
+                      <button className="btn-danger btn-small" onClick={() => handleDelete(interview)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <CalendarFeed />
+    </PageContainer>
+  );
+};
+
+export default Interviews;
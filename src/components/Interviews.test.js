@@ -0,0 +1,237 @@
+/**
+ * Interviews Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import Interviews from './Interviews';
+import { TestRouter } from '../test-utils';
+import { interviewsAPI, jobDescriptionsAPI, recruitersAPI, calendarAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  interviewsAPI: {
+    getAll: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  jobDescriptionsAPI: {
+    getAll: jest.fn(),
+  },
+  recruitersAPI: {
+    getAll: jest.fn(),
+  },
+  calendarAPI: {
+    getFeed: jest.fn(),
+    downloadInterview: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('Interviews', () => {
+  const today = new Date();
+  const scheduledAt = new Date(today.getFullYear(), today.getMonth(), 15, 10, 0);
+
+  const mockInterviews = [
+    {
+      id: 'i1',
+      job_description_id: 'jd1',
+      job_title: 'Platform Engineer',
+      company_name: 'Acme',
+      round: 2,
+      interview_type: 'technical',
+      scheduled_at: scheduledAt.toISOString(),
+      duration_minutes: 60,
+      location: 'Zoom',
+      outcome: 'pending',
+      follow_up_due: null,
+      interviewers: [{ id: 'r1', name: 'Sam Lee', title: 'Engineering Manager' }],
+    },
+  ];
+
+  const mockJobDescriptions = [
+    { id: 'jd1', job_title: 'Platform Engineer', company_name: 'Acme' },
+    { id: 'jd2', job_title: 'Data Engineer', company: 'Globex' },
+  ];
+
+  const mockRecruiters = [
+    { id: 'r1', name: 'Sam Lee', company_name: 'Acme' },
+    { id: 'r2', name: 'Pat Kim' },
+  ];
+
+  const renderInterviews = async (path = '/interviews') => {
+    window.history.pushState({}, '', path);
+    render(
+      <TestRouter>
+        <Interviews />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('Zoom')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    interviewsAPI.getAll.mockResolvedValue({ interviews: mockInterviews });
+    jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: mockJobDescriptions });
+    recruitersAPI.getAll.mockResolvedValue({ recruiters: mockRecruiters });
+    calendarAPI.getFeed.mockResolvedValue({ feed: { enabled: false, createdAt: null } });
+  });
+
+  afterEach(() => {
+    window.history.pushState({}, '', '/');
+  });
+
+  it('lists interviews with their job, interviewers and outcome', async () => {
+    await renderInterviews();
+
+    expect(interviewsAPI.getAll).toHaveBeenCalledWith({});
+    const table = within(screen.getByRole('table'));
+    expect(table.getByRole('link', { name: 'Platform Engineer' })).toHaveAttribute('href', '/job-descriptions/jd1');
+    expect(table.getByText('Technical')).toBeInTheDocument();
+    expect(table.getByText('Sam Lee')).toBeInTheDocument();
+    expect(table.getByText('Pending')).toBeInTheDocument();
+  });
+
+  it('shows only one job\'s interviews when opened from a job description', async () => {
+    await renderInterviews('/interviews?jobDescriptionId=jd1');
+
+    expect(interviewsAPI.getAll).toHaveBeenCalledWith({ job_description_id: 'jd1' });
+    await waitFor(() => {
+      expect(screen.getByText(/Interview rounds for/)).toBeInTheDocument();
+    });
+  });
+
+  it('schedules an interview for the job it was opened from', async () => {
+    interviewsAPI.create.mockResolvedValue({ interview: { id: 'i2' } });
+    await renderInterviews('/interviews?jobDescriptionId=jd1');
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Schedule Interview' }));
+    const form = within(screen.getByRole('form', { name: 'Interview details' }));
+
+    expect(form.getByLabelText('Job')).toHaveValue('jd1');
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'behavioral' } });
+    fireEvent.change(screen.getByLabelText('Date and time'), { target: { value: '2024-07-01T14:30' } });
+    fireEvent.change(screen.getByLabelText('Duration (minutes)'), { target: { value: '45' } });
+    const interviewers = screen.getByLabelText('Interviewers');
+    within(interviewers).getByRole('option', { name: 'Pat Kim' }).selected = true;
+    fireEvent.change(interviewers);
+    fireEvent.click(screen.getByRole('button', { name: 'Schedule Interview' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Interview scheduled successfully!');
+    });
+    expect(interviewsAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+      jobDescriptionId: 'jd1',
+      round: '',
+      interviewType: 'behavioral',
+      scheduledAt: new Date('2024-07-01T14:30').toISOString(),
+      durationMinutes: 45,
+      interviewerIds: ['r2'],
+      outcome: 'pending',
+    }));
+  });
+
+  it('records the outcome of an interview', async () => {
+    interviewsAPI.update.mockResolvedValue({ interview: { ...mockInterviews[0], outcome: 'passed' } });
+    await renderInterviews();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+    const form = within(screen.getByRole('form', { name: 'Interview details' }));
+
+    expect(screen.getByLabelText('Round')).toHaveValue(2);
+    fireEvent.change(form.getByLabelText('Outcome'), { target: { value: 'passed' } });
+    fireEvent.change(screen.getByLabelText('Feedback'), { target: { value: 'Strong system design' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Update Interview' }));
+
+    await waitFor(() => {
+      expect(interviewsAPI.update).toHaveBeenCalledWith('i1', expect.objectContaining({
+        round: 2,
+        outcome: 'passed',
+        feedback: 'Strong system design',
+        interviewerIds: ['r1'],
+        scheduledAt: scheduledAt.toISOString(),
+      }));
+    });
+  });
+
+  it('shows interviews on a month calendar', async () => {
+    await renderInterviews();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Calendar' }));
+
+    const day = await screen.findByLabelText(scheduledAt.toDateString());
+    expect(within(day).getByRole('button', { name: /Platform Engineer · Technical/ })).toBeInTheDocument();
+    const params = interviewsAPI.getAll.mock.calls[interviewsAPI.getAll.mock.calls.length - 1][0];
+    expect(new Date(params.from) <= scheduledAt).toBe(true);
+    expect(new Date(params.to) > scheduledAt).toBe(true);
+
+    interviewsAPI.getAll.mockResolvedValue({ interviews: [] });
+    fireEvent.click(screen.getByRole('button', { name: 'Next month' }));
+
+    const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    await waitFor(() => {
+      expect(screen.getByRole('heading', {
+        name: nextMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      })).toBeInTheDocument();
+    });
+  });
+
+  it('deletes an interview after confirmation', async () => {
+    window.confirm = jest.fn(() => true);
+    interviewsAPI.delete.mockResolvedValue({});
+    await renderInterviews();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Interview deleted successfully!');
+    });
+    expect(interviewsAPI.delete).toHaveBeenCalledWith('i1');
+  });
+
+  it('downloads an interview for the user\'s calendar', async () => {
+    calendarAPI.downloadInterview.mockResolvedValue(new Blob(['BEGIN:VCALENDAR']));
+    window.URL.createObjectURL = jest.fn(() => 'blob:ics');
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    await renderInterviews();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Calendar' }));
+
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(calendarAPI.downloadInterview).toHaveBeenCalledWith('i1');
+    click.mockRestore();
+  });
+
+  it('shows an error when interviews fail to load', async () => {
+    interviewsAPI.getAll.mockRejectedValue(new Error('Network error'));
+    window.history.pushState({}, '', '/interviews');
+    render(
+      <TestRouter>
+        <Interviews />
+      </TestRouter>
+    );
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to load interviews: Network error');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import React from 'react';
+
+/**
+ * JDAnalysisResults Component
+ *
+ * Renders the server's analysis of a job description: top skills,
+ * required vs nice-to-have skills, years of experience and seniority.
+ */
+
+const formatExperience = (yearsOfExperience) => {
+  if (!yearsOfExperience) return 'Not specified';
+  const { min, max } = yearsOfExperience;
+  return max ? `${min}-${max} years` : `${min}+ years`;
+};
+
+const formatLevel = (level) => (level ? level.charAt(0).toUpperCase() + level.slice(1) : 'Not specified');
+
+const chipStyle = (required) => ({
+  display: 'inline-block',
+  padding: '3px 10px',
+  margin: '0 6px 6px 0',
+  borderRadius: '12px',
+  fontSize: '13px',
+  backgroundColor: required ? '#d4edda' : '#fff3cd',
+  color: required ? '#155724' : '#856404',
+});
+
+const SkillList = ({ title, skills, required }) => (
+  <div style={{ flex: 1, minWidth: '200px' }}>
+    <h4 style={{ margin: '0 0 8px 0', fontSize: '16px' }}>{title}</h4>
+    {skills.length === 0 ? (
+      <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>None found</p>
+    ) : (
+      <div>
+        {skills.map((skill) => (
+          <span key={skill} style={chipStyle(required)}>{skill}</span>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+const JDAnalysisResults = ({ analysis, jobTitle }) => {
+  const { topSkills = [], required = [], niceToHave = [], yearsOfExperience, seniority = {} } = analysis;
+
+  return (
+    <section
+      aria-label="Job description analysis"
+      style={{ marginTop: '20px', padding: '20px', border: '1px solid #ddd', borderRadius: '8px', backgroundColor: '#fff' }}
+    >
+      <h3 style={{ fontSize: '20px', fontWeight: 'bold', margin: '0 0 15px 0' }}>
+        Analysis{jobTitle ? `: ${jobTitle}` : ''}
+      </h3>
+
+      <div style={{ display: 'flex', gap: '30px', flexWrap: 'wrap', marginBottom: '15px', fontSize: '14px' }}>
+        <div>
+          <strong>Seniority:</strong> {formatLevel(seniority.level)}
+          {seniority.signals && seniority.signals.length > 0 && (
+            <span style={{ color: '#666' }}> ({seniority.signals.join('; ')})</span>
+          )}
+        </div>
+        <div>
+          <strong>Experience:</strong> {formatExperience(yearsOfExperience)}
+        </div>
+      </div>
+
+      {topSkills.length === 0 ? (
+        <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>
+          No known skills or technologies found in the description.
+        </p>
+      ) : (
+        <>
+          <h4 style={{ margin: '0 0 8px 0', fontSize: '16px' }}>Top Skills</h4>
+          <ol style={{ margin: '0 0 15px 0', paddingLeft: '20px', fontSize: '14px' }}>
+            {topSkills.map((skill) => (
+              <li key={skill.name}>
+                {skill.name}{' '}
+                <span style={{ color: '#666' }}>
+                  ({skill.count} {skill.count === 1 ? 'mention' : 'mentions'}
+                  {skill.requirement === 'nice_to_have' ? ', nice to have' : ''})
+                </span>
+              </li>
+            ))}
+          </ol>
+          <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap' }}>
+            <SkillList title="Required" skills={required} required />
+            <SkillList title="Nice to Have" skills={niceToHave} required={false} />
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default JDAnalysisResults;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import JDAnalysisResults from './JDAnalysisResults';
+
+describe('JDAnalysisResults', () => {
+  const analysis = {
+    keywords: ['React', 'Node.js', 'GraphQL'],
+    topSkills: [
+      { name: 'React', category: 'framework', count: 3, requirement: 'required' },
+      { name: 'Node.js', category: 'framework', count: 1, requirement: 'required' },
+      { name: 'GraphQL', category: 'framework', count: 1, requirement: 'nice_to_have' },
+    ],
+    required: ['React', 'Node.js'],
+    niceToHave: ['GraphQL'],
+    yearsOfExperience: { min: 3, max: 5 },
+    seniority: { level: 'mid', signals: ['Asks for 3+ years of experience'] },
+  };
+
+  it('renders top skills in order', () => {
+    render(<JDAnalysisResults analysis={analysis} jobTitle="Engineer" />);
+
+    const items = within(screen.getByRole('list')).getAllByRole('listitem');
+    expect(items.map((item) => item.textContent)).toEqual([
+      'React (3 mentions)',
+      'Node.js (1 mention)',
+      'GraphQL (1 mention, nice to have)',
+    ]);
+  });
+
+  it('renders experience range and seniority', () => {
+    render(<JDAnalysisResults analysis={analysis} jobTitle="Engineer" />);
+
+    expect(screen.getByText('Analysis: Engineer')).toBeInTheDocument();
+    expect(screen.getByText('3-5 years')).toBeInTheDocument();
+    expect(screen.getByText('Mid')).toBeInTheDocument();
+    expect(screen.getByText('(Asks for 3+ years of experience)')).toBeInTheDocument();
+  });
+
+  it('shows when no skills were found', () => {
+    render(
+      <JDAnalysisResults
+        analysis={{ ...analysis, keywords: [], topSkills: [], required: [], niceToHave: [] }}
+      />
+    );
+
+    expect(screen.getByText('Analysis')).toBeInTheDocument();
+    expect(screen.getByText(/No known skills or technologies/)).toBeInTheDocument();
+  });
+});
@@ -1,41 +1,119 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { jobDescriptionsAPI } from '../services/api';
+import { jobDescriptionsAPI, coverLettersAPI, sourcesAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import { saveBlob } from '../utils/saveBlob';
+import { readListFilters, toListParams, hasListFilters } from '../utils/jobListFilters';
+import { ENGAGEMENT_TYPE_LABELS, JOB_TYPE_LABELS, REMOTE_POLICY_LABELS } from '../utils/jobDescriptionLabels';
 import Loading from './Loading';
+import JDAnalysisResults from './JDAnalysisResults';
+import ResumeMatches from './ResumeMatches';
+import JobListFilters from './JobListFilters';
+
+const { jobTypes, remotePolicies } = validationConfig.jobDescription;
+
+const emptyJD = () => ({
+  date: new Date().toISOString().split('T')[0],
+  contactInfo: '',
+  jobInfo: '',
+  jobTitle: '',
+  company: '',
+  location: '',
+  remotePolicy: '',
+  jobType: '',
+  sourceId: '',
+  salaryRangeMin: '',
+  salaryRangeMax: '',
+  salaryCurrency: '',
+  consultingRate: '',
+  consultingPeriod: '',
+  description: '',
+});
+
+const IMPORT_FILE_TYPES = validationConfig.jobPostingImport.fileTypes.map(type => `.${type}`).join(',');
+
+const inputStyle = { width: '100%', padding: '8px', border: '1px solid #ccc', borderRadius: '4px' };
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: 'bold' };
+
+const formatMonths = (months) => {
+  const value = Number(months);
+  return `${value} ${value === 1 ? 'month' : 'months'}`;
+};
 
 const JDAnalyzer = () => {
-  const [currentJD, setCurrentJD] = useState({
-    date: new Date().toISOString().split('T')[0],
-    contactInfo: '',
-    jobInfo: '',
-    jobTitle: '',
-    consultingRate: '',
-    consultingPeriod: '',
-    description: '',
-  });
+  const [currentJD, setCurrentJD] = useState(emptyJD);
+
+  // Paste-a-posting auto-fill
+  const [posting, setPosting] = useState('');
+  const [isExtracting, setIsExtracting] = useState(false);
+
+  // Saved job pages to import; the key resets the file input after an import
+  const [importFiles, setImportFiles] = useState([]);
+  const [importKey, setImportKey] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
 
   const [savedJDs, setSavedJDs] = useState([]);
+  const [sources, setSources] = useState([]);
+  // List filters and sort live in the URL so smart views and bookmarks can link to them
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listFilters = useMemo(() => readListFilters(searchParams), [searchParams]);
+  const activeViewId = searchParams.get('view');
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  // Resume rankings shown under saved job descriptions, keyed by job description ID
+  const [resumeMatches, setResumeMatches] = useState({});
 
-  // Load saved job descriptions on mount
-  useEffect(() => {
-    loadJobDescriptions();
-  }, []);
+  // Cover letter generation
+  const navigate = useNavigate();
+  const [letterJDId, setLetterJDId] = useState(null);
+  const [templates, setTemplates] = useState(null);
+  const [templateId, setTemplateId] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
 
-  const loadJobDescriptions = async () => {
+  const loadJobDescriptions = useCallback(async () => {
     setIsLoading(true);
     try {
-      const response = await jobDescriptionsAPI.getAll();
+      const response = await jobDescriptionsAPI.getAll(toListParams(listFilters));
       setSavedJDs(response.jobDescriptions || []);
     } catch (error) {
       toast.error('Failed to load job descriptions: ' + error.message);
     } finally {
       setIsLoading(false);
     }
+  }, [listFilters]);
+
+  // Load saved job descriptions on mount and when the list filters change
+  useEffect(() => {
+    loadJobDescriptions();
+  }, [loadJobDescriptions]);
+
+  // Sources for the form's picker (built-in plus the user's own)
+  useEffect(() => {
+    sourcesAPI.getAll()
+      .then(data => setSources(data.sources || []))
+      .catch(() => setSources([]));
+  }, []);
+
+  // The smart view stays selected while its filters are edited, so it can be updated
+  const handleListFilterChange = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  const applyListFilters = (filters, viewId) => {
+    setSearchParams({ ...toListParams(filters), ...(viewId && { view: viewId }) }, { replace: true });
   };
 
+  const isListFiltered = hasListFilters(listFilters);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setCurrentJD({ ...currentJD, [name]: value });
@@ -50,13 +128,15 @@ const JDAnalyzer = () => {
     try {
       if (editingId) {
         // Update existing job description
-        await jobDescriptionsAPI.update(editingId, currentJD);
+        const response = await jobDescriptionsAPI.update(editingId, currentJD);
         toast.success('Job description updated successfully!');
         setEditingId(null);
+        showAnalysis(response);
       } else {
         // Create new job description
-        await jobDescriptionsAPI.create(currentJD);
+        const response = await jobDescriptionsAPI.create(currentJD);
         toast.success('Job description saved successfully!');
+        showAnalysis(response);
       }
       
       // Reload the list
@@ -71,25 +151,141 @@ const JDAnalyzer = () => {
     }
   };
 
+  // Show the analysis returned with a saved job description
+  const showAnalysis = (response) => {
+    if (response && response.analysis) {
+      setAnalysis({ ...response.analysis, jobTitle: response.jobDescription?.job_title });
+    }
+    if (response?.jobDescription?.is_duplicate) {
+      toast.info(`This looks like a duplicate of "${response.jobDescription.duplicate_of_title}"`);
+    }
+  };
+
+  const handleDismissDuplicate = async (jd) => {
+    try {
+      await jobDescriptionsAPI.dismissDuplicate(jd.id);
+      toast.success('Marked as not a duplicate');
+      await loadJobDescriptions();
+    } catch (error) {
+      toast.error('Failed to dismiss duplicate: ' + error.message);
+    }
+  };
+
+  const handleMergeDuplicate = async (jd) => {
+    if (!window.confirm(`Merge this job description into "${jd.duplicate_of_title}"? This one will be deleted.`)) {
+      return;
+    }
+
+    try {
+      const response = await jobDescriptionsAPI.mergeDuplicate(jd.id);
+      toast.success(response.message || 'Job descriptions merged successfully!');
+      if (editingId === jd.id) handleClear();
+      await loadJobDescriptions();
+    } catch (error) {
+      toast.error('Failed to merge job descriptions: ' + error.message);
+    }
+  };
+
+  const handleAnalyze = async (jd) => {
+    try {
+      const response = await jobDescriptionsAPI.getAnalysis(jd.id);
+      setAnalysis({ ...response.analysis, jobTitle: jd.job_title });
+    } catch (error) {
+      toast.error('Failed to analyze job description: ' + error.message);
+    }
+  };
+
+  const handleMatchResumes = async (jd) => {
+    if (resumeMatches[jd.id]) {
+      const { [jd.id]: hidden, ...rest } = resumeMatches;
+      setResumeMatches(rest);
+      return;
+    }
+
+    try {
+      const response = await jobDescriptionsAPI.getResumeMatches(jd.id);
+      setResumeMatches((prev) => ({ ...prev, [jd.id]: response }));
+    } catch (error) {
+      toast.error('Failed to match resumes: ' + error.message);
+    }
+  };
+
+  // Download the list as shown (same filters and sort)
+  const handleExport = async (format) => {
+    try {
+      const blob = await jobDescriptionsAPI.export({ format, ...toListParams(listFilters) });
+      saveBlob(blob, `job-descriptions.${format}`);
+    } catch (error) {
+      toast.error('Failed to export job descriptions: ' + error.message);
+    }
+  };
+
   const handleClear = () => {
-    setCurrentJD({
-      date: new Date().toISOString().split('T')[0],
-      contactInfo: '',
-      jobInfo: '',
-      jobTitle: '',
-      consultingRate: '',
-      consultingPeriod: '',
-      description: '',
-    });
+    setCurrentJD(emptyJD());
     setEditingId(null);
   };
 
+  // Fill the form from a pasted posting; the user reviews the fields before saving
+  const handleExtract = async () => {
+    if (!posting.trim() || isExtracting) return;
+
+    setIsExtracting(true);
+    try {
+      const { extracted } = await jobDescriptionsAPI.extract(posting);
+      const fields = Object.keys(extracted || {});
+      if (fields.length === 0) {
+        toast.info('No job details found in the posting');
+        return;
+      }
+
+      setCurrentJD(prev => ({
+        ...prev,
+        ...Object.fromEntries(fields.map(field => [field, String(extracted[field])])),
+      }));
+      setPosting('');
+      toast.success(`Filled ${fields.length} fields from the posting. Review them before saving.`);
+    } catch (error) {
+      toast.error('Failed to read the posting: ' + error.message);
+    } finally {
+      setIsExtracting(false);
+    }
+  };
+
+  // Save each uploaded page as a job description
+  const handleImport = async () => {
+    if (importFiles.length === 0 || isImporting) return;
+
+    setIsImporting(true);
+    try {
+      const response = await jobDescriptionsAPI.importPages(importFiles);
+      toast.success(response.message);
+      (response.failed || []).forEach(({ fileName, error }) => {
+        toast.error(`${fileName}: ${error}`);
+      });
+      setImportFiles([]);
+      setImportKey(key => key + 1);
+      await loadJobDescriptions();
+    } catch (error) {
+      toast.error('Failed to import job postings: ' + error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleEdit = (jd) => {
     setCurrentJD({
       date: jd.date || new Date().toISOString().split('T')[0],
       contactInfo: jd.contact_info || '',
       jobInfo: jd.job_info || '',
       jobTitle: jd.job_title || '',
+      company: jd.company || '',
+      location: jd.location || '',
+      remotePolicy: jd.remote_policy || '',
+      jobType: jd.job_type || '',
+      sourceId: jd.source_id || '',
+      salaryRangeMin: jd.salary_range_min ?? '',
+      salaryRangeMax: jd.salary_range_max ?? '',
+      salaryCurrency: jd.salary_currency || '',
       consultingRate: jd.consulting_rate || '',
       consultingPeriod: jd.consulting_period || '',
       description: jd.description || '',
@@ -112,7 +308,42 @@ const JDAnalyzer = () => {
     }
   };
 
-  if (isLoading) {
+  const handleCoverLetter = async (jd) => {
+    setLetterJDId(jd.id);
+    if (templates) return;
+
+    try {
+      const response = await coverLettersAPI.getAll({ is_template: 'true' });
+      const list = response.coverLetters || [];
+      setTemplates(list);
+      setTemplateId(list[0]?.id || '');
+    } catch (error) {
+      toast.error('Failed to load cover letter templates: ' + error.message);
+      setLetterJDId(null);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (isGenerating || !templateId) return;
+
+    setIsGenerating(true);
+    try {
+      const response = await coverLettersAPI.generate(templateId, letterJDId);
+      if (response.unresolved && response.unresolved.length > 0) {
+        toast.info(`Cover letter generated. Fill in: ${response.unresolved.join(', ')}`);
+      } else {
+        toast.success('Cover letter generated successfully!');
+      }
+      navigate(`/cover-letters?edit=${response.coverLetter.id}`);
+    } catch (error) {
+      toast.error('Failed to generate cover letter: ' + error.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Keep the list controls mounted while a sorted or filtered list reloads
+  if (isLoading && savedJDs.length === 0 && !isListFiltered) {
     return <Loading message="Loading job descriptions..." />;
   }
 
@@ -121,6 +352,67 @@ const JDAnalyzer = () => {
       <h2 style={{ fontSize: '24px', fontWeight: 'bold', marginBottom: '20px' }}>
         Job Description Analyzer
       </h2>
+      <div style={{ marginBottom: '20px', padding: '15px', border: '1px dashed #ccc', borderRadius: '8px' }}>
+        <label htmlFor="posting" style={labelStyle}>
+          Paste a job posting:
+        </label>
+        <textarea
+          id="posting"
+          value={posting}
+          onChange={(e) => setPosting(e.target.value)}
+          placeholder="Paste the posting from a job board (text or HTML) to fill in the form below"
+          rows="4"
+          style={inputStyle}
+        />
+        <button
+          type="button"
+          onClick={handleExtract}
+          disabled={!posting.trim() || isExtracting}
+          style={{
+            marginTop: '10px',
+            padding: '8px 16px',
+            backgroundColor: !posting.trim() || isExtracting ? '#6c757d' : '#17a2b8',
+            color: 'white',
+            border: 'none',
+            borderRadius: 'var(--button-border-radius)',
+            fontSize: 'var(--button-font-size)',
+            cursor: !posting.trim() || isExtracting ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {isExtracting ? 'Reading...' : 'Auto-fill Form'}
+        </button>
+        <label htmlFor="import-pages" style={{ ...labelStyle, marginTop: '15px' }}>
+          Import saved job pages:
+        </label>
+        <input
+          key={importKey}
+          id="import-pages"
+          type="file"
+          multiple
+          accept={IMPORT_FILE_TYPES}
+          onChange={(e) => setImportFiles(Array.from(e.target.files))}
+        />
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={importFiles.length === 0 || isImporting}
+          style={{
+            marginLeft: '10px',
+            padding: '8px 16px',
+            backgroundColor: importFiles.length === 0 || isImporting ? '#6c757d' : '#17a2b8',
+            color: 'white',
+            border: 'none',
+            borderRadius: 'var(--button-border-radius)',
+            fontSize: 'var(--button-font-size)',
+            cursor: importFiles.length === 0 || isImporting ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {isImporting ? 'Importing...' : 'Import Pages'}
+        </button>
+        <p style={{ marginTop: '10px', marginBottom: 0, fontSize: '14px' }}>
+          Tracking jobs in a spreadsheet? <Link to="/bulk-import">Import a CSV or JSON file</Link>
+        </p>
+      </div>
       <div style={{ 
         border: '1px solid #ddd', 
         borderRadius: '8px', 
@@ -172,6 +464,118 @@ const JDAnalyzer = () => {
             />
           </div>
 
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginBottom: '15px' }}>
+            <div>
+              <label htmlFor="company" style={labelStyle}>Company:</label>
+              <input
+                type="text"
+                id="company"
+                name="company"
+                value={currentJD.company}
+                onChange={handleChange}
+                placeholder="Enter company"
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="location" style={labelStyle}>Location:</label>
+              <input
+                type="text"
+                id="location"
+                name="location"
+                value={currentJD.location}
+                onChange={handleChange}
+                placeholder="Enter location"
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="remotePolicy" style={labelStyle}>Remote Policy:</label>
+              <select
+                id="remotePolicy"
+                name="remotePolicy"
+                value={currentJD.remotePolicy}
+                onChange={handleChange}
+                style={inputStyle}
+              >
+                <option value="">Select a remote policy</option>
+                {remotePolicies.map(policy => (
+                  <option key={policy} value={policy}>{REMOTE_POLICY_LABELS[policy]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="jobType" style={labelStyle}>Job Type:</label>
+              <select
+                id="jobType"
+                name="jobType"
+                value={currentJD.jobType}
+                onChange={handleChange}
+                style={inputStyle}
+              >
+                <option value="">Select a job type</option>
+                {jobTypes.map(type => (
+                  <option key={type} value={type}>{JOB_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="sourceId" style={labelStyle}>Source:</label>
+              <select
+                id="sourceId"
+                name="sourceId"
+                value={currentJD.sourceId}
+                onChange={handleChange}
+                style={inputStyle}
+              >
+                <option value="">Where did you find it?</option>
+                {sources.map(source => (
+                  <option key={source.id} value={source.id}>{source.source_name}</option>
+                ))}
+              </select>
+              <small><Link to="/sources">Add your own sources</Link></small>
+            </div>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 120px', gap: '15px', marginBottom: '15px' }}>
+            <div>
+              <label htmlFor="salaryRangeMin" style={labelStyle}>Salary Min:</label>
+              <input
+                type="number"
+                id="salaryRangeMin"
+                name="salaryRangeMin"
+                min="0"
+                value={currentJD.salaryRangeMin}
+                onChange={handleChange}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="salaryRangeMax" style={labelStyle}>Salary Max:</label>
+              <input
+                type="number"
+                id="salaryRangeMax"
+                name="salaryRangeMax"
+                min="0"
+                value={currentJD.salaryRangeMax}
+                onChange={handleChange}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="salaryCurrency" style={labelStyle}>Currency:</label>
+              <input
+                type="text"
+                id="salaryCurrency"
+                name="salaryCurrency"
+                value={currentJD.salaryCurrency}
+                onChange={handleChange}
+                placeholder="USD"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+
           <div style={{ marginBottom: '15px' }}>
             <label htmlFor="consultingRate" style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
               Consulting Rate:
@@ -265,13 +669,41 @@ const JDAnalyzer = () => {
           </div>
         </form>
       </div>
+
+      {/* Analysis of the last saved or selected job description */}
+      {analysis ? (
+        <JDAnalysisResults analysis={analysis} jobTitle={analysis.jobTitle} />
+      ) : (
+        <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#e9ecef', borderRadius: '4px' }}>
+          <p style={{ margin: 0, fontStyle: 'italic', color: '#6c757d' }}>
+            💡 Save a job description to see its top skills, required vs nice-to-have skills, and experience level.
+          </p>
+        </div>
+      )}
       
       {/* Saved Job Descriptions List */}
-      {savedJDs.length > 0 && (
+      {(savedJDs.length > 0 || isListFiltered) && (
         <div style={{ marginTop: '30px' }}>
           <h3 style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '15px' }}>
             Saved Job Descriptions ({savedJDs.length})
           </h3>
+          <JobListFilters
+            filters={listFilters}
+            activeViewId={activeViewId}
+            onChange={handleListFilterChange}
+            onApply={applyListFilters}
+          />
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', marginBottom: '15px', fontSize: '14px' }}>
+            <button type="button" onClick={() => handleExport('csv')} disabled={savedJDs.length === 0}>
+              Export CSV
+            </button>
+            <button type="button" onClick={() => handleExport('json')} disabled={savedJDs.length === 0}>
+              Export JSON
+            </button>
+          </div>
+          {savedJDs.length === 0 && (
+            <p style={{ fontStyle: 'italic', color: '#6c757d' }}>No saved job descriptions match these filters.</p>
+          )}
           <div style={{ display: 'grid', gap: '15px' }}>
             {savedJDs.map((jd) => (
               <div
@@ -283,10 +715,65 @@ const JDAnalyzer = () => {
                   backgroundColor: editingId === jd.id ? '#e7f3ff' : '#fff',
                 }}
               >
+                {jd.is_duplicate && (
+                  <div
+                    role="alert"
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      gap: '10px',
+                      marginBottom: '10px',
+                      padding: '8px 12px',
+                      backgroundColor: '#fff3cd',
+                      color: '#856404',
+                      borderRadius: '4px',
+                      fontSize: '14px',
+                    }}
+                  >
+                    <span>
+                      ⚠️ Possible duplicate of "{jd.duplicate_of_title}"
+                      {jd.similarity_score !== null && jd.similarity_score !== undefined &&
+                        ` (${Math.round(Number(jd.similarity_score) * 100)}% similar)`}
+                    </span>
+                    <span style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        onClick={() => handleMergeDuplicate(jd)}
+                        style={{
+                          padding: '3px 10px',
+                          backgroundColor: '#856404',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: 'var(--button-border-radius)',
+                          fontSize: 'var(--button-font-size)',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Merge
+                      </button>
+                      <button
+                        onClick={() => handleDismissDuplicate(jd)}
+                        style={{
+                          padding: '3px 10px',
+                          backgroundColor: 'transparent',
+                          color: '#856404',
+                          border: '1px solid #856404',
+                          borderRadius: 'var(--button-border-radius)',
+                          fontSize: 'var(--button-font-size)',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Not a Duplicate
+                      </button>
+                    </span>
+                  </div>
+                )}
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
                   <div style={{ flex: 1 }}>
                     <h4 style={{ margin: '0 0 10px 0', fontSize: '18px' }}>
-                      {jd.job_title || 'Untitled Position'}
+                      <Link to={`/job-descriptions/${jd.id}`} style={{ color: 'inherit' }}>
+                        {jd.job_title || 'Untitled Position'}
+                      </Link>
                     </h4>
                     <p style={{ margin: '5px 0', color: '#666', fontSize: '14px' }}>
                       <strong>Date:</strong> {new Date(jd.date).toLocaleDateString()}
@@ -297,11 +784,31 @@ const JDAnalyzer = () => {
                         {jd.consulting_period && ` (${jd.consulting_period})`}
                       </p>
                     )}
+                    {jd.effective_annual_rate !== null && jd.effective_annual_rate !== undefined && (
+                      <p style={{ margin: '5px 0', color: '#666', fontSize: '14px' }}>
+                        <strong>Annual rate:</strong> ~{Math.round(Number(jd.effective_annual_rate)).toLocaleString('en-US')}
+                        {(jd.rate_currency || jd.salary_currency) && ` ${jd.rate_currency || jd.salary_currency}`}
+                      </p>
+                    )}
+                    {(jd.contract_length_months || jd.engagement_type) && (
+                      <p style={{ margin: '5px 0', color: '#666', fontSize: '14px' }}>
+                        <strong>Contract:</strong>{' '}
+                        {[
+                          jd.contract_length_months && formatMonths(jd.contract_length_months),
+                          ENGAGEMENT_TYPE_LABELS[jd.engagement_type],
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
                     {jd.contact_info && (
                       <p style={{ margin: '5px 0', color: '#666', fontSize: '14px' }}>
                         <strong>Contact:</strong> {jd.contact_info}
                       </p>
                     )}
+                    {jd.keywords && jd.keywords.length > 0 && (
+                      <p style={{ margin: '5px 0', color: '#666', fontSize: '14px' }}>
+                        <strong>Keywords:</strong> {jd.keywords.slice(0, 8).join(', ')}
+                      </p>
+                    )}
                     {jd.description && (
                       <p style={{ margin: '10px 0 0 0', fontSize: '14px' }}>
                         {jd.description.substring(0, 150)}
@@ -324,6 +831,34 @@ const JDAnalyzer = () => {
                     >
                       Edit
                     </button>
+                    <button
+                      onClick={() => handleAnalyze(jd)}
+                      style={{
+                        padding: '5px 15px',
+                        backgroundColor: '#17a2b8',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: 'var(--button-border-radius)',
+                        fontSize: 'var(--button-font-size)',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Analyze
+                    </button>
+                    <button
+                      onClick={() => handleMatchResumes(jd)}
+                      style={{
+                        padding: '5px 15px',
+                        backgroundColor: '#6f42c1',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: 'var(--button-border-radius)',
+                        fontSize: 'var(--button-font-size)',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {resumeMatches[jd.id] ? 'Hide Resumes' : 'Match Resumes'}
+                    </button>
                     <button
                       onClick={() => handleDelete(jd.id)}
                       style={{
@@ -338,19 +873,85 @@ const JDAnalyzer = () => {
                     >
                       Delete
                     </button>
+                    <button
+                      onClick={() => handleCoverLetter(jd)}
+                      style={{
+                        padding: '5px 15px',
+                        backgroundColor: '#007bff',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: 'var(--button-border-radius)',
+                        fontSize: 'var(--button-font-size)',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Cover Letter
+                    </button>
                   </div>
                 </div>
+                {resumeMatches[jd.id] && (
+                  <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #eee' }}>
+                    <h5 style={{ margin: '0 0 8px 0', fontSize: '15px' }}>Resume Match</h5>
+                    <ResumeMatches result={resumeMatches[jd.id]} />
+                  </div>
+                )}
+                {letterJDId === jd.id && templates && (
+                  <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+                    {templates.length === 0 ? (
+                      <span style={{ color: '#666', fontSize: '14px' }}>
+                        No cover letter templates yet. <Link to="/cover-letters">Create one</Link>
+                      </span>
+                    ) : (
+                      <>
+                        <label htmlFor={`template-${jd.id}`} style={{ fontSize: '14px' }}>Template</label>
+                        <select
+                          id={`template-${jd.id}`}
+                          value={templateId}
+                          onChange={(e) => setTemplateId(e.target.value)}
+                          style={{ padding: '5px' }}
+                        >
+                          {templates.map((template) => (
+                            <option key={template.id} value={template.id}>{template.title}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={handleGenerate}
+                          disabled={isGenerating}
+                          style={{
+                            padding: '5px 15px',
+                            backgroundColor: '#007bff',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: 'var(--button-border-radius)',
+                            fontSize: 'var(--button-font-size)',
+                            cursor: isGenerating ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          {isGenerating ? 'Generating...' : 'Generate'}
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => setLetterJDId(null)}
+                      style={{
+                        padding: '5px 15px',
+                        backgroundColor: '#6c757d',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: 'var(--button-border-radius)',
+                        fontSize: 'var(--button-font-size)',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
         </div>
       )}
-      
-      <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#e9ecef', borderRadius: '4px' }}>
-        <p style={{ margin: 0, fontStyle: 'italic', color: '#6c757d' }}>
-          💡 Note: Analysis functionality is coming soon. Job descriptions are now saved to the database.
-        </p>
-      </div>
     </div>
   );
 };
@@ -1,13 +1,36 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { TestRouter } from '../test-utils';
 import JDAnalyzer from './JDAnalyzer';
 import * as api from '../services/api';
+import { toast } from 'react-toastify';
 
 // Mock the API module
 jest.mock('../services/api', () => ({
   jobDescriptionsAPI: {
     getAll: jest.fn(),
+    getAnalysis: jest.fn(),
+    getResumeMatches: jest.fn(),
+    dismissDuplicate: jest.fn(),
+    mergeDuplicate: jest.fn(),
+    extract: jest.fn(),
+    importPages: jest.fn(),
+    export: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  coverLettersAPI: {
+    getAll: jest.fn(),
+    generate: jest.fn(),
+  },
+  companiesAPI: {
+    getAll: jest.fn(),
+  },
+  sourcesAPI: {
+    getAll: jest.fn(),
+  },
+  savedFiltersAPI: {
     create: jest.fn(),
     update: jest.fn(),
     delete: jest.fn(),
@@ -26,8 +49,12 @@ jest.mock('react-toastify', () => ({
 describe('JDAnalyzer', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // List filters are read from the URL, so start each test without any
+    window.history.pushState({}, '', '/');
     // Mock successful API response with empty array
     api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [] });
+    api.companiesAPI.getAll.mockResolvedValue({ companies: [] });
+    api.sourcesAPI.getAll.mockResolvedValue({ sources: [] });
   });
 
   it('renders without crashing', async () => {
@@ -190,14 +217,220 @@ describe('JDAnalyzer', () => {
     });
   });
 
-  it('displays placeholder note about analysis functionality', async () => {
+  it('saves the source picked for a posting', async () => {
+    api.sourcesAPI.getAll.mockResolvedValue({
+      sources: [{ id: 'src-9', source_type: 'email', source_name: 'Frontend Weekly', is_custom: true }],
+    });
+    api.jobDescriptionsAPI.create.mockResolvedValue({ jobDescription: { id: '1' } });
+
+    render(
+      <TestRouter>
+        <JDAnalyzer />
+      </TestRouter>
+    );
+
+    const sourceSelect = await screen.findByLabelText('Source:');
+    expect(await within(sourceSelect).findByRole('option', { name: 'Frontend Weekly' })).toBeInTheDocument();
+    fireEvent.change(sourceSelect, { target: { value: 'src-9' } });
+    fireEvent.click(screen.getByText('Save & Analyze'));
+
+    await waitFor(() => {
+      expect(api.jobDescriptionsAPI.create).toHaveBeenCalledWith(expect.objectContaining({ sourceId: 'src-9' }));
+    });
+  });
+
+  it('displays a hint about analysis before anything is saved', async () => {
     render(
       <TestRouter>
         <JDAnalyzer />
       </TestRouter>
     );
     await waitFor(() => {
-      expect(screen.getByText(/Job descriptions are now saved to the database/i)).toBeInTheDocument();
+      expect(screen.getByText(/Save a job description to see its top skills/i)).toBeInTheDocument();
+    });
+  });
+
+  it('renders the analysis returned when saving', async () => {
+    api.jobDescriptionsAPI.create.mockResolvedValue({
+      jobDescription: { id: '1', job_title: 'Senior Engineer' },
+      analysis: {
+        keywords: ['React', 'GraphQL'],
+        topSkills: [
+          { name: 'React', category: 'framework', count: 3, requirement: 'required' },
+          { name: 'GraphQL', category: 'framework', count: 1, requirement: 'nice_to_have' },
+        ],
+        required: ['React'],
+        niceToHave: ['GraphQL'],
+        yearsOfExperience: { min: 5, max: null },
+        seniority: { level: 'senior', signals: ['Title mentions "Senior"'] },
+      },
+    });
+
+    render(
+      <TestRouter>
+        <JDAnalyzer />
+      </TestRouter>
+    );
+
+    fireEvent.click(await screen.findByText('Save & Analyze'));
+
+    expect(await screen.findByText('Analysis: Senior Engineer')).toBeInTheDocument();
+    expect(screen.getByText('5+ years')).toBeInTheDocument();
+    expect(screen.getByText('Senior')).toBeInTheDocument();
+    expect(screen.getByText('(3 mentions)')).toBeInTheDocument();
+    expect(screen.getByText('(1 mention, nice to have)')).toBeInTheDocument();
+    expect(screen.queryByText(/Save a job description to see its top skills/i)).not.toBeInTheDocument();
+  });
+
+  describe('Paste-a-posting auto-fill', () => {
+    it('fills the form from a pasted posting for review', async () => {
+      api.jobDescriptionsAPI.extract.mockResolvedValue({
+        extracted: {
+          jobTitle: 'Platform Engineer',
+          company: 'Acme',
+          location: 'Denver, CO',
+          remotePolicy: 'hybrid',
+          jobType: 'full_time',
+          salaryRangeMin: 150000,
+          salaryRangeMax: 180000,
+          salaryCurrency: 'USD',
+          contactInfo: 'jane@acme.com',
+          description: 'Run the build tooling.',
+        },
+      });
+
+      render(
+        <TestRouter>
+          <JDAnalyzer />
+        </TestRouter>
+      );
+
+      const autoFill = await screen.findByRole('button', { name: 'Auto-fill Form' });
+      expect(autoFill).toBeDisabled();
+      fireEvent.change(screen.getByLabelText('Paste a job posting:'), {
+        target: { value: 'Platform Engineer at Acme...' },
+      });
+      fireEvent.click(autoFill);
+
+      await waitFor(() => {
+        expect(screen.getByLabelText(/job title/i)).toHaveValue('Platform Engineer');
+      });
+      expect(api.jobDescriptionsAPI.extract).toHaveBeenCalledWith('Platform Engineer at Acme...');
+      expect(screen.getByLabelText('Company:')).toHaveValue('Acme');
+      expect(screen.getByLabelText('Location:')).toHaveValue('Denver, CO');
+      expect(screen.getByLabelText('Remote Policy:')).toHaveValue('hybrid');
+      expect(screen.getByLabelText('Job Type:')).toHaveValue('full_time');
+      expect(screen.getByLabelText('Salary Min:')).toHaveValue(150000);
+      expect(screen.getByLabelText('Salary Max:')).toHaveValue(180000);
+      expect(screen.getByLabelText(/contact info/i)).toHaveValue('jane@acme.com');
+      expect(screen.getByLabelText('Description:')).toHaveValue('Run the build tooling.');
+      expect(screen.getByLabelText('Paste a job posting:')).toHaveValue('');
+      expect(toast.success).toHaveBeenCalledWith('Filled 10 fields from the posting. Review them before saving.');
+      // Nothing is saved until the user confirms
+      expect(api.jobDescriptionsAPI.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps what was typed when nothing is found', async () => {
+      api.jobDescriptionsAPI.extract.mockResolvedValue({ extracted: {} });
+
+      render(
+        <TestRouter>
+          <JDAnalyzer />
+        </TestRouter>
+      );
+
+      fireEvent.change(await screen.findByLabelText(/job title/i), { target: { value: 'My title' } });
+      fireEvent.change(screen.getByLabelText('Paste a job posting:'), { target: { value: 'hello' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Auto-fill Form' }));
+
+      await waitFor(() => {
+        expect(toast.info).toHaveBeenCalledWith('No job details found in the posting');
+      });
+      expect(screen.getByLabelText(/job title/i)).toHaveValue('My title');
+    });
+  });
+
+  describe('Export', () => {
+    it('downloads the list with the current filters', async () => {
+      api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [{ id: 'jd-1', job_title: 'SRE', date: '2024-06-01' }] });
+      const blob = new Blob(['id,job_title']);
+      api.jobDescriptionsAPI.export.mockResolvedValue(blob);
+      window.URL.createObjectURL = jest.fn(() => 'blob:export');
+      window.URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      render(
+        <TestRouter>
+          <JDAnalyzer />
+        </TestRouter>
+      );
+
+      fireEvent.change(await screen.findByLabelText('Engagement'), { target: { value: 'w2' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Export CSV' }));
+
+      await waitFor(() => {
+        expect(api.jobDescriptionsAPI.export).toHaveBeenCalledWith({ format: 'csv', engagement_type: 'w2' });
+      });
+      await waitFor(() => {
+        expect(click).toHaveBeenCalled();
+      });
+      expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob);
+      click.mockRestore();
+    });
+  });
+
+  describe('Import saved job pages', () => {
+    it('imports the chosen pages, reports failures and reloads the list', async () => {
+      api.jobDescriptionsAPI.importPages.mockResolvedValue({
+        message: 'Imported 1 of 2 job postings',
+        imported: [{ fileName: 'acme.html', jobDescription: { id: 'jd-1' } }],
+        failed: [{ fileName: 'blank.html', error: 'No job title found in the page' }],
+      });
+
+      render(
+        <TestRouter>
+          <JDAnalyzer />
+        </TestRouter>
+      );
+
+      const importButton = await screen.findByRole('button', { name: 'Import Pages' });
+      expect(importButton).toBeDisabled();
+      const pages = [
+        new File(['<html></html>'], 'acme.html', { type: 'text/html' }),
+        new File(['<html></html>'], 'blank.html', { type: 'text/html' }),
+      ];
+      fireEvent.change(screen.getByLabelText('Import saved job pages:'), { target: { files: pages } });
+      fireEvent.click(importButton);
+
+      await waitFor(() => {
+        expect(toast.success).toHaveBeenCalledWith('Imported 1 of 2 job postings');
+      });
+      expect(api.jobDescriptionsAPI.importPages).toHaveBeenCalledWith(pages);
+      expect(toast.error).toHaveBeenCalledWith('blank.html: No job title found in the page');
+      await waitFor(() => {
+        expect(api.jobDescriptionsAPI.getAll).toHaveBeenCalledTimes(2);
+      });
+      expect(screen.getByRole('button', { name: 'Import Pages' })).toBeDisabled();
+    });
+
+    it('shows an error when nothing could be imported', async () => {
+      api.jobDescriptionsAPI.importPages.mockRejectedValue(new Error('No job postings could be imported'));
+
+      render(
+        <TestRouter>
+          <JDAnalyzer />
+        </TestRouter>
+      );
+
+      fireEvent.change(await screen.findByLabelText('Import saved job pages:'), {
+        target: { files: [new File(['x'], 'page.html', { type: 'text/html' })] },
+      });
+      fireEvent.click(screen.getByRole('button', { name: 'Import Pages' }));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith('Failed to import job postings: No job postings could be imported');
+      });
+      expect(api.jobDescriptionsAPI.getAll).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -543,6 +776,38 @@ describe('JDAnalyzer', () => {
     });
 
     describe('Display saved job descriptions', () => {
+      it('should show keywords and analyze a saved job description', async () => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({
+          jobDescriptions: [
+            { id: '1', job_title: 'Data Engineer', date: '2024-01-01', keywords: ['Python', 'Spark'] },
+          ],
+        });
+        api.jobDescriptionsAPI.getAnalysis.mockResolvedValue({
+          analysis: {
+            keywords: ['Python', 'Spark'],
+            topSkills: [{ name: 'Python', category: 'language', count: 2, requirement: 'required' }],
+            required: ['Python', 'Spark'],
+            niceToHave: [],
+            yearsOfExperience: null,
+            seniority: { level: null, signals: [] },
+          },
+        });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        expect(await screen.findByText('Python, Spark')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('Analyze'));
+
+        expect(await screen.findByText('Analysis: Data Engineer')).toBeInTheDocument();
+        expect(api.jobDescriptionsAPI.getAnalysis).toHaveBeenCalledWith('1');
+        expect(screen.getAllByText('Not specified')).toHaveLength(2);
+        expect(screen.getByText('None found')).toBeInTheDocument();
+      });
+
       it('should display list of saved job descriptions', async () => {
         const mockJDs = [
           {
@@ -621,6 +886,301 @@ describe('JDAnalyzer', () => {
         expect(displayedText).toBeInTheDocument();
       });
     });
+
+    describe('Sorting and filtering', () => {
+      const contractJD = {
+        id: 'jd-1',
+        job_title: 'Contract SRE',
+        date: '2024-01-01',
+        consulting_rate: '$95/hr',
+        consulting_period: '6 months W2',
+        rate_currency: 'USD',
+        contract_length_months: '6.0',
+        engagement_type: 'w2',
+        effective_annual_rate: '197600.00',
+      };
+
+      it('should show the parsed annual rate and contract terms', async () => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [contractJD] });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        expect(await screen.findByText('Contract SRE')).toBeInTheDocument();
+        expect(screen.getByText(/~197,600 USD/)).toBeInTheDocument();
+        expect(screen.getByText(/6 months · W2/)).toBeInTheDocument();
+      });
+
+      it('should reload with the chosen sort and filters', async () => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [contractJD] });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        await screen.findByText('Contract SRE');
+        expect(api.jobDescriptionsAPI.getAll).toHaveBeenCalledWith({});
+
+        fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'effective_annual_rate' } });
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.getAll).toHaveBeenLastCalledWith({ sort_by: 'effective_annual_rate' });
+        });
+
+        fireEvent.change(screen.getByLabelText('Order'), { target: { value: 'ASC' } });
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.getAll).toHaveBeenLastCalledWith({
+            sort_by: 'effective_annual_rate',
+            sort_order: 'ASC',
+          });
+        });
+
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [] });
+        fireEvent.change(screen.getByLabelText('Minimum annual rate'), { target: { value: '250000' } });
+        fireEvent.change(screen.getByLabelText('Engagement'), { target: { value: 'c2c' } });
+        fireEvent.change(screen.getByLabelText('Remote policy'), { target: { value: 'remote' } });
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.getAll).toHaveBeenLastCalledWith({
+            sort_by: 'effective_annual_rate',
+            sort_order: 'ASC',
+            min_annual_rate: '250000',
+            engagement_type: 'c2c',
+            remote_policy: 'remote',
+          });
+        });
+        expect(await screen.findByText('No saved job descriptions match these filters.')).toBeInTheDocument();
+        expect(window.location.search).toContain('remote_policy=remote');
+      });
+
+      it('should load the filters from the URL', async () => {
+        window.history.pushState({}, '', '/analyzer?job_type=contract&found_within_days=30');
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.getAll).toHaveBeenCalledWith({ job_type: 'contract', found_within_days: '30' });
+        });
+        expect(screen.getByLabelText('Job type')).toHaveValue('contract');
+      });
+
+      it('should save the current filters as a smart view', async () => {
+        window.history.pushState({}, '', '/analyzer?remote_policy=remote&min_rate=100&rate_unit=hourly');
+        api.savedFiltersAPI.create.mockResolvedValue({
+          savedFilter: {
+            id: 'sf-1',
+            name: 'Remote contracts > $100/hr',
+            filters: { remote_policy: 'remote', min_rate: '100', rate_unit: 'hourly' },
+          },
+        });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.change(await screen.findByLabelText('Save these filters as'), {
+          target: { value: 'Remote contracts > $100/hr' },
+        });
+        fireEvent.click(screen.getByRole('button', { name: 'Save View' }));
+
+        await waitFor(() => {
+          expect(api.savedFiltersAPI.create).toHaveBeenCalledWith({
+            name: 'Remote contracts > $100/hr',
+            filters: { remote_policy: 'remote', min_rate: '100', rate_unit: 'hourly' },
+          });
+        });
+        await waitFor(() => {
+          expect(window.location.search).toContain('view=sf-1');
+        });
+        expect(toast.success).toHaveBeenCalledWith('Saved smart view "Remote contracts > $100/hr"');
+      });
+    });
+
+    describe('Duplicate detection', () => {
+      const flagged = {
+        id: 'jd-2',
+        job_title: 'Senior Engineer (Remote)',
+        date: '2024-01-02',
+        is_duplicate: true,
+        duplicate_of_id: 'jd-1',
+        duplicate_of_title: 'Senior Engineer',
+        similarity_score: '0.92',
+      };
+
+      beforeEach(() => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [flagged] });
+        window.confirm = jest.fn(() => true);
+      });
+
+      it('should show a banner on flagged job descriptions', async () => {
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        expect(await screen.findByRole('alert')).toHaveTextContent(
+          'Possible duplicate of "Senior Engineer" (92% similar)'
+        );
+      });
+
+      it('should merge into the original after confirmation', async () => {
+        api.jobDescriptionsAPI.mergeDuplicate.mockResolvedValue({ message: 'Merged into Senior Engineer' });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Merge'));
+
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.mergeDuplicate).toHaveBeenCalledWith('jd-2');
+        });
+        await waitFor(() => {
+          expect(toast.success).toHaveBeenCalledWith('Merged into Senior Engineer');
+        });
+        expect(window.confirm).toHaveBeenCalled();
+      });
+
+      it('should dismiss the flag', async () => {
+        api.jobDescriptionsAPI.dismissDuplicate.mockResolvedValue({});
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Not a Duplicate'));
+
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.dismissDuplicate).toHaveBeenCalledWith('jd-2');
+        });
+        await waitFor(() => {
+          expect(api.jobDescriptionsAPI.getAll).toHaveBeenCalledTimes(2);
+        });
+      });
+
+      it('should warn when a saved job description looks like a duplicate', async () => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [] });
+        api.jobDescriptionsAPI.create.mockResolvedValue({ jobDescription: flagged });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Save & Analyze'));
+
+        await waitFor(() => {
+          expect(toast.info).toHaveBeenCalledWith('This looks like a duplicate of "Senior Engineer"');
+        });
+      });
+    });
+
+    describe('Resume matching', () => {
+      it('should show the resume ranking under a saved job description', async () => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({
+          jobDescriptions: [{ id: 'jd-1', job_title: 'Platform Engineer', date: '2024-01-01' }],
+        });
+        api.jobDescriptionsAPI.getResumeMatches.mockResolvedValue({
+          keywords: ['Go'],
+          recommendedResumeId: 'r1',
+          matches: [
+            {
+              resume: { id: 'r1', title: 'Backend', version_number: 3, is_active: true },
+              score: 100,
+              matchedKeywords: ['Go'],
+              missingKeywords: [],
+            },
+          ],
+        });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Match Resumes'));
+
+        expect(await screen.findByText('Backend (v3)')).toBeInTheDocument();
+        expect(screen.getByText('Recommended')).toBeInTheDocument();
+        expect(api.jobDescriptionsAPI.getResumeMatches).toHaveBeenCalledWith('jd-1');
+
+        fireEvent.click(screen.getByText('Hide Resumes'));
+        expect(screen.queryByText('Backend (v3)')).not.toBeInTheDocument();
+      });
+    });
+
+    describe('Generate cover letter', () => {
+      const mockJD = {
+        id: 'jd-1',
+        job_title: 'Platform Engineer',
+        date: '2024-01-01',
+      };
+
+      beforeEach(() => {
+        api.jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: [mockJD] });
+      });
+
+      it('should generate a letter from a template and open it for editing', async () => {
+        api.coverLettersAPI.getAll.mockResolvedValue({
+          coverLetters: [{ id: 'tpl-1', title: 'Standard', is_template: true }],
+        });
+        api.coverLettersAPI.generate.mockResolvedValue({
+          coverLetter: { id: 'letter-1' },
+          unresolved: ['recruiter.name'],
+        });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Cover Letter'));
+        expect(await screen.findByLabelText('Template')).toHaveValue('tpl-1');
+        expect(api.coverLettersAPI.getAll).toHaveBeenCalledWith({ is_template: 'true' });
+
+        fireEvent.click(screen.getByText('Generate'));
+
+        await waitFor(() => {
+          expect(api.coverLettersAPI.generate).toHaveBeenCalledWith('tpl-1', 'jd-1');
+        });
+        await waitFor(() => {
+          expect(window.location.search).toBe('?edit=letter-1');
+        });
+        expect(window.location.pathname).toBe('/cover-letters');
+        expect(toast.info).toHaveBeenCalledWith('Cover letter generated. Fill in: recruiter.name');
+      });
+
+      it('should point to the cover letters page when there are no templates', async () => {
+        api.coverLettersAPI.getAll.mockResolvedValue({ coverLetters: [] });
+
+        render(
+          <TestRouter>
+            <JDAnalyzer />
+          </TestRouter>
+        );
+
+        fireEvent.click(await screen.findByText('Cover Letter'));
+
+        expect(await screen.findByText('Create one')).toHaveAttribute('href', '/cover-letters');
+        expect(screen.queryByText('Generate')).not.toBeInTheDocument();
+      });
+    });
   });
 });
-
@@ -0,0 +1,447 @@
+/**
+ * JobDescriptionDetail Component
+ *
+ * Detail view for one saved job description at /job-descriptions/:id,
+ * with its timeline of status changes, notes, contacts and documents sent.
+ * Notes, contacts and documents are added here; status changes come from
+ * the pipeline board. The deadline and scheduled interviews can be saved to
+ * the user's calendar as .ics files, and follow-up reminders set for the job
+ * or one of its interviews show up in the header's notifications when due.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { jobDescriptionsAPI, interviewsAPI, calendarAPI, remindersAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import {
+  formatStatus,
+  EVENT_TYPE_LABELS,
+  CONTACT_METHOD_LABELS,
+  DOCUMENT_LABELS,
+  INTERVIEW_TYPE_LABELS,
+  INTERVIEW_OUTCOME_LABELS,
+  REMINDER_STATUS_LABELS,
+} from '../utils/jobDescriptionLabels';
+import { saveBlob } from '../utils/saveBlob';
+import PageContainer from './PageContainer';
+import JobTimeline from './JobTimeline';
+import './ListPage.css';
+
+const { manualTypes, contactMethods, documents } = validationConfig.jobDescriptionEvent;
+const { titleMaxLength: reminderTitleMaxLength } = validationConfig.reminder;
+
+const EMPTY_EVENT = {
+  eventType: 'note',
+  description: '',
+  occurredAt: '',
+  contactMethod: '',
+  contactName: '',
+  document: '',
+};
+
+const EMPTY_REMINDER = {
+  title: '',
+  dueAt: '',
+  interviewId: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+const JobDescriptionDetail = () => {
+  const { id } = useParams();
+  const [jobDescription, setJobDescription] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [interviews, setInterviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_EVENT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [reminders, setReminders] = useState([]);
+  const [reminderData, setReminderData] = useState(EMPTY_REMINDER);
+  const [isSavingReminder, setIsSavingReminder] = useState(false);
+
+  const loadReminders = useCallback(() => remindersAPI.getAll({ job_description_id: id })
+    .then(result => setReminders(result.reminders || []))
+    .catch(() => setReminders([])), [id]);
+
+  const loadTimeline = useCallback(async () => {
+    const data = await jobDescriptionsAPI.getTimeline(id);
+    setEvents(data.events || []);
+  }, [id]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const data = await jobDescriptionsAPI.getById(id);
+        setJobDescription(data.jobDescription);
+        await loadTimeline();
+        interviewsAPI.getAll({ job_description_id: id })
+          .then(result => setInterviews(result.interviews || []))
+          .catch(() => setInterviews([]));
+        loadReminders();
+      } catch (error) {
+        setJobDescription(null);
+        toast.error('Failed to load job description: ' + getErrorMessage(error, 'Unknown error'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [id, loadTimeline, loadReminders]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      await jobDescriptionsAPI.addEvent(id, {
+        ...formData,
+        // datetime-local has no timezone; send the moment the user meant
+        occurredAt: formData.occurredAt ? new Date(formData.occurredAt).toISOString() : null,
+      });
+      toast.success('Added to timeline');
+      setFormData(EMPTY_EVENT);
+      await loadTimeline();
+    } catch (error) {
+      toast.error('Failed to add to timeline: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteEvent = async (event) => {
+    if (!window.confirm('Delete this timeline entry?')) {
+      return;
+    }
+
+    try {
+      await jobDescriptionsAPI.deleteEvent(id, event.id);
+      toast.success('Timeline entry deleted');
+      await loadTimeline();
+    } catch (error) {
+      toast.error('Failed to delete timeline entry: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleReminderChange = (e) => {
+    const { name, value } = e.target;
+    setReminderData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddReminder = async (e) => {
+    e.preventDefault();
+    if (isSavingReminder) return;
+
+    setIsSavingReminder(true);
+    try {
+      await remindersAPI.create({
+        title: reminderData.title.trim() || `Follow up on ${jobDescription.job_title}`,
+        // datetime-local has no timezone; send the moment the user meant
+        dueAt: new Date(reminderData.dueAt).toISOString(),
+        jobDescriptionId: id,
+        interviewId: reminderData.interviewId || null,
+      });
+      toast.success('Reminder set');
+      setReminderData(EMPTY_REMINDER);
+      await loadReminders();
+    } catch (error) {
+      toast.error('Failed to set reminder: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSavingReminder(false);
+    }
+  };
+
+  const handleDeleteReminder = async (reminder) => {
+    try {
+      await remindersAPI.delete(reminder.id);
+      toast.success('Reminder deleted');
+      await loadReminders();
+    } catch (error) {
+      toast.error('Failed to delete reminder: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleDeadlineToCalendar = async () => {
+    try {
+      const blob = await calendarAPI.downloadDeadline(id);
+      saveBlob(blob, 'application-deadline.ics');
+    } catch (error) {
+      toast.error('Failed to export deadline: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleInterviewToCalendar = async (interview) => {
+    try {
+      const blob = await calendarAPI.downloadInterview(interview.id);
+      saveBlob(blob, `interview-round-${interview.round}.ics`);
+    } catch (error) {
+      toast.error('Failed to export interview: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <PageContainer>
+        <div className="list-page-empty">Loading job description...</div>
+      </PageContainer>
+    );
+  }
+
+  if (!jobDescription) {
+    return (
+      <PageContainer>
+        <div className="list-page-empty">
+          Job description not found. <Link to="/pipeline">Back to the pipeline</Link>
+        </div>
+      </PageContainer>
+    );
+  }
+
+  const companyName = jobDescription.company_name || jobDescription.company;
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>{jobDescription.job_title}</h1>
+          <p>
+            {[companyName, jobDescription.location].filter(Boolean).join(' · ')}{' '}
+            <span className="list-page-badge">{formatStatus(jobDescription.status)}</span>
+          </p>
+        </div>
+        <div className="list-page-row-actions">
+          <Link className="btn-secondary" to={`/interviews?jobDescriptionId=${jobDescription.id}`}>Interviews</Link>
+          {['offered', 'accepted'].includes(jobDescription.status) && (
+            <Link className="btn-secondary" to={`/offers?jobDescriptionId=${jobDescription.id}`}>Add Offer</Link>
+          )}
+          <Link className="btn-secondary" to="/pipeline">Pipeline</Link>
+          <Link className="btn-secondary" to="/analyzer">Analyzer</Link>
+        </div>
+      </div>
+
+      <div className="list-page-panel">
+        <h2>Details</h2>
+        <p><strong>Date found:</strong> {jobDescription.date || 'Unknown'}</p>
+        {jobDescription.application_deadline && (
+          <p>
+            <strong>Application deadline:</strong> {jobDescription.application_deadline}{' '}
+            <button
+              type="button"
+              className="btn-secondary btn-small"
+              aria-label="Add deadline to calendar"
+              onClick={handleDeadlineToCalendar}
+            >
+              Add to Calendar
+            </button>
+          </p>
+        )}
+        {jobDescription.consulting_rate && (
+          <p>
+            <strong>Rate:</strong> {jobDescription.consulting_rate}
+            {jobDescription.consulting_period && ` (${jobDescription.consulting_period})`}
+          </p>
+        )}
+        {jobDescription.contact_info && <p><strong>Contact:</strong> {jobDescription.contact_info}</p>}
+        {jobDescription.keywords && jobDescription.keywords.length > 0 && (
+          <p><strong>Keywords:</strong> {jobDescription.keywords.join(', ')}</p>
+        )}
+      </div>
+
+      <div className="list-page-panel">
+        <h2>Interviews</h2>
+        {interviews.length === 0 ? (
+          <div className="list-page-empty">No interviews scheduled</div>
+        ) : (
+          <ul className="list-page-linked">
+            {interviews.map(interview => (
+              <li key={interview.id}>
+                <strong>Round {interview.round}</strong>
+                {interview.interview_type && ` · ${INTERVIEW_TYPE_LABELS[interview.interview_type]}`}
+                {' · '}{interview.scheduled_at ? formatDateTime(interview.scheduled_at) : 'Not scheduled'}{' '}
+                <span className="list-page-badge">{INTERVIEW_OUTCOME_LABELS[interview.outcome] || interview.outcome}</span>{' '}
+                {interview.scheduled_at && (
+                  <button
+                    type="button"
+                    className="btn-secondary btn-small"
+                    aria-label={`Add round ${interview.round} to calendar`}
+                    onClick={() => handleInterviewToCalendar(interview)}
+                  >
+                    Add to Calendar
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="list-page-panel">
+        <h2>Reminders</h2>
+        {reminders.length === 0 ? (
+          <div className="list-page-empty">No reminders set</div>
+        ) : (
+          <ul className="list-page-linked">
+            {reminders.map(reminder => (
+              <li key={reminder.id}>
+                <strong>{reminder.title}</strong>
+                {reminder.interview_id && ` · Round ${reminder.interview_round}`}
+                {' · '}{formatDateTime(reminder.due_at)}{' '}
+                <span className="list-page-badge">{REMINDER_STATUS_LABELS[reminder.status] || reminder.status}</span>{' '}
+                <button
+                  type="button"
+                  className="btn-danger btn-small"
+                  aria-label={`Delete reminder ${reminder.title}`}
+                  onClick={() => handleDeleteReminder(reminder)}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddReminder}>
+          <div className="list-page-form-grid">
+            <div className="list-page-field">
+              <label htmlFor="reminder-title">Remind me to</label>
+              <input
+                id="reminder-title"
+                name="title"
+                value={reminderData.title}
+                maxLength={reminderTitleMaxLength}
+                placeholder={`Follow up on ${jobDescription.job_title}`}
+                onChange={handleReminderChange}
+              />
+            </div>
+            <div className="list-page-field">
+              <label htmlFor="reminder-due-at">On</label>
+              <input
+                id="reminder-due-at"
+                name="dueAt"
+                type="datetime-local"
+                value={reminderData.dueAt}
+                onChange={handleReminderChange}
+                required
+              />
+            </div>
+            {interviews.length > 0 && (
+              <div className="list-page-field">
+                <label htmlFor="reminder-interview">About interview</label>
+                <select id="reminder-interview" name="interviewId" value={reminderData.interviewId} onChange={handleReminderChange}>
+                  <option value="">None</option>
+                  {interviews.map(interview => (
+                    <option key={interview.id} value={interview.id}>
+                      Round {interview.round}
+                      {interview.interview_type && ` · ${INTERVIEW_TYPE_LABELS[interview.interview_type]}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="list-page-actions">
+            <button type="submit" className="btn-primary" disabled={isSavingReminder}>
+              {isSavingReminder ? 'Saving...' : 'Set Reminder'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="list-page-panel">
+        <h2>Add to Timeline</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="list-page-form-grid">
+            <div className="list-page-field">
+              <label htmlFor="event-type">Type</label>
+              <select id="event-type" name="eventType" value={formData.eventType} onChange={handleChange}>
+                {manualTypes.map(type => (
+                  <option key={type} value={type}>{EVENT_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            {formData.eventType === 'contact' && (
+              <>
+                <div className="list-page-field">
+                  <label htmlFor="event-contact-method">Contact method</label>
+                  <select id="event-contact-method" name="contactMethod" value={formData.contactMethod} onChange={handleChange}>
+                    <option value="">Not specified</option>
+                    {contactMethods.map(method => (
+                      <option key={method} value={method}>{CONTACT_METHOD_LABELS[method]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="list-page-field">
+                  <label htmlFor="event-contact-name">Contact name</label>
+                  <input id="event-contact-name" name="contactName" value={formData.contactName} onChange={handleChange} />
+                </div>
+              </>
+            )}
+            {formData.eventType === 'document_sent' && (
+              <div className="list-page-field">
+                <label htmlFor="event-document">Document</label>
+                <select id="event-document" name="document" value={formData.document} onChange={handleChange}>
+                  <option value="">Not specified</option>
+                  {documents.map(doc => (
+                    <option key={doc} value={doc}>{DOCUMENT_LABELS[doc]}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="list-page-field">
+              <label htmlFor="event-occurred-at">When</label>
+              <input
+                id="event-occurred-at"
+                name="occurredAt"
+                type="datetime-local"
+                value={formData.occurredAt}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="list-page-field list-page-field-wide">
+              <label htmlFor="event-description">Details</label>
+              <textarea
+                id="event-description"
+                name="description"
+                rows="3"
+                value={formData.description}
+                onChange={handleChange}
+                required={formData.eventType === 'note'}
+              />
+            </div>
+          </div>
+          <div className="list-page-actions">
+            <button type="submit" className="btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Add to Timeline'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="list-page-panel">
+        <h2>Timeline</h2>
+        <JobTimeline events={events} onDelete={handleDeleteEvent} />
+      </div>
+    </PageContainer>
+  );
+};
+
+export default JobDescriptionDetail;
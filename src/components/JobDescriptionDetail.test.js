@@ -0,0 +1,226 @@
+/**
+ * JobDescriptionDetail Component Tests
+ */
+
+import React from 'react';
+import { Routes, Route } from 'react-router-dom';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import JobDescriptionDetail from './JobDescriptionDetail';
+import { TestRouter } from '../test-utils';
+import { jobDescriptionsAPI, interviewsAPI, calendarAPI, remindersAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  jobDescriptionsAPI: {
+    getById: jest.fn(),
+    getTimeline: jest.fn(),
+    addEvent: jest.fn(),
+    deleteEvent: jest.fn(),
+  },
+  interviewsAPI: {
+    getAll: jest.fn(),
+  },
+  calendarAPI: {
+    downloadDeadline: jest.fn(),
+    downloadInterview: jest.fn(),
+  },
+  remindersAPI: {
+    getAll: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('JobDescriptionDetail', () => {
+  const mockJD = {
+    id: 'jd1',
+    job_title: 'Platform Engineer',
+    company_name: 'Acme',
+    location: 'Remote',
+    status: 'applied',
+    date: '2024-06-01',
+    application_deadline: '2024-06-20',
+    keywords: ['Go', 'Kubernetes'],
+  };
+
+  const mockEvents = [
+    { id: 'e2', event_type: 'note', description: 'Follow up Friday', metadata: {}, occurred_at: '2024-06-04T10:00:00Z' },
+    {
+      id: 'e1',
+      event_type: 'status_change',
+      from_status: 'saved',
+      to_status: 'applied',
+      metadata: {},
+      occurred_at: '2024-06-03T10:00:00Z',
+    },
+  ];
+
+  const renderDetail = async () => {
+    window.history.pushState({}, '', '/job-descriptions/jd1');
+    render(
+      <TestRouter>
+        <Routes>
+          <Route path="/job-descriptions/:id" element={<JobDescriptionDetail />} />
+        </Routes>
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: 'Platform Engineer' })).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobDescriptionsAPI.getById.mockResolvedValue({ jobDescription: mockJD });
+    jobDescriptionsAPI.getTimeline.mockResolvedValue({ jobDescriptionId: 'jd1', events: mockEvents });
+    interviewsAPI.getAll.mockResolvedValue({
+      interviews: [
+        { id: 'i1', round: 1, interview_type: 'phone_screen', scheduled_at: '2024-06-10T15:00:00Z', outcome: 'passed' },
+        { id: 'i2', round: 2, interview_type: 'technical', scheduled_at: null, outcome: 'pending' },
+      ],
+    });
+    remindersAPI.getAll.mockResolvedValue({ reminders: [] });
+  });
+
+  afterEach(() => {
+    window.history.pushState({}, '', '/');
+  });
+
+  it('shows the job description and its timeline', async () => {
+    await renderDetail();
+
+    expect(jobDescriptionsAPI.getById).toHaveBeenCalledWith('jd1');
+    expect(screen.getByText(/Acme · Remote/)).toBeInTheDocument();
+    expect(screen.getByText('Applied')).toBeInTheDocument();
+    expect(screen.getByText('Follow up Friday')).toBeInTheDocument();
+    expect(screen.getByText('Moved from Saved to Applied')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Interviews' })).toHaveAttribute('href', '/interviews?jobDescriptionId=jd1');
+  });
+
+  it('logs a contact and reloads the timeline', async () => {
+    jobDescriptionsAPI.addEvent.mockResolvedValue({ event: { id: 'e3' } });
+    await renderDetail();
+
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'contact' } });
+    fireEvent.change(screen.getByLabelText('Contact method'), { target: { value: 'email' } });
+    fireEvent.change(screen.getByLabelText('Contact name'), { target: { value: 'Sam Lee' } });
+    fireEvent.change(screen.getByLabelText('Details'), { target: { value: 'Sent availability' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Timeline' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Added to timeline');
+    });
+    expect(jobDescriptionsAPI.addEvent).toHaveBeenCalledWith('jd1', expect.objectContaining({
+      eventType: 'contact',
+      contactMethod: 'email',
+      contactName: 'Sam Lee',
+      description: 'Sent availability',
+      occurredAt: null,
+    }));
+    expect(jobDescriptionsAPI.getTimeline).toHaveBeenCalledTimes(2);
+  });
+
+  it('deletes a note after confirmation', async () => {
+    window.confirm = jest.fn(() => true);
+    jobDescriptionsAPI.deleteEvent.mockResolvedValue({});
+    await renderDetail();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Note' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Timeline entry deleted');
+    });
+    expect(jobDescriptionsAPI.deleteEvent).toHaveBeenCalledWith('jd1', 'e2');
+  });
+
+  it('shows not found when the job description cannot be loaded', async () => {
+    jobDescriptionsAPI.getById.mockRejectedValue(new Error('Job description not found'));
+    window.history.pushState({}, '', '/job-descriptions/jd1');
+    render(
+      <TestRouter>
+        <Routes>
+          <Route path="/job-descriptions/:id" element={<JobDescriptionDetail />} />
+        </Routes>
+      </TestRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/Job description not found\./)).toBeInTheDocument();
+    });
+    expect(toast.error).toHaveBeenCalledWith('Failed to load job description: Job description not found');
+  });
+
+  it('saves the deadline and scheduled interviews to the calendar', async () => {
+    const blob = new Blob(['BEGIN:VCALENDAR']);
+    calendarAPI.downloadDeadline.mockResolvedValue(blob);
+    calendarAPI.downloadInterview.mockResolvedValue(blob);
+    window.URL.createObjectURL = jest.fn(() => 'blob:ics');
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    await renderDetail();
+
+    expect(interviewsAPI.getAll).toHaveBeenCalledWith({ job_description_id: 'jd1' });
+    expect(await screen.findByText('Round 2')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Add round 2 to calendar' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add deadline to calendar' }));
+    await waitFor(() => {
+      expect(calendarAPI.downloadDeadline).toHaveBeenCalledWith('jd1');
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add round 1 to calendar' }));
+    await waitFor(() => {
+      expect(click).toHaveBeenCalledTimes(2);
+    });
+    expect(calendarAPI.downloadInterview).toHaveBeenCalledWith('i1');
+    click.mockRestore();
+  });
+
+  it('sets a follow-up reminder for an interview', async () => {
+    remindersAPI.create.mockResolvedValue({ reminder: { id: 'r1' } });
+    await renderDetail();
+
+    expect(remindersAPI.getAll).toHaveBeenCalledWith({ job_description_id: 'jd1' });
+    expect(screen.getByText('No reminders set')).toBeInTheDocument();
+
+    remindersAPI.getAll.mockResolvedValue({
+      reminders: [{
+        id: 'r1',
+        title: 'Follow up on Platform Engineer',
+        due_at: '2024-06-12T16:00:00.000Z',
+        status: 'scheduled',
+        interview_id: 'i2',
+        interview_round: 2,
+      }],
+    });
+    fireEvent.change(screen.getByLabelText('On'), { target: { value: '2024-06-12T09:00' } });
+    fireEvent.change(await screen.findByLabelText('About interview'), { target: { value: 'i2' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Set Reminder' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Reminder set');
+    });
+    expect(remindersAPI.create).toHaveBeenCalledWith({
+      title: 'Follow up on Platform Engineer',
+      dueAt: new Date('2024-06-12T09:00').toISOString(),
+      jobDescriptionId: 'jd1',
+      interviewId: 'i2',
+    });
+    expect(await screen.findByText('Follow up on Platform Engineer')).toBeInTheDocument();
+    expect(screen.getByText('Scheduled')).toBeInTheDocument();
+  });
+});
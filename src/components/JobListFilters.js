@@ -0,0 +1,300 @@
+/**
+ * JobListFilters Component
+ *
+ * Filter and sort controls for the analyzer's saved job list, plus saving
+ * the current combination as a named smart view (listed in the sidebar),
+ * and updating or deleting the view the list was opened from.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { companiesAPI, sourcesAPI, savedFiltersAPI } from '../services/api';
+import { useSavedFilters } from '../contexts/SavedFiltersContext';
+import { validationConfig } from '../validation';
+import { toListParams, hasListFilters, isSameListFilters } from '../utils/jobListFilters';
+import {
+  STATUS_LABELS,
+  JOB_TYPE_LABELS,
+  REMOTE_POLICY_LABELS,
+  ENGAGEMENT_TYPE_LABELS,
+  RATE_UNIT_LABELS,
+  SORT_COLUMN_LABELS,
+} from '../utils/jobDescriptionLabels';
+
+const {
+  statuses, jobTypes, remotePolicies, engagementTypes, rateUnits, sortColumns,
+} = validationConfig.jobDescription;
+const { nameMaxLength } = validationConfig.savedJobFilter;
+
+const FOUND_WITHIN_OPTIONS = [7, 14, 30, 90];
+
+const amountInputStyle = { width: '110px' };
+const buttonRowStyle = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '15px', fontSize: '14px' };
+
+/**
+ * @param {Object} props
+ * @param {Object} props.filters - Current filters (every key, '' when not set)
+ * @param {string|null} props.activeViewId - Saved filter the list was opened from
+ * @param {Function} props.onChange - (name, value) for a single filter
+ * @param {Function} props.onApply - (filters, viewId) to replace every filter at once
+ */
+const JobListFilters = ({ filters, activeViewId, onChange, onApply }) => {
+  const { savedFilters, reloadSavedFilters } = useSavedFilters();
+  const [sources, setSources] = useState([]);
+  const [companies, setCompanies] = useState([]);
+  const [viewName, setViewName] = useState('');
+  const [isSavingView, setIsSavingView] = useState(false);
+
+  // Options for the source and company filters
+  useEffect(() => {
+    sourcesAPI.getAll()
+      .then(data => setSources(data.sources || []))
+      .catch(() => setSources([]));
+    companiesAPI.getAll({ limit: 100, sort_by: 'name', sort_order: 'ASC' })
+      .then(data => setCompanies(data.companies || []))
+      .catch(() => setCompanies([]));
+  }, []);
+
+  const activeView = savedFilters.find(savedFilter => savedFilter.id === activeViewId) || null;
+  const isFiltered = hasListFilters(filters);
+
+  const handleChange = (e) => {
+    onChange(e.target.name, e.target.value);
+  };
+
+  const handleSaveView = async (e) => {
+    e.preventDefault();
+    const name = viewName.trim();
+    if (!name || isSavingView) return;
+
+    setIsSavingView(true);
+    try {
+      const { savedFilter } = await savedFiltersAPI.create({ name, filters: toListParams(filters) });
+      toast.success(`Saved smart view "${savedFilter.name}"`);
+      setViewName('');
+      await reloadSavedFilters();
+      onApply(savedFilter.filters, savedFilter.id);
+    } catch (error) {
+      toast.error('Failed to save smart view: ' + error.message);
+    } finally {
+      setIsSavingView(false);
+    }
+  };
+
+  const handleUpdateView = async () => {
+    if (!activeView || isSavingView) return;
+
+    setIsSavingView(true);
+    try {
+      await savedFiltersAPI.update(activeView.id, { filters: toListParams(filters) });
+      toast.success(`Updated smart view "${activeView.name}"`);
+      await reloadSavedFilters();
+    } catch (error) {
+      toast.error('Failed to update smart view: ' + error.message);
+    } finally {
+      setIsSavingView(false);
+    }
+  };
+
+  const handleDeleteView = async () => {
+    if (!activeView || isSavingView) return;
+    if (!window.confirm(`Delete the smart view "${activeView.name}"? The job descriptions are not affected.`)) return;
+
+    setIsSavingView(true);
+    try {
+      await savedFiltersAPI.delete(activeView.id);
+      toast.success(`Deleted smart view "${activeView.name}"`);
+      await reloadSavedFilters();
+      onApply(filters, null);
+    } catch (error) {
+      toast.error('Failed to delete smart view: ' + error.message);
+    } finally {
+      setIsSavingView(false);
+    }
+  };
+
+  return (
+    <>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', marginBottom: '15px', fontSize: '14px' }}>
+        <label>
+          Status{' '}
+          <select name="status" value={filters.status} onChange={handleChange}>
+            <option value="">Any</option>
+            {statuses.map(status => (
+              <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Remote policy{' '}
+          <select name="remote_policy" value={filters.remote_policy} onChange={handleChange}>
+            <option value="">Any</option>
+            {remotePolicies.map(policy => (
+              <option key={policy} value={policy}>{REMOTE_POLICY_LABELS[policy]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Job type{' '}
+          <select name="job_type" value={filters.job_type} onChange={handleChange}>
+            <option value="">Any</option>
+            {jobTypes.map(type => (
+              <option key={type} value={type}>{JOB_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Engagement{' '}
+          <select name="engagement_type" value={filters.engagement_type} onChange={handleChange}>
+            <option value="">Any</option>
+            {engagementTypes.map(type => (
+              <option key={type} value={type}>{ENGAGEMENT_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Source{' '}
+          <select name="source_id" value={filters.source_id} onChange={handleChange}>
+            <option value="">Any</option>
+            {sources.map(source => (
+              <option key={source.id} value={source.id}>{source.source_name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Company{' '}
+          <select name="company_id" value={filters.company_id} onChange={handleChange}>
+            <option value="">Any</option>
+            {companies.map(company => (
+              <option key={company.id} value={company.id}>{company.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Found within{' '}
+          <select name="found_within_days" value={filters.found_within_days} onChange={handleChange}>
+            <option value="">Any time</option>
+            {FOUND_WITHIN_OPTIONS.map(days => (
+              <option key={days} value={String(days)}>Last {days} days</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Salary at least{' '}
+          <input
+            name="min_salary"
+            type="number"
+            min="0"
+            step="1000"
+            value={filters.min_salary}
+            onChange={handleChange}
+            style={amountInputStyle}
+          />
+        </label>
+        <label>
+          Salary at most{' '}
+          <input
+            name="max_salary"
+            type="number"
+            min="0"
+            step="1000"
+            value={filters.max_salary}
+            onChange={handleChange}
+            style={amountInputStyle}
+          />
+        </label>
+        <label>
+          Minimum annual rate{' '}
+          <input
+            name="min_annual_rate"
+            type="number"
+            min="0"
+            step="1000"
+            value={filters.min_annual_rate}
+            onChange={handleChange}
+            style={{ width: '120px' }}
+          />
+        </label>
+        <label>
+          Rate at least{' '}
+          <input
+            name="min_rate"
+            type="number"
+            min="0"
+            value={filters.min_rate}
+            onChange={handleChange}
+            style={amountInputStyle}
+          />
+        </label>
+        <label>
+          Rate per{' '}
+          <select name="rate_unit" value={filters.rate_unit} onChange={handleChange}>
+            <option value="">Any unit</option>
+            {rateUnits.map(unit => (
+              <option key={unit} value={unit}>{RATE_UNIT_LABELS[unit]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Sort by{' '}
+          <select name="sort_by" value={filters.sort_by} onChange={handleChange}>
+            <option value="">Newest first</option>
+            {sortColumns.map(column => (
+              <option key={column} value={column}>{SORT_COLUMN_LABELS[column]}</option>
+            ))}
+          </select>
+        </label>
+        {filters.sort_by && (
+          <label>
+            Order{' '}
+            <select name="sort_order" value={filters.sort_order || 'DESC'} onChange={handleChange}>
+              <option value="DESC">Highest / latest first</option>
+              <option value="ASC">Lowest / earliest first</option>
+            </select>
+          </label>
+        )}
+        {isFiltered && (
+          <button type="button" onClick={() => onApply({}, null)}>
+            Clear Filters
+          </button>
+        )}
+      </div>
+
+      <div style={buttonRowStyle}>
+        {activeView && (
+          <>
+            <strong>Smart view: {activeView.name}</strong>
+            <button
+              type="button"
+              onClick={handleUpdateView}
+              disabled={isSavingView || isSameListFilters(filters, activeView.filters)}
+            >
+              Update View
+            </button>
+            <button type="button" onClick={handleDeleteView} disabled={isSavingView}>
+              Delete View
+            </button>
+          </>
+        )}
+        {isFiltered && (
+          <form onSubmit={handleSaveView} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <label htmlFor="smart-view-name">Save these filters as</label>
+            <input
+              id="smart-view-name"
+              type="text"
+              value={viewName}
+              maxLength={nameMaxLength}
+              placeholder="e.g. Remote contracts > $100/hr"
+              onChange={(e) => setViewName(e.target.value)}
+            />
+            <button type="submit" disabled={!viewName.trim() || isSavingView}>
+              Save View
+            </button>
+          </form>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default JobListFilters;
@@ -0,0 +1,78 @@
+import React from 'react';
+import {
+  formatStatus,
+  EVENT_TYPE_LABELS,
+  CONTACT_METHOD_LABELS,
+  DOCUMENT_LABELS,
+} from '../utils/jobDescriptionLabels';
+import './JobTimeline.css';
+
+/**
+ * JobTimeline Component
+ *
+ * Renders a job description's events (status changes, notes, contacts and
+ * documents sent) as a vertical timeline, in the order given - the server
+ * returns newest first. Pass onDelete to offer removing hand-added events;
+ * status changes are never removable.
+ */
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+const eventTitle = (event) => {
+  const metadata = event.metadata || {};
+
+  switch (event.event_type) {
+    case 'status_change':
+      return `Moved from ${formatStatus(event.from_status)} to ${formatStatus(event.to_status)}`;
+    case 'contact': {
+      const via = metadata.contactMethod ? ` via ${CONTACT_METHOD_LABELS[metadata.contactMethod]}` : '';
+      const who = metadata.contactName ? ` with ${metadata.contactName}` : '';
+      return `Contact${who}${via}`;
+    }
+    case 'document_sent':
+      return `Sent ${metadata.document ? DOCUMENT_LABELS[metadata.document] : 'a document'}`;
+    default:
+      return EVENT_TYPE_LABELS[event.event_type] || event.event_type;
+  }
+};
+
+const JobTimeline = ({ events, onDelete }) => {
+  if (!events || events.length === 0) {
+    return <div className="list-page-empty">Nothing on the timeline yet</div>;
+  }
+
+  return (
+    <ol className="job-timeline" aria-label="Timeline">
+      {events.map(event => (
+        <li key={event.id} className={`job-timeline-event job-timeline-event-${event.event_type}`}>
+          <div className="job-timeline-heading">
+            <span className="job-timeline-title">{eventTitle(event)}</span>
+            {onDelete && event.event_type !== 'status_change' && (
+              <button
+                type="button"
+                className="btn-danger btn-small"
+                aria-label={`Delete ${eventTitle(event)}`}
+                onClick={() => onDelete(event)}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          <div className="job-timeline-meta">
+            {formatDateTime(event.occurred_at)}
+            {event.actor_name ? ` · ${event.actor_name}` : ''}
+          </div>
+          {event.description && <p className="job-timeline-description">{event.description}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default JobTimeline;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import JobTimeline from './JobTimeline';
+
+describe('JobTimeline', () => {
+  const events = [
+    {
+      id: 'e3',
+      event_type: 'document_sent',
+      metadata: { document: 'cover_letter' },
+      occurred_at: '2024-06-05T10:00:00Z',
+      actor_name: 'Jane Doe',
+    },
+    {
+      id: 'e2',
+      event_type: 'contact',
+      description: 'Intro call about the team',
+      metadata: { contactMethod: 'phone', contactName: 'Sam Lee' },
+      occurred_at: '2024-06-04T10:00:00Z',
+    },
+    {
+      id: 'e1',
+      event_type: 'status_change',
+      from_status: 'saved',
+      to_status: 'applied',
+      metadata: {},
+      occurred_at: '2024-06-03T10:00:00Z',
+      actor_name: 'Jane Doe',
+    },
+  ];
+
+  it('renders events in order with readable titles', () => {
+    render(<JobTimeline events={events} />);
+
+    const items = within(screen.getByRole('list', { name: 'Timeline' })).getAllByRole('listitem');
+    expect(items).toHaveLength(3);
+    expect(items[0]).toHaveTextContent('Sent Cover letter');
+    expect(items[0]).toHaveTextContent('Jane Doe');
+    expect(items[1]).toHaveTextContent('Contact with Sam Lee via Phone');
+    expect(items[1]).toHaveTextContent('Intro call about the team');
+    expect(items[2]).toHaveTextContent('Moved from Saved to Applied');
+  });
+
+  it('offers delete for everything except status changes', () => {
+    const onDelete = jest.fn();
+    render(<JobTimeline events={events} onDelete={onDelete} />);
+
+    expect(screen.getAllByRole('button', { name: /^Delete/ })).toHaveLength(2);
+    expect(screen.queryByRole('button', { name: 'Delete Moved from Saved to Applied' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Contact with Sam Lee via Phone' }));
+    expect(onDelete).toHaveBeenCalledWith(events[1]);
+  });
+
+  it('shows an empty state', () => {
+    render(<JobTimeline events={[]} />);
+
+    expect(screen.getByText('Nothing on the timeline yet')).toBeInTheDocument();
+  });
+});
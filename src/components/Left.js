@@ -1,11 +1,15 @@
 import React from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom'; // Import Link, useNavigate, and useLocation from react-router-dom
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom'; // Import Link, useNavigate, useLocation, and useSearchParams from react-router-dom
 import { useAuth } from '../contexts/AuthContext';
+import { useSavedFilters } from '../contexts/SavedFiltersContext';
+import { savedFilterPath } from '../utils/jobListFilters';
 
 function Left({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
   const { isAuthenticated, isAdmin, logout } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const { savedFilters } = useSavedFilters();
 
   // Only show dev tools in development
   const isDevelopment = window.location.hostname === 'localhost' ||
@@ -17,7 +21,18 @@ function Left({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
   const isAboutActive = location.pathname === '/about';
   const isDevToolsActive = location.pathname === '/dev-tools';
   const isLoginRegisterActive = location.pathname === '/login-register';
-  const isAnalyzerActive = location.pathname === '/analyzer';
+  // A filtered list is not the plain Analyzer link; an open smart view is highlighted instead
+  const isAnalyzerActive = location.pathname === '/analyzer' && !location.search;
+  const activeViewId = location.pathname === '/analyzer' ? searchParams.get('view') : null;
+  const isPipelineActive = location.pathname === '/pipeline';
+  const isInterviewsActive = location.pathname === '/interviews';
+  const isOffersActive = location.pathname === '/offers';
+  const isAnalyticsActive = location.pathname === '/analytics';
+  const isSourcesActive = location.pathname === '/sources';
+  const isCompaniesActive = location.pathname === '/companies';
+  const isRecruitersActive = location.pathname === '/recruiters';
+  const isResumesActive = location.pathname === '/resumes';
+  const isCoverLettersActive = location.pathname === '/cover-letters';
   const isProfileActive = location.pathname === '/profile';
   const isAdminActive = location.pathname.startsWith('/admin');
 
@@ -73,6 +88,93 @@ function Left({ onHomeClick, onAboutClick, onLoginRegisterClick }) {
               >
                 Analyzer
               </Link>
+              {savedFilters.length > 0 && (
+                <ul className="left-smart-views" aria-label="Smart views">
+                  {savedFilters.map(savedFilter => (
+                    <li key={savedFilter.id}>
+                      <Link
+                        to={savedFilterPath(savedFilter)}
+                        className={activeViewId === savedFilter.id ? 'active' : ''}
+                        title={savedFilter.name}
+                      >
+                        {savedFilter.name}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+            <li>
+              <Link
+                to="/pipeline"
+                className={isPipelineActive ? 'active' : ''}
+              >
+                Pipeline
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/interviews"
+                className={isInterviewsActive ? 'active' : ''}
+              >
+                Interviews
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/offers"
+                className={isOffersActive ? 'active' : ''}
+              >
+                Offers
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/analytics"
+                className={isAnalyticsActive ? 'active' : ''}
+              >
+                Analytics
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/sources"
+                className={isSourcesActive ? 'active' : ''}
+              >
+                Sources
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/companies"
+                className={isCompaniesActive ? 'active' : ''}
+              >
+                Companies
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/recruiters"
+                className={isRecruitersActive ? 'active' : ''}
+              >
+                Recruiters
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/resumes"
+                className={isResumesActive ? 'active' : ''}
+              >
+                Resumes
+              </Link>
+            </li>
+            <li>
+              <Link
+                to="/cover-letters"
+                className={isCoverLettersActive ? 'active' : ''}
+              >
+                Cover Letters
+              </Link>
             </li>
             {isAdmin() && (
               <li>
@@ -1,8 +1,9 @@
 import React from "react";
-import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
 import { TestRouterWithAllProviders } from "../test-utils";
 import { authAPI } from "../services/api";
 import * as AuthContext from "../contexts/AuthContext";
+import SavedFiltersContext from "../contexts/SavedFiltersContext";
 
 import Left from "./Left";
 
@@ -207,10 +208,19 @@ describe("Left", () => {
 
       await waitFor(() => {
         expect(screen.getByText('Analyzer')).toBeInTheDocument();
-        expect(screen.getByText('Profile')).toBeInTheDocument();
-        expect(screen.getByText('Logout')).toBeInTheDocument();
-        expect(screen.queryByText('Login/Register')).not.toBeInTheDocument();
       });
+      expect(screen.getByText('Pipeline')).toBeInTheDocument();
+      expect(screen.getByText('Interviews')).toBeInTheDocument();
+      expect(screen.getByText('Offers')).toBeInTheDocument();
+      expect(screen.getByText('Analytics')).toBeInTheDocument();
+      expect(screen.getByText('Sources')).toBeInTheDocument();
+      expect(screen.getByText('Companies')).toBeInTheDocument();
+      expect(screen.getByText('Recruiters')).toBeInTheDocument();
+      expect(screen.getByText('Resumes')).toBeInTheDocument();
+      expect(screen.getByText('Cover Letters')).toBeInTheDocument();
+      expect(screen.getByText('Profile')).toBeInTheDocument();
+      expect(screen.getByText('Logout')).toBeInTheDocument();
+      expect(screen.queryByText('Login/Register')).not.toBeInTheDocument();
     });
 
     it('shows admin link when user is authenticated and is admin', async () => {
@@ -316,5 +326,37 @@ describe("Left", () => {
         expect(mockLogout).toHaveBeenCalled();
       });
     });
+
+    it('lists saved filters as smart views under the analyzer', async () => {
+      AuthContext.useAuth.mockReturnValue({
+        user: { id: 1, name: 'Test User', email: 'test@example.com' },
+        token: 'test-token',
+        isAuthenticated: true,
+        isAdmin: () => false,
+        hasElevatedSession: () => false,
+        logout: jest.fn(),
+      });
+      const savedFilters = [
+        { id: 'sf-1', name: 'Remote contracts', filters: { remote_policy: 'remote', job_type: 'contract' } },
+      ];
+
+      render(
+        <TestRouterWithAllProviders>
+          <SavedFiltersContext.Provider value={{ savedFilters, reloadSavedFilters: jest.fn() }}>
+            <Left
+              onHomeClick={() => {}}
+              onAboutClick={() => {}}
+              onLoginRegisterClick={() => {}}
+            />
+          </SavedFiltersContext.Provider>
+        </TestRouterWithAllProviders>
+      );
+
+      const smartViews = await screen.findByRole('list', { name: 'Smart views' });
+      expect(within(smartViews).getByRole('link', { name: 'Remote contracts' })).toHaveAttribute(
+        'href',
+        '/analyzer?remote_policy=remote&job_type=contract&view=sf-1'
+      );
+    });
   });
 });
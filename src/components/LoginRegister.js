@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import './LoginRegister.css';
 import {
@@ -493,6 +493,12 @@ const LoginRegister = () => {
         </div>
       </form>
 
+      {isLoginMode && (
+        <div className="auth-links">
+          <Link to="/forgot-password">Forgot password?</Link>
+        </div>
+      )}
+
       {/* Toggle between login and register - outside form since it's not part of form submission */}
       <div style={{ marginTop: '20px', textAlign: 'center', padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '4px' }}>
         <span style={{ fontSize: '14px', color: '#666' }}>
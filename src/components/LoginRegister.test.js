@@ -1069,6 +1069,15 @@ describe('LoginRegister', () => {
             expect(loginButton).toBeInTheDocument();
         });
 
+        it('links to the forgot password screen in login mode only', () => {
+            render(<TestRouter><LoginRegister /></TestRouter>);
+            expect(screen.queryByRole('link', { name: 'Forgot password?' })).not.toBeInTheDocument();
+
+            fireEvent.click(screen.getByText('Login'));
+
+            expect(screen.getByRole('link', { name: 'Forgot password?' })).toHaveAttribute('href', '/forgot-password');
+        });
+
         it('toggles back to register mode when Register tab is clicked from login mode', () => {
             render(<TestRouter><LoginRegister /></TestRouter>);
             // First switch to login mode
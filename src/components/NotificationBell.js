@@ -0,0 +1,211 @@
+/**
+ * NotificationBell Component
+ *
+ * Header bell for the in-app notification center. Shows how many due
+ * reminders are unread and opens a panel listing them, each with snooze and
+ * complete actions. Notifications are reloaded every minute, matching the
+ * server's reminder scheduler.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { notificationsAPI } from '../services/api';
+import { INTERVIEW_TYPE_LABELS } from '../utils/jobDescriptionLabels';
+import './NotificationBell.css';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Tomorrow or a week from now, at 9 AM local time
+const morningInDays = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+const SNOOZE_OPTIONS = {
+  hour: { label: 'For 1 hour', until: () => new Date(Date.now() + 60 * 60 * 1000) },
+  tomorrow: { label: 'Until tomorrow morning', until: () => morningInDays(1) },
+  week: { label: 'For a week', until: () => morningInDays(7) },
+};
+
+const formatDueAt = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+// What the reminder is about: job, interview round and recruiter
+const describeSubject = (notification) => [
+  notification.job_title && [notification.job_title, notification.company_name].filter(Boolean).join(' at '),
+  notification.interview_id && [
+    `Round ${notification.interview_round}`,
+    INTERVIEW_TYPE_LABELS[notification.interview_type],
+  ].filter(Boolean).join(' '),
+  notification.recruiter_name,
+].filter(Boolean).join(' · ');
+
+const NotificationBell = () => {
+  const containerRef = useRef(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await notificationsAPI.getAll();
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  // Close the panel on Escape or a click anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    const handleMouseDown = (e) => {
+      if (!containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handleMouseDown);
+    };
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(prev => !prev);
+  };
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      await action();
+      await loadNotifications();
+    } catch (error) {
+      toast.error(`${failureMessage}: ${error.message}`);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    setIsOpen(false);
+    if (!notification.read_at) {
+      runAction(() => notificationsAPI.markRead(notification.id), 'Failed to mark notification as read');
+    }
+  };
+
+  const handleSnooze = (notification, option) => {
+    if (!SNOOZE_OPTIONS[option]) return;
+    runAction(
+      () => notificationsAPI.snooze(notification.id, SNOOZE_OPTIONS[option].until().toISOString()),
+      'Failed to snooze reminder'
+    );
+  };
+
+  const handleComplete = (notification) => {
+    runAction(() => notificationsAPI.complete(notification.id), 'Failed to complete reminder');
+  };
+
+  const handleMarkAllRead = () => {
+    runAction(() => notificationsAPI.markAllRead(), 'Failed to mark notifications as read');
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-button"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+        aria-controls="notification-panel"
+        onClick={handleToggle}
+      >
+        <span aria-hidden="true">🔔</span>
+        {unreadCount > 0 && (
+          <span className="notification-bell-badge" aria-hidden="true">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div id="notification-panel" className="notification-panel" role="dialog" aria-label="Notifications">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="notification-panel-link" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <div className="notification-panel-empty">Nothing due. You&apos;re all caught up.</div>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item${notification.read_at ? '' : ' notification-item-unread'}`}
+                >
+                  <div className="notification-item-title">
+                    {notification.job_description_id ? (
+                      <Link
+                        to={`/job-descriptions/${notification.job_description_id}`}
+                        onClick={() => handleOpen(notification)}
+                      >
+                        {notification.title}
+                      </Link>
+                    ) : notification.title}
+                  </div>
+                  {describeSubject(notification) && (
+                    <div className="notification-item-subject">{describeSubject(notification)}</div>
+                  )}
+                  <div className="notification-item-due">Due {formatDueAt(notification.due_at)}</div>
+                  {notification.notes && <div className="notification-item-notes">{notification.notes}</div>}
+                  <div className="notification-item-actions">
+                    <select
+                      aria-label={`Snooze ${notification.title}`}
+                      value=""
+                      onChange={(e) => handleSnooze(notification, e.target.value)}
+                    >
+                      <option value="">Snooze...</option>
+                      {Object.entries(SNOOZE_OPTIONS).map(([value, option]) => (
+                        <option key={value} value={value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="notification-item-done"
+                      aria-label={`Complete ${notification.title}`}
+                      onClick={() => handleComplete(notification)}
+                    >
+                      Done
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,158 @@
+/**
+ * NotificationBell Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import NotificationBell from './NotificationBell';
+import { TestRouter } from '../test-utils';
+import { notificationsAPI } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  notificationsAPI: {
+    getAll: jest.fn(),
+    markRead: jest.fn(),
+    markAllRead: jest.fn(),
+    snooze: jest.fn(),
+    complete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const followUp = {
+  id: 'r-1',
+  title: 'Follow up with Acme',
+  notes: 'Ask about the team',
+  due_at: '2025-02-01T09:00:00.000Z',
+  status: 'due',
+  read_at: null,
+  job_description_id: 'jd-1',
+  job_title: 'Platform Engineer',
+  company_name: 'Acme',
+  interview_id: 'int-1',
+  interview_round: 2,
+  interview_type: 'technical',
+  recruiter_name: 'Sam Lee',
+};
+
+const thankYou = {
+  id: 'r-2',
+  title: 'Send thank-you note',
+  due_at: '2025-01-31T09:00:00.000Z',
+  status: 'due',
+  read_at: '2025-01-31T10:00:00.000Z',
+  job_description_id: null,
+};
+
+const renderBell = () => render(
+  <TestRouter>
+    <NotificationBell />
+  </TestRouter>
+);
+
+const openPanel = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: 'Notifications (1 unread)' }));
+  return screen.findByRole('dialog', { name: 'Notifications' });
+};
+
+describe('NotificationBell', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationsAPI.getAll.mockResolvedValue({ notifications: [followUp, thankYou], unreadCount: 1 });
+  });
+
+  it('shows the unread count and lists due reminders with what they are about', async () => {
+    renderBell();
+
+    const panel = await openPanel();
+
+    expect(within(panel).getByRole('link', { name: 'Follow up with Acme' })).toHaveAttribute('href', '/job-descriptions/jd-1');
+    expect(within(panel).getByText('Platform Engineer at Acme · Round 2 Technical · Sam Lee')).toBeInTheDocument();
+    expect(within(panel).getByText('Ask about the team')).toBeInTheDocument();
+    expect(within(panel).getByText('Send thank-you note')).toBeInTheDocument();
+  });
+
+  it('snoozes a reminder and reloads the notifications', async () => {
+    notificationsAPI.snooze.mockResolvedValue({ message: 'Reminder snoozed successfully' });
+    renderBell();
+    const panel = await openPanel();
+
+    fireEvent.change(within(panel).getByLabelText('Snooze Follow up with Acme'), { target: { value: 'hour' } });
+
+    await waitFor(() => {
+      expect(notificationsAPI.snooze).toHaveBeenCalledWith('r-1', expect.any(String));
+    });
+    const until = new Date(notificationsAPI.snooze.mock.calls[0][1]).getTime();
+    expect(until).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+    await waitFor(() => {
+      expect(notificationsAPI.getAll).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  it('completes a reminder', async () => {
+    notificationsAPI.complete.mockResolvedValue({ message: 'Reminder completed successfully' });
+    renderBell();
+    const panel = await openPanel();
+
+    fireEvent.click(within(panel).getByRole('button', { name: 'Complete Send thank-you note' }));
+
+    await waitFor(() => {
+      expect(notificationsAPI.complete).toHaveBeenCalledWith('r-2');
+    });
+  });
+
+  it('marks everything read', async () => {
+    notificationsAPI.markAllRead.mockResolvedValue({ updated: 1 });
+    renderBell();
+    const panel = await openPanel();
+
+    notificationsAPI.getAll.mockResolvedValue({ notifications: [{ ...followUp, read_at: '2025-02-01T10:00:00.000Z' }], unreadCount: 0 });
+    fireEvent.click(within(panel).getByRole('button', { name: 'Mark all read' }));
+
+    expect(await screen.findByRole('button', { name: 'Notifications' })).toBeInTheDocument();
+    expect(notificationsAPI.markAllRead).toHaveBeenCalled();
+  });
+
+  it('marks a notification read when it is opened', async () => {
+    notificationsAPI.markRead.mockResolvedValue({ message: 'Notification marked as read' });
+    renderBell();
+    const panel = await openPanel();
+
+    fireEvent.click(within(panel).getByRole('link', { name: 'Follow up with Acme' }));
+
+    await waitFor(() => {
+      expect(notificationsAPI.markRead).toHaveBeenCalledWith('r-1');
+    });
+    expect(screen.queryByRole('dialog', { name: 'Notifications' })).not.toBeInTheDocument();
+  });
+
+  it('closes on Escape and shows an empty state', async () => {
+    notificationsAPI.getAll.mockResolvedValue({ notifications: [], unreadCount: 0 });
+    renderBell();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Notifications' }));
+    expect(await screen.findByText("Nothing due. You're all caught up.")).toBeInTheDocument();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(screen.queryByRole('dialog', { name: 'Notifications' })).not.toBeInTheDocument();
+  });
+
+  it('reports a failed action', async () => {
+    notificationsAPI.complete.mockRejectedValue(new Error('Network error'));
+    renderBell();
+    const panel = await openPanel();
+
+    fireEvent.click(within(panel).getByRole('button', { name: 'Complete Follow up with Acme' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to complete reminder: Network error');
+    });
+  });
+});
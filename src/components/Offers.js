@@ -0,0 +1,482 @@
+/**
+ * Offers Component
+ *
+ * Side-by-side comparison of the jobs at the offer stage with a weighted
+ * score the user can tune, plus the offers themselves. Pay is annualized
+ * on the server; jobs without an offer yet are estimated from the posting.
+ * Opened from a job description (?jobDescriptionId=...) new offers are
+ * recorded against that job.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { offersAPI, jobDescriptionsAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import {
+  SCORING_CRITERIA,
+  DEFAULT_WEIGHTS,
+  MAX_WEIGHT,
+  scoreOffers,
+  loadWeights,
+  saveWeights,
+} from '../utils/offerScoring';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+
+const { payPeriods } = validationConfig.offer;
+
+const PAY_PERIOD_LABELS = {
+  hour: 'Per hour',
+  day: 'Per day',
+  week: 'Per week',
+  month: 'Per month',
+  year: 'Per year',
+};
+
+const SOURCE_LABELS = {
+  offer: 'Offer',
+  salary_range: 'Estimated from salary range',
+  consulting_rate: 'Estimated from consulting rate',
+};
+
+const REMOTE_POLICY_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'Onsite',
+};
+
+const EMPTY_OFFER = {
+  jobDescriptionId: '',
+  baseSalary: '',
+  payPeriod: 'year',
+  currency: 'USD',
+  bonus: '',
+  signingBonus: '',
+  equityValue: '',
+  equityDetails: '',
+  benefits: '',
+  benefitsValue: '',
+  startDate: '',
+  expiryDate: '',
+  notes: '',
+};
+
+const AMOUNT_FIELDS = ['baseSalary', 'bonus', 'signingBonus', 'equityValue', 'benefitsValue'];
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const formatAmount = (amount, currency) => {
+  if (amount === null || amount === undefined) return '—';
+  const value = Math.round(Number(amount)).toLocaleString('en-US');
+  return currency ? `${value} ${currency}` : value;
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '';
+  // Offer dates are plain YYYY-MM-DD; read them as local dates
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const Offers = () => {
+  const [searchParams] = useSearchParams();
+  const jobDescriptionId = searchParams.get('jobDescriptionId') || '';
+
+  const [comparison, setComparison] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [jobDescriptions, setJobDescriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [weights, setWeights] = useState(loadWeights);
+
+  // Create/edit form
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_OFFER);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadOffers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [comparisonData, offersData] = await Promise.all([
+        offersAPI.getComparison(),
+        offersAPI.getAll(),
+      ]);
+      setComparison(comparisonData.comparison || []);
+      setOffers(offersData.offers || []);
+    } catch (error) {
+      toast.error('Failed to load offers: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOffers();
+  }, [loadOffers]);
+
+  // Job descriptions for the form dropdown
+  useEffect(() => {
+    jobDescriptionsAPI.getAll()
+      .then(data => setJobDescriptions(data.jobDescriptions || []))
+      .catch(() => setJobDescriptions([]));
+  }, []);
+
+  // Open the form for the job this page was opened from
+  useEffect(() => {
+    if (jobDescriptionId) {
+      setFormData({ ...EMPTY_OFFER, jobDescriptionId });
+      setEditingId(null);
+      setShowForm(true);
+    }
+  }, [jobDescriptionId]);
+
+  const scores = useMemo(() => scoreOffers(comparison, weights), [comparison, weights]);
+  const bestScore = Math.max(...scores.filter(score => score !== null));
+
+  const currencies = [...new Set(comparison.map(row => row.compensation.currency).filter(Boolean))];
+
+  const handleWeightChange = (key, value) => {
+    const next = { ...weights, [key]: Number(value) };
+    setWeights(next);
+    saveWeights(next);
+  };
+
+  const handleResetWeights = () => {
+    setWeights({ ...DEFAULT_WEIGHTS });
+    saveWeights(DEFAULT_WEIGHTS);
+  };
+
+  const handleNew = (forJobId = jobDescriptionId) => {
+    setFormData({ ...EMPTY_OFFER, jobDescriptionId: forJobId });
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (offer) => {
+    const toText = (value) => (value === null || value === undefined ? '' : String(Number(value)));
+    setFormData({
+      jobDescriptionId: offer.job_description_id,
+      baseSalary: toText(offer.base_salary),
+      payPeriod: offer.pay_period || 'year',
+      currency: offer.currency || 'USD',
+      bonus: toText(offer.bonus),
+      signingBonus: toText(offer.signing_bonus),
+      equityValue: toText(offer.equity_value),
+      equityDetails: offer.equity_details || '',
+      benefits: offer.benefits || '',
+      benefitsValue: toText(offer.benefits_value),
+      startDate: offer.start_date || '',
+      expiryDate: offer.expiry_date || '',
+      notes: offer.notes || '',
+    });
+    setEditingId(offer.id);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_OFFER);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    const payload = { ...formData };
+    AMOUNT_FIELDS.forEach(field => {
+      payload[field] = formData[field] === '' ? null : Number(formData[field]);
+    });
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await offersAPI.update(editingId, payload);
+        toast.success('Offer updated successfully!');
+      } else {
+        await offersAPI.create(payload);
+        toast.success('Offer added successfully!');
+      }
+      handleCancel();
+      await loadOffers();
+    } catch (error) {
+      toast.error('Failed to save offer: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (offer) => {
+    if (!window.confirm(`Delete the offer for ${offer.job_title || 'this job'}?`)) {
+      return;
+    }
+
+    try {
+      await offersAPI.delete(offer.id);
+      toast.success('Offer deleted successfully!');
+      if (editingId === offer.id) handleCancel();
+      await loadOffers();
+    } catch (error) {
+      toast.error('Failed to delete offer: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Offers</h1>
+          <p>Compare offers side by side, with pay converted to yearly amounts</p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={() => handleNew()}>
+            + Add Offer
+          </button>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>{editingId ? 'Edit Offer' : 'Add Offer'}</h2>
+          <form aria-label="Offer details" onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="offer-job">Job</label>
+                <select id="offer-job" name="jobDescriptionId" value={formData.jobDescriptionId} onChange={handleChange} required>
+                  <option value="">Select a job</option>
+                  {jobDescriptions.map(jd => (
+                    <option key={jd.id} value={jd.id}>
+                      {jd.job_title || 'Untitled Position'}{(jd.company_name || jd.company) ? ` — ${jd.company_name || jd.company}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-base-salary">Base salary</label>
+                <input id="offer-base-salary" name="baseSalary" type="number" min="0" step="any" value={formData.baseSalary} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-pay-period">Paid</label>
+                <select id="offer-pay-period" name="payPeriod" value={formData.payPeriod} onChange={handleChange}>
+                  {payPeriods.map(period => (
+                    <option key={period} value={period}>{PAY_PERIOD_LABELS[period]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-currency">Currency</label>
+                <input id="offer-currency" name="currency" maxLength="10" value={formData.currency} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-bonus">Bonus per year</label>
+                <input id="offer-bonus" name="bonus" type="number" min="0" step="any" value={formData.bonus} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-signing-bonus">Signing bonus</label>
+                <input id="offer-signing-bonus" name="signingBonus" type="number" min="0" step="any" value={formData.signingBonus} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-equity-value">Equity value per year</label>
+                <input id="offer-equity-value" name="equityValue" type="number" min="0" step="any" value={formData.equityValue} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-benefits-value">Benefits value per year</label>
+                <input id="offer-benefits-value" name="benefitsValue" type="number" min="0" step="any" value={formData.benefitsValue} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-start-date">Start date</label>
+                <input id="offer-start-date" name="startDate" type="date" value={formData.startDate} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="offer-expiry-date">Offer expires</label>
+                <input id="offer-expiry-date" name="expiryDate" type="date" value={formData.expiryDate} onChange={handleChange} />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="offer-equity-details">Equity details</label>
+                <input
+                  id="offer-equity-details"
+                  name="equityDetails"
+                  maxLength="500"
+                  placeholder="e.g. 40,000 RSUs vesting over 4 years, 1 year cliff"
+                  value={formData.equityDetails}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="offer-benefits">Benefits</label>
+                <textarea id="offer-benefits" name="benefits" rows="3" value={formData.benefits} onChange={handleChange} />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="offer-notes">Notes</label>
+                <textarea id="offer-notes" name="notes" rows="3" value={formData.notes} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : (editingId ? 'Update Offer' : 'Add Offer')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Comparison */}
+      <div className="list-page-panel">
+        <h2>Comparison</h2>
+        {currencies.length > 1 && (
+          <p role="alert">
+            These jobs pay in different currencies ({currencies.join(', ')}). Amounts are not converted,
+            so pay scores only make sense between jobs in the same currency.
+          </p>
+        )}
+        {loading ? (
+          <div className="list-page-empty">Loading offers...</div>
+        ) : comparison.length === 0 ? (
+          <div className="list-page-empty">No jobs at the offer stage yet</div>
+        ) : (
+          <div className="list-page-table-container">
+            <table className="list-page-table" aria-label="Offer comparison">
+              <thead>
+                <tr>
+                  <th>Job</th>
+                  <th>Base / year</th>
+                  <th>Bonus</th>
+                  <th>Equity / year</th>
+                  <th>Benefits / year</th>
+                  <th>Total / year</th>
+                  <th>First year</th>
+                  <th>Company rating</th>
+                  <th>Remote</th>
+                  <th>Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map((row, index) => {
+                  const { jobDescription, offer, compensation } = row;
+                  const isBest = scores[index] !== null && scores[index] === bestScore && comparison.length > 1;
+                  return (
+                    <tr key={jobDescription.id} className={isBest ? 'selected' : undefined}>
+                      <td>
+                        <Link to={`/job-descriptions/${jobDescription.id}`}>
+                          {jobDescription.job_title || 'Untitled Position'}
+                        </Link>
+                        {jobDescription.company_name && <div><small>{jobDescription.company_name}</small></div>}
+                        <div><small>{SOURCE_LABELS[compensation.source] || 'Pay unknown'}</small></div>
+                        {!offer && (
+                          <button className="btn-secondary btn-small" onClick={() => handleNew(jobDescription.id)}>
+                            Add offer
+                          </button>
+                        )}
+                      </td>
+                      <td>{formatAmount(compensation.base, compensation.currency)}</td>
+                      <td>{formatAmount(compensation.bonus)}</td>
+                      <td>{formatAmount(compensation.equity)}</td>
+                      <td>{formatAmount(compensation.benefits)}</td>
+                      <td>{formatAmount(compensation.total, compensation.currency)}</td>
+                      <td>{formatAmount(compensation.firstYear, compensation.currency)}</td>
+                      <td>{jobDescription.company_rating ? `${jobDescription.company_rating} / 5` : '—'}</td>
+                      <td>{REMOTE_POLICY_LABELS[jobDescription.remote_policy] || '—'}</td>
+                      <td>
+                        <span className="list-page-badge">{scores[index] === null ? '—' : scores[index]}</span>
+                        {isBest && <div><small>Best match</small></div>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Scoring weights */}
+      <div className="list-page-panel">
+        <h2>Scoring Weights</h2>
+        <p>Choose how much each factor counts. Each is scored from worst to best among the jobs compared.</p>
+        <div className="list-page-form-grid">
+          {SCORING_CRITERIA.map(({ key, label }) => (
+            <div className="list-page-field" key={key}>
+              <label htmlFor={`weight-${key}`}>{label}: {weights[key]}</label>
+              <input
+                id={`weight-${key}`}
+                type="range"
+                min="0"
+                max={MAX_WEIGHT}
+                step="1"
+                value={weights[key]}
+                onChange={(e) => handleWeightChange(key, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="list-page-actions">
+          <button type="button" className="btn-secondary" onClick={handleResetWeights}>Reset Weights</button>
+        </div>
+      </div>
+
+      {/* Recorded offers */}
+      {offers.length > 0 && (
+        <div className="list-page-table-container">
+          <table className="list-page-table" aria-label="Offers">
+            <thead>
+              <tr>
+                <th>Job</th>
+                <th>Base</th>
+                <th>Total / year</th>
+                <th>Start date</th>
+                <th>Expires</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {offers.map(offer => (
+                <tr key={offer.id}>
+                  <td>
+                    <Link to={`/job-descriptions/${offer.job_description_id}`}>
+                      {offer.job_title || 'Untitled Position'}
+                    </Link>
+                    {offer.company_name && <div><small>{offer.company_name}</small></div>}
+                  </td>
+                  <td>
+                    {formatAmount(offer.base_salary, offer.currency)}
+                    {offer.pay_period !== 'year' && <div><small>{PAY_PERIOD_LABELS[offer.pay_period]}</small></div>}
+                  </td>
+                  <td>{formatAmount(offer.compensation?.total, offer.currency)}</td>
+                  <td>{formatDate(offer.start_date)}</td>
+                  <td>{formatDate(offer.expiry_date)}</td>
+                  <td>
+                    <div className="list-page-row-actions">
+                      <button className="btn-secondary btn-small" onClick={() => handleEdit(offer)}>Edit</button>
+                      <button className="btn-danger btn-small" onClick={() => handleDelete(offer)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Offers;
@@ -0,0 +1,220 @@
+/**
+ * Offers Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import Offers from './Offers';
+import { TestRouter } from '../test-utils';
+import { offersAPI, jobDescriptionsAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  offersAPI: {
+    getAll: jest.fn(),
+    getComparison: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  jobDescriptionsAPI: {
+    getAll: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('Offers', () => {
+  const mockOffer = {
+    id: 'o1',
+    job_description_id: 'jd1',
+    job_title: 'Platform Engineer',
+    company_name: 'Acme',
+    base_salary: '150000.00',
+    pay_period: 'year',
+    currency: 'USD',
+    bonus: '15000.00',
+    signing_bonus: null,
+    equity_value: null,
+    benefits_value: null,
+    start_date: '2024-08-01',
+    expiry_date: '2024-07-01',
+    compensation: { total: 165000 },
+  };
+
+  const mockComparison = [
+    {
+      jobDescription: { id: 'jd1', job_title: 'Platform Engineer', company_name: 'Acme', remote_policy: 'onsite', company_rating: 3 },
+      offer: mockOffer,
+      compensation: {
+        currency: 'USD', base: 150000, bonus: 15000, equity: 0, benefits: 0,
+        signingBonus: 0, total: 165000, firstYear: 165000, source: 'offer', estimated: false,
+      },
+    },
+    {
+      jobDescription: { id: 'jd2', job_title: 'Contract SRE', company_name: 'Globex', remote_policy: 'remote', company_rating: 5 },
+      offer: null,
+      compensation: {
+        currency: 'USD', base: 208000, bonus: null, equity: null, benefits: null,
+        signingBonus: null, total: 208000, firstYear: 208000, source: 'consulting_rate', estimated: true,
+      },
+    },
+  ];
+
+  const mockJobDescriptions = [
+    { id: 'jd1', job_title: 'Platform Engineer', company_name: 'Acme' },
+    { id: 'jd2', job_title: 'Contract SRE', company: 'Globex' },
+  ];
+
+  const renderOffers = async (path = '/offers') => {
+    window.history.pushState({}, '', path);
+    render(
+      <TestRouter>
+        <Offers />
+      </TestRouter>
+    );
+    await screen.findByRole('table', { name: 'Offer comparison' });
+  };
+
+  const comparisonRows = () => within(screen.getByRole('table', { name: 'Offer comparison' })).getAllByRole('row').slice(1);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    window.confirm = jest.fn(() => true);
+    offersAPI.getComparison.mockResolvedValue({ comparison: mockComparison });
+    offersAPI.getAll.mockResolvedValue({ offers: [mockOffer] });
+    jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: mockJobDescriptions });
+  });
+
+  it('compares offers and estimates side by side', async () => {
+    await renderOffers();
+
+    const [first, second] = comparisonRows();
+    expect(within(first).getByText('150,000 USD')).toBeInTheDocument();
+    expect(within(second).getAllByText('208,000 USD')).toHaveLength(3);
+    expect(within(first).getByText('Offer')).toBeInTheDocument();
+    expect(within(second).getByText('Estimated from consulting rate')).toBeInTheDocument();
+    expect(within(second).getByRole('button', { name: 'Add offer' })).toBeInTheDocument();
+  });
+
+  it('scores with the default weights and highlights the best match', async () => {
+    await renderOffers();
+
+    const [first, second] = comparisonRows();
+    // The contract role wins on pay, rating and remote work: 11 of 14
+    expect(within(second).getByText('79')).toBeInTheDocument();
+    expect(within(second).getByText('Best match')).toBeInTheDocument();
+    expect(second).toHaveClass('selected');
+    // The offer only wins on equity and benefits (known 0 beats unknown): 3 of 14
+    expect(within(first).getByText('21')).toBeInTheDocument();
+  });
+
+  it('rescores when weights change and remembers them', async () => {
+    await renderOffers();
+
+    ['Total pay', 'Base salary', 'Company rating', 'Remote work'].forEach((label) => {
+      fireEvent.change(screen.getByLabelText(new RegExp(`^${label}:`)), { target: { value: '0' } });
+    });
+
+    const [first, second] = comparisonRows();
+    expect(within(first).getByText('Best match')).toBeInTheDocument();
+    expect(within(second).getByText('0')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('offerScoringWeights'))).toMatchObject({ total: 0, equity: 2 });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Weights' }));
+    expect(within(second).getByText('Best match')).toBeInTheDocument();
+  });
+
+  it('warns when jobs pay in different currencies', async () => {
+    offersAPI.getComparison.mockResolvedValue({
+      comparison: [
+        mockComparison[0],
+        { ...mockComparison[1], compensation: { ...mockComparison[1].compensation, currency: 'GBP' } },
+      ],
+    });
+    await renderOffers();
+
+    expect(screen.getByRole('alert')).toHaveTextContent('different currencies (USD, GBP)');
+  });
+
+  it('shows an empty state without jobs at the offer stage', async () => {
+    offersAPI.getComparison.mockResolvedValue({ comparison: [] });
+    offersAPI.getAll.mockResolvedValue({ offers: [] });
+    window.history.pushState({}, '', '/offers');
+    render(
+      <TestRouter>
+        <Offers />
+      </TestRouter>
+    );
+
+    expect(await screen.findByText('No jobs at the offer stage yet')).toBeInTheDocument();
+  });
+
+  it('adds an offer for the job it was opened from', async () => {
+    offersAPI.create.mockResolvedValue({ offer: { id: 'o2' } });
+    await renderOffers('/offers?jobDescriptionId=jd2');
+
+    const form = within(screen.getByRole('form', { name: 'Offer details' }));
+    await waitFor(() => {
+      expect(form.getByLabelText('Job')).toHaveValue('jd2');
+    });
+    fireEvent.change(form.getByLabelText('Base salary'), { target: { value: '110' } });
+    fireEvent.change(form.getByLabelText('Paid'), { target: { value: 'hour' } });
+    fireEvent.change(form.getByLabelText('Offer expires'), { target: { value: '2024-07-15' } });
+    fireEvent.click(form.getByRole('button', { name: 'Add Offer' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Offer added successfully!');
+    });
+    expect(offersAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+      jobDescriptionId: 'jd2',
+      baseSalary: 110,
+      payPeriod: 'hour',
+      bonus: null,
+      expiryDate: '2024-07-15',
+    }));
+  });
+
+  it('edits an existing offer', async () => {
+    offersAPI.update.mockResolvedValue({ offer: mockOffer });
+    await renderOffers();
+
+    const offersTable = within(screen.getByRole('table', { name: 'Offers' }));
+    fireEvent.click(offersTable.getByRole('button', { name: 'Edit' }));
+
+    const form = within(screen.getByRole('form', { name: 'Offer details' }));
+    expect(form.getByLabelText('Base salary')).toHaveValue(150000);
+    fireEvent.change(form.getByLabelText('Bonus per year'), { target: { value: '20000' } });
+    fireEvent.click(form.getByRole('button', { name: 'Update Offer' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Offer updated successfully!');
+    });
+    expect(offersAPI.update).toHaveBeenCalledWith('o1', expect.objectContaining({ bonus: 20000, baseSalary: 150000 }));
+  });
+
+  it('deletes an offer after confirmation', async () => {
+    offersAPI.delete.mockResolvedValue({});
+    await renderOffers();
+
+    fireEvent.click(within(screen.getByRole('table', { name: 'Offers' })).getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Offer deleted successfully!');
+    });
+    expect(offersAPI.delete).toHaveBeenCalledWith('o1');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * PipelineBoard Component
+ *
+ * Kanban view of the application pipeline: one column per job description
+ * status. Dragging a card to another column (or picking from its "Move to"
+ * menu) PATCHes the status. Only legal transitions are offered; the server
+ * enforces the same rules and records each change in the status history.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { jobDescriptionsAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import { STATUS_LABELS } from '../utils/jobDescriptionLabels';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+import './PipelineBoard.css';
+
+const { statuses, statusTransitions } = validationConfig.jobDescription;
+
+const canMove = (from, to) => (statusTransitions[from] || []).includes(to);
+
+const PipelineBoard = () => {
+  const [jobDescriptions, setJobDescriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dragging, setDragging] = useState(null);
+
+  useEffect(() => {
+    const loadJobDescriptions = async () => {
+      try {
+        const data = await jobDescriptionsAPI.getAll();
+        setJobDescriptions(data.jobDescriptions || []);
+      } catch (error) {
+        toast.error('Failed to load job descriptions: ' + error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadJobDescriptions();
+  }, []);
+
+  // Move optimistically, then put the card back if the server refuses
+  const moveTo = async (jd, status) => {
+    if (!canMove(jd.status, status)) return;
+
+    const setStatus = (value) => setJobDescriptions(prev =>
+      prev.map(item => (item.id === jd.id ? { ...item, status: value } : item))
+    );
+
+    setStatus(status);
+    try {
+      await jobDescriptionsAPI.updateStatus(jd.id, status);
+      toast.success(`Moved "${jd.job_title}" to ${STATUS_LABELS[status]}`);
+    } catch (error) {
+      setStatus(jd.status);
+      toast.error('Failed to move job description: ' + error.message);
+    }
+  };
+
+  const handleDragStart = (e, jd) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', jd.id);
+    setDragging(jd);
+  };
+
+  // Only legal columns accept the drop
+  const handleDragOver = (e, status) => {
+    if (dragging && canMove(dragging.status, status)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    if (dragging) moveTo(dragging, status);
+    setDragging(null);
+  };
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Pipeline</h1>
+          <p>Drag applications between stages to update their status</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="list-page-empty">Loading pipeline...</div>
+      ) : (
+        <div className="pipeline-board">
+          {statuses.map(status => {
+            const cards = jobDescriptions.filter(jd => jd.status === status);
+            const droppable = dragging && canMove(dragging.status, status);
+
+            return (
+              <section
+                key={status}
+                aria-label={`${STATUS_LABELS[status]} column`}
+                className={`pipeline-column${droppable ? ' pipeline-column-droppable' : ''}`}
+                onDragOver={(e) => handleDragOver(e, status)}
+                onDrop={(e) => handleDrop(e, status)}
+              >
+                <h2>
+                  {STATUS_LABELS[status]}
+                  <span className="list-page-badge">{cards.length}</span>
+                </h2>
+
+                {cards.length === 0 && <div className="pipeline-column-empty">No applications</div>}
+
+                {cards.map(jd => {
+                  const allowed = statusTransitions[jd.status] || [];
+                  return (
+                    <article
+                      key={jd.id}
+                      aria-label={jd.job_title}
+                      className={`pipeline-card${dragging?.id === jd.id ? ' pipeline-card-dragging' : ''}`}
+                      draggable={allowed.length > 0}
+                      onDragStart={(e) => handleDragStart(e, jd)}
+                      onDragEnd={() => setDragging(null)}
+                    >
+                      <h3><Link to={`/job-descriptions/${jd.id}`}>{jd.job_title}</Link></h3>
+                      {(jd.company_name || jd.company) && <p>{jd.company_name || jd.company}</p>}
+                      {allowed.length > 0 && (
+                        <select
+                          aria-label={`Move ${jd.job_title} to`}
+                          value=""
+                          onChange={(e) => moveTo(jd, e.target.value)}
+                        >
+                          <option value="">Move to...</option>
+                          {allowed.map(next => (
+                            <option key={next} value={next}>{STATUS_LABELS[next]}</option>
+                          ))}
+                        </select>
+                      )}
+                    </article>
+                  );
+                })}
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default PipelineBoard;
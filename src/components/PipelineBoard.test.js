@@ -0,0 +1,134 @@
+/**
+ * PipelineBoard Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import PipelineBoard from './PipelineBoard';
+import { TestRouter } from '../test-utils';
+import { jobDescriptionsAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  jobDescriptionsAPI: {
+    getAll: jest.fn(),
+    updateStatus: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('PipelineBoard', () => {
+  const mockJobDescriptions = [
+    { id: 'jd1', job_title: 'Platform Engineer', company_name: 'Acme', status: 'saved' },
+    { id: 'jd2', job_title: 'Data Engineer', company: 'Globex', status: 'applied' },
+    { id: 'jd3', job_title: 'QA Lead', status: 'rejected' },
+  ];
+
+  const dataTransfer = () => ({ setData: jest.fn(), effectAllowed: '', dropEffect: '' });
+
+  const renderBoard = async () => {
+    render(
+      <TestRouter>
+        <PipelineBoard />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('Platform Engineer')).toBeInTheDocument();
+    });
+  };
+
+  const column = (label) => screen.getByRole('region', { name: `${label} column` });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobDescriptionsAPI.getAll.mockResolvedValue({ jobDescriptions: mockJobDescriptions });
+  });
+
+  it('shows a column per status with its cards', async () => {
+    await renderBoard();
+
+    ['Saved', 'Interested', 'Applied', 'Interviewing', 'Offered', 'Rejected', 'Withdrawn', 'Accepted']
+      .forEach(label => expect(column(label)).toBeInTheDocument());
+    expect(within(column('Saved')).getByText('Platform Engineer')).toBeInTheDocument();
+    expect(within(column('Saved')).getByText('Acme')).toBeInTheDocument();
+    expect(within(column('Applied')).getByText('Globex')).toBeInTheDocument();
+    expect(within(column('Interviewing')).getByText('No applications')).toBeInTheDocument();
+  });
+
+  it('offers only legal moves and none from a final status', async () => {
+    await renderBoard();
+
+    const options = within(screen.getByLabelText('Move Data Engineer to')).getAllByRole('option');
+    expect(options.map(option => option.textContent)).toEqual([
+      'Move to...', 'Interviewing', 'Offered', 'Rejected', 'Withdrawn',
+    ]);
+    expect(screen.queryByLabelText('Move QA Lead to')).not.toBeInTheDocument();
+  });
+
+  it('moves a card dropped on a legal column', async () => {
+    jobDescriptionsAPI.updateStatus.mockResolvedValue({});
+    await renderBoard();
+
+    const transfer = dataTransfer();
+    fireEvent.dragStart(screen.getByRole('article', { name: 'Data Engineer' }), { dataTransfer: transfer });
+    expect(column('Interviewing')).toHaveClass('pipeline-column-droppable');
+    expect(column('Saved')).not.toHaveClass('pipeline-column-droppable');
+
+    fireEvent.drop(column('Interviewing'), { dataTransfer: transfer });
+
+    expect(within(column('Interviewing')).getByText('Data Engineer')).toBeInTheDocument();
+    expect(jobDescriptionsAPI.updateStatus).toHaveBeenCalledWith('jd2', 'interviewing');
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Moved "Data Engineer" to Interviewing');
+    });
+  });
+
+  it('ignores a drop on an illegal column', async () => {
+    await renderBoard();
+
+    const transfer = dataTransfer();
+    fireEvent.dragStart(screen.getByRole('article', { name: 'Platform Engineer' }), { dataTransfer: transfer });
+    fireEvent.drop(column('Accepted'), { dataTransfer: transfer });
+
+    expect(within(column('Saved')).getByText('Platform Engineer')).toBeInTheDocument();
+    expect(jobDescriptionsAPI.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('moves the card back when the server rejects the change', async () => {
+    jobDescriptionsAPI.updateStatus.mockRejectedValue(new Error('Cannot move from saved to applied'));
+    await renderBoard();
+
+    fireEvent.change(screen.getByLabelText('Move Platform Engineer to'), { target: { value: 'applied' } });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to move job description: Cannot move from saved to applied');
+    });
+    expect(within(column('Saved')).getByText('Platform Engineer')).toBeInTheDocument();
+  });
+
+  it('shows an error toast when loading fails', async () => {
+    jobDescriptionsAPI.getAll.mockRejectedValue(new Error('Network error'));
+    render(
+      <TestRouter>
+        <PipelineBoard />
+      </TestRouter>
+    );
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to load job descriptions: Network error');
+    });
+  });
+});
@@ -6,11 +6,12 @@ import { usersAPI } from '../services/api';
 import Loading from './Loading';
 import { validateField as validateFieldUtil } from '../validation';
 import PageContainer from './PageContainer';
+import ChangePassword from './ChangePassword';
 import './LoginRegister.css';
 
 const Profile = () => {
   const navigate = useNavigate();
-  const { user, logout, updateUser, isAdmin } = useAuth();
+  const { user, logout, updateUser, refreshUser, isAdmin } = useAuth();
   
   const [isEditing, setIsEditing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
@@ -126,10 +127,17 @@ const Profile = () => {
       console.log('Sending update data:', updateData);
       const response = await usersAPI.update(user.id, updateData);
       updateUser(response.user);
+      // A new email starts unverified; reload so the verification banner shows
+      const emailChanged = trimmedEmail.toLowerCase() !== originalFormData.email.trim().toLowerCase();
+      if (emailChanged) {
+        await refreshUser();
+      }
       // Update original form data to new values after successful save
       setOriginalFormData(formData);
       setIsEditing(false);
-      toast.success('Profile updated successfully!');
+      toast.success(emailChanged
+        ? 'Profile updated! Check your inbox to verify your new email address.'
+        : 'Profile updated successfully!');
     } catch (error) {
       console.error('Profile update error:', error);
       // Extract error message from various error formats
@@ -417,11 +425,7 @@ const Profile = () => {
         )}
           </div>
 
-          <div style={{ marginTop: '20px', padding: '15px', backgroundColor: 'var(--sidebar-bg)', borderRadius: '4px', border: '1px solid var(--sidebar-bg)' }}>
-            <p style={{ margin: 0, fontStyle: 'italic', color: 'var(--text-color)', opacity: 0.7, fontSize: '14px' }}>
-              💡 Note: Password changes are not yet implemented. Contact support to reset your password.
-            </p>
-          </div>
+          <ChangePassword />
     </PageContainer>
   );
 };
@@ -20,6 +20,7 @@ jest.mock('../services/api', () => ({
   usersAPI: {
     getCurrent: jest.fn(),
     update: jest.fn(),
+    changePassword: jest.fn(),
   },
 }));
 
@@ -314,6 +315,35 @@ describe('Profile Component', () => {
       expect(toast.success).toHaveBeenCalled();
     });
 
+    it('should reload the user after an email change so it shows as unverified', async () => {
+      const mockRefreshUser = jest.fn().mockResolvedValue();
+
+      AuthContext.useAuth.mockReturnValue({
+        user: mockUser,
+        isAdmin: jest.fn(() => false),
+        logout: jest.fn(),
+        updateUser: jest.fn(),
+        refreshUser: mockRefreshUser,
+      });
+
+      usersAPI.update.mockResolvedValue({ user: { ...mockUser, email: 'jane@example.com' } });
+
+      render(
+        <RouterWrapper>
+          <Profile />
+        </RouterWrapper>
+      );
+
+      fireEvent.click(await screen.findByText('Edit Profile'));
+      fireEvent.change(await screen.findByDisplayValue('john@example.com'), { target: { value: 'jane@example.com' } });
+      fireEvent.click(screen.getByText('Save Changes'));
+
+      await waitFor(() => {
+        expect(mockRefreshUser).toHaveBeenCalled();
+      });
+      expect(toast.success).toHaveBeenCalledWith('Profile updated! Check your inbox to verify your new email address.');
+    });
+
     it('should cancel edit mode and restore original values', async () => {
       AuthContext.useAuth.mockReturnValue({
         user: mockUser,
@@ -884,7 +914,7 @@ describe('Profile Component', () => {
       }, { timeout: 3000 });
     });
 
-    it('should display password change note', async () => {
+    it('should offer a password change', async () => {
       AuthContext.useAuth.mockReturnValue({
         user: mockUser,
         isAdmin: jest.fn(() => false),
@@ -903,7 +933,7 @@ describe('Profile Component', () => {
       );
 
       await waitFor(() => {
-        expect(screen.getByText(/Password changes are not yet implemented/i)).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Change Password' })).toBeInTheDocument();
       }, { timeout: 3000 });
     });
   });
@@ -0,0 +1,523 @@
+/**
+ * Recruiters Component
+ *
+ * Contact book of recruiters and hiring contacts: link them to companies,
+ * rate them, deactivate stale contacts, and view every job description
+ * that came through a recruiter.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { recruitersAPI, companiesAPI } from '../services/api';
+import PageContainer from './PageContainer';
+import StarRating from './StarRating';
+import './ListPage.css';
+
+const RECRUITER_TYPES = [
+  { value: 'internal_hr', label: 'Internal HR' },
+  { value: 'external_agency', label: 'External Agency' },
+  { value: 'hiring_manager', label: 'Hiring Manager' },
+  { value: 'independent', label: 'Independent' },
+  { value: 'headhunter', label: 'Headhunter' },
+];
+
+const EMPTY_RECRUITER = {
+  name: '',
+  title: '',
+  companyId: '',
+  recruiterType: '',
+  email: '',
+  phone: '',
+  linkedinUrl: '',
+  userRating: '',
+  notes: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const getTypeLabel = (type) => RECRUITER_TYPES.find(t => t.value === type)?.label || type;
+
+const Recruiters = () => {
+  const [recruiters, setRecruiters] = useState([]);
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    totalCount: 0,
+    totalPages: 0,
+  });
+
+  // Filters and sorting; global search results open this page with ?search=<name>
+  const [searchParams] = useSearchParams();
+  const searchParam = searchParams.get('search') || '';
+  const [filters, setFilters] = useState({
+    search: searchParam,
+    recruiter_type: '',
+    company_id: '',
+    // A recruiter found by search may be inactive
+    is_active: searchParam ? '' : 'true',
+  });
+  const [sortBy, setSortBy] = useState('name');
+  const [sortOrder, setSortOrder] = useState('ASC');
+
+  // Create/edit form
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_RECRUITER);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Detail view (recruiter + linked job descriptions)
+  const [detail, setDetail] = useState(null);
+
+  const loadRecruiters = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        sort_by: sortBy,
+        sort_order: sortOrder,
+        ...filters,
+      };
+
+      // Remove empty filters
+      Object.keys(params).forEach(key => {
+        if (params[key] === '') delete params[key];
+      });
+
+      const data = await recruitersAPI.getAll(params);
+      setRecruiters(data.recruiters || []);
+      if (data.pagination) {
+        setPagination(data.pagination);
+      }
+    } catch (error) {
+      toast.error('Failed to load recruiters: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, sortBy, sortOrder, filters]);
+
+  useEffect(() => {
+    loadRecruiters();
+  }, [loadRecruiters]);
+
+  // Companies for the filter and form dropdowns
+  useEffect(() => {
+    companiesAPI.getAll({ limit: 100, sort_by: 'name', sort_order: 'ASC' })
+      .then(data => setCompanies(data.companies || []))
+      .catch(() => setCompanies([]));
+  }, []);
+
+  useEffect(() => {
+    if (!searchParam) return;
+    setFilters(prev => (prev.search === searchParam ? prev : { ...prev, search: searchParam, is_active: '' }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }, [searchParam]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleSort = (column) => {
+    if (sortBy === column) {
+      setSortOrder(prev => prev === 'ASC' ? 'DESC' : 'ASC');
+    } else {
+      setSortBy(column);
+      setSortOrder('ASC');
+    }
+  };
+
+  const sortIndicator = (column) => sortBy === column && (sortOrder === 'ASC' ? '↑' : '↓');
+
+  const handleNew = () => {
+    setFormData(EMPTY_RECRUITER);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (recruiter) => {
+    setFormData({
+      name: recruiter.name || '',
+      title: recruiter.title || '',
+      companyId: recruiter.company_id || '',
+      recruiterType: recruiter.recruiter_type || '',
+      email: recruiter.email || '',
+      phone: recruiter.phone || '',
+      linkedinUrl: recruiter.linkedin_url || '',
+      userRating: recruiter.user_rating ? String(recruiter.user_rating) : '',
+      notes: recruiter.notes || '',
+    });
+    setEditingId(recruiter.id);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_RECRUITER);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    const payload = {
+      ...formData,
+      userRating: formData.userRating ? parseInt(formData.userRating) : null,
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await recruitersAPI.update(editingId, payload);
+        toast.success('Recruiter updated successfully!');
+      } else {
+        await recruitersAPI.create(payload);
+        toast.success('Recruiter created successfully!');
+      }
+      handleCancel();
+      await loadRecruiters();
+    } catch (error) {
+      toast.error('Failed to save recruiter: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRate = async (recruiter, rating) => {
+    try {
+      await recruitersAPI.update(recruiter.id, { userRating: rating });
+      setRecruiters(prev => prev.map(r => (r.id === recruiter.id ? { ...r, user_rating: rating } : r)));
+    } catch (error) {
+      toast.error('Failed to rate recruiter: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleToggleActive = async (recruiter) => {
+    const isActive = !recruiter.is_active;
+    try {
+      await recruitersAPI.update(recruiter.id, { isActive });
+      toast.success(`${recruiter.name} ${isActive ? 'reactivated' : 'deactivated'}`);
+      await loadRecruiters();
+    } catch (error) {
+      toast.error('Failed to update recruiter: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleDelete = async (recruiter) => {
+    if (!window.confirm(`Delete ${recruiter.name}? Linked job descriptions will be kept.`)) {
+      return;
+    }
+
+    try {
+      await recruitersAPI.delete(recruiter.id);
+      toast.success('Recruiter deleted successfully!');
+      if (detail?.recruiter.id === recruiter.id) setDetail(null);
+      await loadRecruiters();
+    } catch (error) {
+      toast.error('Failed to delete recruiter: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleView = async (recruiter) => {
+    try {
+      const data = await recruitersAPI.getById(recruiter.id);
+      setDetail(data);
+    } catch (error) {
+      toast.error('Failed to load recruiter: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Recruiters</h1>
+          <p>Keep track of the recruiters and hiring contacts behind your applications</p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={handleNew}>
+            + New Recruiter
+          </button>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>{editingId ? 'Edit Recruiter' : 'New Recruiter'}</h2>
+          <form onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="recruiter-name">Name</label>
+                <input id="recruiter-name" name="name" value={formData.name} onChange={handleChange} required />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-title">Title</label>
+                <input id="recruiter-title" name="title" value={formData.title} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-company">Company</label>
+                <select id="recruiter-company" name="companyId" value={formData.companyId} onChange={handleChange}>
+                  <option value="">No company</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-type">Type</label>
+                <select id="recruiter-type" name="recruiterType" value={formData.recruiterType} onChange={handleChange}>
+                  <option value="">Unknown</option>
+                  {RECRUITER_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-email">Email</label>
+                <input id="recruiter-email" name="email" value={formData.email} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-phone">Phone</label>
+                <input id="recruiter-phone" name="phone" value={formData.phone} onChange={handleChange} />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-linkedin">LinkedIn</label>
+                <input id="recruiter-linkedin" name="linkedinUrl" value={formData.linkedinUrl} onChange={handleChange} placeholder="https://www.linkedin.com/in/" />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="recruiter-rating">My Rating</label>
+                <select id="recruiter-rating" name="userRating" value={formData.userRating} onChange={handleChange}>
+                  <option value="">Not rated</option>
+                  {[1, 2, 3, 4, 5].map(rating => (
+                    <option key={rating} value={rating}>{'★'.repeat(rating)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="recruiter-notes">Notes</label>
+                <textarea id="recruiter-notes" name="notes" rows="3" value={formData.notes} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : (editingId ? 'Update Recruiter' : 'Create Recruiter')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="list-page-filters">
+        <div className="list-page-field">
+          <label htmlFor="search">Search</label>
+          <input
+            type="text"
+            id="search"
+            placeholder="Search by name, title, email, or company..."
+            value={filters.search}
+            onChange={(e) => handleFilterChange('search', e.target.value)}
+          />
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="filter-type">Type</label>
+          <select
+            id="filter-type"
+            value={filters.recruiter_type}
+            onChange={(e) => handleFilterChange('recruiter_type', e.target.value)}
+          >
+            <option value="">All Types</option>
+            {RECRUITER_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="filter-company">Company</label>
+          <select
+            id="filter-company"
+            value={filters.company_id}
+            onChange={(e) => handleFilterChange('company_id', e.target.value)}
+          >
+            <option value="">All Companies</option>
+            <option value="none">No company</option>
+            {companies.map(company => (
+              <option key={company.id} value={company.id}>{company.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="list-page-field">
+          <label htmlFor="filter-status">Status</label>
+          <select
+            id="filter-status"
+            value={filters.is_active}
+            onChange={(e) => handleFilterChange('is_active', e.target.value)}
+          >
+            <option value="true">Active</option>
+            <option value="false">Inactive</option>
+            <option value="">All</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Recruiters Table */}
+      {loading ? (
+        <div className="list-page-empty">Loading recruiters...</div>
+      ) : recruiters.length === 0 ? (
+        <div className="list-page-empty">No recruiters found</div>
+      ) : (
+        <>
+          <div className="list-page-table-container">
+            <table className="list-page-table">
+              <thead>
+                <tr>
+                  <th onClick={() => handleSort('name')} className="sortable">
+                    Name {sortIndicator('name')}
+                  </th>
+                  <th onClick={() => handleSort('company_name')} className="sortable">
+                    Company {sortIndicator('company_name')}
+                  </th>
+                  <th onClick={() => handleSort('recruiter_type')} className="sortable">
+                    Type {sortIndicator('recruiter_type')}
+                  </th>
+                  <th>Contact</th>
+                  <th onClick={() => handleSort('user_rating')} className="sortable">
+                    Rating {sortIndicator('user_rating')}
+                  </th>
+                  <th onClick={() => handleSort('job_descriptions_count')} className="sortable">
+                    Jobs {sortIndicator('job_descriptions_count')}
+                  </th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recruiters.map(recruiter => (
+                  <tr key={recruiter.id}>
+                    <td>
+                      {recruiter.linkedin_url ? (
+                        <a href={recruiter.linkedin_url} target="_blank" rel="noopener noreferrer">{recruiter.name}</a>
+                      ) : recruiter.name}
+                      {recruiter.title && <div><small>{recruiter.title}</small></div>}
+                    </td>
+                    <td>{recruiter.company_name}</td>
+                    <td>{recruiter.recruiter_type && getTypeLabel(recruiter.recruiter_type)}</td>
+                    <td>
+                      {recruiter.email && <div><a href={`mailto:${recruiter.email}`}>{recruiter.email}</a></div>}
+                      {recruiter.phone && <div>{recruiter.phone}</div>}
+                    </td>
+                    <td>
+                      <StarRating
+                        value={recruiter.user_rating}
+                        label={`${recruiter.name} rating`}
+                        onChange={(rating) => handleRate(recruiter, rating)}
+                      />
+                    </td>
+                    <td>{recruiter.job_descriptions_count || 0}</td>
+                    <td>
+                      <span className={`list-page-badge ${recruiter.is_active ? '' : 'inactive'}`}>
+                        {recruiter.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="list-page-row-actions">
+                        <button className="btn-primary btn-small" onClick={() => handleView(recruiter)}>View</button>
+                        <button className="btn-secondary btn-small" onClick={() => handleEdit(recruiter)}>Edit</button>
+                        <button className="btn-secondary btn-small" onClick={() => handleToggleActive(recruiter)}>
+                          {recruiter.is_active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                        <button className="btn-danger btn-small" onClick={() => handleDelete(recruiter)}>Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="list-page-pagination">
+            <div>
+              Showing {((pagination.page - 1) * pagination.limit) + 1} to{' '}
+              {Math.min(pagination.page * pagination.limit, pagination.totalCount)} of{' '}
+              {pagination.totalCount} recruiters
+            </div>
+            <div className="pagination-controls">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+              >
+                ← Previous
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page >= pagination.totalPages}
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Recruiter Detail */}
+      {detail && (
+        <div className="list-page-panel" style={{ marginTop: '2rem' }}>
+          <div className="list-page-header" style={{ marginBottom: '1rem' }}>
+            <h2>{detail.recruiter.name}</h2>
+            <button className="btn-secondary btn-small" onClick={() => setDetail(null)}>Close</button>
+          </div>
+          {(detail.recruiter.title || detail.recruiter.company_name) && (
+            <p>{[detail.recruiter.title, detail.recruiter.company_name].filter(Boolean).join(' at ')}</p>
+          )}
+          {detail.recruiter.notes && <p><strong>Notes:</strong> {detail.recruiter.notes}</p>}
+          <h3>Job Descriptions ({detail.jobDescriptions.length})</h3>
+          {detail.jobDescriptions.length === 0 ? (
+            <p>No job descriptions have come through this recruiter yet.</p>
+          ) : (
+            <ul className="list-page-linked">
+              {detail.jobDescriptions.map(jd => (
+                <li key={jd.id}>
+                  <strong>{jd.job_title || 'Untitled Position'}</strong>
+                  {jd.company_name && ` — ${jd.company_name}`}{' '}
+                  <span className="list-page-badge">{jd.status}</span>{' '}
+                  {formatDate(jd.date)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Recruiters;
@@ -0,0 +1,271 @@
+/**
+ * Recruiters Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Recruiters from './Recruiters';
+import { TestRouter } from '../test-utils';
+import { recruitersAPI, companiesAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  recruitersAPI: {
+    getAll: jest.fn(),
+    getById: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  companiesAPI: {
+    getAll: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('Recruiters', () => {
+  const mockRecruiters = [
+    {
+      id: 'r1',
+      name: 'Sam Lee',
+      title: 'Senior Recruiter',
+      company_id: 'c1',
+      company_name: 'Acme',
+      recruiter_type: 'external_agency',
+      email: 'sam@agency.example.com',
+      user_rating: 4,
+      is_active: true,
+      job_descriptions_count: 2,
+    },
+    {
+      id: 'r2',
+      name: 'Pat Kim',
+      company_id: null,
+      company_name: null,
+      recruiter_type: 'headhunter',
+      user_rating: null,
+      is_active: true,
+      job_descriptions_count: 0,
+    },
+  ];
+
+  const mockPagination = { page: 1, limit: 20, totalCount: 2, totalPages: 1 };
+
+  const renderRecruiters = async () => {
+    render(
+      <TestRouter>
+        <Recruiters />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('Senior Recruiter')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recruitersAPI.getAll.mockResolvedValue({ recruiters: mockRecruiters, pagination: mockPagination });
+    companiesAPI.getAll.mockResolvedValue({ companies: [{ id: 'c1', name: 'Acme' }] });
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('filters by the name a global search result links to, including inactive recruiters', async () => {
+    window.history.pushState({}, '', '/recruiters?search=Sam%20Lee');
+    await renderRecruiters();
+
+    expect(screen.getByLabelText('Search')).toHaveValue('Sam Lee');
+    expect(recruitersAPI.getAll).toHaveBeenCalledWith({
+      page: 1,
+      limit: 20,
+      sort_by: 'name',
+      sort_order: 'ASC',
+      search: 'Sam Lee',
+    });
+    window.history.pushState({}, '', '/');
+  });
+
+  it('lists active recruiters by default', async () => {
+    await renderRecruiters();
+
+    expect(screen.getByText('Sam Lee')).toBeInTheDocument();
+    expect(screen.getByText('Pat Kim')).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'External Agency' })).toBeInTheDocument();
+    expect(screen.getByText(/Showing 1 to 2 of 2 recruiters/)).toBeInTheDocument();
+    expect(recruitersAPI.getAll).toHaveBeenCalledWith({
+      page: 1,
+      limit: 20,
+      sort_by: 'name',
+      sort_order: 'ASC',
+      is_active: 'true',
+    });
+  });
+
+  it('shows an empty state', async () => {
+    recruitersAPI.getAll.mockResolvedValue({ recruiters: [], pagination: { ...mockPagination, totalCount: 0 } });
+
+    render(
+      <TestRouter>
+        <Recruiters />
+      </TestRouter>
+    );
+
+    expect(await screen.findByText('No recruiters found')).toBeInTheDocument();
+  });
+
+  it('filters by type and company', async () => {
+    await renderRecruiters();
+
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'headhunter' } });
+    await waitFor(() => {
+      expect(recruitersAPI.getAll).toHaveBeenLastCalledWith(expect.objectContaining({ recruiter_type: 'headhunter' }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Acme' })).toBeInTheDocument();
+    });
+    fireEvent.change(screen.getByLabelText('Company'), { target: { value: 'c1' } });
+    await waitFor(() => {
+      expect(recruitersAPI.getAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        recruiter_type: 'headhunter',
+        company_id: 'c1',
+      }));
+    });
+  });
+
+  it('includes inactive recruiters when the status filter is cleared', async () => {
+    await renderRecruiters();
+
+    fireEvent.change(screen.getByLabelText('Status'), { target: { value: '' } });
+
+    await waitFor(() => {
+      expect(recruitersAPI.getAll).toHaveBeenLastCalledWith(expect.not.objectContaining({ is_active: expect.anything() }));
+    });
+  });
+
+  it('creates a recruiter linked to a company', async () => {
+    recruitersAPI.create.mockResolvedValue({ recruiter: { id: 'r3', name: 'Alex' } });
+    await renderRecruiters();
+
+    fireEvent.click(screen.getByText('+ New Recruiter'));
+    await waitFor(() => {
+      expect(screen.getAllByRole('option', { name: 'Acme' }).length).toBeGreaterThan(0);
+    });
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Alex' } });
+    fireEvent.change(screen.getByLabelText('Company', { selector: '#recruiter-company' }), { target: { value: 'c1' } });
+    fireEvent.change(screen.getByLabelText('Type', { selector: '#recruiter-type' }), { target: { value: 'internal_hr' } });
+    fireEvent.click(screen.getByText('Create Recruiter'));
+
+    await waitFor(() => {
+      expect(recruitersAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Alex',
+        companyId: 'c1',
+        recruiterType: 'internal_hr',
+        userRating: null,
+      }));
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Recruiter created successfully!');
+    });
+  });
+
+  it('edits a recruiter', async () => {
+    recruitersAPI.update.mockResolvedValue({ recruiter: mockRecruiters[0] });
+    await renderRecruiters();
+
+    fireEvent.click(screen.getAllByText('Edit')[0]);
+    expect(screen.getByLabelText('Name')).toHaveValue('Sam Lee');
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Lead Recruiter' } });
+    fireEvent.click(screen.getByText('Update Recruiter'));
+
+    await waitFor(() => {
+      expect(recruitersAPI.update).toHaveBeenCalledWith('r1', expect.objectContaining({
+        title: 'Lead Recruiter',
+        companyId: 'c1',
+        userRating: 4,
+      }));
+    });
+  });
+
+  it('deactivates a stale recruiter', async () => {
+    recruitersAPI.update.mockResolvedValue({});
+    await renderRecruiters();
+
+    fireEvent.click(screen.getAllByText('Deactivate')[1]);
+
+    await waitFor(() => {
+      expect(recruitersAPI.update).toHaveBeenCalledWith('r2', { isActive: false });
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Pat Kim deactivated');
+    });
+  });
+
+  it('rates a recruiter from the table', async () => {
+    recruitersAPI.update.mockResolvedValue({});
+    await renderRecruiters();
+
+    fireEvent.click(screen.getByLabelText('Pat Kim rating 3'));
+
+    await waitFor(() => {
+      expect(recruitersAPI.update).toHaveBeenCalledWith('r2', { userRating: 3 });
+    });
+  });
+
+  it('shows the job descriptions that came through a recruiter', async () => {
+    recruitersAPI.getById.mockResolvedValue({
+      recruiter: mockRecruiters[0],
+      jobDescriptions: [{ id: 'jd1', job_title: 'Platform Engineer', company_name: 'Acme', status: 'applied', date: '2024-06-01' }],
+    });
+    await renderRecruiters();
+
+    fireEvent.click(screen.getAllByText('View')[0]);
+
+    expect(await screen.findByText('Platform Engineer')).toBeInTheDocument();
+    expect(screen.getByText('Job Descriptions (1)')).toBeInTheDocument();
+    expect(screen.getByText('Senior Recruiter at Acme')).toBeInTheDocument();
+    expect(recruitersAPI.getById).toHaveBeenCalledWith('r1');
+  });
+
+  it('deletes a recruiter after confirmation', async () => {
+    recruitersAPI.delete.mockResolvedValue({});
+    await renderRecruiters();
+
+    fireEvent.click(screen.getAllByText('Delete')[0]);
+
+    await waitFor(() => {
+      expect(recruitersAPI.delete).toHaveBeenCalledWith('r1');
+    });
+    expect(window.confirm).toHaveBeenCalled();
+  });
+
+  it('shows server validation errors', async () => {
+    recruitersAPI.create.mockRejectedValue({
+      message: 'Validation failed',
+      data: { errors: [{ msg: 'LinkedIn URL must be a valid URL' }] },
+    });
+    await renderRecruiters();
+
+    fireEvent.click(screen.getByText('+ New Recruiter'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Alex' } });
+    fireEvent.change(screen.getByLabelText('LinkedIn'), { target: { value: 'nope' } });
+    fireEvent.click(screen.getByText('Create Recruiter'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to save recruiter: LinkedIn URL must be a valid URL');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * ResetPassword Component
+ *
+ * Landing page for emailed reset links (/reset-password?token=...). Sets a
+ * new password that follows the registration rules, then sends the user
+ * to log in. Links work once and expire; a dead link offers a new one.
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { passwordSchema, getPasswordRequirements, getPasswordRuleStatus } from '../validation';
+import { authAPI } from '../services/api';
+import './LoginRegister.css';
+
+const RULE_KEYS = ['minLength', 'uppercase', 'lowercase', 'number', 'specialChar'];
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const requirements = getPasswordRequirements();
+  const ruleStatus = getPasswordRuleStatus(password);
+
+  const validate = async () => {
+    const nextErrors = {};
+    try {
+      await passwordSchema().validate(password);
+    } catch (validationError) {
+      nextErrors.password = validationError.message;
+    }
+    if (confirmPassword !== password) {
+      nextErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !(await validate())) return;
+
+    setIsSubmitting(true);
+    try {
+      await authAPI.resetPassword(token, password);
+      toast.success('Password reset successfully! Log in with your new password.');
+      navigate('/login-register', { replace: true });
+    } catch (apiError) {
+      setErrors({ api: getErrorMessage(apiError, 'Failed to reset password. Please try again.') });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div>
+        <h2>Reset Password</h2>
+        <p className="auth-notice" role="alert">This password reset link is incomplete.</p>
+        <div className="auth-links">
+          <Link to="/forgot-password">Request a new reset link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Reset Password</h2>
+      <p>Choose a new password for your account.</p>
+
+      <form onSubmit={handleSubmit} className="profile-form" noValidate>
+        <div className={`input-container ${errors.password ? 'error' : ''}`}>
+          <div className="label-error-container">
+            <label htmlFor="reset-password">New password</label>
+            {errors.password && <div className="error">{errors.password}</div>}
+          </div>
+          <div className="password-input-wrapper">
+            <input
+              type={showPassword ? 'text' : 'password'}
+              id="reset-password"
+              name="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+              className={errors.password ? 'error-input' : ''}
+            />
+            <button
+              type="button"
+              className="password-toggle-btn"
+              onClick={() => setShowPassword(!showPassword)}
+              title={showPassword ? 'Hide password' : 'Show password'}
+              tabIndex="-1"
+            >
+              {showPassword ? '👁️' : '👁️‍🗨️'}
+            </button>
+          </div>
+          <ul className="password-rules" aria-label="Password requirements">
+            {RULE_KEYS.map((key, index) => (
+              <li key={key} className={ruleStatus[key] ? 'met' : 'unmet'}>
+                {ruleStatus[key] ? '✅' : '❌'} {requirements[index]}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className={`input-container ${errors.confirmPassword ? 'error' : ''}`}>
+          <div className="label-error-container">
+            <label htmlFor="reset-confirm-password">Confirm new password</label>
+            {errors.confirmPassword && <div className="error">{errors.confirmPassword}</div>}
+          </div>
+          <input
+            type={showPassword ? 'text' : 'password'}
+            id="reset-confirm-password"
+            name="confirmPassword"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            autoComplete="new-password"
+            required
+            className={errors.confirmPassword ? 'error-input' : ''}
+          />
+        </div>
+
+        {errors.api && (
+          <div className="auth-notice" role="alert">
+            {errors.api}
+            {' '}
+            <Link to="/forgot-password">Request a new reset link</Link>
+          </div>
+        )}
+
+        <div className="button-container">
+          <button type="submit" disabled={!password || !confirmPassword || isSubmitting}>
+            {isSubmitting ? 'Saving...' : 'Reset Password'}
+          </button>
+        </div>
+      </form>
+
+      <div className="auth-links">
+        <Link to="/login-register">Back to login</Link>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,106 @@
+/**
+ * ResetPassword Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import ResetPassword from './ResetPassword';
+import { TestRouter } from '../test-utils';
+import { authAPI } from '../services/api';
+
+const mockNavigate = jest.fn();
+
+jest.mock('react-router-dom', () => ({
+  ...jest.requireActual('react-router-dom'),
+  useNavigate: () => mockNavigate,
+}));
+
+jest.mock('../services/api', () => ({
+  authAPI: {
+    resetPassword: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const renderResetPassword = (path = '/reset-password?token=abc123') => {
+  window.history.pushState({}, '', path);
+  return render(<TestRouter><ResetPassword /></TestRouter>);
+};
+
+const fillPasswords = (password, confirmPassword = password) => {
+  fireEvent.change(screen.getByLabelText('New password'), { target: { value: password } });
+  fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: confirmPassword } });
+};
+
+describe('ResetPassword', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    window.history.pushState({}, '', '/');
+  });
+
+  it('resets the password with the token from the link', async () => {
+    authAPI.resetPassword.mockResolvedValue({ message: 'Password reset successfully' });
+    renderResetPassword();
+
+    fillPasswords('NewPassw0rd!');
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Password' }));
+
+    await waitFor(() => {
+      expect(authAPI.resetPassword).toHaveBeenCalledWith('abc123', 'NewPassw0rd!');
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalled();
+    });
+    expect(mockNavigate).toHaveBeenCalledWith('/login-register', { replace: true });
+  });
+
+  it('shows which password rules are met', () => {
+    renderResetPassword();
+
+    fillPasswords('abc');
+
+    const rules = screen.getByRole('list', { name: 'Password requirements' });
+    expect(rules).toHaveTextContent('✅ 1 lowercase letter');
+    expect(rules).toHaveTextContent('❌ 1 uppercase letter');
+  });
+
+  it('requires the password rules and a matching confirmation', async () => {
+    renderResetPassword();
+
+    fillPasswords('weak', 'other');
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Password' }));
+
+    expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+    expect(screen.getByText(/^requires at least 8 characters/)).toBeInTheDocument();
+    expect(authAPI.resetPassword).not.toHaveBeenCalled();
+  });
+
+  it('offers a new link when the token is rejected', async () => {
+    authAPI.resetPassword.mockRejectedValue(new Error('This password reset link is invalid or has expired'));
+    renderResetPassword();
+
+    fillPasswords('NewPassw0rd!');
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Password' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This password reset link is invalid or has expired');
+    expect(screen.getByRole('link', { name: 'Request a new reset link' })).toHaveAttribute('href', '/forgot-password');
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('explains links without a token', () => {
+    renderResetPassword('/reset-password');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('This password reset link is incomplete.');
+    expect(screen.queryByLabelText('New password')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+/**
+ * ResumeMatches Component
+ *
+ * Ranks the user's resume versions against one job description, best match
+ * first, with matched and missing keywords and the recommended version.
+ */
+
+const scoreColor = (score) => {
+  if (score >= 70) return '#28a745';
+  if (score >= 40) return '#ffc107';
+  return '#dc3545';
+};
+
+const ResumeMatches = ({ result }) => {
+  const { keywords = [], matches = [], recommendedResumeId } = result;
+
+  if (matches.length === 0) {
+    return (
+      <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>
+        No resumes uploaded yet. <Link to="/resumes">Upload one</Link> to see how it matches.
+      </p>
+    );
+  }
+
+  if (keywords.length === 0) {
+    return (
+      <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>
+        No keywords found for this job description, so resumes cannot be scored.
+      </p>
+    );
+  }
+
+  return (
+    <ol aria-label="Resume ranking" style={{ margin: 0, paddingLeft: '20px', fontSize: '14px' }}>
+      {matches.map(({ resume, score, matchedKeywords, missingKeywords }) => (
+        <li key={resume.id} style={{ marginBottom: '8px' }}>
+          <strong>{resume.title} (v{resume.version_number})</strong>
+          {resume.is_active && <span style={{ color: '#666' }}> · active</span>}
+          {' '}
+          <span style={{ color: scoreColor(score), fontWeight: 'bold' }}>{score}%</span>
+          {resume.id === recommendedResumeId && (
+            <span
+              style={{
+                marginLeft: '8px',
+                padding: '2px 8px',
+                borderRadius: '12px',
+                backgroundColor: '#d4edda',
+                color: '#155724',
+                fontSize: '12px',
+              }}
+            >
+              Recommended
+            </span>
+          )}
+          <div style={{ color: '#666' }}>
+            Matched: {matchedKeywords.length > 0 ? matchedKeywords.join(', ') : 'none'}
+          </div>
+          {missingKeywords.length > 0 && (
+            <div style={{ color: '#666' }}>Missing: {missingKeywords.join(', ')}</div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default ResumeMatches;
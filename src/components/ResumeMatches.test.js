@@ -0,0 +1,55 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { TestRouter } from '../test-utils';
+import ResumeMatches from './ResumeMatches';
+
+describe('ResumeMatches', () => {
+  const result = {
+    keywords: ['React', 'Node.js', 'GraphQL'],
+    recommendedResumeId: 'r2',
+    matches: [
+      {
+        resume: { id: 'r2', title: 'Full Stack', version_number: 2, is_active: true },
+        score: 80,
+        matchedKeywords: ['React', 'Node.js'],
+        missingKeywords: ['GraphQL'],
+      },
+      {
+        resume: { id: 'r1', title: 'Backend', version_number: 1, is_active: false },
+        score: 0,
+        matchedKeywords: [],
+        missingKeywords: ['React', 'Node.js', 'GraphQL'],
+      },
+    ],
+  };
+
+  it('ranks resumes and marks the recommended version', () => {
+    render(<ResumeMatches result={result} />);
+
+    const items = within(screen.getByRole('list', { name: 'Resume ranking' })).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(within(items[0]).getByText('Full Stack (v2)')).toBeInTheDocument();
+    expect(within(items[0]).getByText('80%')).toBeInTheDocument();
+    expect(within(items[0]).getByText('Recommended')).toBeInTheDocument();
+    expect(within(items[0]).getByText('Matched: React, Node.js')).toBeInTheDocument();
+    expect(within(items[0]).getByText('Missing: GraphQL')).toBeInTheDocument();
+    expect(within(items[1]).queryByText('Recommended')).not.toBeInTheDocument();
+    expect(within(items[1]).getByText('Matched: none')).toBeInTheDocument();
+  });
+
+  it('links to the resumes page when there are no resumes', () => {
+    render(
+      <TestRouter>
+        <ResumeMatches result={{ keywords: ['React'], matches: [], recommendedResumeId: null }} />
+      </TestRouter>
+    );
+
+    expect(screen.getByText('Upload one')).toHaveAttribute('href', '/resumes');
+  });
+
+  it('explains when the job description has no keywords', () => {
+    render(<ResumeMatches result={{ ...result, keywords: [] }} />);
+
+    expect(screen.getByText(/No keywords found/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Resumes Component
+ *
+ * Resume version library: upload pdf/docx/txt files, upload new revisions
+ * of an existing resume, choose the active version, view the extracted
+ * text, and download any version.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { resumesAPI } from '../services/api';
+import { saveBlob } from '../utils/saveBlob';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+
+const ACCEPTED_FILE_TYPES = '.pdf,.docx,.txt';
+
+const EMPTY_UPLOAD = {
+  title: '',
+  skillsHighlighted: '',
+  notes: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+/**
+ * Group resume versions by title (case-insensitive), keeping server order
+ */
+const groupByTitle = (resumes) => {
+  const groups = [];
+  const byKey = {};
+  resumes.forEach(resume => {
+    const key = resume.title.toLowerCase();
+    if (!byKey[key]) {
+      byKey[key] = { title: resume.title, versions: [] };
+      groups.push(byKey[key]);
+    }
+    byKey[key].versions.push(resume);
+  });
+  return groups;
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const Resumes = () => {
+  const [resumes, setResumes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Upload form
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_UPLOAD);
+  const [file, setFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  // Extracted text preview
+  const [preview, setPreview] = useState(null);
+
+  const loadResumes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await resumesAPI.getAll();
+      setResumes(data.resumes || []);
+    } catch (error) {
+      toast.error('Failed to load resumes: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadResumes();
+  }, [loadResumes]);
+
+  const openUpload = (title = '') => {
+    setFormData({ ...EMPTY_UPLOAD, title });
+    setFile(null);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setFormData(EMPTY_UPLOAD);
+    setFile(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isUploading) return;
+
+    if (!file) {
+      toast.error('Choose a file to upload');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const result = await resumesAPI.upload(file, formData);
+      toast.success(result.message || 'Resume uploaded successfully!');
+      handleCancel();
+      await loadResumes();
+    } catch (error) {
+      toast.error('Failed to upload resume: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (resume) => {
+    try {
+      const blob = await resumesAPI.download(resume.id);
+      saveBlob(blob, resume.file_name || `${resume.title}.${resume.file_type}`);
+    } catch (error) {
+      toast.error('Failed to download resume: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleSetActive = async (resume) => {
+    try {
+      await resumesAPI.update(resume.id, { isActive: true });
+      toast.success(`Version ${resume.version_number} of ${resume.title} is now active`);
+      await loadResumes();
+    } catch (error) {
+      toast.error('Failed to update resume: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handlePreview = async (resume) => {
+    try {
+      const data = await resumesAPI.getById(resume.id);
+      setPreview(data.resume);
+    } catch (error) {
+      toast.error('Failed to load resume: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const handleDelete = async (resume) => {
+    if (!window.confirm(`Delete version ${resume.version_number} of ${resume.title}? The file will be removed.`)) {
+      return;
+    }
+
+    try {
+      await resumesAPI.delete(resume.id);
+      toast.success('Resume deleted successfully!');
+      if (preview?.id === resume.id) setPreview(null);
+      await loadResumes();
+    } catch (error) {
+      toast.error('Failed to delete resume: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const groups = groupByTitle(resumes);
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Resumes</h1>
+          <p>Upload resume versions and keep track of which one is current</p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={() => openUpload()}>
+            + Upload Resume
+          </button>
+        )}
+      </div>
+
+      {/* Upload Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>Upload Resume</h2>
+          <p>Use the title of an existing resume to upload a new version of it.</p>
+          <form onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="resume-file">File (pdf, docx, txt)</label>
+                <input
+                  id="resume-file"
+                  type="file"
+                  accept={ACCEPTED_FILE_TYPES}
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="resume-title">Title</label>
+                <input
+                  id="resume-title"
+                  name="title"
+                  list="resume-titles"
+                  value={formData.title}
+                  onChange={handleChange}
+                  placeholder="Defaults to the file name"
+                />
+                <datalist id="resume-titles">
+                  {groups.map(group => (
+                    <option key={group.title} value={group.title} />
+                  ))}
+                </datalist>
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="resume-skills">Skills Highlighted</label>
+                <input
+                  id="resume-skills"
+                  name="skillsHighlighted"
+                  value={formData.skillsHighlighted}
+                  onChange={handleChange}
+                  placeholder="Comma-separated, e.g. React, Node.js, PostgreSQL"
+                />
+              </div>
+              <div className="list-page-field list-page-field-wide">
+                <label htmlFor="resume-notes">Notes</label>
+                <textarea id="resume-notes" name="notes" rows="3" value={formData.notes} onChange={handleChange} />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isUploading}>
+                {isUploading ? 'Uploading...' : 'Upload'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Resume Versions */}
+      {loading ? (
+        <div className="list-page-empty">Loading resumes...</div>
+      ) : groups.length === 0 ? (
+        <div className="list-page-empty">No resumes uploaded yet</div>
+      ) : (
+        groups.map(group => (
+          <div key={group.title} className="list-page-panel">
+            <div className="list-page-header" style={{ marginBottom: '1rem' }}>
+              <h2>{group.title}</h2>
+              <button className="btn-secondary btn-small" onClick={() => openUpload(group.title)}>
+                Upload New Version
+              </button>
+            </div>
+            <div className="list-page-table-container">
+              <table className="list-page-table" aria-label={`${group.title} versions`}>
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>File</th>
+                    <th>Size</th>
+                    <th>Uploaded</th>
+                    <th>Skills</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {group.versions.map(resume => (
+                    <tr key={resume.id}>
+                      <td>v{resume.version_number}</td>
+                      <td>
+                        <button
+                          type="button"
+                          className="btn-secondary btn-small"
+                          onClick={() => handleDownload(resume)}
+                          title="Download"
+                        >
+                          {resume.file_name}
+                        </button>
+                      </td>
+                      <td>{formatFileSize(resume.file_size_bytes)}</td>
+                      <td>{formatDate(resume.created_at)}</td>
+                      <td>{(resume.skills_highlighted || []).join(', ')}</td>
+                      <td>
+                        {resume.is_active && <span className="list-page-badge">Active</span>}
+                      </td>
+                      <td>
+                        <div className="list-page-row-actions">
+                          <button className="btn-primary btn-small" onClick={() => handlePreview(resume)}>View Text</button>
+                          {!resume.is_active && (
+                            <button className="btn-secondary btn-small" onClick={() => handleSetActive(resume)}>Set Active</button>
+                          )}
+                          <button className="btn-danger btn-small" onClick={() => handleDelete(resume)}>Delete</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
+      )}
+
+      {/* Extracted Text */}
+      {preview && (
+        <div className="list-page-panel" style={{ marginTop: '2rem' }}>
+          <div className="list-page-header" style={{ marginBottom: '1rem' }}>
+            <h2>{preview.title} (v{preview.version_number})</h2>
+            <button className="btn-secondary btn-small" onClick={() => setPreview(null)}>Close</button>
+          </div>
+          {preview.content_summary ? (
+            <pre style={{ whiteSpace: 'pre-wrap', fontFamily: 'inherit' }}>{preview.content_summary}</pre>
+          ) : (
+            <p>No text could be extracted from this file.</p>
+          )}
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Resumes;
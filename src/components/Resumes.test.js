@@ -0,0 +1,227 @@
+/**
+ * Resumes Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import Resumes from './Resumes';
+import { TestRouter } from '../test-utils';
+import { resumesAPI } from '../services/api';
+import { toast } from 'react-toastify';
+
+jest.mock('../services/api', () => ({
+  resumesAPI: {
+    getAll: jest.fn(),
+    getById: jest.fn(),
+    upload: jest.fn(),
+    download: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+    info: jest.fn(),
+  },
+}));
+
+jest.mock('./PageContainer', () => {
+  return function MockPageContainer({ children }) {
+    return <div data-testid="page-container">{children}</div>;
+  };
+});
+
+describe('Resumes', () => {
+  const mockResumes = [
+    {
+      id: 'r2',
+      title: 'Engineer',
+      file_name: 'engineer-v2.pdf',
+      file_type: 'pdf',
+      file_size_bytes: 2048,
+      version_number: 2,
+      is_active: true,
+      skills_highlighted: ['React', 'Node.js'],
+      created_at: '2024-06-02T10:00:00Z',
+    },
+    {
+      id: 'r1',
+      title: 'Engineer',
+      file_name: 'engineer.pdf',
+      file_type: 'pdf',
+      file_size_bytes: 1024,
+      version_number: 1,
+      is_active: false,
+      created_at: '2024-05-01T10:00:00Z',
+    },
+    {
+      id: 'r3',
+      title: 'Consultant',
+      file_name: 'consultant.docx',
+      file_type: 'docx',
+      file_size_bytes: 512,
+      version_number: 1,
+      is_active: true,
+      created_at: '2024-06-01T10:00:00Z',
+    },
+  ];
+
+  const renderResumes = async () => {
+    render(
+      <TestRouter>
+        <Resumes />
+      </TestRouter>
+    );
+    await waitFor(() => {
+      expect(screen.getByText('engineer-v2.pdf')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resumesAPI.getAll.mockResolvedValue({ resumes: mockResumes });
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('groups versions by title', async () => {
+    await renderResumes();
+
+    const engineer = screen.getByRole('table', { name: 'Engineer versions' });
+    expect(within(engineer).getAllByRole('row')).toHaveLength(3);
+    expect(within(engineer).getByText('v2')).toBeInTheDocument();
+    expect(within(engineer).getByText('React, Node.js')).toBeInTheDocument();
+    expect(within(engineer).getByText('2 KB')).toBeInTheDocument();
+
+    const consultant = screen.getByRole('table', { name: 'Consultant versions' });
+    expect(within(consultant).getByText('consultant.docx')).toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    resumesAPI.getAll.mockResolvedValue({ resumes: [] });
+
+    render(
+      <TestRouter>
+        <Resumes />
+      </TestRouter>
+    );
+
+    expect(await screen.findByText('No resumes uploaded yet')).toBeInTheDocument();
+  });
+
+  it('uploads a new resume', async () => {
+    resumesAPI.upload.mockResolvedValue({ message: 'Resume uploaded successfully' });
+    await renderResumes();
+
+    fireEvent.click(screen.getByText('+ Upload Resume'));
+    const file = new File(['resume'], 'resume.pdf', { type: 'application/pdf' });
+    fireEvent.change(screen.getByLabelText('File (pdf, docx, txt)'), { target: { files: [file] } });
+    fireEvent.change(screen.getByLabelText('Skills Highlighted'), { target: { value: 'SQL, Go' } });
+    fireEvent.click(screen.getByText('Upload'));
+
+    await waitFor(() => {
+      expect(resumesAPI.upload).toHaveBeenCalledWith(file, { title: '', skillsHighlighted: 'SQL, Go', notes: '' });
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Resume uploaded successfully');
+    });
+  });
+
+  it('prefills the title when uploading a new version', async () => {
+    resumesAPI.upload.mockResolvedValue({ message: 'Uploaded version 3 of Engineer' });
+    await renderResumes();
+
+    fireEvent.click(screen.getAllByText('Upload New Version')[0]);
+    expect(screen.getByLabelText('Title')).toHaveValue('Engineer');
+
+    const file = new File(['resume'], 'engineer-v3.pdf', { type: 'application/pdf' });
+    fireEvent.change(screen.getByLabelText('File (pdf, docx, txt)'), { target: { files: [file] } });
+    fireEvent.click(screen.getByText('Upload'));
+
+    await waitFor(() => {
+      expect(resumesAPI.upload).toHaveBeenCalledWith(file, expect.objectContaining({ title: 'Engineer' }));
+    });
+  });
+
+  it('requires a file before uploading', async () => {
+    await renderResumes();
+
+    fireEvent.click(screen.getByText('+ Upload Resume'));
+    fireEvent.click(screen.getByText('Upload'));
+
+    expect(toast.error).toHaveBeenCalledWith('Choose a file to upload');
+    expect(resumesAPI.upload).not.toHaveBeenCalled();
+  });
+
+  it('downloads a version', async () => {
+    const blob = new Blob(['pdf']);
+    resumesAPI.download.mockResolvedValue(blob);
+    window.URL.createObjectURL = jest.fn(() => 'blob:resume');
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    await renderResumes();
+
+    fireEvent.click(screen.getByText('engineer.pdf'));
+
+    await waitFor(() => {
+      expect(resumesAPI.download).toHaveBeenCalledWith('r1');
+    });
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:resume');
+    click.mockRestore();
+  });
+
+  it('makes an older version active', async () => {
+    resumesAPI.update.mockResolvedValue({});
+    await renderResumes();
+
+    fireEvent.click(screen.getByText('Set Active'));
+
+    await waitFor(() => {
+      expect(resumesAPI.update).toHaveBeenCalledWith('r1', { isActive: true });
+    });
+  });
+
+  it('shows the extracted text', async () => {
+    resumesAPI.getById.mockResolvedValue({
+      resume: { ...mockResumes[0], content_summary: 'Jane Doe\nSenior Engineer' },
+    });
+    await renderResumes();
+
+    fireEvent.click(screen.getAllByText('View Text')[0]);
+
+    expect(await screen.findByText(/Senior Engineer/)).toBeInTheDocument();
+    expect(screen.getByText('Engineer (v2)')).toBeInTheDocument();
+  });
+
+  it('deletes a version after confirmation', async () => {
+    resumesAPI.delete.mockResolvedValue({});
+    await renderResumes();
+
+    fireEvent.click(screen.getAllByText('Delete')[1]);
+
+    await waitFor(() => {
+      expect(resumesAPI.delete).toHaveBeenCalledWith('r1');
+    });
+    expect(window.confirm).toHaveBeenCalled();
+  });
+
+  it('shows upload errors from the server', async () => {
+    resumesAPI.upload.mockRejectedValue(new Error('File must be one of: pdf, docx, txt'));
+    await renderResumes();
+
+    fireEvent.click(screen.getByText('+ Upload Resume'));
+    const file = new File(['x'], 'resume.pdf');
+    fireEvent.change(screen.getByLabelText('File (pdf, docx, txt)'), { target: { files: [file] } });
+    fireEvent.click(screen.getByText('Upload'));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to upload resume: File must be one of: pdf, docx, txt');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Sources Component
+ *
+ * Where job postings come from, and how well each channel works: per-source
+ * counts of postings, applications, interviews and offers. The built-in
+ * sources are shared; users add their own (a recruiting agency, a
+ * newsletter) and attach them to postings from the job form.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { sourcesAPI } from '../services/api';
+import { validationConfig } from '../validation';
+import { SOURCE_TYPE_LABELS } from '../utils/jobDescriptionLabels';
+import PageContainer from './PageContainer';
+import './ListPage.css';
+
+const sourceConfig = validationConfig.source;
+
+const EMPTY_SOURCE = {
+  name: '',
+  sourceType: 'other',
+  url: '',
+};
+
+const getErrorMessage = (error, fallback) => {
+  if (error?.data?.errors && Array.isArray(error.data.errors)) {
+    return error.data.errors.map(e => e.msg || e.message || e).join(', ');
+  }
+  return error?.message || fallback;
+};
+
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
+
+const Sources = () => {
+  const [sources, setSources] = useState([]);
+  const [unattributed, setUnattributed] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Create/edit form
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_SOURCE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await sourcesAPI.getEffectiveness();
+      setSources(data.sources || []);
+      setUnattributed(data.unattributed || null);
+    } catch (error) {
+      toast.error('Failed to load sources: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  const handleNew = () => {
+    setFormData(EMPTY_SOURCE);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (source) => {
+    setFormData({
+      name: source.source_name || '',
+      sourceType: source.source_type || 'other',
+      url: source.source_url || '',
+    });
+    setEditingId(source.id);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_SOURCE);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await sourcesAPI.update(editingId, formData);
+        toast.success('Source updated successfully!');
+      } else {
+        await sourcesAPI.create(formData);
+        toast.success('Source created successfully!');
+      }
+      handleCancel();
+      await loadSources();
+    } catch (error) {
+      toast.error('Failed to save source: ' + getErrorMessage(error, 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (source) => {
+    if (!window.confirm(`Delete ${source.source_name}? Its job descriptions will be kept without a source.`)) {
+      return;
+    }
+
+    try {
+      await sourcesAPI.delete(source.id);
+      toast.success('Source deleted successfully!');
+      if (editingId === source.id) handleCancel();
+      await loadSources();
+    } catch (error) {
+      toast.error('Failed to delete source: ' + getErrorMessage(error, 'Unknown error'));
+    }
+  };
+
+  const renderCounts = (counts) => (
+    <>
+      <td>{counts.postings}</td>
+      <td>{counts.applications}</td>
+      <td>{counts.interviews}</td>
+      <td>{counts.offers}</td>
+      <td>{formatPercent(counts.interview_rate)}</td>
+      <td>{formatPercent(counts.offer_rate)}</td>
+    </>
+  );
+
+  return (
+    <PageContainer>
+      <div className="list-page-header">
+        <div>
+          <h1>Sources</h1>
+          <p>Where your job postings come from, and which channels lead to interviews and offers</p>
+        </div>
+        {!showForm && (
+          <button className="btn-primary" onClick={handleNew}>
+            + Add Source
+          </button>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {showForm && (
+        <div className="list-page-panel">
+          <h2>{editingId ? 'Edit Source' : 'Add Source'}</h2>
+          <form aria-label="Source details" onSubmit={handleSubmit}>
+            <div className="list-page-form-grid">
+              <div className="list-page-field">
+                <label htmlFor="source-name">Name</label>
+                <input
+                  id="source-name"
+                  name="name"
+                  required
+                  maxLength={sourceConfig.nameMaxLength}
+                  placeholder="e.g. Hays Recruitment, Frontend Weekly"
+                  value={formData.name}
+                  onChange={handleChange}
+                />
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="source-type">Type</label>
+                <select id="source-type" name="sourceType" value={formData.sourceType} onChange={handleChange}>
+                  {sourceConfig.types.map(type => (
+                    <option key={type} value={type}>{SOURCE_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="list-page-field">
+                <label htmlFor="source-url">URL</label>
+                <input
+                  id="source-url"
+                  name="url"
+                  type="url"
+                  maxLength={sourceConfig.urlMaxLength}
+                  value={formData.url}
+                  onChange={handleChange}
+                />
+              </div>
+            </div>
+            <div className="list-page-actions">
+              <button type="button" className="btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : (editingId ? 'Update Source' : 'Add Source')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="list-page-empty">Loading sources...</div>
+      ) : (
+        <div className="list-page-table-container">
+          <table className="list-page-table" aria-label="Source effectiveness">
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Type</th>
+                <th>Postings</th>
+                <th>Applications</th>
+                <th>Interviews</th>
+                <th>Offers</th>
+                <th>Interview rate</th>
+                <th>Offer rate</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sources.map(source => (
+                <tr key={source.id}>
+                  <td>
+                    {source.postings > 0 ? (
+                      <Link to={`/analyzer?source_id=${source.id}`}>{source.source_name}</Link>
+                    ) : source.source_name}
+                    {source.source_url && (
+                      <div>
+                        <small>
+                          <a href={source.source_url} target="_blank" rel="noopener noreferrer">{source.source_url}</a>
+                        </small>
+                      </div>
+                    )}
+                  </td>
+                  <td>{SOURCE_TYPE_LABELS[source.source_type] || source.source_type}</td>
+                  {renderCounts(source)}
+                  <td>
+                    {source.is_custom ? (
+                      <div className="list-page-row-actions">
+                        <button
+                          className="btn-secondary btn-small"
+                          aria-label={`Edit ${source.source_name}`}
+                          onClick={() => handleEdit(source)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn-danger btn-small"
+                          aria-label={`Delete ${source.source_name}`}
+                          onClick={() => handleDelete(source)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="list-page-badge">Built-in</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {unattributed && unattributed.postings > 0 && (
+                <tr>
+                  <td><em>No source</em></td>
+                  <td>—</td>
+                  {renderCounts(unattributed)}
+                  <td />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Sources;
@@ -0,0 +1,143 @@
+/**
+ * Sources Component Tests
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import Sources from './Sources';
+import { TestRouter } from '../test-utils';
+import { sourcesAPI } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  sourcesAPI: {
+    getEffectiveness: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+jest.mock('react-toastify', () => ({
+  toast: {
+    success: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const linkedIn = {
+  id: 's-1',
+  source_type: 'linkedin',
+  source_name: 'LinkedIn',
+  source_url: null,
+  is_custom: false,
+  postings: 8,
+  applications: 4,
+  interviews: 1,
+  offers: 0,
+  interview_rate: 0.25,
+  offer_rate: 0,
+};
+
+const agency = {
+  id: 's-2',
+  source_type: 'recruiter',
+  source_name: 'Hays Recruitment',
+  source_url: 'https://www.hays.com',
+  is_custom: true,
+  postings: 3,
+  applications: 3,
+  interviews: 2,
+  offers: 1,
+  interview_rate: 0.667,
+  offer_rate: 0.333,
+};
+
+const renderSources = () => render(
+  <TestRouter>
+    <Sources />
+  </TestRouter>
+);
+
+describe('Sources', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourcesAPI.getEffectiveness.mockResolvedValue({
+      sources: [linkedIn, agency],
+      unattributed: { postings: 2, applications: 0, interviews: 0, offers: 0, interview_rate: null, offer_rate: null },
+    });
+  });
+
+  it('shows postings, applications, interviews and offers per source', async () => {
+    renderSources();
+
+    const table = await screen.findByRole('table', { name: 'Source effectiveness' });
+
+    expect(within(table).getByRole('row', { name: /Hays Recruitment/ })).toHaveTextContent('Recruiter332167%33%');
+    expect(within(table).getByRole('link', { name: 'LinkedIn' })).toHaveAttribute('href', '/analyzer?source_id=s-1');
+    expect(within(table).getByRole('row', { name: /No source/ })).toHaveTextContent('2000——');
+    expect(within(table).getByText('Built-in')).toBeInTheDocument();
+    expect(within(table).queryByRole('button', { name: 'Edit LinkedIn' })).not.toBeInTheDocument();
+  });
+
+  it('adds a custom source', async () => {
+    sourcesAPI.create.mockResolvedValue({ message: 'Source created successfully' });
+    renderSources();
+    await screen.findByRole('table', { name: 'Source effectiveness' });
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Source' }));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Frontend Weekly' } });
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'email' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Source' }));
+
+    await waitFor(() => {
+      expect(sourcesAPI.create).toHaveBeenCalledWith({ name: 'Frontend Weekly', sourceType: 'email', url: '' });
+    });
+    await waitFor(() => {
+      expect(toast.success).toHaveBeenCalledWith('Source created successfully!');
+    });
+  });
+
+  it('edits a custom source', async () => {
+    sourcesAPI.update.mockResolvedValue({ message: 'Source updated successfully' });
+    renderSources();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Edit Hays Recruitment' }));
+    expect(screen.getByLabelText('URL')).toHaveValue('https://www.hays.com');
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Hays' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Update Source' }));
+
+    await waitFor(() => {
+      expect(sourcesAPI.update).toHaveBeenCalledWith('s-2', { name: 'Hays', sourceType: 'recruiter', url: 'https://www.hays.com' });
+    });
+  });
+
+  it('deletes a custom source after confirmation', async () => {
+    window.confirm = jest.fn(() => true);
+    sourcesAPI.delete.mockResolvedValue({ message: 'Source deleted successfully' });
+    renderSources();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete Hays Recruitment' }));
+
+    await waitFor(() => {
+      expect(sourcesAPI.delete).toHaveBeenCalledWith('s-2');
+    });
+    await waitFor(() => {
+      expect(sourcesAPI.getEffectiveness).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('reports a rejected name', async () => {
+    sourcesAPI.create.mockRejectedValue(new Error('You already have a source named "LinkedIn"'));
+    renderSources();
+    await screen.findByRole('table', { name: 'Source effectiveness' });
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Source' }));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'LinkedIn' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Source' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Failed to save source: You already have a source named "LinkedIn"');
+    });
+  });
+});
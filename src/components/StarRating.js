@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * StarRating Component
+ *
+ * Displays a 1-5 star rating. When onChange is provided the stars are
+ * clickable; clicking the current rating again clears it (onChange(null)).
+ *
+ * Props:
+ *   - value: Current rating (1-5) or null
+ *   - onChange: Called with the new rating (optional - read-only without it)
+ *   - label: Accessible label prefix (default: 'Rating')
+ */
+const StarRating = ({ value, onChange, label = 'Rating', max = 5 }) => {
+  const stars = Array.from({ length: max }, (_, index) => index + 1);
+
+  return (
+    <span className="star-rating" aria-label={`${label}: ${value || 0} of ${max}`}>
+      {stars.map((star) => (
+        <button
+          key={star}
+          type="button"
+          disabled={!onChange}
+          onClick={() => onChange && onChange(star === value ? null : star)}
+          title={onChange ? `Rate ${star} of ${max}` : undefined}
+          aria-label={`${label} ${star}`}
+        >
+          {value && star <= value ? '★' : '☆'}
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
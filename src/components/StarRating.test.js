@@ -0,0 +1,37 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import StarRating from './StarRating';
+
+describe('StarRating', () => {
+  it('renders filled stars up to the value', () => {
+    render(<StarRating value={3} />);
+
+    const stars = screen.getAllByRole('button');
+    expect(stars).toHaveLength(5);
+    expect(stars.map((star) => star.textContent).join('')).toBe('★★★☆☆');
+  });
+
+  it('is read-only without onChange', () => {
+    render(<StarRating value={2} />);
+
+    screen.getAllByRole('button').forEach((star) => expect(star).toBeDisabled());
+  });
+
+  it('calls onChange with the clicked rating', () => {
+    const onChange = jest.fn();
+    render(<StarRating value={2} onChange={onChange} label="Acme rating" />);
+
+    fireEvent.click(screen.getByLabelText('Acme rating 4'));
+
+    expect(onChange).toHaveBeenCalledWith(4);
+  });
+
+  it('clears the rating when the current value is clicked again', () => {
+    const onChange = jest.fn();
+    render(<StarRating value={2} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText('Rating 2'));
+
+    expect(onChange).toHaveBeenCalledWith(null);
+  });
+});
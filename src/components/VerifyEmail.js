@@ -0,0 +1,77 @@
+/**
+ * VerifyEmail Component
+ *
+ * Landing page for emailed verification links (/verify-email?token=...).
+ * Confirms the address as soon as it opens; works whether or not the user
+ * is logged in. A dead link points logged-in users to request a new one.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import './LoginRegister.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, loading, refreshUser } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens work once, so the request must not be repeated on re-render
+  const requestedToken = useRef(null);
+
+  // Waits for a stored login to load, so a logged-in user's verified state is refreshed
+  useEffect(() => {
+    if (!token || loading || requestedToken.current === token) return;
+    requestedToken.current = token;
+
+    const verify = async () => {
+      try {
+        await authAPI.verifyEmail(token);
+        setStatus('verified');
+        if (isAuthenticated) {
+          await refreshUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error?.message || 'Failed to verify email. Please try again.');
+      }
+    };
+
+    verify();
+  }, [token, loading, isAuthenticated, refreshUser]);
+
+  return (
+    <div>
+      <h2>Verify Email</h2>
+
+      {status === 'verifying' && <p role="status">Verifying your email address...</p>}
+
+      {status === 'verified' && (
+        <>
+          <p className="auth-notice" role="status">Your email address has been verified.</p>
+          <div className="auth-links">
+            {isAuthenticated
+              ? <Link to="/home">Continue to Spexture</Link>
+              : <Link to="/login-register">Log in</Link>}
+          </div>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <p className="auth-notice" role="alert">{message}</p>
+          <div className="auth-links">
+            {isAuthenticated
+              ? <Link to="/profile">Request a new link from your profile</Link>
+              : <Link to="/login-register">Log in to request a new link</Link>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
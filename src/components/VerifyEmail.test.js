@@ -0,0 +1,80 @@
+/**
+ * VerifyEmail Component Tests
+ */
+
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import VerifyEmail from './VerifyEmail';
+import { TestRouter } from '../test-utils';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../services/api', () => ({
+  authAPI: {
+    verifyEmail: jest.fn(),
+  },
+}));
+
+const mockRefreshUser = jest.fn();
+
+const renderVerifyEmail = (path = '/verify-email?token=abc123') => {
+  window.history.pushState({}, '', path);
+  return render(<TestRouter><VerifyEmail /></TestRouter>);
+};
+
+describe('VerifyEmail', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({ isAuthenticated: false, loading: false, refreshUser: mockRefreshUser });
+  });
+
+  it('verifies the token once and offers to log in', async () => {
+    authAPI.verifyEmail.mockResolvedValue({ message: 'Email verified successfully' });
+    const { rerender } = renderVerifyEmail();
+    rerender(<TestRouter><VerifyEmail /></TestRouter>);
+
+    expect(await screen.findByText('Your email address has been verified.')).toBeInTheDocument();
+    expect(authAPI.verifyEmail).toHaveBeenCalledTimes(1);
+    expect(authAPI.verifyEmail).toHaveBeenCalledWith('abc123');
+    expect(screen.getByRole('link', { name: 'Log in' })).toHaveAttribute('href', '/login-register');
+    expect(mockRefreshUser).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a logged-in user once verified', async () => {
+    useAuth.mockReturnValue({ isAuthenticated: true, loading: false, refreshUser: mockRefreshUser });
+    authAPI.verifyEmail.mockResolvedValue({ message: 'Email verified successfully' });
+    renderVerifyEmail();
+
+    await waitFor(() => {
+      expect(mockRefreshUser).toHaveBeenCalled();
+    });
+    expect(screen.getByRole('link', { name: 'Continue to Spexture' })).toBeInTheDocument();
+  });
+
+  it('waits for a stored login to load before verifying', () => {
+    useAuth.mockReturnValue({ isAuthenticated: false, loading: true, refreshUser: mockRefreshUser });
+    renderVerifyEmail();
+
+    expect(screen.getByRole('status')).toHaveTextContent('Verifying your email address...');
+    expect(authAPI.verifyEmail).not.toHaveBeenCalled();
+  });
+
+  it('shows why a link does not work', async () => {
+    authAPI.verifyEmail.mockRejectedValue(new Error('This verification link is invalid or has expired'));
+    renderVerifyEmail();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This verification link is invalid or has expired');
+    expect(screen.getByRole('link', { name: 'Log in to request a new link' })).toBeInTheDocument();
+  });
+
+  it('explains a link without a token', () => {
+    renderVerifyEmail('/verify-email');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('This verification link is incomplete.');
+    expect(authAPI.verifyEmail).not.toHaveBeenCalled();
+  });
+});
@@ -59,6 +59,22 @@ export const AuthProvider = ({ children }) => {
     toast.info('You have been logged out.');
   };
 
+  // Swap in a new token for the current session (after a password change)
+  const replaceToken = (authToken) => {
+    setToken(authToken);
+    localStorage.setItem('token', authToken);
+  };
+
+  // Reload the current user from the server (e.g. after verifying the email)
+  const refreshUser = async () => {
+    try {
+      const response = await authAPI.getCurrentUser();
+      setUser(response.user);
+    } catch (error) {
+      console.error('Failed to refresh user:', error);
+    }
+  };
+
   const updateUser = (updatedUserData) => {
     setUser(updatedUserData);
     toast.success('Profile updated successfully!');
@@ -124,6 +140,8 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateUser,
+    refreshUser,
+    replaceToken,
     // Elevated session for admin operations
     elevatedToken,
     elevatedExpiresAt,
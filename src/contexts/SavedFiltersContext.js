@@ -0,0 +1,46 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { savedFiltersAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+
+/**
+ * The signed-in user's saved job list filters, shared by the sidebar (which
+ * lists them as smart views) and the analyzer (which saves and deletes them).
+ * Without a provider there are no saved filters, so components that only
+ * show them still render on their own.
+ */
+const SavedFiltersContext = createContext({
+  savedFilters: [],
+  reloadSavedFilters: async () => {},
+});
+
+export const useSavedFilters = () => useContext(SavedFiltersContext);
+
+export const SavedFiltersProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [savedFilters, setSavedFilters] = useState([]);
+
+  const reloadSavedFilters = useCallback(async () => {
+    try {
+      const data = await savedFiltersAPI.getAll();
+      setSavedFilters(data.savedFilters || []);
+    } catch (error) {
+      console.error('Failed to load saved filters:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      reloadSavedFilters();
+    } else {
+      setSavedFilters([]);
+    }
+  }, [isAuthenticated, reloadSavedFilters]);
+
+  return (
+    <SavedFiltersContext.Provider value={{ savedFilters, reloadSavedFilters }}>
+      {children}
+    </SavedFiltersContext.Provider>
+  );
+};
+
+export default SavedFiltersContext;
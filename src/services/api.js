@@ -134,6 +134,43 @@ const request = async (endpoint, options = {}, retryCount = 0) => {
   }
 };
 
+/**
+ * Send multipart form data (file uploads)
+ * The browser sets the multipart Content-Type header, so only auth is added.
+ */
+const sendFormData = async (endpoint, formData, method = 'POST') => {
+  const token = getToken();
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: formData,
+    });
+    return await handleResponse(response);
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    throw new APIError(
+      'Network error: Unable to connect to server. Please check your connection.',
+      0,
+      { originalError: error.message }
+    );
+  }
+};
+
+/**
+ * Download a file as a Blob (authenticated)
+ */
+const downloadFile = async (endpoint) => {
+  const token = getToken();
+  const response = await fetch(`${API_URL}${endpoint}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  if (!response.ok) {
+    await handleResponse(response);
+  }
+  return response.blob();
+};
+
 /**
  * Authentication API
  */
@@ -175,6 +212,58 @@ export const authAPI = {
   getCurrentUser: async () => {
     return request('/users/me');
   },
+
+  /**
+   * Request a password reset link by email
+   * The response is the same whether or not the account exists.
+   * @param {string} email - Account email address
+   * @returns {Promise<{message: string}>}
+   */
+  forgotPassword: async (email) => {
+    return request('/auth/forgot-password', {
+      method: 'POST',
+      includeAuth: false,
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  /**
+   * Set a new password with the token from a reset link
+   * @param {string} token - Token from the emailed link
+   * @param {string} password - New password
+   * @returns {Promise<{message: string}>}
+   */
+  resetPassword: async (token, password) => {
+    return request('/auth/reset-password', {
+      method: 'POST',
+      includeAuth: false,
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  /**
+   * Confirm an email address with the token from a verification link
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<{message: string}>}
+   */
+  verifyEmail: async (token) => {
+    return request('/auth/verify-email', {
+      method: 'POST',
+      includeAuth: false,
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  /**
+   * Email the current user a new verification link
+   * Fails with status 429 while the previous link is recent.
+   * @returns {Promise<{message: string}>}
+   */
+  resendVerification: async () => {
+    return request('/auth/resend-verification', {
+      method: 'POST',
+    });
+  },
 };
 
 /**
@@ -220,6 +309,20 @@ export const usersAPI = {
       method: 'DELETE',
     });
   },
+
+  /**
+   * Change the current user's password
+   * Other sessions are signed out; the returned token replaces this session's.
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<{message: string, token: string}>}
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    return request('/users/me/password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  },
 };
 
 /**
@@ -242,10 +345,12 @@ export const healthAPI = {
 export const jobDescriptionsAPI = {
   /**
    * Get all job descriptions for current user
+   * @param {Object} params - Query parameters (min_annual_rate, max_annual_rate, engagement_type, rate_unit, sort_by, sort_order)
    * @returns {Promise<{jobDescriptions: Array}>}
    */
-  getAll: async () => {
-    return request('/job-descriptions');
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/job-descriptions${queryString ? `?${queryString}` : ''}`);
   },
 
   /**
@@ -258,9 +363,166 @@ export const jobDescriptionsAPI = {
   },
 
   /**
-   * Create new job description
+   * Analyze a saved job description
+   * @param {string} id - Job description ID
+   * @returns {Promise<{analysis: Object}>} Top skills, required vs nice-to-have, experience and seniority
+   */
+  getAnalysis: async (id) => {
+    return request(`/job-descriptions/${id}/analysis`);
+  },
+
+  /**
+   * Score every resume version against a job description
+   * @param {string} id - Job description ID
+   * @returns {Promise<{keywords: Array, matches: Array, recommendedResumeId: string|null}>} Best match first
+   */
+  getResumeMatches: async (id) => {
+    return request(`/job-descriptions/${id}/resume-matches`);
+  },
+
+  /**
+   * Get a job description's pipeline status changes
+   * @param {string} id - Job description ID
+   * @returns {Promise<{history: Array}>} Oldest change first
+   */
+  getStatusHistory: async (id) => {
+    return request(`/job-descriptions/${id}/status-history`);
+  },
+
+  /**
+   * Get a job description's timeline: status changes, notes, contacts and documents sent
+   * @param {string} id - Job description ID
+   * @returns {Promise<{jobDescriptionId: string, events: Array}>} Newest event first
+   */
+  getTimeline: async (id) => {
+    return request(`/job-descriptions/${id}/timeline`);
+  },
+
+  /**
+   * Add a note, contact or document sent to a job description's timeline
+   * @param {string} id - Job description ID
+   * @param {Object} eventData - { eventType, description, occurredAt, contactMethod, contactName, document }
+   * @returns {Promise<{message: string, event: Object}>}
+   */
+  addEvent: async (id, eventData) => {
+    return request(`/job-descriptions/${id}/events`, {
+      method: 'POST',
+      body: JSON.stringify(eventData),
+    });
+  },
+
+  /**
+   * Remove a note, contact or document sent from a job description's timeline
+   * @param {string} id - Job description ID
+   * @param {string} eventId - Event ID
+   * @returns {Promise<{message: string}>}
+   */
+  deleteEvent: async (id, eventId) => {
+    return request(`/job-descriptions/${id}/events/${eventId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Move a job description to another pipeline status
+   * Illegal moves are rejected with the list of allowed statuses.
+   * @param {string} id - Job description ID
+   * @param {string} status - New status
+   * @param {string} [note] - Optional note recorded with the change
+   * @returns {Promise<{message: string, jobDescription: Object}>}
+   */
+  updateStatus: async (id, status, note) => {
+    return request(`/job-descriptions/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, note }),
+    });
+  },
+
+  /**
+   * Mark a flagged job description as not a duplicate
+   * @param {string} id - Flagged job description ID
+   * @returns {Promise<{message: string, jobDescription: Object}>}
+   */
+  dismissDuplicate: async (id) => {
+    return request(`/job-descriptions/${id}/dismiss-duplicate`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Merge a flagged job description into the one it duplicates (the flagged one is deleted)
+   * @param {string} id - Flagged job description ID
+   * @returns {Promise<{message: string, jobDescription: Object}>} The surviving job description
+   */
+  mergeDuplicate: async (id) => {
+    return request(`/job-descriptions/${id}/merge-duplicate`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Extract analyzer form fields from a pasted posting; nothing is saved
+   * @param {string} content - Posting as plain text or HTML
+   * @returns {Promise<{extracted: Object}>} camelCase form fields that were found
+   */
+  extract: async (content) => {
+    return request('/job-descriptions/extract', {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  /**
+   * Import saved job posting pages; each one is saved as a job description
+   * @param {FileList|Array<File>} files - Saved .html pages
+   * @returns {Promise<{message: string, imported: Array<Object>, failed: Array<{fileName: string, error: string}>}>}
+   */
+  importPages: async (files) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('files', file));
+    return sendFormData('/job-descriptions/import', formData);
+  },
+
+  /**
+   * Preview a CSV or JSON import: columns, mapping, first rows and per-row errors
+   * @param {File} file - .csv or .json file
+   * @param {Object} mapping - Optional file column -> field name; suggested from the column names when omitted
+   * @returns {Promise<{format: string, columns: Array<string>, mapping: Object, fields: Array, rowCount: number, rows: Array, errors: Array}>}
+   */
+  previewBulkImport: async (file, mapping) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    return sendFormData('/job-descriptions/bulk-import/preview', formData);
+  },
+
+  /**
+   * Import every row of a CSV or JSON file; nothing is saved if any row is invalid
+   * @param {File} file - .csv or .json file
+   * @param {Object} mapping - File column -> field name
+   * @returns {Promise<{message: string, count: number, ids: Array<string>}>}
+   */
+  bulkImport: async (file, mapping) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    return sendFormData('/job-descriptions/bulk-import', formData);
+  },
+
+  /**
+   * Download job descriptions as CSV or JSON
+   * @param {Object} params - format ('csv' or 'json') plus the getAll filters and sort
+   * @returns {Promise<Blob>}
+   */
+  export: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return downloadFile(`/job-descriptions/export${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Create new job description (the response includes its analysis)
    * @param {Object} jobData - Job description data
-   * @returns {Promise<{jobDescription: Object}>}
+   * @returns {Promise<{jobDescription: Object, analysis: Object}>}
    */
   create: async (jobData) => {
     return request('/job-descriptions', {
@@ -270,10 +532,10 @@ export const jobDescriptionsAPI = {
   },
 
   /**
-   * Update job description
+   * Update job description (the response includes its analysis)
    * @param {string} id - Job description ID
    * @param {Object} jobData - Updated job description data
-   * @returns {Promise<{jobDescription: Object}>}
+   * @returns {Promise<{jobDescription: Object, analysis: Object}>}
    */
   update: async (id, jobData) => {
     return request(`/job-descriptions/${id}`, {
@@ -294,11 +556,727 @@ export const jobDescriptionsAPI = {
   },
 };
 
+/**
+ * Companies API
+ */
+export const companiesAPI = {
+  /**
+   * List companies for current user
+   * @param {Object} params - Query parameters (search, company_size, min_rating, sort_by, sort_order, page, limit)
+   * @returns {Promise<{companies: Array, pagination: Object}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/companies${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get company by ID with its linked job descriptions
+   * @param {string} id - Company ID
+   * @returns {Promise<{company: Object, jobDescriptions: Array}>}
+   */
+  getById: async (id) => {
+    return request(`/companies/${id}`);
+  },
+
+  /**
+   * Create new company
+   * @param {Object} companyData - Company data
+   * @returns {Promise<{company: Object}>}
+   */
+  create: async (companyData) => {
+    return request('/companies', {
+      method: 'POST',
+      body: JSON.stringify(companyData),
+    });
+  },
+
+  /**
+   * Update company
+   * @param {string} id - Company ID
+   * @param {Object} companyData - Updated company data
+   * @returns {Promise<{company: Object}>}
+   */
+  update: async (id, companyData) => {
+    return request(`/companies/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(companyData),
+    });
+  },
+
+  /**
+   * Merge duplicate companies into the given company
+   * @param {string} id - ID of the company to keep
+   * @param {Array<string>} mergeIds - IDs of the companies to merge and delete
+   * @returns {Promise<{company: Object, moved: Object}>}
+   */
+  merge: async (id, mergeIds) => {
+    return request(`/companies/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ mergeIds }),
+    });
+  },
+
+  /**
+   * Delete company
+   * @param {string} id - Company ID
+   * @returns {Promise<{success: boolean}>}
+   */
+  delete: async (id) => {
+    return request(`/companies/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Recruiters API
+ */
+export const recruitersAPI = {
+  /**
+   * List recruiters for current user
+   * @param {Object} params - Query parameters (search, recruiter_type, company_id, is_active, sort_by, sort_order, page, limit)
+   * @returns {Promise<{recruiters: Array, pagination: Object}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/recruiters${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get recruiter by ID with the job descriptions that came through them
+   * @param {string} id - Recruiter ID
+   * @returns {Promise<{recruiter: Object, jobDescriptions: Array}>}
+   */
+  getById: async (id) => {
+    return request(`/recruiters/${id}`);
+  },
+
+  /**
+   * Create new recruiter
+   * @param {Object} recruiterData - Recruiter data
+   * @returns {Promise<{recruiter: Object}>}
+   */
+  create: async (recruiterData) => {
+    return request('/recruiters', {
+      method: 'POST',
+      body: JSON.stringify(recruiterData),
+    });
+  },
+
+  /**
+   * Update recruiter
+   * @param {string} id - Recruiter ID
+   * @param {Object} recruiterData - Updated recruiter data (e.g. { isActive: false })
+   * @returns {Promise<{recruiter: Object}>}
+   */
+  update: async (id, recruiterData) => {
+    return request(`/recruiters/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(recruiterData),
+    });
+  },
+
+  /**
+   * Delete recruiter
+   * @param {string} id - Recruiter ID
+   * @returns {Promise<{success: boolean}>}
+   */
+  delete: async (id) => {
+    return request(`/recruiters/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Resumes API
+ */
+export const resumesAPI = {
+  /**
+   * List every resume version for current user (newest version first per title)
+   * @returns {Promise<{resumes: Array}>}
+   */
+  getAll: async () => {
+    return request('/resumes');
+  },
+
+  /**
+   * Get resume version by ID, including its extracted text
+   * @param {string} id - Resume ID
+   * @returns {Promise<{resume: Object}>}
+   */
+  getById: async (id) => {
+    return request(`/resumes/${id}`);
+  },
+
+  /**
+   * Upload a resume file. Reusing an existing title creates its next version.
+   * @param {File} file - pdf, docx, or txt file
+   * @param {Object} fields - Optional title, notes, skillsHighlighted
+   * @returns {Promise<{message: string, resume: Object}>}
+   */
+  upload: async (file, fields = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        formData.append(key, value);
+      }
+    });
+    return sendFormData('/resumes', formData);
+  },
+
+  /**
+   * Download the original uploaded file
+   * @param {string} id - Resume ID
+   * @returns {Promise<Blob>}
+   */
+  download: async (id) => {
+    return downloadFile(`/resumes/${id}/download`);
+  },
+
+  /**
+   * Update resume version (notes, skillsHighlighted, isActive)
+   * @param {string} id - Resume ID
+   * @param {Object} resumeData - Updated resume data
+   * @returns {Promise<{resume: Object}>}
+   */
+  update: async (id, resumeData) => {
+    return request(`/resumes/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(resumeData),
+    });
+  },
+
+  /**
+   * Delete resume version and its file
+   * @param {string} id - Resume ID
+   * @returns {Promise<{success: boolean}>}
+   */
+  delete: async (id) => {
+    return request(`/resumes/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Cover Letters API
+ */
+export const coverLettersAPI = {
+  /**
+   * List cover letters for current user
+   * @param {Object} params - Query parameters (is_template: 'true' | 'false')
+   * @returns {Promise<{coverLetters: Array}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/cover-letters${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get cover letter or template by ID
+   * @param {string} id - Cover letter ID
+   * @returns {Promise<{coverLetter: Object}>}
+   */
+  getById: async (id) => {
+    return request(`/cover-letters/${id}`);
+  },
+
+  /**
+   * List the placeholders templates can use
+   * @returns {Promise<{placeholders: Array<{placeholder: string, description: string}>}>}
+   */
+  getPlaceholders: async () => {
+    return request('/cover-letters/placeholders');
+  },
+
+  /**
+   * Create new cover letter or template
+   * @param {Object} coverLetterData - { title, content, notes, isTemplate }
+   * @returns {Promise<{coverLetter: Object}>}
+   */
+  create: async (coverLetterData) => {
+    return request('/cover-letters', {
+      method: 'POST',
+      body: JSON.stringify(coverLetterData),
+    });
+  },
+
+  /**
+   * Generate a new cover letter from a template and a saved job description
+   * @param {string} templateId - Template ID
+   * @param {string} jobDescriptionId - Job description ID
+   * @returns {Promise<{coverLetter: Object, unresolved: Array<string>}>}
+   */
+  generate: async (templateId, jobDescriptionId) => {
+    return request(`/cover-letters/${templateId}/generate`, {
+      method: 'POST',
+      body: JSON.stringify({ jobDescriptionId }),
+    });
+  },
+
+  /**
+   * Update cover letter or template
+   * @param {string} id - Cover letter ID
+   * @param {Object} coverLetterData - Updated data
+   * @returns {Promise<{coverLetter: Object}>}
+   */
+  update: async (id, coverLetterData) => {
+    return request(`/cover-letters/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(coverLetterData),
+    });
+  },
+
+  /**
+   * Delete cover letter or template
+   * @param {string} id - Cover letter ID
+   * @returns {Promise<{success: boolean}>}
+   */
+  delete: async (id) => {
+    return request(`/cover-letters/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+export const interviewsAPI = {
+  /**
+   * List interviews for current user, soonest first
+   * @param {Object} params - Query parameters (job_description_id, from, to, outcome, upcoming)
+   * @returns {Promise<{interviews: Array}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/interviews${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get interview by ID with its interviewers
+   * @param {string} id - Interview ID
+   * @returns {Promise<{interview: Object}>}
+   */
+  getById: async (id) => {
+    return request(`/interviews/${id}`);
+  },
+
+  /**
+   * Schedule an interview (without a round, it becomes the job's next round)
+   * @param {Object} interviewData - Interview data (jobDescriptionId, interviewerIds, ...)
+   * @returns {Promise<{message: string, interview: Object}>}
+   */
+  create: async (interviewData) => {
+    return request('/interviews', {
+      method: 'POST',
+      body: JSON.stringify(interviewData),
+    });
+  },
+
+  /**
+   * Update interview (sending interviewerIds replaces the interviewers)
+   * @param {string} id - Interview ID
+   * @param {Object} interviewData - Updated data
+   * @returns {Promise<{message: string, interview: Object}>}
+   */
+  update: async (id, interviewData) => {
+    return request(`/interviews/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(interviewData),
+    });
+  },
+
+  /**
+   * Delete interview
+   * @param {string} id - Interview ID
+   * @returns {Promise<{message: string}>}
+   */
+  delete: async (id) => {
+    return request(`/interviews/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+export const calendarAPI = {
+  /**
+   * Whether the current user's calendar feed link is turned on
+   * @returns {Promise<{feed: {enabled: boolean, createdAt: string|null}}>}
+   */
+  getFeed: async () => {
+    return request('/calendar/feed');
+  },
+
+  /**
+   * Create a new feed link (replaces any previous link)
+   * @returns {Promise<{message: string, feedUrl: string, feed: Object}>}
+   */
+  createFeed: async () => {
+    return request('/calendar/feed', {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Turn the calendar feed off
+   * @returns {Promise<{message: string}>}
+   */
+  deleteFeed: async () => {
+    return request('/calendar/feed', {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Download one interview as an .ics file
+   * @param {string} id - Interview ID
+   * @returns {Promise<Blob>}
+   */
+  downloadInterview: async (id) => {
+    return downloadFile(`/calendar/interviews/${id}.ics`);
+  },
+
+  /**
+   * Download a job description's application deadline as an .ics file
+   * @param {string} jobDescriptionId - Job description ID
+   * @returns {Promise<Blob>}
+   */
+  downloadDeadline: async (jobDescriptionId) => {
+    return downloadFile(`/calendar/job-descriptions/${jobDescriptionId}/deadline.ics`);
+  },
+};
+
+export const offersAPI = {
+  /**
+   * List offers for current user, newest first
+   * @param {Object} params - Query parameters (job_description_id)
+   * @returns {Promise<{offers: Array}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/offers${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Compare open jobs at the offer stage, each with annualized compensation
+   * @returns {Promise<{comparison: Array<{jobDescription: Object, offer: Object|null, compensation: Object}>}>}
+   */
+  getComparison: async () => {
+    return request('/offers/comparison');
+  },
+
+  /**
+   * Get offer by ID
+   * @param {string} id - Offer ID
+   * @returns {Promise<{offer: Object}>}
+   */
+  getById: async (id) => {
+    return request(`/offers/${id}`);
+  },
+
+  /**
+   * Record an offer for a job description
+   * @param {Object} offerData - Offer data (jobDescriptionId, baseSalary, payPeriod, ...)
+   * @returns {Promise<{message: string, offer: Object}>}
+   */
+  create: async (offerData) => {
+    return request('/offers', {
+      method: 'POST',
+      body: JSON.stringify(offerData),
+    });
+  },
+
+  /**
+   * Update offer
+   * @param {string} id - Offer ID
+   * @param {Object} offerData - Updated data
+   * @returns {Promise<{message: string, offer: Object}>}
+   */
+  update: async (id, offerData) => {
+    return request(`/offers/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(offerData),
+    });
+  },
+
+  /**
+   * Delete offer
+   * @param {string} id - Offer ID
+   * @returns {Promise<{message: string}>}
+   */
+  delete: async (id) => {
+    return request(`/offers/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Saved Filters API
+ */
+export const savedFiltersAPI = {
+  /**
+   * List the current user's saved job list filters (smart views) by name
+   * @returns {Promise<{savedFilters: Array<{id: string, name: string, filters: Object}>}>}
+   */
+  getAll: async () => {
+    return request('/saved-filters');
+  },
+
+  /**
+   * Save a named job list filter
+   * @param {Object} savedFilterData - { name, filters } where filters are job list query parameters
+   * @returns {Promise<{message: string, savedFilter: Object}>}
+   */
+  create: async (savedFilterData) => {
+    return request('/saved-filters', {
+      method: 'POST',
+      body: JSON.stringify(savedFilterData),
+    });
+  },
+
+  /**
+   * Rename a saved filter and/or replace its filters
+   * @param {string} id - Saved filter ID
+   * @param {Object} savedFilterData - { name?, filters? }
+   * @returns {Promise<{message: string, savedFilter: Object}>}
+   */
+  update: async (id, savedFilterData) => {
+    return request(`/saved-filters/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(savedFilterData),
+    });
+  },
+
+  /**
+   * Delete a saved filter
+   * @param {string} id - Saved filter ID
+   * @returns {Promise<{message: string}>}
+   */
+  delete: async (id) => {
+    return request(`/saved-filters/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Sources API
+ */
+export const sourcesAPI = {
+  /**
+   * List where job descriptions can come from (LinkedIn, referrals, ...)
+   * @returns {Promise<{sources: Array<{id: string, source_type: string, source_name: string, is_custom: boolean}>}>}
+   */
+  getAll: async () => {
+    return request('/sources');
+  },
+
+  /**
+   * Per-source counts of postings, applications, interviews and offers
+   * @returns {Promise<{sources: Array, unattributed: Object}>} Most postings first; unattributed covers postings without a source
+   */
+  getEffectiveness: async () => {
+    return request('/sources/effectiveness');
+  },
+
+  /**
+   * Add a custom source (a recruiting agency, a newsletter, ...)
+   * @param {Object} sourceData - { name, sourceType, url }
+   * @returns {Promise<{message: string, source: Object}>}
+   */
+  create: async (sourceData) => {
+    return request('/sources', {
+      method: 'POST',
+      body: JSON.stringify(sourceData),
+    });
+  },
+
+  /**
+   * Update one of the user's custom sources
+   * @param {string} id - Source ID
+   * @param {Object} sourceData - Fields to change
+   * @returns {Promise<{message: string, source: Object}>}
+   */
+  update: async (id, sourceData) => {
+    return request(`/sources/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(sourceData),
+    });
+  },
+
+  /**
+   * Delete one of the user's custom sources; its postings keep no source
+   * @param {string} id - Source ID
+   * @returns {Promise<{message: string}>}
+   */
+  delete: async (id) => {
+    return request(`/sources/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Search API
+ */
+export const searchAPI = {
+  /**
+   * Full-text search across the user's job descriptions, companies and recruiters
+   * @param {string} q - Search text (quoted phrases, OR and -exclude are supported)
+   * @param {Object} params - Query parameters (types, limit)
+   * @returns {Promise<{query: string, results: Object<string, {total: number, items: Array}>}>}
+   */
+  search: async (q, params = {}) => {
+    const queryString = new URLSearchParams({ q, ...params }).toString();
+    return request(`/search?${queryString}`);
+  },
+};
+
+/**
+ * Reminders API
+ */
+export const remindersAPI = {
+  /**
+   * List reminders for current user, soonest first
+   * @param {Object} params - Query parameters (status, job_description_id, interview_id, recruiter_id)
+   * @returns {Promise<{reminders: Array}>}
+   */
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/reminders${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Create a follow-up reminder
+   * @param {Object} reminderData - { title, dueAt, notes?, jobDescriptionId?, interviewId?, recruiterId? }
+   * @returns {Promise<{message: string, reminder: Object}>}
+   */
+  create: async (reminderData) => {
+    return request('/reminders', {
+      method: 'POST',
+      body: JSON.stringify(reminderData),
+    });
+  },
+
+  /**
+   * Update a reminder (a new dueAt reschedules it)
+   * @param {string} id - Reminder ID
+   * @param {Object} reminderData - Fields to change
+   * @returns {Promise<{message: string, reminder: Object}>}
+   */
+  update: async (id, reminderData) => {
+    return request(`/reminders/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(reminderData),
+    });
+  },
+
+  /**
+   * Delete a reminder
+   * @param {string} id - Reminder ID
+   * @returns {Promise<{message: string}>}
+   */
+  delete: async (id) => {
+    return request(`/reminders/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Notifications API
+ */
+export const notificationsAPI = {
+  /**
+   * List due reminders, most recently due first, with the unread count
+   * @returns {Promise<{notifications: Array, unreadCount: number}>}
+   */
+  getAll: async () => {
+    return request('/notifications');
+  },
+
+  /**
+   * Mark one notification as read
+   * @param {string} id - Reminder ID
+   * @returns {Promise<{message: string}>}
+   */
+  markRead: async (id) => {
+    return request(`/notifications/${id}/read`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Mark every unread notification as read
+   * @returns {Promise<{message: string, updated: number}>}
+   */
+  markAllRead: async () => {
+    return request('/notifications/read-all', {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Snooze a notification until a later time
+   * @param {string} id - Reminder ID
+   * @param {string} until - ISO date and time in the future
+   * @returns {Promise<{message: string}>}
+   */
+  snooze: async (id, until) => {
+    return request(`/notifications/${id}/snooze`, {
+      method: 'POST',
+      body: JSON.stringify({ until }),
+    });
+  },
+
+  /**
+   * Complete a notification's reminder
+   * @param {string} id - Reminder ID
+   * @returns {Promise<{message: string}>}
+   */
+  complete: async (id) => {
+    return request(`/notifications/${id}/complete`, {
+      method: 'POST',
+    });
+  },
+};
+
+/**
+ * Analytics API
+ */
+export const analyticsAPI = {
+  /**
+   * Job search analytics: pipeline funnel, response rate by source, median
+   * time in each status, applications per week and annual rate distribution
+   * @param {Object} params - Query parameters (weeks)
+   * @returns {Promise<{totals: Object, funnel: Array, sources: Array, timeInStage: Array, applicationsPerWeek: Array, rates: Object}>}
+   */
+  get: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return request(`/analytics${queryString ? `?${queryString}` : ''}`);
+  },
+};
+
 const api = {
   authAPI,
   usersAPI,
   healthAPI,
   jobDescriptionsAPI,
+  companiesAPI,
+  recruitersAPI,
+  resumesAPI,
+  coverLettersAPI,
+  interviewsAPI,
+  calendarAPI,
+  offersAPI,
+  savedFiltersAPI,
+  sourcesAPI,
+  searchAPI,
+  remindersAPI,
+  notificationsAPI,
+  analyticsAPI,
   APIError,
 };
 
@@ -153,6 +153,100 @@ describe('API Service', () => {
         ).rejects.toThrow('Invalid email or password');
       });
     });
+
+    describe('forgotPassword', () => {
+      it('should request a reset link for the email', async () => {
+        const mockResponse = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockResponse,
+        });
+
+        const result = await authAPI.forgotPassword('john@example.com');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/auth/forgot-password'),
+          expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ email: 'john@example.com' }),
+          })
+        );
+        expect(result).toEqual(mockResponse);
+      });
+    });
+
+    describe('resetPassword', () => {
+      it('should send the token and new password', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ message: 'Password reset successfully' }),
+        });
+
+        await authAPI.resetPassword('reset-token', 'NewPassw0rd!');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/auth/reset-password'),
+          expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ token: 'reset-token', password: 'NewPassw0rd!' }),
+          })
+        );
+      });
+
+      it('should surface invalid or expired tokens', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          json: async () => ({ error: 'This password reset link is invalid or has expired' }),
+        });
+
+        await expect(
+          authAPI.resetPassword('used-token', 'NewPassw0rd!')
+        ).rejects.toThrow('This password reset link is invalid or has expired');
+      });
+    });
+
+    describe('verifyEmail', () => {
+      it('should send the verification token', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ message: 'Email verified successfully' }),
+        });
+
+        await authAPI.verifyEmail('verify-token');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/auth/verify-email'),
+          expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ token: 'verify-token' }),
+          })
+        );
+      });
+    });
+
+    describe('resendVerification', () => {
+      it('should request a new link for the current user', async () => {
+        localStorage.getItem.mockReturnValue('mock-jwt-token');
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ message: 'Verification email sent' }),
+        });
+
+        await authAPI.resendVerification();
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/auth/resend-verification'),
+          expect.objectContaining({
+            method: 'POST',
+            headers: expect.objectContaining({
+              Authorization: 'Bearer mock-jwt-token',
+            }),
+          })
+        );
+      });
+    });
   });
 
   describe('usersAPI', () => {
@@ -285,6 +379,34 @@ describe('API Service', () => {
       });
     });
 
+    describe('changePassword', () => {
+      it('should send the current and new password', async () => {
+        const mockResponse = {
+          message: 'Password changed successfully',
+          token: 'fresh-token',
+        };
+
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockResponse,
+        });
+
+        const result = await usersAPI.changePassword('OldPassw0rd!', 'NewPassw0rd!');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/users/me/password'),
+          expect.objectContaining({
+            method: 'PUT',
+            body: JSON.stringify({ currentPassword: 'OldPassw0rd!', newPassword: 'NewPassw0rd!' }),
+            headers: expect.objectContaining({
+              Authorization: 'Bearer mock-jwt-token',
+            }),
+          })
+        );
+        expect(result).toEqual(mockResponse);
+      });
+    });
+
     describe('delete', () => {
       it('should delete user', async () => {
         const mockResponse = {
@@ -619,6 +741,23 @@ describe('API Service', () => {
         );
         expect(result).toEqual(mockJDs);
       });
+
+      it('should pass rate filters and sorting as query parameters', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ jobDescriptions: [] }),
+        });
+
+        await require('./api').jobDescriptionsAPI.getAll({
+          min_annual_rate: 150000,
+          sort_by: 'effective_annual_rate',
+        });
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions?min_annual_rate=150000&sort_by=effective_annual_rate'),
+          expect.any(Object)
+        );
+      });
     });
 
     describe('getById', () => {
@@ -640,6 +779,236 @@ describe('API Service', () => {
       });
     });
 
+    describe('getAnalysis', () => {
+      it('should get the analysis of a job description', async () => {
+        const mockAnalysis = { analysis: { keywords: ['React'], required: ['React'], niceToHave: [] } };
+
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockAnalysis,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.getAnalysis('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/analysis'),
+          expect.any(Object)
+        );
+        expect(result).toEqual(mockAnalysis);
+      });
+    });
+
+    describe('getResumeMatches', () => {
+      it('should get resume matches for a job description', async () => {
+        const mockMatches = { keywords: ['React'], matches: [], recommendedResumeId: null };
+
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockMatches,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.getResumeMatches('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/resume-matches'),
+          expect.any(Object)
+        );
+        expect(result).toEqual(mockMatches);
+      });
+    });
+
+    describe('duplicates', () => {
+      it('should dismiss a duplicate flag', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ message: 'Duplicate dismissed' }),
+        });
+
+        await require('./api').jobDescriptionsAPI.dismissDuplicate('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/dismiss-duplicate'),
+          expect.objectContaining({ method: 'POST' })
+        );
+      });
+
+      it('should merge a duplicate into the original', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ message: 'Merged into Job 1', jobDescription: { id: '2' } }),
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.mergeDuplicate('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/merge-duplicate'),
+          expect.objectContaining({ method: 'POST' })
+        );
+        expect(result.jobDescription.id).toBe('2');
+      });
+    });
+
+    describe('status', () => {
+      it('should patch the status with an optional note', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ jobDescription: { id: '1', status: 'applied' } }),
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.updateStatus('1', 'applied', 'Sent resume');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/status'),
+          expect.objectContaining({
+            method: 'PATCH',
+            body: JSON.stringify({ status: 'applied', note: 'Sent resume' }),
+          })
+        );
+        expect(result.jobDescription.status).toBe('applied');
+      });
+
+      it('should fetch the status history', async () => {
+        const mockHistory = { history: [{ from_status: 'saved', to_status: 'applied' }] };
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockHistory,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.getStatusHistory('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/status-history'),
+          expect.any(Object)
+        );
+        expect(result).toEqual(mockHistory);
+      });
+    });
+
+    describe('timeline', () => {
+      it('should fetch the timeline', async () => {
+        const mockTimeline = { jobDescriptionId: '1', events: [{ id: 'e1', event_type: 'note' }] };
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockTimeline,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.getTimeline('1');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/1/timeline'),
+          expect.any(Object)
+        );
+        expect(result).toEqual(mockTimeline);
+      });
+
+      it('should add and delete events', async () => {
+        fetch
+          .mockResolvedValueOnce({ ok: true, json: async () => ({ event: { id: 'e1' } }) })
+          .mockResolvedValueOnce({ ok: true, json: async () => ({ message: 'Event deleted successfully' }) });
+
+        const eventData = { eventType: 'note', description: 'Follow up Friday' };
+        await require('./api').jobDescriptionsAPI.addEvent('1', eventData);
+        await require('./api').jobDescriptionsAPI.deleteEvent('1', 'e1');
+
+        expect(fetch).toHaveBeenNthCalledWith(
+          1,
+          expect.stringContaining('/job-descriptions/1/events'),
+          expect.objectContaining({ method: 'POST', body: JSON.stringify(eventData) })
+        );
+        expect(fetch).toHaveBeenNthCalledWith(
+          2,
+          expect.stringContaining('/job-descriptions/1/events/e1'),
+          expect.objectContaining({ method: 'DELETE' })
+        );
+      });
+    });
+
+    describe('extract', () => {
+      it('should post the pasted posting', async () => {
+        const mockResponse = { extracted: { jobTitle: 'Software Engineer' } };
+
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => mockResponse,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.extract('Software Engineer\nAcme');
+
+        expect(fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/job-descriptions/extract'),
+          expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ content: 'Software Engineer\nAcme' }),
+          })
+        );
+        expect(result).toEqual(mockResponse);
+      });
+    });
+
+    describe('importPages', () => {
+      it('should upload every page as multipart form data', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ imported: [], failed: [] }),
+        });
+        const pages = [
+          new File(['<html></html>'], 'one.html', { type: 'text/html' }),
+          new File(['<html></html>'], 'two.html', { type: 'text/html' }),
+        ];
+
+        await require('./api').jobDescriptionsAPI.importPages(pages);
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toContain('/job-descriptions/import');
+        expect(options.method).toBe('POST');
+        expect(options.body).toBeInstanceOf(FormData);
+        expect(options.body.getAll('files').map((file) => file.name)).toEqual(['one.html', 'two.html']);
+      });
+    });
+
+    describe('bulk import and export', () => {
+      it('should send the file and mapping for a preview', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ rows: [], errors: [] }),
+        });
+        const file = new File(['Title\nEngineer'], 'search.csv', { type: 'text/csv' });
+
+        await require('./api').jobDescriptionsAPI.previewBulkImport(file, { Title: 'jobTitle' });
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toContain('/job-descriptions/bulk-import/preview');
+        expect(options.body.get('file').name).toBe('search.csv');
+        expect(options.body.get('mapping')).toBe('{"Title":"jobTitle"}');
+      });
+
+      it('should let the server suggest the mapping when none is given', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ count: 1 }),
+        });
+
+        await require('./api').jobDescriptionsAPI.bulkImport(new File(['[]'], 'export.json'));
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toMatch(/\/job-descriptions\/bulk-import$/);
+        expect(options.body.has('mapping')).toBe(false);
+      });
+
+      it('should download an export with the list filters', async () => {
+        const blob = new Blob(['id,job_title']);
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          blob: async () => blob,
+        });
+
+        const result = await require('./api').jobDescriptionsAPI.export({ format: 'csv', engagement_type: 'w2' });
+
+        expect(fetch.mock.calls[0][0]).toContain('/job-descriptions/export?format=csv&engagement_type=w2');
+        expect(result).toBe(blob);
+      });
+    });
+
     describe('create', () => {
       it('should create new job description', async () => {
         const newJD = {
@@ -709,6 +1078,414 @@ describe('API Service', () => {
     });
   });
 
+  describe('companiesAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should list companies with query parameters', async () => {
+      const mockResponse = { companies: [], pagination: { page: 1 } };
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockResponse,
+      });
+
+      const result = await require('./api').companiesAPI.getAll({ search: 'acme', page: 2 });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/companies?search=acme&page=2'),
+        expect.any(Object)
+      );
+      expect(result).toEqual(mockResponse);
+    });
+
+    it('should merge companies', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ company: { id: '1' } }),
+      });
+
+      await require('./api').companiesAPI.merge('1', ['2', '3']);
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/companies/1/merge'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ mergeIds: ['2', '3'] }),
+        })
+      );
+    });
+  });
+
+  describe('recruitersAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should list recruiters with filters', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ recruiters: [] }),
+      });
+
+      await require('./api').recruitersAPI.getAll({ recruiter_type: 'headhunter', is_active: 'true' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/recruiters?recruiter_type=headhunter&is_active=true'),
+        expect.any(Object)
+      );
+    });
+
+    it('should deactivate a recruiter', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ recruiter: { id: '1', is_active: false } }),
+      });
+
+      await require('./api').recruitersAPI.update('1', { isActive: false });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/recruiters/1'),
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ isActive: false }),
+        })
+      );
+    });
+  });
+
+  describe('resumesAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should upload a file as multipart form data without a JSON content type', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ resume: { id: '1' } }),
+      });
+      const file = new File(['resume'], 'resume.txt', { type: 'text/plain' });
+
+      await require('./api').resumesAPI.upload(file, { title: 'Engineer', notes: '' });
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toContain('/resumes');
+      expect(options.method).toBe('POST');
+      expect(options.headers).toEqual({ Authorization: 'Bearer mock-token' });
+      expect(options.body).toBeInstanceOf(FormData);
+      expect(options.body.get('file')).toBeInstanceOf(File);
+      expect(options.body.get('title')).toBe('Engineer');
+      expect(options.body.has('notes')).toBe(false);
+    });
+
+    it('should download a file as a blob', async () => {
+      const blob = new Blob(['resume']);
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        blob: async () => blob,
+      });
+
+      const result = await require('./api').resumesAPI.download('1');
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/resumes/1/download'),
+        { headers: { Authorization: 'Bearer mock-token' } }
+      );
+      expect(result).toBe(blob);
+    });
+
+    it('should throw an APIError when the download fails', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: 'Resume file not found' }),
+      });
+
+      await expect(require('./api').resumesAPI.download('1')).rejects.toMatchObject({
+        message: 'Resume file not found',
+        status: 404,
+      });
+    });
+  });
+
+  describe('coverLettersAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should generate a letter from a template', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ coverLetter: { id: '2' }, unresolved: [] }),
+      });
+
+      await require('./api').coverLettersAPI.generate('1', 'jd-1');
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/cover-letters/1/generate'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ jobDescriptionId: 'jd-1' }),
+        })
+      );
+    });
+  });
+
+  describe('interviewsAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should list interviews for one job description', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ interviews: [] }),
+      });
+
+      await require('./api').interviewsAPI.getAll({ job_description_id: 'jd-1' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/interviews?job_description_id=jd-1'),
+        expect.any(Object)
+      );
+    });
+
+    it('should schedule an interview', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ interview: { id: 'i-1' } }),
+      });
+
+      await require('./api').interviewsAPI.create({ jobDescriptionId: 'jd-1', interviewerIds: ['r-1'] });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/interviews'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ jobDescriptionId: 'jd-1', interviewerIds: ['r-1'] }),
+        })
+      );
+    });
+  });
+
+  describe('calendarAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should create a feed link', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ feedUrl: 'http://localhost/api/calendar/feed/abc.ics' }),
+      });
+
+      await require('./api').calendarAPI.createFeed();
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/calendar/feed'),
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+
+    it('should download an interview as a file', async () => {
+      const blob = new Blob(['BEGIN:VCALENDAR'], { type: 'text/calendar' });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        blob: async () => blob,
+      });
+
+      const result = await require('./api').calendarAPI.downloadInterview('i-1');
+
+      expect(result).toBe(blob);
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/calendar/interviews/i-1.ics'),
+        expect.objectContaining({ headers: { Authorization: 'Bearer mock-token' } })
+      );
+    });
+  });
+
+  describe('offersAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should fetch the offer comparison', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ comparison: [] }),
+      });
+
+      await require('./api').offersAPI.getComparison();
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/offers/comparison'),
+        expect.any(Object)
+      );
+    });
+
+    it('should record an offer', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ offer: { id: 'o-1' } }),
+      });
+
+      await require('./api').offersAPI.create({ jobDescriptionId: 'jd-1', baseSalary: 150000 });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/offers'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ jobDescriptionId: 'jd-1', baseSalary: 150000 }),
+        })
+      );
+    });
+  });
+
+  describe('savedFiltersAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should save a named filter', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ savedFilter: { id: 'sf-1' } }),
+      });
+
+      await require('./api').savedFiltersAPI.create({ name: 'Remote', filters: { remote_policy: 'remote' } });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/saved-filters'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ name: 'Remote', filters: { remote_policy: 'remote' } }),
+        })
+      );
+    });
+
+    it('should delete a saved filter', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: 'Saved filter deleted successfully' }),
+      });
+
+      await require('./api').savedFiltersAPI.delete('sf-1');
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/saved-filters/sf-1'),
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+
+  describe('searchAPI', () => {
+    it('should encode the search text and options', async () => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ query: 'data & ml', results: {} }),
+      });
+
+      await require('./api').searchAPI.search('data & ml', { limit: 10 });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/search?q=data+%26+ml&limit=10'),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('notificationsAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should snooze a notification until the given time', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: 'Reminder snoozed successfully' }),
+      });
+
+      await require('./api').notificationsAPI.snooze('r-1', '2025-02-01T09:00:00.000Z');
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/notifications/r-1/snooze'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ until: '2025-02-01T09:00:00.000Z' }),
+        })
+      );
+    });
+
+    it('should complete a notification', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: 'Reminder completed successfully' }),
+      });
+
+      await require('./api').notificationsAPI.complete('r-1');
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/notifications/r-1/complete'),
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  describe('sourcesAPI', () => {
+    beforeEach(() => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+    });
+
+    it('should create a custom source', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: 'Source created successfully' }),
+      });
+
+      await require('./api').sourcesAPI.create({ name: 'Frontend Weekly', sourceType: 'email' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/sources'),
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ name: 'Frontend Weekly', sourceType: 'email' }),
+        })
+      );
+    });
+
+    it('should get source effectiveness', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ sources: [], unattributed: {} }),
+      });
+
+      await require('./api').sourcesAPI.getEffectiveness();
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/sources/effectiveness'),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('analyticsAPI', () => {
+    it('should request analytics for the given number of weeks', async () => {
+      localStorageMock.getItem.mockReturnValue('mock-token');
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ funnel: [] }),
+      });
+
+      await require('./api').analyticsAPI.get({ weeks: 26 });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/analytics?weeks=26'),
+        expect.any(Object)
+      );
+    });
+  });
+
   describe('authAPI.getCurrentUser', () => {
     it('should get current user with token', async () => {
       localStorageMock.getItem.mockReturnValue('mock-token');
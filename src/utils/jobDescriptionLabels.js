@@ -0,0 +1,137 @@
+/**
+ * Job Description Labels
+ *
+ * Display names for job description statuses, job types, remote policies,
+ * engagement types, rate units, list sort columns, timeline events,
+ * interviews and reminders, shared by the pipeline board, the analyzer, the
+ * job description detail page and the interviews page.
+ */
+
+export const STATUS_LABELS = {
+  saved: 'Saved',
+  interested: 'Interested',
+  applied: 'Applied',
+  interviewing: 'Interviewing',
+  offered: 'Offered',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn',
+  accepted: 'Accepted',
+};
+
+export const EVENT_TYPE_LABELS = {
+  status_change: 'Status change',
+  note: 'Note',
+  contact: 'Contact',
+  document_sent: 'Document sent',
+};
+
+export const CONTACT_METHOD_LABELS = {
+  email: 'Email',
+  phone: 'Phone',
+  linkedin: 'LinkedIn',
+  video_call: 'Video call',
+  in_person: 'In person',
+  other: 'Other',
+};
+
+export const DOCUMENT_LABELS = {
+  resume: 'Resume',
+  cover_letter: 'Cover letter',
+  portfolio: 'Portfolio',
+  references: 'References',
+  other: 'Other document',
+};
+
+export const INTERVIEW_TYPE_LABELS = {
+  phone_screen: 'Phone screen',
+  technical: 'Technical',
+  behavioral: 'Behavioral',
+  system_design: 'System design',
+  take_home: 'Take-home',
+  onsite: 'Onsite',
+  panel: 'Panel',
+  hiring_manager: 'Hiring manager',
+  final: 'Final',
+  other: 'Other',
+};
+
+export const INTERVIEW_OUTCOME_LABELS = {
+  pending: 'Pending',
+  passed: 'Passed',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  rescheduled: 'Rescheduled',
+};
+
+export const JOB_TYPE_LABELS = {
+  full_time: 'Full-time',
+  part_time: 'Part-time',
+  contract: 'Contract',
+  consulting: 'Consulting',
+  freelance: 'Freelance',
+};
+
+export const REMOTE_POLICY_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'Onsite',
+};
+
+export const ENGAGEMENT_TYPE_LABELS = {
+  w2: 'W2',
+  1099: '1099',
+  c2c: 'Corp-to-corp',
+  contract_to_hire: 'Contract-to-hire',
+};
+
+export const RATE_UNIT_LABELS = {
+  hour: 'Hour',
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  year: 'Year',
+};
+
+// Job list sort columns
+export const SORT_COLUMN_LABELS = {
+  date_found: 'Date found',
+  date_posted: 'Date posted',
+  application_deadline: 'Application deadline',
+  title: 'Job title',
+  company: 'Company',
+  location: 'Location',
+  status: 'Status',
+  job_type: 'Job type',
+  remote_policy: 'Remote policy',
+  salary_range_min: 'Salary (minimum)',
+  salary_range_max: 'Salary (maximum)',
+  rate_amount: 'Quoted rate',
+  effective_annual_rate: 'Annual rate',
+  created_at: 'Date added',
+  updated_at: 'Last updated',
+};
+
+export const REMINDER_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  due: 'Due',
+  completed: 'Completed',
+};
+
+export const SOURCE_TYPE_LABELS = {
+  linkedin: 'LinkedIn',
+  indeed: 'Indeed',
+  glassdoor: 'Glassdoor',
+  company_website: 'Company website',
+  recruiter: 'Recruiter',
+  referral: 'Referral',
+  job_board: 'Job board',
+  email: 'Email / newsletter',
+  other: 'Other',
+};
+
+/**
+ * Get the display name for a status
+ * @param {string} status - Status value such as 'interviewing'
+ * @returns {string} Label, or the raw value for unknown statuses
+ */
+export const formatStatus = (status) => STATUS_LABELS[status] || status;
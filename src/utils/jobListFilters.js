@@ -0,0 +1,68 @@
+/**
+ * Job List Filters
+ *
+ * The analyzer's job list keeps its filters and sort in the URL query
+ * (the same parameters GET /api/job-descriptions takes), so a filtered list
+ * can be bookmarked and a saved filter (smart view) is just a link. The
+ * `view` parameter names the saved filter the list was opened from.
+ */
+
+import { validationConfig } from '../validation';
+
+const { filterKeys } = validationConfig.savedJobFilter;
+
+/**
+ * Read the job list filters from the URL query
+ * @param {URLSearchParams} searchParams - Current URL query
+ * @returns {Object} Every filter key, '' when not set
+ */
+export const readListFilters = (searchParams) => Object.fromEntries(
+  filterKeys.map(key => [key, searchParams.get(key) || ''])
+);
+
+/**
+ * Job list filters -> getAll/export query parameters
+ * Empty filters are left out; the sort order only applies with a sort column.
+ * @param {Object} filters - Filters (all or some keys)
+ * @returns {Object} Query parameters
+ */
+export const toListParams = (filters) => {
+  const params = {};
+  filterKeys.forEach((key) => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      params[key] = String(filters[key]);
+    }
+  });
+  if (!params.sort_by) delete params.sort_order;
+  return params;
+};
+
+/**
+ * Whether the list is narrowed or re-sorted by any filter
+ * @param {Object} filters - Filters
+ * @returns {boolean}
+ */
+export const hasListFilters = (filters) => Object.keys(toListParams(filters)).length > 0;
+
+/**
+ * Whether two sets of filters select the same list
+ * @param {Object} a - Filters
+ * @param {Object} b - Filters
+ * @returns {boolean}
+ */
+export const isSameListFilters = (a, b) => {
+  const paramsA = toListParams(a);
+  const paramsB = toListParams(b);
+  const keys = Object.keys(paramsA);
+  return keys.length === Object.keys(paramsB).length && keys.every(key => paramsA[key] === paramsB[key]);
+};
+
+/**
+ * Analyzer link that opens the list with a saved filter applied
+ * @param {Object} savedFilter - { id, filters }
+ * @returns {string} Path with query string
+ */
+export const savedFilterPath = (savedFilter) => {
+  const params = new URLSearchParams({ ...toListParams(savedFilter.filters), view: savedFilter.id });
+  return `/analyzer?${params.toString()}`;
+};
@@ -0,0 +1,101 @@
+/**
+ * Offer Scoring
+ *
+ * Weighted scores for the offer comparison. Each criterion is scaled from
+ * 0 (worst of the jobs compared) to 1 (best), then combined using the
+ * user's weights into a score out of 100. Weights are kept in localStorage
+ * so the comparison looks the same next time.
+ */
+
+const WEIGHTS_STORAGE_KEY = 'offerScoringWeights';
+
+export const MAX_WEIGHT = 10;
+
+const REMOTE_POLICY_SCORES = {
+  remote: 1,
+  hybrid: 0.5,
+  onsite: 0,
+};
+
+/**
+ * Criteria that can be weighted; value() reads one comparison row
+ * ({ jobDescription, offer, compensation }) and returns null when unknown.
+ */
+export const SCORING_CRITERIA = [
+  { key: 'total', label: 'Total pay', value: (row) => row.compensation.total },
+  { key: 'base', label: 'Base salary', value: (row) => row.compensation.base },
+  { key: 'equity', label: 'Equity', value: (row) => row.compensation.equity },
+  { key: 'benefits', label: 'Benefits', value: (row) => row.compensation.benefits },
+  { key: 'rating', label: 'Company rating', value: (row) => row.jobDescription.company_rating },
+  {
+    key: 'remote',
+    label: 'Remote work',
+    value: (row) => REMOTE_POLICY_SCORES[row.jobDescription.remote_policy] ?? null,
+  },
+];
+
+export const DEFAULT_WEIGHTS = {
+  total: 5,
+  base: 3,
+  equity: 2,
+  benefits: 1,
+  rating: 2,
+  remote: 1,
+};
+
+/**
+ * Score each comparison row
+ * Rows missing a value score 0 for that criterion. When every row has the
+ * same value, they all score 1 for it.
+ * @param {Array} rows - Comparison rows from offersAPI.getComparison()
+ * @param {Object} weights - Map of criterion key -> weight
+ * @returns {Array<number|null>} Score out of 100 per row, or null if all weights are 0
+ */
+export const scoreOffers = (rows, weights) => {
+  const totalWeight = SCORING_CRITERIA.reduce((sum, { key }) => sum + (weights[key] || 0), 0);
+  if (totalWeight === 0) return rows.map(() => null);
+
+  const scaled = SCORING_CRITERIA.map(({ value }) => {
+    const values = rows.map((row) => {
+      const raw = value(row);
+      return raw === null || raw === undefined ? null : Number(raw);
+    });
+    const known = values.filter((v) => v !== null);
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+
+    return values.map((v) => {
+      if (v === null) return 0;
+      return max === min ? 1 : (v - min) / (max - min);
+    });
+  });
+
+  return rows.map((_, rowIndex) => {
+    const weighted = SCORING_CRITERIA.reduce(
+      (sum, { key }, criterionIndex) => sum + (weights[key] || 0) * scaled[criterionIndex][rowIndex],
+      0
+    );
+    return Math.round((weighted / totalWeight) * 100);
+  });
+};
+
+/**
+ * Load the saved weights, falling back to the defaults
+ * @returns {Object} Map of criterion key -> weight
+ */
+export const loadWeights = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WEIGHTS_STORAGE_KEY) || '{}');
+    return { ...DEFAULT_WEIGHTS, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+};
+
+/**
+ * Save weights for next time
+ * @param {Object} weights - Map of criterion key -> weight
+ */
+export const saveWeights = (weights) => {
+  localStorage.setItem(WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+};
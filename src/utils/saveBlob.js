@@ -0,0 +1,15 @@
+/**
+ * Save a downloaded Blob as a file in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
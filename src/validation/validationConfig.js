@@ -51,5 +51,73 @@ export const validationConfig = {
       },
     },
   },
+  jobDescription: {
+    statuses: ['saved', 'interested', 'applied', 'interviewing', 'offered', 'rejected', 'withdrawn', 'accepted'],
+    // Legal moves on the pipeline board; rejected, withdrawn and accepted are final
+    statusTransitions: {
+      saved: ['interested', 'applied', 'rejected', 'withdrawn'],
+      interested: ['saved', 'applied', 'rejected', 'withdrawn'],
+      applied: ['interviewing', 'offered', 'rejected', 'withdrawn'],
+      interviewing: ['offered', 'rejected', 'withdrawn'],
+      offered: ['accepted', 'rejected', 'withdrawn'],
+      rejected: [],
+      withdrawn: [],
+      accepted: [],
+    },
+    jobTypes: ['full_time', 'part_time', 'contract', 'consulting', 'freelance'],
+    remotePolicies: ['remote', 'hybrid', 'onsite'],
+    rateUnits: ['hour', 'day', 'week', 'month', 'year'],
+    engagementTypes: ['w2', '1099', 'c2c', 'contract_to_hire'],
+    sortColumns: [
+      'date_found', 'date_posted', 'application_deadline', 'title', 'company', 'location', 'status',
+      'job_type', 'remote_policy', 'salary_range_min', 'salary_range_max', 'rate_amount',
+      'effective_annual_rate', 'created_at', 'updated_at',
+    ],
+  },
+  savedJobFilter: {
+    nameMaxLength: 100,
+    // Job list query parameters a saved filter may hold
+    filterKeys: [
+      'status', 'remote_policy', 'job_type', 'engagement_type', 'source_id', 'company_id',
+      'found_within_days', 'min_salary', 'max_salary', 'min_annual_rate', 'max_annual_rate',
+      'rate_unit', 'min_rate', 'max_rate', 'sort_by', 'sort_order',
+    ],
+  },
+  jobPostingImport: {
+    fileTypes: ['html', 'htm'],
+  },
+  jobDescriptionBulkImport: {
+    fileTypes: ['csv', 'json'],
+  },
+  jobDescriptionEvent: {
+    // Status changes are recorded by the status endpoint, never added by hand
+    manualTypes: ['note', 'contact', 'document_sent'],
+    contactMethods: ['email', 'phone', 'linkedin', 'video_call', 'in_person', 'other'],
+    documents: ['resume', 'cover_letter', 'portfolio', 'references', 'other'],
+  },
+  interview: {
+    types: [
+      'phone_screen', 'technical', 'behavioral', 'system_design', 'take_home',
+      'onsite', 'panel', 'hiring_manager', 'final', 'other',
+    ],
+    outcomes: ['pending', 'passed', 'failed', 'cancelled', 'rescheduled'],
+    maxRound: 20,
+    maxDurationMinutes: 24 * 60,
+  },
+  offer: {
+    payPeriods: ['hour', 'day', 'week', 'month', 'year'],
+  },
+  reminder: {
+    titleMaxLength: 255,
+    notesMaxLength: 2000,
+  },
+  source: {
+    nameMaxLength: 255,
+    urlMaxLength: 500,
+    types: [
+      'linkedin', 'indeed', 'glassdoor', 'company_website', 'recruiter',
+      'referral', 'job_board', 'email', 'other',
+    ],
+  },
 };
 